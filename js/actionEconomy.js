@@ -0,0 +1,220 @@
+/**
+ * Jesster's Combat Tracker
+ * Action Economy Module
+ * Version 2.3.1
+ *
+ * This module tracks what a combatant can still do in a round: its action,
+ * bonus action, reaction and movement. The budget is stored on the combatant
+ * (combatant.actionEconomy) and resets at the start of the combatant's own
+ * turn, the reaction included. Extra actions are grants: a recurring grant
+ * like Haste adds to the budget at the start of every turn until removed,
+ * and a one-off grant like Action Surge adds to the current turn only.
+ */
+
+/**
+ * Resources in the action economy
+ */
+export const ActionType = {
+  ACTION: 'action',
+  BONUS_ACTION: 'bonusAction',
+  REACTION: 'reaction',
+  MOVEMENT: 'movement'
+};
+
+/**
+ * Display names of the resources
+ */
+export const ACTION_TYPE_NAMES = {
+  [ActionType.ACTION]: 'Action',
+  [ActionType.BONUS_ACTION]: 'Bonus Action',
+  [ActionType.REACTION]: 'Reaction',
+  [ActionType.MOVEMENT]: 'Movement'
+};
+
+/**
+ * Common grants of extra resources
+ */
+export const ActionGrantPreset = {
+  HASTE: {
+    name: 'Haste',
+    type: ActionType.ACTION,
+    amount: 1,
+    recurring: true,
+    restriction: 'Attack (one weapon attack only), Dash, Disengage, Hide or Use an Object'
+  },
+  ACTION_SURGE: {
+    name: 'Action Surge',
+    type: ActionType.ACTION,
+    amount: 1,
+    recurring: false,
+    restriction: null
+  }
+};
+
+/**
+ * Create a full action economy
+ * @param {number} speed - Movement in feet
+ * @returns {Object} Action economy
+ */
+export function createActionEconomy(speed = 30) {
+  return {
+    [ActionType.ACTION]: { max: 1, used: 0 },
+    [ActionType.BONUS_ACTION]: { max: 1, used: 0 },
+    [ActionType.REACTION]: { max: 1, used: 0 },
+    [ActionType.MOVEMENT]: { max: speed, used: 0 },
+    grants: []
+  };
+}
+
+/**
+ * Create a grant of extra resources
+ * @param {Object} data - Grant data ({name, type, amount, recurring, restriction, sourceId})
+ * @returns {Object} Grant
+ */
+export function createActionGrant(data = {}) {
+  return {
+    id: data.id || `grant_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+    name: data.name || 'Extra Action',
+    type: data.type || ActionType.ACTION,
+    amount: data.amount ?? 1,
+    recurring: !!data.recurring,             // Every turn until removed, or this turn only
+    restriction: data.restriction || null,   // What the extra resource can be used for
+    sourceId: data.sourceId || null,
+    concentrationOf: data.concentrationOf || null,
+    active: false                            // Whether it adds to the current turn
+  };
+}
+
+/**
+ * Get an action economy at the start of its owner's turn: everything
+ * restored, recurring grants counted and one-off grants dropped
+ * @param {Object} economy - Action economy (or undefined for a fresh one)
+ * @param {number} speed - Movement in feet this turn
+ * @returns {Object} Reset action economy
+ */
+export function resetActionEconomy(economy, speed = 30) {
+  const grants = (economy ? economy.grants : [])
+    .filter(grant => grant.recurring)
+    .map(grant => ({ ...grant, active: true }));
+  const reset = createActionEconomy(speed);
+
+  grants.forEach(grant => {
+    reset[grant.type] = { ...reset[grant.type], max: reset[grant.type].max + grant.amount };
+  });
+
+  return { ...reset, grants };
+}
+
+/**
+ * Get how much of a resource is left
+ * @param {Object} economy - Action economy
+ * @param {string} type - ActionType
+ * @returns {number} Amount left (feet for movement)
+ */
+export function getRemaining(economy, type) {
+  if (!economy || !economy[type]) return 0;
+  return Math.max(0, economy[type].max - economy[type].used);
+}
+
+/**
+ * Check whether a resource is available
+ * @param {Object} economy - Action economy
+ * @param {string} type - ActionType
+ * @param {number} amount - Amount needed (feet for movement)
+ * @returns {boolean} True if enough is left
+ */
+export function hasAvailable(economy, type, amount = 1) {
+  return getRemaining(economy, type) >= amount;
+}
+
+/**
+ * Use some of a resource
+ * @param {Object} economy - Action economy
+ * @param {string} type - ActionType
+ * @param {number} amount - Amount to use (feet for movement)
+ * @returns {Object} {economy, spent} where spent is false if not enough was left
+ */
+export function spendResource(economy, type, amount = 1) {
+  if (!hasAvailable(economy, type, amount)) {
+    return { economy, spent: false };
+  }
+
+  return {
+    economy: { ...economy, [type]: { ...economy[type], used: economy[type].used + amount } },
+    spent: true
+  };
+}
+
+/**
+ * Record movement already made, even past the budget (the map decides what
+ * is allowed)
+ * @param {Object} economy - Action economy
+ * @param {number} feet - Distance moved in feet
+ * @returns {Object} Updated action economy
+ */
+export function recordMovement(economy, feet) {
+  const movement = economy[ActionType.MOVEMENT];
+  return { ...economy, [ActionType.MOVEMENT]: { ...movement, used: movement.used + feet } };
+}
+
+/**
+ * Give back some of a resource, e.g. when a toggle is clicked by mistake
+ * @param {Object} economy - Action economy
+ * @param {string} type - ActionType
+ * @param {number} amount - Amount to give back
+ * @returns {Object} Updated action economy
+ */
+export function restoreResource(economy, type, amount = 1) {
+  return { ...economy, [type]: { ...economy[type], used: Math.max(0, economy[type].used - amount) } };
+}
+
+/**
+ * Add a grant; a one-off grant adds to the current turn straight away, a
+ * recurring grant starts counting at the owner's next turn
+ * @param {Object} economy - Action economy
+ * @param {Object} grant - Grant (see createActionGrant)
+ * @returns {Object} Updated action economy
+ */
+export function addActionGrant(economy, grant) {
+  const updated = { ...economy, grants: [...economy.grants, { ...grant, active: !grant.recurring }] };
+
+  if (!grant.recurring) {
+    updated[grant.type] = { ...economy[grant.type], max: economy[grant.type].max + grant.amount };
+  }
+
+  return updated;
+}
+
+/**
+ * Remove a grant, taking back what it adds this turn
+ * @param {Object} economy - Action economy
+ * @param {string} grantId - Grant ID
+ * @returns {Object} Updated action economy
+ */
+export function removeActionGrant(economy, grantId) {
+  const grant = economy.grants.find(g => g.id === grantId);
+  if (!grant) return economy;
+
+  const updated = { ...economy, grants: economy.grants.filter(g => g.id !== grantId) };
+  if (grant.active) {
+    updated[grant.type] = { ...economy[grant.type], max: Math.max(0, economy[grant.type].max - grant.amount) };
+  }
+
+  return updated;
+}
+
+export default {
+  ActionType,
+  ACTION_TYPE_NAMES,
+  ActionGrantPreset,
+  createActionEconomy,
+  createActionGrant,
+  resetActionEconomy,
+  getRemaining,
+  hasAvailable,
+  spendResource,
+  recordMovement,
+  restoreResource,
+  addActionGrant,
+  removeActionGrant
+};
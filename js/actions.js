@@ -19,10 +19,12 @@ export const ActionTypes = {
   PREVIOUS_TURN: 'PREVIOUS_TURN',
   ROLL_INITIATIVE: 'ROLL_INITIATIVE',
   SORT_INITIATIVE: 'SORT_INITIATIVE',
+  SET_INITIATIVE_ORDER: 'SET_INITIATIVE_ORDER',
   CLEAR_COMBAT: 'CLEAR_COMBAT',
   START_COMBAT: 'START_COMBAT',
   END_COMBAT: 'END_COMBAT',
   SET_ROUND: 'SET_ROUND',
+  RESTORE_COMBAT: 'RESTORE_COMBAT',
   
   // Health and Damage Actions
   APPLY_DAMAGE: 'APPLY_DAMAGE',
@@ -77,6 +79,10 @@ export const ActionTypes = {
   SET_ENVIRONMENT: 'SET_ENVIRONMENT',
   ADD_ENVIRONMENT_EFFECT: 'ADD_ENVIRONMENT_EFFECT',
   REMOVE_ENVIRONMENT_EFFECT: 'REMOVE_ENVIRONMENT_EFFECT',
+  UPDATE_ENVIRONMENT_EFFECT: 'UPDATE_ENVIRONMENT_EFFECT',
+  UPDATE_ENVIRONMENT: 'UPDATE_ENVIRONMENT',
+  SET_TERRAIN: 'SET_TERRAIN',
+  REMOVE_TERRAIN: 'REMOVE_TERRAIN',
   
   // Spell Actions
   CAST_SPELL: 'CAST_SPELL',
@@ -179,13 +185,24 @@ export const rollInitiative = () => ({
 });
 
 /**
- * Sort the initiative order from highest to lowest
+ * Sort the initiative order from highest to lowest, leaving out defeated
+ * and delayed combatants
  * @returns {Object} Action
  */
 export const sortInitiative = () => ({
   type: ActionTypes.SORT_INITIATIVE
 });
 
+/**
+ * Set the initiative order explicitly (e.g., after manually moving a combatant)
+ * @param {Array<string>} order - Combatant IDs in turn order
+ * @returns {Object} Action
+ */
+export const setInitiativeOrder = (order) => ({
+  type: ActionTypes.SET_INITIATIVE_ORDER,
+  payload: { order }
+});
+
 /**
  * Clear all combatants from the initiative tracker
  * @returns {Object} Action
@@ -220,17 +237,30 @@ export const setRound = (round) => ({
   payload: { round }
 });
 
+/**
+ * Replace the combat state with an earlier snapshot (used by undo/redo)
+ * @param {Object} combat - Combat state snapshot
+ * @returns {Object} Action
+ */
+export const restoreCombat = (combat) => ({
+  type: ActionTypes.RESTORE_COMBAT,
+  payload: { combat }
+});
+
 // Health and Damage Actions
 /**
  * Apply damage to a combatant
  * @param {string} id - The ID of the combatant
  * @param {number} amount - The amount of damage to apply
  * @param {string} damageType - The type of damage (optional)
+ * @param {Object} options - Damage options
+ * @param {number} options.tempHpAbsorbed - Temporary HP the damage uses up, when already worked out
+ *   (otherwise temporary HP absorb as much as they can)
  * @returns {Object} Action
  */
-export const applyDamage = (id, amount, damageType = null) => ({
+export const applyDamage = (id, amount, damageType = null, { tempHpAbsorbed = null } = {}) => ({
   type: ActionTypes.APPLY_DAMAGE,
-  payload: { id, amount, damageType }
+  payload: { id, amount, damageType, tempHpAbsorbed }
 });
 
 /**
@@ -450,11 +480,12 @@ export const toggleCompactMode = () => ({
  * Roll dice and record the result
  * @param {string} formula - The dice formula to roll (e.g., "2d6+3")
  * @param {string} label - A label for the roll (optional)
+ * @param {Object} result - The roll result, if the dice were already rolled (optional)
  * @returns {Object} Action
  */
-export const rollDice = (formula, label = '') => ({
+export const rollDice = (formula, label = '', result = null) => ({
   type: ActionTypes.ROLL_DICE,
-  payload: { formula, label }
+  payload: { formula, label, result }
 });
 
 /**
@@ -526,19 +557,23 @@ export const updateSettings = (settings) => ({
 
 /**
  * Reset settings to default values
+ * @param {Object} defaults - The default settings to reset to (optional)
  * @returns {Object} Action
  */
-export const resetSettings = () => ({
-  type: ActionTypes.RESET_SETTINGS
+export const resetSettings = (defaults = null) => ({
+  type: ActionTypes.RESET_SETTINGS,
+  payload: { defaults }
 });
 
 // Data Actions
 /**
  * Load data from storage
+ * @param {Object} data - The loaded data, keyed by state slice (optional)
  * @returns {Object} Action
  */
-export const loadData = () => ({
-  type: ActionTypes.LOAD_DATA
+export const loadData = (data = null) => ({
+  type: ActionTypes.LOAD_DATA,
+  payload: { data }
 });
 
 /**
@@ -606,6 +641,55 @@ export const removeEnvironmentEffect = (effectId) => ({
   payload: { effectId }
 });
 
+/**
+ * Update an environmental effect
+ * @param {string} effectId - The ID of the effect to update
+ * @param {Object} updates - The properties to update
+ * @returns {Object} Action
+ */
+export const updateEnvironmentEffect = (effectId, updates) => ({
+  type: ActionTypes.UPDATE_ENVIRONMENT_EFFECT,
+  payload: { effectId, updates }
+});
+
+/**
+ * Update environment conditions (weather, time of day, visibility)
+ * @param {Object} updates - The properties to update
+ * @returns {Object} Action
+ */
+export const updateEnvironment = (updates) => ({
+  type: ActionTypes.UPDATE_ENVIRONMENT,
+  payload: { updates }
+});
+
+/**
+ * Set terrain for an area
+ * @param {Object} terrain - The terrain feature to set
+ * @returns {Object} Action
+ */
+export const setTerrain = (terrain) => ({
+  type: ActionTypes.SET_TERRAIN,
+  payload: {
+    terrain: {
+      id: terrain.id || `terrain-${Date.now()}`,
+      area: terrain.area || null,
+      type: terrain.type || 'difficult',
+      duration: terrain.duration !== undefined ? terrain.duration : -1,
+      ...terrain
+    }
+  }
+});
+
+/**
+ * Remove terrain
+ * @param {string} terrainId - The ID of the terrain to remove
+ * @returns {Object} Action
+ */
+export const removeTerrain = (terrainId) => ({
+  type: ActionTypes.REMOVE_TERRAIN,
+  payload: { terrainId }
+});
+
 // Spell Actions
 /**
  * Cast a spell
@@ -617,7 +701,7 @@ export const removeEnvironmentEffect = (effectId) => ({
  */
 export const castSpell = (spellId, casterId, level = null, targets = []) => ({
   type: ActionTypes.CAST_SPELL,
-  payload: { spellId, casterId, level, targets }
+  payload: { effectId: `spell-${Date.now()}`, spellId, casterId, level, targets }
 });
 
 /**
@@ -2,6 +2,38 @@
 import { TemplateManager } from './templates.js';
 import { ThemeManager } from './theme.js';
 import { createTacticalCombatManager } from './tactical.js';
+import { KeyboardManager } from './keyboard.js';
+import { createUndoManager } from './undo.js';
+import { createPlayerDisplayBroadcaster } from './playerDisplay.js';
+import { createMovementTracker, getWalkingSpeed } from './movement.js';
+import {
+  ActionType,
+  resetActionEconomy,
+  getRemaining,
+  spendResource,
+  restoreResource
+} from './actionEconomy.js';
+import { createCombatHistory } from './history.js';
+import { diceService } from './diceService.js';
+import { createStatTracker, createCombatAnalyzer } from './stats.js';
+import * as actions from './actions.js';
+import { store } from './store.js';
+import Storage from './storage.js';
+import Settings from './settings.js';
+import { createRepository } from './repository.js';
+import { createSyncManager, RestSyncAdapter } from './sync.js';
+import { createCampaignFolder } from './campaign.js';
+import { Modal } from './ui.js';
+import { showUnlockScreen, renderEncryptionControls } from './encryptionView.js';
+import { showSyncConflicts, renderSyncControls } from './syncView.js';
+import { restoreCampaignFolder, renderCampaignControls } from './campaignView.js';
+
+// Quick toggles for the action economy in the initiative panel
+const ECONOMY_TOGGLES = [
+  { type: ActionType.ACTION, label: 'A', title: 'Action' },
+  { type: ActionType.BONUS_ACTION, label: 'BA', title: 'Bonus Action' },
+  { type: ActionType.REACTION, label: 'R', title: 'Reaction' }
+];
 
 // Define application states
 const AppState = {
@@ -35,25 +67,81 @@ class CombatTrackerApp {
     // Initialize properties
     this.container = null;
     this.ui = {};
-    this.combat = null;
+    this.store = options.store || store;
+    this.playerDisplayOptions = options.playerDisplay || {};
     this.initialized = false;
     this.state = AppState.INITIALIZING;
     this.templateManager = new TemplateManager();
     this.themeManager = new ThemeManager();
     
-    // Initialize the application
-    this._initialize();
+    // Everything the app saves goes through storage, so it is encrypted
+    // once a passphrase is set
+    this.storage = options.storage || new Storage();
+    
+    // The repository over it, its settings, its sync with a server and the
+    // campaign folder it is mirrored to are set up once storage is unlocked
+    this.repository = null;
+    this.settings = null;
+    this.sync = null;
+    this.campaign = null;
+    
+    // Combat history log shared by everything that records to it; pass
+    // options.combatHistory to share one created elsewhere (e.g. by the
+    // combat module)
+    this.combatHistory = options.combatHistory || createCombatHistory();
+    
+    // Statistics follow every roll of the shared dice service; so does the
+    // combat history, unless whoever passed it in already feeds it rolls
+    this.statTracker = createStatTracker();
+    this.combatAnalyzer = createCombatAnalyzer();
+    this.statTracker.attachDiceService(diceService);
+    this.combatAnalyzer.attachDiceService(diceService);
+    if (!options.combatHistory) {
+      this.combatHistory.attachDiceService(diceService);
+    }
+    
+    // Initialize the application; resolves once it is ready or has failed
+    this.ready = this._initialize();
     
     console.log('App constructor completed');
   }
   
+  /**
+   * Current combat, read from the combat slice of the store
+   * @returns {Object} Combat state
+   */
+  get combat() {
+    return this.store.getState().combat;
+  }
+
+  /**
+   * Combatants in turn order
+   * @returns {Array} Combatants
+   */
+  get orderedCombatants() {
+    const { combatants, initiativeOrder } = this.combat;
+    return initiativeOrder
+      .map(id => combatants.find(c => c.id === id))
+      .filter(Boolean);
+  }
+
   /**
    * Initialize the application
+   * @returns {Promise<void>}
    * @private
    */
-  _initialize() {
+  async _initialize() {
     console.log('Initialization started');
     
+    // Encrypted storage stays locked until the passphrase is entered, which
+    // can take longer than the initialization timeout allows
+    await this.storage.ready;
+    if (this.storage.isLocked()) {
+      console.log('Storage is encrypted, asking for the passphrase');
+      await showUnlockScreen(this.storage);
+    }
+    this.repository = this.options.repository || createRepository(this.storage);
+    
     // Set a timeout to detect if initialization hangs
     const initTimeout = setTimeout(() => {
       console.error('Initialization timeout after 15 seconds. Current state:', this.state);
@@ -78,7 +166,7 @@ class CombatTrackerApp {
       // Step 2: Load saved data
       console.time('Load saved data');
       console.log('Loading saved data...');
-      this._loadData();
+      await this._loadData();
       console.log('Saved data loaded');
       console.timeEnd('Load saved data');
       
@@ -112,6 +200,34 @@ class CombatTrackerApp {
       console.log('Tactical map initialized');
       console.timeEnd('Initialize tactical map');
       
+      // Step 7: Set up undo/redo
+      console.time('Setup undo');
+      console.log('Setting up undo/redo...');
+      this._initializeUndo();
+      console.log('Undo/redo set up');
+      console.timeEnd('Setup undo');
+      
+      // Step 8: Set up the player display
+      console.time('Setup player display');
+      console.log('Setting up player display...');
+      this._initializePlayerDisplay();
+      console.log('Player display set up');
+      console.timeEnd('Setup player display');
+      
+      // Step 9: Set up sync
+      console.time('Setup sync');
+      console.log('Setting up sync...');
+      await this._initializeSync();
+      console.log('Sync set up');
+      console.timeEnd('Setup sync');
+      
+      // Step 10: Reconnect the campaign folder
+      console.time('Setup campaign folder');
+      console.log('Setting up campaign folder...');
+      await this._initializeCampaignFolder();
+      console.log('Campaign folder set up');
+      console.timeEnd('Setup campaign folder');
+      
       // Mark as initialized
       this.initialized = true;
       this.state = AppState.READY;
@@ -133,40 +249,85 @@ class CombatTrackerApp {
   }
   
   /**
-   * Load saved data from localStorage
+   * Load saved data from storage
+   * @returns {Promise<void>}
    * @private
    */
-  _loadData() {
+  async _loadData() {
     try {
-      console.log('Starting to load data from localStorage');
-      const savedData = localStorage.getItem(this.options.storageKey);
+      console.log('Starting to load data from storage');
+      const parsedData = await this.storage.load(this.options.storageKey) || await this._loadLegacyData();
       
-      if (savedData) {
-        console.log('Found saved data in localStorage');
-        const parsedData = JSON.parse(savedData);
+      if (parsedData) {
+        console.log('Found saved data in storage');
         
         console.log('Parsing combat data');
         if (parsedData.combat) {
-          this.combat = parsedData.combat;
+          this._restoreCombat(parsedData.combat);
           console.log('Combat data loaded successfully');
         } else {
           console.log('No combat data found, creating new combat');
-          this.combat = this._createNewCombat();
+          this._createNewCombat();
         }
         
         console.log('Parsing template data');
+        if (parsedData.playerDisplay) {
+          this.playerDisplayOptions = parsedData.playerDisplay;
+        }
+        
         if (parsedData.templates) {
           this.templateManager.importAllFromJson(JSON.stringify(parsedData.templates));
           console.log('Template data loaded successfully');
         }
       } else {
         console.log('No saved data found, creating new combat');
-        this.combat = this._createNewCombat();
+        this._createNewCombat();
       }
     } catch (error) {
       console.error('Error loading data:', error);
-      this.combat = this._createNewCombat();
+      this._createNewCombat();
+    }
+  }
+  
+  /**
+   * Move data saved by older versions, straight into localStorage, over to
+   * storage, so it is encrypted along with everything else
+   * @returns {Promise<Object|null>} The saved data, or null if there is none
+   * @private
+   */
+  async _loadLegacyData() {
+    const savedData = localStorage.getItem(this.options.storageKey);
+    if (!savedData) {
+      return null;
     }
+    
+    console.log('Moving saved data from localStorage to storage');
+    const parsedData = JSON.parse(savedData);
+    if (await this.storage.save(this.options.storageKey, parsedData)) {
+      localStorage.removeItem(this.options.storageKey);
+    }
+    
+    return parsedData;
+  }
+  
+  /**
+   * Load saved combat data into the store
+   * @param {Object} combat - Saved combat data
+   * @private
+   */
+  _restoreCombat(combat) {
+    // Older saves keep combatants sorted and track the turn as "turn"
+    const { turn, ...data } = combat;
+    const combatants = data.combatants || [];
+    
+    this.store.dispatch(actions.loadData({
+      combat: {
+        ...data,
+        combatants,
+        turnIndex: data.turnIndex !== undefined ? data.turnIndex : (turn || 0),
+        initiativeOrder: data.initiativeOrder || combatants.map(c => c.id)
+      }
+    }));
   }
   
   /**
@@ -251,6 +412,25 @@ class CombatTrackerApp {
           <button type="submit" class="jct-button">Add</button>
         </form>
       </div>
+      <div class="jct-sidebar-section">
+        <h2>Player Display</h2>
+        <div class="jct-form-group">
+          <label><input type="checkbox" class="jct-player-display-option" data-option="showExactHp"> Exact monster HP</label>
+        </div>
+        <div class="jct-form-group">
+          <label><input type="checkbox" class="jct-player-display-option" data-option="showMonsterNames"> Monster names</label>
+        </div>
+        <div class="jct-form-group">
+          <label><input type="checkbox" class="jct-player-display-option" data-option="showUpcomingTurns"> Upcoming turns</label>
+        </div>
+        <div class="jct-form-group">
+          <label><input type="checkbox" class="jct-player-display-option" data-option="showMap"> Tactical map</label>
+        </div>
+        <div class="jct-form-group">
+          <label><input type="checkbox" class="jct-player-display-option" data-option="playerVisionOnly"> Only what player tokens see</label>
+        </div>
+        <button id="jct-open-player-display" class="jct-button">Open Player Display</button>
+      </div>
       <div class="jct-sidebar-section">
         <h2>Templates</h2>
         <div id="jct-template-list"></div>
@@ -266,6 +446,7 @@ class CombatTrackerApp {
         <button id="jct-next" class="jct-button">Next Turn</button>
         <button id="jct-prev" class="jct-button">Previous Turn</button>
       </div>
+      <div class="jct-sync-indicator" id="jct-sync-indicator"></div>
       <div class="jct-credits">Combat Tracker v2.3.1</div>
     `;
     
@@ -304,7 +485,7 @@ class CombatTrackerApp {
     document.getElementById('jct-new-combat').addEventListener('click', () => {
       console.log('New combat button clicked');
       if (confirm('Start a new combat? This will clear the current combat.')) {
-        this.combat = this._createNewCombat();
+        this._createNewCombat();
         this._updateUI();
         this.saveData();
       }
@@ -319,15 +500,13 @@ class CombatTrackerApp {
     // Load button
     document.getElementById('jct-load').addEventListener('click', () => {
       console.log('Load button clicked');
-      this._loadData();
-      this._updateUI();
+      this._loadData().then(() => this._updateUI());
     });
     
     // Settings button
     document.getElementById('jct-settings').addEventListener('click', () => {
       console.log('Settings button clicked');
-      // TODO: Implement settings modal
-      alert('Settings not yet implemented');
+      this._showSettings();
     });
     
     // Add combatant form
@@ -410,24 +589,246 @@ class CombatTrackerApp {
         combat: this.combat
       });
       console.log('Tactical combat manager created successfully');
+      
+      // Track movement per turn and log moves to the combat history
+      this.movementTracker = createMovementTracker({
+        store: this.store,
+        tactical: this.tacticalCombatManager,
+        history: this.combatHistory
+      });
     } catch (error) {
       console.error('Failed to initialize tactical map:', error);
     }
   }
   
+  /**
+   * Set up the undo manager and its keyboard shortcuts
+   * @private
+   */
+  _initializeUndo() {
+    this.undoManager = createUndoManager({ store: this.store });
+    
+    if (this.tacticalCombatManager) {
+      this.undoManager.trackTacticalMap(this.tacticalCombatManager);
+    }
+    
+    this.undoManager.addListener((event, data) => {
+      if (event === 'undo' || event === 'redo') {
+        console.log(`${event === 'undo' ? 'Undid' : 'Redid'}: ${data.step.label}`);
+        this._updateUI();
+        this.saveData();
+      }
+    });
+    
+    this.keyboardManager = new KeyboardManager();
+    this.keyboardManager
+      .register('undo', () => this.undo())
+      .register('redo', () => this.redo());
+  }
+  
+  /**
+   * Set up the player display broadcaster and its sidebar controls
+   * @private
+   */
+  _initializePlayerDisplay() {
+    this.playerDisplay = createPlayerDisplayBroadcaster({
+      store: this.store,
+      tactical: this.tacticalCombatManager,
+      display: this.playerDisplayOptions
+    });
+    
+    this.container.querySelectorAll('.jct-player-display-option').forEach(input => {
+      const option = input.dataset.option;
+      input.checked = !!this.playerDisplay.options[option];
+      
+      input.addEventListener('change', () => {
+        this.playerDisplayOptions = this.playerDisplay.setOptions({ [option]: input.checked });
+        this.saveData();
+      });
+    });
+    
+    document.getElementById('jct-open-player-display').addEventListener('click', () => {
+      console.log('Open player display button clicked');
+      this.playerDisplay.openWindow();
+    });
+  }
+  
+  /**
+   * Set up syncing the repository with the server in the settings, and
+   * connect again whenever those settings change
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _initializeSync() {
+    this.settings = new Settings(this.repository, this.store);
+    this.sync = createSyncManager(this.repository);
+    this.sync.addListener((event, data) => this._handleSyncEvent(event, data));
+    
+    await this.settings.ready;
+    this._configureSync();
+    this.store.subscribe(() => this._configureSync());
+  }
+  
+  /**
+   * Point the sync manager at the server in the settings, if it changed
+   * @private
+   */
+  _configureSync() {
+    const config = {
+      url: this.settings.get('syncUrl', '').trim(),
+      username: this.settings.get('syncUsername', ''),
+      password: this.settings.get('syncPassword', ''),
+      interval: this.settings.get('syncInterval', 0)
+    };
+    
+    const key = JSON.stringify(config);
+    if (key === this._syncConfigKey) {
+      return;
+    }
+    this._syncConfigKey = key;
+    
+    if (!config.url) {
+      this.sync.setAdapter(null);
+      this.sync.stop();
+      return;
+    }
+    
+    try {
+      this.sync.setAdapter(new RestSyncAdapter({
+        url: config.url,
+        username: config.username,
+        password: config.password
+      }));
+    } catch (error) {
+      console.error('Error setting up sync:', error);
+      this.sync.setAdapter(null);
+      this.sync.stop();
+      return;
+    }
+    
+    this.sync.start(config.interval * 60 * 1000);
+    this._syncNow();
+  }
+  
+  /**
+   * Sync with the server now, if one is set up
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _syncNow() {
+    if (!this.sync || !this.sync.isConfigured()) {
+      return;
+    }
+    
+    try {
+      await this.sync.sync();
+    } catch (error) {
+      // Reported through the syncFailed event
+    }
+  }
+  
+  /**
+   * Show how syncing goes in the footer, and the conflict view when new
+   * conflicts come in
+   * @param {string} event - Sync event
+   * @param {Object} data - Event data
+   * @private
+   */
+  _handleSyncEvent(event, data) {
+    const indicator = document.getElementById('jct-sync-indicator');
+    
+    switch (event) {
+      case 'syncStarted':
+        indicator.textContent = 'Syncing...';
+        break;
+        
+      case 'syncCompleted':
+        indicator.textContent = `Synced ${new Date().toLocaleTimeString()}`;
+        break;
+        
+      case 'syncFailed':
+        console.error('Sync failed:', data.error);
+        indicator.textContent = `Sync failed: ${data.error.message}`;
+        break;
+        
+      case 'conflicts':
+        indicator.textContent = `${data.conflicts.length} sync conflict(s)`;
+        this._showSyncConflicts();
+        break;
+    }
+  }
+  
+  /**
+   * Show the conflict view, sending the kept copies once all are settled
+   * @private
+   */
+  _showSyncConflicts() {
+    showSyncConflicts(this.sync, { onResolved: () => this._syncNow() });
+  }
+  
+  /**
+   * Set up the campaign folder, reading the folder from the last session
+   * again so edits made to its files are picked up
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _initializeCampaignFolder() {
+    this.campaign = createCampaignFolder(this.repository);
+    this.campaign.addListener((event, data) => this._handleCampaignEvent(event, data));
+    
+    await restoreCampaignFolder(this.campaign, { onChange: () => this._refreshSettings() });
+  }
+  
+  /**
+   * Report campaign files that could not be read or written
+   * @param {string} event - Campaign folder event
+   * @param {Object} data - Event data
+   * @private
+   */
+  _handleCampaignEvent(event, data) {
+    switch (event) {
+      case 'campaignLoaded':
+        if (data.errors.length > 0) {
+          alert(`Some campaign files could not be read: ${data.errors.map(e => e.path).join(', ')}`);
+        }
+        break;
+        
+      case 'writeFailed':
+        console.error('Could not write to the campaign folder:', data.error);
+        alert(`Could not write to the campaign folder: ${data.error.message}`);
+        break;
+    }
+  }
+  
+  /**
+   * Undo the last combat change
+   * @returns {boolean} True if something was undone
+   */
+  undo() {
+    return !!(this.undoManager && this.undoManager.undo());
+  }
+  
+  /**
+   * Redo the last undone combat change
+   * @returns {boolean} True if something was redone
+   */
+  redo() {
+    return !!(this.undoManager && this.undoManager.redo());
+  }
+  
   /**
    * Create a new combat
-   * @returns {Object} New combat object
    * @private
    */
   _createNewCombat() {
-    console.log('Creating new combat object');
-    return {
-      round: 1,
-      turn: 0,
-      combatants: [],
-      active: false
-    };
+    console.log('Creating new combat');
+    this.store.dispatch(actions.loadData({
+      combat: {
+        round: 1,
+        turnIndex: 0,
+        active: false
+      }
+    }));
   }
   
   /**
@@ -446,11 +847,11 @@ class CombatTrackerApp {
       ...combatant
     };
     
-    // Add to combatants array
-    this.combat.combatants.push(newCombatant);
+    // Add to combatants
+    this.store.dispatch(actions.addCombatant(newCombatant));
     
     // Sort by initiative
-    this.combat.combatants.sort((a, b) => b.initiative - a.initiative);
+    this.store.dispatch(actions.sortInitiative());
     
     // Update UI
     this._updateUI();
@@ -473,12 +874,12 @@ class CombatTrackerApp {
       return;
     }
     
-    this.combat.turn++;
+    // Advance the turn; after the last combatant the next round starts
+    const round = this.combat.round;
+    this.store.dispatch(actions.nextTurn());
+    this._resetCurrentActionEconomy();
     
-    // If we've gone through all combatants, advance to the next round
-    if (this.combat.turn >= this.combat.combatants.length) {
-      this.combat.turn = 0;
-      this.combat.round++;
+    if (this.combat.round !== round) {
       console.log(`Advanced to round ${this.combat.round}`);
     }
     
@@ -488,7 +889,7 @@ class CombatTrackerApp {
     // Save data
     this.saveData();
     
-    console.log(`Now on turn: ${this.combat.turn} (${this.combat.combatants[this.combat.turn]?.name})`);
+    console.log(`Now on turn: ${this.combat.turnIndex} (${this.orderedCombatants[this.combat.turnIndex]?.name})`);
   }
   
   /**
@@ -503,18 +904,14 @@ class CombatTrackerApp {
       return;
     }
     
-    this.combat.turn--;
+    // Go back a turn; before the first combatant the previous round resumes
+    const { round, turnIndex } = this.combat;
+    this.store.dispatch(actions.previousTurn());
     
-    // If we've gone before the first combatant, go to the previous round
-    if (this.combat.turn < 0) {
-      if (this.combat.round > 1) {
-        this.combat.round--;
-        this.combat.turn = this.combat.combatants.length - 1;
-        console.log(`Went back to round ${this.combat.round}`);
-      } else {
-        this.combat.turn = 0;
-        console.log('Already at the first turn of the first round');
-      }
+    if (this.combat.round !== round) {
+      console.log(`Went back to round ${this.combat.round}`);
+    } else if (turnIndex === 0) {
+      console.log('Already at the first turn of the first round');
     }
     
     // Update UI
@@ -523,7 +920,7 @@ class CombatTrackerApp {
     // Save data
     this.saveData();
     
-    console.log(`Now on turn: ${this.combat.turn} (${this.combat.combatants[this.combat.turn]?.name})`);
+    console.log(`Now on turn: ${this.combat.turnIndex} (${this.orderedCombatants[this.combat.turnIndex]?.name})`);
   }
   
   /**
@@ -571,8 +968,9 @@ class CombatTrackerApp {
     
     console.log(`Rendering ${this.combat.combatants.length} combatants`);
     
-    this.combat.combatants.forEach((combatant, index) => {
-      const isActive = index === this.combat.turn;
+    this.orderedCombatants.forEach((combatant, index) => {
+      const isActive = index === this.combat.turnIndex;
+      const economy = combatant.actionEconomy || resetActionEconomy(null, this._getSpeed(combatant));
       
       const combatantEl = document.createElement('div');
       combatantEl.className = `jct-combatant ${isActive ? 'jct-active' : ''}`;
@@ -585,6 +983,12 @@ class CombatTrackerApp {
           <span class="jct-hp-current">${combatant.hp}</span>/<span class="jct-hp-max">${combatant.maxHp}</span>
         </div>
         <div class="jct-combatant-ac">AC: ${combatant.ac}</div>
+        <div class="jct-combatant-economy">
+          ${ECONOMY_TOGGLES.map(({ type, label, title }) => `
+            <button class="jct-button jct-economy-toggle ${getRemaining(economy, type) === 0 ? 'jct-spent' : ''}" data-type="${type}" title="${title}: ${getRemaining(economy, type)}/${economy[type].max} left">${label}</button>
+          `).join('')}
+          <span class="jct-economy-movement">${getRemaining(economy, ActionType.MOVEMENT)}/${economy[ActionType.MOVEMENT].max} ft</span>
+        </div>
         <div class="jct-combatant-controls">
           <button class="jct-button jct-damage-button" data-id="${combatant.id}">Damage</button>
           <button class="jct-button jct-heal-button" data-id="${combatant.id}">Heal</button>
@@ -595,6 +999,10 @@ class CombatTrackerApp {
       this.ui.combatantList.appendChild(combatantEl);
       
       // Add event listeners for the combatant buttons
+      combatantEl.querySelectorAll('.jct-economy-toggle').forEach(button => {
+        button.addEventListener('click', () => this._toggleActionEconomy(combatant.id, button.dataset.type));
+      });
+      
       combatantEl.querySelector('.jct-damage-button').addEventListener('click', () => {
         const amount = parseInt(prompt(`Damage amount for ${combatant.name}:`, '0'));
         if (!isNaN(amount) && amount > 0) {
@@ -619,6 +1027,57 @@ class CombatTrackerApp {
     console.log('UI updated successfully');
   }
   
+  /**
+   * Get a combatant's speed after its conditions
+   * @param {Object} combatant - Combatant
+   * @returns {number} Speed in feet
+   * @private
+   */
+  _getSpeed(combatant) {
+    return this.movementTracker ? this.movementTracker.getSpeed(combatant) : getWalkingSpeed(combatant);
+  }
+  
+  /**
+   * Restore the action economy of the combatant whose turn it now is
+   * @private
+   */
+  _resetCurrentActionEconomy() {
+    const combatant = this.orderedCombatants[this.combat.turnIndex];
+    if (!combatant) return;
+    
+    this.store.dispatch(actions.updateCombatant(combatant.id, {
+      actionEconomy: resetActionEconomy(combatant.actionEconomy, this._getSpeed(combatant))
+    }));
+  }
+  
+  /**
+   * Mark an action, bonus action or reaction as used, or as unused again
+   * once none is left
+   * @param {string} id - Combatant ID
+   * @param {string} type - ActionType
+   * @private
+   */
+  _toggleActionEconomy(id, type) {
+    const combatant = this.combat.combatants.find(c => c.id === id);
+    if (!combatant) {
+      console.error(`Combatant with ID ${id} not found`);
+      return;
+    }
+    
+    const economy = combatant.actionEconomy || resetActionEconomy(null, this._getSpeed(combatant));
+    const { economy: used, spent } = spendResource(economy, type);
+    
+    this.store.dispatch(actions.updateCombatant(id, {
+      actionEconomy: spent ? used : restoreResource(economy, type, economy[type].used)
+    }));
+    
+    // Update UI
+    this._updateUI();
+    
+    // Save data
+    this.saveData();
+  }
+  
   /**
    * Apply damage to a combatant
    * @param {string} id - Combatant ID
@@ -628,13 +1087,13 @@ class CombatTrackerApp {
   _damageCombatant(id, amount) {
     console.log(`Applying ${amount} damage to combatant ${id}`);
     
-    const combatant = this.combat.combatants.find(c => c.id === id);
-    if (!combatant) {
+    if (!this.combat.combatants.some(c => c.id === id)) {
       console.error(`Combatant with ID ${id} not found`);
       return;
     }
     
-    combatant.hp = Math.max(0, combatant.hp - amount);
+    this.store.dispatch(actions.applyDamage(id, amount));
+    const combatant = this.combat.combatants.find(c => c.id === id);
     
     // Update UI
     this._updateUI();
@@ -654,13 +1113,13 @@ class CombatTrackerApp {
   _healCombatant(id, amount) {
     console.log(`Applying ${amount} healing to combatant ${id}`);
     
-    const combatant = this.combat.combatants.find(c => c.id === id);
-    if (!combatant) {
+    if (!this.combat.combatants.some(c => c.id === id)) {
       console.error(`Combatant with ID ${id} not found`);
       return;
     }
     
-    combatant.hp = Math.min(combatant.maxHp, combatant.hp + amount);
+    this.store.dispatch(actions.applyHealing(id, amount));
+    const combatant = this.combat.combatants.find(c => c.id === id);
     
     // Update UI
     this._updateUI();
@@ -679,21 +1138,16 @@ class CombatTrackerApp {
   _removeCombatant(id) {
     console.log(`Removing combatant ${id}`);
     
-    const index = this.combat.combatants.findIndex(c => c.id === id);
-    if (index === -1) {
+    const removed = this.combat.combatants.find(c => c.id === id);
+    if (!removed) {
       console.error(`Combatant with ID ${id} not found`);
       return;
     }
     
-    // Remove the combatant
-    const removed = this.combat.combatants.splice(index, 1)[0];
+    // Remove the combatant; the turn stays with the combatant whose turn it is
+    this.store.dispatch(actions.removeCombatant(id));
     console.log(`Removed combatant: ${removed.name}`);
     
-    // Adjust the current turn if needed
-    if (index <= this.combat.turn && this.combat.turn > 0) {
-      this.combat.turn--;
-    }
-    
     // Update UI
     this._updateUI();
     
@@ -704,22 +1158,108 @@ class CombatTrackerApp {
   }
   
   /**
-   * Save data to localStorage
+   * Show the settings dialog
+   * @private
+   */
+  _showSettings() {
+    if (!this.ui.settingsModal) {
+      const modal = new Modal({
+        title: 'Settings',
+        footer: [{ label: 'Close', variant: 'primary', onClick: () => modal.close() }]
+      });
+      modal.render(document.body);
+      this.ui.settingsModal = modal;
+    }
+    
+    this._renderSettings();
+    this.ui.settingsModal.open();
+  }
+  
+  /**
+   * Render the sections of the settings dialog; each renders them all again
+   * after it changed anything
+   * @private
    */
-  saveData() {
-    console.log('Saving data to localStorage');
+  _renderSettings() {
+    const content = this.ui.settingsModal.contentElement;
+    content.innerHTML = '';
+    
+    this._renderSettingsSection(content, 'Campaign', section => {
+      renderCampaignControls(section, this.campaign, { onChange: () => this._renderSettings() });
+    });
+    
+    this._renderSettingsSection(content, 'Sync', section => {
+      renderSyncControls(section, this.sync, this.settings, {
+        onSyncNow: () => this._syncNow().then(() => this._renderSettings()),
+        onChange: () => this._renderSettings(),
+        onShowConflicts: () => this._showSyncConflicts()
+      });
+    });
+    
+    this._renderSettingsSection(content, 'Encryption', section => {
+      renderEncryptionControls(section, this.storage, { onChange: () => this._renderSettings() });
+    });
+  }
+  
+  /**
+   * Render the settings dialog again if it is open
+   * @private
+   */
+  _refreshSettings() {
+    if (this.ui.settingsModal && this.ui.settingsModal.isOpen) {
+      this._renderSettings();
+    }
+  }
+  
+  /**
+   * Render one section of the settings dialog
+   * @param {HTMLElement} container - Settings dialog content
+   * @param {string} title - Section title
+   * @param {Function} renderContent - Called with the section element to fill it
+   * @private
+   */
+  _renderSettingsSection(container, title, renderContent) {
+    const section = document.createElement('section');
+    section.className = 'jct-settings-section';
+    
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    section.appendChild(heading);
+    
+    renderContent(section);
+    container.appendChild(section);
+  }
+  
+  /**
+   * Save data to storage
+   * @returns {Promise<void>}
+   */
+  async saveData() {
+    // Nothing can be written while encrypted storage waits for its passphrase
+    if (this.storage.isLocked()) {
+      console.log('Storage is locked, not saving');
+      return;
+    }
+    
+    console.log('Saving data to storage');
     this.state = AppState.SAVING;
     
     try {
       const dataToSave = {
         combat: this.combat,
+        playerDisplay: this.playerDisplayOptions,
         templates: JSON.parse(this.templateManager.exportAllToJson())
       };
       
-      localStorage.setItem(this.options.storageKey, JSON.stringify(dataToSave));
+      if (!await this.storage.save(this.options.storageKey, dataToSave)) {
+        throw new Error('storage refused the data');
+      }
       
       this.state = AppState.READY;
       console.log('Data saved successfully');
+      
+      // Send changes to the sync server
+      this._syncNow();
     } catch (error) {
       console.error('Error saving data:', error);
       this.state = AppState.ERROR;
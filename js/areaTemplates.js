@@ -0,0 +1,299 @@
+/**
+ * Jesster's Combat Tracker
+ * Area Templates Module
+ * Version 2.3.1
+ *
+ * This module holds the geometry of area-of-effect templates (cones,
+ * spheres, cubes, lines and so on) and works out which grid cells and tokens
+ * they cover. Template sizes are in feet and are converted to map units with
+ * the grid scale. On square and hex grids a cell is inside a template when
+ * its centre is, and a token is inside when any cell of its space is; on maps
+ * without a grid the token's own outline is tested.
+ */
+
+/**
+ * Template shapes (the values match SpellAreaType in spells.js)
+ */
+export const TemplateShape = {
+  CONE: 'cone',
+  SPHERE: 'sphere',
+  CIRCLE: 'circle',
+  CYLINDER: 'cylinder',
+  CUBE: 'cube',
+  SQUARE: 'square',
+  LINE: 'line'
+};
+
+// Tolerance for points that lie exactly on a template edge
+const EPSILON = 0.001;
+
+/**
+ * Get the number of map units per foot
+ * @param {Object} grid - Grid settings ({gridSize, feetPerSquare})
+ * @returns {number} Map units per foot
+ */
+export function getGridScale(grid) {
+  return (grid.gridSize || 50) / (grid.feetPerSquare || 5);
+}
+
+/**
+ * Create a template with default dimensions for its shape
+ * @param {Object} data - Template data
+ * @returns {Object} Template
+ */
+export function createTemplate(data = {}) {
+  return {
+    id: data.id || `template_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+    shape: data.shape || TemplateShape.SPHERE,
+    x: data.x || 0,
+    y: data.y || 0,
+    direction: data.direction || 0,   // Degrees, 0 points east
+    radius: data.radius || 20,        // Sphere, circle, cylinder
+    length: data.length || 15,        // Cone, line
+    size: data.size || 10,            // Cube, square
+    width: data.width || 5,           // Line
+    color: data.color || 'rgba(255, 87, 34, 0.35)',
+    label: data.label || '',
+    spellId: data.spellId || null,
+    hidden: data.hidden || false      // Kept off the player display
+  };
+}
+
+/**
+ * Get how far a template reaches from its origin
+ * @param {Object} template - Template
+ * @param {number} scale - Map units per foot
+ * @returns {number} Reach in map units
+ * @private
+ */
+function getTemplateReach(template, scale) {
+  switch (template.shape) {
+    case TemplateShape.CONE:
+      return template.length * scale * Math.sqrt(1.25);
+    case TemplateShape.CUBE:
+      return template.size * scale * Math.sqrt(1.25);
+    case TemplateShape.SQUARE:
+      return template.size * scale / Math.SQRT2;
+    case TemplateShape.LINE:
+      return Math.hypot(template.length, template.width / 2) * scale;
+    default:
+      return template.radius * scale;
+  }
+}
+
+/**
+ * Check whether a point lies inside a template
+ * @param {number} x - Point X
+ * @param {number} y - Point Y
+ * @param {Object} template - Template
+ * @param {number} scale - Map units per foot
+ * @returns {boolean} True if the point is inside
+ */
+export function isPointInTemplate(x, y, template, scale) {
+  const dx = x - template.x;
+  const dy = y - template.y;
+
+  // Distances along and across the template's direction
+  const angle = (template.direction || 0) * Math.PI / 180;
+  const along = dx * Math.cos(angle) + dy * Math.sin(angle);
+  const across = Math.abs(-dx * Math.sin(angle) + dy * Math.cos(angle));
+
+  switch (template.shape) {
+    case TemplateShape.CONE: {
+      // A cone's width at any point equals its distance from the origin
+      const length = template.length * scale;
+      return along >= -EPSILON && along <= length + EPSILON && across <= along / 2 + EPSILON;
+    }
+
+    case TemplateShape.CUBE: {
+      // The origin of a cube lies on the middle of one face
+      const size = template.size * scale;
+      return along >= -EPSILON && along <= size + EPSILON && across <= size / 2 + EPSILON;
+    }
+
+    case TemplateShape.SQUARE: {
+      const half = template.size * scale / 2;
+      return Math.abs(along) <= half + EPSILON && across <= half + EPSILON;
+    }
+
+    case TemplateShape.LINE: {
+      const length = template.length * scale;
+      return along >= -EPSILON && along <= length + EPSILON && across <= template.width * scale / 2 + EPSILON;
+    }
+
+    default: {
+      const radius = template.radius * scale;
+      return dx * dx + dy * dy <= radius * radius + EPSILON;
+    }
+  }
+}
+
+/**
+ * Get the grid cells whose centres lie inside a rectangle
+ * @param {Object} rect - Rectangle ({minX, minY, maxX, maxY})
+ * @param {Object} grid - Grid settings ({gridType, gridSize})
+ * @returns {Array} Cells ({key, x, y})
+ */
+export function getGridCells(rect, grid) {
+  const size = grid.gridSize || 50;
+  const cells = [];
+
+  if (grid.gridType === 'hex') {
+    // Same layout the tactical map snaps tokens to
+    const hexWidth = size * Math.sqrt(3) / 2;
+    const rowHeight = size * 0.75;
+
+    for (let row = Math.floor(rect.minY / rowHeight); row <= Math.ceil(rect.maxY / rowHeight); row++) {
+      const offset = row % 2 !== 0 ? hexWidth / 2 : 0;
+
+      for (let col = Math.floor((rect.minX - offset) / hexWidth); col <= Math.ceil((rect.maxX - offset) / hexWidth); col++) {
+        const x = col * hexWidth + offset;
+        const y = row * rowHeight;
+
+        if (x >= rect.minX && x <= rect.maxX && y >= rect.minY && y <= rect.maxY) {
+          cells.push({ key: `${col},${row}`, x, y });
+        }
+      }
+    }
+
+    return cells;
+  }
+
+  for (let col = Math.floor(rect.minX / size); col <= Math.ceil(rect.maxX / size); col++) {
+    for (let row = Math.floor(rect.minY / size); row <= Math.ceil(rect.maxY / size); row++) {
+      const x = (col + 0.5) * size;
+      const y = (row + 0.5) * size;
+
+      if (x >= rect.minX && x <= rect.maxX && y >= rect.minY && y <= rect.maxY) {
+        cells.push({ key: `${col},${row}`, x, y });
+      }
+    }
+  }
+
+  return cells;
+}
+
+/**
+ * Get the grid cells a template covers
+ * @param {Object} template - Template
+ * @param {Object} grid - Grid settings ({gridType, gridSize, feetPerSquare})
+ * @returns {Array} Covered cells ({key, x, y})
+ */
+export function getTemplateCells(template, grid) {
+  if (grid.gridType === 'none') {
+    return [];
+  }
+
+  const scale = getGridScale(grid);
+  const reach = getTemplateReach(template, scale);
+
+  return getGridCells({
+    minX: template.x - reach,
+    minY: template.y - reach,
+    maxX: template.x + reach,
+    maxY: template.y + reach
+  }, grid).filter(cell => isPointInTemplate(cell.x, cell.y, template, scale));
+}
+
+/**
+ * Get the grid cells a token's space occupies
+ * @param {Object} token - Token ({x, y, size})
+ * @param {Object} grid - Grid settings ({gridType, gridSize})
+ * @returns {Array} Occupied cells ({key, x, y})
+ */
+export function getTokenCells(token, grid) {
+  const half = (token.size || grid.gridSize || 50) / 2 + EPSILON;
+  const candidates = getGridCells({
+    minX: token.x - half,
+    minY: token.y - half,
+    maxX: token.x + half,
+    maxY: token.y + half
+  }, grid);
+
+  const cells = grid.gridType === 'hex'
+    ? candidates.filter(cell => Math.hypot(cell.x - token.x, cell.y - token.y) <= half)
+    : candidates;
+
+  if (cells.length > 0) {
+    return cells;
+  }
+
+  // A token smaller than a cell still stands in the cell nearest to it
+  const nearby = getGridCells({
+    minX: token.x - grid.gridSize,
+    minY: token.y - grid.gridSize,
+    maxX: token.x + grid.gridSize,
+    maxY: token.y + grid.gridSize
+  }, grid);
+
+  return nearby
+    .sort((a, b) => Math.hypot(a.x - token.x, a.y - token.y) - Math.hypot(b.x - token.x, b.y - token.y))
+    .slice(0, 1);
+}
+
+/**
+ * Get the tokens inside a template
+ * @param {Object} template - Template
+ * @param {Array} tokens - Tokens ({x, y, size})
+ * @param {Object} grid - Grid settings ({gridType, gridSize, feetPerSquare})
+ * @returns {Array} Tokens inside the template
+ */
+export function getTokensInTemplate(template, tokens, grid) {
+  const scale = getGridScale(grid);
+
+  // Without a grid, test the centre and outline of each token
+  if (grid.gridType === 'none') {
+    return tokens.filter(token => {
+      const radius = (token.size || grid.gridSize || 50) / 2;
+      const points = [{ x: token.x, y: token.y }];
+
+      for (let i = 0; i < 8; i++) {
+        const angle = i * Math.PI / 4;
+        points.push({ x: token.x + Math.cos(angle) * radius, y: token.y + Math.sin(angle) * radius });
+      }
+
+      return points.some(point => isPointInTemplate(point.x, point.y, template, scale));
+    });
+  }
+
+  const covered = new Set(getTemplateCells(template, grid).map(cell => cell.key));
+
+  return tokens.filter(token => getTokenCells(token, grid).some(cell => covered.has(cell.key)));
+}
+
+/**
+ * Build template data for a spell's area
+ * @param {Object} area - Spell area ({type, size, radius, length, width})
+ * @returns {Object|null} Template data for createTemplate
+ */
+export function getTemplateForArea(area) {
+  if (!area) return null;
+
+  switch (area.type) {
+    case TemplateShape.CONE:
+      return { shape: TemplateShape.CONE, length: area.length || area.size };
+    case TemplateShape.CUBE:
+    case TemplateShape.SQUARE:
+      return { shape: area.type, size: area.size };
+    case TemplateShape.LINE:
+      return { shape: TemplateShape.LINE, length: area.length || area.size, width: area.width || 5 };
+    case TemplateShape.CYLINDER:
+    case TemplateShape.SPHERE:
+    case TemplateShape.CIRCLE:
+      return { shape: area.type, radius: area.radius || area.size };
+    default:
+      return null;
+  }
+}
+
+export default {
+  TemplateShape,
+  getGridScale,
+  createTemplate,
+  isPointInTemplate,
+  getGridCells,
+  getTemplateCells,
+  getTokenCells,
+  getTokensInTemplate,
+  getTemplateForArea
+};
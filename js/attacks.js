@@ -0,0 +1,154 @@
+/**
+ * Jesster's Combat Tracker
+ * Attacks Module
+ * Version 2.3.1
+ *
+ * This module reads attacks from monster actions and player attack lists and
+ * works out the pieces of an attack roll: the attack bonus, the damage
+ * components dealt on a hit and the AC bonus from cover. Advantage and
+ * disadvantage from conditions come from the rules engine. The combat module
+ * uses these to resolve an attack against one or more targets.
+ */
+
+import { parseWeaponMastery } from './rulesets.js';
+
+/**
+ * Attack kinds
+ */
+export const AttackKind = {
+  MELEE: 'melee',
+  RANGED: 'ranged'
+};
+
+/**
+ * Degrees of cover
+ */
+export const CoverType = {
+  NONE: 'none',
+  HALF: 'half',
+  THREE_QUARTERS: 'three-quarters',
+  TOTAL: 'total'
+};
+
+// AC bonus granted by each degree of cover (total cover can't be targeted)
+const COVER_AC_BONUS = {
+  [CoverType.NONE]: 0,
+  [CoverType.HALF]: 2,
+  [CoverType.THREE_QUARTERS]: 5
+};
+
+// "7 (1d8 + 3) slashing damage" or "5 fire damage" in a stat block
+const DAMAGE_PATTERN = /(\d+)\s*(?:\(([^)]+)\))?\s*([a-z]+)\s+damage/gi;
+
+/**
+ * Read the damage components from an attack's "Hit:" text
+ * @param {string} description - Action description
+ * @returns {Array} Components ({amount, type})
+ */
+export function parseDamageComponents(description) {
+  const hitIndex = description.search(/Hit:/i);
+  if (hitIndex === -1) return [];
+
+  // Riders in later sentences ("...or take 10 (3d6) poison damage") aren't part of the hit
+  const components = [];
+  const text = description.slice(hitIndex).split(/\.\s/)[0];
+  let match;
+
+  DAMAGE_PATTERN.lastIndex = 0;
+  while ((match = DAMAGE_PATTERN.exec(text)) !== null) {
+    components.push({
+      amount: match[2] ? match[2].replace(/\s+/g, '') : parseInt(match[1], 10),
+      type: match[3].toLowerCase()
+    });
+  }
+
+  return components;
+}
+
+/**
+ * Normalize a monster action or player attack into an attack
+ * @param {Object} action - Action ({name, attackBonus or toHit, damage, damageType, components, description, mastery})
+ * @returns {Object|null} Attack ({name, attackBonus, kind, components, magical, critRange, mastery}) or null if it isn't an attack
+ */
+export function parseAttackAction(action) {
+  if (!action) return null;
+
+  const description = action.description || '';
+  const bonusMatch = description.match(/([+-]\d+)\s+to hit/i);
+  const attackBonus = action.attackBonus ?? action.toHit ?? (bonusMatch ? parseInt(bonusMatch[1], 10) : null);
+
+  if (attackBonus === null || attackBonus === undefined) {
+    return null;
+  }
+
+  let components = action.components || [];
+  if (components.length === 0 && action.damage) {
+    components = [{ amount: action.damage, type: action.damageType || null }];
+  }
+  if (components.length === 0) {
+    components = parseDamageComponents(description);
+  }
+
+  const isRanged = action.kind === AttackKind.RANGED ||
+    (!action.kind && /ranged (weapon|spell) attack/i.test(description));
+
+  return {
+    id: action.id || null,
+    name: action.name || 'Attack',
+    attackBonus: Number(attackBonus),
+    kind: isRanged ? AttackKind.RANGED : AttackKind.MELEE,
+    components,
+    magical: !!action.magical || /spell attack/i.test(description),
+    silvered: !!action.silvered,
+    adamantine: !!action.adamantine,
+    critRange: action.critRange || 20,
+    mastery: parseWeaponMastery(action.mastery),
+    masteryDC: action.masteryDC || null,
+    abilityModifier: action.abilityModifier ?? null
+  };
+}
+
+/**
+ * Get the attacks a combatant can make, from monster actions and player attacks
+ * @param {Object} combatant - Combatant ({actions, attacks})
+ * @returns {Array} Attacks (see parseAttackAction)
+ */
+export function getAttackActions(combatant) {
+  return [...(combatant.actions || []), ...(combatant.attacks || [])]
+    .map(parseAttackAction)
+    .filter(Boolean);
+}
+
+/**
+ * Work out the ability modifier of an attack, from its own field or the flat
+ * bonus of its first damage component ("1d8+3" gives 3)
+ * @param {Object} attack - Attack (see parseAttackAction)
+ * @returns {number} Ability modifier
+ */
+export function getAttackAbilityModifier(attack) {
+  if (typeof attack.abilityModifier === 'number') return attack.abilityModifier;
+
+  const first = attack.components[0];
+  const match = first ? String(first.amount).replace(/\s+/g, '').match(/d\d+([+-]\d+)$/) : null;
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * Get the AC bonus for a degree of cover
+ * @param {string} cover - CoverType
+ * @returns {number|null} AC bonus, or null for total cover
+ */
+export function getCoverBonus(cover) {
+  if (cover === CoverType.TOTAL) return null;
+  return COVER_AC_BONUS[cover] || 0;
+}
+
+export default {
+  AttackKind,
+  CoverType,
+  parseDamageComponents,
+  parseAttackAction,
+  getAttackActions,
+  getAttackAbilityModifier,
+  getCoverBonus
+};
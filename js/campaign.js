@@ -0,0 +1,812 @@
+/**
+ * Jesster's Combat Tracker
+ * Campaign Module
+ * Version 2.3.1
+ *
+ * This module keeps a campaign in a folder on disk, one readable file per
+ * record, so it can be kept in git or Dropbox and edited by hand:
+ *
+ *   campaign.json            name and schema version of the campaign
+ *   encounters/<name>.json
+ *   players/<name>.json
+ *   monsters/<name>.json
+ *   notes/<title>.md         Markdown with the other note fields as front matter
+ *
+ * Records saved in the tracker are written to their files as they change,
+ * and the folder is read again when the tracker is reloaded, so changes made
+ * to the files outside the tracker are picked up. Browsers without the File
+ * System Access API can download the same files as a single bundle and load
+ * it again later.
+ */
+
+import { Collection, isSameRecord } from './repository.js';
+import { FileSystemHandler } from './saves.js';
+import { SCHEMA_VERSION, migrateCollection } from './migrations.js';
+
+/**
+ * Format names in the manifest and bundle files
+ */
+export const CAMPAIGN_FORMAT = 'jct-campaign';
+export const BUNDLE_FORMAT = 'jct-campaign-bundle';
+
+/**
+ * Collections kept in a campaign folder
+ */
+export const CAMPAIGN_COLLECTIONS = [
+  Collection.ENCOUNTERS,
+  Collection.PLAYERS,
+  Collection.MONSTERS,
+  Collection.NOTES
+];
+
+// File describing the campaign, at the top of the folder
+const MANIFEST_FILE = 'campaign.json';
+
+// Origin of repository changes read from the folder, which aren't written back
+const CAMPAIGN_ORIGIN = 'campaign';
+
+// Origin of repository changes loaded from a bundle
+const BUNDLE_ORIGIN = 'bundle';
+
+// Repository meta entry for the folder in use: the path of each record's
+// file, and records changed while the folder couldn't be written
+const CAMPAIGN_STATE = 'campaignFolder';
+
+/**
+ * Turn a name into something safe to use as a file name
+ * @param {string} text - Name
+ * @returns {string} File name without an extension
+ */
+export function slugify(text) {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60);
+
+  return slug || 'untitled';
+}
+
+/**
+ * Get the extension files of a collection are written with
+ * @private
+ * @param {string} collection - Collection
+ * @returns {string} Extension
+ */
+function extensionFor(collection) {
+  return collection === Collection.NOTES ? '.md' : '.json';
+}
+
+/**
+ * Write a note as Markdown. The content is the body; every other field goes
+ * in the front matter as "field: <JSON value>", which YAML readers accept too.
+ * @param {Object} note - Note
+ * @returns {string} Markdown
+ */
+export function noteToMarkdown(note) {
+  const { content, ...fields } = note;
+  const frontMatter = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+
+  return `---\n${frontMatter.join('\n')}\n---\n\n${content || ''}\n`;
+}
+
+/**
+ * Read a note written as Markdown. Files written by hand may leave out the
+ * front matter; the title is then taken from the first heading.
+ * @param {string} text - Markdown
+ * @param {string} fallbackId - ID to use if the file doesn't have one
+ * @returns {Object} Note
+ */
+export function markdownToNote(text, fallbackId) {
+  const normalized = text.replace(/\r\n/g, '\n');
+  const match = normalized.match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+
+  const note = {};
+  let body = normalized;
+
+  if (match) {
+    match[1].split('\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) return;
+
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      try {
+        note[key] = JSON.parse(value);
+      } catch (error) {
+        // Hand-written values such as "title: Goblin King" are plain text
+        note[key] = value;
+      }
+    });
+    body = match[2].replace(/^\n/, '');
+  }
+
+  note.content = body.replace(/\n$/, '');
+  if (!note.id) {
+    note.id = fallbackId;
+  }
+  if (!note.title) {
+    const heading = note.content.match(/^#\s+(.+)$/m);
+    note.title = heading ? heading[1].trim() : fallbackId;
+  }
+
+  return note;
+}
+
+/**
+ * Turn a record into the contents of its file
+ * @param {string} collection - Collection
+ * @param {Object} record - Record
+ * @returns {string} File contents
+ */
+export function recordToFile(collection, record) {
+  return collection === Collection.NOTES
+    ? noteToMarkdown(record)
+    : `${JSON.stringify(record, null, 2)}\n`;
+}
+
+/**
+ * Read a record from the contents of its file
+ * @param {string} collection - Collection
+ * @param {string} fileName - File name
+ * @param {string} text - File contents
+ * @returns {Object} Record
+ */
+export function fileToRecord(collection, fileName, text) {
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+
+  if (fileName.endsWith('.md')) {
+    return markdownToNote(text, baseName);
+  }
+
+  const record = JSON.parse(text);
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new Error('Expected a JSON object');
+  }
+  if (!record.id) {
+    record.id = baseName;
+  }
+
+  return record;
+}
+
+/**
+ * Get the name a record is filed under
+ * @private
+ * @param {Object} record - Record
+ * @returns {string} Display name
+ */
+function recordName(record) {
+  return record.name || record.title || record.id;
+}
+
+/**
+ * Work out the files of a campaign
+ * @param {Object} collections - Records of each collection
+ * @param {Object} manifest - Contents of campaign.json
+ * @returns {Object} {files, paths}: contents by path, and the path of each record by "<collection>/<id>"
+ */
+export function serializeCampaign(collections, manifest) {
+  const files = { [MANIFEST_FILE]: `${JSON.stringify(manifest, null, 2)}\n` };
+  const paths = {};
+
+  CAMPAIGN_COLLECTIONS.forEach(collection => {
+    (collections[collection] || []).forEach(record => {
+      const path = choosePath(paths, collection, record);
+      paths[`${collection}/${record.id}`] = path;
+      files[path] = recordToFile(collection, record);
+    });
+  });
+
+  return { files, paths };
+}
+
+/**
+ * Read the records of a campaign from its files. Files that can't be read
+ * are reported rather than stopping the rest from loading.
+ * @param {Object} files - Contents by path
+ * @returns {Object} {manifest, collections, paths, errors}
+ */
+export function parseCampaign(files) {
+  const collections = {};
+  const paths = {};
+  const errors = [];
+
+  let manifest = null;
+  if (files[MANIFEST_FILE]) {
+    try {
+      manifest = JSON.parse(files[MANIFEST_FILE]);
+    } catch (error) {
+      errors.push({ path: MANIFEST_FILE, error: error.message });
+    }
+  }
+
+  CAMPAIGN_COLLECTIONS.forEach(collection => {
+    collections[collection] = [];
+  });
+
+  Object.entries(files).forEach(([path, text]) => {
+    const [collection, fileName, ...rest] = path.split('/');
+    if (!fileName || rest.length > 0 || !CAMPAIGN_COLLECTIONS.includes(collection) || !/\.(json|md)$/.test(fileName)) {
+      return;
+    }
+
+    try {
+      const record = fileToRecord(collection, fileName, text);
+      const key = `${collection}/${record.id}`;
+      if (paths[key]) {
+        throw new Error(`Same id as ${paths[key]}`);
+      }
+
+      collections[collection].push(record);
+      paths[key] = path;
+    } catch (error) {
+      errors.push({ path, error: error.message });
+    }
+  });
+
+  return { manifest, collections, paths, errors };
+}
+
+/**
+ * Pick a file path for a record: its name, unless another record already
+ * has a file by that name
+ * @private
+ * @param {Object} paths - Path of each record by "<collection>/<id>"
+ * @param {string} collection - Collection
+ * @param {Object} record - Record
+ * @returns {string} Path
+ */
+function choosePath(paths, collection, record) {
+  const key = `${collection}/${record.id}`;
+  const extension = extensionFor(collection);
+  const taken = new Set(Object.entries(paths).filter(([other]) => other !== key).map(([, path]) => path));
+
+  const preferred = `${collection}/${slugify(recordName(record))}${extension}`;
+  if (!taken.has(preferred)) {
+    return preferred;
+  }
+
+  return `${collection}/${slugify(recordName(record))}-${slugify(record.id)}${extension}`;
+}
+
+/**
+ * Class for keeping a campaign in a folder
+ */
+export class CampaignFolder {
+  /**
+   * Create a campaign folder
+   * @param {Object} repository - Repository the campaign's records live in
+   * @param {Object} options - Options
+   * @param {FileSystemHandler} options.handler - File system handler (defaults to one that remembers the folder)
+   */
+  constructor(repository, options = {}) {
+    this.repository = repository;
+    this.handler = options.handler || new FileSystemHandler({ id: 'jct-campaign', remember: true });
+
+    // Path of each record's file by "<collection>/<id>"
+    this.paths = {};
+    this.manifest = null;
+    this.connected = false;
+
+    // Writes go one at a time, in the order the changes were made
+    this.writing = Promise.resolve();
+    this.stateUpdates = Promise.resolve();
+
+    this.listeners = [];
+
+    this.repository.addListener((event, data) => this._onRepositoryChange(event, data));
+  }
+
+  /**
+   * Check whether this browser can use a folder
+   * @returns {boolean} True if the File System Access API is available
+   */
+  isSupported() {
+    return typeof window !== 'undefined' && 'showDirectoryPicker' in window;
+  }
+
+  /**
+   * Check whether a folder is in use
+   * @returns {boolean} True if records are being written to a folder
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Get the name of the folder in use
+   * @returns {string|null} Folder name
+   */
+  getFolderName() {
+    return this.handler.getDirectoryName();
+  }
+
+  /**
+   * Check whether a folder was chosen in an earlier session
+   * @returns {Promise<boolean>} True if there is one to reconnect to
+   */
+  async hasRememberedFolder() {
+    if (!this.isSupported()) {
+      return false;
+    }
+
+    return !!(await this.handler.getRememberedDirectory());
+  }
+
+  /**
+   * Reconnect to the folder chosen in an earlier session and read it again.
+   * Without request, this only succeeds if the browser still allows access;
+   * with it, the browser may ask, which needs a click.
+   * @param {Object} options - Options
+   * @param {boolean} options.request - Ask for permission if needed
+   * @returns {Promise<Object|null>} What was loaded (see reload), or null if the folder can't be used
+   */
+  async restore(options = {}) {
+    if (!this.isSupported() || !(await this.handler.restoreDirectoryAccess(options))) {
+      return null;
+    }
+
+    this.connected = true;
+
+    // The paths are known before the folder is read, so a file that can't
+    // be read still tells which record it holds
+    const state = await this.repository.getMeta(CAMPAIGN_STATE);
+    this.paths = { ...((state && state.paths) || {}) };
+
+    // Changes made here while the folder couldn't be written go first, so
+    // reading it doesn't undo them
+    await this._writePending();
+
+    return this.reload();
+  }
+
+  /**
+   * Choose a campaign folder. A folder that already holds a campaign is
+   * read; an empty one gets the campaign currently in the tracker.
+   * @returns {Promise<Object|null>} {created} or what was loaded, or null if no folder was chosen
+   */
+  async open() {
+    if (!this.isSupported()) {
+      throw new Error('This browser cannot open folders; download a campaign bundle instead');
+    }
+
+    if (!(await this.handler.requestDirectoryAccess())) {
+      return null;
+    }
+
+    this.connected = true;
+    this.paths = {};
+    await this._updateState(() => ({ pending: {}, paths: {} }));
+
+    if (await this._holdsCampaign()) {
+      return this.reload();
+    }
+
+    await this.writeAll(this.getFolderName());
+    this._notifyListeners('campaignCreated', { name: this.manifest.name });
+    return { created: true };
+  }
+
+  /**
+   * Check whether the folder already has a campaign in it, including one
+   * put together by hand without a campaign.json
+   * @private
+   * @returns {Promise<boolean>} True if there is anything to read
+   */
+  async _holdsCampaign() {
+    if (await this.handler.readTextFile(MANIFEST_FILE) !== null) {
+      return true;
+    }
+
+    for (const collection of CAMPAIGN_COLLECTIONS) {
+      if ((await this.handler.readTextFiles(collection)).length > 0) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Stop using the folder. The records stay in the tracker.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.writing;
+    await this.handler.forgetDirectory();
+
+    this.connected = false;
+    this.paths = {};
+    this.manifest = null;
+    await this._updateState(() => null);
+
+    this._notifyListeners('campaignClosed', {});
+  }
+
+  /**
+   * Read the folder again and make the tracker match it
+   * @returns {Promise<Object>} {collections, errors}: the collections that changed, and files that couldn't be read
+   */
+  async reload() {
+    if (!this.connected) {
+      throw new Error('No campaign folder is open');
+    }
+
+    await this.writing;
+
+    const files = {};
+    const manifest = await this.handler.readTextFile(MANIFEST_FILE);
+    if (manifest !== null) {
+      files[MANIFEST_FILE] = manifest;
+    }
+    for (const collection of CAMPAIGN_COLLECTIONS) {
+      for (const { name, text } of await this.handler.readTextFiles(collection)) {
+        files[`${collection}/${name}`] = text;
+      }
+    }
+
+    const campaign = parseCampaign(files);
+    const result = await this._applyCampaign(campaign);
+
+    // Campaigns from an older version are rewritten in the current format
+    if (result.migrated) {
+      await this.writeAll(this.manifest.name);
+    } else if (manifest === null) {
+      await this._enqueue(() => this.handler.writeTextFile(MANIFEST_FILE, `${JSON.stringify(this.manifest, null, 2)}\n`));
+    }
+
+    this._notifyListeners('campaignLoaded', result);
+    return result;
+  }
+
+  /**
+   * Write every record and the manifest to the folder
+   * @param {string} name - Campaign name
+   * @returns {Promise<void>}
+   */
+  async writeAll(name) {
+    const collections = {};
+    for (const collection of CAMPAIGN_COLLECTIONS) {
+      collections[collection] = await this.repository.list(collection);
+    }
+
+    this.manifest = this._createManifest(name);
+    const { files, paths } = serializeCampaign(collections, this.manifest);
+
+    // Files of records filed under another name before are removed
+    const stale = Object.entries(this.paths)
+      .filter(([key, path]) => paths[key] !== path)
+      .map(([, path]) => path)
+      .filter(path => !files[path]);
+
+    this.paths = paths;
+    await this._savePaths();
+    await this._enqueue(async () => {
+      for (const [path, text] of Object.entries(files)) {
+        await this.handler.writeTextFile(path, text);
+      }
+      for (const path of stale) {
+        await this.handler.removeFile(path);
+      }
+    });
+  }
+
+  /**
+   * Get the campaign as a single file, for browsers that can't open folders
+   * or to hand a copy to someone. It holds the same files a folder would.
+   * @param {string} name - Campaign name (defaults to the open campaign's)
+   * @returns {Promise<Blob>} Bundle
+   */
+  async createBundle(name = undefined) {
+    const collections = {};
+    for (const collection of CAMPAIGN_COLLECTIONS) {
+      collections[collection] = await this.repository.list(collection);
+    }
+
+    const manifest = this._createManifest(name || (this.manifest && this.manifest.name) || 'Campaign');
+    const { files } = serializeCampaign(collections, manifest);
+
+    const bundle = {
+      format: BUNDLE_FORMAT,
+      name: manifest.name,
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      files
+    };
+
+    return new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+  }
+
+  /**
+   * Load a campaign bundle, making the tracker match it. If a folder is
+   * open, the bundle's records are written to it as well. The changes have
+   * the origin 'bundle', so the sync can tell them from edits.
+   * @param {File|Blob} file - Bundle file
+   * @returns {Promise<Object>} {collections, errors} (see reload)
+   */
+  async loadBundle(file) {
+    const bundle = JSON.parse(await file.text());
+    if (!bundle || bundle.format !== BUNDLE_FORMAT || !bundle.files) {
+      throw new Error('Not a campaign bundle');
+    }
+
+    const campaign = parseCampaign(bundle.files);
+    const result = await this._applyCampaign(campaign, { origin: BUNDLE_ORIGIN });
+
+    this._notifyListeners('campaignLoaded', result);
+    return result;
+  }
+
+  /**
+   * Make the tracker's records match a campaign's
+   * @private
+   * @param {Object} campaign - Parsed campaign (see parseCampaign)
+   * @param {Object} options - Options
+   * @param {string} options.origin - Origin of the repository changes; changes from the open folder aren't written back to it
+   * @returns {Promise<Object>} {collections, errors, migrated}
+   */
+  async _applyCampaign(campaign, options = { origin: CAMPAIGN_ORIGIN }) {
+    const { manifest, collections, paths, errors } = campaign;
+
+    if (manifest && manifest.format && manifest.format !== CAMPAIGN_FORMAT) {
+      throw new Error(`Not a campaign: ${MANIFEST_FILE} has format ${manifest.format}`);
+    }
+
+    const from = manifest && manifest.schemaVersion ? manifest.schemaVersion : SCHEMA_VERSION;
+    const changed = [];
+
+    // A file that can't be read (say, half-way through a hand edit) doesn't
+    // delete its record; the copy in the tracker is kept until it is fixed
+    const unreadable = new Set(errors.map(({ path }) => path));
+    const kept = Object.entries(this.paths).filter(([, path]) => unreadable.has(path));
+
+    for (const collection of CAMPAIGN_COLLECTIONS) {
+      const records = from < SCHEMA_VERSION
+        ? migrateCollection(collection, collections[collection], from, SCHEMA_VERSION)
+        : [...collections[collection]];
+
+      for (const [key, path] of kept) {
+        const id = key.slice(collection.length + 1);
+        if (!key.startsWith(`${collection}/`) || records.some(record => record.id === id)) continue;
+
+        const record = await this.repository.get(collection, id);
+        if (record) {
+          records.push(record);
+          paths[key] = path;
+        }
+      }
+
+      const before = await this.repository.list(collection);
+      await this.repository.replaceAll(collection, records, { origin: options.origin });
+      if (!isSameRecord(await this.repository.list(collection), before)) {
+        changed.push(collection);
+      }
+    }
+
+    if (options.origin === CAMPAIGN_ORIGIN) {
+      this.paths = paths;
+      this.manifest = manifest || this._createManifest(this.getFolderName());
+      await this._savePaths();
+    }
+
+    errors.forEach(({ path, error }) => console.warn(`Skipped campaign file ${path}: ${error}`));
+
+    return { collections: changed, errors, migrated: from < SCHEMA_VERSION };
+  }
+
+  /**
+   * Create the contents of campaign.json
+   * @private
+   * @param {string} name - Campaign name
+   * @returns {Object} Manifest
+   */
+  _createManifest(name) {
+    return {
+      format: CAMPAIGN_FORMAT,
+      name: name || 'Campaign',
+      schemaVersion: SCHEMA_VERSION,
+      ...(this.manifest && this.manifest.created ? { created: this.manifest.created } : { created: new Date().toISOString() })
+    };
+  }
+
+  /**
+   * Write a record's file when it changes in the tracker
+   * @private
+   * @param {string} event - Repository event
+   * @param {Object} data - Event data
+   */
+  async _onRepositoryChange(event, data) {
+    if ((event !== 'put' && event !== 'remove') || data.origin === CAMPAIGN_ORIGIN) {
+      return;
+    }
+    if (!CAMPAIGN_COLLECTIONS.includes(data.collection)) {
+      return;
+    }
+
+    if (!this.connected) {
+      await this._markPending(data.collection, data.id);
+      return;
+    }
+
+    try {
+      await this._writeRecord(data.collection, data.id, event === 'put' ? data.record : null);
+    } catch (error) {
+      console.error('Error writing campaign file:', error);
+      await this._markPending(data.collection, data.id);
+      this._notifyListeners('writeFailed', { collection: data.collection, id: data.id, error });
+    }
+
+    await this._savePaths();
+  }
+
+  /**
+   * Write or delete one record's file
+   * @private
+   * @param {string} collection - Collection
+   * @param {string} id - Record ID
+   * @param {Object|null} record - Record, or null if it was removed
+   * @returns {Promise<void>}
+   */
+  _writeRecord(collection, id, record) {
+    const key = `${collection}/${id}`;
+    const previous = this.paths[key];
+
+    if (!record) {
+      delete this.paths[key];
+      return previous ? this._enqueue(() => this.handler.removeFile(previous)) : Promise.resolve();
+    }
+
+    const path = choosePath(this.paths, collection, record);
+    this.paths[key] = path;
+
+    return this._enqueue(async () => {
+      await this.handler.writeTextFile(path, recordToFile(collection, record));
+      if (previous && previous !== path) {
+        await this.handler.removeFile(previous);
+      }
+    });
+  }
+
+  /**
+   * Run a file operation after the ones before it
+   * @private
+   * @param {Function} operation - Operation
+   * @returns {Promise<void>}
+   */
+  _enqueue(operation) {
+    const next = this.writing.then(operation);
+    this.writing = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Note a record that changed while a remembered folder couldn't be written
+   * @private
+   * @param {string} collection - Collection
+   * @param {string} id - Record ID
+   * @returns {Promise<void>}
+   */
+  _markPending(collection, id) {
+    // Without a state there is no folder in use
+    return this._updateState(state => (state
+      ? { ...state, pending: { ...state.pending, [`${collection}/${id}`]: { collection, id } } }
+      : undefined));
+  }
+
+  /**
+   * Keep the path of each record's file with the folder state, so a file
+   * that can't be read after a restart still keeps its record
+   * @private
+   * @returns {Promise<void>}
+   */
+  _savePaths() {
+    return this._updateState(state => (state ? { ...state, paths: { ...this.paths } } : undefined));
+  }
+
+  /**
+   * Change the folder state, one change at a time
+   * @private
+   * @param {Function} update - Gets the state (null if no folder is in use) and returns the new one, or undefined to leave it
+   * @returns {Promise<void>}
+   */
+  _updateState(update) {
+    const next = this.stateUpdates.then(async () => {
+      const state = update(await this.repository.getMeta(CAMPAIGN_STATE));
+      if (state !== undefined) {
+        await this.repository.setMeta(CAMPAIGN_STATE, state);
+      }
+    });
+    this.stateUpdates = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Write the records that changed while the folder couldn't be written
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _writePending() {
+    const state = await this.repository.getMeta(CAMPAIGN_STATE);
+    const pending = Object.values((state && state.pending) || {});
+    if (pending.length === 0) {
+      return;
+    }
+
+    // Find where each record is filed now
+    for (const collection of CAMPAIGN_COLLECTIONS) {
+      for (const { name, text } of await this.handler.readTextFiles(collection)) {
+        try {
+          this.paths[`${collection}/${fileToRecord(collection, name, text).id}`] = `${collection}/${name}`;
+        } catch (error) {
+          // Reported when the folder is read
+        }
+      }
+    }
+
+    for (const { collection, id } of pending) {
+      await this._writeRecord(collection, id, await this.repository.get(collection, id));
+    }
+
+    await this._updateState(current => (current ? { ...current, pending: {}, paths: { ...this.paths } } : undefined));
+  }
+
+  /**
+   * Add a listener for campaign events (campaignCreated, campaignLoaded,
+   * campaignClosed and writeFailed)
+   * @param {Function} listener - Called with (event, data)
+   * @returns {Function} Function to remove the listener
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Notify all listeners of an event
+   * @private
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  _notifyListeners(event, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error('Error in campaign listener:', error);
+      }
+    });
+  }
+}
+
+/**
+ * Create a campaign folder for a repository
+ * @param {Object} repository - Repository the campaign's records live in
+ * @param {Object} options - Options
+ * @returns {CampaignFolder} A new campaign folder
+ */
+export function createCampaignFolder(repository, options = {}) {
+  return new CampaignFolder(repository, options);
+}
+
+export default {
+  CAMPAIGN_FORMAT,
+  BUNDLE_FORMAT,
+  CAMPAIGN_COLLECTIONS,
+  CampaignFolder,
+  createCampaignFolder,
+  slugify,
+  noteToMarkdown,
+  markdownToNote,
+  recordToFile,
+  fileToRecord,
+  serializeCampaign,
+  parseCampaign
+};
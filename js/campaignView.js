@@ -0,0 +1,190 @@
+/**
+ * Jesster's Combat Tracker
+ * Campaign View Module
+ * Version 2.3.1
+ *
+ * This module holds the screens for the campaign folder (see campaign.js):
+ * the prompt to reconnect to the folder from the last session, and the
+ * settings controls to open, reload or close the folder and to download or
+ * upload the campaign as a single bundle file where folders can't be used.
+ * Both build their own DOM, so any page can show them.
+ */
+
+import { Modal } from './ui.js';
+
+/**
+ * Fill in the defaults of the view options
+ * @param {Object} options - View options
+ * @returns {Object} {notify, confirm, onChange}
+ * @private
+ */
+function getViewOptions(options) {
+  return {
+    notify: options.notify || (message => alert(message)),
+    confirm: options.confirm || (message => window.confirm(message)),
+    onChange: options.onChange || (() => {})
+  };
+}
+
+/**
+ * Run a campaign folder action and report how it went
+ * @param {Function} action - Action returning a promise
+ * @param {string} successMessage - Message to show when it succeeds
+ * @param {Function} notify - Called with (message, type)
+ * @returns {Promise<void>}
+ * @private
+ */
+async function runCampaignAction(action, successMessage, notify) {
+  try {
+    const result = await action();
+
+    if (successMessage && result !== null) {
+      notify(successMessage, 'success');
+    }
+  } catch (error) {
+    console.error('Campaign folder error:', error);
+    notify(`Campaign folder error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Reconnect to the campaign folder from the last session. Browsers may only
+ * allow that after a click, in which case the user is asked.
+ * @param {CampaignFolder} campaign - Campaign folder
+ * @param {Object} options - View options
+ * @param {Function} options.notify - Called with (message, type) to report an outcome
+ * @param {Function} options.onChange - Called after the folder was reconnected
+ * @returns {Promise<void>}
+ */
+export async function restoreCampaignFolder(campaign, options = {}) {
+  const { notify, onChange } = getViewOptions(options);
+
+  try {
+    if (await campaign.restore() || !(await campaign.hasRememberedFolder())) {
+      return;
+    }
+  } catch (error) {
+    console.error('Error reading campaign folder:', error);
+    return;
+  }
+
+  const content = document.createElement('p');
+  content.textContent = 'Allow the tracker to use your campaign folder again, to load changes made to its files and keep saving to it.';
+
+  const close = () => {
+    modal.close();
+    modal.destroy();
+  };
+
+  const modal = new Modal({
+    title: 'Campaign Folder',
+    closable: false,
+    closeOnBackdropClick: false,
+    closeOnEscape: false,
+    footer: [
+      { label: 'Not Now', variant: 'secondary', onClick: close },
+      {
+        label: 'Reconnect',
+        variant: 'primary',
+        onClick: () => {
+          close();
+          runCampaignAction(() => campaign.restore({ request: true }), null, notify).then(onChange);
+        }
+      }
+    ]
+  });
+
+  modal.render(document.body);
+  modal.contentElement.appendChild(content);
+  modal.open();
+}
+
+/**
+ * Render the campaign folder settings: where the campaign is kept and the
+ * buttons to change that, plus bundle download and upload
+ * @param {HTMLElement} container - Container element
+ * @param {CampaignFolder} campaign - Campaign folder
+ * @param {Object} options - View options
+ * @param {Function} options.notify - Called with (message, type) to report an outcome
+ * @param {Function} options.confirm - Called with a question; returns (a promise of) true to go ahead
+ * @param {Function} options.onChange - Called after anything changed, to render the controls again
+ * @returns {HTMLElement} The rendered controls
+ */
+export function renderCampaignControls(container, campaign, options = {}) {
+  const { notify, confirm, onChange } = getViewOptions(options);
+  const run = (action, successMessage = null) => runCampaignAction(action, successMessage, notify).then(onChange);
+
+  const controls = document.createElement('div');
+  controls.className = 'jct-campaign-controls';
+
+  const status = document.createElement('p');
+  status.className = 'jct-campaign-status';
+  if (!campaign.isSupported()) {
+    status.textContent = 'This browser cannot open folders. Download the campaign as a bundle to keep a copy, and upload it again to load it.';
+  } else if (campaign.isConnected()) {
+    status.textContent = `Saving to the campaign folder "${campaign.getFolderName()}". Encounters, players, monsters and notes are kept there as one JSON or Markdown file each; changes made to those files are loaded when the tracker is reloaded.`;
+  } else {
+    status.textContent = 'Choose a folder to keep encounters, players, monsters and notes in as one JSON or Markdown file each, for example in a git repository or Dropbox. A folder that already holds a campaign is loaded in place of the current one.';
+  }
+  controls.appendChild(status);
+
+  const addButton = (text, variant, onClick) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `jct-button jct-button-${variant}`;
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    controls.appendChild(button);
+  };
+
+  if (campaign.isSupported()) {
+    if (campaign.isConnected()) {
+      addButton('Reload From Folder', 'primary', () => {
+        run(() => campaign.reload(), 'Campaign reloaded');
+      });
+      addButton('Close Folder', 'secondary', () => {
+        run(() => campaign.close(), 'Campaign folder closed');
+      });
+    } else {
+      addButton('Open Campaign Folder', 'primary', () => {
+        run(() => campaign.open(), 'Campaign folder opened');
+      });
+    }
+  }
+
+  addButton('Download Bundle', 'secondary', () => {
+    run(async () => {
+      const blob = await campaign.createBundle();
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `campaign_${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+
+      URL.revokeObjectURL(url);
+    });
+  });
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,application/json';
+  fileInput.style.display = 'none';
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    if (await confirm('Replace the encounters, players, monsters and notes in the tracker with the ones in this bundle?')) {
+      run(() => campaign.loadBundle(file), 'Campaign bundle loaded');
+    }
+    fileInput.value = '';
+  });
+  controls.appendChild(fileInput);
+
+  addButton('Upload Bundle', 'secondary', () => {
+    fileInput.click();
+  });
+
+  container.appendChild(controls);
+  return controls;
+}
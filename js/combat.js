@@ -2,8 +2,44 @@
  * Combat module for Jesster's Combat Tracker
  * Handles combat management, initiative tracking, and turn order
  */
+import * as actions from './actions.js';
+import { compareInitiative } from './reducers.js';
+import { store as appStore } from './store.js';
+import { DurationAnchor } from './conditions.js';
+import { createDamagePacket } from './damage.js';
+import {
+    CoverType,
+    parseAttackAction,
+    getAttackActions,
+    getAttackAbilityModifier,
+    getCoverBonus
+} from './attacks.js';
+import { createRulesEngine } from './rulesEngine.js';
+import { Ruleset, SurpriseRule, WeaponMastery, getRuleset, getSurpriseRule } from './rulesets.js';
+import { getStealthModifier, determineSurprise } from './surprise.js';
+import { getWalkingSpeed } from './movement.js';
+import {
+    ActionType,
+    ACTION_TYPE_NAMES,
+    createActionGrant,
+    resetActionEconomy,
+    getRemaining,
+    hasAvailable,
+    spendResource,
+    restoreResource,
+    addActionGrant,
+    removeActionGrant
+} from './actionEconomy.js';
+import {
+    RecurringEffectType,
+    createRecurringEffect,
+    recordDamageTaken,
+    getSuppressingDamage,
+    advanceRecurringEffect
+} from './recurringEffects.js';
+
 class Combat {
-    constructor(storage, dice, audio, conditions, damage, settings) {
+    constructor(storage, dice, audio, conditions, damage, settings, store = appStore) {
         // Store references to other modules
         this.storage = storage;
         this.dice = dice;
@@ -12,14 +48,32 @@ class Combat {
         this.damage = damage;
         this.settings = settings;
         
+        // Rules engine that turns conditions into roll modifiers; the dice
+        // module consults it for every roll made for a combatant
+        this.rules = createRulesEngine(conditions);
+        if (this.dice && typeof this.dice.setRulesEngine === 'function' && !this.dice.rules) {
+            this.dice.setRulesEngine(this.rules);
+        }
+        
+        // Application store; combatants, initiative, turns and rounds live in
+        // its combat slice and only change by dispatching actions
+        this.store = store;
+        
+        // Ruleset of the current fight when it differs from the ruleset
+        // setting; the condition definitions follow whichever is in force
+        this.rulesetOverride = null;
+        this._syncRuleset();
+        this.store.subscribe(() => this._syncRuleset());
+        
         // Combat state
-        this.active = false;
-        this.round = 0;
-        this.turnIndex = -1;
-        this.combatants = [];
-        this.initiativeOrder = [];
         this.history = [];
+        this.initialCombatants = [];
         this.startTime = null;
+        
+        // Surprise check made for the next fight (see checkSurprise), and the
+        // one made for the current fight, which a replay makes again
+        this.pendingSurprise = null;
+        this.surpriseCheck = null;
         this.elapsedTime = 0;
         this.timer = null;
         this.timerInterval = null;
@@ -31,6 +85,20 @@ class Combat {
         this.turnTimerAutoEnd = this.settings.shouldTurnTimerAutoEnd();
         this.initiativeSystem = this.settings.getInitiativeSystem();
         
+        // Under popcorn initiative, who the last combatant of a round picked
+        // to start the next one
+        this.popcornRoundStarter = null;
+        
+        // Combat history log (set with setCombatHistory) and concentration
+        // checks waiting for a save result from the table
+        this.combatHistory = null;
+        this.stopRecordingRolls = null;
+        this.pendingConcentrationChecks = new Map();
+        
+        // Initiative and round of the last turn that ended, so durations
+        // anchored to a combatant who has left the order still tick
+        this.lastTurn = null;
+        
         // Event callbacks
         this.callbacks = {
             onCombatStart: [],
@@ -45,41 +113,227 @@ class Combat {
             onCombatantUpdated: [],
             onTimerTick: [],
             onTurnTimerTick: [],
-            onTurnTimerExpired: []
+            onTurnTimerExpired: [],
+            onConcentrationCheck: [],
+            onConcentrationEnded: [],
+            onConditionExpired: [],
+            onAttack: [],
+            onRecurringEffect: [],
+            onActionEconomyWarning: [],
+            onReadiedActionPrompt: [],
+            onPopcornPrompt: [],
+            onSurprisedTurnSkipped: []
         };
         
         console.log("Combat module initialized");
     }
 
+    /**
+     * Get the combat slice of the store state
+     * @returns {Object} Combat state
+     */
+    get state() {
+        return this.store.getState().combat;
+    }
+
+    /**
+     * Whether combat is active
+     * @returns {boolean} Active status
+     */
+    get active() {
+        return this.state.active;
+    }
+
+    /**
+     * Current round
+     * @returns {number} Round number
+     */
+    get round() {
+        return this.state.round;
+    }
+
+    /**
+     * Index of the current turn in the initiative order
+     * @returns {number} Turn index
+     */
+    get turnIndex() {
+        return this.state.turnIndex;
+    }
+
+    /**
+     * All combatants
+     * @returns {Array} Combatants
+     */
+    get combatants() {
+        return this.state.combatants;
+    }
+
+    /**
+     * Combatants in initiative order
+     * @returns {Array} Combatants
+     */
+    get initiativeOrder() {
+        const { combatants, initiativeOrder } = this.state;
+        return initiativeOrder
+            .map(id => combatants.find(c => c.id === id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Dispatch an action to the store
+     * @param {Object} action - Action from actions.js
+     * @returns {Object} Dispatched action
+     */
+    dispatch(action) {
+        return this.store.dispatch(action);
+    }
+
+    /**
+     * Get the ruleset in force for the current fight
+     * @returns {string} Ruleset (see rulesets.js)
+     */
+    getRuleset() {
+        return getRuleset(this.store.getState(), this.rulesetOverride);
+    }
+
+    /**
+     * Keep the condition definitions on the ruleset in force
+     * @private
+     */
+    _syncRuleset() {
+        this.conditions.setRuleset(this.getRuleset());
+    }
+
+    /**
+     * Work out who is surprised as combat starts: the combatants hiding roll
+     * Stealth (unless the table already did) against the passive Perception
+     * of everyone on the other side. Pass the result to startCombat.
+     * The Stealth rolls open the fight's dice session, which startCombat
+     * then carries on, so a replay rolls them again.
+     * @param {Array} combatants - Everyone in the fight
+     * @param {Array<string>} hidingIds - IDs of the combatants trying to hide
+     * @param {Object} options - Surprise options
+     * @param {Object} options.stealth - Stealth totals rolled at the table, keyed by combatant ID
+     * @param {number|string} options.seed - Dice session seed (a new one is generated if omitted)
+     * @returns {Promise<Object>} {surprised, stealth, passivePerception}
+     */
+    async checkSurprise(combatants, hidingIds = [], options = {}) {
+        const stealth = {};
+        
+        // A replay has its session already
+        const seed = this.dice.isReplaying() ? null : this.dice.startSession(options.seed);
+        this.pendingSurprise = {
+            seed,
+            hidingIds: [...hidingIds],
+            stealth: { ...(options.stealth || {}) }
+        };
+        
+        for (const combatant of combatants.filter(c => hidingIds.includes(c.id))) {
+            const rolled = options.stealth ? options.stealth[combatant.id] : undefined;
+            if (typeof rolled === 'number') {
+                stealth[combatant.id] = rolled;
+                continue;
+            }
+            
+            const roll = await this.dice.rollSkill('Stealth', getStealthModifier(combatant), combatant.name, {
+                actorId: combatant.id,
+                actorName: combatant.name,
+                combatant
+            });
+            stealth[combatant.id] = roll.total;
+        }
+        
+        const { surprised, passivePerception } = determineSurprise(combatants, stealth);
+        
+        return { surprised, stealth, passivePerception };
+    }
+
     /**
      * Start combat
      * @param {Array} combatants - Optional array of combatants to add
-     * @returns {boolean} Success status
+     * @param {Object} options - Combat options
+     * @param {string} options.ruleset - Ruleset for this fight, e.g. the encounter's (defaults to the setting)
+     * @param {Array<string>} options.surprised - IDs of the combatants caught by surprise (see checkSurprise)
+     * @param {number|string} options.seed - Dice session seed (a new one is generated if omitted; ignored after checkSurprise, which opened the session)
+     * @param {string} options.encounterId - ID the combat history records the fight under
+     * @param {string} options.encounterName - Name the combat history records the fight under
+     * @param {boolean} options.rollInitiative - Roll initiative for combatants without one (default true; false starts them at 0)
+     * @returns {Promise<boolean>} Success status, once initiative is rolled and the first turn started
      */
-    startCombat(combatants = []) {
+    async startCombat(combatants = [], options = {}) {
         // Check if combat is already active
         if (this.active) {
             console.warn('Combat is already active');
             return false;
         }
         
+        // Use the encounter's ruleset for this fight, if it has one
+        this.rulesetOverride = options.ruleset || null;
+        this._syncRuleset();
+        
         // Reset combat state
-        this.active = true;
-        this.round = 1;
-        this.turnIndex = -1;
-        this.combatants = [];
-        this.initiativeOrder = [];
+        this.dispatch(actions.clearCombat());
+        this.dispatch(actions.startCombat());
         this.history = [];
         this.startTime = new Date();
         this.elapsedTime = 0;
+        this.lastTurn = null;
+        this.initiativeSystem = this.settings.getInitiativeSystem();
+        this.popcornRoundStarter = null;
         
         // Add combatants if provided
         if (combatants && combatants.length > 0) {
             combatants.forEach(combatant => this.addCombatant(combatant));
         }
         
-        // Roll initiative for all combatants
-        this._rollInitiative();
+        // Everyone starts with a full action economy, so reactions are ready
+        // before their first turn, and nothing readied or delayed from an earlier fight
+        this.combatants.forEach(combatant => this.updateCombatant(combatant.id, {
+            actionEconomy: resetActionEconomy(null, this.getSpeed(combatant.id)),
+            readiedAction: null,
+            delayedTurn: null
+        }));
+        
+        // Keep the starting line-up so the encounter can be replayed
+        this.initialCombatants = JSON.parse(JSON.stringify(this.combatants));
+        
+        // Mark who was caught by surprise before initiative, which it can affect
+        const surprised = (options.surprised || []).filter(id => this.getCombatant(id));
+        surprised.forEach(id => this.applyCondition(id, 'surprised', { source: 'Surprise' }));
+        
+        // Seed the dice for this session, unless a recorded session is being
+        // replayed or the surprise check opened it; a seed from the combat
+        // history (see getReplayData) replays it too
+        const surpriseCheck = this.pendingSurprise;
+        this.pendingSurprise = null;
+        this.surpriseCheck = surpriseCheck ? { hidingIds: surpriseCheck.hidingIds, stealth: surpriseCheck.stealth } : null;
+        
+        let seed;
+        if (this.dice.isReplaying()) {
+            seed = this.dice.getSeed();
+        } else if (surpriseCheck && surpriseCheck.seed !== null) {
+            seed = surpriseCheck.seed;
+        } else {
+            seed = this.dice.startSession(options.seed);
+        }
+        
+        // Open the encounter in the combat history with the seed it replays from
+        if (this.combatHistory) {
+            this.combatHistory.initializeEncounter(
+                options.encounterId || `combat-${this.startTime.getTime()}`,
+                options.encounterName || 'Combat'
+            );
+            this.combatHistory.recordSessionSeed(seed);
+        }
+        
+        // Roll initiative for the combatants who came without one; the table
+        // may have rolled the rest. The first turn waits for the order.
+        if (options.rollInitiative !== false) {
+            await this._rollInitiative();
+        }
+        this.combatants
+            .filter(combatant => combatant.initiative === null)
+            .forEach(combatant => this.updateCombatant(combatant.id, { initiative: 0 }));
         
         // Start combat timer
         this._startTimer();
@@ -87,7 +341,9 @@ class Combat {
         // Log combat start
         this._addToHistory('combat-start', {
             round: this.round,
-            startTime: this.startTime
+            startTime: this.startTime,
+            seed,
+            surprised
         });
         
         // Trigger callbacks
@@ -135,11 +391,15 @@ class Combat {
             elapsedTime: this.elapsedTime
         };
         
-        this.active = false;
-        this.round = 0;
-        this.turnIndex = -1;
+        this.dispatch(actions.endCombat());
+        this.rulesetOverride = null;
+        this._syncRuleset();
         this.startTime = null;
         
+        if (this.combatHistory) {
+            this.combatHistory.endEncounter();
+        }
+        
         // Trigger callbacks
         this._triggerCallbacks('onCombatEnd', {
             round: this.round,
@@ -162,8 +422,8 @@ class Combat {
             combatant.id = `combatant-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
         }
         
-        // Set default values
-        combatant.initiative = combatant.initiative || 0;
+        // Set default values; initiative stays unset until it is rolled
+        combatant.initiative = combatant.initiative ?? null;
         combatant.initiativeRoll = combatant.initiativeRoll || null;
         combatant.hp = combatant.hp !== undefined ? combatant.hp : (combatant.maxHp || 0);
         combatant.tempHp = combatant.tempHp || 0;
@@ -171,8 +431,8 @@ class Combat {
         combatant.hidden = combatant.hidden || false;
         combatant.defeated = combatant.defeated || false;
         
-        // Add to combatants array
-        this.combatants.push(combatant);
+        // Add to combatants
+        this.dispatch(actions.addCombatant(combatant));
         
         // Roll initiative if requested
         if (rollInitiative && this.active) {
@@ -188,12 +448,14 @@ class Combat {
             combatantName: combatant.name
         });
         
+        const addedCombatant = this.getCombatant(combatant.id);
+        
         // Trigger callbacks
         this._triggerCallbacks('onCombatantAdded', {
-            combatant
+            combatant: addedCombatant
         });
         
-        return combatant;
+        return addedCombatant;
     }
 
     /**
@@ -212,17 +474,12 @@ class Combat {
         // Get combatant
         const combatant = this.combatants[index];
         
-        // Remove from combatants array
-        this.combatants.splice(index, 1);
+        // Remove from combatants and initiative order
+        this.dispatch(actions.removeCombatant(combatantId));
         
         // Update initiative order
         this._updateInitiativeOrder();
         
-        // Adjust turn index if necessary
-        if (this.active && this.turnIndex >= this.initiativeOrder.length) {
-            this.turnIndex = 0;
-        }
-        
         // Log combatant removed
         this._addToHistory('combatant-removed', {
             combatantId: combatant.id,
@@ -244,6 +501,19 @@ class Combat {
      * @returns {Object|null} Updated combatant or null if not found
      */
     updateCombatant(combatantId, updates) {
+        return this._changeCombatant(combatantId, actions.updateCombatant(combatantId, updates), updates);
+    }
+
+    /**
+     * Dispatch an action that changes one combatant, then log the change and
+     * tell listeners, so damage and healing keep their own action types
+     * @private
+     * @param {string} combatantId - Combatant ID
+     * @param {Object} action - Action to dispatch (see actions.js)
+     * @param {Object} updates - Fields the action changes, for the log and listeners
+     * @returns {Object|null} Updated combatant or null if not found
+     */
+    _changeCombatant(combatantId, action, updates) {
         // Find combatant
         const index = this.combatants.findIndex(c => c.id === combatantId);
         if (index === -1) {
@@ -253,8 +523,8 @@ class Combat {
         
         // Update combatant
         const combatant = this.combatants[index];
-        const updatedCombatant = { ...combatant, ...updates };
-        this.combatants[index] = updatedCombatant;
+        this.dispatch(action);
+        const updatedCombatant = this.getCombatant(combatantId);
         
         // Update initiative order if initiative changed
         if (updates.initiative !== undefined && updates.initiative !== combatant.initiative) {
@@ -396,10 +666,13 @@ class Combat {
     }
 
     /**
-     * Start the next turn
+     * Start the next turn. Under popcorn initiative the combatant ending its
+     * turn picks who goes next: without nextCombatantId the table is
+     * prompted (onPopcornPrompt) and the turn doesn't end yet.
+     * @param {string} nextCombatantId - Combatant handed the turn (popcorn initiative only)
      * @returns {Object|null} New current combatant or null if no active combat
      */
-    nextTurn() {
+    nextTurn(nextCombatantId = null) {
         // Check if combat is active
         if (!this.active) {
             console.warn('Combat is not active');
@@ -412,18 +685,29 @@ class Combat {
             return null;
         }
         
+        // Under popcorn initiative the turn goes to whoever was picked
+        if (this.isPopcornInitiative() && !this._handOffPopcornTurn(nextCombatantId)) {
+            return null;
+        }
+        
         // End current turn
         if (this.turnIndex >= 0 && this.turnIndex < this.initiativeOrder.length) {
             this._endTurn();
         }
         
-        // Increment turn index
-        this.turnIndex = (this.turnIndex + 1) % this.initiativeOrder.length;
-        
-        // Check if we've completed a round
-        if (this.turnIndex === 0) {
+        // Check if this turn completes the round
+        const completesRound = this.turnIndex + 1 >= this.initiativeOrder.length;
+        if (completesRound) {
             this._endRound();
+        }
+        
+        // Advance the turn (and the round, when the order wraps)
+        this.dispatch(actions.nextTurn());
+        
+        // A new round starts its own first turn
+        if (completesRound) {
             this._startRound();
+            return this.getCurrentCombatant();
         }
         
         // Start new turn
@@ -452,13 +736,12 @@ class Combat {
             this._endTurn();
         }
         
-        // Decrement turn index
-        this.turnIndex = (this.turnIndex - 1 + this.initiativeOrder.length) % this.initiativeOrder.length;
+        // Go back a turn (and a round, when the order wraps)
+        const previousRound = this.round;
+        this.dispatch(actions.previousTurn());
         
         // Check if we've gone back a round
-        if (this.turnIndex === this.initiativeOrder.length - 1) {
-            this.round = Math.max(1, this.round - 1);
-            
+        if (this.round !== previousRound) {
             // Log round start
             this._addToHistory('round-start', {
                 round: this.round
@@ -490,6 +773,12 @@ class Combat {
         // Find combatant in initiative order
         const index = this.initiativeOrder.findIndex(c => c.id === combatantId);
         if (index === -1) {
+            // A delayed combatant jumps back in to act now
+            const combatant = this.getCombatant(combatantId);
+            if (combatant && combatant.delayedTurn) {
+                return this.resumeDelayedTurn(combatantId);
+            }
+            
             console.warn(`Combatant not found in initiative order: ${combatantId}`);
             return null;
         }
@@ -500,7 +789,7 @@ class Combat {
         }
         
         // Set turn index
-        this.turnIndex = index;
+        this.dispatch(actions.setActiveCombatant(combatantId));
         
         // Start new turn
         return this._startTurn();
@@ -634,7 +923,7 @@ class Combat {
      * Apply a condition to a combatant
      * @param {string} combatantId - Combatant ID
      * @param {string} conditionId - Condition ID
-     * @param {Object} options - Condition options
+     * @param {Object} options - Condition options (see Conditions.applyCondition)
      * @returns {Object|null} Updated combatant or null if not found
      */
     applyCondition(combatantId, conditionId, options = {}) {
@@ -645,8 +934,18 @@ class Combat {
             return null;
         }
         
+        // Remember where the source acts and which turn this is, so anchored
+        // durations tick at the right boundary
+        const source = options.sourceId ? this.getCombatant(options.sourceId) : null;
+        const current = this.active ? this.getCurrentCombatant() : null;
+        const conditionOptions = {
+            ...options,
+            sourceInitiative: options.sourceInitiative ?? (source ? source.initiative : null),
+            appliedDuring: options.appliedDuring ?? (current ? { combatantId: current.id, round: this.round } : null)
+        };
+        
         // Apply condition
-        const updatedCombatant = this.conditions.applyCondition(combatant, conditionId, options);
+        const updatedCombatant = this.conditions.applyCondition(this._detachCombatant(combatant), conditionId, conditionOptions);
         
         // Update combatant
         return this.updateCombatant(combatantId, {
@@ -669,7 +968,7 @@ class Combat {
         }
         
         // Remove condition
-        const updatedCombatant = this.conditions.removeCondition(combatant, conditionId);
+        const updatedCombatant = this.conditions.removeCondition(this._detachCombatant(combatant), conditionId);
         
         // Update combatant
         return this.updateCombatant(combatantId, {
@@ -678,87 +977,67 @@ class Combat {
     }
 
     /**
-     * Apply damage to a combatant
+     * Attach a recurring damage or healing effect to a combatant
      * @param {string} combatantId - Combatant ID
-     * @param {number|string} amount - Damage amount or formula
-     * @param {Object} options - Damage options
-     * @returns {Promise<Object|null>} Damage result or null if combatant not found
+     * @param {Object} data - Effect data (see createRecurringEffect in recurringEffects.js)
+     * @returns {Object|null} Added effect or null if the combatant is not found
      */
-    async applyDamage(combatantId, amount, options = {}) {
-        // Find combatant
+    addRecurringEffect(combatantId, data = {}) {
         const combatant = this.getCombatant(combatantId);
         if (!combatant) {
             console.warn(`Combatant not found: ${combatantId}`);
             return null;
         }
         
-        // Apply damage
-        const damageResult = await this.damage.applyDamage(combatant, amount, options);
+        const source = data.sourceId ? this.getCombatant(data.sourceId) : null;
+        const effect = createRecurringEffect({
+            ...data,
+            sourceInitiative: data.sourceInitiative ?? (source ? source.initiative : null)
+        });
         
-        // Update combatant
         this.updateCombatant(combatantId, {
-            hp: damageResult.newHP,
-            // If the combatant is dead, mark as defeated
-            defeated: damageResult.isDead
+            recurringEffects: [...(combatant.recurringEffects || []), effect]
         });
         
-        // Check for concentration
-        if (this.conditions.hasCondition(combatant, 'concentrating') && damageResult.finalDamage > 0) {
-            const concentrationCheck = this.damage.applyConcentrationCheck(combatant, damageResult.finalDamage);
-            
-            // Log concentration check
-            this._addToHistory('concentration-check', {
-                combatantId: combatant.id,
-                combatantName: combatant.name,
-                damage: damageResult.finalDamage,
-                dc: concentrationCheck.checkDC
-            });
-        }
-        
-        return damageResult;
+        return effect;
     }
 
     /**
-     * Apply healing to a combatant
+     * Remove a recurring effect from a combatant
      * @param {string} combatantId - Combatant ID
-     * @param {number|string} amount - Healing amount or formula
-     * @param {Object} options - Healing options
-     * @returns {Promise<Object|null>} Healing result or null if combatant not found
+     * @param {string} effectId - Effect ID
+     * @returns {Object|null} Updated combatant or null if not found
      */
-    async applyHealing(combatantId, amount, options = {}) {
-        // Find combatant
+    removeRecurringEffect(combatantId, effectId) {
         const combatant = this.getCombatant(combatantId);
         if (!combatant) {
             console.warn(`Combatant not found: ${combatantId}`);
             return null;
         }
         
-        // Apply healing
-        const healingResult = await this.damage.applyHealing(combatant, amount, options);
-        
-        // Update combatant
-        if (options.temporary) {
-            this.updateCombatant(combatantId, {
-                tempHp: healingResult.newTempHP
-            });
-        } else {
-            this.updateCombatant(combatantId, {
-                hp: healingResult.newHP,
-                // If the combatant was defeated but now has HP, unmark as defeated
-                defeated: healingResult.newHP > 0 ? false : combatant.defeated
-            });
-        }
-        
-        return healingResult;
+        return this.updateCombatant(combatantId, {
+            recurringEffects: (combatant.recurringEffects || []).filter(effect => effect.id !== effectId)
+        });
     }
 
     /**
-     * Apply a death save to a combatant
+     * Get the recurring effects on a combatant
      * @param {string} combatantId - Combatant ID
-     * @param {number|null} roll - Death save roll (if null, will roll automatically)
-     * @returns {Promise<Object|null>} Death save result or null if combatant not found
+     * @returns {Array} Recurring effects
      */
-    async applyDeathSave(combatantId, roll = null) {
+    getRecurringEffects(combatantId) {
+        const combatant = this.getCombatant(combatantId);
+        return combatant ? combatant.recurringEffects || [] : [];
+    }
+
+    /**
+     * Apply damage to a combatant
+     * @param {string} combatantId - Combatant ID
+     * @param {number|string|Object} amount - Damage amount, formula or packet (see createDamagePacket)
+     * @param {Object} options - Damage options (see Damage.applyDamage)
+     * @returns {Promise<Object|null>} Damage result or null if combatant not found
+     */
+    async applyDamage(combatantId, amount, options = {}) {
         // Find combatant
         const combatant = this.getCombatant(combatantId);
         if (!combatant) {
@@ -766,110 +1045,850 @@ class Combat {
             return null;
         }
         
-        // Check if combatant is at 0 HP
-        if (combatant.hp > 0) {
-            console.warn(`Combatant is not at 0 HP: ${combatantId}`);
-            return null;
-        }
+        // Apply damage
+        const damageResult = await this.damage.applyDamage(this._detachCombatant(combatant), amount, {
+            concentrationMode: this.settings.getConcentrationCheckMode(),
+            ...options
+        });
         
-        // Roll death save if not provided
-        if (roll === null) {
-            const rollResult = await this.dice.roll('1d20', {
-                name: 'Death Save',
-                type: 'death-save'
+        this._commitDamageResult(combatant, damageResult);
+        
+        return damageResult;
+    }
+
+    /**
+     * Apply damage to several combatants at once, e.g. everyone caught in an
+     * area-of-effect template. The damage is rolled once; with options.save
+     * each combatant rolls its own saving throw.
+     * @param {Array<string>} combatantIds - Combatant IDs
+     * @param {number|string|Object} amount - Damage amount, formula or packet
+     * @param {Object} options - Damage options (see Damage.applyDamageToMultiple)
+     * @returns {Promise<Array>} Damage results for the combatants found
+     */
+    async applyDamageToMultiple(combatantIds, amount, options = {}) {
+        const combatants = combatantIds
+            .map(id => this.getCombatant(id))
+            .filter(combatant => {
+                if (!combatant) {
+                    console.warn('Skipping missing combatant in area damage');
+                }
+                return !!combatant;
             });
-            roll = rollResult.total;
-        }
         
-        // Apply death save
-        const deathSaveResult = this.damage.applyDeathSave(combatant, roll);
+        const results = await this.damage.applyDamageToMultiple(
+            combatants.map(combatant => this._detachCombatant(combatant)),
+            amount,
+            {
+                concentrationMode: this.settings.getConcentrationCheckMode(),
+                ...options
+            }
+        );
         
-        // Update combatant
-        this.updateCombatant(combatantId, {
-            hp: deathSaveResult.combatant.hp,
-            deathSaves: deathSaveResult.combatant.deathSaves,
-            // If the combatant is dead, mark as defeated
-            defeated: deathSaveResult.isDead
-        });
+        results.forEach((damageResult, index) => this._commitDamageResult(combatants[index], damageResult));
         
-        // Log death save
-        this._addToHistory('death-save', {
-            combatantId: combatant.id,
-            combatantName: combatant.name,
-            roll,
-            result: deathSaveResult.result,
-            successes: deathSaveResult.successes,
-            failures: deathSaveResult.failures,
-            isStabilized: deathSaveResult.isStabilized,
-            isDead: deathSaveResult.isDead
-        });
+        return results;
+    }
+
+    /**
+     * Get a combatant's speed after its conditions
+     * @param {string} combatantId - Combatant ID
+     * @returns {number} Speed in feet
+     */
+    getSpeed(combatantId) {
+        const combatant = this.getCombatant(combatantId);
+        return combatant ? getWalkingSpeed(combatant, this.conditions.getConditionEffects(combatant)) : 0;
+    }
+
+    /**
+     * Get a combatant's action economy, a full one if it has none yet
+     * @param {string} combatantId - Combatant ID
+     * @returns {Object|null} Action economy (see actionEconomy.js) or null if not found
+     */
+    getActionEconomy(combatantId) {
+        const combatant = this.getCombatant(combatantId);
+        if (!combatant) {
+            return null;
+        }
         
-        return deathSaveResult;
+        return combatant.actionEconomy || resetActionEconomy(null, this.getSpeed(combatantId));
     }
 
     /**
-     * Stabilize a dying combatant
+     * Use an action, bonus action, reaction or movement. Using one that is
+     * already spent, or that a condition rules out, is refused with a warning.
      * @param {string} combatantId - Combatant ID
-     * @returns {Object|null} Updated combatant or null if not found
+     * @param {string} type - ActionType
+     * @param {number} amount - Amount to use (feet for movement)
+     * @param {Object} options - Use options
+     * @param {string} options.name - What it is used for, e.g. 'Counterspell'
+     * @returns {Object} {spent, remaining, warning}
      */
-    stabilizeCombatant(combatantId) {
-        // Find combatant
+    useAction(combatantId, type, amount = 1, options = {}) {
         const combatant = this.getCombatant(combatantId);
         if (!combatant) {
             console.warn(`Combatant not found: ${combatantId}`);
-            return null;
+            return { spent: false, remaining: 0, warning: null };
         }
         
-        // Stabilize combatant
-        const stabilizedCombatant = this.damage.stabilizeCombatant(combatant);
+        // Conditions like Surprised or Incapacitated rule some out entirely
+        const blockedBy = this._getActionBlocker(combatant, type);
+        const { economy, spent } = blockedBy
+            ? { economy: this.getActionEconomy(combatantId), spent: false }
+            : spendResource(this.getActionEconomy(combatantId), type, amount);
+        if (spent) {
+            this.updateCombatant(combatantId, { actionEconomy: economy });
+            
+            // Doing something may be what someone's readied action waits for
+            if (type === ActionType.ACTION || type === ActionType.BONUS_ACTION) {
+                this._promptReadiedActions(combatant, { type, name: options.name || null });
+            }
+            
+            return { spent, remaining: getRemaining(economy, type), warning: null };
+        }
         
-        // Update combatant
-        const updatedCombatant = this.updateCombatant(combatantId, {
-            deathSaves: stabilizedCombatant.deathSaves
-        });
+        const warning = blockedBy
+            ? `${combatant.name} can't use its ${ACTION_TYPE_NAMES[type].toLowerCase()} while ${blockedBy}${options.name ? ` for ${options.name}` : ''}`
+            : `${combatant.name} has no ${ACTION_TYPE_NAMES[type].toLowerCase()} left${options.name ? ` for ${options.name}` : ''}`;
+        console.warn(warning);
         
-        // Log stabilization
-        this._addToHistory('stabilize', {
-            combatantId: combatant.id,
-            combatantName: combatant.name
+        this._addToHistory('action-economy-warning', {
+            combatantId,
+            combatantName: combatant.name,
+            type,
+            name: options.name || null,
+            warning
         });
         
-        return updatedCombatant;
+        this._triggerCallbacks('onActionEconomyWarning', { combatant, type, name: options.name || null, warning });
+        
+        return { spent: false, remaining: getRemaining(economy, type), warning };
     }
 
     /**
-     * Get combat history
-     * @returns {Array} Combat history
+     * Get the condition that stops a combatant using a resource at all
+     * @private
+     * @param {Object} combatant - Combatant object
+     * @param {string} type - ActionType
+     * @returns {string|null} Condition name or null if nothing stops it
      */
-    getHistory() {
-        return [...this.history];
+    _getActionBlocker(combatant, type) {
+        const rule = type === ActionType.REACTION ? 'noReactions'
+            : type === ActionType.MOVEMENT ? 'cannotMove'
+                : 'noActions';
+        const blocker = this.rules.getActiveRules(combatant).find(active => active.rules[rule]);
+        
+        return blocker ? blocker.name : null;
     }
 
     /**
-     * Get combat statistics
-     * @returns {Object} Combat statistics
+     * Use a combatant's reaction, e.g. for an opportunity attack or Counterspell
+     * @param {string} combatantId - Combatant ID
+     * @param {string} name - What the reaction is for
+     * @returns {Object} {spent, remaining, warning}
      */
-    getStatistics() {
-        // Calculate statistics
-        const stats = {
-            round: this.round,
-            elapsedTime: this.elapsedTime,
-            combatantCount: this.combatants.length,
-            activeCount: this.getActiveCombatants().length,
-            defeatedCount: this.getDefeatedCombatants().length,
-            turnCount: 0,
-            averageTurnTime: 0,
-            damageDealt: 0,
-            healingDone: 0,
-            criticalHits: 0,
-            criticalMisses: 0
-        };
+    useReaction(combatantId, name = null) {
+        return this.useAction(combatantId, ActionType.REACTION, 1, { name });
+    }
+
+    /**
+     * Give back an action, bonus action, reaction or movement
+     * @param {string} combatantId - Combatant ID
+     * @param {string} type - ActionType
+     * @param {number} amount - Amount to give back (feet for movement)
+     * @returns {Object|null} Updated action economy or null if not found
+     */
+    restoreAction(combatantId, type, amount = 1) {
+        const economy = this.getActionEconomy(combatantId);
+        if (!economy) {
+            return null;
+        }
         
-        // Process history for turn count and damage
+        const restored = restoreResource(economy, type, amount);
+        this.updateCombatant(combatantId, { actionEconomy: restored });
+        
+        return restored;
+    }
+
+    /**
+     * Grant extra actions, e.g. Haste (recurring) or Action Surge (this turn only)
+     * @param {string} combatantId - Combatant ID
+     * @param {Object} data - Grant data (see createActionGrant and ActionGrantPreset in actionEconomy.js)
+     * @returns {Object|null} Added grant or null if not found
+     */
+    addActionGrant(combatantId, data = {}) {
+        const economy = this.getActionEconomy(combatantId);
+        if (!economy) {
+            console.warn(`Combatant not found: ${combatantId}`);
+            return null;
+        }
+        
+        const grant = createActionGrant(data);
+        this.updateCombatant(combatantId, { actionEconomy: addActionGrant(economy, grant) });
+        
+        return grant;
+    }
+
+    /**
+     * Remove a grant of extra actions
+     * @param {string} combatantId - Combatant ID
+     * @param {string} grantId - Grant ID
+     * @returns {Object|null} Updated combatant or null if not found
+     */
+    removeActionGrant(combatantId, grantId) {
+        const economy = this.getActionEconomy(combatantId);
+        if (!economy) {
+            console.warn(`Combatant not found: ${combatantId}`);
+            return null;
+        }
+        
+        return this.updateCombatant(combatantId, { actionEconomy: removeActionGrant(economy, grantId) });
+    }
+
+    /**
+     * Get the attacks a combatant can make, from its monster actions or player attacks
+     * @param {string} combatantId - Combatant ID
+     * @returns {Array} Attacks (see parseAttackAction in attacks.js)
+     */
+    getAttacks(combatantId) {
+        const combatant = this.getCombatant(combatantId);
+        return combatant ? getAttackActions(combatant) : [];
+    }
+
+    /**
+     * Make an attack against one or more targets: roll to hit against each
+     * target's AC with cover, with advantage and disadvantage from
+     * conditions, and apply the damage on a hit (dice doubled on a crit)
+     * @param {string} attackerId - Attacker ID
+     * @param {Object|string} action - Attack, monster action or player attack, or its name
+     * @param {Array<string>} targetIds - Target IDs
+     * @param {Object} options - Attack options
+     * @param {boolean} options.advantage - Roll with advantage
+     * @param {boolean} options.disadvantage - Roll with disadvantage
+     * @param {string|Object} options.cover - CoverType for every target, or keyed by target ID
+     * @param {number} options.distance - Distance to the targets in feet (melee attacks assume 5)
+     * @param {boolean} options.reaction - The attack uses the attacker's reaction (e.g. an opportunity attack)
+     * @param {Array} options.extraDamage - Extra components dealt on a hit (e.g. Sneak Attack)
+     * @param {Object} options.damage - Extra damage options (see Damage.applyDamage)
+     * @returns {Promise<Object|null>} Attack result ({attacker, attack, results, warning}) or null if not found
+     */
+    async makeAttack(attackerId, action, targetIds, options = {}) {
+        const attacker = this.getCombatant(attackerId);
+        if (!attacker) {
+            console.warn(`Combatant not found: ${attackerId}`);
+            return null;
+        }
+        
+        const attack = typeof action === 'string'
+            ? getAttackActions(attacker).find(a => a.name === action) || null
+            : parseAttackAction(action);
+        if (!attack) {
+            console.warn(`Attack not found for ${attacker.name}:`, action);
+            return null;
+        }
+        
+        // An opportunity attack without a reaction left is flagged, but the table has the last word
+        const warning = options.reaction
+            ? this.useAction(attackerId, ActionType.REACTION, 1, { name: attack.name }).warning
+            : null;
+        
+        // Readied actions waiting for an attack get their chance before the roll
+        this._promptReadiedActions(attacker, { type: 'attack', name: attack.name, targetIds });
+        
+        const results = [];
+        
+        for (const targetId of targetIds) {
+            const target = this.getCombatant(targetId);
+            if (!target) {
+                console.warn(`Skipping missing attack target: ${targetId}`);
+                continue;
+            }
+            
+            const targetEffects = this.conditions.getConditionEffects(target);
+            const cover = (typeof options.cover === 'object' && options.cover !== null
+                ? options.cover[targetId] : options.cover) || target.cover || CoverType.NONE;
+            const coverBonus = getCoverBonus(cover);
+            const result = { target, cover, advantage: false, disadvantage: false, reasons: [], ac: null, roll: null, hit: false, critical: false, damage: null, mastery: null };
+            results.push(result);
+            
+            // Total cover can't be targeted at all
+            if (coverBonus === null) {
+                continue;
+            }
+            
+            result.ac = (target.ac || 10) + targetEffects.acBonus - targetEffects.acPenalty + coverBonus;
+            result.roll = await this.dice.rollAttack(attack.name, attack.attackBonus, {
+                advantage: options.advantage,
+                disadvantage: options.disadvantage,
+                critRange: attack.critRange,
+                actorId: attacker.id,
+                actorName: attacker.name,
+                combatant: attacker,
+                target,
+                attackKind: attack.kind,
+                distance: options.distance
+            });
+            
+            // The rules engine explains the advantage, disadvantage and bonuses from conditions
+            if (result.roll.rules) {
+                result.advantage = result.roll.rules.advantage;
+                result.disadvantage = result.roll.rules.disadvantage;
+                result.reasons = result.roll.rules.reasons;
+            } else {
+                result.advantage = !!options.advantage;
+                result.disadvantage = !!options.disadvantage;
+            }
+            this._endConditionsOnAttack(attacker.id, targetId);
+            
+            // A natural 1 always misses and a critical always hits
+            result.hit = !result.roll.isFumble && (result.roll.isCritical || result.roll.total >= result.ac);
+            if (!result.hit) {
+                await this._applyWeaponMastery(attacker, attack, result);
+                continue;
+            }
+            
+            // Hits from within 5 feet of a paralyzed or unconscious target are critical
+            result.critical = result.roll.isCritical || !!result.roll.autoCrit;
+            
+            const packet = createDamagePacket([...attack.components, ...(options.extraDamage || [])], {
+                magical: attack.magical,
+                silvered: attack.silvered,
+                adamantine: attack.adamantine,
+                critical: result.critical
+            });
+            
+            const latest = this.getCombatant(targetId);
+            result.damage = await this.damage.applyDamage(this._detachCombatant(latest), packet, {
+                concentrationMode: this.settings.getConcentrationCheckMode(),
+                source: attacker.name,
+                sourceId: attacker.id,
+                ...options.damage
+            });
+            this._commitDamageResult(latest, result.damage, { logDamage: false });
+            await this._applyWeaponMastery(attacker, attack, result);
+        }
+        
+        // One log entry for the whole attack
+        this._addToHistory('attack', {
+            attackerId: attacker.id,
+            attackerName: attacker.name,
+            attack: attack.name,
+            targets: results.map(result => ({
+                combatantId: result.target.id,
+                combatantName: result.target.name,
+                roll: result.roll ? result.roll.total : null,
+                ac: result.ac,
+                cover: result.cover,
+                hit: result.hit,
+                critical: result.critical,
+                damage: result.damage ? result.damage.finalDamage : 0,
+                mastery: result.mastery ? result.mastery.property : null
+            }))
+        });
+        
+        if (this.combatHistory) {
+            this.combatHistory.recordAttack(attacker, attack, results);
+        }
+        
+        this._triggerCallbacks('onAttack', { attacker, attack, results });
+        
+        return { attacker, attack, results, warning };
+    }
+
+    /**
+     * End conditions that last until an attack roll: the attacker's own (like
+     * Sapped) and the target's that favour this attacker (like Vexed)
+     * @private
+     * @param {string} attackerId - Attacker ID
+     * @param {string} targetId - Target ID
+     */
+    _endConditionsOnAttack(attackerId, targetId) {
+        const spent = (combatant, isSpent) => (combatant.conditions || []).filter(applied => {
+            const condition = this.conditions.getCondition(applied.id);
+            return condition && condition.rules && isSpent(condition.rules, applied);
+        });
+        
+        spent(this.getCombatant(attackerId), rules => rules.endsOnOwnAttack)
+            .forEach(applied => this.removeCondition(attackerId, applied.id));
+        spent(this.getCombatant(targetId), (rules, applied) => rules.endsOnSourceAttack && applied.sourceId === attackerId)
+            .forEach(applied => this.removeCondition(targetId, applied.id));
+    }
+
+    /**
+     * Apply the weapon mastery property of an attack (2024 rules). Cleave,
+     * Nick and Push depend on positions and choices, so they are only noted
+     * for the table to resolve.
+     * @private
+     * @param {Object} attacker - Attacking combatant
+     * @param {Object} attack - Attack (see parseAttackAction)
+     * @param {Object} result - Attack result against one target; gets a mastery field
+     * @returns {Promise<Object|null>} Mastery outcome ({property, applied, manual, save, damage}) or null
+     */
+    async _applyWeaponMastery(attacker, attack, result) {
+        if (!attack.mastery || this.getRuleset() !== Ruleset.RULES_2024) {
+            return null;
+        }
+        
+        const targetId = result.target.id;
+        const dealtDamage = !!result.damage && result.damage.finalDamage > 0;
+        const outcome = { property: attack.mastery, applied: false, manual: false };
+        result.mastery = outcome;
+        
+        // Apply a condition that lasts until the attacker's next turn
+        const applyUntilNextTurn = (conditionId, anchor) => {
+            this.applyCondition(targetId, conditionId, { sourceId: attacker.id, anchor, duration: 1 });
+            outcome.applied = true;
+        };
+        
+        switch (attack.mastery) {
+            case WeaponMastery.GRAZE: {
+                const amount = getAttackAbilityModifier(attack);
+                if (result.hit || amount <= 0) break;
+                
+                const packet = createDamagePacket([{ amount, type: attack.components[0] ? attack.components[0].type : null }], {
+                    magical: attack.magical,
+                    silvered: attack.silvered,
+                    adamantine: attack.adamantine
+                });
+                const latest = this.getCombatant(targetId);
+                outcome.damage = await this.damage.applyDamage(this._detachCombatant(latest), packet, {
+                    concentrationMode: this.settings.getConcentrationCheckMode(),
+                    source: attacker.name,
+                    sourceId: attacker.id
+                });
+                this._commitDamageResult(latest, outcome.damage);
+                outcome.applied = true;
+                break;
+            }
+            case WeaponMastery.SAP:
+                if (result.hit) applyUntilNextTurn('sapped', DurationAnchor.SOURCE_TURN_START);
+                break;
+            case WeaponMastery.SLOW:
+                if (dealtDamage) applyUntilNextTurn('slowed', DurationAnchor.SOURCE_TURN_START);
+                break;
+            case WeaponMastery.VEX:
+                if (dealtDamage) applyUntilNextTurn('vexed', DurationAnchor.SOURCE_TURN_END);
+                break;
+            case WeaponMastery.TOPPLE: {
+                if (!result.hit) break;
+                
+                // DC 8 + ability modifier + proficiency bonus, which is the attack bonus of a mundane weapon
+                const dc = attack.masteryDC || 8 + attack.attackBonus;
+                outcome.save = await this.damage.rollSavingThrow(this.getCombatant(targetId), 'con', dc);
+                if (!outcome.save.success) {
+                    this.applyCondition(targetId, 'prone', { sourceId: attacker.id });
+                    outcome.applied = true;
+                }
+                break;
+            }
+            default:
+                outcome.manual = true;
+        }
+        
+        return outcome;
+    }
+
+    /**
+     * Store the outcome of damage and follow up the concentration check it caused
+     * @private
+     * @param {Object} combatant - Combatant before the damage
+     * @param {Object} damageResult - Result from the damage module
+     * @param {Object} options - Commit options
+     * @param {boolean} options.logDamage - Whether to log the damage on its own (attacks log it with the attack)
+     */
+    _commitDamageResult(combatant, damageResult, { logDamage = true } = {}) {
+        // Negative damage heals
+        if (damageResult.finalHealing !== undefined) {
+            this._commitHealingResult(combatant, damageResult);
+            return;
+        }
+        
+        // Temporary HP only soak what the damage module let them, so damage
+        // that goes around them leaves them be
+        this._changeCombatant(combatant.id, actions.applyDamage(combatant.id, damageResult.finalDamage, damageResult.damageType, {
+            tempHpAbsorbed: damageResult.tempHpAbsorbed
+        }), {
+            hp: damageResult.newHP,
+            tempHp: damageResult.newTempHP
+        });
+        
+        // If the combatant is dead, mark as defeated
+        if (damageResult.isDead !== !!combatant.defeated) {
+            this.updateCombatant(combatant.id, { defeated: damageResult.isDead });
+        }
+        
+        // Log the hit with its per-type breakdown
+        if (this.combatHistory && logDamage && damageResult.finalDamage > 0) {
+            const source = damageResult.sourceId ? this.getCombatant(damageResult.sourceId) : null;
+            this.combatHistory.recordDamage(
+                this.getCombatant(combatant.id),
+                damageResult.finalDamage,
+                damageResult.damageType || 'unspecified',
+                source || (damageResult.source ? { id: null, name: damageResult.source } : null),
+                damageResult.components
+            );
+        }
+        
+        // Damage types like a troll's acid and fire suppress recurring effects
+        const latest = this.getCombatant(combatant.id);
+        if (damageResult.finalDamage > 0 && latest && latest.recurringEffects && latest.recurringEffects.length > 0) {
+            this.updateCombatant(combatant.id, {
+                recurringEffects: (damageResult.damageTypes || [damageResult.damageType])
+                    .reduce((effects, type) => recordDamageTaken(effects, type), latest.recurringEffects)
+            });
+        }
+        
+        const check = damageResult.concentration;
+        if (!check) {
+            return;
+        }
+        
+        // Log concentration check
+        this._addToHistory('concentration-check', {
+            combatantId: combatant.id,
+            combatantName: combatant.name,
+            damage: damageResult.finalDamage,
+            dc: check.checkDC
+        });
+        
+        // Wait for the save to be rolled at the table
+        if (check.pending) {
+            this.pendingConcentrationChecks.set(combatant.id, check);
+            this._triggerCallbacks('onConcentrationCheck', { combatant, check });
+            return;
+        }
+        
+        this._finishConcentrationCheck(combatant, check);
+    }
+
+    /**
+     * Enter the result of a concentration save rolled at the table
+     * @param {string} combatantId - Combatant ID
+     * @param {number} total - Constitution save total
+     * @returns {Object|null} Resolved check or null if none is pending
+     */
+    resolveConcentrationCheck(combatantId, total) {
+        const check = this.pendingConcentrationChecks.get(combatantId);
+        const combatant = this.getCombatant(combatantId);
+        if (!check || !combatant) {
+            console.warn(`No pending concentration check for: ${combatantId}`);
+            return null;
+        }
+        
+        this.pendingConcentrationChecks.delete(combatantId);
+        this.damage.resolveConcentrationCheck(check, total);
+        this._finishConcentrationCheck(combatant, check);
+        
+        return check;
+    }
+
+    /**
+     * Record a settled concentration check and end concentration if it failed
+     * @private
+     * @param {Object} combatant - Concentrating combatant
+     * @param {Object} check - Settled check
+     */
+    _finishConcentrationCheck(combatant, check) {
+        if (check.requiresCheck && this.combatHistory) {
+            this.combatHistory.recordConcentrationCheck(combatant, check);
+        }
+        
+        this._triggerCallbacks('onConcentrationCheck', { combatant, check });
+        
+        if (check.broken) {
+            this.endConcentration(combatant.id, check.reason || 'failed-save');
+        }
+    }
+
+    /**
+     * Start concentrating on a spell, ending any earlier concentration
+     * @param {string} combatantId - Combatant ID
+     * @param {string} spell - Spell name
+     * @returns {Object|null} Updated combatant or null if not found
+     */
+    startConcentration(combatantId, spell) {
+        const combatant = this.getCombatant(combatantId);
+        if (!combatant) {
+            console.warn(`Combatant not found: ${combatantId}`);
+            return null;
+        }
+        
+        // A creature can only concentrate on one spell at a time
+        if (this.conditions.isConcentrating(combatant)) {
+            this.endConcentration(combatantId, 'new-spell');
+        }
+        
+        return this.applyCondition(combatantId, 'concentrating', { spell, source: spell });
+    }
+
+    /**
+     * End a combatant's concentration, along with the conditions and
+     * environmental effects its spell maintained
+     * @param {string} combatantId - Combatant ID
+     * @param {string} reason - Why concentration ended (failed-save, unconscious, new-spell, readied-spell, ended)
+     * @returns {Object|null} Ended spell and conditions or null if not found
+     */
+    endConcentration(combatantId, reason = 'ended') {
+        const combatant = this.getCombatant(combatantId);
+        if (!combatant) {
+            console.warn(`Combatant not found: ${combatantId}`);
+            return null;
+        }
+        
+        const concentrating = (combatant.conditions || []).find(c => c.id === 'concentrating');
+        const spell = concentrating ? concentrating.spell || concentrating.source || null : null;
+        const ended = this.conditions.getConcentrationLinkedConditions(this.combatants, combatantId);
+        
+        this.pendingConcentrationChecks.delete(combatantId);
+        
+        if (concentrating) {
+            this.dispatch(actions.removeCondition(combatantId, 'concentrating'));
+        }
+        
+        ended.forEach(({ combatantId: targetId, condition }) => {
+            this.dispatch(actions.removeCondition(targetId, condition.id));
+        });
+        
+        // So do recurring effects like Heat Metal
+        this.combatants
+            .filter(target => (target.recurringEffects || []).some(effect => effect.concentrationOf === combatantId))
+            .forEach(target => this.updateCombatant(target.id, {
+                recurringEffects: target.recurringEffects.filter(effect => effect.concentrationOf !== combatantId)
+            }));
+        
+        // And extra actions like Haste's
+        this.combatants
+            .filter(target => target.actionEconomy && target.actionEconomy.grants.some(grant => grant.concentrationOf === combatantId))
+            .forEach(target => this.updateCombatant(target.id, {
+                actionEconomy: target.actionEconomy.grants
+                    .filter(grant => grant.concentrationOf === combatantId)
+                    .reduce((economy, grant) => removeActionGrant(economy, grant.id), target.actionEconomy)
+            }));
+        
+        // A readied spell is held with concentration and is lost with it
+        if (combatant.readiedAction && combatant.readiedAction.spell) {
+            this.updateCombatant(combatantId, { readiedAction: null });
+        }
+        
+        // Environmental effects created by the spell end with it
+        const effects = this.store.getState().environment.effects
+            .filter(effect => effect.concentrationOf === combatantId);
+        effects.forEach(effect => this.dispatch(actions.removeEnvironmentEffect(effect.id)));
+        
+        this._addToHistory('concentration-ended', {
+            combatantId,
+            combatantName: combatant.name,
+            spell,
+            reason,
+            endedConditions: ended.map(({ combatantId: targetId, condition }) => ({ combatantId: targetId, conditionId: condition.id })),
+            endedEffects: effects.map(effect => effect.id)
+        });
+        
+        if (this.combatHistory) {
+            this.combatHistory.recordConcentrationEnded(combatant, spell, reason, ended);
+        }
+        
+        this._triggerCallbacks('onConcentrationEnded', {
+            combatant: this.getCombatant(combatantId),
+            spell,
+            reason,
+            endedConditions: ended,
+            endedEffects: effects
+        });
+        
+        return { spell, endedConditions: ended, endedEffects: effects };
+    }
+
+    /**
+     * Set the combat history log that concentration checks are recorded in;
+     * it records the dice rolled during a fight as well
+     * @param {Object} history - Combat history (see history.js)
+     */
+    setCombatHistory(history) {
+        if (this.stopRecordingRolls) {
+            this.stopRecordingRolls();
+            this.stopRecordingRolls = null;
+        }
+        
+        this.combatHistory = history;
+        
+        if (history && this.dice && this.dice.service) {
+            this.stopRecordingRolls = history.attachDiceService(this.dice.service);
+        }
+    }
+
+    /**
+     * Apply healing to a combatant
+     * @param {string} combatantId - Combatant ID
+     * @param {number|string} amount - Healing amount or formula
+     * @param {Object} options - Healing options
+     * @returns {Promise<Object|null>} Healing result or null if combatant not found
+     */
+    async applyHealing(combatantId, amount, options = {}) {
+        // Find combatant
+        const combatant = this.getCombatant(combatantId);
+        if (!combatant) {
+            console.warn(`Combatant not found: ${combatantId}`);
+            return null;
+        }
+        
+        // Apply healing
+        const healingResult = await this.damage.applyHealing(this._detachCombatant(combatant), amount, options);
+        this._commitHealingResult(combatant, healingResult);
+        
+        return healingResult;
+    }
+
+    /**
+     * Store the outcome of healing or of gaining temporary HP
+     * @private
+     * @param {Object} combatant - Combatant before the healing
+     * @param {Object} healingResult - Result from the damage module
+     */
+    _commitHealingResult(combatant, healingResult) {
+        if (healingResult.temporary) {
+            this._changeCombatant(combatant.id, actions.setTemporaryHp(combatant.id, healingResult.newTempHP), {
+                tempHp: healingResult.newTempHP
+            });
+            return;
+        }
+        
+        this._changeCombatant(combatant.id, actions.applyHealing(combatant.id, healingResult.finalHealing), {
+            hp: healingResult.newHP
+        });
+        
+        // If the combatant was defeated but now has HP, unmark as defeated
+        if (healingResult.newHP > 0 && combatant.defeated) {
+            this.updateCombatant(combatant.id, { defeated: false });
+        }
+    }
+
+    /**
+     * Apply a death save to a combatant
+     * @param {string} combatantId - Combatant ID
+     * @param {number|null} roll - Death save roll (if null, will roll automatically)
+     * @returns {Promise<Object|null>} Death save result or null if combatant not found
+     */
+    async applyDeathSave(combatantId, roll = null) {
+        // Find combatant
+        const combatant = this.getCombatant(combatantId);
+        if (!combatant) {
+            console.warn(`Combatant not found: ${combatantId}`);
+            return null;
+        }
+        
+        // Check if combatant is at 0 HP
+        if (combatant.hp > 0) {
+            console.warn(`Combatant is not at 0 HP: ${combatantId}`);
+            return null;
+        }
+        
+        // Roll death save if not provided
+        if (roll === null) {
+            const rollResult = await this.dice.rollDeathSave(combatant.name, { combatant });
+            roll = rollResult.total;
+        }
+        
+        // Apply death save
+        const deathSaveResult = this.damage.applyDeathSave(this._detachCombatant(combatant), roll);
+        
+        // Update combatant
+        this.updateCombatant(combatantId, {
+            hp: deathSaveResult.combatant.hp,
+            deathSaves: deathSaveResult.combatant.deathSaves,
+            // If the combatant is dead, mark as defeated
+            defeated: deathSaveResult.isDead
+        });
+        
+        // Log death save
+        this._addToHistory('death-save', {
+            combatantId: combatant.id,
+            combatantName: combatant.name,
+            roll,
+            result: deathSaveResult.result,
+            successes: deathSaveResult.successes,
+            failures: deathSaveResult.failures,
+            isStabilized: deathSaveResult.isStabilized,
+            isDead: deathSaveResult.isDead
+        });
+        
+        return deathSaveResult;
+    }
+
+    /**
+     * Stabilize a dying combatant
+     * @param {string} combatantId - Combatant ID
+     * @returns {Object|null} Updated combatant or null if not found
+     */
+    stabilizeCombatant(combatantId) {
+        // Find combatant
+        const combatant = this.getCombatant(combatantId);
+        if (!combatant) {
+            console.warn(`Combatant not found: ${combatantId}`);
+            return null;
+        }
+        
+        // Stabilize combatant
+        const stabilizedCombatant = this.damage.stabilizeCombatant(this._detachCombatant(combatant));
+        
+        // Update combatant
+        const updatedCombatant = this.updateCombatant(combatantId, {
+            deathSaves: stabilizedCombatant.deathSaves
+        });
+        
+        // Log stabilization
+        this._addToHistory('stabilize', {
+            combatantId: combatant.id,
+            combatantName: combatant.name
+        });
+        
+        return updatedCombatant;
+    }
+
+    /**
+     * Get combat history
+     * @returns {Array} Combat history
+     */
+    getHistory() {
+        return [...this.history];
+    }
+
+    /**
+     * Get combat statistics
+     * @returns {Object} Combat statistics
+     */
+    getStatistics() {
+        // Calculate statistics
+        const stats = {
+            round: this.round,
+            elapsedTime: this.elapsedTime,
+            combatantCount: this.combatants.length,
+            activeCount: this.getActiveCombatants().length,
+            defeatedCount: this.getDefeatedCombatants().length,
+            turnCount: 0,
+            averageTurnTime: 0,
+            damageDealt: 0,
+            healingDone: 0,
+            criticalHits: 0,
+            criticalMisses: 0,
+            turnOrders: []
+        };
+        
+        // Process history for turn count and damage
         let totalTurnTime = 0;
         let turnCount = 0;
         
         this.history.forEach(entry => {
+            // The order turns were actually taken in, which can change every
+            // round (popcorn initiative, delayed turns)
+            if (entry.type === 'turn-start') {
+                let turnOrder = stats.turnOrders.find(order => order.round === entry.data.round);
+                if (!turnOrder) {
+                    turnOrder = { round: entry.data.round, combatants: [] };
+                    stats.turnOrders.push(turnOrder);
+                }
+                turnOrder.combatants.push({ id: entry.data.combatantId, name: entry.data.combatantName });
+            }
+            
             if (entry.type === 'turn-end' && entry.data.duration) {
                 totalTurnTime += entry.data.duration;
                 turnCount++;
@@ -915,7 +1934,10 @@ class Combat {
             turnIndex: this.turnIndex,
             combatants: this.combatants,
             initiativeOrder: this.initiativeOrder,
-                        history: this.history,
+            history: this.history,
+            initialCombatants: this.initialCombatants,
+            surpriseCheck: this.surpriseCheck,
+            rng: this.dice.getSessionState(),
             startTime: this.startTime ? this.startTime.getTime() : null,
             elapsedTime: this.elapsedTime
         };
@@ -950,12 +1972,17 @@ class Combat {
             }
             
             // Restore combat state
-            this.active = combatData.active;
-            this.round = combatData.round;
-            this.turnIndex = combatData.turnIndex;
-            this.combatants = combatData.combatants;
-            this.initiativeOrder = combatData.initiativeOrder;
+            this.dispatch(actions.loadData({
+                combat: {
+                    active: combatData.active,
+                    round: combatData.round,
+                    turnIndex: combatData.turnIndex,
+                    combatants: combatData.combatants,
+                    initiativeOrder: combatData.initiativeOrder
+                }
+            }));
             this.history = combatData.history;
+            this.initialCombatants = combatData.initialCombatants || [];
             this.startTime = combatData.startTime ? new Date(combatData.startTime) : null;
             this.elapsedTime = combatData.elapsedTime;
             
@@ -976,6 +2003,55 @@ class Combat {
         }
     }
 
+    /**
+     * Replay a saved combat: restart it from its starting line-up with the
+     * dice replaying the recorded session, so repeating the same actions
+     * reproduces the same rolls
+     * @param {string} id - Combat ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async replay(id) {
+        try {
+            const combatData = await this.storage.load('combats', id);
+            if (!combatData) {
+                console.warn(`Combat not found: ${id}`);
+                return false;
+            }
+            
+            if (!combatData.rng || !combatData.initialCombatants) {
+                console.warn(`Combat has no recorded dice session: ${id}`);
+                return false;
+            }
+            
+            // Stop current combat if active
+            if (this.active) {
+                this.endCombat();
+            }
+            
+            // Replay the recorded dice and restart from the original line-up
+            if (!this.dice.startReplay(combatData.rng)) {
+                return false;
+            }
+            
+            const combatants = JSON.parse(JSON.stringify(combatData.initialCombatants));
+            
+            // The Stealth rolls come first in the recorded session
+            let surprised = [];
+            if (combatData.surpriseCheck) {
+                ({ surprised } = await this.checkSurprise(
+                    combatants,
+                    combatData.surpriseCheck.hidingIds,
+                    { stealth: combatData.surpriseCheck.stealth }
+                ));
+            }
+            
+            return this.startCombat(combatants, { surprised });
+        } catch (error) {
+            console.error('Error replaying combat:', error);
+            return false;
+        }
+    }
+
     /**
      * Register a callback
      * @param {string} event - Event name
@@ -1078,13 +2154,21 @@ class Combat {
         const rollResult = await this.dice.rollInitiative(
             combatant.name,
             modifier,
-            { advantage: combatant.initiativeAdvantage, disadvantage: combatant.initiativeDisadvantage }
+            { advantage: combatant.initiativeAdvantage, disadvantage: combatant.initiativeDisadvantage, combatant }
         );
         
         // Set initiative
         const initiative = rollResult.total;
         this.updateCombatant(combatant.id, { initiative, initiativeRoll: rollResult });
         
+        // Under the 2024 rules surprise only gives disadvantage on this roll,
+        // so it ends once a roll has used it
+        if (rollResult.rules && rollResult.rules.disadvantage &&
+            getSurpriseRule(this.getRuleset()) === SurpriseRule.INITIATIVE_DISADVANTAGE &&
+            (combatant.conditions || []).some(c => c.id === 'surprised')) {
+            this.removeCondition(combatant.id, 'surprised');
+        }
+        
         // Log initiative roll
         this._addToHistory('initiative-roll', {
             combatantId: combatant.id,
@@ -1106,31 +2190,17 @@ class Combat {
      * @private
      */
     _updateInitiativeOrder() {
-        // Get active combatants
-        const activeCombatants = this.combatants.filter(c => !c.defeated);
-        
-        // Sort by initiative (descending)
-        activeCombatants.sort((a, b) => {
-            // Sort by initiative
-            if (b.initiative !== a.initiative) {
-                return b.initiative - a.initiative;
-            }
-            
-            // If initiative is tied, sort by dexterity if available
-            if (a.abilities && b.abilities && a.abilities.dex !== b.abilities.dex) {
-                return b.abilities.dex - a.abilities.dex;
-            }
-            
-            // If still tied, sort by name
-            return a.name.localeCompare(b.name);
-        });
-        
-        // Update initiative order
-        this.initiativeOrder = activeCombatants;
+        // Sort active combatants by initiative; the turn stays with the
+        // combatant whose turn it is
+        const taken = this.state.initiativeOrder.slice(0, this.turnIndex + 1);
+        this.dispatch(actions.sortInitiative());
         
-        // Adjust turn index if necessary
-        if (this.active && this.turnIndex >= this.initiativeOrder.length) {
-            this.turnIndex = 0;
+        // Under popcorn initiative the turns already taken this round keep
+        // their place, so the rest can still be picked
+        if (this.active && this.isPopcornInitiative()) {
+            const sorted = this.state.initiativeOrder;
+            const kept = taken.filter(id => sorted.includes(id));
+            this.dispatch(actions.setInitiativeOrder([...kept, ...sorted.filter(id => !kept.includes(id))]));
         }
         
         // Trigger callbacks
@@ -1160,9 +2230,25 @@ class Combat {
             this.audio.play('round-start');
         }
         
+        // Anyone still delaying from the last round has lost that turn
+        this._returnDelayedCombatants();
+        
+        // Under popcorn initiative the last to act picked who starts this round
+        if (this.popcornRoundStarter) {
+            const order = this.state.initiativeOrder.filter(id => id !== this.popcornRoundStarter);
+            if (order.length < this.state.initiativeOrder.length) {
+                this.dispatch(actions.setInitiativeOrder([this.popcornRoundStarter, ...order]));
+            }
+            this.popcornRoundStarter = null;
+        }
+        
+        if (this.combatHistory) {
+            this.combatHistory.startRound(this.round);
+        }
+        
         // Start first turn
         if (this.initiativeOrder.length > 0) {
-            this.turnIndex = 0;
+            this.dispatch(actions.setActiveCombatant(this.initiativeOrder[0].id));
             this._startTurn();
         }
     }
@@ -1182,17 +2268,17 @@ class Combat {
             round: this.round,
             combatants: this.combatants
         });
-        
-        // Increment round
-        this.round++;
     }
 
     /**
      * Start a turn
      * @private
+     * @param {Object} options - Turn options
+     * @param {boolean} options.resumed - A delayed turn is being taken, so its
+     *   start-of-turn effects have already happened
      * @returns {Object|null} Current combatant or null if no active combat
      */
-    _startTurn() {
+    _startTurn({ resumed = false } = {}) {
         // Check if combat is active
         if (!this.active) {
             return null;
@@ -1209,25 +2295,42 @@ class Combat {
             return null;
         }
         
-        // Record turn start time
-        combatant.turnStartTime = Date.now();
+        // Record turn start time and restore the action economy, reaction
+        // and recurring grants like Haste included
+        this.dispatch(actions.updateCombatant(combatant.id, resumed ? { turnStartTime: Date.now() } : {
+            turnStartTime: Date.now(),
+            actionEconomy: resetActionEconomy(combatant.actionEconomy, this.getSpeed(combatant.id))
+        }));
         
         // Start turn timer if enabled
         if (this.settings.isTurnTimerEnabled()) {
             this._startTurnTimer();
         }
         
-        // Process conditions at start of turn
-        this._processConditionsAtTurnStart(combatant);
+        if (!resumed) {
+            // A readied action that never triggered is lost
+            this._expireReadiedAction(combatant);
+            
+            // Process conditions at start of turn
+            this._processConditionsAtTurnStart(combatant);
+        }
         
         // Log turn start
         this._addToHistory('turn-start', {
             round: this.round,
             turnIndex: this.turnIndex,
             combatantId: combatant.id,
-            combatantName: combatant.name
+            combatantName: combatant.name,
+            resumed
         });
         
+        if (this.combatHistory) {
+            this.combatHistory.startTurn(combatant);
+        }
+        
+        // Others may have readied something for when this combatant acts
+        this._promptReadiedActions(combatant, { type: 'turn-start' });
+        
         // Trigger callbacks
         this._triggerCallbacks('onTurnStart', {
             round: this.round,
@@ -1240,9 +2343,39 @@ class Combat {
             this.audio.play('turn-start');
         }
         
+        // A combatant surprised under the 2014 rules loses its first turn;
+        // the surprise wears off as that turn ends
+        if (!resumed && this._losesTurnToSurprise(combatant.id)) {
+            this._addToHistory('surprised-turn-skipped', {
+                round: this.round,
+                combatantId: combatant.id,
+                combatantName: combatant.name
+            });
+            
+            this._triggerCallbacks('onSurprisedTurnSkipped', {
+                round: this.round,
+                combatant
+            });
+            
+            return this.nextTurn() || combatant;
+        }
+        
         return combatant;
     }
 
+    /**
+     * Check whether a combatant loses its turn to surprise
+     * @private
+     * @param {string} combatantId - Combatant ID
+     * @returns {boolean} True if it is surprised under the 2014 rules
+     */
+    _losesTurnToSurprise(combatantId) {
+        const combatant = this.getCombatant(combatantId);
+        return !!combatant &&
+            (combatant.conditions || []).some(c => c.id === 'surprised') &&
+            getSurpriseRule(this.getRuleset()) === SurpriseRule.LOSE_FIRST_TURN;
+    }
+
     /**
      * End a turn
      * @private
@@ -1275,105 +2408,349 @@ class Combat {
         // Process conditions at end of turn
         this._processConditionsAtTurnEnd(combatant);
         
-        // Log turn end
-        this._addToHistory('turn-end', {
-            round: this.round,
-            turnIndex: this.turnIndex,
+        // Log turn end
+        this._addToHistory('turn-end', {
+            round: this.round,
+            turnIndex: this.turnIndex,
+            combatantId: combatant.id,
+            combatantName: combatant.name,
+            duration: turnDuration
+        });
+        
+        // Trigger callbacks
+        this._triggerCallbacks('onTurnEnd', {
+            round: this.round,
+            turnIndex: this.turnIndex,
+            combatant,
+            duration: turnDuration
+        });
+        
+        // Play turn end sound
+        if (this.audio) {
+            this.audio.play('turn-end');
+        }
+        
+        return combatant;
+    }
+
+    /**
+     * Process conditions at the start of a combatant's turn
+     * @private
+     * @param {Object} combatant - Combatant object
+     */
+    async _processConditionsAtTurnStart(combatant) {
+        // Durations anchored to combatants no longer in the order tick when
+        // the turn passes their place in it
+        const absentTurns = this._getAbsentSourceTurns(combatant);
+        absentTurns.forEach(turn => this._tickConditionDurations(turn));
+        
+        // Durations anchored to the start of this combatant's turn
+        const turn = { combatantId: combatant.id, round: this.round, boundary: 'start' };
+        this._tickConditionDurations(turn);
+        
+        // Ongoing damage and healing
+        for (const absentTurn of absentTurns) {
+            await this._tickRecurringEffects(absentTurn);
+        }
+        await this._tickRecurringEffects(turn);
+        
+        // Check for death saves
+        if (combatant.hp === 0 && combatant.type === 'pc') {
+            // Apply death save
+            await this.applyDeathSave(combatant.id);
+        }
+        
+        // Process saves made at the start of the turn
+        await this._processConditionSaves(combatant.id, DurationAnchor.TARGET_TURN_START);
+        await this._processRecurringEffectSaves(combatant.id, DurationAnchor.TARGET_TURN_START);
+    }
+
+    /**
+     * Process conditions at the end of a combatant's turn
+     * @private
+     * @param {Object} combatant - Combatant object
+     */
+    async _processConditionsAtTurnEnd(combatant) {
+        // Remember where in the order this turn ended
+        this.lastTurn = { initiative: combatant.initiative, round: this.round };
+        
+        // Durations anchored to the end of this combatant's turn
+        const turn = { combatantId: combatant.id, round: this.round, boundary: 'end' };
+        this._tickConditionDurations(turn);
+        
+        // Ongoing damage and healing
+        await this._tickRecurringEffects(turn);
+        
+        // Process saves made at the end of the turn
+        await this._processConditionSaves(combatant.id, DurationAnchor.TARGET_TURN_END);
+        await this._processRecurringEffectSaves(combatant.id, DurationAnchor.TARGET_TURN_END);
+    }
+
+    /**
+     * Count down every combatant's conditions anchored to a turn boundary
+     * @private
+     * @param {Object} turn - Turn boundary ({combatantId, round, boundary: 'start' or 'end'})
+     * @returns {Array} Expired conditions ({combatant, condition})
+     */
+    _tickConditionDurations(turn) {
+        const expired = [];
+        
+        this.combatants.forEach(combatant => {
+            const conditions = combatant.conditions || [];
+            if (!conditions.some(condition => this.conditions.isConditionDue(condition, combatant.id, turn))) {
+                return;
+            }
+            
+            const result = this.conditions.tickConditionDurations(this._detachCombatant(combatant), turn);
+            this.updateCombatant(combatant.id, {
+                conditions: result.combatant.conditions
+            });
+            
+            result.expired.forEach(condition => expired.push({ combatant, condition }));
+        });
+        
+        expired.forEach(({ combatant, condition }) => {
+            // Log condition expired
+            this._addToHistory('condition-expired', {
+                combatantId: combatant.id,
+                combatantName: combatant.name,
+                condition: condition.name,
+                sourceId: condition.sourceId,
+                anchor: this.conditions.getConditionAnchor(condition)
+            });
+            
+            if (this.combatHistory) {
+                this.combatHistory.recordConditionRemoved(combatant, condition, true);
+            }
+            
+            this._triggerCallbacks('onConditionExpired', {
+                combatant: this.getCombatant(combatant.id),
+                condition
+            });
+        });
+        
+        return expired;
+    }
+
+    /**
+     * Get the turns of sources that have died or left the initiative order
+     * which the turn order has just passed, once per round at the
+     * initiative they acted on
+     * @private
+     * @param {Object} combatant - Combatant whose turn is starting
+     * @returns {Array} Turn boundaries to tick ({combatantId, round, boundary})
+     */
+    _getAbsentSourceTurns(combatant) {
+        if (!this.lastTurn || typeof combatant.initiative !== 'number') {
+            return [];
+        }
+        
+        // A delayed source still takes its turn, just later
+        const inOrder = new Set([...this.state.initiativeOrder, ...this.getDelayedCombatants().map(c => c.id)]);
+        const previous = this.lastTurn.initiative;
+        const current = combatant.initiative;
+        const wrapped = this.lastTurn.round !== this.round;
+        const sources = new Map();
+        
+        this.combatants.forEach(target => {
+            [...(target.conditions || []), ...(target.recurringEffects || [])].forEach(anchored => {
+                const anchor = this.conditions.getConditionAnchor(anchored);
+                if (!anchored.sourceId || inOrder.has(anchored.sourceId) ||
+                    (anchor !== DurationAnchor.SOURCE_TURN_START && anchor !== DurationAnchor.SOURCE_TURN_END)) {
+                    return;
+                }
+                
+                // A source without an initiative acted at the top of the round
+                const slot = typeof anchored.sourceInitiative === 'number' ? anchored.sourceInitiative : Infinity;
+                const passed = wrapped
+                    ? slot > current || slot <= previous
+                    : slot > current && slot <= previous;
+                
+                if (passed) {
+                    const round = wrapped && slot <= previous ? this.lastTurn.round : this.round;
+                    sources.set(anchored.sourceId, round);
+                }
+            });
+        });
+        
+        // The source's missed turn both starts and ends at its slot
+        const turns = [];
+        sources.forEach((round, sourceId) => {
+            turns.push({ combatantId: sourceId, round, boundary: 'start' });
+            turns.push({ combatantId: sourceId, round, boundary: 'end' });
+        });
+        
+        return turns;
+    }
+
+    /**
+     * Roll every recurring effect anchored to a turn boundary
+     * @private
+     * @param {Object} turn - Turn boundary ({combatantId, round, boundary: 'start' or 'end'})
+     */
+    async _tickRecurringEffects(turn) {
+        const due = [];
+        this.combatants.forEach(combatant => {
+            (combatant.recurringEffects || [])
+                .filter(effect => this.conditions.isAnchorReached(effect, combatant.id, turn))
+                .forEach(effect => due.push({ combatantId: combatant.id, effect }));
+        });
+        
+        for (const { combatantId, effect } of due) {
+            const suppressedBy = getSuppressingDamage(effect);
+            let amount = 0;
+            
+            if (suppressedBy.length === 0) {
+                const result = effect.type === RecurringEffectType.HEALING
+                    ? await this.applyHealing(combatantId, effect.formula, { source: effect.name })
+                    : await this.applyDamage(combatantId, effect.formula, { type: effect.damageType, source: effect.name });
+                
+                if (result) {
+                    amount = effect.type === RecurringEffectType.HEALING ? result.finalHealing : result.finalDamage;
+                }
+            }
+            
+            // The effect may have been removed while rolling
+            const combatant = this.getCombatant(combatantId);
+            const latest = combatant && (combatant.recurringEffects || []).find(e => e.id === effect.id);
+            if (!latest) {
+                continue;
+            }
+            
+            const advanced = advanceRecurringEffect(latest);
+            this.updateCombatant(combatantId, {
+                recurringEffects: combatant.recurringEffects
+                    .map(e => e.id === effect.id ? advanced : e)
+                    .filter(Boolean)
+            });
+            
+            this._recordRecurringEffect(combatant, effect, { amount, suppressedBy, expired: !advanced });
+        }
+    }
+
+    /**
+     * Roll the saves that end a combatant's recurring effects at one end of its turn
+     * @private
+     * @param {string} combatantId - Combatant ID
+     * @param {string} timing - DurationAnchor.TARGET_TURN_START or TARGET_TURN_END
+     */
+    async _processRecurringEffectSaves(combatantId, timing) {
+        const combatant = this.getCombatant(combatantId);
+        const effects = combatant ? (combatant.recurringEffects || [])
+            .filter(effect => effect.saveDC && effect.saveAbility && effect.saveTiming === timing) : [];
+        
+        for (const effect of effects) {
+            const { roll, success } = await this._rollConditionSave(combatant, effect.saveAbility, effect.saveDC);
+            
+            this._addToHistory('recurring-effect-save', {
+                combatantId,
+                combatantName: combatant.name,
+                effect: effect.name,
+                roll: roll.total,
+                dc: effect.saveDC,
+                ability: effect.saveAbility,
+                success
+            });
+            
+            if (success) {
+                this.removeRecurringEffect(combatantId, effect.id);
+                this._recordRecurringEffect(combatant, effect, { saved: true });
+            }
+        }
+    }
+
+    /**
+     * Log a recurring effect tick or save
+     * @private
+     * @param {Object} combatant - Combatant the effect is on
+     * @param {Object} effect - Recurring effect
+     * @param {Object} outcome - Tick outcome ({amount, suppressedBy, saved, expired})
+     */
+    _recordRecurringEffect(combatant, effect, outcome) {
+        this._addToHistory('recurring-effect', {
             combatantId: combatant.id,
             combatantName: combatant.name,
-            duration: turnDuration
-        });
-        
-        // Trigger callbacks
-        this._triggerCallbacks('onTurnEnd', {
-            round: this.round,
-            turnIndex: this.turnIndex,
-            combatant,
-            duration: turnDuration
+            effect: effect.name,
+            type: effect.type,
+            damageType: effect.damageType,
+            ...outcome
         });
         
-        // Play turn end sound
-        if (this.audio) {
-            this.audio.play('turn-end');
+        if (this.combatHistory) {
+            this.combatHistory.recordRecurringEffect(combatant, effect, outcome);
         }
         
-        return combatant;
+        this._triggerCallbacks('onRecurringEffect', {
+            combatant: this.getCombatant(combatant.id),
+            effect,
+            ...outcome
+        });
     }
 
     /**
-     * Process conditions at the start of a combatant's turn
+     * Roll the saves that end a combatant's conditions at one end of its turn
      * @private
-     * @param {Object} combatant - Combatant object
+     * @param {string} combatantId - Combatant ID
+     * @param {string} timing - DurationAnchor.TARGET_TURN_START or TARGET_TURN_END
      */
-    async _processConditionsAtTurnStart(combatant) {
-        // Check for death saves
-        if (combatant.hp === 0 && combatant.type === 'pc') {
-            // Apply death save
-            await this.applyDeathSave(combatant.id);
+    async _processConditionSaves(combatantId, timing) {
+        const combatant = this.getCombatant(combatantId);
+        if (!combatant || !combatant.conditions || combatant.conditions.length === 0) {
+            return;
         }
         
-        // Process condition saves
-        if (combatant.conditions && combatant.conditions.length > 0) {
-            // Define roll save function
-            const rollSave = async (combatant, ability, dc) => {
-                // Get ability modifier
-                const modifier = combatant.abilities ? 
-                    Math.floor((combatant.abilities[ability] - 10) / 2) : 0;
-                
-                // Roll save
-                const rollResult = await this.dice.roll(`1d20${modifier >= 0 ? '+' + modifier : modifier}`, {
-                    name: `${ability.toUpperCase()} Save`,
-                    type: 'save'
-                });
-                
-                // Check if save succeeded
-                const success = rollResult.total >= dc;
-                
-                return { roll: rollResult, success };
-            };
-            
-            // Process saves
-            const { combatant: updatedCombatant, results } = 
-                await this.conditions.processConditionSaves(combatant, rollSave);
+        // Process saves
+        const { results } = await this.conditions.processConditionSaves(
+            this._detachCombatant(combatant), (target, ability, dc) => this._rollConditionSave(target, ability, dc), timing);
+        
+        // Update combatant, removing only the saved-against conditions since
+        // other durations may have ticked while the dice were rolling
+        if (results.length > 0) {
+            const saved = results.filter(result => result.success).map(result => result.condition.id);
+            const latest = this.getCombatant(combatantId);
             
-            // Update combatant
-            if (results.length > 0) {
-                this.updateCombatant(combatant.id, {
-                    conditions: updatedCombatant.conditions
-                });
-                
-                // Log condition saves
-                results.forEach(result => {
-                    this._addToHistory('condition-save', {
-                        combatantId: combatant.id,
-                        combatantName: combatant.name,
-                        condition: result.condition.name,
-                        roll: result.roll.total,
-                        dc: result.condition.saveDC,
-                        ability: result.condition.saveAbility,
-                        success: result.success,
-                        message: result.message
-                    });
+            if (latest && saved.length > 0) {
+                this.updateCombatant(combatantId, {
+                    conditions: (latest.conditions || []).filter(condition => !saved.includes(condition.id))
                 });
             }
+            
+            // Log condition saves
+            results.forEach(result => {
+                this._addToHistory('condition-save', {
+                    combatantId: combatant.id,
+                    combatantName: combatant.name,
+                    condition: result.condition.name,
+                    roll: result.roll.total,
+                    dc: result.condition.saveDC,
+                    ability: result.condition.saveAbility,
+                    success: result.success,
+                    message: result.message
+                });
+            });
         }
     }
 
     /**
-     * Process conditions at the end of a combatant's turn
+     * Roll a saving throw against a condition or effect
      * @private
      * @param {Object} combatant - Combatant object
+     * @param {string} ability - Ability to save with
+     * @param {number} dc - Save DC
+     * @returns {Promise<Object>} Roll and whether the save succeeded ({roll, success})
      */
-    _processConditionsAtTurnEnd(combatant) {
-        // Update condition durations
-        if (combatant.conditions && combatant.conditions.length > 0) {
-            const updatedCombatant = this.conditions.updateConditionDurations(combatant);
-            
-            // Update combatant
-            this.updateCombatant(combatant.id, {
-                conditions: updatedCombatant.conditions
-            });
-        }
+    async _rollConditionSave(combatant, ability, dc) {
+        // Get ability modifier
+        const modifier = combatant.abilities ? 
+            Math.floor((combatant.abilities[ability] - 10) / 2) : 0;
+        
+        // Roll save
+        const rollResult = await this.dice.rollSave(ability, modifier, combatant.name, { combatant });
+        
+        // Check if save succeeded; conditions like Paralyzed fail some saves outright
+        const success = !rollResult.autoFail && rollResult.total >= dc;
+        
+        return { roll: rollResult, success };
     }
 
     /**
@@ -1452,6 +2829,8 @@ class Combat {
                 
                 // Auto-end turn if enabled
                 if (this.turnTimerAutoEnd) {
+                    // Under popcorn initiative this prompts for who goes next
+                    this._stopTurnTimer();
                     this.nextTurn();
                 } else {
                     // Stop timer
@@ -1493,6 +2872,21 @@ class Combat {
         this.history.push(entry);
     }
 
+    /**
+     * Copy a combatant so helper modules that modify their argument in place
+     * never touch the objects held in the store
+     * @private
+     * @param {Object} combatant - Combatant object
+     * @returns {Object} Copy with its own conditions and death saves
+     */
+    _detachCombatant(combatant) {
+        return {
+            ...combatant,
+            conditions: (combatant.conditions || []).map(condition => ({ ...condition })),
+            deathSaves: combatant.deathSaves ? { ...combatant.deathSaves } : combatant.deathSaves
+        };
+    }
+
     /**
      * Trigger callbacks for an event
      * @private
@@ -1519,20 +2913,7 @@ class Combat {
      * @returns {Array} Sorted combatants
      */
     sortByInitiative(combatants) {
-        return [...combatants].sort((a, b) => {
-            // Sort by initiative (descending)
-            if (b.initiative !== a.initiative) {
-                return b.initiative - a.initiative;
-            }
-            
-            // If initiative is tied, sort by dexterity if available
-            if (a.abilities && b.abilities && a.abilities.dex !== b.abilities.dex) {
-                return b.abilities.dex - a.abilities.dex;
-            }
-            
-            // If still tied, sort by name
-            return a.name.localeCompare(b.name);
-        });
+        return [...combatants].sort(compareInitiative);
     }
 
     /**
@@ -1607,25 +2988,11 @@ class Combat {
             return false;
         }
         
-        // Remove from current position
-        const [removed] = this.initiativeOrder.splice(currentIndex, 1);
-        
-        // Insert at new position
-        this.initiativeOrder.splice(newIndex, 0, removed);
-        
-        // Adjust turn index if necessary
-        if (this.active) {
-            if (currentIndex === this.turnIndex) {
-                // If the current turn combatant was moved, update turn index
-                this.turnIndex = newIndex;
-            } else if (currentIndex < this.turnIndex && newIndex >= this.turnIndex) {
-                // If a combatant was moved from before the current turn to after it, decrement turn index
-                this.turnIndex--;
-            } else if (currentIndex > this.turnIndex && newIndex <= this.turnIndex) {
-                // If a combatant was moved from after the current turn to before it, increment turn index
-                this.turnIndex++;
-            }
-        }
+        // Move to the new position; the turn stays with the combatant whose turn it is
+        const order = this.initiativeOrder.map(c => c.id);
+        const [removed] = order.splice(currentIndex, 1);
+        order.splice(newIndex, 0, removed);
+        this.dispatch(actions.setInitiativeOrder(order));
         
         // Log initiative reorder
         this._addToHistory('initiative-reorder', {
@@ -1644,7 +3011,106 @@ class Combat {
     }
 
     /**
-     * Delay a combatant's turn
+     * Check whether turns follow popcorn initiative, where each combatant
+     * picks who goes next
+     * @returns {boolean} True under popcorn initiative
+     */
+    isPopcornInitiative() {
+        return this.initiativeSystem === 'popcorn';
+    }
+
+    /**
+     * Get who has acted this round and who hasn't. Under popcorn initiative
+     * the initiative order is kept as the turns taken so far, in handoff
+     * order, followed by everyone still waiting.
+     * @returns {Object} {acted, current, waiting}
+     */
+    getPopcornState() {
+        const order = this.initiativeOrder;
+        return {
+            acted: order.slice(0, Math.max(0, this.turnIndex)),
+            current: this.getCurrentCombatant(),
+            waiting: order.slice(this.turnIndex + 1)
+        };
+    }
+
+    /**
+     * Get who the current combatant can hand the turn to: anyone who hasn't
+     * acted this round, or, when it is the last to act, anyone at all
+     * (itself included) to start the next round
+     * @returns {Array} Combatants to choose from
+     */
+    getPopcornChoices() {
+        const { waiting } = this.getPopcornState();
+        return waiting.length > 0 ? waiting : this.initiativeOrder;
+    }
+
+    /**
+     * Hand the turn to the picked combatant under popcorn initiative, or
+     * prompt for a pick if there is none
+     * @private
+     * @param {string} nextCombatantId - Combatant picked to go next
+     * @returns {boolean} True if the turn can pass
+     */
+    _handOffPopcornTurn(nextCombatantId) {
+        const current = this.getCurrentCombatant();
+        const choices = this.getPopcornChoices();
+        const roundEnd = this.turnIndex + 1 >= this.initiativeOrder.length;
+        
+        // Nobody to ask at the very start of combat
+        if (!current) {
+            return true;
+        }
+        
+        if (!nextCombatantId) {
+            this._triggerCallbacks('onPopcornPrompt', { combatant: current, choices, roundEnd, round: this.round });
+            return false;
+        }
+        
+        const next = choices.find(c => c.id === nextCombatantId);
+        if (!next) {
+            console.warn(`${nextCombatantId} can't take the next turn`);
+            return false;
+        }
+        
+        // The picked combatant moves up to act next; the last to act picks
+        // who starts the next round instead
+        if (roundEnd) {
+            this.popcornRoundStarter = next.id;
+        } else {
+            const order = this.state.initiativeOrder.filter(id => id !== next.id);
+            order.splice(this.turnIndex + 1, 0, next.id);
+            this.dispatch(actions.setInitiativeOrder(order));
+        }
+        
+        this._addToHistory('popcorn-handoff', {
+            round: this.round,
+            fromId: current.id,
+            fromName: current.name,
+            toId: next.id,
+            toName: next.name,
+            roundEnd
+        });
+        
+        if (this.combatHistory) {
+            this.combatHistory.recordTurnHandoff(current, next, roundEnd);
+        }
+        
+        return true;
+    }
+
+    /**
+     * Get the combatants delaying their turn this round
+     * @returns {Array} Delayed combatants
+     */
+    getDelayedCombatants() {
+        return this.combatants.filter(c => c.delayedTurn);
+    }
+
+    /**
+     * Delay a combatant's turn: it leaves the initiative order until it
+     * chooses where in the round to act (see resumeDelayedTurn). A turn still
+     * delayed when the round ends is lost.
      * @param {string} combatantId - Combatant ID
      * @returns {boolean} Success status
      */
@@ -1654,99 +3120,311 @@ class Combat {
             console.warn(`Not ${combatantId}'s turn`);
             return false;
         }
-        
-        // Move combatant to the end of the initiative order
+
+        // The last combatant in the round has no one to act after
         const currentIndex = this.turnIndex;
-        const newIndex = this.initiativeOrder.length - 1;
-        
-        // Reorder initiative
-        const success = this.reorderInitiative(combatantId, newIndex);
-        if (!success) {
+        if (currentIndex >= this.initiativeOrder.length - 1) {
+            console.warn(`No one left to delay behind this round: ${combatantId}`);
             return false;
         }
-        
+
+        // Take the combatant out of the order; the turn passes to whoever is next
+        const combatant = this.getCombatant(combatantId);
+        const order = this.state.initiativeOrder.filter(id => id !== combatantId);
+        this.dispatch(actions.updateCombatant(combatantId, {
+            delayedTurn: {
+                round: this.round,
+                initiative: combatant.initiative,
+                delayedAt: Date.now()
+            }
+        }));
+        this.dispatch(actions.setInitiativeOrder(order));
+
         // Log delay turn
         this._addToHistory('delay-turn', {
             combatantId,
-            combatantName: this.getCombatant(combatantId).name
+            combatantName: combatant.name,
+            round: this.round,
+            initiative: combatant.initiative
         });
-        
+
+        // Trigger callbacks
+        this._triggerCallbacks('onInitiativeChange', {
+            initiativeOrder: this.initiativeOrder
+        });
+
         // Move to next combatant's turn
-        this.turnIndex = currentIndex % this.initiativeOrder.length;
+        this.dispatch(actions.setActiveCombatant(order[currentIndex]));
         this._startTurn();
-        
+
         return true;
     }
 
     /**
-     * Ready an action for a combatant
+     * Bring a delayed combatant back into the initiative order right after
+     * another combatant. Its initiative changes to match, so it keeps the
+     * new place in later rounds. Acting after the current combatant ends the
+     * current turn and starts the delayed one.
+     * @param {string} combatantId - Delayed combatant ID
+     * @param {string} afterId - Combatant to act after (defaults to the current combatant)
+     * @returns {Object|null} Updated combatant or null if it can't act there
+     */
+    resumeDelayedTurn(combatantId, afterId = null) {
+        const combatant = this.getCombatant(combatantId);
+        if (!combatant || !combatant.delayedTurn) {
+            console.warn(`Combatant is not delaying: ${combatantId}`);
+            return null;
+        }
+
+        const current = this.getCurrentCombatant();
+        const after = afterId ? this.getCombatant(afterId) : current;
+        const order = this.state.initiativeOrder;
+        const afterIndex = after ? order.indexOf(after.id) : -1;
+        if (afterIndex === -1) {
+            console.warn(`Combatant not found in initiative order: ${afterId}`);
+            return null;
+        }
+
+        // A delayed turn can only be taken later in the same round
+        if (afterIndex < this.turnIndex) {
+            console.warn(`${after.name} has already acted this round`);
+            return null;
+        }
+
+        // Persist an initiative between the combatant acted after and the next one
+        const next = this.getCombatant(order[afterIndex + 1]);
+        const initiative = next ? (after.initiative + next.initiative) / 2 : after.initiative - 1;
+        const newOrder = [...order];
+        newOrder.splice(afterIndex + 1, 0, combatantId);
+
+        this.dispatch(actions.updateCombatant(combatantId, {
+            initiative,
+            initiativeRoll: null,
+            delayedTurn: null
+        }));
+        this.dispatch(actions.setInitiativeOrder(newOrder));
+
+        // Log resumed turn
+        this._addToHistory('resume-delayed-turn', {
+            combatantId,
+            combatantName: combatant.name,
+            afterId: after.id,
+            afterName: after.name,
+            oldInitiative: combatant.initiative,
+            newInitiative: initiative
+        });
+
+        // Trigger callbacks
+        this._triggerCallbacks('onInitiativeChange', {
+            combatant: this.getCombatant(combatantId),
+            oldInitiative: combatant.initiative,
+            newInitiative: initiative,
+            initiativeOrder: this.initiativeOrder
+        });
+
+        // Acting after the current combatant means acting now
+        if (current && after.id === current.id) {
+            this._endTurn();
+            this.dispatch(actions.setActiveCombatant(combatantId));
+            return this._startTurn({ resumed: true });
+        }
+
+        return this.getCombatant(combatantId);
+    }
+
+    /**
+     * Get the readied actions waiting for their trigger
+     * @returns {Array} Readied actions ({combatant, readiedAction})
+     */
+    getReadiedActions() {
+        return this.combatants
+            .filter(c => c.readiedAction && !c.defeated)
+            .map(combatant => ({ combatant, readiedAction: combatant.readiedAction }));
+    }
+
+    /**
+     * Ready an action for a combatant. Readying uses its action; the readied
+     * action lasts until the start of its next turn and is taken with its
+     * reaction. A readied spell is held with concentration, which ends any
+     * spell it was already concentrating on.
      * @param {string} combatantId - Combatant ID
      * @param {string} action - Action description
      * @param {string} trigger - Action trigger
-     * @returns {boolean} Success status
+     * @param {Object} options - Ready options
+     * @param {string} options.spell - Spell being held, if the action is casting one
+     * @param {boolean} options.spellConcentration - The held spell needs concentration once cast
+     * @param {boolean} options.endTurn - End the turn after readying (default true)
+     * @returns {Object|null} Readied action or null if it isn't the combatant's turn
      */
-    readyCombatantAction(combatantId, action, trigger) {
+    readyCombatantAction(combatantId, action, trigger, options = {}) {
         // Check if it's the combatant's turn
         if (!this.isCombatantsTurn(combatantId)) {
             console.warn(`Not ${combatantId}'s turn`);
-            return false;
+            return null;
         }
-        
+
         // Update combatant
         const combatant = this.getCombatant(combatantId);
         if (!combatant) {
-            return false;
+            return null;
         }
-        
-        this.updateCombatant(combatantId, {
-            readiedAction: {
-                action,
-                trigger,
-                readiedAt: Date.now()
-            }
-        });
-        
+
+        const warning = this.useAction(combatantId, ActionType.ACTION, 1, { name: 'Ready' }).warning;
+
+        // Holding a spell costs the concentration on any other spell
+        let endedConcentration = null;
+        if (options.spell) {
+            const concentrating = (combatant.conditions || []).find(c => c.id === 'concentrating');
+            endedConcentration = concentrating ? concentrating.spell || concentrating.source || null : null;
+            this.startConcentration(combatantId, options.spell);
+        }
+
+        const readiedAction = {
+            action,
+            trigger,
+            spell: options.spell || null,
+            spellConcentration: !!options.spellConcentration,
+            endedConcentration,
+            round: this.round,
+            readiedAt: Date.now()
+        };
+        this.updateCombatant(combatantId, { readiedAction });
+
         // Log ready action
         this._addToHistory('ready-action', {
             combatantId,
             combatantName: combatant.name,
             action,
-            trigger
+            trigger,
+            spell: readiedAction.spell,
+            endedConcentration,
+            warning
         });
-        
+
         // Move to next turn
-        this.nextTurn();
-        
-        return true;
+        if (options.endTurn !== false) {
+            this.nextTurn();
+        }
+
+        return readiedAction;
     }
 
     /**
-     * Trigger a readied action
+     * Trigger a readied action, using the combatant's reaction. A released
+     * spell stops needing concentration unless the spell itself does.
      * @param {string} combatantId - Combatant ID
-     * @returns {boolean} Success status
+     * @returns {Object|null} {readiedAction, warning} or null if nothing is readied
      */
     triggerReadiedAction(combatantId) {
         // Get combatant
         const combatant = this.getCombatant(combatantId);
         if (!combatant || !combatant.readiedAction) {
             console.warn(`No readied action for combatant: ${combatantId}`);
-            return false;
+            return null;
         }
-        
+
+        const { readiedAction } = combatant;
+        const warning = this.useReaction(combatantId, readiedAction.action).warning;
+
         // Log trigger readied action
         this._addToHistory('trigger-readied-action', {
             combatantId,
             combatantName: combatant.name,
-            action: combatant.readiedAction.action,
-            trigger: combatant.readiedAction.trigger
+            action: readiedAction.action,
+            trigger: readiedAction.trigger,
+            spell: readiedAction.spell,
+            warning
         });
-        
+
         // Clear readied action
         this.updateCombatant(combatantId, {
             readiedAction: null
         });
-        
-        return true;
+
+        if (readiedAction.spell && !readiedAction.spellConcentration) {
+            this.endConcentration(combatantId, 'readied-spell');
+        }
+
+        return { readiedAction, warning };
+    }
+
+    /**
+     * Drop a readied action that didn't trigger before its owner's turn,
+     * along with the concentration on a held spell
+     * @private
+     * @param {Object} combatant - Combatant whose turn is starting
+     */
+    _expireReadiedAction(combatant) {
+        const { readiedAction } = combatant;
+        if (!readiedAction) {
+            return;
+        }
+
+        this.dispatch(actions.updateCombatant(combatant.id, { readiedAction: null }));
+
+        this._addToHistory('readied-action-expired', {
+            combatantId: combatant.id,
+            combatantName: combatant.name,
+            action: readiedAction.action,
+            spell: readiedAction.spell
+        });
+
+        if (readiedAction.spell) {
+            this.endConcentration(combatant.id, 'readied-spell');
+        }
+    }
+
+    /**
+     * Prompt the table with the readied actions that could answer what a
+     * combatant is doing; only combatants with a reaction left can take theirs
+     * @private
+     * @param {Object} actor - Combatant acting
+     * @param {Object} event - What it is doing ({type, name, targetIds})
+     * @returns {Array} Prompts ({combatant, readiedAction})
+     */
+    _promptReadiedActions(actor, event) {
+        const prompts = this.getReadiedActions()
+            .filter(({ combatant }) => combatant.id !== actor.id &&
+                !this._getActionBlocker(combatant, ActionType.REACTION) &&
+                hasAvailable(this.getActionEconomy(combatant.id), ActionType.REACTION));
+
+        if (prompts.length > 0) {
+            this._triggerCallbacks('onReadiedActionPrompt', { actor, event, prompts });
+        }
+
+        return prompts;
+    }
+
+    /**
+     * Put combatants still delaying back in the order at their old
+     * initiative; the delayed turn is lost
+     * @private
+     */
+    _returnDelayedCombatants() {
+        const delayed = this.getDelayedCombatants();
+        if (delayed.length === 0) {
+            return;
+        }
+
+        delayed.forEach(combatant => {
+            this.dispatch(actions.updateCombatant(combatant.id, { delayedTurn: null }));
+
+            const order = this.initiativeOrder;
+            const index = order.findIndex(c => compareInitiative(combatant, c) < 0);
+            const ids = order.map(c => c.id);
+            ids.splice(index === -1 ? ids.length : index, 0, combatant.id);
+            this.dispatch(actions.setInitiativeOrder(ids));
+
+            this._addToHistory('delayed-turn-lost', {
+                combatantId: combatant.id,
+                combatantName: combatant.name,
+                round: combatant.delayedTurn.round
+            });
+        });
+
+        this._triggerCallbacks('onInitiativeChange', {
+            initiativeOrder: this.initiativeOrder
+        });
     }
 
     /**
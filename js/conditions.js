@@ -2,10 +2,31 @@
  * Conditions module for Jesster's Combat Tracker
  * Handles status conditions for combatants
  */
+
+import {
+    DEFAULT_RULESET,
+    isRuleset,
+    getRulesetConditions,
+    getRulesetExtraConditions
+} from './rulesets.js';
+import { DocumentName } from './repository.js';
+
+/**
+ * Turn boundaries a timed condition can be anchored to. "Until the start of
+ * Vex's next turn" is SOURCE_TURN_START with Vex as the source; a bare
+ * duration counts down at the end of the affected combatant's own turns.
+ */
+export const DurationAnchor = {
+    SOURCE_TURN_START: 'source-turn-start',
+    SOURCE_TURN_END: 'source-turn-end',
+    TARGET_TURN_START: 'target-turn-start',
+    TARGET_TURN_END: 'target-turn-end'
+};
+
 class Conditions {
-    constructor(storage) {
-        // Store reference to storage module
-        this.storage = storage;
+    constructor(repository) {
+        // Store reference to the repository
+        this.repository = repository;
         
         // Standard D&D 5e conditions
         this.standardConditions = [
@@ -429,10 +450,17 @@ class Conditions {
             }
         ];
         
+        // 2014 definitions, kept so setRuleset can swap between rulesets
+        this.baseConditions = {
+            standard: this.standardConditions,
+            additional: this.additionalConditions
+        };
+        this.ruleset = DEFAULT_RULESET;
+        
         // All conditions (standard + additional)
         this.allConditions = [...this.standardConditions, ...this.additionalConditions];
         
-        // Custom conditions (loaded from storage)
+        // Custom conditions (loaded from the repository)
         this.customConditions = [];
         
         // Load custom conditions
@@ -442,12 +470,12 @@ class Conditions {
     }
 
     /**
-     * Load custom conditions from storage
+     * Load custom conditions from the repository
      * @private
      */
     async _loadCustomConditions() {
         try {
-            const customConditions = await this.storage.load('customConditions', { useLocalStorage: true });
+            const customConditions = await this.repository.getDocument(DocumentName.CUSTOM_CONDITIONS);
             if (customConditions && Array.isArray(customConditions)) {
                 this.customConditions = customConditions;
                 // Add custom conditions to allConditions
@@ -459,17 +487,43 @@ class Conditions {
     }
 
     /**
-     * Save custom conditions to storage
+     * Save custom conditions to the repository
      * @private
      */
     async _saveCustomConditions() {
         try {
-            await this.storage.save('customConditions', this.customConditions, { useLocalStorage: true });
+            await this.repository.setDocument(DocumentName.CUSTOM_CONDITIONS, this.customConditions);
         } catch (error) {
             console.error('Error saving custom conditions:', error);
         }
     }
 
+    /**
+     * Use the condition definitions of a ruleset
+     * @param {string} ruleset - Ruleset (see rulesets.js)
+     */
+    setRuleset(ruleset) {
+        if (!isRuleset(ruleset) || ruleset === this.ruleset) {
+            return;
+        }
+        
+        this.ruleset = ruleset;
+        this.standardConditions = getRulesetConditions(this.baseConditions.standard, ruleset);
+        this.additionalConditions = [
+            ...getRulesetConditions(this.baseConditions.additional, ruleset),
+            ...getRulesetExtraConditions(ruleset)
+        ];
+        this.allConditions = [...this.standardConditions, ...this.additionalConditions, ...this.customConditions];
+    }
+
+    /**
+     * Get the ruleset whose condition definitions are in use
+     * @returns {string} Ruleset
+     */
+    getRuleset() {
+        return this.ruleset;
+    }
+
     /**
      * Get all conditions
      * @returns {Array} All conditions
@@ -609,6 +663,13 @@ class Conditions {
      * @param {number} options.saveDC - Save DC to end the condition
      * @param {string} options.saveAbility - Ability to save with
      * @param {string} options.notes - Additional notes
+     * @param {string} options.spell - Spell being concentrated on (for 'concentrating')
+     * @param {string} options.concentrationOf - ID of the combatant whose concentration maintains the condition
+     * @param {string} options.sourceId - ID of the combatant that applied the condition
+     * @param {string} options.anchor - DurationAnchor the duration counts down at
+     * @param {number} options.sourceInitiative - Source's initiative, used once the source leaves the order
+     * @param {Object} options.appliedDuring - Turn the condition was applied in ({combatantId, round})
+     * @param {string} options.saveTiming - DurationAnchor.TARGET_TURN_START or TARGET_TURN_END for the save to end
      * @returns {Object} Updated combatant
      */
     applyCondition(combatant, conditionId, options = {}) {
@@ -633,7 +694,14 @@ class Conditions {
             source = null,
             saveDC = null,
             saveAbility = null,
-            notes = null
+            notes = null,
+            spell = null,
+            concentrationOf = null,
+            sourceId = null,
+            anchor = null,
+            sourceInitiative = null,
+            appliedDuring = null,
+            saveTiming = null
         } = options;
         
         // Create applied condition
@@ -647,7 +715,14 @@ class Conditions {
             source,
             saveDC,
             saveAbility,
-            notes
+            notes,
+            spell,
+            concentrationOf,
+            sourceId,
+            anchor,
+            sourceInitiative,
+            appliedDuring,
+            saveTiming
         };
         
         // If condition is exhaustion, remove any existing exhaustion
@@ -711,15 +786,93 @@ class Conditions {
      * @returns {Object} Updated combatant with expired conditions removed
      */
     updateConditionDurations(combatant) {
+        return this.tickConditionDurations(combatant, condition =>
+            this.getConditionAnchor(condition) === DurationAnchor.TARGET_TURN_END
+        ).combatant;
+    }
+
+    /**
+     * Get the turn boundary a condition's duration counts down at
+     * @param {Object} condition - Applied condition
+     * @returns {string} DurationAnchor value
+     */
+    getConditionAnchor(condition) {
+        return condition.anchor || DurationAnchor.TARGET_TURN_END;
+    }
+
+    /**
+     * Get the ID of the combatant whose turns a condition's duration follows
+     * @param {Object} condition - Applied condition
+     * @param {string} targetId - ID of the combatant with the condition
+     * @returns {string} Combatant ID
+     */
+    getAnchorCombatantId(condition, targetId) {
+        const anchor = this.getConditionAnchor(condition);
+        const followsSource = anchor === DurationAnchor.SOURCE_TURN_START || anchor === DurationAnchor.SOURCE_TURN_END;
+        
+        return followsSource && condition.sourceId ? condition.sourceId : targetId;
+    }
+
+    /**
+     * Check whether a turn boundary counts down a condition's duration
+     * @param {Object} condition - Applied condition
+     * @param {string} targetId - ID of the combatant with the condition
+     * @param {Object} turn - Turn boundary ({combatantId, round, boundary: 'start' or 'end'})
+     * @returns {boolean} True if the condition ticks
+     */
+    isConditionDue(condition, targetId, turn) {
+        // Conditions without a duration last until removed
+        if (condition.duration === null || condition.duration === undefined) {
+            return false;
+        }
+        
+        return this.isAnchorReached(condition, targetId, turn);
+    }
+
+    /**
+     * Check whether a turn boundary is the one an anchored condition or
+     * effect ({anchor, sourceId, appliedDuring}) follows
+     * @param {Object} anchored - Condition or recurring effect
+     * @param {string} targetId - ID of the combatant it is on
+     * @param {Object} turn - Turn boundary ({combatantId, round, boundary: 'start' or 'end'})
+     * @returns {boolean} True if the boundary is reached
+     */
+    isAnchorReached(anchored, targetId, turn) {
+        const anchor = this.getConditionAnchor(anchored);
+        const boundary = anchor === DurationAnchor.SOURCE_TURN_START || anchor === DurationAnchor.TARGET_TURN_START
+            ? 'start' : 'end';
+        
+        if (boundary !== turn.boundary || this.getAnchorCombatantId(anchored, targetId) !== turn.combatantId) {
+            return false;
+        }
+        
+        // "Until the end of your next turn" skips the turn it was applied in
+        const applied = anchored.appliedDuring;
+        return !(anchored.anchor && applied &&
+            applied.combatantId === turn.combatantId && applied.round === turn.round);
+    }
+
+    /**
+     * Count down the conditions that are due and remove those that expire
+     * @param {Object} combatant - Combatant object
+     * @param {Function|Object} due - Predicate called with each condition, or a turn boundary for isConditionDue
+     * @returns {Object} Updated combatant and expired conditions ({combatant, expired})
+     */
+    tickConditionDurations(combatant, due) {
         // Check if combatant has conditions
         if (!combatant.conditions || combatant.conditions.length === 0) {
-            return combatant;
+            return { combatant, expired: [] };
         }
         
+        const isDue = typeof due === 'function'
+            ? due
+            : condition => this.isConditionDue(condition, combatant.id, due);
+        const expired = [];
+        
         // Update durations and filter out expired conditions
         combatant.conditions = combatant.conditions.filter(condition => {
-            // If condition has no duration, keep it
-            if (condition.duration === null || condition.duration === undefined) {
+            // If condition has no duration or isn't anchored here, keep it
+            if (condition.duration === null || condition.duration === undefined || !isDue(condition)) {
                 return true;
             }
             
@@ -727,19 +880,25 @@ class Conditions {
             condition.duration--;
             
             // Keep condition if duration is still positive
-            return condition.duration > 0;
+            if (condition.duration > 0) {
+                return true;
+            }
+            
+            expired.push(condition);
+            return false;
         });
         
-        return combatant;
+        return { combatant, expired };
     }
 
     /**
-     * Process saving throws for conditions at the start of a combatant's turn
+     * Process saving throws for conditions at the start or end of a combatant's turn
      * @param {Object} combatant - Combatant object
      * @param {Function} rollSave - Function to roll a saving throw
+     * @param {string} timing - DurationAnchor.TARGET_TURN_START or TARGET_TURN_END
      * @returns {Promise<Object>} Updated combatant and save results
      */
-    async processConditionSaves(combatant, rollSave) {
+    async processConditionSaves(combatant, rollSave, timing = DurationAnchor.TARGET_TURN_START) {
         // Check if combatant has conditions
         if (!combatant.conditions || combatant.conditions.length === 0) {
             return { combatant, results: [] };
@@ -750,8 +909,9 @@ class Conditions {
         
         // Process each condition
         for (const condition of combatant.conditions) {
-            // Skip conditions without save DC
-            if (!condition.saveDC || !condition.saveAbility) {
+            // Skip conditions without save DC or saved against at the other end of the turn
+            if (!condition.saveDC || !condition.saveAbility ||
+                (condition.saveTiming || DurationAnchor.TARGET_TURN_START) !== timing) {
                 updatedConditions.push(condition);
                 continue;
             }
@@ -804,6 +964,7 @@ class Conditions {
             incomingMeleeCritical: false,
             attackBonus: 0,
             attackPenalty: 0,
+            attackDisadvantageExceptSource: false,
             
             // Defense effects
             acBonus: 0,
@@ -822,10 +983,15 @@ class Conditions {
             // Check effects
             checkAdvantage: false,
             checkDisadvantage: false,
+            checkBonus: 0,
+            checkPenalty: 0,
             strCheckAdvantage: false,
+            initiativeAdvantage: false,
+            initiativeDisadvantage: false,
             
             // Movement effects
             speedZero: false,
+            speedPenalty: 0,
             speedHalved: false,
             speedDoubled: false,
             cannotMove: false,
@@ -877,13 +1043,15 @@ class Conditions {
             
             // Attack effects
             if (rules.attackAdvantage) effects.attackAdvantage = true;
-                       if (rules.incomingAttackAdvantage) effects.incomingAttackAdvantage = true;
+            if (rules.attackDisadvantage) effects.attackDisadvantage = true;
+            if (rules.incomingAttackAdvantage) effects.incomingAttackAdvantage = true;
             if (rules.incomingAttackDisadvantage) effects.incomingAttackDisadvantage = true;
             if (rules.incomingMeleeAttackAdvantage) effects.incomingMeleeAttackAdvantage = true;
             if (rules.incomingRangedAttackDisadvantage) effects.incomingRangedAttackDisadvantage = true;
             if (rules.incomingMeleeCritical) effects.incomingMeleeCritical = true;
             if (rules.attackBonus) effects.attackBonus += rules.attackBonus;
             if (rules.attackPenalty) effects.attackPenalty += rules.attackPenalty;
+            if (rules.attackDisadvantageExceptSource) effects.attackDisadvantageExceptSource = true;
             
             // Defense effects
             if (rules.acBonus) effects.acBonus += rules.acBonus;
@@ -902,10 +1070,15 @@ class Conditions {
             // Check effects
             if (rules.checkAdvantage) effects.checkAdvantage = true;
             if (rules.checkDisadvantage) effects.checkDisadvantage = true;
+            if (rules.checkBonus) effects.checkBonus += rules.checkBonus;
+            if (rules.checkPenalty) effects.checkPenalty += rules.checkPenalty;
             if (rules.strCheckAdvantage) effects.strCheckAdvantage = true;
+            if (rules.initiativeAdvantage) effects.initiativeAdvantage = true;
+            if (rules.initiativeDisadvantage) effects.initiativeDisadvantage = true;
             
             // Movement effects
             if (rules.speedZero) effects.speedZero = true;
+            if (rules.speedPenalty) effects.speedPenalty += rules.speedPenalty;
             if (rules.speedHalved) effects.speedHalved = true;
             if (rules.speedDoubled) effects.speedDoubled = true;
             if (rules.cannotMove) effects.cannotMove = true;
@@ -1263,6 +1436,24 @@ class Conditions {
         return this.hasCondition(combatant, 'concentrating');
     }
 
+    /**
+     * Get the conditions a combatant's concentration maintains on others
+     * @param {Array} combatants - All combatants
+     * @param {string} casterId - ID of the concentrating combatant
+     * @returns {Array} Linked conditions ({combatantId, condition})
+     */
+    getConcentrationLinkedConditions(combatants, casterId) {
+        const linked = [];
+        
+        combatants.forEach(combatant => {
+            (combatant.conditions || [])
+                .filter(condition => condition.concentrationOf === casterId)
+                .forEach(condition => linked.push({ combatantId: combatant.id, condition }));
+        });
+        
+        return linked;
+    }
+
     /**
      * Get condition rules for a specific condition
      * @param {string} conditionId - Condition ID
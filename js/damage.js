@@ -2,6 +2,49 @@
  * Damage module for Jesster's Combat Tracker
  * Handles damage calculation and application to combatants
  */
+import { RollKind } from './rulesEngine.js';
+
+// Features that give advantage on saves to keep concentration (lower case)
+const CONCENTRATION_ADVANTAGE_FEATURES = ['war caster', 'eldritch mind'];
+
+// Physical damage types, reduced by features like Heavy Armor Master
+const PHYSICAL_DAMAGE_TYPES = ['bludgeoning', 'piercing', 'slashing'];
+
+/**
+ * Stages of the damage pipeline, in the order they run
+ */
+export const DamageStage = {
+    FLAT: 'flat',               // Flat reductions (Heavy Armor Master, damage reduction)
+    HALVING: 'halving',         // Halving the hit (Uncanny Dodge, a successful save)
+    RESISTANCE: 'resistance',   // Immunity, resistance and vulnerability
+    TEMP_HP: 'temp-hp'          // Temporary hit points soak what is left
+};
+
+const DAMAGE_STAGE_ORDER = [DamageStage.FLAT, DamageStage.HALVING, DamageStage.RESISTANCE, DamageStage.TEMP_HP];
+
+/**
+ * Create a damage packet: one hit made of typed components
+ * @param {Array} components - Components ({amount, type}); amounts may be dice formulas
+ * @param {Object} flags - Packet flags
+ * @param {boolean} flags.magical - Whether the hit is magical
+ * @param {boolean} flags.silvered - Whether the weapon is silvered
+ * @param {boolean} flags.adamantine - Whether the weapon is adamantine
+ * @param {boolean} flags.critical - Whether the hit is a critical hit
+ * @returns {Object} Damage packet
+ */
+export function createDamagePacket(components, flags = {}) {
+    return {
+        components: components.map(component => ({
+            amount: component.amount,
+            type: component.type || null
+        })),
+        magical: !!flags.magical,
+        silvered: !!flags.silvered,
+        adamantine: !!flags.adamantine,
+        critical: !!flags.critical
+    };
+}
+
 class Damage {
     constructor(dice, audio) {
         // Store references to other modules
@@ -28,6 +71,34 @@ class Damage {
         // Damage history
         this.damageHistory = [];
         
+        // Damage pipeline; features can add their own modifiers with addDamageModifier
+        this.damagePipeline = [
+            {
+                id: 'damage-reduction',
+                name: 'Damage Reduction',
+                stage: DamageStage.FLAT,
+                apply: context => this._applyDamageReductions(context)
+            },
+            {
+                id: 'halving',
+                name: 'Halved',
+                stage: DamageStage.HALVING,
+                apply: context => this._applyHalving(context)
+            },
+            {
+                id: 'resistance',
+                name: 'Resistance',
+                stage: DamageStage.RESISTANCE,
+                apply: context => this._applyResistances(context)
+            },
+            {
+                id: 'temporary-hp',
+                name: 'Temporary HP',
+                stage: DamageStage.TEMP_HP,
+                apply: context => this._applyTemporaryHP(context)
+            }
+        ];
+        
         console.log("Damage module initialized");
     }
 
@@ -49,95 +120,97 @@ class Damage {
     }
 
     /**
-     * Apply damage to a combatant
+     * Apply damage to a combatant. The damage may be a single amount with
+     * options.type or a damage packet (see createDamagePacket) of several
+     * typed components; either way it runs through the damage pipeline:
+     * flat reductions, halving, resistance and vulnerability, then
+     * temporary HP.
      * @param {Object} combatant - Combatant object
-     * @param {number|string} amount - Damage amount or formula
+     * @param {number|string|Object} amount - Damage amount, formula or packet
      * @param {Object} options - Damage options
      * @param {string} options.type - Damage type
      * @param {boolean} options.critical - Whether the damage is from a critical hit
+     * @param {boolean} options.magical - Whether the damage is magical
      * @param {string} options.source - Source of the damage
+     * @param {string} options.sourceId - ID of the combatant dealing the damage
+     * @param {boolean} options.halve - Halve the damage (Uncanny Dodge, a successful save for half)
+     * @param {Array} options.reductions - Extra flat reductions for this hit ({name, amount, types})
+     * @param {Array<string>} options.resistances - Extra resistances for this hit (e.g. from Absorb Elements)
      * @param {boolean} options.ignoreResistance - Whether to ignore resistance
      * @param {boolean} options.ignoreImmunity - Whether to ignore immunity
      * @param {boolean} options.ignoreVulnerability - Whether to ignore vulnerability
+     * @param {boolean} options.ignoreTempHp - Whether the damage bypasses temporary HP
+     * @param {string} options.concentrationMode - 'auto' to roll concentration saves, 'prompt' to leave them to the table
      * @returns {Promise<Object>} Damage result
      */
     async applyDamage(combatant, amount, options = {}) {
         // Get options
         const {
-            type = null,
-            critical = false,
             source = null,
-            ignoreResistance = false,
-            ignoreImmunity = false,
-            ignoreVulnerability = false
+            sourceId = null,
+            concentrationMode = 'auto'
         } = options;
         
-        // Get damage type
-        const damageType = type ? this.getDamageType(type) : null;
-        
-        // Calculate raw damage
-        let rawDamage = 0;
-        
-        // If amount is a number, use it directly
-        if (typeof amount === 'number') {
-            rawDamage = amount;
-        }
-        // If amount is a string, it could be a formula or a simple number
-        else if (typeof amount === 'string') {
-            // Check if it's a simple number
-            if (/^-?\d+$/.test(amount)) {
-                rawDamage = parseInt(amount, 10);
-            }
-            // If it's a relative value (e.g., "+5" or "-3")
-            else if (/^[+-]\d+$/.test(amount)) {
-                rawDamage = parseInt(amount, 10);
-            }
-            // Otherwise, treat it as a dice formula
-            else {
-                const rollResult = await this.dice.roll(amount, {
-                    name: `${damageType ? damageType.name : 'Damage'}`,
-                    type: 'damage',
-                    critical
-                });
-                
-                rawDamage = rollResult.total;
-            }
-        }
+        // Roll each component of the hit
+        const packet = await this.rollDamagePacket(this._toDamagePacket(amount, options));
+        const rawDamage = packet.components.reduce((total, component) => total + component.rolled, 0);
         
         // Check for negative damage (healing)
         if (rawDamage < 0) {
             return this.applyHealing(combatant, -rawDamage, { source });
         }
         
-        // Apply damage modifiers based on resistances, immunities, and vulnerabilities
-        let finalDamage = rawDamage;
-        let damageModifier = 'normal';
+        // Run the pipeline
+        const context = {
+            combatant,
+            packet,
+            options,
+            components: packet.components.map(component => ({
+                type: component.type,
+                formula: component.formula,
+                rolled: component.rolled,
+                amount: Math.max(0, component.rolled),
+                modifier: 'normal',
+                steps: []
+            })),
+            tempHpAbsorbed: 0
+        };
         
-        if (damageType && combatant.damageModifiers) {
-            // Check for immunity
-            if (!ignoreImmunity && combatant.damageModifiers.immunities && 
-                combatant.damageModifiers.immunities.includes(damageType.id)) {
-                finalDamage = 0;
-                damageModifier = 'immune';
-            }
-            // Check for resistance
-            else if (!ignoreResistance && combatant.damageModifiers.resistances && 
-                     combatant.damageModifiers.resistances.includes(damageType.id)) {
-                finalDamage = Math.floor(rawDamage / 2);
-                damageModifier = 'resistant';
-            }
-            // Check for vulnerability
-            else if (!ignoreVulnerability && combatant.damageModifiers.vulnerabilities && 
-                     combatant.damageModifiers.vulnerabilities.includes(damageType.id)) {
-                finalDamage = rawDamage * 2;
-                damageModifier = 'vulnerable';
-            }
-        }
+        this._getOrderedDamageModifiers().forEach(modifier => {
+            const before = context.components.map(component => component.amount);
+            modifier.apply(context);
+            
+            context.components.forEach((component, index) => {
+                component.amount = Math.max(0, component.amount);
+                if (component.amount !== before[index]) {
+                    component.steps.push({
+                        modifier: modifier.id,
+                        name: modifier.name,
+                        before: before[index],
+                        after: component.amount
+                    });
+                }
+            });
+        });
+        
+        const components = context.components;
+        const finalDamage = components.reduce((total, component) => total + component.amount, 0);
+        const tempHpAbsorbed = Math.min(context.tempHpAbsorbed, finalDamage);
+        const hpDamage = finalDamage - tempHpAbsorbed;
+        
+        // A single-type hit keeps reporting its type and modifier directly
+        const damageTypes = [...new Set(components.filter(c => c.type && c.amount > 0).map(c => c.type))];
+        const modifiers = [...new Set(components.map(component => component.modifier))];
+        const damageType = components.length === 1 ? components[0].type : damageTypes[0] || null;
+        const damageModifier = modifiers.length === 1 ? modifiers[0] : 'mixed';
         
-        // Update combatant HP
+        // Update combatant HP and temporary HP
         const oldHP = combatant.hp || 0;
-        const newHP = Math.max(0, oldHP - finalDamage);
+        const oldTempHP = combatant.tempHp || 0;
+        const newHP = Math.max(0, oldHP - hpDamage);
+        const newTempHP = oldTempHP - tempHpAbsorbed;
         combatant.hp = newHP;
+        combatant.tempHp = newTempHP;
         
         // Check if combatant is unconscious
         const isUnconscious = newHP === 0 && oldHP > 0;
@@ -147,7 +220,7 @@ class Damage {
             // For monsters, they die at 0 HP
             (combatant.type === 'monster') ||
             // For PCs, they die if damage >= max HP + current HP
-            (combatant.type === 'pc' && finalDamage >= (combatant.maxHp + oldHP))
+            (combatant.type === 'pc' && hpDamage >= (combatant.maxHp + oldHP))
         );
         
         // Play sound effect
@@ -158,38 +231,351 @@ class Damage {
             this.audio.play('critical-hit');
         }
         
+        const breakdown = components.map(component => ({
+            type: component.type,
+            formula: component.formula,
+            rolled: component.rolled,
+            amount: component.amount,
+            modifier: component.modifier,
+            steps: component.steps
+        }));
+        
         // Record damage in history
         const damageRecord = {
             combatantId: combatant.id,
             combatantName: combatant.name,
             timestamp: Date.now(),
             type: 'damage',
-            damageType: damageType ? damageType.id : null,
+            damageType,
             rawDamage,
             finalDamage,
             damageModifier,
+            tempHpAbsorbed,
             oldHP,
             newHP,
             source,
-            critical
+            critical: packet.critical,
+            components: breakdown
         };
         
         this.damageHistory.push(damageRecord);
         
+        // Damage to a concentrating creature calls for a Constitution save;
+        // dropping to 0 hit points ends concentration outright
+        let concentration = null;
+        if (finalDamage > 0 && this.isConcentrating(combatant)) {
+            concentration = newHP === 0
+                ? this.breakConcentration(combatant, 'unconscious')
+                : await this.applyConcentrationCheck(combatant, finalDamage, { mode: concentrationMode });
+        }
+        
         // Return damage result
         return {
             combatant,
             rawDamage,
             finalDamage,
             damageModifier,
+            tempHpAbsorbed,
             oldHP,
             newHP,
+            oldTempHP,
+            newTempHP,
             isUnconscious,
             isDead,
-            damageType: damageType ? damageType.id : null
+            damageType,
+            damageTypes,
+            components: breakdown,
+            magical: packet.magical,
+            critical: packet.critical,
+            source,
+            sourceId,
+            concentration
         };
     }
 
+    /**
+     * Roll the dice formulas in a damage packet
+     * @param {Object} packet - Damage packet
+     * @returns {Promise<Object>} Packet whose components carry a rolled total
+     */
+    async rollDamagePacket(packet) {
+        const components = [];
+        
+        for (const component of packet.components) {
+            // Components that have already been rolled keep their total
+            if (typeof component.rolled === 'number') {
+                components.push({ ...component });
+                continue;
+            }
+            
+            const { amount } = component;
+            let rolled = 0;
+            
+            // If amount is a number, use it directly
+            if (typeof amount === 'number') {
+                rolled = amount;
+            }
+            // A simple or relative number (e.g. "12", "+5" or "-3")
+            else if (typeof amount === 'string' && /^[+-]?\d+$/.test(amount.trim())) {
+                rolled = parseInt(amount, 10);
+            }
+            // Otherwise, treat it as a dice formula
+            else if (typeof amount === 'string' && amount.trim()) {
+                const damageType = component.type ? this.getDamageType(component.type) : null;
+                const rollResult = await this.dice.roll(amount, {
+                    name: `${damageType ? damageType.name : 'Damage'}`,
+                    type: 'damage',
+                    critical: packet.critical
+                });
+                
+                rolled = rollResult.total;
+            }
+            
+            components.push({
+                ...component,
+                formula: typeof amount === 'string' ? amount : null,
+                rolled
+            });
+        }
+        
+        return { ...packet, components };
+    }
+
+    /**
+     * Add a modifier to the damage pipeline, e.g. for a class feature
+     * @param {Object} modifier - Modifier
+     * @param {string} modifier.id - Unique ID
+     * @param {string} modifier.name - Name shown in the damage breakdown
+     * @param {string} modifier.stage - DamageStage the modifier runs in
+     * @param {Function} modifier.apply - Called with the pipeline context
+     *   ({combatant, packet, options, components, tempHpAbsorbed}); changes
+     *   the amount of each component in place
+     * @returns {boolean} Success status
+     */
+    addDamageModifier(modifier) {
+        if (!modifier || !modifier.id || typeof modifier.apply !== 'function' ||
+            !DAMAGE_STAGE_ORDER.includes(modifier.stage)) {
+            console.error('Invalid damage modifier:', modifier);
+            return false;
+        }
+        
+        this.removeDamageModifier(modifier.id);
+        this.damagePipeline.push({ name: modifier.id, ...modifier });
+        
+        return true;
+    }
+
+    /**
+     * Remove a modifier from the damage pipeline
+     * @param {string} id - Modifier ID
+     * @returns {boolean} True if a modifier was removed
+     */
+    removeDamageModifier(id) {
+        const count = this.damagePipeline.length;
+        this.damagePipeline = this.damagePipeline.filter(modifier => modifier.id !== id);
+        return this.damagePipeline.length !== count;
+    }
+
+    /**
+     * Get the damage pipeline in the order it runs
+     * @returns {Array} Modifiers ({id, name, stage})
+     */
+    getDamageModifiers() {
+        return this._getOrderedDamageModifiers().map(({ id, name, stage }) => ({ id, name, stage }));
+    }
+
+    /**
+     * Get the flat damage reductions that apply to a combatant
+     * @param {Object} combatant - Combatant object
+     * @returns {Array} Reductions ({name, amount, types, nonmagicalOnly})
+     */
+    getDamageReductions(combatant) {
+        const reductions = [...(combatant.damageReduction || [])];
+        
+        if (this._hasFeature(combatant, ['heavy armor master'])) {
+            reductions.push({
+                name: 'Heavy Armor Master',
+                amount: 3,
+                types: PHYSICAL_DAMAGE_TYPES,
+                nonmagicalOnly: true
+            });
+        }
+        
+        return reductions;
+    }
+
+    /**
+     * Build a damage packet from an amount and the single-type options
+     * @private
+     * @param {number|string|Object} amount - Damage amount, formula or packet
+     * @param {Object} options - Damage options
+     * @returns {Object} Damage packet
+     */
+    _toDamagePacket(amount, options) {
+        const flags = {
+            magical: options.magical,
+            silvered: options.silvered,
+            adamantine: options.adamantine,
+            critical: options.critical
+        };
+        
+        if (amount && typeof amount === 'object' && Array.isArray(amount.components)) {
+            return {
+                ...amount,
+                magical: !!(amount.magical || flags.magical),
+                silvered: !!(amount.silvered || flags.silvered),
+                adamantine: !!(amount.adamantine || flags.adamantine),
+                critical: !!(amount.critical || flags.critical)
+            };
+        }
+        
+        return createDamagePacket([{ amount, type: options.type || null }], flags);
+    }
+
+    /**
+     * Get the pipeline modifiers sorted by stage, keeping the order they were added
+     * @private
+     * @returns {Array} Modifiers
+     */
+    _getOrderedDamageModifiers() {
+        return DAMAGE_STAGE_ORDER.flatMap(stage =>
+            this.damagePipeline.filter(modifier => modifier.stage === stage));
+    }
+
+    /**
+     * Subtract flat reductions, each spread over the components it covers
+     * @private
+     * @param {Object} context - Pipeline context
+     */
+    _applyDamageReductions(context) {
+        const reductions = [
+            ...this.getDamageReductions(context.combatant),
+            ...(context.options.reductions || [])
+        ];
+        
+        reductions.forEach(reduction => {
+            if (reduction.nonmagicalOnly && context.packet.magical) {
+                return;
+            }
+            
+            let remaining = reduction.amount || 0;
+            context.components.forEach(component => {
+                const covered = !reduction.types || reduction.types.length === 0 ||
+                    reduction.types.includes(component.type);
+                if (!covered || remaining <= 0) {
+                    return;
+                }
+                
+                const reduced = Math.min(remaining, component.amount);
+                component.amount -= reduced;
+                remaining -= reduced;
+            });
+        });
+    }
+
+    /**
+     * Halve each component of the hit
+     * @private
+     * @param {Object} context - Pipeline context
+     */
+    _applyHalving(context) {
+        if (!context.options.halve) {
+            return;
+        }
+        
+        context.components.forEach(component => {
+            component.amount = Math.floor(component.amount / 2);
+        });
+    }
+
+    /**
+     * Apply immunity, resistance and vulnerability to each component
+     * @private
+     * @param {Object} context - Pipeline context
+     */
+    _applyResistances(context) {
+        const { combatant, packet, options } = context;
+        const extraResistances = options.resistances || [];
+        
+        context.components.forEach(component => {
+            if (!component.type) {
+                return;
+            }
+            
+            // Check for immunity
+            if (!options.ignoreImmunity && this.isImmune(combatant, component.type, packet)) {
+                component.amount = 0;
+                component.modifier = 'immune';
+            }
+            // Check for resistance
+            else if (!options.ignoreResistance && (extraResistances.includes(component.type) ||
+                     this.isResistant(combatant, component.type, packet))) {
+                component.amount = Math.floor(component.amount / 2);
+                component.modifier = 'resistant';
+            }
+            // Check for vulnerability
+            else if (!options.ignoreVulnerability && this.isVulnerable(combatant, component.type, packet)) {
+                component.amount = component.amount * 2;
+                component.modifier = 'vulnerable';
+            }
+        });
+    }
+
+    /**
+     * Soak damage with the combatant's temporary HP
+     * @private
+     * @param {Object} context - Pipeline context
+     */
+    _applyTemporaryHP(context) {
+        if (context.options.ignoreTempHp) {
+            return;
+        }
+        
+        const total = context.components.reduce((sum, component) => sum + component.amount, 0);
+        context.tempHpAbsorbed = Math.min(context.combatant.tempHp || 0, total);
+    }
+
+    /**
+     * Check whether a list of damage traits covers a damage type. Entries
+     * are type IDs, or objects like {type: 'slashing', except: ['magical',
+     * 'silvered']} for "slashing from nonmagical attacks that aren't silvered".
+     * @private
+     * @param {Array} traits - Immunities, resistances or vulnerabilities
+     * @param {string} damageType - Damage type ID
+     * @param {Object} packet - Damage packet, for its magical/silvered/adamantine flags
+     * @returns {boolean} True if covered
+     */
+    _hasDamageTrait(traits, damageType, packet = null) {
+        return (traits || []).some(trait => {
+            if (typeof trait === 'string') {
+                return trait === damageType;
+            }
+            
+            return !!trait && trait.type === damageType &&
+                !(packet && (trait.except || []).some(flag => packet[flag]));
+        });
+    }
+
+    /**
+     * Check whether a combatant has a feat, class feature or trait
+     * @private
+     * @param {Object} combatant - Combatant object
+     * @param {Array<string>} names - Feature names (lower case)
+     * @returns {boolean} True if the combatant has one of them
+     */
+    _hasFeature(combatant, names) {
+        const features = [
+            ...(combatant.feats || []),
+            ...(combatant.features || []),
+            ...(combatant.traits || [])
+        ];
+        
+        return features.some(feature => {
+            const name = typeof feature === 'string' ? feature : feature && feature.name;
+            return !!name && names.includes(name.toLowerCase());
+        });
+    }
+
     /**
      * Apply healing to a combatant
      * @param {Object} combatant - Combatant object
@@ -555,36 +941,36 @@ class Damage {
      * Check if a combatant is resistant to a damage type
      * @param {Object} combatant - Combatant object
      * @param {string} damageType - Damage type ID
+     * @param {Object} packet - Damage packet, for traits that depend on magical/silvered/adamantine
      * @returns {boolean} True if resistant
      */
-    isResistant(combatant, damageType) {
-        return combatant.damageModifiers && 
-               combatant.damageModifiers.resistances && 
-               combatant.damageModifiers.resistances.includes(damageType);
+    isResistant(combatant, damageType, packet = null) {
+        return !!combatant.damageModifiers &&
+               this._hasDamageTrait(combatant.damageModifiers.resistances, damageType, packet);
     }
 
     /**
      * Check if a combatant is immune to a damage type
      * @param {Object} combatant - Combatant object
      * @param {string} damageType - Damage type ID
+     * @param {Object} packet - Damage packet, for traits that depend on magical/silvered/adamantine
      * @returns {boolean} True if immune
      */
-    isImmune(combatant, damageType) {
-        return combatant.damageModifiers && 
-               combatant.damageModifiers.immunities && 
-               combatant.damageModifiers.immunities.includes(damageType);
+    isImmune(combatant, damageType, packet = null) {
+        return !!combatant.damageModifiers &&
+               this._hasDamageTrait(combatant.damageModifiers.immunities, damageType, packet);
     }
 
     /**
      * Check if a combatant is vulnerable to a damage type
      * @param {Object} combatant - Combatant object
      * @param {string} damageType - Damage type ID
+     * @param {Object} packet - Damage packet, for traits that depend on magical/silvered/adamantine
      * @returns {boolean} True if vulnerable
      */
-    isVulnerable(combatant, damageType) {
-        return combatant.damageModifiers && 
-               combatant.damageModifiers.vulnerabilities && 
-               combatant.damageModifiers.vulnerabilities.includes(damageType);
+    isVulnerable(combatant, damageType, packet = null) {
+        return !!combatant.damageModifiers &&
+               this._hasDamageTrait(combatant.damageModifiers.vulnerabilities, damageType, packet);
     }
 
     /**
@@ -645,7 +1031,9 @@ class Damage {
         const damageResult = await this.dice.roll(damageFormula, {
             name: `${weapon.name || 'Weapon'} Damage`,
             type: 'damage',
-            critical
+            critical,
+            actorId: attacker.id || null,
+            actorName: attacker.name || null
         });
         
         return {
@@ -653,6 +1041,7 @@ class Damage {
             damageFormula,
             damageType: weapon.damageType || 'bludgeoning',
             damageResult,
+            breakdown: damageResult.breakdown,
             total: damageResult.total
         };
     }
@@ -1025,53 +1414,282 @@ class Damage {
     }
 
     /**
-     * Apply concentration check
+     * Check if a combatant is concentrating
+     * @param {Object} combatant - Combatant object
+     * @returns {boolean} True if the combatant is concentrating
+     */
+    isConcentrating(combatant) {
+        return !!(combatant.conditions && combatant.conditions.some(condition => condition.id === 'concentrating'));
+    }
+
+    /**
+     * Check if a combatant has advantage on concentration saves, from a
+     * feature such as War Caster or an explicit flag on the combatant
+     * @param {Object} combatant - Combatant object
+     * @returns {boolean} True if the combatant has advantage
+     */
+    hasConcentrationAdvantage(combatant) {
+        return !!combatant.concentrationAdvantage ||
+            this._hasFeature(combatant, CONCENTRATION_ADVANTAGE_FEATURES);
+    }
+
+    /**
+     * Apply a concentration check after a concentrating combatant takes damage.
+     * In 'auto' mode the Constitution save is rolled and a failure ends
+     * concentration on the combatant; in 'prompt' mode the check is returned
+     * pending so the result rolled at the table can be entered with
+     * resolveConcentrationCheck.
      * @param {Object} combatant - Combatant object
      * @param {number} damage - Damage amount
-     * @returns {Object} Concentration check result
+     * @param {Object} options - Check options
+     * @param {string} options.mode - 'auto' or 'prompt'
+     * @param {boolean} options.advantage - Roll with advantage
+     * @param {boolean} options.disadvantage - Roll with disadvantage
+     * @returns {Promise<Object>} Concentration check result
      */
-    applyConcentrationCheck(combatant, damage) {
+    async applyConcentrationCheck(combatant, damage, options = {}) {
         // Concentration check: DC = 10 or half the damage taken, whichever is higher
         const dc = Math.max(10, Math.floor(damage / 2));
+        const advantage = !!options.advantage || this.hasConcentrationAdvantage(combatant);
+        const disadvantage = !!options.disadvantage;
+        const spell = this._getConcentrationSpell(combatant);
         
-        // Record in history
-        const record = {
-            combatantId: combatant.id,
-            combatantName: combatant.name,
-            timestamp: Date.now(),
-            type: 'concentration-check',
+        const check = {
+            combatant,
+            requiresCheck: true,
+            checkDC: dc,
             damage,
-            dc
+            spell,
+            advantage,
+            disadvantage,
+            pending: true,
+            success: null,
+            broken: false
         };
         
-        this.damageHistory.push(record);
+        if (options.mode !== 'prompt') {
+            const save = await this.rollSavingThrow(combatant, 'con', dc, { advantage, disadvantage });
+            this._resolveCheck(check, save);
+        } else {
+            check.modifier = this.getSaveModifier(combatant, 'con');
+        }
         
-        return {
+        this._recordConcentrationCheck(check);
+        
+        return check;
+    }
+
+    /**
+     * Settle a pending concentration check with a save total rolled at the table
+     * @param {Object} check - Pending check from applyConcentrationCheck
+     * @param {number} total - Constitution save total
+     * @returns {Object} The resolved check
+     */
+    resolveConcentrationCheck(check, total) {
+        this._resolveCheck(check, {
+            ability: 'con',
+            dc: check.checkDC,
+            modifier: check.modifier || 0,
+            total,
+            roll: null,
+            success: total >= check.checkDC
+        });
+        
+        this._recordConcentrationCheck(check);
+        
+        return check;
+    }
+
+    /**
+     * End a combatant's concentration without a save
+     * @param {Object} combatant - Combatant object
+     * @param {string} reason - Why concentration ended (e.g. 'unconscious')
+     * @returns {Object} Concentration result
+     */
+    breakConcentration(combatant, reason) {
+        const spell = this._getConcentrationSpell(combatant);
+        combatant.conditions = (combatant.conditions || []).filter(condition => condition.id !== 'concentrating');
+        
+        const result = {
             combatant,
-            requiresCheck: true,
-            checkDC: dc,
-            damage
+            requiresCheck: false,
+            checkDC: null,
+            spell,
+            pending: false,
+            success: false,
+            broken: true,
+            reason
         };
+        
+        this._recordConcentrationCheck(result);
+        
+        return result;
+    }
+
+    /**
+     * Fill in a concentration check from a save, ending concentration if it failed
+     * @private
+     * @param {Object} check - Concentration check
+     * @param {Object} save - Save result from rollSavingThrow
+     */
+    _resolveCheck(check, save) {
+        check.pending = false;
+        check.save = save;
+        check.modifier = save.modifier;
+        check.total = save.total;
+        check.roll = save.roll;
+        check.success = save.success;
+        check.broken = !save.success;
+        
+        if (check.broken) {
+            check.combatant.conditions = (check.combatant.conditions || [])
+                .filter(condition => condition.id !== 'concentrating');
+        }
+    }
+
+    /**
+     * Get the spell a combatant is concentrating on
+     * @private
+     * @param {Object} combatant - Combatant object
+     * @returns {string|null} Spell name
+     */
+    _getConcentrationSpell(combatant) {
+        const condition = (combatant.conditions || []).find(c => c.id === 'concentrating');
+        return condition ? condition.spell || condition.source || null : null;
+    }
+
+    /**
+     * Record a concentration check in the damage history
+     * @private
+     * @param {Object} check - Concentration check
+     */
+    _recordConcentrationCheck(check) {
+        this.damageHistory.push({
+            combatantId: check.combatant.id,
+            combatantName: check.combatant.name,
+            timestamp: Date.now(),
+            type: 'concentration-check',
+            damage: check.damage || 0,
+            dc: check.checkDC,
+            total: check.total !== undefined ? check.total : null,
+            success: check.success,
+            pending: check.pending,
+            spell: check.spell
+        });
     }
 
     /**
-     * Apply damage to multiple combatants
+     * Apply damage to multiple combatants, such as everyone caught in an area.
+     * A damage formula is rolled once for all targets. With options.save each
+     * target makes its own saving throw and takes half damage (or none) on a
+     * success.
      * @param {Array} combatants - Array of combatant objects
      * @param {number|string} amount - Damage amount or formula
-     * @param {Object} options - Damage options
-     * @returns {Promise<Array>} Array of damage results
+     * @param {Object} options - Damage options (see applyDamage)
+     * @param {Object} options.save - Saving throw allowed to each target
+     * @param {string} options.save.ability - Ability used for the save (e.g. 'dex')
+     * @param {number} options.save.dc - Save DC
+     * @param {boolean} options.save.halfOnSuccess - Whether a success halves the damage instead of negating it
+     * @param {Object} options.save.rolls - Save totals already rolled, keyed by combatant ID
+     * @returns {Promise<Array>} Array of damage results, with the save made by each target
      */
     async applyDamageToMultiple(combatants, amount, options = {}) {
+        const { save = null, ...damageOptions } = options;
         const results = [];
         
+        // Area damage is rolled once and shared by every target
+        const packet = await this.rollDamagePacket(this._toDamagePacket(amount, damageOptions));
+        
         for (const combatant of combatants) {
-            const result = await this.applyDamage(combatant, amount, options);
+            if (!save) {
+                results.push(await this.applyDamage(combatant, packet, damageOptions));
+                continue;
+            }
+            
+            const saveResult = await this.rollSavingThrow(combatant, save.ability, save.dc, {
+                total: save.rolls ? save.rolls[combatant.id] : undefined
+            });
+            
+            // A success halves the damage, or negates it
+            let result;
+            if (saveResult.success && save.halfOnSuccess === false) {
+                result = await this.applyDamage(combatant, 0, damageOptions);
+            } else {
+                result = await this.applyDamage(combatant, packet, {
+                    ...damageOptions,
+                    halve: saveResult.success || damageOptions.halve
+                });
+            }
+            
+            result.save = saveResult;
             results.push(result);
         }
         
         return results;
     }
 
+    /**
+     * Get a combatant's saving throw bonus
+     * @param {Object} combatant - Combatant object
+     * @param {string} ability - Ability used for the save (e.g. 'con')
+     * @returns {number} Save bonus
+     */
+    getSaveModifier(combatant, ability) {
+        // Proficient saves are listed separately, otherwise use the ability modifier
+        if (combatant.savingThrows && typeof combatant.savingThrows[ability] === 'number') {
+            return combatant.savingThrows[ability];
+        }
+        
+        if (combatant.abilities && typeof combatant.abilities[ability] === 'number') {
+            return Math.floor((combatant.abilities[ability] - 10) / 2);
+        }
+        
+        return 0;
+    }
+
+    /**
+     * Roll a saving throw for a combatant
+     * @param {Object} combatant - Combatant object
+     * @param {string} ability - Ability used for the save (e.g. 'dex')
+     * @param {number} dc - Save DC
+     * @param {Object} options - Save options
+     * @param {number} options.total - Save total rolled at the table, used instead of rolling
+     * @param {boolean} options.advantage - Roll with advantage
+     * @param {boolean} options.disadvantage - Roll with disadvantage
+     * @returns {Promise<Object>} Save result ({ability, dc, modifier, total, roll, autoFail, success})
+     */
+    async rollSavingThrow(combatant, ability, dc, options = {}) {
+        const modifier = this.getSaveModifier(combatant, ability);
+        
+        let roll = null;
+        let total = options.total;
+        let autoFail = false;
+        
+        if (typeof total !== 'number') {
+            // The dice module adds the combatant's condition modifiers
+            roll = await this.dice.rollSave(ability, modifier, combatant.name, {
+                advantage: !!options.advantage,
+                disadvantage: !!options.disadvantage,
+                combatant
+            });
+            total = roll.total;
+            autoFail = !!roll.autoFail;
+        } else if (this.dice.rules) {
+            // A total from the table still fails if a condition says so
+            autoFail = this.dice.rules.getRollModifiers(RollKind.SAVE, { combatant, ability }).autoFail;
+        }
+        
+        return {
+            ability,
+            dc,
+            modifier,
+            total,
+            roll,
+            autoFail,
+            success: !autoFail && total >= dc
+        };
+    }
+
     /**
      * Apply healing to multiple combatants
      * @param {Array} combatants - Array of combatant objects
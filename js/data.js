@@ -4,13 +4,24 @@
  * Version 2.3.1
  * 
  * This module handles data loading, saving, and management for the application.
- * It provides functions for working with local storage, file imports/exports,
+ * It provides functions for working with the repository, file imports/exports,
  * and data validation.
  */
 
+import {
+  SCHEMA_VERSION,
+  getSchemaVersion,
+  migrateAppData,
+  validateAppData,
+  createMigrationBackup
+} from './migrations.js';
+import { Collection, DocumentName, APP_DATA_COLLECTIONS } from './repository.js';
+import { FirebaseSyncAdapter, createSyncManager } from './sync.js';
+
 // Default application data structure
 const DEFAULT_APP_DATA = {
   version: '2.3.1',
+  schemaVersion: SCHEMA_VERSION,
   settings: {
     theme: 'default',
     diceRollAnimation: true,
@@ -64,27 +75,47 @@ const DEFAULT_APP_DATA = {
 };
 
 /**
- * Load application data from local storage
- * @returns {Object} The loaded application data
+ * Load application data from the repository
+ * @param {Repository} repository - Repository the data is kept in
+ * @returns {Promise<Object>} The loaded application data
  */
-export function loadAppData() {
+export async function loadAppData(repository) {
   try {
-    const storedData = localStorage.getItem('jct_appData');
+    let storedData = await repository.getDocument(DocumentName.APP_DATA);
     
     if (!storedData) {
-      console.log('No stored data found, using default data');
-      return { ...DEFAULT_APP_DATA };
+      // Before the repository the app data was one localStorage blob. The
+      // repository moved its collections when it first opened; the rest is
+      // read from it here, and the blob itself is left as it was
+      storedData = readLegacyAppData();
     }
     
-    const parsedData = JSON.parse(storedData);
+    let appData = { ...DEFAULT_APP_DATA };
+    if (storedData && getSchemaVersion(storedData) < SCHEMA_VERSION) {
+      // Keep the data as it was in case the migration goes wrong. A backup
+      // that can't be written (say, the quota is full) mustn't stop the data
+      // loading, or the next save would write the defaults over it
+      const schemaVersion = getSchemaVersion(storedData);
+      try {
+        if (!(await repository.setMeta(`appDataBackup/v${schemaVersion}`, createMigrationBackup(storedData)))) {
+          throw new Error('the repository refused the write');
+        }
+      } catch (error) {
+        console.warn(`Could not back up schema ${schemaVersion} data before migrating:`, error);
+      }
+      
+      appData = migrateData(storedData);
+    } else if (storedData) {
+      appData = storedData;
+    } else {
+      console.log('No stored data found, using default data');
+    }
     
-    // Check version and migrate if necessary
-    if (parsedData.version !== DEFAULT_APP_DATA.version) {
-      console.log(`Data version mismatch: ${parsedData.version} vs ${DEFAULT_APP_DATA.version}`);
-      return migrateData(parsedData);
+    for (const [field, collection] of Object.entries(APP_DATA_COLLECTIONS)) {
+      appData[field] = await repository.list(collection);
     }
     
-    return parsedData;
+    return appData;
   } catch (error) {
     console.error('Error loading app data:', error);
     return { ...DEFAULT_APP_DATA };
@@ -92,20 +123,47 @@ export function loadAppData() {
 }
 
 /**
- * Save application data to local storage
+ * Read the app data blob saved before the repository
+ * @private
+ * @returns {Object|null} App data or null if there is none
+ */
+function readLegacyAppData() {
+  try {
+    const storedData = localStorage.getItem('jct_appData');
+    return storedData ? JSON.parse(storedData) : null;
+  } catch (error) {
+    console.error('Error reading app data saved before the repository:', error);
+    return null;
+  }
+}
+
+/**
+ * Save application data to the repository. Collections go to their own
+ * records and the rest to the app data document.
  * @param {Object} appData - The application data to save
- * @returns {boolean} True if save was successful
+ * @param {Repository} repository - Repository the data is kept in
+ * @returns {Promise<boolean>} True if save was successful
  */
-export function saveAppData(appData) {
+export async function saveAppData(appData, repository) {
   try {
+    let saved = true;
+    
     // Ensure version is current
     const dataToSave = {
       ...appData,
-      version: DEFAULT_APP_DATA.version
+      version: DEFAULT_APP_DATA.version,
+      schemaVersion: SCHEMA_VERSION
     };
     
-    localStorage.setItem('jct_appData', JSON.stringify(dataToSave));
-    return true;
+    for (const [field, collection] of Object.entries(APP_DATA_COLLECTIONS)) {
+      if (Array.isArray(dataToSave[field])) {
+        saved = (await repository.replaceAll(collection, dataToSave[field])) && saved;
+      }
+      delete dataToSave[field];
+    }
+    
+    saved = (await repository.setDocument(DocumentName.APP_DATA, dataToSave)) && saved;
+    return saved;
   } catch (error) {
     console.error('Error saving app data:', error);
     return false;
@@ -113,97 +171,35 @@ export function saveAppData(appData) {
 }
 
 /**
- * Clear all application data from local storage
- * @returns {boolean} True if clear was successful
+ * Clear all application data from the repository
+ * @param {Repository} repository - Repository the data is kept in
+ * @returns {Promise<boolean>} True if clear was successful
  */
-export function clearAppData() {
-  try {
-    localStorage.removeItem('jct_appData');
-    return true;
-  } catch (error) {
-    console.error('Error clearing app data:', error);
-    return false;
-  }
+export async function clearAppData(repository) {
+  return saveAppData({ ...DEFAULT_APP_DATA }, repository);
 }
 
 /**
- * Migrate data from an older version to the current version
+ * Migrate data from an older schema to the current one. Fields the
+ * migrations don't know about are kept, and anything missing is filled in
+ * from the defaults.
  * @param {Object} oldData - The data in the old format
  * @returns {Object} The migrated data in the current format
  */
 function migrateData(oldData) {
-  console.log(`Migrating data from version ${oldData.version} to ${DEFAULT_APP_DATA.version}`);
-  
-  // Start with default data structure
-  const migratedData = { ...DEFAULT_APP_DATA };
-  
-  // Copy over compatible data
-  if (oldData.settings) {
-    migratedData.settings = {
-      ...migratedData.settings,
-      ...oldData.settings
-    };
-  }
-  
-  if (oldData.encounters) {
-    migratedData.encounters = [...oldData.encounters];
-  }
-  
-  if (oldData.players) {
-    migratedData.players = [...oldData.players];
-  }
-  
-  if (oldData.customMonsters) {
-    migratedData.customMonsters = [...oldData.customMonsters];
-  }
-  
-  if (oldData.notes) {
-    migratedData.notes = [...oldData.notes];
-  }
+  console.log(`Migrating data from schema ${getSchemaVersion(oldData)} to ${SCHEMA_VERSION}`);
   
-  // Handle version-specific migrations
-  if (oldData.version === '2.0.0') {
-    // Migrate from 2.0.0 to 2.1.0
-    console.log('Applying 2.0.0 -> 2.1.0 migrations');
-    
-    // Example: Convert old condition format to new format
-    if (oldData.encounters) {
-      migratedData.encounters = oldData.encounters.map(encounter => {
-        if (encounter.combatants) {
-          encounter.combatants = encounter.combatants.map(combatant => {
-            if (combatant.conditions && Array.isArray(combatant.conditions)) {
-              combatant.conditions = combatant.conditions.map(condition => {
-                if (typeof condition === 'string') {
-                  return {
-                    id: condition,
-                    name: condition,
-                    duration: null
-                  };
-                }
-                return condition;
-              });
-            }
-            return combatant;
-          });
-        }
-        return encounter;
-      });
-    }
-  }
+  const migratedData = migrateAppData(oldData);
   
-  if (oldData.version === '2.1.0' || oldData.version === '2.2.0') {
-    // Migrate from 2.1.0/2.2.0 to 2.3.0
-    console.log('Applying 2.1.0/2.2.0 -> 2.3.0 migrations');
-    
-    // Example: Add new combatHistory field
-    if (!oldData.combatHistory) {
-      migratedData.combatHistory = [];
-    } else {
-      migratedData.combatHistory = [...oldData.combatHistory];
+  return {
+    ...DEFAULT_APP_DATA,
+    ...migratedData,
+    version: DEFAULT_APP_DATA.version,
+    settings: {
+      ...DEFAULT_APP_DATA.settings,
+      ...migratedData.settings
     }
-  }
-  
-  return migratedData;
+  };
 }
 
 /**
@@ -249,12 +245,7 @@ export function importFromFile(file) {
           return;
         }
         
-        // Migrate if necessary
-        if (importedData.version !== DEFAULT_APP_DATA.version) {
-          resolve(migrateData(importedData));
-        } else {
-          resolve(importedData);
-        }
+        resolve(migrateData(importedData));
       } catch (error) {
         console.error('Error parsing imported file:', error);
         reject(error);
@@ -271,12 +262,14 @@ export function importFromFile(file) {
 }
 
 /**
- * Validate imported data structure
+ * Validate imported data structure. The data is checked as imported, only
+ * brought up to the current schema so collections an older version didn't
+ * have yet aren't held against it; the defaults aren't merged in first, so
+ * they can't hide anything missing.
  * @param {Object} data - The data to validate
  * @returns {boolean} True if the data is valid
  */
 function validateImportedData(data) {
-  // Check for required top-level properties
   if (!data || typeof data !== 'object') {
     console.error('Invalid data: not an object');
     return false;
@@ -287,21 +280,10 @@ function validateImportedData(data) {
     return false;
   }
   
-  if (!data.settings || typeof data.settings !== 'object') {
-    console.error('Invalid data: missing or invalid settings');
-    return false;
-  }
-  
-  // Check for required arrays
-  const requiredArrays = ['encounters', 'players', 'customMonsters', 'notes'];
-  for (const arrayName of requiredArrays) {
-    if (!Array.isArray(data[arrayName])) {
-      console.error(`Invalid data: ${arrayName} is not an array`);
-      return false;
-    }
-  }
+  const { valid, errors } = validateAppData(migrateAppData(data));
+  errors.forEach(error => console.error(`Invalid data: ${error}`));
   
-  return true;
+  return valid;
 }
 
 /**
@@ -955,225 +937,6 @@ export function generateRandomEncounter(params, srdMonsters, customMonsters, env
   const targetXP = xpThresholds.target;
   const maxXP = xpThresholds.max;
   
-  // Try to get close to the target XP without exceeding max XP
-  while (currentXP < targetXP && available
-
-_Note: `JCT 2.3.1.html` and `image.png` were excluded from the analysis due to size limit. Please upload again or start a new conversation if your question is related to them._
-/**
- * Data Manager for Jesster's Combat Tracker
- * Handles data storage and retrieval
- */
-class DataManager {
-  constructor(app) {
-    this.app = app;
-    this.heroes = [];
-    this.monsters = [];
-    this.encounters = [];
-  }
-  
-  loadInitialData() {
-    console.log("Loading initial data...");
-    this.loadFromLocalStorage();
-    return Promise.resolve(); // Return a resolved promise for async compatibility
-  }
-  
-  loadFromLocalStorage() {
-    try {
-      // Load heroes
-      const heroesJson = localStorage.getItem('jesster_heroes');
-      if (heroesJson) {
-        this.heroes = JSON.parse(heroesJson);
-      }
-      
-      // Load monsters
-      const monstersJson = localStorage.getItem('jesster_monsters');
-      if (monstersJson) {
-        this.monsters = JSON.parse(monstersJson);
-      }
-      
-      // Load encounters
-      const encountersJson = localStorage.getItem('jesster_encounters');
-      if (encountersJson) {
-        this.encounters = JSON.parse(encountersJson);
-      }
-      
-      console.log("Data loaded from localStorage");
-    } catch (error) {
-      console.error("Error loading from localStorage:", error);
-    }
-  }
-  
-  saveToLocalStorage() {
-    try {
-      localStorage.setItem('jesster_heroes', JSON.stringify(this.heroes));
-      localStorage.setItem('jesster_monsters', JSON.stringify(this.monsters));
-      localStorage.setItem('jesster_encounters', JSON.stringify(this.encounters));
-      console.log("Data saved to localStorage");
-      return true;
-    } catch (error) {
-      console.error("Error saving to localStorage:", error);
-      return false;
-    }
-  }
-  
-  loadFromFirebase() {
-    if (!this.app.db || !this.app.userId) {
-      throw new Error("Firebase not initialized or user not authenticated");
-    }
-    
-    const db = this.app.db;
-    const userId = this.app.userId;
-    
-    try {
-      // Load heroes
-      db.collection('users').doc(userId).collection('data').doc('heroes').get()
-        .then(doc => {
-          if (doc.exists) {
-            this.heroes = doc.data().heroes || [];
-          }
-        });
-      
-      // Load monsters
-      db.collection('users').doc(userId).collection('data').doc('monsters').get()
-        .then(doc => {
-          if (doc.exists) {
-            this.monsters = doc.data().monsters || [];
-          }
-        });
-      
-      // Load encounters
-      db.collection('users').doc(userId).collection('data').doc('encounters').get()
-        .then(doc => {
-          if (doc.exists) {
-            this.encounters = doc.data().encounters || [];
-          }
-        });
-      
-      console.log("Data loaded from Firebase");
-    } catch (error) {
-      console.error("Error loading from Firebase:", error);
-      throw error;
-    }
-  }
-  
-  saveToFirebase() {
-    if (!this.app.db || !this.app.userId) {
-      throw new Error("Firebase not initialized or user not authenticated");
-    }
-    
-    const db = this.app.db;
-    const userId = this.app.userId;
-    
-    try {
-      // Save heroes
-      db.collection('users').doc(userId).collection('data').doc('heroes').set({
-        heroes: this.heroes,
-        updatedAt: new Date()
-      });
-      
-      // Save monsters
-      db.collection('users').doc(userId).collection('data').doc('monsters').set({
-        monsters: this.monsters,
-        updatedAt: new Date()
-      });
-      
-      // Save encounters
-      db.collection('users').doc(userId).collection('data').doc('encounters').set({
-        encounters: this.encounters,
-        updatedAt: new Date()
-      });
-      
-      console.log("Data saved to Firebase");
-      return true;
-    } catch (error) {
-      console.error("Error saving to Firebase:", error);
-      throw error;
-    }
-  }
-  
-  saveData() {
-    if (this.app.offlineMode) {
-      // Save to localStorage in offline mode
-      return this.saveToLocalStorage();
-    } else {
-      // Try to save to Firebase
-      try {
-        this.saveToFirebase();
-        // Also save to localStorage as backup
-        this.saveToLocalStorage();
-        return true;
-      } catch (error) {
-        console.error("Error saving to Firebase:", error);
-        // Fall back to localStorage
-        return this.saveToLocalStorage();
-      }
-    }
-  }
-  
-  // Methods to add/update/delete heroes
-  addHero(hero) {
-    // Generate ID if not provided
-    if (!hero.id) {
-      hero.id = `hero-${Date.now()}-${Math.floor(Math.random() * 1000000)}`;
-    }
-    
-    this.heroes.push(hero);
-    this.saveData();
-    return hero;
-  }
-  
-  updateHero(heroId, updatedHero) {
-    const index = this.heroes.findIndex(h => h.id === heroId);
-    if (index >= 0) {
-      this.heroes[index] = { ...this.heroes[index], ...updatedHero };
-      this.saveData();
-      return this.heroes[index];
-    }
-    return null;
-  }
-  
-  deleteHero(heroId) {
-    const index = this.heroes.findIndex(h => h.id === heroId);
-    if (index >= 0) {
-      const deleted = this.heroes.splice(index, 1)[0];
-      this.saveData();
-      return deleted;
-    }
-    return null;
-  }
-  
-  // Methods to add/update/delete custom monsters
-  addCustomMonster(monster) {
-    // Generate ID if not provided
-    if (!monster.id) {
-      monster.id = `monster-${Date.now()}-${Math.floor(Math.random() * 1000000)}`;
-    }
-    
-    this.monsters.push(monster);
-    this.saveData();
-    return monster;
-  }
-  
-  updateCustomMonster(monsterId, updatedMonster) {
-    const index = this.monsters.findIndex(m => m.id === monsterId);
-    if (index >= 0) {
-      this.monsters[index] = { ...this.monsters[index], ...updatedMonster };
-      this.saveData();
-      return this.monsters[index];
-    }
-    return null;
-  }
-  
-  deleteCustomMonster(monsterId) {
-    const index = this.monsters.findIndex(m => m.id === monsterId);
-    if (index >= 0) {
-      const deleted = this.monsters.splice(index, 1)[0];
-      this.saveData();
-      return deleted;
-    }
-    return null;
-  }
-}
   // Try to get close to the target XP without exceeding max XP
   while (currentXP < targetXP && availableMonsters.length > 0) {
     // Calculate how much XP we still need
@@ -1699,12 +1462,7 @@ export function restoreFromBackup(backupData) {
       throw new Error('Invalid backup data format');
     }
     
-    // Migrate if necessary
-    if (backupData.version !== DEFAULT_APP_DATA.version) {
-      return migrateData(backupData);
-    }
-    
-    return backupData;
+    return migrateData(backupData);
   } catch (error) {
     console.error('Error restoring from backup:', error);
     return null;
@@ -1822,3 +1580,220 @@ export function calculateEncounterDifficulty(combatants, partyLevel, partySize)
 
 // Export default app data for use in other modules
 export const defaultAppData = DEFAULT_APP_DATA;
+
+// localStorage keys the data manager used to save its lists under
+const LEGACY_LIST_KEYS = {
+  jesster_heroes: Collection.PLAYERS,
+  jesster_monsters: Collection.MONSTERS,
+  jesster_encounters: Collection.ENCOUNTERS
+};
+
+/**
+ * Data Manager for Jesster's Combat Tracker
+ * Handles data storage and retrieval
+ */
+export class DataManager {
+  constructor(app, repository = app.repository, syncManager = app.syncManager) {
+    this.app = app;
+    this.repository = repository;
+    this.heroes = [];
+    this.monsters = [];
+    this.encounters = [];
+    
+    // Firebase is one more sync server: the sync manager keeps the
+    // revisions, pushes only what changed and holds on to conflicts
+    this.syncManager = syncManager || createSyncManager(repository);
+    this.syncManager.addListener(event => {
+      if (event === 'changesPulled') {
+        this._loadLists().catch(error => {
+          console.error("Error loading synced data:", error);
+        });
+      }
+    });
+  }
+  
+  async loadInitialData() {
+    console.log("Loading initial data...");
+    await this.loadFromRepository();
+  }
+  
+  async loadFromRepository() {
+    try {
+      await this._moveLocalStorageLists();
+      await this._loadLists();
+      
+      console.log("Data loaded from the repository");
+    } catch (error) {
+      console.error("Error loading from the repository:", error);
+    }
+  }
+  
+  /**
+   * Read the lists from the repository
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _loadLists() {
+    this.heroes = await this.repository.list(Collection.PLAYERS);
+    this.monsters = await this.repository.list(Collection.MONSTERS);
+    this.encounters = await this.repository.list(Collection.ENCOUNTERS);
+  }
+  
+  /**
+   * Move the lists older versions saved straight to localStorage into the
+   * repository. A list's key is only removed once all of its records were
+   * stored.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _moveLocalStorageLists() {
+    for (const [key, collection] of Object.entries(LEGACY_LIST_KEYS)) {
+      const json = localStorage.getItem(key);
+      if (!json) continue;
+      
+      let records;
+      try {
+        records = JSON.parse(json);
+      } catch (error) {
+        console.error(`Error reading ${key}:`, error);
+        continue;
+      }
+      
+      let moved = true;
+      for (const record of records) {
+        if (!record || !record.id || await this.repository.get(collection, record.id)) continue;
+        moved = (await this.repository.put(collection, record)) && moved;
+      }
+      
+      if (moved) {
+        localStorage.removeItem(key);
+      } else {
+        console.warn(`Could not move ${key} into the repository; trying again next time`);
+      }
+    }
+  }
+  
+  async saveToRepository() {
+    try {
+      const saved = [
+        await this.repository.replaceAll(Collection.PLAYERS, this.heroes),
+        await this.repository.replaceAll(Collection.MONSTERS, this.monsters),
+        await this.repository.replaceAll(Collection.ENCOUNTERS, this.encounters)
+      ];
+      console.log("Data saved to the repository");
+      return saved.every(Boolean);
+    } catch (error) {
+      console.error("Error saving to the repository:", error);
+      return false;
+    }
+  }
+  
+  /**
+   * Point the sync manager at the signed-in user's Firestore records
+   * @private
+   */
+  _useFirebase() {
+    if (!this.app.db || !this.app.userId) {
+      throw new Error("Firebase not initialized or user not authenticated");
+    }
+    
+    const adapter = this.syncManager.adapter;
+    if (!(adapter instanceof FirebaseSyncAdapter) || adapter.db !== this.app.db || adapter.userId !== this.app.userId) {
+      this.syncManager.setAdapter(new FirebaseSyncAdapter({ db: this.app.db, userId: this.app.userId }));
+    }
+  }
+  
+  /**
+   * Pull what changed in Firebase and push what changed here. Records
+   * changed on both sides are kept as conflicts in the sync manager.
+   * @returns {Promise<Object>} Sync result (see SyncManager.sync)
+   */
+  async syncWithFirebase() {
+    try {
+      this._useFirebase();
+      const result = await this.syncManager.sync();
+      console.log("Data synced with Firebase");
+      return result;
+    } catch (error) {
+      console.error("Error syncing with Firebase:", error);
+      throw error;
+    }
+  }
+  
+  async saveData() {
+    // Save to the repository first so nothing is lost if Firebase fails
+    const saved = await this.saveToRepository();
+    
+    if (!this.app.offlineMode) {
+      this.syncWithFirebase().catch(() => {
+        // Already reported; the changes stay pending for the next sync
+      });
+    }
+    
+    return saved;
+  }
+  
+  // Methods to add/update/delete heroes
+  addHero(hero) {
+    // Generate ID if not provided
+    if (!hero.id) {
+      hero.id = `hero-${Date.now()}-${Math.floor(Math.random() * 1000000)}`;
+    }
+    
+    this.heroes.push(hero);
+    this.saveData();
+    return hero;
+  }
+  
+  updateHero(heroId, updatedHero) {
+    const index = this.heroes.findIndex(h => h.id === heroId);
+    if (index >= 0) {
+      this.heroes[index] = { ...this.heroes[index], ...updatedHero };
+      this.saveData();
+      return this.heroes[index];
+    }
+    return null;
+  }
+  
+  deleteHero(heroId) {
+    const index = this.heroes.findIndex(h => h.id === heroId);
+    if (index >= 0) {
+      const deleted = this.heroes.splice(index, 1)[0];
+      this.saveData();
+      return deleted;
+    }
+    return null;
+  }
+  
+  // Methods to add/update/delete custom monsters
+  addCustomMonster(monster) {
+    // Generate ID if not provided
+    if (!monster.id) {
+      monster.id = `monster-${Date.now()}-${Math.floor(Math.random() * 1000000)}`;
+    }
+    
+    this.monsters.push(monster);
+    this.saveData();
+    return monster;
+  }
+  
+  updateCustomMonster(monsterId, updatedMonster) {
+    const index = this.monsters.findIndex(m => m.id === monsterId);
+    if (index >= 0) {
+      this.monsters[index] = { ...this.monsters[index], ...updatedMonster };
+      this.saveData();
+      return this.monsters[index];
+    }
+    return null;
+  }
+  
+  deleteCustomMonster(monsterId) {
+    const index = this.monsters.findIndex(m => m.id === monsterId);
+    if (index >= 0) {
+      const deleted = this.monsters.splice(index, 1)[0];
+      this.saveData();
+      return deleted;
+    }
+    return null;
+  }
+}
@@ -2,15 +2,29 @@
  * Dice module for Jesster's Combat Tracker
  * Handles dice rolling functionality
  */
+import { analyzeDiceExpression, lookupVariable } from './diceExpression.js';
+import { diceService } from './diceService.js';
+import * as actions from './actions.js';
+import { store as appStore } from './store.js';
+import { RollKind } from './rulesEngine.js';
+import { DocumentName } from './repository.js';
+
 class Dice {
-    constructor(settings, audio) {
+    constructor(settings, audio, repository, service = diceService, store = appStore) {
         // Store references to other modules
         this.settings = settings;
         this.audio = audio;
+        this.repository = repository;
+        
+        // Shared dice service that performs every roll
+        this.service = service;
+        
+        // Application store; the dice history lives in its dice slice, which
+        // takes its size limit from the maxDiceHistory setting
+        this.store = store;
         
-        // Dice history
-        this.history = [];
-        this.maxHistory = this.settings.getMaxDiceHistory() || 50;
+        // Rules engine that adds condition modifiers to combatants' rolls
+        this.rules = null;
         
         // Dice presets
         this.presets = [
@@ -35,12 +49,12 @@ class Dice {
     }
 
     /**
-     * Load custom presets from settings
+     * Load custom presets from the repository
      * @private
      */
     async _loadCustomPresets() {
         try {
-            const customPresets = await this.settings.get('diceCustomPresets');
+            const customPresets = await this.repository.getDocument(DocumentName.DICE_PRESETS);
             if (customPresets && Array.isArray(customPresets)) {
                 this.customPresets = customPresets;
             }
@@ -50,12 +64,12 @@ class Dice {
     }
 
     /**
-     * Save custom presets to settings
+     * Save custom presets to the repository
      * @private
      */
     async _saveCustomPresets() {
         try {
-            await this.settings.set('diceCustomPresets', this.customPresets);
+            await this.repository.setDocument(DocumentName.DICE_PRESETS, this.customPresets);
         } catch (error) {
             console.error('Error saving custom dice presets:', error);
         }
@@ -70,6 +84,10 @@ class Dice {
      * @param {boolean} options.advantage - Roll with advantage
      * @param {boolean} options.disadvantage - Roll with disadvantage
      * @param {boolean} options.critical - Critical hit (double dice)
+     * @param {number} options.critRange - Lowest natural d20 that counts as a critical
+     * @param {Object} options.variables - Values for "@name" references in the formula
+     * @param {string} options.actorId - ID of the rolling combatant
+     * @param {string} options.actorName - Name of the rolling combatant
      * @param {boolean} options.silent - Don't play sound or add to history
      * @returns {Promise<Object>} Roll result
      */
@@ -81,37 +99,25 @@ class Dice {
             advantage = false,
             disadvantage = false,
             critical = false,
+            critRange = 20,
+            variables = {},
+            actorId = null,
+            actorName = null,
             silent = false
         } = options;
         
-        // Parse formula
-        const parsedFormula = this._parseFormula(formula);
-        
-        // Apply critical hit (double dice)
-        if (critical && type === 'damage') {
-            parsedFormula.dice = parsedFormula.dice.map(die => ({
-                ...die,
-                count: die.count * 2
-            }));
-        }
-        
-        // Roll dice
-        const rollResult = this._rollDice(parsedFormula, { advantage, disadvantage });
-        
-        // Create result object
-        const result = {
-            formula,
-            parsedFormula,
-            name,
+        // Roll through the shared dice service so every module sees the same result shape
+        const result = this.service.roll(formula, {
+            label: name,
             type,
             advantage,
             disadvantage,
-            critical,
-            timestamp: Date.now(),
-            results: rollResult.results,
-            total: rollResult.total,
-            rolls: rollResult.rolls
-        };
+            critical: critical && type === 'damage',
+            critRange,
+            variables,
+            actorId,
+            actorName
+        });
         
         // Play sound
         if (!silent && this.audio && this.settings.isDiceSoundEnabled()) {
@@ -126,6 +132,41 @@ class Dice {
         return result;
     }
 
+    /**
+     * Set the rules engine that adds condition modifiers to combatants' rolls
+     * @param {Object} rules - Rules engine (see rulesEngine.js)
+     */
+    setRulesEngine(rules) {
+        this.rules = rules;
+    }
+
+    /**
+     * Make a d20 roll with the condition modifiers of the rolling combatant.
+     * The result explains them in result.rules, and flags automatic failures
+     * and critical hits, which the total alone can't show.
+     * @private
+     * @param {string} kind - RollKind
+     * @param {string} formula - Dice formula
+     * @param {Object} options - Roll options, with the combatant and target
+     * @returns {Promise<Object>} Roll result
+     */
+    async _rollWithRules(kind, formula, options) {
+        if (!this.rules || !options.combatant) {
+            return await this.roll(formula, options);
+        }
+        
+        const applied = this.rules.applyToRoll(kind, formula, options);
+        const result = await this.roll(applied.formula, applied.options);
+        const { advantage, disadvantage, autoFail, autoCrit, bonuses, reasons } = applied.modifiers;
+        
+        return {
+            ...result,
+            autoFail,
+            autoCrit,
+            rules: { advantage, disadvantage, autoFail, autoCrit, bonuses, reasons }
+        };
+    }
+
     /**
      * Roll initiative
      * @param {string} name - Combatant name
@@ -133,6 +174,7 @@ class Dice {
      * @param {Object} options - Roll options
      * @param {boolean} options.advantage - Roll with advantage
      * @param {boolean} options.disadvantage - Roll with disadvantage
+     * @param {Object} options.combatant - Combatant making the roll, for condition modifiers
      * @returns {Promise<Object>} Roll result
      */
     async rollInitiative(name, modifier = 0, options = {}) {
@@ -140,7 +182,7 @@ class Dice {
         const formula = modifier >= 0 ? `1d20+${modifier}` : `1d20${modifier}`;
         
         // Roll dice
-        return await this.roll(formula, {
+        return await this._rollWithRules(RollKind.INITIATIVE, formula, {
             name: `${name} Initiative`,
             type: 'initiative',
             ...options
@@ -154,6 +196,11 @@ class Dice {
      * @param {Object} options - Roll options
      * @param {boolean} options.advantage - Roll with advantage
      * @param {boolean} options.disadvantage - Roll with disadvantage
+     * @param {number} options.critRange - Lowest natural d20 that counts as a critical
+     * @param {Object} options.combatant - Combatant making the roll, for condition modifiers
+     * @param {Object} options.target - Combatant being attacked
+     * @param {string} options.attackKind - 'melee' or 'ranged'
+     * @param {number} options.distance - Distance to the target in feet
      * @returns {Promise<Object>} Roll result
      */
     async rollAttack(name, modifier = 0, options = {}) {
@@ -161,7 +208,7 @@ class Dice {
         const formula = modifier >= 0 ? `1d20+${modifier}` : `1d20${modifier}`;
         
         // Roll dice
-        return await this.roll(formula, {
+        return await this._rollWithRules(RollKind.ATTACK, formula, {
             name: `${name} Attack`,
             type: 'attack',
             ...options
@@ -193,6 +240,7 @@ class Dice {
      * @param {Object} options - Roll options
      * @param {boolean} options.advantage - Roll with advantage
      * @param {boolean} options.disadvantage - Roll with disadvantage
+     * @param {Object} options.combatant - Combatant making the roll, for condition modifiers
      * @returns {Promise<Object>} Roll result
      */
     async rollSave(ability, modifier = 0, name = '', options = {}) {
@@ -200,9 +248,10 @@ class Dice {
         const formula = modifier >= 0 ? `1d20+${modifier}` : `1d20${modifier}`;
         
         // Roll dice
-        return await this.roll(formula, {
+        return await this._rollWithRules(RollKind.SAVE, formula, {
             name: `${name} ${ability.toUpperCase()} Save`,
             type: 'save',
+            ability,
             ...options
         });
     }
@@ -215,6 +264,9 @@ class Dice {
      * @param {Object} options - Roll options
      * @param {boolean} options.advantage - Roll with advantage
      * @param {boolean} options.disadvantage - Roll with disadvantage
+     * @param {Object} options.combatant - Combatant making the roll, for condition modifiers
+     * @param {boolean} options.requiresSight - Whether the check relies on sight
+     * @param {boolean} options.requiresHearing - Whether the check relies on hearing
      * @returns {Promise<Object>} Roll result
      */
     async rollCheck(ability, modifier = 0, name = '', options = {}) {
@@ -222,9 +274,10 @@ class Dice {
         const formula = modifier >= 0 ? `1d20+${modifier}` : `1d20${modifier}`;
         
         // Roll dice
-        return await this.roll(formula, {
+        return await this._rollWithRules(RollKind.CHECK, formula, {
             name: `${name} ${ability.toUpperCase()} Check`,
             type: 'check',
+            ability,
             ...options
         });
     }
@@ -237,6 +290,9 @@ class Dice {
      * @param {Object} options - Roll options
      * @param {boolean} options.advantage - Roll with advantage
      * @param {boolean} options.disadvantage - Roll with disadvantage
+     * @param {Object} options.combatant - Combatant making the roll, for condition modifiers
+     * @param {boolean} options.requiresSight - Whether the check relies on sight
+     * @param {boolean} options.requiresHearing - Whether the check relies on hearing
      * @returns {Promise<Object>} Roll result
      */
     async rollSkill(skill, modifier = 0, name = '', options = {}) {
@@ -244,9 +300,10 @@ class Dice {
         const formula = modifier >= 0 ? `1d20+${modifier}` : `1d20${modifier}`;
         
         // Roll dice
-        return await this.roll(formula, {
+        return await this._rollWithRules(RollKind.SKILL, formula, {
             name: `${name} ${skill} Check`,
             type: 'skill',
+            skill,
             ...options
         });
     }
@@ -257,11 +314,12 @@ class Dice {
      * @param {Object} options - Roll options
      * @param {boolean} options.advantage - Roll with advantage
      * @param {boolean} options.disadvantage - Roll with disadvantage
+     * @param {Object} options.combatant - Combatant making the roll, for condition modifiers
      * @returns {Promise<Object>} Roll result
      */
     async rollDeathSave(name = '', options = {}) {
         // Roll dice
-        return await this.roll('1d20', {
+        return await this._rollWithRules(RollKind.DEATH_SAVE, '1d20', {
             name: `${name} Death Save`,
             type: 'death-save',
             ...options
@@ -295,138 +353,24 @@ class Dice {
      * @returns {Object} Parsed formula
      */
     _parseFormula(formula) {
-        // Initialize result
-        const result = {
-            original: formula,
-            dice: [],
-            modifiers: [],
-            error: null
-        };
-        
-        try {
-            // Remove whitespace
-            const cleanFormula = formula.replace(/\s+/g, '');
-            
-            // Match dice and modifiers
-            const diceRegex = /(\d+)d(\d+)/g;
-            const modifierRegex = /[+\-]\d+/g;
-            
-            // Extract dice
-            let diceMatch;
-            while ((diceMatch = diceRegex.exec(cleanFormula)) !== null) {
-                result.dice.push({
-                    count: parseInt(diceMatch[1], 10),
-                    sides: parseInt(diceMatch[2], 10)
-                });
-            }
-            
-            // Extract modifiers
-            let modifierMatch;
-            while ((modifierMatch = modifierRegex.exec(cleanFormula)) !== null) {
-                result.modifiers.push(parseInt(modifierMatch[0], 10));
-            }
-        } catch (error) {
-            result.error = `Error parsing formula: ${error.message}`;
-        }
-        
-        return result;
+        return this.service.parse(formula);
     }
 
     /**
-     * Roll dice
+     * Add roll to history
      * @private
-     * @param {Object} parsedFormula - Parsed formula
-     * @param {Object} options - Roll options
-     * @param {boolean} options.advantage - Roll with advantage
-     * @param {boolean} options.disadvantage - Roll with disadvantage
-     * @returns {Object} Roll result
+     * @param {Object} roll - Roll result
      */
-    _rollDice(parsedFormula, options = {}) {
-        const { advantage = false, disadvantage = false } = options;
-        
-        // Initialize result
-        const result = {
-            results: [],
-            total: 0,
-            rolls: []
-        };
-        
-        // Check for errors
-        if (parsedFormula.error) {
-            result.error = parsedFormula.error;
-            return result;
-        }
-        
-        // Roll dice
-        parsedFormula.dice.forEach(die => {
-            const dieResult = {
-                die: `d${die.sides}`,
-                count: die.count,
-                rolls: []
-            };
-            
-            // Handle advantage/disadvantage for d20 rolls
-            if (die.sides === 20 && die.count === 1 && (advantage || disadvantage)) {
-                // Roll twice
-                const roll1 = Math.floor(Math.random() * die.sides) + 1;
-                const roll2 = Math.floor(Math.random() * die.sides) + 1;
-                
-                // Determine which roll to use
-                const useRoll = advantage ? Math.max(roll1, roll2) : Math.min(roll1, roll2);
-                
-                dieResult.rolls = [roll1, roll2];
-                dieResult.total = useRoll;
-                dieResult.advantage = advantage;
-                dieResult.disadvantage = disadvantage;
-                dieResult.useRoll = useRoll;
-                
-                result.rolls.push({ die: `d${die.sides}`, roll: roll1 });
-                result.rolls.push({ die: `d${die.sides}`, roll: roll2 });
-            } else {
-                // Normal dice rolling
-                let dieTotal = 0;
-                
-                for (let i = 0; i < die.count; i++) {
-                    const roll = Math.floor(Math.random() * die.sides) + 1;
-                    dieResult.rolls.push(roll);
-                    dieTotal += roll;
-                    
-                    result.rolls.push({ die: `d${die.sides}`, roll });
-                }
-                
-                dieResult.total = dieTotal;
-            }
-            
-            result.results.push(dieResult);
-            result.total += dieResult.total;
-        });
-        
-        // Add modifiers
-        parsedFormula.modifiers.forEach(modifier => {
-            result.results.push({
-                modifier,
-                total: modifier
-            });
-            
-            result.total += modifier;
-        });
-        
-        return result;
+    _addToHistory(roll) {
+        this.store.dispatch(actions.rollDice(roll.formula, roll.label, roll));
     }
 
     /**
-     * Add roll to history
-     * @private
-     * @param {Object} roll - Roll result
+     * Dice history, most recent roll first
+     * @returns {Array} Dice history
      */
-    _addToHistory(roll) {
-        // Add to history
-        this.history.unshift(roll);
-        
-        // Limit history size
-        if (this.history.length > this.maxHistory) {
-            this.history.pop();
-        }
+    get history() {
+        return this.store.getState().dice.history;
     }
 
     /**
@@ -441,7 +385,56 @@ class Dice {
      * Clear dice history
      */
     clearHistory() {
-        this.history = [];
+        this.store.dispatch(actions.clearDiceHistory());
+    }
+
+    /**
+     * Start a new dice session with its own seed
+     * @param {number|string} seed - Seed to use (a new one is generated if omitted)
+     * @returns {number|string} The session seed
+     */
+    startSession(seed) {
+        return this.service.setSeed(seed);
+    }
+
+    /**
+     * Get the seed of the current dice session
+     * @returns {number|string|null} Session seed
+     */
+    getSeed() {
+        return this.service.getSeed();
+    }
+
+    /**
+     * Get the state needed to replay the current dice session
+     * @returns {Object} Session seed and recorded draws
+     */
+    getSessionState() {
+        return this.service.getSessionState();
+    }
+
+    /**
+     * Replay a recorded dice session so the same rolls produce the same results
+     * @param {Object} state - Session state from getSessionState
+     * @returns {boolean} Success status
+     */
+    startReplay(state) {
+        return this.service.startReplay(state);
+    }
+
+    /**
+     * Stop replaying a dice session
+     */
+    stopReplay() {
+        this.service.stopReplay();
+    }
+
+    /**
+     * Check whether a dice session is being replayed
+     * @returns {boolean} True while recorded rolls remain
+     */
+    isReplaying() {
+        return this.service.isReplaying();
     }
 
     /**
@@ -560,23 +553,7 @@ class Dice {
      * @returns {string} Formatted roll result
      */
     formatRollResult(roll) {
-        if (!roll) return '';
-        
-        let result = `${roll.name}: ${roll.total}`;
-        
-        // Add details for advantage/disadvantage
-        if (roll.advantage) {
-            result += ' (with advantage)';
-        } else if (roll.disadvantage) {
-            result += ' (with disadvantage)';
-        }
-        
-        // Add critical hit
-        if (roll.critical) {
-            result += ' (critical hit)';
-        }
-        
-        return result;
+        return this.service.formatResult(roll);
     }
 
     /**
@@ -587,17 +564,31 @@ class Dice {
     getRollDescription(roll) {
         if (!roll) return '';
         
-        let description = `${roll.name}\n`;
+        let description = `${roll.label}\n`;
         description += `Formula: ${roll.formula}\n`;
-        description += `Result: ${roll.total}\n\n`;
+        description += `Result: ${roll.total}\n`;
+        if (roll.breakdown) {
+            description += `Breakdown: ${roll.breakdown}\n`;
+        }
+        description += '\n';
         
         // Add dice results
-        roll.results.forEach(result => {
-            if (result.die) {
-                description += `${result.count}${result.die}: [${result.rolls.join(', ')}] = ${result.total}\n`;
-            } else if (result.modifier) {
-                description += `Modifier: ${result.modifier}\n`;
+        roll.terms.forEach(term => {
+            description += `${term.notation}: [${term.rolls.join(', ')}] = ${term.total}`;
+            if (term.dropped.length > 0) {
+                description += ` (dropped ${term.dropped.join(', ')})`;
             }
+            description += '\n';
+        });
+        
+        // Add flat modifiers and variables
+        roll.modifiers.forEach(modifier => {
+            if (modifier) {
+                description += `Modifier: ${modifier}\n`;
+            }
+        });
+        Object.entries(roll.variables).forEach(([name, value]) => {
+            description += `@${name}: ${value}\n`;
         });
         
         return description;
@@ -609,19 +600,7 @@ class Dice {
      * @returns {boolean} True if critical hit
      */
     isCriticalHit(roll) {
-        if (!roll || roll.type !== 'attack') return false;
-        
-        // Check for natural 20
-        const d20Result = roll.results.find(r => r.die === 'd20');
-        if (!d20Result) return false;
-        
-        // For advantage, check if either roll is 20
-        if (roll.advantage) {
-            return d20Result.rolls.includes(20);
-        }
-        
-        // For normal or disadvantage, check if the used roll is 20
-        return d20Result.useRoll === 20 || d20Result.total === 20;
+        return !!roll && roll.type === 'attack' && roll.isCritical;
     }
 
     /**
@@ -630,104 +609,61 @@ class Dice {
      * @returns {boolean} True if critical miss
      */
     isCriticalMiss(roll) {
-        if (!roll || roll.type !== 'attack') return false;
-        
-        // Check for natural 1
-        const d20Result = roll.results.find(r => r.die === 'd20');
-        if (!d20Result) return false;
-        
-        // For disadvantage, check if either roll is 1
-        if (roll.disadvantage) {
-            return d20Result.rolls.includes(1);
-        }
-        
-        // For normal or advantage, check if the used roll is 1
-        return d20Result.useRoll === 1 || d20Result.total === 1;
+        return !!roll && roll.type === 'attack' && roll.isFumble;
     }
 
     /**
      * Calculate average result for a dice formula
      * @param {string} formula - Dice formula
+     * @param {Object} variables - Values for "@name" references (missing ones count as 0)
      * @returns {number} Average result
      */
-    calculateAverage(formula) {
+    calculateAverage(formula, variables = {}) {
         // Parse formula
         const parsedFormula = this._parseFormula(formula);
+        if (parsedFormula.error) return 0;
         
-        // Calculate average
-        let average = 0;
-        
-        // Add dice averages
-        parsedFormula.dice.forEach(die => {
-            // Average of a die is (sides + 1) / 2
-            const dieAverage = (die.sides + 1) / 2;
-            average += die.count * dieAverage;
-        });
-        
-        // Add modifiers
-        parsedFormula.modifiers.forEach(modifier => {
-            average += modifier;
-        });
-        
-        return average;
+        return analyzeDiceExpression(parsedFormula.ast, variables).average;
     }
 
     /**
      * Calculate minimum result for a dice formula
      * @param {string} formula - Dice formula
+     * @param {Object} variables - Values for "@name" references (missing ones count as 0)
      * @returns {number} Minimum result
      */
-    calculateMinimum(formula) {
+    calculateMinimum(formula, variables = {}) {
         // Parse formula
         const parsedFormula = this._parseFormula(formula);
+        if (parsedFormula.error) return 0;
         
-        // Calculate minimum
-        let minimum = 0;
-        
-        // Add dice minimums (1 per die)
-        parsedFormula.dice.forEach(die => {
-            minimum += die.count;
-        });
-        
-        // Add modifiers
-        parsedFormula.modifiers.forEach(modifier => {
-            minimum += modifier;
-        });
-        
-        return minimum;
+        return analyzeDiceExpression(parsedFormula.ast, variables).minimum;
     }
 
     /**
      * Calculate maximum result for a dice formula
+     * Exploding dice have no upper bound and return Infinity, unless only the
+     * highest or lowest few are kept (4d6!kh3) or a compounding die is
+     * clamped (1d6!!max9).
      * @param {string} formula - Dice formula
+     * @param {Object} variables - Values for "@name" references (missing ones count as 0)
      * @returns {number} Maximum result
      */
-    calculateMaximum(formula) {
+    calculateMaximum(formula, variables = {}) {
         // Parse formula
         const parsedFormula = this._parseFormula(formula);
+        if (parsedFormula.error) return 0;
         
-        // Calculate maximum
-        let maximum = 0;
-        
-        // Add dice maximums
-        parsedFormula.dice.forEach(die => {
-            maximum += die.count * die.sides;
-        });
-        
-        // Add modifiers
-        parsedFormula.modifiers.forEach(modifier => {
-            maximum += modifier;
-        });
-        
-        return maximum;
+        return analyzeDiceExpression(parsedFormula.ast, variables).maximum;
     }
 
     /**
      * Validate dice formula
      * @param {string} formula - Dice formula
+     * @param {Object} variables - Optional variable values; when given, every "@name" must resolve
      * @returns {Object} Validation result
      */
-    validateFormula(formula) {
+    validateFormula(formula, variables = null) {
         // Parse formula
         const parsedFormula = this._parseFormula(formula);
         
@@ -747,19 +683,17 @@ class Dice {
             };
         }
         
-        // Check for valid dice
-        for (const die of parsedFormula.dice) {
-            if (die.count <= 0) {
-                return {
-                    valid: false,
-                    error: `Invalid dice count: ${die.count}`
-                };
-            }
+        // Check variables
+        if (variables) {
+            const missing = parsedFormula.variables.filter(name => {
+                const value = lookupVariable(variables, name);
+                return value === undefined || Number.isNaN(value);
+            });
             
-            if (die.sides <= 0) {
+            if (missing.length > 0) {
                 return {
                     valid: false,
-                    error: `Invalid dice sides: ${die.sides}`
+                    error: `Unknown variable: ${missing.map(name => `@${name}`).join(', ')}`
                 };
             }
         }
@@ -771,5 +705,8 @@ class Dice {
     }
 }
 
+// Shared roll entry point for modules that don't hold a Dice instance
+export { rollDice } from './diceService.js';
+
 // Export the Dice class
 export default Dice;
@@ -0,0 +1,1228 @@
+/**
+ * Jesster's Combat Tracker
+ * Dice Expression Module
+ * Version 2.3.1
+ *
+ * This module parses and evaluates dice expressions. Besides plain "NdM"
+ * terms and constants it understands keep/drop (4d6kh3, 2d20kl1, 4d6dl1),
+ * exploding and compounding dice (1d6!, 1d6!!, 1d10!>8), conditional
+ * rerolls (2d6r<2, 1d20ro1), per-die clamps (4d6min2, 1d20max15),
+ * parentheses, multiplication/division and variable references
+ * (1d20+@str, 1d8+@{spell mod}).
+ */
+
+/**
+ * Upper bounds that keep a single expression from locking up the UI
+ */
+export const DiceLimits = {
+  MAX_DICE: 1000,
+  MAX_SIDES: 1000,
+  MAX_REROLLS: 100,
+  MAX_EXPLOSIONS: 100
+};
+
+/**
+ * Node types produced by the parser
+ */
+export const NodeType = {
+  NUMBER: 'number',
+  DICE: 'dice',
+  VARIABLE: 'variable',
+  BINARY: 'binary',
+  NEGATE: 'negate',
+  GROUP: 'group'
+};
+
+/**
+ * Error raised for malformed or unresolvable dice expressions
+ */
+export class DiceExpressionError extends Error {
+  /**
+   * Create a dice expression error
+   * @param {string} message - Error message
+   * @param {number} position - Offset in the expression where the error occurred
+   */
+  constructor(message, position = -1) {
+    super(message);
+    this.name = 'DiceExpressionError';
+    this.position = position;
+  }
+}
+
+/**
+ * Recursive-descent parser for dice expressions
+ * @private
+ */
+class ExpressionParser {
+  /**
+   * Create a parser
+   * @param {string} source - Expression source
+   */
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+  }
+
+  /**
+   * Parse the whole source
+   * @returns {Object} Expression tree
+   */
+  parse() {
+    this._skipWhitespace();
+    if (this.pos >= this.source.length) {
+      throw new DiceExpressionError('Empty dice expression', 0);
+    }
+
+    const node = this._parseAdditive();
+
+    this._skipWhitespace();
+    if (this.pos < this.source.length) {
+      throw new DiceExpressionError(
+        `Unexpected "${this.source[this.pos]}" at position ${this.pos + 1}`,
+        this.pos
+      );
+    }
+
+    return node;
+  }
+
+  /**
+   * additive := multiplicative (("+" | "-") multiplicative)*
+   * @returns {Object} Expression node
+   * @private
+   */
+  _parseAdditive() {
+    let left = this._parseMultiplicative();
+
+    while (true) {
+      this._skipWhitespace();
+      const char = this.source[this.pos];
+      if (char !== '+' && char !== '-') break;
+      this.pos++;
+      const right = this._parseMultiplicative();
+      left = { type: NodeType.BINARY, operator: char, left, right };
+    }
+
+    return left;
+  }
+
+  /**
+   * multiplicative := unary (("*" | "/") unary)*
+   * @returns {Object} Expression node
+   * @private
+   */
+  _parseMultiplicative() {
+    let left = this._parseUnary();
+
+    while (true) {
+      this._skipWhitespace();
+      let char = this.source[this.pos];
+      if (char === 'x' || char === '×') char = '*';
+      if (char !== '*' && char !== '/') break;
+      this.pos++;
+      const right = this._parseUnary();
+      left = { type: NodeType.BINARY, operator: char, left, right };
+    }
+
+    return left;
+  }
+
+  /**
+   * unary := ("-" | "+") unary | primary
+   * @returns {Object} Expression node
+   * @private
+   */
+  _parseUnary() {
+    this._skipWhitespace();
+    const char = this.source[this.pos];
+
+    if (char === '-') {
+      this.pos++;
+      return { type: NodeType.NEGATE, operand: this._parseUnary() };
+    }
+
+    if (char === '+') {
+      this.pos++;
+      return this._parseUnary();
+    }
+
+    return this._parsePrimary();
+  }
+
+  /**
+   * primary := "(" additive ")" | dice | number | variable
+   * @returns {Object} Expression node
+   * @private
+   */
+  _parsePrimary() {
+    this._skipWhitespace();
+    const start = this.pos;
+    const char = this.source[this.pos];
+
+    if (char === undefined) {
+      throw new DiceExpressionError('Unexpected end of expression', this.pos);
+    }
+
+    if (char === '(') {
+      this.pos++;
+      const expression = this._parseAdditive();
+      this._skipWhitespace();
+      if (this.source[this.pos] !== ')') {
+        throw new DiceExpressionError(`Missing ")" for "(" at position ${start + 1}`, this.pos);
+      }
+      this.pos++;
+      return { type: NodeType.GROUP, expression };
+    }
+
+    if (char === '@') {
+      return this._parseVariable();
+    }
+
+    if (this._isDigit(char)) {
+      const value = this._readInteger();
+      if (this._isDiceMarker(this.source[this.pos])) {
+        return this._parseDice(value, start);
+      }
+      return { type: NodeType.NUMBER, value };
+    }
+
+    if (this._isDiceMarker(char)) {
+      return this._parseDice(1, start);
+    }
+
+    throw new DiceExpressionError(`Unexpected "${char}" at position ${this.pos + 1}`, this.pos);
+  }
+
+  /**
+   * variable := "@" name | "@{" text "}"
+   * @returns {Object} Variable node
+   * @private
+   */
+  _parseVariable() {
+    const start = this.pos;
+    this.pos++;
+
+    let name;
+    if (this.source[this.pos] === '{') {
+      const end = this.source.indexOf('}', this.pos);
+      if (end === -1) {
+        throw new DiceExpressionError(`Missing "}" for variable at position ${start + 1}`, start);
+      }
+      name = this.source.slice(this.pos + 1, end).trim();
+      this.pos = end + 1;
+    } else {
+      const match = /^[A-Za-z_][\w.]*/.exec(this.source.slice(this.pos));
+      name = match ? match[0] : '';
+      this.pos += name.length;
+    }
+
+    if (!name) {
+      throw new DiceExpressionError(`Missing variable name at position ${start + 1}`, start);
+    }
+
+    return { type: NodeType.VARIABLE, name };
+  }
+
+  /**
+   * dice := [count] "d" (sides | "%") modifier*
+   * @param {number} count - Number of dice
+   * @param {number} start - Offset where the dice term began
+   * @returns {Object} Dice node
+   * @private
+   */
+  _parseDice(count, start) {
+    // Skip the "d"
+    this.pos++;
+
+    let sides;
+    if (this.source[this.pos] === '%') {
+      this.pos++;
+      sides = 100;
+    } else if (this._isDigit(this.source[this.pos])) {
+      sides = this._readInteger();
+    } else {
+      throw new DiceExpressionError(`Missing die size at position ${this.pos + 1}`, this.pos);
+    }
+
+    if (count < 1 || count > DiceLimits.MAX_DICE) {
+      throw new DiceExpressionError(`Invalid dice count: ${count}`, start);
+    }
+    if (sides < 1 || sides > DiceLimits.MAX_SIDES) {
+      throw new DiceExpressionError(`Invalid dice sides: ${sides}`, start);
+    }
+
+    const node = {
+      type: NodeType.DICE,
+      count,
+      sides,
+      keep: null,
+      explode: null,
+      reroll: null,
+      min: null,
+      max: null
+    };
+
+    this._parseDiceModifiers(node);
+
+    node.notation = formatDiceNode(node);
+
+    return node;
+  }
+
+  /**
+   * Parse modifiers trailing a dice term
+   * @param {Object} node - Dice node to populate
+   * @private
+   */
+  _parseDiceModifiers(node) {
+    while (this.pos < this.source.length) {
+      const rest = this.source.slice(this.pos).toLowerCase();
+      const start = this.pos;
+
+      if (rest.startsWith('kh') || rest.startsWith('kl') || rest.startsWith('dh') || rest.startsWith('dl')) {
+        this.pos += 2;
+        this._setKeep(node, rest[0] === 'k' ? 'keep' : 'drop', rest[1] === 'h' ? 'highest' : 'lowest', start);
+      } else if (rest[0] === 'k') {
+        this.pos += 1;
+        this._setKeep(node, 'keep', 'highest', start);
+      } else if (rest[0] === 'd' && this._isDigit(rest[1])) {
+        this.pos += 1;
+        this._setKeep(node, 'drop', 'lowest', start);
+      } else if (rest.startsWith('!!')) {
+        this.pos += 2;
+        this._setExplode(node, true, start);
+      } else if (rest[0] === '!') {
+        this.pos += 1;
+        this._setExplode(node, false, start);
+      } else if (rest.startsWith('ro')) {
+        this.pos += 2;
+        this._setReroll(node, true, start);
+      } else if (rest[0] === 'r') {
+        this.pos += 1;
+        this._setReroll(node, false, start);
+      } else if (rest.startsWith('min')) {
+        this.pos += 3;
+        node.min = this._readRequiredInteger('min');
+      } else if (rest.startsWith('max')) {
+        this.pos += 3;
+        node.max = this._readRequiredInteger('max');
+      } else {
+        break;
+      }
+    }
+
+    if (node.min !== null && node.max !== null && node.min > node.max) {
+      throw new DiceExpressionError(`Minimum ${node.min} is greater than maximum ${node.max}`, this.pos);
+    }
+  }
+
+  /**
+   * Record a keep/drop modifier
+   * @param {Object} node - Dice node
+   * @param {string} mode - "keep" or "drop"
+   * @param {string} which - "highest" or "lowest"
+   * @param {number} start - Offset of the modifier
+   * @private
+   */
+  _setKeep(node, mode, which, start) {
+    if (node.keep) {
+      throw new DiceExpressionError(`Only one keep/drop modifier is allowed at position ${start + 1}`, start);
+    }
+
+    const amount = this._isDigit(this.source[this.pos]) ? this._readInteger() : 1;
+
+    // Dropping the lowest is keeping the highest, so record which end survives
+    const keepWhich = mode === 'keep' ? which : (which === 'highest' ? 'lowest' : 'highest');
+
+    node.keep = { mode, which, amount, keepWhich };
+  }
+
+  /**
+   * Record an exploding/compounding modifier
+   * @param {Object} node - Dice node
+   * @param {boolean} compound - Whether explosions add to the same die
+   * @param {number} start - Offset of the modifier
+   * @private
+   */
+  _setExplode(node, compound, start) {
+    if (node.explode) {
+      throw new DiceExpressionError(`Only one exploding modifier is allowed at position ${start + 1}`, start);
+    }
+
+    const compare = this._readCompare() || { operator: '=', value: node.sides };
+
+    if (node.sides === 1 || countMatchingFaces(compare, node.sides) >= node.sides) {
+      throw new DiceExpressionError(`Dice would explode forever at position ${start + 1}`, start);
+    }
+
+    node.explode = { compound, compare };
+  }
+
+  /**
+   * Record a reroll modifier
+   * @param {Object} node - Dice node
+   * @param {boolean} once - Whether to reroll only once
+   * @param {number} start - Offset of the modifier
+   * @private
+   */
+  _setReroll(node, once, start) {
+    if (node.reroll) {
+      throw new DiceExpressionError(`Only one reroll modifier is allowed at position ${start + 1}`, start);
+    }
+
+    const compare = this._readCompare();
+    if (!compare) {
+      throw new DiceExpressionError(`Missing reroll target at position ${this.pos + 1}`, this.pos);
+    }
+
+    if (!once && countMatchingFaces(compare, node.sides) >= node.sides) {
+      throw new DiceExpressionError(`Dice would reroll forever at position ${start + 1}`, start);
+    }
+
+    node.reroll = { once, compare };
+  }
+
+  /**
+   * Read an optional comparison such as "<2", ">=19" or "1"
+   * @returns {Object|null} Comparison or null if none present
+   * @private
+   */
+  _readCompare() {
+    const match = /^(<=|>=|<|>|=)?(\d+)/.exec(this.source.slice(this.pos));
+    if (!match) return null;
+
+    this.pos += match[0].length;
+    return { operator: match[1] || '=', value: parseInt(match[2], 10) };
+  }
+
+  /**
+   * Read an integer that must be present
+   * @param {string} modifier - Modifier name for error messages
+   * @returns {number} Integer value
+   * @private
+   */
+  _readRequiredInteger(modifier) {
+    if (!this._isDigit(this.source[this.pos])) {
+      throw new DiceExpressionError(`Missing value for "${modifier}" at position ${this.pos + 1}`, this.pos);
+    }
+    return this._readInteger();
+  }
+
+  /**
+   * Read an unsigned integer
+   * @returns {number} Integer value
+   * @private
+   */
+  _readInteger() {
+    const start = this.pos;
+    while (this._isDigit(this.source[this.pos])) {
+      this.pos++;
+    }
+    return parseInt(this.source.slice(start, this.pos), 10);
+  }
+
+  /**
+   * Skip whitespace
+   * @private
+   */
+  _skipWhitespace() {
+    while (this.pos < this.source.length && /\s/.test(this.source[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  /**
+   * Check whether a character is a digit
+   * @param {string} char - Character
+   * @returns {boolean} True for 0-9
+   * @private
+   */
+  _isDigit(char) {
+    return char !== undefined && char >= '0' && char <= '9';
+  }
+
+  /**
+   * Check whether a character starts the die part of a dice term
+   * @param {string} char - Character
+   * @returns {boolean} True for "d" or "D"
+   * @private
+   */
+  _isDiceMarker(char) {
+    return char === 'd' || char === 'D';
+  }
+}
+
+/**
+ * Parse a dice expression into an expression tree
+ * @param {string} expression - Dice expression (e.g., "4d6kh3", "(1d8+3)*2")
+ * @returns {Object} Expression tree
+ * @throws {DiceExpressionError} If the expression is malformed
+ */
+export function parseDiceExpression(expression) {
+  if (typeof expression !== 'string') {
+    throw new DiceExpressionError('Dice expression must be a string', 0);
+  }
+
+  return new ExpressionParser(expression).parse();
+}
+
+/**
+ * Format a dice node back into canonical notation (e.g., "4d6kh3", "2d6r<2")
+ * @param {Object} node - Dice node
+ * @returns {string} Dice notation
+ */
+export function formatDiceNode(node) {
+  const formatCompare = compare => (compare.operator === '=' ? '' : compare.operator) + compare.value;
+
+  let text = `${node.count}d${node.sides}`;
+
+  if (node.reroll) {
+    text += (node.reroll.once ? 'ro' : 'r') + formatCompare(node.reroll.compare);
+  }
+  if (node.explode) {
+    text += node.explode.compound ? '!!' : '!';
+    const { compare } = node.explode;
+    if (compare.operator !== '=' || compare.value !== node.sides) {
+      text += formatCompare(compare);
+    }
+  }
+  if (node.keep) {
+    text += (node.keep.mode === 'keep' ? 'k' : 'd') + node.keep.which[0] + node.keep.amount;
+  }
+  if (node.min !== null) text += `min${node.min}`;
+  if (node.max !== null) text += `max${node.max}`;
+
+  return text;
+}
+
+/**
+ * Collect the dice nodes of an expression tree in source order
+ * @param {Object} node - Expression tree
+ * @returns {Array} Dice nodes
+ */
+export function collectDiceNodes(node) {
+  const nodes = [];
+  walk(node, current => {
+    if (current.type === NodeType.DICE) nodes.push(current);
+  });
+  return nodes;
+}
+
+/**
+ * Collect the variable names referenced by an expression tree
+ * @param {Object} node - Expression tree
+ * @returns {string[]} Unique variable names
+ */
+export function collectVariables(node) {
+  const names = new Set();
+  walk(node, current => {
+    if (current.type === NodeType.VARIABLE) names.add(current.name);
+  });
+  return [...names];
+}
+
+/**
+ * Create a copy of an expression tree with every dice node transformed
+ * @param {Object} node - Expression tree
+ * @param {Function} transform - Receives a copied dice node and returns the replacement
+ * @returns {Object} New expression tree
+ */
+export function mapDiceNodes(node, transform) {
+  switch (node.type) {
+    case NodeType.DICE:
+      return transform({ ...node });
+    case NodeType.BINARY:
+      return {
+        ...node,
+        left: mapDiceNodes(node.left, transform),
+        right: mapDiceNodes(node.right, transform)
+      };
+    case NodeType.NEGATE:
+      return { ...node, operand: mapDiceNodes(node.operand, transform) };
+    case NodeType.GROUP:
+      return { ...node, expression: mapDiceNodes(node.expression, transform) };
+    default:
+      return { ...node };
+  }
+}
+
+/**
+ * Evaluate (roll) an expression tree
+ * @param {Object} node - Expression tree
+ * @param {Object} options - Evaluation options
+ * @param {Object} options.variables - Values for "@name" references
+ * @param {Function} options.random - Random source returning [0, 1)
+ * @returns {Object} Result with total, dice terms and a text breakdown
+ * @throws {DiceExpressionError} If a variable is missing or a division by zero occurs
+ */
+export function evaluateDiceExpression(node, options = {}) {
+  const context = {
+    variables: options.variables || {},
+    random: options.random || Math.random,
+    terms: []
+  };
+
+  const evaluated = evaluateNode(node, context);
+
+  return {
+    total: evaluated.value,
+    terms: context.terms,
+    breakdown: evaluated.text
+  };
+}
+
+/**
+ * Statistical summary of an expression tree without rolling it
+ * @param {Object} node - Expression tree
+ * @param {Object} variables - Values for "@name" references; missing ones count as 0
+ * @returns {Object} Minimum, maximum and average
+ */
+export function analyzeDiceExpression(node, variables = {}) {
+  const summary = analyzeNode(node, variables);
+  return {
+    minimum: summary.min,
+    maximum: summary.max,
+    average: summary.mean
+  };
+}
+
+/**
+ * Visit every node of an expression tree
+ * @param {Object} node - Expression tree
+ * @param {Function} visitor - Called with each node
+ * @private
+ */
+function walk(node, visitor) {
+  visitor(node);
+  switch (node.type) {
+    case NodeType.BINARY:
+      walk(node.left, visitor);
+      walk(node.right, visitor);
+      break;
+    case NodeType.NEGATE:
+      walk(node.operand, visitor);
+      break;
+    case NodeType.GROUP:
+      walk(node.expression, visitor);
+      break;
+  }
+}
+
+/**
+ * Look up a variable, falling back to a case-insensitive match
+ * @param {Object} variables - Variable values
+ * @param {string} name - Variable name
+ * @returns {number|undefined} Value
+ */
+export function lookupVariable(variables, name) {
+  if (Object.prototype.hasOwnProperty.call(variables, name)) {
+    return Number(variables[name]);
+  }
+
+  const lower = name.toLowerCase();
+  const key = Object.keys(variables).find(k => k.toLowerCase() === lower);
+  return key === undefined ? undefined : Number(variables[key]);
+}
+
+/**
+ * Evaluate a single node
+ * @param {Object} node - Expression node
+ * @param {Object} context - Evaluation context
+ * @returns {Object} Value and breakdown text
+ * @private
+ */
+function evaluateNode(node, context) {
+  switch (node.type) {
+    case NodeType.NUMBER:
+      return { value: node.value, text: String(node.value) };
+
+    case NodeType.VARIABLE: {
+      const value = lookupVariable(context.variables, node.name);
+      if (value === undefined || Number.isNaN(value)) {
+        throw new DiceExpressionError(`Unknown variable: @${node.name}`);
+      }
+      return { value, text: String(value) };
+    }
+
+    case NodeType.DICE: {
+      const term = rollDiceNode(node, context.random);
+      context.terms.push(term);
+      return { value: term.total, text: term.text };
+    }
+
+    case NodeType.GROUP: {
+      const inner = evaluateNode(node.expression, context);
+      return { value: inner.value, text: `(${inner.text})` };
+    }
+
+    case NodeType.NEGATE: {
+      const operand = evaluateNode(node.operand, context);
+      return { value: -operand.value, text: `-${operand.text}` };
+    }
+
+    case NodeType.BINARY: {
+      const left = evaluateNode(node.left, context);
+      const right = evaluateNode(node.right, context);
+      return {
+        value: applyOperator(node.operator, left.value, right.value),
+        text: `${left.text} ${node.operator} ${right.text}`
+      };
+    }
+
+    default:
+      throw new DiceExpressionError(`Unknown expression node: ${node.type}`);
+  }
+}
+
+/**
+ * Apply a binary operator; division rounds down as in the 5e rules
+ * @param {string} operator - Operator
+ * @param {number} left - Left value
+ * @param {number} right - Right value
+ * @returns {number} Result
+ * @private
+ */
+function applyOperator(operator, left, right) {
+  switch (operator) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/':
+      if (right === 0) {
+        throw new DiceExpressionError('Division by zero');
+      }
+      return Math.floor(left / right);
+    default:
+      throw new DiceExpressionError(`Unknown operator: ${operator}`);
+  }
+}
+
+/**
+ * Check a value against a comparison
+ * @param {Object} compare - Comparison
+ * @param {number} value - Value to test
+ * @returns {boolean} True if the value matches
+ * @private
+ */
+function matchesCompare(compare, value) {
+  switch (compare.operator) {
+    case '<': return value < compare.value;
+    case '>': return value > compare.value;
+    case '<=': return value <= compare.value;
+    case '>=': return value >= compare.value;
+    default: return value === compare.value;
+  }
+}
+
+/**
+ * Count how many faces of a die match a comparison
+ * @param {Object} compare - Comparison
+ * @param {number} sides - Die size
+ * @returns {number} Number of matching faces
+ * @private
+ */
+function countMatchingFaces(compare, sides) {
+  let count = 0;
+  for (let face = 1; face <= sides; face++) {
+    if (matchesCompare(compare, face)) count++;
+  }
+  return count;
+}
+
+/**
+ * Clamp a die value to the node's min/max modifiers
+ * @param {Object} node - Dice node
+ * @param {number} value - Raw value
+ * @returns {number} Clamped value
+ * @private
+ */
+function clampValue(node, value) {
+  let clamped = value;
+  if (node.min !== null && clamped < node.min) clamped = node.min;
+  if (node.max !== null && clamped > node.max) clamped = node.max;
+  return clamped;
+}
+
+/**
+ * Roll a dice node
+ * @param {Object} node - Dice node
+ * @param {Function} random - Random source
+ * @returns {Object} Dice term result
+ * @private
+ */
+function rollDiceNode(node, random) {
+  const rollFace = () => Math.floor(random() * node.sides) + 1;
+
+  // Apply the reroll rule to a fresh face
+  const rollWithRerolls = () => {
+    let value = rollFace();
+    const rerolled = [];
+
+    if (node.reroll) {
+      while (matchesCompare(node.reroll.compare, value) && rerolled.length < DiceLimits.MAX_REROLLS) {
+        rerolled.push(value);
+        value = rollFace();
+        if (node.reroll.once) break;
+      }
+    }
+
+    return { value, rerolled };
+  };
+
+  const dice = [];
+
+  for (let i = 0; i < node.count; i++) {
+    const first = rollWithRerolls();
+    const die = {
+      value: first.value,
+      natural: first.value,
+      rerolled: first.rerolled,
+      exploded: false,
+      fromExplosion: false,
+      compounded: [],
+      dropped: false
+    };
+    dice.push(die);
+
+    if (!node.explode) continue;
+
+    let current = first.value;
+    let explosions = 0;
+    while (matchesCompare(node.explode.compare, current) && explosions < DiceLimits.MAX_EXPLOSIONS) {
+      explosions++;
+      current = rollWithRerolls().value;
+
+      if (node.explode.compound) {
+        die.compounded.push(current);
+        die.value += current;
+        die.exploded = true;
+      } else {
+        dice[dice.length - 1].exploded = true;
+        dice.push({
+          value: current,
+          natural: current,
+          rerolled: [],
+          exploded: false,
+          fromExplosion: true,
+          compounded: [],
+          dropped: false
+        });
+      }
+    }
+  }
+
+  dice.forEach(die => {
+    const clamped = clampValue(node, die.value);
+    die.clamped = clamped !== die.value;
+    die.value = clamped;
+  });
+
+  if (node.keep) {
+    // Exploded dice join the pool, so keep counts apply to the whole pool
+    const order = dice
+      .map((die, index) => ({ value: die.value, index }))
+      .sort((a, b) => node.keep.keepWhich === 'highest' ? b.value - a.value : a.value - b.value);
+
+    const keepCount = keptDiceCount(node.keep, dice.length);
+
+    order.slice(keepCount).forEach(entry => {
+      dice[entry.index].dropped = true;
+    });
+  }
+
+  const kept = dice.filter(die => !die.dropped).map(die => die.value);
+  const total = kept.reduce((sum, value) => sum + value, 0);
+
+  return {
+    notation: node.notation,
+    die: `d${node.sides}`,
+    count: node.count,
+    sides: node.sides,
+    dice,
+    rolls: dice.map(die => die.value),
+    kept,
+    dropped: dice.filter(die => die.dropped).map(die => die.value),
+    total,
+    text: `${node.notation} [${dice.map(formatDie).join(', ')}]`
+  };
+}
+
+/**
+ * Number of dice that survive a keep/drop modifier
+ * @param {Object} keep - Keep/drop modifier
+ * @param {number} poolSize - Dice in the pool
+ * @returns {number} Dice kept
+ * @private
+ */
+function keptDiceCount(keep, poolSize) {
+  return keep.mode === 'keep'
+    ? Math.min(keep.amount, poolSize)
+    : Math.max(0, poolSize - keep.amount);
+}
+
+/**
+ * Format a single die for a breakdown string
+ * @param {Object} die - Die record
+ * @returns {string} Formatted die
+ * @private
+ */
+function formatDie(die) {
+  let text = String(die.value);
+
+  if (die.rerolled.length > 0) {
+    text = `${die.rerolled.join('→')}→${text}`;
+  }
+  if (die.compounded.length > 0) {
+    text = `${die.natural}+${die.compounded.join('+')}=${text}`;
+  }
+  if (die.exploded) {
+    text += '!';
+  }
+  if (die.dropped) {
+    text = `~${text}~`;
+  }
+
+  return text;
+}
+
+/**
+ * Summarise a node as minimum, maximum and mean
+ * @param {Object} node - Expression node
+ * @param {Object} variables - Variable values
+ * @returns {Object} Summary
+ * @private
+ */
+function analyzeNode(node, variables) {
+  switch (node.type) {
+    case NodeType.NUMBER:
+      return { min: node.value, max: node.value, mean: node.value };
+
+    case NodeType.VARIABLE: {
+      const value = lookupVariable(variables, node.name);
+      const safe = value === undefined || Number.isNaN(value) ? 0 : value;
+      return { min: safe, max: safe, mean: safe };
+    }
+
+    case NodeType.DICE:
+      return analyzeDiceNode(node);
+
+    case NodeType.GROUP:
+      return analyzeNode(node.expression, variables);
+
+    case NodeType.NEGATE: {
+      const operand = analyzeNode(node.operand, variables);
+      return { min: -operand.max, max: -operand.min, mean: -operand.mean };
+    }
+
+    case NodeType.BINARY: {
+      const left = analyzeNode(node.left, variables);
+      const right = analyzeNode(node.right, variables);
+
+      switch (node.operator) {
+        case '+':
+          return { min: left.min + right.min, max: left.max + right.max, mean: left.mean + right.mean };
+        case '-':
+          return { min: left.min - right.max, max: left.max - right.min, mean: left.mean - right.mean };
+        case '*': {
+          const products = [left.min * right.min, left.min * right.max, left.max * right.min, left.max * right.max]
+            .filter(value => !Number.isNaN(value));
+          return { min: Math.min(...products), max: Math.max(...products), mean: left.mean * right.mean };
+        }
+        case '/': {
+          // Bounds assume the divisor never straddles zero; the mean is an approximation
+          const quotients = [left.min / right.min, left.min / right.max, left.max / right.min, left.max / right.max]
+            .filter(value => !Number.isNaN(value));
+          return {
+            min: Math.floor(Math.min(...quotients)),
+            max: Math.floor(Math.max(...quotients)),
+            mean: right.mean === 0 ? 0 : left.mean / right.mean
+          };
+        }
+      }
+      break;
+    }
+  }
+
+  return { min: 0, max: 0, mean: 0 };
+}
+
+/**
+ * Build the probability distribution of a fresh face after the reroll rule
+ * @param {Object} node - Dice node
+ * @returns {Map<number, number>} Face → probability
+ * @private
+ */
+function rerolledFaceDistribution(node) {
+  const faceProbability = 1 / node.sides;
+  const distribution = new Map();
+  const add = (value, p) => distribution.set(value, (distribution.get(value) || 0) + p);
+
+  if (!node.reroll) {
+    for (let face = 1; face <= node.sides; face++) add(face, faceProbability);
+  } else if (node.reroll.once) {
+    for (let face = 1; face <= node.sides; face++) {
+      if (matchesCompare(node.reroll.compare, face)) {
+        for (let second = 1; second <= node.sides; second++) {
+          add(second, faceProbability * faceProbability);
+        }
+      } else {
+        add(face, faceProbability);
+      }
+    }
+  } else {
+    const keptFaces = node.sides - countMatchingFaces(node.reroll.compare, node.sides);
+    for (let face = 1; face <= node.sides; face++) {
+      if (!matchesCompare(node.reroll.compare, face)) add(face, 1 / keptFaces);
+    }
+  }
+
+  return distribution;
+}
+
+/**
+ * Build the probability distribution of one die after rerolls, explosions
+ * and clamps. A die that explodes into separate dice counts as the sum of
+ * the dice it explodes into.
+ * @param {Object} node - Dice node
+ * @returns {Map<number, number>} Value → probability
+ * @private
+ */
+function singleDieDistribution(node) {
+  const afterReroll = rerolledFaceDistribution(node);
+  const add = (map, value, p) => map.set(value, (map.get(value) || 0) + p);
+
+  // Separate dice are clamped one by one, a compounded die as a whole
+  const clampEach = node.explode && !node.explode.compound;
+  let distribution = afterReroll;
+
+  if (node.explode) {
+    // Truncate the (infinite) explosion chain once the remaining mass is negligible
+    distribution = new Map();
+    let frontier = new Map([[0, 1]]);
+
+    for (let depth = 0; depth < DiceLimits.MAX_EXPLOSIONS && frontier.size > 0; depth++) {
+      const next = new Map();
+      frontier.forEach((pBase, base) => {
+        afterReroll.forEach((p, face) => {
+          const probability = pBase * p;
+          if (probability < 1e-9) return;
+          const value = base + (clampEach ? clampValue(node, face) : face);
+          if (matchesCompare(node.explode.compare, face)) {
+            add(next, value, probability);
+          } else {
+            add(distribution, value, probability);
+          }
+        });
+      });
+      frontier = next;
+    }
+  }
+
+  if (clampEach || (node.min === null && node.max === null)) {
+    return distribution;
+  }
+
+  const clamped = new Map();
+  distribution.forEach((p, value) => add(clamped, clampValue(node, value), p));
+  return clamped;
+}
+
+/**
+ * Summarise a dice node as minimum, maximum and mean
+ * @param {Object} node - Dice node
+ * @returns {Object} Summary
+ * @private
+ */
+function analyzeDiceNode(node) {
+  // Dice exploded into separate dice join the keep/drop pool
+  if (node.keep && node.explode && !node.explode.compound) {
+    return analyzeExplodingPool(node);
+  }
+
+  const distribution = singleDieDistribution(node);
+  const values = [...distribution.keys()].sort((a, b) => a - b);
+
+  const dieMin = values[0];
+  let dieMax = values[values.length - 1];
+
+  // Exploding dice have no upper bound unless a compounded die is clamped
+  if (node.explode && (node.max === null || !node.explode.compound)) {
+    dieMax = Infinity;
+  }
+
+  const keepCount = node.keep ? keptDiceCount(node.keep, node.count) : node.count;
+
+  let mean = 0;
+  if (!node.keep || keepCount === node.count) {
+    values.forEach(value => { mean += value * distribution.get(value); });
+    mean *= keepCount;
+  } else {
+    mean = keptOrderStatisticMean(distribution, values, node.count, keepCount, node.keep.keepWhich);
+  }
+
+  return {
+    min: keepCount * dieMin,
+    max: keepCount * dieMax,
+    mean
+  };
+}
+
+/**
+ * Summarise a keep/drop dice node whose dice explode into separate dice.
+ * The pool grows with every explosion, so keeping the highest or lowest
+ * few is bounded by the largest face while dropping some is not.
+ * @param {Object} node - Dice node
+ * @returns {Object} Summary
+ * @private
+ */
+function analyzeExplodingPool(node) {
+  const faces = [];
+  rerolledFaceDistribution(node).forEach((p, face) => {
+    faces.push({ value: clampValue(node, face), explodes: matchesCompare(node.explode.compare, face), p });
+  });
+  const values = [...new Set(faces.map(face => face.value))].sort((a, b) => a - b);
+
+  const { mode, amount, keepWhich } = node.keep;
+  let mean;
+  if (mode === 'keep') {
+    mean = pooledExtremeSumMean(node.count, faces, values, amount, keepWhich);
+  } else {
+    let total = 0;
+    singleDieDistribution(node).forEach((p, value) => { total += value * p; });
+    const dropped = keepWhich === 'highest' ? 'lowest' : 'highest';
+    mean = node.count * total - pooledExtremeSumMean(node.count, faces, values, amount, dropped);
+  }
+
+  return {
+    min: keptDiceCount(node.keep, node.count) * values[0],
+    max: mode === 'keep' ? amount * values[values.length - 1] : Infinity,
+    mean
+  };
+}
+
+/**
+ * Expected sum of the highest or lowest k dice of a pool that grows as its
+ * dice explode. A kept die showing v adds one for every t from 1 to v, so
+ * the sum is, over every t, how many kept dice show t or more; only the
+ * number of dice (and of dice below t) up to k matters for that.
+ * @param {number} count - Dice rolled before explosions
+ * @param {Array} faces - Face outcomes ({value, explodes, p})
+ * @param {number[]} values - Sorted distinct face values
+ * @param {number} k - Dice kept
+ * @param {string} which - "highest" or "lowest"
+ * @returns {number} Expected total
+ * @private
+ */
+function pooledExtremeSumMean(count, faces, values, k, which) {
+  // Pool states are dice so far and dice counted so far, both capped at k
+  const encode = (n, c) => n * (k + 1) + c;
+  const add = (map, state, p) => map.set(state, (map.get(state) || 0) + p);
+  const combine = (a, b) => encode(
+    Math.min(k, Math.floor(a / (k + 1)) + Math.floor(b / (k + 1))),
+    Math.min(k, (a % (k + 1)) + (b % (k + 1))));
+
+  let mean = 0;
+  let previous = 0;
+
+  values.forEach(value => {
+    // Every t from previous + 1 to value counts the same dice
+    const counted = which === 'highest' ? face => face >= value : face => face < value;
+
+    // One die and the dice it explodes into, truncated like singleDieDistribution
+    const chain = new Map();
+    let frontier = new Map([[encode(0, 0), 1]]);
+    for (let depth = 0; depth < DiceLimits.MAX_EXPLOSIONS && frontier.size > 0; depth++) {
+      const next = new Map();
+      frontier.forEach((pBase, state) => {
+        faces.forEach(face => {
+          const probability = pBase * face.p;
+          if (probability < 1e-9) return;
+          add(face.explodes ? next : chain, combine(state, encode(1, counted(face.value) ? 1 : 0)), probability);
+        });
+      });
+      frontier = next;
+    }
+
+    let pool = new Map([[encode(0, 0), 1]]);
+    for (let i = 0; i < count; i++) {
+      const grown = new Map();
+      pool.forEach((pPool, poolState) => {
+        chain.forEach((pChain, chainState) => add(grown, combine(poolState, chainState), pPool * pChain));
+      });
+      pool = grown;
+    }
+
+    // Highest: min(k, dice at or above t). Lowest: min(k, dice) less min(k, dice below t).
+    let expected = 0;
+    pool.forEach((p, state) => {
+      const n = Math.floor(state / (k + 1));
+      const c = state % (k + 1);
+      expected += p * (which === 'highest' ? c : n - c);
+    });
+
+    mean += (value - previous) * expected;
+    previous = value;
+  });
+
+  return mean;
+}
+
+/**
+ * Expected sum of the highest or lowest k of n independent dice
+ * @param {Map<number, number>} distribution - Single-die distribution
+ * @param {number[]} values - Sorted support of the distribution
+ * @param {number} n - Dice rolled
+ * @param {number} k - Dice kept
+ * @param {string} which - "highest" or "lowest"
+ * @returns {number} Expected total
+ * @private
+ */
+function keptOrderStatisticMean(distribution, values, n, k, which) {
+  // Binomial coefficients for n
+  const binomial = [1];
+  for (let i = 1; i <= n; i++) {
+    binomial[i] = binomial[i - 1] * (n - i + 1) / i;
+  }
+
+  // P(j-th smallest <= x) = sum_{i=j}^{n} C(n, i) F^i (1 - F)^(n - i)
+  const orderCdf = (j, F) => {
+    let total = 0;
+    for (let i = j; i <= n; i++) {
+      total += binomial[i] * Math.pow(F, i) * Math.pow(1 - F, n - i);
+    }
+    return total;
+  };
+
+  const ranks = [];
+  for (let r = 0; r < k; r++) {
+    ranks.push(which === 'highest' ? n - r : r + 1);
+  }
+
+  let mean = 0;
+  ranks.forEach(rank => {
+    let cumulative = 0;
+    let previous = 0;
+    values.forEach(value => {
+      cumulative += distribution.get(value);
+      const current = orderCdf(rank, Math.min(1, cumulative));
+      mean += value * (current - previous);
+      previous = current;
+    });
+  });
+
+  return mean;
+}
+
+export default {
+  DiceLimits,
+  NodeType,
+  DiceExpressionError,
+  parseDiceExpression,
+  evaluateDiceExpression,
+  analyzeDiceExpression,
+  formatDiceNode,
+  collectDiceNodes,
+  collectVariables,
+  lookupVariable,
+  mapDiceNodes
+};
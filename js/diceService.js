@@ -0,0 +1,477 @@
+/**
+ * Jesster's Combat Tracker
+ * Dice Service Module
+ * Version 2.3.1
+ *
+ * This module is the single place where dice are rolled. The dice panel
+ * (Dice), combat statistics (DiceRoller, StatTracker, CombatAnalyzer),
+ * combat history, initiative and damage all consume the roll result shape
+ * produced here, so a roll looks the same wherever it is displayed.
+ *
+ * Every value the service draws comes from a pluggable random source. The
+ * default source is seeded per session, and each roll keeps the values it
+ * drew, so a saved session can be replayed roll for roll.
+ */
+
+import {
+  NodeType,
+  parseDiceExpression,
+  evaluateDiceExpression,
+  collectDiceNodes,
+  collectVariables,
+  lookupVariable,
+  mapDiceNodes,
+  formatDiceNode
+} from './diceExpression.js';
+import { RandomSource, ReplayRandomSource, generateSeed } from './random.js';
+
+/**
+ * Roll types understood by the dice service
+ */
+export const RollType = {
+  GENERIC: 'generic',
+  ATTACK: 'attack',
+  DAMAGE: 'damage',
+  HEALING: 'healing',
+  SAVE: 'save',
+  CHECK: 'check',
+  SKILL: 'skill',
+  INITIATIVE: 'initiative',
+  DEATH_SAVE: 'death-save',
+  HIT_DICE: 'hit-dice'
+};
+
+/**
+ * Class representing the shared dice service
+ */
+export class DiceService {
+  /**
+   * Create a dice service
+   * @param {Object} options - Service options
+   * @param {Object|Function} options.source - Random source (object with next(), or a function returning [0, 1))
+   * @param {number|string} options.seed - Seed for the default random source
+   */
+  constructor(options = {}) {
+    this.source = null;
+    this.rollCounter = 0;
+    this.sessionLog = [];
+    this.replayQueue = null;
+    this.listeners = [];
+    this.setRandomSource(options.source || new RandomSource(options.seed));
+  }
+
+  /**
+   * Listen for rolls; statistics and the combat history follow every roll
+   * this way, wherever it was made
+   * @param {Function} listener - Called with ('roll', result) after each roll
+   * @returns {Function} Function to remove the listener
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+
+    return () => {
+      const index = this.listeners.indexOf(listener);
+      if (index !== -1) {
+        this.listeners.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Notify listeners of an event
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @private
+   */
+  _notifyListeners(event, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error('Error in dice service listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Replace the random source
+   * @param {Object|Function} source - Object with next(), or a function returning [0, 1)
+   */
+  setRandomSource(source) {
+    this.source = typeof source === 'function' ? { seed: null, next: source } : source;
+  }
+
+  /**
+   * Get the seed of the current random source
+   * @returns {number|string|null} Seed, or null for unseeded sources
+   */
+  getSeed() {
+    return this.source.seed !== undefined ? this.source.seed : null;
+  }
+
+  /**
+   * Start a new session with a fresh (or given) seed
+   * @param {number|string} seed - Seed to use (a new one is generated if omitted)
+   * @returns {number|string} The session seed
+   */
+  setSeed(seed = generateSeed()) {
+    if (this.source instanceof RandomSource) {
+      this.source.reseed(seed);
+    } else {
+      this.source = new RandomSource(seed);
+    }
+
+    this.sessionLog = [];
+    this.replayQueue = null;
+
+    return seed;
+  }
+
+  /**
+   * Get the state needed to replay the current session
+   * @returns {Object} Session seed and the draws of every roll made since
+   */
+  getSessionState() {
+    return {
+      seed: this.getSeed(),
+      rolls: this.sessionLog.map(entry => ({ ...entry, draws: [...entry.draws] }))
+    };
+  }
+
+  /**
+   * Replay a recorded session: restart from its seed and, while the
+   * upcoming rolls match the recorded formulas, feed back their exact draws
+   * @param {Object} state - Session state from getSessionState
+   * @returns {boolean} Success status
+   */
+  startReplay(state) {
+    if (!state || state.seed === undefined || state.seed === null) {
+      console.warn('Cannot replay a session without a seed');
+      return false;
+    }
+
+    this.setSeed(state.seed);
+    this.replayQueue = Array.isArray(state.rolls) ? [...state.rolls] : [];
+
+    return true;
+  }
+
+  /**
+   * Stop replaying and continue with the seeded source
+   */
+  stopReplay() {
+    this.replayQueue = null;
+  }
+
+  /**
+   * Check whether a replay is in progress
+   * @returns {boolean} True while recorded rolls remain
+   */
+  isReplaying() {
+    return Array.isArray(this.replayQueue) && this.replayQueue.length > 0;
+  }
+
+  /**
+   * Shuffle a copy of an array using the service's random source
+   * @param {Array} items - Items to shuffle
+   * @returns {Array} Shuffled copy
+   */
+  shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(this.source.next() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  /**
+   * Build the random function for a single roll, recording every draw
+   * @param {string} formula - Formula being rolled
+   * @param {number[]} draws - Array that receives the drawn values
+   * @returns {Object} Random function and whether a recorded roll is replayed
+   * @private
+   */
+  _createRollRandom(formula, draws) {
+    let source = this.source;
+    let replayed = false;
+    let mismatch = false;
+
+    if (this.isReplaying()) {
+      const recorded = this.replayQueue.shift();
+      if (recorded.formula === formula) {
+        source = new ReplayRandomSource(recorded.draws, this.source);
+        replayed = true;
+      } else {
+        console.warn(`Replay diverged: expected "${recorded.formula}", rolled "${formula}"`);
+        this.stopReplay();
+        mismatch = true;
+      }
+    }
+
+    const random = () => {
+      const value = source.next();
+
+      // Draw from the seeded source as well while recorded values are fed
+      // back, so it stays where the original session had it and shuffles
+      // made between rolls come out the same
+      if (replayed && !source.exhausted) {
+        this.source.next();
+      }
+
+      draws.push(value);
+      return value;
+    };
+
+    return { random, replayed, mismatch };
+  }
+
+  /**
+   * Parse a dice formula
+   * @param {string} formula - Dice formula
+   * @returns {Object} Parsed formula with expression tree, dice, flat modifiers and variables
+   */
+  parse(formula) {
+    const result = {
+      original: formula,
+      ast: null,
+      dice: [],
+      modifiers: [],
+      variables: [],
+      error: null
+    };
+
+    try {
+      result.ast = parseDiceExpression(String(formula));
+      result.dice = collectDiceNodes(result.ast);
+      result.modifiers = collectFlatModifiers(result.ast);
+      result.variables = collectVariables(result.ast);
+    } catch (error) {
+      result.error = `Error parsing formula: ${error.message}`;
+    }
+
+    return result;
+  }
+
+  /**
+   * Roll a dice formula
+   * @param {string} formula - Dice formula (e.g., "4d6kh3", "1d20+@str")
+   * @param {Object} options - Roll options
+   * @param {string} options.label - Label shown with the roll
+   * @param {string} options.type - Roll type (see RollType)
+   * @param {boolean} options.advantage - Roll the first d20 with advantage
+   * @param {boolean} options.disadvantage - Roll the first d20 with disadvantage
+   * @param {boolean} options.critical - Double every dice count (critical damage)
+   * @param {Object} options.variables - Values for "@name" references
+   * @param {number} options.critRange - Lowest natural d20 that counts as a critical
+   * @param {string} options.actorId - ID of the rolling combatant
+   * @param {string} options.actorName - Name of the rolling combatant
+   * @returns {Object} Roll result
+   */
+  roll(formula, options = {}) {
+    const {
+      label = 'Roll',
+      type = RollType.GENERIC,
+      advantage = false,
+      disadvantage = false,
+      critical = false,
+      variables = {},
+      critRange = 20,
+      actorId = null,
+      actorName = null
+    } = options;
+
+    const parsed = this.parse(formula);
+
+    const result = {
+      id: `roll-${Date.now()}-${++this.rollCounter}`,
+      formula,
+      label,
+      type,
+      total: 0,
+      breakdown: '',
+      terms: [],
+      modifiers: parsed.modifiers,
+      variables: {},
+      dropped: [],
+      natural: null,
+      isCritical: false,
+      isFumble: false,
+      advantage,
+      disadvantage,
+      critical,
+      actorId,
+      actorName,
+      seed: this.getSeed(),
+      draws: [],
+      replayed: false,
+      timestamp: Date.now(),
+      error: null
+    };
+
+    if (parsed.error) {
+      result.error = parsed.error;
+      return result;
+    }
+
+    let ast = parsed.ast;
+
+    // Critical damage doubles every dice count
+    if (critical) {
+      ast = mapDiceNodes(ast, die => {
+        die.count *= 2;
+        die.notation = formatDiceNode(die);
+        return die;
+      });
+    }
+
+    // Advantage/disadvantage turns the first plain 1d20 into 2d20kh1/2d20kl1
+    let advantageDie = null;
+    if (advantage !== disadvantage) {
+      ast = mapDiceNodes(ast, die => {
+        if (advantageDie || die.sides !== 20 || die.count !== 1 || die.keep) {
+          return die;
+        }
+
+        const which = advantage ? 'highest' : 'lowest';
+        die.count = 2;
+        die.keep = { mode: 'keep', which, amount: 1, keepWhich: which };
+        die.notation = formatDiceNode(die);
+        advantageDie = die;
+        return die;
+      });
+    }
+
+    const { random, replayed, mismatch } = this._createRollRandom(formula, result.draws);
+    result.replayed = replayed;
+    if (mismatch) {
+      result.replayMismatch = true;
+    }
+
+    let evaluation;
+    try {
+      evaluation = evaluateDiceExpression(ast, { variables, random });
+    } catch (error) {
+      result.error = `Error rolling formula: ${error.message}`;
+      return result;
+    }
+
+    this.sessionLog.push({ formula, label, type, draws: [...result.draws] });
+
+    result.total = evaluation.total;
+    result.breakdown = evaluation.breakdown;
+    result.terms = evaluation.terms.map(term => {
+      const { text, ...rest } = term;
+      return rest;
+    });
+    result.dropped = result.terms.reduce((all, term) => all.concat(term.dropped), []);
+
+    parsed.variables.forEach(name => {
+      result.variables[name] = lookupVariable(variables, name);
+    });
+
+    // Crit/fumble detection uses the kept face of the first single-kept d20
+    const d20Term = result.terms.find(term => term.sides === 20 && term.kept.length === 1);
+    if (d20Term) {
+      const keptDie = d20Term.dice.find(die => !die.dropped);
+      result.natural = keptDie.natural;
+      result.isCritical = result.natural >= critRange;
+      result.isFumble = result.natural === 1;
+    }
+
+    this._notifyListeners('roll', result);
+
+    return result;
+  }
+
+  /**
+   * Format a roll result as a single line
+   * @param {Object} roll - Roll result
+   * @returns {string} Formatted roll
+   */
+  formatResult(roll) {
+    if (!roll) return '';
+    if (roll.error) return `${roll.label}: ${roll.error}`;
+
+    let text = `${roll.label}: ${roll.total}`;
+
+    if (roll.breakdown) {
+      text += ` = ${roll.breakdown}`;
+    }
+
+    if (roll.advantage && !roll.disadvantage) {
+      text += ' (with advantage)';
+    } else if (roll.disadvantage && !roll.advantage) {
+      text += ' (with disadvantage)';
+    }
+
+    if (roll.critical) {
+      text += ' (critical hit)';
+    } else if (roll.isCritical) {
+      text += ' (natural 20)';
+    } else if (roll.isFumble) {
+      text += ' (natural 1)';
+    }
+
+    return text;
+  }
+}
+
+/**
+ * Collect constants that are added or subtracted at the top level of an
+ * expression (e.g., +5 and -2 in "1d20+5-2")
+ * @param {Object} node - Expression tree
+ * @param {number} sign - Sign of the current branch
+ * @returns {Array<number>} Flat modifiers
+ * @private
+ */
+function collectFlatModifiers(node, sign = 1) {
+  if (node.type === NodeType.NUMBER) {
+    return [sign * node.value];
+  }
+
+  if (node.type === NodeType.NEGATE) {
+    return collectFlatModifiers(node.operand, -sign);
+  }
+
+  if (node.type === NodeType.BINARY && (node.operator === '+' || node.operator === '-')) {
+    return [
+      ...collectFlatModifiers(node.left, sign),
+      ...collectFlatModifiers(node.right, node.operator === '-' ? -sign : sign)
+    ];
+  }
+
+  return [];
+}
+
+/**
+ * Shared dice service used across modules
+ */
+export const diceService = new DiceService();
+
+/**
+ * Roll a dice formula with the shared dice service
+ * @param {string} formula - Dice formula
+ * @param {Object} options - Roll options (see DiceService#roll)
+ * @returns {Object} Roll result
+ */
+export function rollDice(formula, options = {}) {
+  return diceService.roll(formula, options);
+}
+
+/**
+ * Create a new dice service
+ * @param {Object} options - Service options
+ * @returns {DiceService} A new dice service instance
+ */
+export function createDiceService(options = {}) {
+  return new DiceService(options);
+}
+
+export default {
+  RollType,
+  DiceService,
+  diceService,
+  rollDice,
+  createDiceService
+};
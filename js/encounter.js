@@ -2,15 +2,20 @@
  * Encounter module for Jesster's Combat Tracker
  * Handles encounter management, generation, and difficulty calculation
  */
+import * as actions from './actions.js';
+import { store as appStore } from './store.js';
+import { Ruleset, getRuleset as getActiveRuleset } from './rulesets.js';
+import { Collection } from './repository.js';
+
 class Encounter {
-    constructor(storage, combat) {
+    constructor(repository, combat, store = appStore) {
         // Store references to other modules
-        this.storage = storage;
+        this.repository = repository;
         this.combat = combat;
         
-        // Encounter data
-        this.currentEncounter = null;
-        this.savedEncounters = [];
+        // Application store; the current and saved encounters live in its
+        // encounters slice
+        this.store = store;
         
         // XP thresholds by character level
         this.xpThresholds = {
@@ -36,6 +41,31 @@ class Encounter {
             20: { easy: 2800, medium: 5700, hard: 8500, deadly: 12700 }
         };
         
+        // XP budgets per character by level under the 2024 rules, which
+        // drop the multipliers for the number of monsters
+        this.xpBudgets2024 = {
+            1: { low: 50, moderate: 75, high: 100 },
+            2: { low: 100, moderate: 150, high: 200 },
+            3: { low: 150, moderate: 225, high: 400 },
+            4: { low: 250, moderate: 375, high: 500 },
+            5: { low: 500, moderate: 750, high: 1100 },
+            6: { low: 600, moderate: 1000, high: 1400 },
+            7: { low: 750, moderate: 1300, high: 1700 },
+            8: { low: 1000, moderate: 1700, high: 2100 },
+            9: { low: 1300, moderate: 2000, high: 2600 },
+            10: { low: 1600, moderate: 2300, high: 3100 },
+            11: { low: 1900, moderate: 2900, high: 4100 },
+            12: { low: 2200, moderate: 3700, high: 4700 },
+            13: { low: 2600, moderate: 4200, high: 5400 },
+            14: { low: 2900, moderate: 4900, high: 6200 },
+            15: { low: 3300, moderate: 5400, high: 7800 },
+            16: { low: 3800, moderate: 6100, high: 9800 },
+            17: { low: 4500, moderate: 7200, high: 11700 },
+            18: { low: 5000, moderate: 8700, high: 14200 },
+            19: { low: 5500, moderate: 10700, high: 17200 },
+            20: { low: 6400, moderate: 13200, high: 22000 }
+        };
+        
         // XP multipliers based on number of monsters
         this.xpMultipliers = [
             { count: 1, multiplier: 1 },
@@ -52,6 +82,22 @@ class Encounter {
         console.log("Encounter module initialized");
     }
 
+    /**
+     * The encounter being edited
+     * @returns {Object|null} Current encounter
+     */
+    get currentEncounter() {
+        return this.store.getState().encounters.current;
+    }
+
+    /**
+     * Encounters saved to the repository
+     * @returns {Array} Saved encounters
+     */
+    get savedEncounters() {
+        return this.store.getState().encounters.saved;
+    }
+
     /**
      * Create a new encounter
      * @param {string} name - Encounter name
@@ -63,6 +109,9 @@ class Encounter {
         // Generate encounter ID
         const encounterId = `encounter-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
         
+        // New encounters keep the ruleset they were built for
+        const ruleset = this.getRuleset(null);
+        
         // Create encounter object
         const encounter = {
             id: encounterId,
@@ -75,13 +124,14 @@ class Encounter {
             tags: [],
             notes: '',
             environment: '',
-            difficulty: this.calculateDifficulty(monsters, players)
+            ruleset,
+            difficulty: this.calculateDifficulty(monsters, players, ruleset)
         };
         
         // Set as current encounter
-        this.currentEncounter = encounter;
+        this.store.dispatch(actions.loadEncounter(encounter));
         
-        return encounter;
+        return this.currentEncounter;
     }
 
     /**
@@ -95,19 +145,14 @@ class Encounter {
         }
         
         // Update modified timestamp
-        this.currentEncounter.modified = Date.now();
+        this.store.dispatch(actions.updateEncounter(this.currentEncounter.id, { modified: Date.now() }));
         
-        // Save to storage
+        // Save to the repository
         try {
-            await this.storage.save('encounters', this.currentEncounter);
+            await this.repository.put(Collection.ENCOUNTERS, this.currentEncounter);
             
             // Update saved encounters list
-            const index = this.savedEncounters.findIndex(e => e.id === this.currentEncounter.id);
-            if (index !== -1) {
-                this.savedEncounters[index] = this.currentEncounter;
-            } else {
-                this.savedEncounters.push(this.currentEncounter);
-            }
+            this.store.dispatch(actions.saveEncounter());
             
             return true;
         } catch (error) {
@@ -123,14 +168,14 @@ class Encounter {
      */
     async loadEncounter(encounterId) {
         try {
-            const encounter = await this.storage.load('encounters', encounterId);
+            const encounter = await this.repository.get(Collection.ENCOUNTERS, encounterId);
             if (!encounter) {
                 console.warn(`Encounter not found: ${encounterId}`);
                 return null;
             }
             
-            this.currentEncounter = encounter;
-            return encounter;
+            this.store.dispatch(actions.loadEncounter(encounter));
+            return this.currentEncounter;
         } catch (error) {
             console.error('Error loading encounter:', error);
             return null;
@@ -144,15 +189,10 @@ class Encounter {
      */
     async deleteEncounter(encounterId) {
         try {
-            await this.storage.delete('encounters', encounterId);
+            await this.repository.remove(Collection.ENCOUNTERS, encounterId);
             
-            // Update saved encounters list
-            this.savedEncounters = this.savedEncounters.filter(e => e.id !== encounterId);
-            
-            // Clear current encounter if it was deleted
-            if (this.currentEncounter && this.currentEncounter.id === encounterId) {
-                this.currentEncounter = null;
-            }
+            // Update saved encounters list, clearing the current encounter if it was deleted
+            this.store.dispatch(actions.deleteEncounter(encounterId));
             
             return true;
         } catch (error) {
@@ -171,16 +211,16 @@ class Encounter {
     }
 
     /**
-     * Load saved encounters from storage
+     * Load saved encounters from the repository
      * @private
      */
     async _loadSavedEncounters() {
         try {
-            const encounters = await this.storage.getAll('encounters');
-            this.savedEncounters = encounters || [];
+            const encounters = await this.repository.list(Collection.ENCOUNTERS);
+            this.store.dispatch(actions.loadData({ encounters }));
         } catch (error) {
             console.error('Error loading saved encounters:', error);
-            this.savedEncounters = [];
+            this.store.dispatch(actions.loadData({ encounters: [] }));
         }
     }
 
@@ -226,30 +266,62 @@ class Encounter {
     }
 
     /**
-     * Calculate encounter difficulty
-     * @param {Array} monsters - Array of monsters
+     * Get the ruleset of an encounter
+     * @param {Object|null} encounter - Encounter (defaults to the current one); null for the ruleset setting
+     * @returns {string} Ruleset
+     */
+    getRuleset(encounter = this.currentEncounter) {
+        return getActiveRuleset(this.store.getState(), encounter ? encounter.ruleset : null);
+    }
+
+    /**
+     * Get the difficulty levels of a ruleset, easiest first
+     * @param {string} ruleset - Ruleset
+     * @returns {Array<string>} Difficulty levels
+     */
+    getDifficultyLevels(ruleset = this.getRuleset()) {
+        return ruleset === Ruleset.RULES_2024
+            ? ['low', 'moderate', 'high']
+            : ['easy', 'medium', 'hard', 'deadly'];
+    }
+
+    /**
+     * Add up the party's XP thresholds for each difficulty level
      * @param {Array} players - Array of players
-     * @returns {Object} Encounter difficulty
+     * @param {string} ruleset - Ruleset
+     * @returns {Object} XP threshold by difficulty level
      */
-    calculateDifficulty(monsters, players) {
-        // Calculate player thresholds
-        const partyThresholds = {
-            easy: 0,
-            medium: 0,
-            hard: 0,
-            deadly: 0
-        };
+    getPartyThresholds(players, ruleset = this.getRuleset()) {
+        const table = ruleset === Ruleset.RULES_2024 ? this.xpBudgets2024 : this.xpThresholds;
+        const levels = this.getDifficultyLevels(ruleset);
+        const partyThresholds = {};
+        
+        levels.forEach(level => {
+            partyThresholds[level] = 0;
+        });
         
         players.forEach(player => {
-            const level = player.level || 1;
-            const thresholds = this.xpThresholds[level] || this.xpThresholds[1];
+            const thresholds = table[player.level || 1] || table[1];
             
-            partyThresholds.easy += thresholds.easy;
-            partyThresholds.medium += thresholds.medium;
-            partyThresholds.hard += thresholds.hard;
-            partyThresholds.deadly += thresholds.deadly;
+            levels.forEach(level => {
+                partyThresholds[level] += thresholds[level];
+            });
         });
         
+        return partyThresholds;
+    }
+
+    /**
+     * Calculate encounter difficulty
+     * @param {Array} monsters - Array of monsters
+     * @param {Array} players - Array of players
+     * @param {string} ruleset - Ruleset (defaults to the current encounter's)
+     * @returns {Object} Encounter difficulty
+     */
+    calculateDifficulty(monsters, players, ruleset = this.getRuleset()) {
+        // Calculate player thresholds
+        const partyThresholds = this.getPartyThresholds(players, ruleset);
+        
         // Calculate monster XP
         let totalMonsterXP = 0;
         let monsterCount = 0;
@@ -263,20 +335,13 @@ class Encounter {
         });
         
         // Apply XP multiplier based on number of monsters
-        const multiplier = this._getXPMultiplier(monsterCount);
+        const multiplier = this._getXPMultiplier(monsterCount, ruleset);
         const adjustedXP = totalMonsterXP * multiplier;
         
-        // Determine difficulty
-        let difficulty = 'trivial';
-        if (adjustedXP >= partyThresholds.deadly) {
-            difficulty = 'deadly';
-        } else if (adjustedXP >= partyThresholds.hard) {
-            difficulty = 'hard';
-        } else if (adjustedXP >= partyThresholds.medium) {
-            difficulty = 'medium';
-        } else if (adjustedXP >= partyThresholds.easy) {
-            difficulty = 'easy';
-        }
+        // Determine difficulty: the hardest level the encounter reaches
+        const difficulty = this.getDifficultyLevels(ruleset)
+            .filter(level => adjustedXP >= partyThresholds[level])
+            .pop() || 'trivial';
         
         // Calculate XP per player
         const xpPerPlayer = players.length > 0 ? Math.floor(totalMonsterXP / players.length) : 0;
@@ -287,7 +352,8 @@ class Encounter {
             adjustedXP,
             xpPerPlayer,
             thresholds: partyThresholds,
-            multiplier
+            multiplier,
+            ruleset
         };
     }
 
@@ -295,9 +361,14 @@ class Encounter {
      * Get XP multiplier based on number of monsters
      * @private
      * @param {number} monsterCount - Number of monsters
+     * @param {string} ruleset - Ruleset (the 2024 rules have no multipliers)
      * @returns {number} XP multiplier
      */
-    _getXPMultiplier(monsterCount) {
+    _getXPMultiplier(monsterCount, ruleset = Ruleset.RULES_2014) {
+        if (ruleset === Ruleset.RULES_2024) {
+            return 1;
+        }
+        
         // Find the appropriate multiplier
         for (let i = this.xpMultipliers.length - 1; i >= 0; i--) {
             if (monsterCount >= this.xpMultipliers[i].count) {
@@ -379,18 +450,9 @@ class Encounter {
         const monsterCopy = { ...monster };
         
         // Add to encounter
-        this.currentEncounter.monsters.push(monsterCopy);
-        
-        // Update difficulty
-        this.currentEncounter.difficulty = this.calculateDifficulty(
-            this.currentEncounter.monsters,
-            this.currentEncounter.players
-        );
-        
-        // Update modified timestamp
-        this.currentEncounter.modified = Date.now();
-        
-        return this.currentEncounter;
+        return this.updateCurrentEncounter({
+            monsters: [...this.currentEncounter.monsters, monsterCopy]
+        });
     }
 
     /**
@@ -408,18 +470,9 @@ class Encounter {
         const playerCopy = { ...player };
         
         // Add to encounter
-        this.currentEncounter.players.push(playerCopy);
-        
-        // Update difficulty
-        this.currentEncounter.difficulty = this.calculateDifficulty(
-            this.currentEncounter.monsters,
-            this.currentEncounter.players
-        );
-        
-        // Update modified timestamp
-        this.currentEncounter.modified = Date.now();
-        
-        return this.currentEncounter;
+        return this.updateCurrentEncounter({
+            players: [...this.currentEncounter.players, playerCopy]
+        });
     }
 
     /**
@@ -441,18 +494,9 @@ class Encounter {
         }
         
         // Remove monster
-        this.currentEncounter.monsters.splice(index, 1);
-        
-        // Update difficulty
-        this.currentEncounter.difficulty = this.calculateDifficulty(
-            this.currentEncounter.monsters,
-            this.currentEncounter.players
-        );
-        
-        // Update modified timestamp
-        this.currentEncounter.modified = Date.now();
-        
-        return this.currentEncounter;
+        return this.updateCurrentEncounter({
+            monsters: this.currentEncounter.monsters.filter((_, i) => i !== index)
+        });
     }
 
     /**
@@ -474,18 +518,9 @@ class Encounter {
         }
         
         // Remove player
-        this.currentEncounter.players.splice(index, 1);
-        
-        // Update difficulty
-        this.currentEncounter.difficulty = this.calculateDifficulty(
-            this.currentEncounter.monsters,
-            this.currentEncounter.players
-        );
-        
-        // Update modified timestamp
-        this.currentEncounter.modified = Date.now();
-        
-        return this.currentEncounter;
+        return this.updateCurrentEncounter({
+            players: this.currentEncounter.players.filter((_, i) => i !== index)
+        });
     }
 
     /**
@@ -499,21 +534,23 @@ class Encounter {
             return null;
         }
         
-        // Apply updates
-        this.currentEncounter = {
-            ...this.currentEncounter,
+        const changes = {
             ...updates,
             modified: Date.now()
         };
         
-        // Recalculate difficulty if monsters or players were updated
-        if (updates.monsters || updates.players) {
-            this.currentEncounter.difficulty = this.calculateDifficulty(
-                this.currentEncounter.monsters,
-                this.currentEncounter.players
+        // Recalculate difficulty if monsters, players or the ruleset were updated
+        if (updates.monsters || updates.players || updates.ruleset) {
+            changes.difficulty = this.calculateDifficulty(
+                updates.monsters || this.currentEncounter.monsters,
+                updates.players || this.currentEncounter.players,
+                this.getRuleset(updates.ruleset ? updates : this.currentEncounter)
             );
         }
         
+        // Apply updates
+        this.store.dispatch(actions.updateEncounter(this.currentEncounter.id, changes));
+        
         return this.currentEncounter;
     }
 
@@ -524,7 +561,7 @@ class Encounter {
      */
     async duplicateEncounter(encounterId) {
         // Load the encounter
-        const encounter = await this.storage.load('encounters', encounterId);
+        const encounter = await this.repository.get(Collection.ENCOUNTERS, encounterId);
         if (!encounter) {
             console.warn(`Encounter not found: ${encounterId}`);
             return null;
@@ -540,13 +577,11 @@ class Encounter {
         };
         
         // Save the new encounter
-        await this.storage.save('encounters', newEncounter);
-        
-        // Add to saved encounters list
-        this.savedEncounters.push(newEncounter);
+        await this.repository.put(Collection.ENCOUNTERS, newEncounter);
         
-        // Set as current encounter
-        this.currentEncounter = newEncounter;
+        // Set as current encounter and add to saved encounters list
+        this.store.dispatch(actions.loadEncounter(newEncounter));
+        this.store.dispatch(actions.saveEncounter());
         
         return newEncounter;
     }
@@ -554,7 +589,7 @@ class Encounter {
     /**
      * Generate a random encounter
      * @param {Object} options - Generation options
-     * @param {string} options.difficulty - Target difficulty (easy, medium, hard, deadly)
+     * @param {string} options.difficulty - Target difficulty (easy, medium, hard, deadly; low, moderate, high under the 2024 rules)
      * @param {Array} options.players - Array of players
      * @param {Array} options.monsterPool - Pool of monsters to choose from
      * @param {string} options.environment - Environment type
@@ -563,8 +598,9 @@ class Encounter {
      * @returns {Object} Generated encounter
      */
     generateRandomEncounter(options) {
+        const ruleset = this.getRuleset(null);
         const {
-            difficulty = 'medium',
+            difficulty = this.getDifficultyLevels(ruleset)[1],
             players = [],
             monsterPool = [],
             environment = '',
@@ -573,24 +609,9 @@ class Encounter {
         } = options;
         
         // Calculate target XP based on difficulty
-        const partyThresholds = {
-            easy: 0,
-            medium: 0,
-            hard: 0,
-            deadly: 0
-        };
+        const partyThresholds = this.getPartyThresholds(players, ruleset);
         
-        players.forEach(player => {
-            const level = player.level || 1;
-            const thresholds = this.xpThresholds[level] || this.xpThresholds[1];
-            
-            partyThresholds.easy += thresholds.easy;
-            partyThresholds.medium += thresholds.medium;
-            partyThresholds.hard += thresholds.hard;
-            partyThresholds.deadly += thresholds.deadly;
-        });
-        
-        let targetXP = partyThresholds[difficulty] || partyThresholds.medium;
+        let targetXP = partyThresholds[difficulty] || partyThresholds[this.getDifficultyLevels(ruleset)[1]];
         
         // Filter monster pool by environment if specified
         let availableMonsters = [...monsterPool];
@@ -702,19 +723,12 @@ class Encounter {
     getDifficultyDescription(difficulty) {
         if (!difficulty) return 'Unknown';
         
-        const { totalXP, adjustedXP, thresholds } = difficulty;
+        const { adjustedXP, thresholds } = difficulty;
+        const level = this.getDifficultyLevels(difficulty.ruleset || Ruleset.RULES_2014)
+            .filter(name => adjustedXP >= thresholds[name])
+            .pop() || 'trivial';
         
-        if (adjustedXP >= thresholds.deadly) {
-            return 'Deadly';
-        } else if (adjustedXP >= thresholds.hard) {
-            return 'Hard';
-        } else if (adjustedXP >= thresholds.medium) {
-            return 'Medium';
-        } else if (adjustedXP >= thresholds.easy) {
-            return 'Easy';
-        } else {
-            return 'Trivial';
-        }
+        return level.charAt(0).toUpperCase() + level.slice(1);
     }
 
     /**
@@ -738,7 +752,7 @@ class Encounter {
      * Clear the current encounter
      */
     clearCurrentEncounter() {
-        this.currentEncounter = null;
+        this.store.dispatch(actions.loadEncounter(null));
     }
 
     /**
@@ -828,15 +842,10 @@ class Encounter {
             return null;
         }
         
-        // Initialize tags array if it doesn't exist
-        if (!this.currentEncounter.tags) {
-            this.currentEncounter.tags = [];
-        }
-        
         // Add tag if it doesn't already exist
-        if (!this.currentEncounter.tags.includes(tag)) {
-            this.currentEncounter.tags.push(tag);
-            this.currentEncounter.modified = Date.now();
+        const tags = this.currentEncounter.tags || [];
+        if (!tags.includes(tag)) {
+            return this.updateCurrentEncounter({ tags: [...tags, tag] });
         }
         
         return this.currentEncounter;
@@ -853,10 +862,9 @@ class Encounter {
         }
         
         // Remove tag
-        this.currentEncounter.tags = this.currentEncounter.tags.filter(t => t !== tag);
-        this.currentEncounter.modified = Date.now();
-        
-        return this.currentEncounter;
+        return this.updateCurrentEncounter({
+            tags: this.currentEncounter.tags.filter(t => t !== tag)
+        });
     }
 
     /**
@@ -870,10 +878,7 @@ class Encounter {
             return null;
         }
         
-        this.currentEncounter.environment = environment;
-        this.currentEncounter.modified = Date.now();
-        
-        return this.currentEncounter;
+        return this.updateCurrentEncounter({ environment });
     }
 
     /**
@@ -887,10 +892,7 @@ class Encounter {
             return null;
         }
         
-        this.currentEncounter.notes = notes;
-        this.currentEncounter.modified = Date.now();
-        
-        return this.currentEncounter;
+        return this.updateCurrentEncounter({ notes });
     }
 
     /**
@@ -918,32 +920,18 @@ class Encounter {
     /**
      * Balance an encounter to a target difficulty
      * @param {Object} encounter - Encounter to balance
-     * @param {string} targetDifficulty - Target difficulty (easy, medium, hard, deadly)
+     * @param {string} targetDifficulty - Target difficulty (a level from getDifficultyLevels)
      * @returns {Object} Balanced encounter
      */
         balanceEncounter(encounter, targetDifficulty) {
         // Clone encounter to avoid modifying the original
         const balancedEncounter = JSON.parse(JSON.stringify(encounter));
+        const ruleset = this.getRuleset(balancedEncounter);
         
         // Calculate target XP based on difficulty
-        const partyThresholds = {
-            easy: 0,
-            medium: 0,
-            hard: 0,
-            deadly: 0
-        };
-        
-        balancedEncounter.players.forEach(player => {
-            const level = player.level || 1;
-            const thresholds = this.xpThresholds[level] || this.xpThresholds[1];
-            
-            partyThresholds.easy += thresholds.easy;
-            partyThresholds.medium += thresholds.medium;
-            partyThresholds.hard += thresholds.hard;
-            partyThresholds.deadly += thresholds.deadly;
-        });
+        const partyThresholds = this.getPartyThresholds(balancedEncounter.players, ruleset);
         
-        const targetXP = partyThresholds[targetDifficulty] || partyThresholds.medium;
+        const targetXP = partyThresholds[targetDifficulty] || partyThresholds[this.getDifficultyLevels(ruleset)[1]];
         
         // Calculate current XP
         let currentXP = 0;
@@ -952,7 +940,7 @@ class Encounter {
         });
         
         // Calculate XP multiplier based on number of monsters
-        const multiplier = this._getXPMultiplier(balancedEncounter.monsters.length);
+        const multiplier = this._getXPMultiplier(balancedEncounter.monsters.length, ruleset);
         const adjustedXP = currentXP * multiplier;
         
         // Check if encounter is already balanced
@@ -973,7 +961,8 @@ class Encounter {
         // Recalculate difficulty
         balancedEncounter.difficulty = this.calculateDifficulty(
             balancedEncounter.monsters,
-            balancedEncounter.players
+            balancedEncounter.players,
+            ruleset
         );
         
         return balancedEncounter;
@@ -1036,7 +1025,7 @@ class Encounter {
             currentXP += monsterXP;
             
             // Recalculate XP with new multiplier
-            const multiplier = this._getXPMultiplier(currentMonsterCount);
+            const multiplier = this._getXPMultiplier(currentMonsterCount, this.getRuleset(encounter));
             const adjustedXP = currentXP * multiplier;
             
             // Check if we've reached the target
@@ -1083,7 +1072,7 @@ class Encounter {
             currentXP -= monsterXP;
             
             // Recalculate XP with new multiplier
-            const multiplier = this._getXPMultiplier(currentMonsterCount);
+            const multiplier = this._getXPMultiplier(currentMonsterCount, this.getRuleset(encounter));
             const adjustedXP = currentXP * multiplier;
             
             // Check if we've reached the target
@@ -1100,7 +1089,7 @@ class Encounter {
      */
     async exportEncounter(encounterId) {
         try {
-            const encounter = await this.storage.load('encounters', encounterId);
+            const encounter = await this.repository.get(Collection.ENCOUNTERS, encounterId);
             if (!encounter) {
                 console.warn(`Encounter not found: ${encounterId}`);
                 return null;
@@ -1135,13 +1124,11 @@ class Encounter {
             encounter.modified = Date.now();
             
             // Save encounter
-            await this.storage.save('encounters', encounter);
-            
-            // Add to saved encounters list
-            this.savedEncounters.push(encounter);
+            await this.repository.put(Collection.ENCOUNTERS, encounter);
             
-            // Set as current encounter
-            this.currentEncounter = encounter;
+            // Set as current encounter and add to saved encounters list
+            this.store.dispatch(actions.loadEncounter(encounter));
+            this.store.dispatch(actions.saveEncounter());
             
             return encounter;
         } catch (error) {
@@ -0,0 +1,286 @@
+/**
+ * Jesster's Combat Tracker
+ * Encryption Module
+ * Version 2.3.1
+ *
+ * This module encrypts stored records with a passphrase using WebCrypto.
+ * The passphrase is stretched with PBKDF2 into a master key, and every
+ * record gets its own random salt (an HKDF step from the master key) and IV
+ * for AES-GCM. The storage key of a record is bound in as additional data,
+ * so an encrypted record can't be swapped in under another key. A vault
+ * holds what is needed to derive the master key again: the KDF settings,
+ * the salt, a key ID and a check value that tells whether a passphrase is
+ * right. Nothing in the vault is secret.
+ */
+
+/**
+ * Marker at the start of every encrypted record
+ */
+export const ENCRYPTED_RECORD_PREFIX = 'jctenc1';
+
+/**
+ * PBKDF2 iterations for new vaults
+ */
+export const DEFAULT_KDF_ITERATIONS = 310000;
+
+/**
+ * Current vault format
+ */
+export const VAULT_VERSION = 1;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const KEY_ID_BYTES = 8;
+const RECORD_INFO = 'jct-record';
+const VAULT_CHECK = 'jct-vault-check';
+const VAULT_CHECK_ID = '__vault';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Get the WebCrypto implementation
+ * @private
+ * @returns {Object} Crypto object with subtle and getRandomValues
+ */
+function getCrypto() {
+  if (!globalThis.crypto || !globalThis.crypto.subtle) {
+    throw new Error('WebCrypto is not available; encrypted storage needs a secure context (HTTPS or localhost)');
+  }
+
+  return globalThis.crypto;
+}
+
+/**
+ * Get random bytes
+ * @private
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Random bytes
+ */
+function randomBytes(length) {
+  return getCrypto().getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Encode bytes as base64
+ * @private
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @private
+ * @param {string} base64 - Base64
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encode bytes as hex
+ * @private
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Hex
+ */
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Stretch a passphrase into a master key
+ * @private
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Vault salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} HKDF key that record keys are derived from
+ */
+async function deriveMasterKey(passphrase, salt, iterations) {
+  const { subtle } = getCrypto();
+  const material = await subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 256);
+
+  return subtle.importKey('raw', bits, 'HKDF', false, ['deriveKey']);
+}
+
+/**
+ * Derive the AES-GCM key of one record
+ * @private
+ * @param {CryptoKey} masterKey - Master key
+ * @param {Uint8Array} salt - Record salt
+ * @returns {Promise<CryptoKey>} Record key
+ */
+function deriveRecordKey(masterKey, salt) {
+  return getCrypto().subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(RECORD_INFO) },
+    masterKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Check whether a stored value is an encrypted record
+ * @param {*} value - Stored value
+ * @returns {boolean} True if it was written by encryptRecord
+ */
+export function isEncryptedRecord(value) {
+  return typeof value === 'string' && value.startsWith(`${ENCRYPTED_RECORD_PREFIX}.`);
+}
+
+/**
+ * Get the ID of the key a record was encrypted with
+ * @param {string} record - Encrypted record
+ * @returns {string|null} Key ID or null if it isn't an encrypted record
+ */
+export function getRecordKeyId(record) {
+  return isEncryptedRecord(record) ? record.split('.')[1] : null;
+}
+
+/**
+ * Encrypt a record
+ * @param {Object} key - Unlocked key ({keyId, masterKey}) from createVault or openVault
+ * @param {string} plaintext - Data to encrypt
+ * @param {string} recordId - Storage key of the record, bound in as additional data
+ * @returns {Promise<string>} Encrypted record
+ */
+export async function encryptRecord(key, plaintext, recordId) {
+  const salt = randomBytes(SALT_BYTES);
+  const iv = randomBytes(IV_BYTES);
+  const recordKey = await deriveRecordKey(key.masterKey, salt);
+  const ciphertext = await getCrypto().subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: encoder.encode(recordId) },
+    recordKey,
+    encoder.encode(plaintext)
+  );
+
+  return [ENCRYPTED_RECORD_PREFIX, key.keyId, toBase64(salt), toBase64(iv), toBase64(new Uint8Array(ciphertext))].join('.');
+}
+
+/**
+ * Decrypt a record
+ * @param {Object} key - Unlocked key ({keyId, masterKey})
+ * @param {string} record - Encrypted record
+ * @param {string} recordId - Storage key the record was saved under
+ * @returns {Promise<string>} Decrypted data
+ * @throws {Error} If the record was encrypted with another key or was tampered with
+ */
+export async function decryptRecord(key, record, recordId) {
+  const [prefix, keyId, salt, iv, ciphertext] = String(record).split('.');
+  if (prefix !== ENCRYPTED_RECORD_PREFIX || !ciphertext) {
+    throw new Error('Not an encrypted record');
+  }
+  if (keyId !== key.keyId) {
+    throw new Error(`Record was encrypted with another key (${keyId})`);
+  }
+
+  const recordKey = await deriveRecordKey(key.masterKey, fromBase64(salt));
+  const plaintext = await getCrypto().subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv), additionalData: encoder.encode(recordId) },
+    recordKey,
+    fromBase64(ciphertext)
+  );
+
+  return decoder.decode(plaintext);
+}
+
+/**
+ * Create a vault for a passphrase, with a fresh salt and key ID
+ * @param {string} passphrase - Passphrase
+ * @param {Object} options - Vault options
+ * @param {number} options.iterations - PBKDF2 iterations
+ * @returns {Promise<Object>} {vault, key} where the vault is stored and the key kept in memory
+ */
+export async function createVault(passphrase, options = {}) {
+  if (!passphrase) {
+    throw new Error('A passphrase is required');
+  }
+
+  const iterations = options.iterations || DEFAULT_KDF_ITERATIONS;
+  const salt = randomBytes(SALT_BYTES);
+  const key = {
+    keyId: toHex(randomBytes(KEY_ID_BYTES)),
+    masterKey: await deriveMasterKey(passphrase, salt, iterations)
+  };
+
+  const vault = {
+    version: VAULT_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations },
+    cipher: 'AES-GCM',
+    salt: toBase64(salt),
+    keyId: key.keyId,
+    check: await encryptRecord(key, VAULT_CHECK, VAULT_CHECK_ID),
+    createdAt: Date.now()
+  };
+
+  return { vault, key };
+}
+
+/**
+ * Unlock a vault with a passphrase
+ * @param {Object} vault - Vault from createVault
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object|null>} Key ({keyId, masterKey}) or null if the passphrase is wrong
+ */
+export async function openVault(vault, passphrase) {
+  if (!vault || vault.version !== VAULT_VERSION) {
+    throw new Error(`Unsupported vault version: ${vault ? vault.version : 'none'}`);
+  }
+
+  const key = {
+    keyId: vault.keyId,
+    masterKey: await deriveMasterKey(passphrase, fromBase64(vault.salt), vault.kdf.iterations)
+  };
+
+  try {
+    const check = await decryptRecord(key, vault.check, VAULT_CHECK_ID);
+    return check === VAULT_CHECK ? key : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Undo the XOR scheme older versions stored "encrypted" data with, so the
+ * data can be encrypted properly
+ * @param {string} data - Base64 XOR data
+ * @param {string} legacyKey - Old encryption key
+ * @returns {string} Decoded data
+ */
+export function decryptLegacyXor(data, legacyKey) {
+  const bytes = atob(data);
+  let result = '';
+
+  for (let i = 0; i < bytes.length; i++) {
+    result += String.fromCharCode(bytes.charCodeAt(i) ^ legacyKey.charCodeAt(i % legacyKey.length));
+  }
+
+  return result;
+}
+
+export default {
+  ENCRYPTED_RECORD_PREFIX,
+  DEFAULT_KDF_ITERATIONS,
+  VAULT_VERSION,
+  isEncryptedRecord,
+  getRecordKeyId,
+  encryptRecord,
+  decryptRecord,
+  createVault,
+  openVault,
+  decryptLegacyXor
+};
@@ -0,0 +1,247 @@
+/**
+ * Jesster's Combat Tracker
+ * Encryption View Module
+ * Version 2.3.1
+ *
+ * This module holds the screens for encrypted storage: the passphrase
+ * prompt shown in front of everything while storage is locked, and the
+ * settings controls to turn encryption on or off, change the passphrase or
+ * lock the session. Both work on a Storage instance (see storage.js) and
+ * build their own DOM, so any page can show them.
+ */
+
+import { Modal } from './ui.js';
+
+/**
+ * Ask for the passphrase of encrypted storage, in front of everything else,
+ * until it unlocks
+ * @param {Storage} storage - Locked storage
+ * @returns {Promise<void>} Resolves once storage is unlocked
+ */
+export function showUnlockScreen(storage) {
+  return new Promise(resolve => {
+    const unlockScreen = document.createElement('div');
+    unlockScreen.id = 'unlock-screen';
+    unlockScreen.className = 'unlock-screen';
+
+    const form = document.createElement('form');
+    form.className = 'unlock-form';
+
+    const title = document.createElement('h1');
+    title.className = 'unlock-title';
+    title.textContent = 'Enter Passphrase';
+    form.appendChild(title);
+
+    const message = document.createElement('p');
+    message.className = 'unlock-message';
+    message.textContent = 'Your saved data is encrypted. Enter your passphrase to unlock it for this session.';
+    form.appendChild(message);
+
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.id = 'unlock-passphrase';
+    input.autocomplete = 'current-password';
+    form.appendChild(input);
+
+    const error = document.createElement('p');
+    error.className = 'unlock-error';
+    form.appendChild(error);
+
+    const button = document.createElement('button');
+    button.type = 'submit';
+    button.className = 'jct-button jct-button-primary';
+    button.textContent = 'Unlock';
+    form.appendChild(button);
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      button.disabled = true;
+      error.textContent = '';
+
+      if (await storage.unlock(input.value)) {
+        unlockScreen.remove();
+        resolve();
+        return;
+      }
+
+      error.textContent = 'Wrong passphrase. Try again.';
+      button.disabled = false;
+      input.select();
+    });
+
+    unlockScreen.appendChild(form);
+    document.body.appendChild(unlockScreen);
+    input.focus();
+  });
+}
+
+/**
+ * Render the encryption settings: what is encrypted and the buttons to
+ * change it
+ * @param {HTMLElement} container - Container element
+ * @param {Storage} storage - Storage to configure
+ * @param {Object} options - View options
+ * @param {Function} options.notify - Called with (message, type) to report an outcome; type is 'success' or 'error'
+ * @param {Function} options.onChange - Called after anything changed, to render the controls again
+ * @returns {HTMLElement} The rendered controls
+ */
+export function renderEncryptionControls(container, storage, options = {}) {
+  const notify = options.notify || (message => alert(message));
+  const onChange = options.onChange || (() => {});
+  const run = (action, successMessage) => runEncryptionAction(action, successMessage, notify).then(onChange);
+
+  const controls = document.createElement('div');
+  controls.className = 'jct-encryption-controls';
+
+  const status = document.createElement('p');
+  status.className = 'jct-encryption-status';
+  status.textContent = storage.isEncryptionEnabled()
+    ? 'Saved data is encrypted with your passphrase, which is asked for at the start of each session. Changing the passphrase re-encrypts everything under a new key.'
+    : 'Saved data is not encrypted. Set a passphrase to encrypt it; it is asked for at the start of each session, and the data cannot be recovered if it is forgotten.';
+  controls.appendChild(status);
+
+  const addButton = (text, variant, onClick) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `jct-button jct-button-${variant}`;
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    controls.appendChild(button);
+  };
+
+  if (storage.isEncryptionEnabled()) {
+    addButton('Change Passphrase', 'primary', () => {
+      showPassphraseDialog({
+        title: 'Change Passphrase',
+        fields: { current: 'Current passphrase', passphrase: 'New passphrase', confirm: 'Confirm new passphrase' },
+        confirmText: 'Change',
+        notify,
+        onConfirm: ({ current, passphrase }) => run(() => storage.changePassphrase(current, passphrase), 'Passphrase changed')
+      });
+    });
+    addButton('Lock Now', 'secondary', async () => {
+      storage.lock();
+      await showUnlockScreen(storage);
+      onChange();
+    });
+    addButton('Turn Off Encryption', 'error', () => {
+      showPassphraseDialog({
+        title: 'Turn Off Encryption',
+        fields: { current: 'Current passphrase' },
+        confirmText: 'Turn Off',
+        notify,
+        onConfirm: ({ current }) => run(() => storage.disableEncryption(current), 'Saved data is no longer encrypted')
+      });
+    });
+  } else {
+    addButton('Encrypt Saved Data', 'primary', () => {
+      showPassphraseDialog({
+        title: 'Encrypt Saved Data',
+        fields: { passphrase: 'Passphrase', confirm: 'Confirm passphrase' },
+        confirmText: 'Encrypt',
+        notify,
+        onConfirm: ({ passphrase }) => run(() => storage.enableEncryption(passphrase), 'Saved data encrypted')
+      });
+    });
+  }
+
+  container.appendChild(controls);
+  return controls;
+}
+
+/**
+ * Ask for passphrases in a modal dialog
+ * @param {Object} options - Dialog options
+ * @param {string} options.title - Dialog title
+ * @param {Object} options.fields - Labels keyed by field (current, passphrase, confirm)
+ * @param {string} options.confirmText - Text of the confirm button
+ * @param {Function} options.notify - Called with (message, type) when the entries are not usable
+ * @param {Function} options.onConfirm - Called with the entered values, keyed by field
+ * @private
+ */
+function showPassphraseDialog({ title, fields, confirmText, notify, onConfirm }) {
+  const inputs = {};
+  const form = document.createElement('form');
+
+  Object.entries(fields).forEach(([field, labelText]) => {
+    const group = document.createElement('div');
+    group.className = 'jct-form-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = `jct-passphrase-${field}`;
+    label.textContent = labelText;
+    group.appendChild(label);
+
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.id = `jct-passphrase-${field}`;
+    input.autocomplete = field === 'current' ? 'current-password' : 'new-password';
+    group.appendChild(input);
+
+    inputs[field] = input;
+    form.appendChild(group);
+  });
+
+  const close = () => {
+    modal.close();
+    modal.destroy();
+  };
+
+  const confirm = () => {
+    const values = Object.fromEntries(
+      Object.entries(inputs).map(([field, input]) => [field, input.value]));
+
+    if (inputs.passphrase && !values.passphrase) {
+      notify('Enter a passphrase', 'error');
+      return;
+    }
+    if (inputs.confirm && values.confirm !== values.passphrase) {
+      notify('The passphrases do not match', 'error');
+      return;
+    }
+
+    close();
+    onConfirm(values);
+  };
+
+  const modal = new Modal({
+    title,
+    closable: false,
+    closeOnBackdropClick: false,
+    closeOnEscape: false,
+    footer: [
+      { label: 'Cancel', variant: 'secondary', onClick: close },
+      { label: confirmText, variant: 'primary', onClick: confirm }
+    ]
+  });
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    confirm();
+  });
+
+  modal.render(document.body);
+  modal.contentElement.appendChild(form);
+  modal.open();
+}
+
+/**
+ * Run an encryption action and report how it went
+ * @param {Function} action - Action returning a promise of its success
+ * @param {string} successMessage - Message to show when it succeeds
+ * @param {Function} notify - Called with (message, type)
+ * @returns {Promise<void>}
+ * @private
+ */
+async function runEncryptionAction(action, successMessage, notify) {
+  try {
+    if (await action()) {
+      notify(successMessage, 'success');
+    } else {
+      notify('Wrong passphrase, or the saved data could not be rewritten. Nothing was changed.', 'error');
+    }
+  } catch (error) {
+    console.error('Encryption error:', error);
+    notify(`Encryption error: ${error.message}`, 'error');
+  }
+}
@@ -16,6 +16,8 @@ export const EventType = {
   COMBAT_END: 'combat_end',
   ROUND_START: 'round_start',
   TURN_START: 'turn_start',
+  TURN_HANDOFF: 'turn_handoff',
+  ATTACK: 'attack',
   DAMAGE: 'damage',
   HEALING: 'healing',
   CONDITION_ADDED: 'condition_added',
@@ -25,8 +27,13 @@ export const EventType = {
   DICE_ROLL: 'dice_roll',
   SPELL_CAST: 'spell_cast',
   ACTION_USED: 'action_used',
+  MOVEMENT: 'movement',
+  CONCENTRATION_CHECK: 'concentration_check',
+  CONCENTRATION_ENDED: 'concentration_ended',
+  RECURRING_EFFECT: 'recurring_effect',
   NOTE: 'note',
   INITIATIVE_ROLL: 'initiative_roll',
+  SESSION_SEED: 'session_seed',
   CUSTOM: 'custom'
 };
 
@@ -119,17 +126,98 @@ export class CombatHistory {
     });
   }
 
+  /**
+   * Record a combatant handing the turn to the next under popcorn initiative
+   * @param {Object} from - The combatant ending its turn
+   * @param {Object} to - The combatant it picked
+   * @param {boolean} roundEnd - The pick starts the next round
+   */
+  recordTurnHandoff(from, to, roundEnd = false) {
+    if (!from || !to) return;
+    
+    this.addEvent({
+      type: EventType.TURN_HANDOFF,
+      round: this.currentRound,
+      actorId: from.id,
+      actorName: from.name,
+      actorType: from.type,
+      targetId: to.id,
+      targetName: to.name,
+      targetType: to.type,
+      roundEnd,
+      description: roundEnd
+        ? `${from.name} picks ${from.id === to.id ? 'themselves' : to.name} to start round ${this.currentRound + 1}`
+        : `${from.name} hands the turn to ${to.name}`,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Record an attack against one or more targets
+   * @param {Object} attacker - The attacking combatant
+   * @param {Object} attack - The attack ({name, kind, attackBonus})
+   * @param {Array} results - One result per target ({target, roll, ac, cover, hit, critical, advantage, disadvantage, reasons, damage})
+   */
+  recordAttack(attacker, attack, results = []) {
+    if (!attacker || !attack) return;
+    
+    const outcomes = results.map(result => {
+      const name = result.target.name;
+      if (!result.roll) return `can't target ${name}`;
+      if (!result.hit) return `misses ${name} (${result.roll.total} vs AC ${result.ac})`;
+      
+      const damage = result.damage ? ` for ${result.damage.finalDamage} damage` : '';
+      return `${result.critical ? 'critically hits' : 'hits'} ${name} (${result.roll.total} vs AC ${result.ac})${damage}`;
+    });
+    const description = `${attacker.name} attacks with ${attack.name}: ${outcomes.join('; ')}`;
+    
+    // Add attack event
+    this.addEvent({
+      type: EventType.ATTACK,
+      round: this.currentRound,
+      actorId: attacker.id,
+      actorName: attacker.name,
+      actorType: attacker.type,
+      attackName: attack.name,
+      attackKind: attack.kind,
+      attackBonus: attack.attackBonus,
+      targets: results.map(result => ({
+        targetId: result.target.id,
+        targetName: result.target.name,
+        total: result.roll ? result.roll.total : null,
+        natural: result.roll ? result.roll.natural : null,
+        advantage: result.advantage,
+        disadvantage: result.disadvantage,
+        reasons: result.reasons || [],
+        ac: result.ac,
+        cover: result.cover,
+        hit: result.hit,
+        critical: result.critical,
+        damage: result.damage ? result.damage.finalDamage : 0,
+        components: result.damage ? result.damage.components : [],
+        mastery: result.mastery ? result.mastery.property : null
+      })),
+      description: description,
+      timestamp: new Date()
+    });
+  }
+
   /**
    * Record damage dealt to a combatant
    * @param {Object} target - The combatant taking damage
    * @param {number} amount - The amount of damage
    * @param {string} damageType - The type of damage
    * @param {Object} source - The source of the damage
+   * @param {Array} components - Per-type breakdown of a mixed hit ({type, rolled, amount, modifier, steps})
    */
-  recordDamage(target, amount, damageType = 'unspecified', source = null) {
+  recordDamage(target, amount, damageType = 'unspecified', source = null, components = []) {
     if (!target || amount <= 0) return;
     
     let description = `${target.name} takes ${amount} ${damageType} damage`;
+    if (components.length > 1) {
+      const parts = components.map(component => `${component.amount} ${component.type || 'untyped'}`);
+      description = `${target.name} takes ${amount} damage (${parts.join(', ')})`;
+    }
     if (source) {
       description += ` from ${source.name}`;
     }
@@ -146,6 +234,13 @@ export class CombatHistory {
       actorType: source ? source.type : null,
       amount: amount,
       damageType: damageType,
+      components: components.map(component => ({
+        type: component.type,
+        rolled: component.rolled,
+        amount: component.amount,
+        modifier: component.modifier,
+        steps: component.steps || []
+      })),
       description: description,
       timestamp: new Date()
     });
@@ -310,18 +405,54 @@ export class CombatHistory {
     });
   }
 
+  /**
+   * Record the rolls a dice service makes while an encounter is open
+   * @param {DiceService} service - Dice service
+   * @returns {Function} Function to stop recording
+   */
+  attachDiceService(service) {
+    return service.addListener((event, roll) => {
+      if (event === 'roll' && !roll.error && this.currentEncounterId) {
+        this.recordDiceRoll(roll);
+      }
+    });
+  }
+
   /**
    * Record a dice roll
-   * @param {string} formula - The dice formula rolled
-   * @param {number} result - The result of the roll
+   * @param {string|Object} formula - The dice formula, or a roll result from the dice service
+   * @param {number|Object} result - The total, or a roll result from the dice service
    * @param {Object} roller - The combatant who rolled
    * @param {string} purpose - The purpose of the roll
    */
   recordDiceRoll(formula, result, roller = null, purpose = '') {
-    let description = `Dice Roll: ${formula} = ${result}`;
+    // Accept either (roll, roller, purpose) or the older (formula, result, roller, purpose)
+    if (formula && typeof formula === 'object') {
+      purpose = typeof roller === 'string' ? roller : purpose;
+      roller = result && typeof result === 'object' ? result : null;
+      result = formula;
+      formula = result.formula;
+    }
+    
+    const roll = result && typeof result === 'object' ? result : null;
+    const total = roll ? roll.total : result;
+    
+    if (!purpose && roll && roll.label) {
+      purpose = roll.label;
+    }
+    
+    let description = `Dice Roll: ${formula} = ${total}`;
+    if (roll && roll.breakdown) {
+      description += ` [${roll.breakdown}]`;
+    }
     if (purpose) {
       description += ` (${purpose})`;
     }
+    if (roll && roll.isCritical) {
+      description += ' - natural 20!';
+    } else if (roll && roll.isFumble) {
+      description += ' - natural 1!';
+    }
     if (roller) {
       description = `${roller.name} rolls ${description}`;
     }
@@ -330,17 +461,55 @@ export class CombatHistory {
     this.addEvent({
       type: EventType.DICE_ROLL,
       round: this.currentRound,
-      actorId: roller ? roller.id : null,
-      actorName: roller ? roller.name : null,
+      actorId: roller ? roller.id : (roll ? roll.actorId : null),
+      actorName: roller ? roller.name : (roll ? roll.actorName : null),
       actorType: roller ? roller.type : null,
       formula: formula,
-      result: result,
+      result: total,
+      rollType: roll ? roll.type : null,
+      terms: roll ? roll.terms : [],
+      breakdown: roll ? roll.breakdown : '',
+      draws: roll ? roll.draws : [],
+      natural: roll ? roll.natural : null,
+      isCritical: roll ? roll.isCritical : false,
+      isFumble: roll ? roll.isFumble : false,
       purpose: purpose,
       description: description,
       timestamp: new Date()
     });
   }
 
+  /**
+   * Record the dice seed of the current session
+   * @param {number|string} seed - The session seed
+   */
+  recordSessionSeed(seed) {
+    this.addEvent({
+      type: EventType.SESSION_SEED,
+      round: this.currentRound,
+      seed: seed,
+      description: `Dice session seed: ${seed}`,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Get the data needed to replay the dice of an encounter
+   * @param {string} encounterId - The ID of the encounter (defaults to the current one)
+   * @returns {Object|null} Session seed and recorded rolls, or null if no seed was recorded
+   */
+  getReplayData(encounterId = this.currentEncounterId) {
+    const events = this.getEncounterEvents(encounterId);
+    const seedEvent = events.find(event => event.type === EventType.SESSION_SEED);
+    if (!seedEvent) return null;
+    
+    const rolls = events
+      .filter(event => event.type === EventType.DICE_ROLL && event.draws && event.draws.length > 0)
+      .map(event => ({ formula: event.formula, draws: event.draws }));
+    
+    return { seed: seedEvent.seed, rolls };
+  }
+
   /**
    * Record a spell being cast
    * @param {Object} caster - The combatant casting the spell
@@ -412,6 +581,146 @@ export class CombatHistory {
     });
   }
 
+  /**
+   * Record a combatant moving on the tactical map
+   * @param {Object} actor - The combatant moving
+   * @param {number} distance - The movement used, in feet
+   * @param {Object} details - Move details (from, to, difficult feet, remaining feet)
+   */
+  recordMovement(actor, distance, details = {}) {
+    if (!actor || distance <= 0) return;
+    
+    let description = `${actor.name} moves ${distance} feet`;
+    if (details.difficult > 0) {
+      description += ' through difficult terrain';
+    }
+    
+    // Add movement event
+    this.addEvent({
+      type: EventType.MOVEMENT,
+      round: this.currentRound,
+      actorId: actor.id,
+      actorName: actor.name,
+      actorType: actor.type,
+      distance: distance,
+      from: details.from || null,
+      to: details.to || null,
+      difficult: details.difficult || 0,
+      remaining: details.remaining !== undefined ? details.remaining : null,
+      description: description,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Record a concentration save made after taking damage
+   * @param {Object} actor - The concentrating combatant
+   * @param {Object} check - The check ({checkDC, total, success, spell, damage})
+   */
+  recordConcentrationCheck(actor, check) {
+    if (!actor || !check) return;
+    
+    const spell = check.spell ? ` on ${check.spell}` : '';
+    const description = check.success
+      ? `${actor.name} keeps concentration${spell} (${check.total} vs DC ${check.checkDC})`
+      : `${actor.name} loses concentration${spell} (${check.total} vs DC ${check.checkDC})`;
+    
+    // Add concentration check event
+    this.addEvent({
+      type: EventType.CONCENTRATION_CHECK,
+      round: this.currentRound,
+      actorId: actor.id,
+      actorName: actor.name,
+      actorType: actor.type,
+      damage: check.damage,
+      dc: check.checkDC,
+      total: check.total,
+      advantage: !!check.advantage,
+      success: check.success,
+      spell: check.spell || null,
+      description: description,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Record a combatant's concentration ending
+   * @param {Object} actor - The combatant that was concentrating
+   * @param {string} spell - The spell that ended
+   * @param {string} reason - Why it ended (failed-save, unconscious, new-spell, ended)
+   * @param {Array} ended - Conditions ended on other combatants ({combatantId, condition})
+   */
+  recordConcentrationEnded(actor, spell = null, reason = 'ended', ended = []) {
+    if (!actor) return;
+    
+    let description = `${actor.name} stops concentrating`;
+    if (spell) {
+      description += ` on ${spell}`;
+    }
+    
+    // Add concentration ended event
+    this.addEvent({
+      type: EventType.CONCENTRATION_ENDED,
+      round: this.currentRound,
+      actorId: actor.id,
+      actorName: actor.name,
+      actorType: actor.type,
+      spell: spell,
+      reason: reason,
+      endedConditions: ended.map(({ combatantId, condition }) => ({
+        combatantId,
+        conditionId: condition.id,
+        name: condition.name
+      })),
+      description: description,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Record a recurring effect ticking on a combatant
+   * @param {Object} target - The combatant the effect is on
+   * @param {Object} effect - The recurring effect ({name, type, damageType})
+   * @param {Object} outcome - The tick ({amount, suppressedBy, saved, expired})
+   */
+  recordRecurringEffect(target, effect, outcome = {}) {
+    if (!target || !effect) return;
+    
+    let description;
+    if (outcome.saved) {
+      description = `${target.name} ends ${effect.name} with a successful save`;
+    } else if (outcome.suppressedBy && outcome.suppressedBy.length > 0) {
+      description = `${effect.name} on ${target.name} is suppressed by ${outcome.suppressedBy.join(' and ')} damage`;
+    } else if (effect.type === 'healing') {
+      description = `${target.name} regains ${outcome.amount || 0} HP from ${effect.name}`;
+    } else {
+      const damageType = effect.damageType ? ` ${effect.damageType}` : '';
+      description = `${target.name} takes ${outcome.amount || 0}${damageType} damage from ${effect.name}`;
+    }
+    if (outcome.expired) {
+      description += ` (expired)`;
+    }
+    
+    // Add recurring effect event
+    this.addEvent({
+      type: EventType.RECURRING_EFFECT,
+      round: this.currentRound,
+      targetId: target.id,
+      targetName: target.name,
+      targetType: target.type,
+      effectId: effect.id,
+      effectName: effect.name,
+      effectType: effect.type,
+      damageType: effect.damageType || null,
+      amount: outcome.amount || 0,
+      suppressedBy: outcome.suppressedBy || [],
+      saved: !!outcome.saved,
+      expired: !!outcome.expired,
+      description: description,
+      timestamp: new Date()
+    });
+  }
+
   /**
    * Record initiative rolls
    * @param {Array} combatants - The combatants with their initiative rolls
@@ -505,6 +814,19 @@ export class CombatHistory {
     return this.events.filter(event => event.encounterId === this.currentEncounterId);
   }
 
+  /**
+   * Get the order turns were taken in during a round, which can differ
+   * from round to round
+   * @param {number} round - The round number
+   * @param {string} encounterId - Optional encounter ID filter
+   * @returns {Array} Turns in order ({actorId, actorName})
+   */
+  getTurnOrder(round, encounterId = null) {
+    return this.getRoundEvents(round, encounterId)
+      .filter(event => event.type === EventType.TURN_START)
+      .map(event => ({ actorId: event.actorId, actorName: event.actorName }));
+  }
+
   /**
    * Get events for a specific round
    * @param {number} round - The round number
@@ -758,6 +1080,15 @@ export class CombatHistory {
     // Find the highest round reached
     const maxRound = Math.max(...encounterEvents.map(event => event.round || 0));
     
+    // Turn order of each round, as actually played
+    const turnOrders = [];
+    for (let round = 1; round <= maxRound; round++) {
+      const turns = this.getTurnOrder(round, targetEncounterId);
+      if (turns.length > 0) {
+        turnOrders.push({ round, turns });
+      }
+    }
+    
     // Count events by type
     const eventCounts = {};
     Object.values(EventType).forEach(type => {
@@ -826,6 +1157,7 @@ export class CombatHistory {
       endTime,
       duration: `${durationMinutes}m ${durationSeconds}s`,
       rounds: maxRound,
+      turnOrders,
       eventCounts,
       totalDamage,
       totalHealing,
@@ -872,7 +1204,7 @@ export class CombatHistory {
     // Add round-by-round summary
     narrative += `\n## Round-by-Round Summary\n\n`;
     
-    const events = this.getEncounterEvents(encounterId);
+    const events = this.getEncounterEvents(summary.encounterId);
     let currentRound = 0;
     
     events.forEach(event => {
@@ -881,10 +1213,15 @@ export class CombatHistory {
         return;
       }
       
-      // Add round headers
+      // Add round headers, with the order turns were taken in
       if (event.round > currentRound) {
         currentRound = event.round;
         narrative += `\n### Round ${currentRound}\n\n`;
+        
+        const turnOrder = summary.turnOrders.find(order => order.round === currentRound);
+        if (turnOrder) {
+          narrative += `*Turn order: ${turnOrder.turns.map(turn => turn.actorName).join(' → ')}*\n\n`;
+        }
       }
       
       // Add the event description
@@ -959,6 +1296,10 @@ export function getEventIcon(eventType) {
       return 'fas fa-hourglass-start';
     case EventType.TURN_START:
       return 'fas fa-user-clock';
+    case EventType.TURN_HANDOFF:
+      return 'fas fa-hand-point-right';
+    case EventType.ATTACK:
+      return 'fas fa-crosshairs';
     case EventType.DAMAGE:
       return 'fas fa-heart-broken';
     case EventType.HEALING:
@@ -977,6 +1318,14 @@ export function getEventIcon(eventType) {
       return 'fas fa-magic';
     case EventType.ACTION_USED:
       return 'fas fa-running';
+    case EventType.MOVEMENT:
+      return 'fas fa-shoe-prints';
+    case EventType.CONCENTRATION_CHECK:
+      return 'fas fa-brain';
+    case EventType.CONCENTRATION_ENDED:
+      return 'fas fa-times-circle';
+    case EventType.RECURRING_EFFECT:
+      return 'fas fa-sync-alt';
     case EventType.NOTE:
       return 'fas fa-sticky-note';
     case EventType.INITIATIVE_ROLL:
@@ -1003,6 +1352,10 @@ export function getEventColor(eventType) {
       return '#2196F3'; // Blue
     case EventType.TURN_START:
       return '#03A9F4'; // Light Blue
+    case EventType.TURN_HANDOFF:
+      return '#0288D1'; // Dark Light Blue
+    case EventType.ATTACK:
+      return '#D84315'; // Burnt Orange
     case EventType.DAMAGE:
       return '#F44336'; // Red
     case EventType.HEALING:
@@ -1021,6 +1374,14 @@ export function getEventColor(eventType) {
       return '#E91E63'; // Pink
     case EventType.ACTION_USED:
       return '#795548'; // Brown
+    case EventType.MOVEMENT:
+      return '#8D6E63'; // Light Brown
+    case EventType.CONCENTRATION_CHECK:
+      return '#7E57C2'; // Light Purple
+    case EventType.CONCENTRATION_ENDED:
+      return '#5E35B1'; // Dark Purple
+    case EventType.RECURRING_EFFECT:
+      return '#FF7043'; // Deep Orange
     case EventType.NOTE:
       return '#009688'; // Teal
     case EventType.INITIATIVE_ROLL:
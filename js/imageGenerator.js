@@ -7,6 +7,8 @@
  * such as character portraits, monster tokens, maps, and other visual assets.
  */
 
+import { createSeededRandom } from './random.js';
+
 /**
  * Available image generation methods
  */
@@ -514,18 +516,6 @@ function getInitials(name) {
   }
 }
 
-/**
- * Create a seeded random number generator
- * @param {number} seed - The seed for the random number generator
- * @returns {Function} A function that returns a random number between 0 and 1
- */
-function createSeededRandom(seed) {
-  return function() {
-    seed = (seed * 9301 + 49297) % 233280;
-    return seed / 233280;
-  };
-}
-
 /**
  * Get a color for a monster type
  * @param {string} monsterType - The type of monster
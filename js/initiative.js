@@ -114,7 +114,10 @@ class Initiative {
             modifier,
             { 
                 advantage: combatant.initiativeAdvantage, 
-                disadvantage: combatant.initiativeDisadvantage 
+                disadvantage: combatant.initiativeDisadvantage,
+                actorId: combatant.id,
+                actorName: combatant.name,
+                combatant
             }
         );
         
@@ -122,6 +125,7 @@ class Initiative {
         return {
             combatant,
             initiative: rollResult.total,
+            natural: rollResult.natural,
             roll: rollResult,
             modifier
         };
@@ -368,7 +372,7 @@ class Initiative {
      */
     _createPopcornInitiativeOrder(combatants) {
         // For popcorn initiative, we start with standard initiative order
-        // but the actual order will be determined during combat
+        // but the actual order is picked during combat (see Combat.nextTurn)
         return this.sortByInitiative(combatants);
     }
 
@@ -421,16 +425,16 @@ class Initiative {
     formatRollResult(rollResult) {
         if (!rollResult) return '';
         
-        // For advantage/disadvantage
-        if (rollResult.results && rollResult.results[0] && rollResult.results[0].rolls) {
-            const [roll1, roll2] = rollResult.results[0].rolls;
-            const useRoll = rollResult.results[0].useRoll;
-            const isAdvantage = rollResult.advantage;
-            const isDisadvantage = rollResult.disadvantage;
-            
-            if (isAdvantage || isDisadvantage) {
-                return `${roll1}${roll1 === useRoll ? '*' : ''}, ${roll2}${roll2 === useRoll ? '*' : ''} ${isAdvantage ? '(adv)' : '(dis)'}`;
-            }
+        // For advantage/disadvantage, mark the kept d20
+        const isAdvantage = rollResult.advantage && !rollResult.disadvantage;
+        const isDisadvantage = rollResult.disadvantage && !rollResult.advantage;
+        const d20Term = rollResult.terms && rollResult.terms.find(term => term.sides === 20);
+        
+        if (d20Term && (isAdvantage || isDisadvantage)) {
+            const dice = d20Term.dice
+                .map(die => `${die.value}${die.dropped ? '' : '*'}`)
+                .join(', ');
+            return `${dice} ${isAdvantage ? '(adv)' : '(dis)'}`;
         }
         
         // For normal rolls
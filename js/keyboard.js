@@ -23,7 +23,7 @@ const DEFAULT_SHORTCUTS = {
   toggleFullscreen: { key: 'F11', description: 'Toggle fullscreen' },
   help: { key: 'F1', description: 'Show help' },
   undo: { key: 'Ctrl+Z', description: 'Undo last action' },
-  redo: { key: 'Ctrl+Y', description: 'Redo last action' },
+  redo: { key: 'Ctrl+Shift+Z', description: 'Redo last action' },
   search: { key: 'Ctrl+F', description: 'Search' },
   togglePanel: { key: 'Ctrl+B', description: 'Toggle sidebar' },
   focusDiceInput: { key: 'D', description: 'Focus dice input' },
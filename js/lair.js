@@ -7,6 +7,10 @@
  * for monsters and encounters, adding depth and tactical elements to combat.
  */
 
+import { diceService } from './diceService.js';
+import * as actions from './actions.js';
+import { store as appStore } from './store.js';
+
 /**
  * Types of lair features
  */
@@ -387,8 +391,8 @@ export class Lair {
   _getRandomTargets(combatants, count) {
     if (!combatants || combatants.length === 0) return [];
     
-    // Shuffle the array
-    const shuffled = [...combatants].sort(() => 0.5 - Math.random());
+    // Shuffle with the dice service's seeded source so target picks can be replayed
+    const shuffled = diceService.shuffle(combatants);
     
     // Take the first n elements
     return shuffled.slice(0, Math.min(count, combatants.length));
@@ -1068,16 +1072,74 @@ export class LairTemplateLibrary {
  */
 export class EnvironmentManager {
   /**
-   * Create an environment manager
+   * Create an environment manager. The environment lives in the environment
+   * slice of the application store, which is loaded from the configuration.
    * @param {Object} config - Configuration options
+   * @param {Object} config.store - Store to keep the environment in (defaults to the shared store)
    */
   constructor(config = {}) {
-    this.effects = config.effects || [];
-    this.terrain = config.terrain || {};
-    this.weather = config.weather || null;
-    this.timeOfDay = config.timeOfDay || 'day';
-    this.visibility = config.visibility || 'normal';
+    this.store = config.store || appStore;
     this.listeners = [];
+
+    this.store.dispatch(actions.loadData({
+      environment: {
+        ...this.store.getState().environment,
+        effects: config.effects || [],
+        terrain: config.terrain || {},
+        weather: config.weather || null,
+        timeOfDay: config.timeOfDay || 'day',
+        visibility: config.visibility || 'normal'
+      }
+    }));
+  }
+
+  /**
+   * Get the environment slice of the store state
+   * @returns {Object} Environment state
+   * @private
+   */
+  get state() {
+    return this.store.getState().environment;
+  }
+
+  /**
+   * Active environmental effects
+   * @returns {Array} Effects
+   */
+  get effects() {
+    return this.state.effects;
+  }
+
+  /**
+   * Terrain features by ID
+   * @returns {Object} Terrain
+   */
+  get terrain() {
+    return this.state.terrain;
+  }
+
+  /**
+   * Current weather
+   * @returns {Object|null} Weather
+   */
+  get weather() {
+    return this.state.weather;
+  }
+
+  /**
+   * Current time of day
+   * @returns {string} Time of day
+   */
+  get timeOfDay() {
+    return this.state.timeOfDay;
+  }
+
+  /**
+   * Current visibility
+   * @returns {string} Visibility
+   */
+  get visibility() {
+    return this.state.visibility;
   }
 
   /**
@@ -1090,7 +1152,7 @@ export class EnvironmentManager {
       effect.id = generateId();
     }
     
-    this.effects.push(effect);
+    this.store.dispatch(actions.addEnvironmentEffect(effect));
     this._notifyListeners('effectAdded', { effect });
     return this;
   }
@@ -1101,10 +1163,8 @@ export class EnvironmentManager {
    * @returns {boolean} True if the effect was removed
    */
   removeEffect(effectId) {
-    const initialLength = this.effects.length;
-    this.effects = this.effects.filter(effect => effect.id !== effectId);
-    
-    if (this.effects.length < initialLength) {
+    if (this.effects.some(effect => effect.id === effectId)) {
+      this.store.dispatch(actions.removeEnvironmentEffect(effectId));
       this._notifyListeners('effectRemoved', { effectId });
       return true;
     }
@@ -1139,13 +1199,13 @@ export class EnvironmentManager {
   setTerrain(area, terrainType, duration = -1) {
     const id = generateId();
     
-    this.terrain[id] = {
+    this.store.dispatch(actions.setTerrain({
       id,
       area,
       type: terrainType,
       duration,
       createdAt: this.getCurrentRound() || 0
-    };
+    }));
     
     this._notifyListeners('terrainChanged', { 
       id, area, terrainType, duration 
@@ -1162,7 +1222,7 @@ export class EnvironmentManager {
   removeTerrain(id) {
     if (this.terrain[id]) {
       const terrain = this.terrain[id];
-      delete this.terrain[id];
+      this.store.dispatch(actions.removeTerrain(id));
       
       this._notifyListeners('terrainRemoved', { id, terrain });
       return true;
@@ -1186,12 +1246,14 @@ export class EnvironmentManager {
    * @returns {EnvironmentManager} The manager instance for chaining
    */
   setWeather(weatherType, options = {}) {
-    this.weather = {
-      type: weatherType,
-      intensity: options.intensity || 'moderate',
-      effects: options.effects || [],
-      ...options
-    };
+    this.store.dispatch(actions.updateEnvironment({
+      weather: {
+        type: weatherType,
+        intensity: options.intensity || 'moderate',
+        effects: options.effects || [],
+        ...options
+      }
+    }));
     
     this._notifyListeners('weatherChanged', { weather: this.weather });
     return this;
@@ -1211,7 +1273,7 @@ export class EnvironmentManager {
    * @returns {EnvironmentManager} The manager instance for chaining
    */
   setTimeOfDay(timeOfDay) {
-    this.timeOfDay = timeOfDay;
+    this.store.dispatch(actions.updateEnvironment({ timeOfDay }));
     this._notifyListeners('timeOfDayChanged', { timeOfDay });
     return this;
   }
@@ -1230,7 +1292,7 @@ export class EnvironmentManager {
    * @returns {EnvironmentManager} The manager instance for chaining
    */
   setVisibility(visibility) {
-    this.visibility = visibility;
+    this.store.dispatch(actions.updateEnvironment({ visibility }));
     this._notifyListeners('visibilityChanged', { visibility });
     return this;
   }
@@ -1262,13 +1324,15 @@ export class EnvironmentManager {
     });
     
     // Update effect durations
-    this.effects.forEach((effect, index) => {
+    this.effects.forEach(effect => {
       if (effect.duration > 0) {
-        effect.remainingDuration = (effect.remainingDuration || effect.duration) - 1;
+        const remainingDuration = (effect.remainingDuration || effect.duration) - 1;
         
-        if (effect.remainingDuration <= 0) {
-          this.effects.splice(index, 1);
+        if (remainingDuration <= 0) {
+          this.store.dispatch(actions.removeEnvironmentEffect(effect.id));
           this._notifyListeners('effectExpired', { effectId: effect.id });
+        } else {
+          this.store.dispatch(actions.updateEnvironmentEffect(effect.id, { remainingDuration }));
         }
       }
     });
@@ -1374,39 +1438,14 @@ function generateId() {
  * @returns {number} The result of the roll
  */
 function rollDice(notation) {
-  // Simple dice roller implementation
-  try {
-    // Parse the notation
-    const match = notation.match(/^(\d+)d(\d+)(?:([+-])(\d+))?$/i);
-    
-    if (!match) {
-      console.warn(`Invalid dice notation: ${notation}`);
-      return 0;
-    }
-    
-    const count = parseInt(match[1], 10);
-    const sides = parseInt(match[2], 10);
-    const operator = match[3] || '';
-    const modifier = match[4] ? parseInt(match[4], 10) : 0;
-    
-    // Roll the dice
-    let total = 0;
-    for (let i = 0; i < count; i++) {
-      total += Math.floor(Math.random() * sides) + 1;
-    }
-    
-    // Apply modifier
-    if (operator === '+') {
-      total += modifier;
-    } else if (operator === '-') {
-      total -= modifier;
-    }
-    
-    return total;
-  } catch (error) {
-    console.error('Error rolling dice:', error);
+  const result = diceService.roll(notation, { label: notation });
+  
+  if (result.error) {
+    console.warn(`Invalid dice notation: ${notation}`);
     return 0;
   }
+  
+  return result.total;
 }
 
 /**
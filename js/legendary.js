@@ -7,6 +7,8 @@
  * for powerful creatures, allowing them to act outside their normal turn.
  */
 
+import { diceService } from './diceService.js';
+
 /**
  * Types of special actions
  */
@@ -790,8 +792,8 @@ export class LegendaryCreature {
   _getRandomTargets(combatants, count) {
     if (!combatants || combatants.length === 0) return [];
     
-    // Shuffle the array
-    const shuffled = [...combatants].sort(() => 0.5 - Math.random());
+    // Shuffle with the seeded dice so a replayed session picks the same targets
+    const shuffled = diceService.shuffle(combatants);
     
     // Take the first n elements
     return shuffled.slice(0, Math.min(count, combatants.length));
@@ -878,16 +880,16 @@ export class LegendaryCreature {
     if (typeof state.rollD20 === 'function') {
       roll = state.rollD20();
     } else {
-      // Simple d20 roll fallback
-      roll = Math.floor(Math.random() * 20) + 1;
+      // Fall back to the seeded dice
+      roll = rollDice('1d20');
     }
     
     // Check for advantage/disadvantage
     if (saveInfo.advantage) {
-      const secondRoll = typeof state.rollD20 === 'function' ? state.rollD20() : Math.floor(Math.random() * 20) + 1;
+      const secondRoll = typeof state.rollD20 === 'function' ? state.rollD20() : rollDice('1d20');
       roll = Math.max(roll, secondRoll);
     } else if (saveInfo.disadvantage) {
-      const secondRoll = typeof state.rollD20 === 'function' ? state.rollD20() : Math.floor(Math.random() * 20) + 1;
+      const secondRoll = typeof state.rollD20 === 'function' ? state.rollD20() : rollDice('1d20');
       roll = Math.min(roll, secondRoll);
     }
     
@@ -975,8 +977,8 @@ export class LegendaryCreature {
         if (typeof state.rollD6 === 'function') {
           roll = state.rollD6();
         } else {
-          // Simple d6 roll fallback
-          roll = Math.floor(Math.random() * 6) + 1;
+          // Fall back to the seeded dice
+          roll = rollDice('1d6');
         }
         
         // Check if the ability recharges
@@ -1849,39 +1851,14 @@ function generateId() {
  * @returns {number} The result of the roll
  */
 function rollDice(notation) {
-  // Simple dice roller implementation
-  try {
-    // Parse the notation
-    const match = notation.match(/^(\d+)d(\d+)(?:([+-])(\d+))?$/i);
-    
-    if (!match) {
-      console.warn(`Invalid dice notation: ${notation}`);
-      return 0;
-    }
-    
-    const count = parseInt(match[1], 10);
-    const sides = parseInt(match[2], 10);
-    const operator = match[3] || '';
-    const modifier = match[4] ? parseInt(match[4], 10) : 0;
-    
-    // Roll the dice
-    let total = 0;
-    for (let i = 0; i < count; i++) {
-      total += Math.floor(Math.random() * sides) + 1;
-    }
-    
-    // Apply modifier
-    if (operator === '+') {
-      total += modifier;
-    } else if (operator === '-') {
-      total -= modifier;
-    }
-    
-    return total;
-  } catch (error) {
-    console.error('Error rolling dice:', error);
+  const result = diceService.roll(notation, { label: notation });
+  
+  if (result.error) {
+    console.warn(`Invalid dice notation: ${notation}`);
     return 0;
   }
+  
+  return result.total;
 }
 
 /**
@@ -4,17 +4,26 @@
  */
 
 // Import modules
-import Storage from './modules/storage.js';
-import Settings from './modules/settings.js';
-import UI from './modules/ui.js';
-import Audio from './modules/audio.js';
-import Dice from './modules/dice.js';
-import Combat from './modules/combat.js';
-import Encounter from './modules/encounter.js';
-import Roster from './modules/roster.js';
-import Notes from './modules/notes.js';
-import Timer from './modules/timer.js';
-import API from './modules/api.js';
+import Storage from './storage.js';
+import { createRepository } from './repository.js';
+import Settings from './settings.js';
+import UI from './ui.js';
+import Audio from './audio.js';
+import Dice from './dice.js';
+import Combat from './combat.js';
+import Encounter from './encounter.js';
+import Roster from './roster.js';
+import Notes from './notes.js';
+import Timer from './timer.js';
+import API from './api.js';
+import { createCombatHistory } from './history.js';
+import { createSyncManager, RestSyncAdapter } from './sync.js';
+import { createCampaignFolder } from './campaign.js';
+import { showUnlockScreen, renderEncryptionControls } from './encryptionView.js';
+import { showSyncConflicts } from './syncView.js';
+import { restoreCampaignFolder, renderCampaignControls } from './campaignView.js';
+import * as actions from './actions.js';
+import { store } from './store.js';
 
 // Main application class
 class JessterCombatTracker {
@@ -25,18 +34,23 @@ class JessterCombatTracker {
         // Modules
         this.modules = {};
         
-        // Application state
-        this.state = {
-            initialized: false,
-            currentView: 'combat',
-            loading: true,
-            error: null
-        };
+        // Application store; initialization, loading, view and error state
+        // live in its UI slice
+        this.store = store;
+        this.store.dispatch(actions.setLoading(true));
         
         // Initialize application
         this._init();
     }
 
+    /**
+     * Get the UI slice of the store state
+     * @returns {Object} UI state
+     */
+    get state() {
+        return this.store.getState().ui;
+    }
+
     /**
      * Initialize application
      * @private
@@ -61,7 +75,7 @@ class JessterCombatTracker {
             this._hideLoadingScreen();
             
             // Set initialized flag
-            this.state.initialized = true;
+            this.store.dispatch(actions.initializeApp());
             
             console.log('Initialization complete');
         } catch (error) {
@@ -80,8 +94,17 @@ class JessterCombatTracker {
         // Initialize storage module first
         this.modules.storage = new Storage();
         
+        // Encrypted storage stays locked until the passphrase is entered
+        await this.modules.storage.ready;
+        if (this.modules.storage.isLocked()) {
+            await showUnlockScreen(this.modules.storage);
+        }
+        
+        // Initialize the repository every module saves its data through
+        this.modules.repository = createRepository(this.modules.storage);
+        
         // Initialize settings module
-        this.modules.settings = new Settings(this.modules.storage);
+        this.modules.settings = new Settings(this.modules.repository);
         
         // Initialize UI module
         this.modules.ui = new UI(this.modules.settings);
@@ -91,7 +114,7 @@ class JessterCombatTracker {
         this.modules.audio = new Audio(this.modules.settings);
         
         // Initialize dice module
-        this.modules.dice = new Dice(this.modules.settings, this.modules.audio);
+        this.modules.dice = new Dice(this.modules.settings, this.modules.audio, this.modules.repository);
         
         // Initialize timer module
         this.modules.timer = new Timer(this.modules.settings, this.modules.audio);
@@ -101,10 +124,10 @@ class JessterCombatTracker {
         this.modules.api.init();
         
         // Initialize roster module
-        this.modules.roster = new Roster(this.modules.storage, this.modules.dice);
+        this.modules.roster = new Roster(this.modules.repository, this.modules.dice);
         
         // Initialize encounter module
-        this.modules.encounter = new Encounter(this.modules.storage, this.modules.dice, this.modules.roster);
+        this.modules.encounter = new Encounter(this.modules.repository, this.modules.dice, this.modules.roster);
         
         // Initialize combat module
         this.modules.combat = new Combat(
@@ -116,13 +139,213 @@ class JessterCombatTracker {
             this.modules.roster
         );
         
+        // Initialize the combat history log that attacks, damage,
+        // concentration checks and recurring effects are recorded in
+        this.modules.history = createCombatHistory();
+        this.modules.combat.setCombatHistory(this.modules.history);
+        
         // Initialize notes module
-        this.modules.notes = new Notes(this.modules.storage);
+        this.modules.notes = new Notes(this.modules.repository);
+        
+        // Initialize sync module; it connects once the saved sync settings are loaded
+        this.modules.sync = createSyncManager(this.modules.repository);
+        this.modules.sync.addListener((event, data) => this._handleSyncEvent(event, data));
+        await this.modules.settings.ready;
+        this._configureSync();
+        
+        // Initialize campaign folder module, reading the folder from the last
+        // session again so edits made to its files are picked up
+        this.modules.campaign = createCampaignFolder(this.modules.repository);
+        this.modules.campaign.addListener((event, data) => this._handleCampaignEvent(event, data));
+        await this._restoreCampaignFolder();
         
         // Apply settings
         this.modules.settings.applySettings();
     }
 
+    /**
+     * Point the sync module at the server in the settings, if it changed
+     * @private
+     */
+    _configureSync() {
+        const settings = this.modules.settings;
+        const config = {
+            url: settings.get('syncUrl', '').trim(),
+            username: settings.get('syncUsername', ''),
+            password: settings.get('syncPassword', ''),
+            interval: settings.get('syncInterval', 0)
+        };
+        
+        const key = JSON.stringify(config);
+        if (key === this._syncConfigKey) {
+            return;
+        }
+        this._syncConfigKey = key;
+        
+        if (!config.url) {
+            this.modules.sync.setAdapter(null);
+            return;
+        }
+        
+        try {
+            this.modules.sync.setAdapter(new RestSyncAdapter({
+                url: config.url,
+                username: config.username,
+                password: config.password
+            }));
+        } catch (error) {
+            console.error('Error setting up sync:', error);
+            this.modules.sync.setAdapter(null);
+            return;
+        }
+        
+        this.modules.sync.start(config.interval * 60 * 1000);
+        this._syncNow();
+    }
+
+    /**
+     * Sync with the server now, if one is set up
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _syncNow() {
+        if (!this.modules.sync.isConfigured()) {
+            return;
+        }
+        
+        try {
+            await this.modules.sync.sync();
+        } catch (error) {
+            // Reported through the syncFailed event
+        }
+    }
+
+    /**
+     * Handle sync events
+     * @private
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    async _handleSyncEvent(event, data) {
+        switch (event) {
+            case 'changesPulled':
+                // Reload what changed on another device
+                await this._reloadCollections(data.collections);
+                break;
+                
+            case 'conflicts':
+                this.modules.ui.showToast({
+                    message: `${data.conflicts.length} item(s) were changed on this device and another one`,
+                    type: 'warning'
+                });
+                this._showSyncConflictsDialog();
+                break;
+                
+            case 'syncFailed':
+                this.modules.ui.showToast({
+                    message: `Sync failed: ${data.error.message}`,
+                    type: 'error'
+                });
+                break;
+        }
+    }
+
+    /**
+     * Reload the modules whose data changed outside them, and redraw the
+     * current view
+     * @private
+     * @param {Array} collections - Repository collections that changed
+     * @returns {Promise<void>}
+     */
+    async _reloadCollections(collections) {
+        if (collections.some(c => ['players', 'monsters', 'templates'].includes(c))) {
+            await this.modules.roster._loadRoster();
+        }
+        if (collections.includes('notes')) {
+            await this.modules.notes._loadNotes();
+        }
+        if (collections.includes('encounters')) {
+            await this.modules.encounter._loadSavedEncounters();
+        }
+        
+        if (this.state.initialized && this.state.view) {
+            this._initializeView(this.state.view);
+        }
+    }
+
+    /**
+     * Reconnect to the campaign folder from the last session. Browsers may
+     * only allow that after a click, in which case the user is asked.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _restoreCampaignFolder() {
+        await restoreCampaignFolder(this.modules.campaign, this._getCampaignViewOptions());
+    }
+
+    /**
+     * Handle campaign folder events
+     * @private
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    async _handleCampaignEvent(event, data) {
+        switch (event) {
+            case 'campaignLoaded':
+                await this._reloadCollections(data.collections);
+                
+                if (data.errors.length > 0) {
+                    this.modules.ui.showToast({
+                        message: `Some campaign files could not be read: ${data.errors.map(e => e.path).join(', ')}`,
+                        type: 'warning'
+                    });
+                }
+                break;
+                
+            case 'writeFailed':
+                this.modules.ui.showToast({
+                    message: `Could not write to the campaign folder: ${data.error.message}`,
+                    type: 'error'
+                });
+                break;
+        }
+    }
+
+    /**
+     * Options for the campaign folder view: report through toasts, ask
+     * through a confirmation dialog, and refresh the settings view
+     * @private
+     * @returns {Object} {notify, confirm, onChange}
+     */
+    _getCampaignViewOptions() {
+        return {
+            notify: (message, type) => this.modules.ui.showToast({ message, type }),
+            confirm: (message) => new Promise(resolve => {
+                this.modules.ui.showConfirmation({
+                    title: 'Upload Campaign Bundle',
+                    message,
+                    confirmText: 'Replace',
+                    cancelText: 'Cancel',
+                    onConfirm: () => resolve(true)
+                });
+            }),
+            onChange: () => {
+                if (this.state.view === 'settings') {
+                    this._initSettingsView();
+                }
+            }
+        };
+    }
+
+    /**
+     * Show the records changed on both this device and another one, and let
+     * the user pick which copy of each to keep
+     * @private
+     */
+    _showSyncConflictsDialog() {
+        showSyncConflicts(this.modules.sync, { onResolved: () => this._syncNow() });
+    }
+
     /**
      * Set up event listeners
      * @private
@@ -187,6 +410,9 @@ class JessterCombatTracker {
         
         // Theme change listener
         this.modules.settings.listenForThemeChanges();
+        
+        // Reconnect sync when its settings change
+        this.store.subscribe(() => this._configureSync());
     }
 
     /**
@@ -233,7 +459,7 @@ class JessterCombatTracker {
         document.getElementById('loading-screen').style.display = 'flex';
         
         // Set loading state
-        this.state.loading = true;
+        this.store.dispatch(actions.setLoading(true));
     }
 
     /**
@@ -256,7 +482,7 @@ class JessterCombatTracker {
         }
         
         // Set loading state
-        this.state.loading = false;
+        this.store.dispatch(actions.setLoading(false));
     }
 
     /**
@@ -309,7 +535,7 @@ class JessterCombatTracker {
         this._hideLoadingScreen();
         
         // Set error state
-        this.state.error = error;
+        this.store.dispatch(actions.setError(error.message || 'An unknown error occurred.'));
     }
 
     /**
@@ -342,7 +568,7 @@ class JessterCombatTracker {
         });
         
         // Update current view
-        this.state.currentView = view;
+        this.store.dispatch(actions.setView(view));
         
         // Save last view to settings
         this.modules.settings.setLastView(view);
@@ -3790,6 +4016,28 @@ class JessterCombatTracker {
         
         container.appendChild(settingsForm);
         
+        // Campaign folder controls
+        if (category.id === 'campaign') {
+            renderCampaignControls(container, this.modules.campaign, this._getCampaignViewOptions());
+        }
+        
+        // Encryption controls
+        if (category.id === 'encryption') {
+            renderEncryptionControls(container, this.modules.storage, {
+                notify: (message, type) => this.modules.ui.showToast({ message, type }),
+                onChange: () => {
+                    if (this.state.view === 'settings') {
+                        this._initSettingsView();
+                    }
+                }
+            });
+        }
+        
+        // Categories without settings have nothing to reset
+        if (category.settings.length === 0) {
+            return;
+        }
+        
         // Add reset button
         const resetButton = document.createElement('button');
         resetButton.className = 'button danger-button reset-button';
@@ -3838,7 +4086,7 @@ class JessterCombatTracker {
      */
     _handleEscapeKey() {
         // Handle based on current view
-        switch (this.state.currentView) {
+        switch (this.state.view) {
             case 'combat':
                 // Cancel current action if any
                 break;
@@ -3873,6 +4121,9 @@ class JessterCombatTracker {
         // Save combat state
         this.modules.combat.save();
         
+        // Send changes to the sync server
+        this._syncNow();
+        
         // Show success toast
         setTimeout(() => {
             this.modules.ui.showToast({
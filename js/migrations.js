@@ -0,0 +1,429 @@
+/**
+ * Jesster's Combat Tracker
+ * Migrations Module
+ * Version 2.3.1
+ *
+ * This module upgrades stored data from older schema versions. Each
+ * migration moves the data up one schema version and says how to change
+ * each collection it touches (encounters, players, monsters, notes, maps
+ * and settings), with a down step to go back where that is possible. The
+ * same chain runs over the app data blob, Storage exports and single
+ * SaveManager files, since they hold the same collections in different
+ * places.
+ *
+ * Data written before schema versions existed only has the app version,
+ * which is mapped to a schema version. Unknown data starts at the oldest
+ * version: every up step leaves already-current records alone, so running
+ * one too many is harmless.
+ */
+
+import { DEFAULT_RULESET } from './rulesets.js';
+
+/**
+ * Current schema version
+ */
+export const SCHEMA_VERSION = 5;
+
+/**
+ * Collections migrations can touch
+ */
+export const Collection = {
+  ENCOUNTERS: 'encounters',
+  PLAYERS: 'players',
+  MONSTERS: 'monsters',
+  NOTES: 'notes',
+  MAPS: 'maps',
+  SETTINGS: 'settings'
+};
+
+// Where each collection lives in the app data blob
+const APP_DATA_FIELDS = {
+  [Collection.ENCOUNTERS]: 'encounters',
+  [Collection.PLAYERS]: 'players',
+  [Collection.MONSTERS]: 'customMonsters',
+  [Collection.NOTES]: 'notes',
+  [Collection.MAPS]: 'maps',
+  [Collection.SETTINGS]: 'settings'
+};
+
+// Collection held by each SaveManager save type
+const SAVE_TYPE_COLLECTIONS = {
+  encounter: Collection.ENCOUNTERS,
+  player: Collection.PLAYERS,
+  monster: Collection.MONSTERS,
+  settings: Collection.SETTINGS
+};
+
+// Schema version of data written before schema versions were stored
+const LEGACY_VERSIONS = {
+  '2.0.0': 1,
+  '2.1.0': 2,
+  '2.2.0': 2,
+  '2.3.0': 3,
+  '2.3.1': 3
+};
+
+// Lists added to the app data in schema 3
+const SCHEMA_3_LISTS = ['combatHistory', 'maps', 'customConditions', 'customSpells', 'customItems'];
+
+// ID prefixes used by the data.js save functions
+const ID_PREFIXES = {
+  [Collection.ENCOUNTERS]: 'encounter',
+  [Collection.PLAYERS]: 'player',
+  [Collection.MONSTERS]: 'monster',
+  [Collection.NOTES]: 'note',
+  [Collection.MAPS]: 'map'
+};
+
+/**
+ * Give a record an ID and timestamps if it has none
+ * @private
+ * @param {string} collection - Collection
+ * @returns {Function} Record migration
+ */
+function addRecordIds(collection) {
+  return (record, index) => {
+    const now = new Date().toISOString();
+    return {
+      ...record,
+      id: record.id || `${ID_PREFIXES[collection]}-${Date.now()}-${index}`,
+      created: record.created || record.lastModified || now,
+      lastModified: record.lastModified || record.created || now
+    };
+  };
+}
+
+/**
+ * Leave a record as it is
+ * @private
+ * @param {Object} record - Record
+ * @returns {Object} The same record
+ */
+function unchanged(record) {
+  return record;
+}
+
+/**
+ * Ordered migrations. A migration's version is the schema it upgrades to.
+ * Collection steps get one record (and its index in its list); app data
+ * steps get the whole app data blob.
+ */
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Store combatant conditions as objects instead of names',
+    collections: {
+      [Collection.ENCOUNTERS]: {
+        up: encounter => ({
+          ...encounter,
+          combatants: Array.isArray(encounter.combatants)
+            ? encounter.combatants.map(combatant => ({
+              ...combatant,
+              conditions: Array.isArray(combatant.conditions)
+                ? combatant.conditions.map(condition => (typeof condition === 'string'
+                  ? { id: condition, name: condition, duration: null }
+                  : condition))
+                : combatant.conditions
+            }))
+            : encounter.combatants
+        }),
+        // Names are all schema 1 can hold, so durations are lost
+        down: encounter => ({
+          ...encounter,
+          combatants: Array.isArray(encounter.combatants)
+            ? encounter.combatants.map(combatant => ({
+              ...combatant,
+              conditions: Array.isArray(combatant.conditions)
+                ? combatant.conditions.map(condition => (typeof condition === 'string' ? condition : condition.id))
+                : combatant.conditions
+            }))
+            : encounter.combatants
+        })
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Add combat history, maps, custom conditions, custom spells and custom items',
+    appData: {
+      up: data => {
+        const migrated = { ...data };
+        SCHEMA_3_LISTS.forEach(field => {
+          if (!Array.isArray(migrated[field])) {
+            migrated[field] = [];
+          }
+        });
+        return migrated;
+      },
+      // Lists with something in them are kept; older versions ignore them
+      down: data => {
+        const migrated = { ...data };
+        SCHEMA_3_LISTS.forEach(field => {
+          if (Array.isArray(migrated[field]) && migrated[field].length === 0) {
+            delete migrated[field];
+          }
+        });
+        return migrated;
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Add the ruleset setting',
+    collections: {
+      [Collection.SETTINGS]: {
+        up: settings => ({ ruleset: DEFAULT_RULESET, ...settings }),
+        down: settings => {
+          const { ruleset, ...rest } = settings;
+          return rest;
+        }
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Give every saved record an ID and created/modified timestamps',
+    collections: {
+      [Collection.ENCOUNTERS]: { up: addRecordIds(Collection.ENCOUNTERS), down: unchanged },
+      [Collection.PLAYERS]: { up: addRecordIds(Collection.PLAYERS), down: unchanged },
+      [Collection.MONSTERS]: { up: addRecordIds(Collection.MONSTERS), down: unchanged },
+      [Collection.NOTES]: { up: addRecordIds(Collection.NOTES), down: unchanged },
+      [Collection.MAPS]: { up: addRecordIds(Collection.MAPS), down: unchanged }
+    }
+  }
+];
+
+/**
+ * Copy data so migrations never change the caller's objects
+ * @private
+ * @param {*} data - Data
+ * @returns {*} Copy
+ */
+function clone(data) {
+  return data === undefined ? undefined : JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Get the migration steps between two schema versions, in the order they run
+ * @private
+ * @param {number} from - Schema version of the data
+ * @param {number} to - Schema version wanted
+ * @returns {Array} Steps ({migration, direction})
+ * @throws {Error} If a version is unknown or a step can't be reversed
+ */
+function getSteps(from, to) {
+  if (to > SCHEMA_VERSION || to < 1) {
+    throw new Error(`Unknown schema version: ${to}`);
+  }
+
+  if (from <= to) {
+    return MIGRATIONS
+      .filter(migration => migration.version > from && migration.version <= to)
+      .map(migration => ({ migration, direction: 'up' }));
+  }
+
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Data is from a newer schema (${from}) than this version supports (${SCHEMA_VERSION})`);
+  }
+
+  return MIGRATIONS
+    .filter(migration => migration.version <= from && migration.version > to)
+    .reverse()
+    .map(migration => {
+      const parts = [migration.appData, ...Object.values(migration.collections || {})].filter(Boolean);
+      if (parts.some(part => typeof part.down !== 'function')) {
+        throw new Error(`Migration to schema ${migration.version} can't be reversed`);
+      }
+      return { migration, direction: 'down' };
+    });
+}
+
+/**
+ * Run one collection step over a list of records or a single record
+ * @private
+ * @param {Object} migration - Migration
+ * @param {string} direction - 'up' or 'down'
+ * @param {string} collection - Collection
+ * @param {*} value - Records
+ * @returns {*} Migrated records
+ */
+function applyCollectionStep(migration, direction, collection, value) {
+  const step = migration.collections && migration.collections[collection];
+  if (!step || value === null || value === undefined) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((record, index) => (record && typeof record === 'object' ? step[direction](record, index) : record));
+  }
+
+  return typeof value === 'object' ? step[direction](value, 0) : value;
+}
+
+/**
+ * Get the schema version of stored data
+ * @param {Object} data - App data, a Storage export or a SaveManager file
+ * @returns {number} Schema version
+ */
+export function getSchemaVersion(data) {
+  if (!data || typeof data !== 'object') {
+    return 1;
+  }
+
+  if (typeof data.schemaVersion === 'number') {
+    return data.schemaVersion;
+  }
+  if (data.meta && typeof data.meta.schemaVersion === 'number') {
+    return data.meta.schemaVersion;
+  }
+
+  const version = data.version || (data.meta && data.meta.version);
+  return LEGACY_VERSIONS[version] || 1;
+}
+
+/**
+ * Check whether data needs migrating to the current schema
+ * @param {Object} data - App data, a Storage export or a SaveManager file
+ * @returns {boolean} True if it is from an older schema
+ */
+export function needsMigration(data) {
+  return getSchemaVersion(data) < SCHEMA_VERSION;
+}
+
+/**
+ * Migrate the records of one collection
+ * @param {string} collection - Collection
+ * @param {*} value - List of records, or a single record or settings object
+ * @param {number} from - Schema version of the records
+ * @param {number} to - Schema version wanted (defaults to the current one)
+ * @returns {*} Migrated copy of the records
+ */
+export function migrateCollection(collection, value, from, to = SCHEMA_VERSION) {
+  return getSteps(from, to).reduce(
+    (records, { migration, direction }) => applyCollectionStep(migration, direction, collection, records),
+    clone(value)
+  );
+}
+
+/**
+ * Migrate the app data blob kept by data.js. Fields no migration knows
+ * about are kept as they are.
+ * @param {Object} data - App data
+ * @param {number} to - Schema version wanted (defaults to the current one)
+ * @returns {Object} Migrated copy of the app data
+ */
+export function migrateAppData(data, to = SCHEMA_VERSION) {
+  const from = getSchemaVersion(data);
+
+  const migrated = getSteps(from, to).reduce((current, { migration, direction }) => {
+    let next = migration.appData ? migration.appData[direction](current) : current;
+
+    Object.entries(APP_DATA_FIELDS).forEach(([collection, field]) => {
+      if (field in next) {
+        next = { ...next, [field]: applyCollectionStep(migration, direction, collection, next[field]) };
+      }
+    });
+
+    return next;
+  }, clone(data));
+
+  migrated.schemaVersion = to;
+  return migrated;
+}
+
+/**
+ * Migrate a Storage export, whose records are keyed by collection name
+ * @param {Object} exported - Export from Storage.exportData
+ * @param {number} to - Schema version wanted (defaults to the current one)
+ * @returns {Object} Migrated copy of the export
+ */
+export function migrateStorageExport(exported, to = SCHEMA_VERSION) {
+  const from = getSchemaVersion(exported);
+  const migrated = clone(exported);
+
+  Object.values(Collection).forEach(collection => {
+    if (migrated.data && collection in migrated.data) {
+      migrated.data[collection] = migrateCollection(collection, migrated.data[collection], from, to);
+    }
+  });
+
+  migrated.schemaVersion = to;
+  return migrated;
+}
+
+/**
+ * Migrate a single SaveManager file
+ * @param {Object} data - Saved data
+ * @param {string} type - Save type (see SaveType in saves.js)
+ * @param {number} to - Schema version wanted (defaults to the current one)
+ * @returns {Object} Migrated copy of the data
+ */
+export function migrateSaveData(data, type, to = SCHEMA_VERSION) {
+  const from = getSchemaVersion(data);
+  const collection = SAVE_TYPE_COLLECTIONS[type];
+
+  // Backups hold the app data blob
+  const migrated = type === 'backup'
+    ? migrateAppData(data, to)
+    : collection ? migrateCollection(collection, data, from, to) : clone(data);
+
+  migrated.meta = { ...(migrated.meta || {}), schemaVersion: to };
+  delete migrated.schemaVersion;
+  return migrated;
+}
+
+/**
+ * Wrap data as it was before migrating, to keep as a backup
+ * @param {Object} data - Data about to be migrated
+ * @returns {Object} Backup ({schemaVersion, createdAt, data})
+ */
+export function createMigrationBackup(data) {
+  return {
+    schemaVersion: getSchemaVersion(data),
+    createdAt: new Date().toISOString(),
+    data: clone(data)
+  };
+}
+
+/**
+ * Check that migrated app data has the shape the app expects
+ * @param {Object} data - App data at the current schema
+ * @returns {Object} {valid, errors}
+ */
+export function validateAppData(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: ['not an object'] };
+  }
+
+  if (!data.version || typeof data.version !== 'string') {
+    errors.push('missing or invalid version');
+  }
+
+  if (!data.settings || typeof data.settings !== 'object') {
+    errors.push('missing or invalid settings');
+  }
+
+  ['encounters', 'players', 'customMonsters', 'notes', ...SCHEMA_3_LISTS].forEach(field => {
+    if (field in data && !Array.isArray(data[field])) {
+      errors.push(`${field} is not an array`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+export default {
+  SCHEMA_VERSION,
+  Collection,
+  MIGRATIONS,
+  getSchemaVersion,
+  needsMigration,
+  migrateCollection,
+  migrateAppData,
+  migrateStorageExport,
+  migrateSaveData,
+  createMigrationBackup,
+  validateAppData
+};
@@ -0,0 +1,513 @@
+/**
+ * Jesster's Combat Tracker
+ * Movement Module
+ * Version 2.3.1
+ *
+ * This module measures distances on the tactical map and tracks how far each
+ * combatant has moved this turn. Square grids count squares using the chosen
+ * diagonal rule, hex grids count hexes, and maps without a grid (or the
+ * Euclidean rule) measure straight-line distance. Terrain whose type has a
+ * movement cost above 1 (difficult terrain, water, rubble...) multiplies the
+ * cost of every step that enters it.
+ */
+
+import { ActionTypes, updateCombatant } from './actions.js';
+import { store as appStore } from './store.js';
+import { getTerrainTypes } from './lair.js';
+import { getGridScale, isPointInTemplate, getTemplateForArea } from './areaTemplates.js';
+import { recordMovement } from './actionEconomy.js';
+
+/**
+ * Rules for counting diagonal moves on a square grid
+ */
+export const DiagonalRule = {
+  STANDARD: '5-5-5',      // Every diagonal costs one square
+  ALTERNATING: '5-10-5',  // Every second diagonal costs two squares
+  EUCLIDEAN: 'euclidean'  // True straight-line distance
+};
+
+// Walking speed used when a combatant has none recorded
+const DEFAULT_SPEED = 30;
+
+/**
+ * Read a combatant's walking speed in feet
+ * @param {Object} combatant - Combatant ({speed} as a number, {walk, fly...} or "30 ft., fly 60 ft.")
+ * @param {Object} effects - Condition effects ({speedZero, speedHalved, speedDoubled})
+ * @returns {number} Speed in feet
+ */
+export function getWalkingSpeed(combatant, effects = {}) {
+  const { speed } = combatant || {};
+  let feet = DEFAULT_SPEED;
+
+  if (typeof speed === 'number') {
+    feet = speed;
+  } else if (speed && typeof speed === 'object') {
+    feet = parseInt(speed.walk, 10) || 0;
+  } else if (typeof speed === 'string') {
+    const match = speed.match(/^\s*(\d+)/);
+    feet = match ? parseInt(match[1], 10) : DEFAULT_SPEED;
+  }
+
+  if (effects.speedZero || effects.cannotMove) return 0;
+  if (effects.speedPenalty) feet = Math.max(0, feet - effects.speedPenalty);
+  if (effects.speedHalved) feet = Math.floor(feet / 2);
+  if (effects.speedDoubled) feet *= 2;
+
+  return feet;
+}
+
+/**
+ * Build a function giving the movement cost multiplier at a map point
+ * @param {Object|Array} terrain - Terrain features by ID (environment slice) or a list of them.
+ *   A feature's area is either a template placed on the map ({type, x, y, radius...})
+ *   or a list of grid cells ({cells: ['col,row']})
+ * @param {Object} grid - Grid settings ({gridType, gridSize, feetPerSquare})
+ * @returns {Function} Function (x, y) returning the multiplier (1 for normal ground)
+ */
+export function createTerrainCost(terrain, grid) {
+  const types = getTerrainTypes();
+  const scale = getGridScale(grid);
+  const size = grid.gridSize || 50;
+
+  const features = (Array.isArray(terrain) ? terrain : Object.values(terrain || {}))
+    .map(feature => {
+      const terrainType = types[feature.type];
+      const cost = feature.movementCost || (terrainType ? terrainType.movementCost : 1);
+      const area = feature.area;
+
+      if (cost <= 1 || !area) return null;
+
+      if (Array.isArray(area.cells)) {
+        const cells = new Set(area.cells);
+        return { cost, contains: (x, y) => cells.has(`${Math.floor(x / size)},${Math.floor(y / size)}`) };
+      }
+
+      const shape = getTemplateForArea(area);
+      if (!shape || area.x === undefined || area.y === undefined) return null;
+
+      const template = { ...shape, x: area.x, y: area.y, direction: area.direction || 0 };
+      return { cost, contains: (x, y) => isPointInTemplate(x, y, template, scale) };
+    })
+    .filter(Boolean);
+
+  return (x, y) => features.reduce(
+    (cost, feature) => (feature.contains(x, y) ? Math.max(cost, feature.cost) : cost),
+    1
+  );
+}
+
+/**
+ * Convert a point on a hex grid to cube coordinates (same layout the
+ * tactical map snaps tokens to)
+ * @param {number} x - Point X
+ * @param {number} y - Point Y
+ * @param {number} size - Grid size
+ * @returns {Object} Cube coordinates ({q, r, s})
+ * @private
+ */
+function toHexCube(x, y, size) {
+  const hexWidth = size * Math.sqrt(3) / 2;
+  const row = Math.round(y / (size * 0.75));
+  const offset = row % 2 !== 0 ? hexWidth / 2 : 0;
+  const col = Math.round((x - offset) / hexWidth);
+
+  const q = col - (row - (row & 1)) / 2;
+  return { q, r: row, s: -q - row };
+}
+
+/**
+ * Convert cube coordinates back to the centre of a hex
+ * @param {Object} cube - Cube coordinates ({q, r})
+ * @param {number} size - Grid size
+ * @returns {Object} Point ({x, y})
+ * @private
+ */
+function fromHexCube(cube, size) {
+  const hexWidth = size * Math.sqrt(3) / 2;
+  const row = cube.r;
+  const col = cube.q + (row - (row & 1)) / 2;
+
+  return {
+    x: col * hexWidth + (row % 2 !== 0 ? hexWidth / 2 : 0),
+    y: row * size * 0.75
+  };
+}
+
+/**
+ * Round fractional cube coordinates to the nearest hex
+ * @param {number} q - Fractional q
+ * @param {number} r - Fractional r
+ * @returns {Object} Cube coordinates ({q, r, s})
+ * @private
+ */
+function roundHexCube(q, r) {
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+
+  if (dq > dr && dq > ds) {
+    rq = -rr - rs;
+  } else if (dr > ds) {
+    rr = -rq - rs;
+  }
+
+  return { q: rq, r: rr, s: -rq - rr };
+}
+
+/**
+ * Measure a path through a list of points
+ * @param {Array} points - Path points ({x, y}), starting with the origin
+ * @param {Object} grid - Grid settings ({gridType, gridSize, feetPerSquare})
+ * @param {Object} options - Measuring options
+ * @param {string} options.diagonalRule - A DiagonalRule (square grids only)
+ * @param {Function} options.costAt - Movement cost multiplier at a point (see createTerrainCost)
+ * @returns {Object} Measurement ({distance, squares, difficult}) with distance in feet
+ */
+export function measurePath(points, grid, options = {}) {
+  const { diagonalRule = DiagonalRule.STANDARD, costAt = () => 1 } = options;
+  const size = grid.gridSize || 50;
+  const feetPerSquare = grid.feetPerSquare || 5;
+  const scale = getGridScale(grid);
+
+  let distance = 0;
+  let squares = 0;
+  let difficult = 0;
+  let diagonals = 0;
+
+  // Add the cost of entering the point reached after moving some feet
+  const step = (feet, x, y) => {
+    const cost = costAt(x, y);
+    distance += feet * cost;
+    if (cost > 1) difficult += feet * (cost - 1);
+  };
+
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+
+    if (grid.gridType === 'hex') {
+      const a = toHexCube(from.x, from.y, size);
+      const b = toHexCube(to.x, to.y, size);
+      const hexes = Math.max(Math.abs(a.q - b.q), Math.abs(a.r - b.r), Math.abs(a.s - b.s));
+
+      for (let n = 1; n <= hexes; n++) {
+        const t = n / hexes;
+        const cell = fromHexCube(roundHexCube(a.q + (b.q - a.q) * t, a.r + (b.r - a.r) * t), size);
+        step(feetPerSquare, cell.x, cell.y);
+      }
+
+      squares += hexes;
+    } else if (grid.gridType === 'none' || diagonalRule === DiagonalRule.EUCLIDEAN) {
+      const length = Math.hypot(to.x - from.x, to.y - from.y);
+      const pieces = Math.max(1, Math.ceil(length / (size / 2)));
+
+      for (let n = 1; n <= pieces; n++) {
+        const t = (n - 0.5) / pieces;
+        step(length / pieces / scale, from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t);
+      }
+
+      squares += length / size;
+    } else {
+      const dx = Math.round((to.x - from.x) / size);
+      const dy = Math.round((to.y - from.y) / size);
+      const moves = Math.max(Math.abs(dx), Math.abs(dy));
+
+      let x = 0;
+      let y = 0;
+      for (let n = 1; n <= moves; n++) {
+        const nx = Math.round((dx * n) / moves);
+        const ny = Math.round((dy * n) / moves);
+        let feet = feetPerSquare;
+
+        if (nx !== x && ny !== y) {
+          diagonals++;
+          if (diagonalRule === DiagonalRule.ALTERNATING && diagonals % 2 === 0) {
+            feet *= 2;
+          }
+        }
+
+        x = nx;
+        y = ny;
+        step(feet, from.x + x * size, from.y + y * size);
+      }
+
+      squares += moves;
+    }
+  }
+
+  return {
+    distance: Math.round(distance * 10) / 10,
+    squares,
+    difficult: Math.round(difficult * 10) / 10
+  };
+}
+
+/**
+ * Measure the distance between two points, ignoring terrain
+ * @param {Object} from - Start point ({x, y})
+ * @param {Object} to - End point ({x, y})
+ * @param {Object} grid - Grid settings ({gridType, gridSize, feetPerSquare})
+ * @param {string} diagonalRule - A DiagonalRule
+ * @returns {number} Distance in feet
+ */
+export function measureDistance(from, to, grid, diagonalRule = DiagonalRule.STANDARD) {
+  return measurePath([from, to], grid, { diagonalRule }).distance;
+}
+
+/**
+ * Class keeping each combatant's movement for the current turn
+ */
+export class MovementTracker {
+  /**
+   * Create a movement tracker
+   * @param {Object} options - Configuration options
+   * @param {Object} options.store - Store holding combat and the environment
+   * @param {Object} options.tactical - Tactical combat manager whose tokens are tracked
+   * @param {Object} options.history - Combat history moves are logged to (optional)
+   * @param {Object} options.conditions - Conditions module used for speed effects (optional)
+   */
+  constructor(options = {}) {
+    this.store = options.store || appStore;
+    this.tactical = options.tactical || null;
+    this.history = options.history || null;
+    this.conditions = options.conditions || null;
+    this.listeners = [];
+    this.cleanup = [];
+
+    const state = this.store.getState();
+    this.lastTerrain = state.environment.terrain;
+    this.lastTurn = this._getTurnKey(state.combat);
+
+    this.cleanup.push(this.store.subscribe((state, action) => this._handleDispatch(state, action)));
+
+    if (this.tactical) {
+      this.attachTacticalMap(this.tactical);
+    }
+  }
+
+  /**
+   * Identify the current turn
+   * @param {Object} combat - Combat slice
+   * @returns {string} Turn key
+   * @private
+   */
+  _getTurnKey(combat) {
+    return `${combat.active}:${combat.round}:${combat.turnIndex}`;
+  }
+
+  /**
+   * Follow turn changes and terrain changes in the store
+   * @param {Object} state - State after the action
+   * @param {Object} action - The dispatched action
+   * @private
+   */
+  _handleDispatch(state, action) {
+    if (state.environment.terrain !== this.lastTerrain) {
+      this.lastTerrain = state.environment.terrain;
+      this._syncTerrain();
+    }
+
+    const turn = this._getTurnKey(state.combat);
+    if (turn === this.lastTurn) return;
+    this.lastTurn = turn;
+
+    // A new combat gives everyone a full budget, a new turn only its owner
+    if (action.type === ActionTypes.START_COMBAT || action.type === ActionTypes.LOAD_DATA) {
+      this.resetAll();
+      return;
+    }
+
+    const { combatants, initiativeOrder, turnIndex } = state.combat;
+    const current = combatants.find(c => c.id === initiativeOrder[turnIndex]);
+    if (current) {
+      this.resetCombatant(current.id);
+    }
+  }
+
+  /**
+   * Track moves made on a tactical map
+   * @param {Object} tactical - Tactical combat manager
+   */
+  attachTacticalMap(tactical) {
+    this.tactical = tactical;
+
+    this.cleanup.push(tactical.addListener((event, data) => {
+      if (event === 'tokenMoveEnd' && data.movement) {
+        this._recordMove(data);
+      } else if (event === 'tokenAdded' && data.token.combatantId) {
+        this._setBudget(data.token, 0);
+      }
+    }));
+
+    this._syncTerrain();
+    this.resetAll();
+  }
+
+  /**
+   * Pass the environment's terrain to the tactical map
+   * @private
+   */
+  _syncTerrain() {
+    if (this.tactical) {
+      this.tactical.setTerrain(this.store.getState().environment.terrain);
+    }
+  }
+
+  /**
+   * Get a combatant's speed after condition effects
+   * @param {Object} combatant - Combatant
+   * @returns {number} Speed in feet
+   */
+  getSpeed(combatant) {
+    const effects = this.conditions ? this.conditions.getConditionEffects(combatant) : {};
+    return getWalkingSpeed(combatant, effects);
+  }
+
+  /**
+   * Give a token the movement budget of its combatant
+   * @param {Object} token - Token linked to a combatant
+   * @param {number} used - Feet already used this turn
+   * @private
+   */
+  _setBudget(token, used) {
+    const combatant = this.store.getState().combat.combatants.find(c => c.id === token.combatantId);
+    if (!combatant) return;
+
+    this.tactical.setMovementBudget(token.id, this.getSpeed(combatant), used);
+  }
+
+  /**
+   * Reset a combatant's movement at the start of its turn
+   * @param {string} combatantId - Combatant ID
+   */
+  resetCombatant(combatantId) {
+    if (!this.tactical) return;
+
+    this.tactical.battlefield.tokens
+      .filter(token => token.combatantId === combatantId)
+      .forEach(token => this._setBudget(token, 0));
+
+    this._notifyListeners('movementReset', { combatantId });
+  }
+
+  /**
+   * Reset every combatant's movement
+   */
+  resetAll() {
+    if (!this.tactical) return;
+
+    this.tactical.battlefield.tokens
+      .filter(token => token.combatantId)
+      .forEach(token => this._setBudget(token, 0));
+
+    this._notifyListeners('movementReset', { combatantId: null });
+  }
+
+  /**
+   * Get how far a combatant can still move this turn
+   * @param {string} combatantId - Combatant ID
+   * @returns {Object|null} Movement ({speed, used, remaining}) or null if the combatant has no token
+   */
+  getMovement(combatantId) {
+    if (!this.tactical) return null;
+
+    const token = this.tactical.battlefield.tokens.find(t => t.combatantId === combatantId);
+    return token ? this.tactical.getMovement(token.id) : null;
+  }
+
+  /**
+   * Log a finished move
+   * @param {Object} data - tokenMoveEnd event data
+   * @private
+   */
+  _recordMove(data) {
+    const { token, from, position, movement } = data;
+    if (!movement.distance) return;
+
+    const combatant = this.store.getState().combat.combatants.find(c => c.id === token.combatantId);
+    const actor = combatant || { id: token.id, name: token.name, type: null };
+
+    // Count the move against the combatant's movement for the turn
+    if (combatant && combatant.actionEconomy) {
+      this.store.dispatch(updateCombatant(combatant.id, {
+        actionEconomy: recordMovement(combatant.actionEconomy, movement.distance)
+      }));
+    }
+
+    if (this.history) {
+      this.history.recordMovement(actor, movement.distance, {
+        from,
+        to: position,
+        difficult: movement.difficult,
+        remaining: movement.remaining
+      });
+    }
+
+    this._notifyListeners('moved', { combatant: actor, token, movement });
+  }
+
+  /**
+   * Add a listener for movement events ('moved', 'movementReset')
+   * @param {Function} listener - Listener called with the event name and data
+   * @returns {Function} Function to remove the listener
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+
+    return () => {
+      const index = this.listeners.indexOf(listener);
+      if (index !== -1) {
+        this.listeners.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Notify listeners of an event
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @private
+   */
+  _notifyListeners(event, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error('Error in movement tracker listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Stop tracking the store and the map
+   */
+  destroy() {
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+    this.listeners = [];
+  }
+}
+
+/**
+ * Create a new movement tracker
+ * @param {Object} options - Configuration options
+ * @returns {MovementTracker} A new movement tracker instance
+ */
+export function createMovementTracker(options = {}) {
+  return new MovementTracker(options);
+}
+
+export default {
+  DiagonalRule,
+  getWalkingSpeed,
+  createTerrainCost,
+  measurePath,
+  measureDistance,
+  MovementTracker,
+  createMovementTracker
+};
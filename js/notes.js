@@ -2,13 +2,19 @@
  * Notes module for Jesster's Combat Tracker
  * Handles note-taking functionality
  */
+import * as actions from './actions.js';
+import { store as appStore } from './store.js';
+import { Collection, DocumentName } from './repository.js';
+
 class Notes {
-    constructor(storage) {
-        // Store reference to storage module
-        this.storage = storage;
+    constructor(repository, store = appStore) {
+        // Store reference to the repository
+        this.repository = repository;
+        
+        // Application store; notes live in its notes slice
+        this.store = store;
         
         // Notes data
-        this.notes = [];
         this.categories = [];
         this.tags = [];
         
@@ -22,19 +28,17 @@ class Notes {
     }
 
     /**
-     * Load notes data from storage
+     * Load notes data from the repository
      * @private
      */
     async _loadNotes() {
         try {
             // Load notes
-            const notes = await this.storage.load('notes', { useLocalStorage: true });
-            if (notes && Array.isArray(notes)) {
-                this.notes = notes;
-            }
+            const notes = await this.repository.list(Collection.NOTES);
+            this.store.dispatch(actions.loadData({ notes }));
             
             // Load categories
-            const categories = await this.storage.load('noteCategories', { useLocalStorage: true });
+            const categories = await this.repository.getDocument(DocumentName.NOTE_CATEGORIES);
             if (categories && Array.isArray(categories)) {
                 this.categories = categories;
             } else {
@@ -57,24 +61,32 @@ class Notes {
     }
 
     /**
-     * Save notes to storage
+     * All notes
+     * @returns {Array} Notes
+     */
+    get notes() {
+        return this.store.getState().notes.items;
+    }
+
+    /**
+     * Save notes to the repository
      * @private
      */
     async _saveNotes() {
         try {
-            await this.storage.save('notes', this.notes, { useLocalStorage: true });
+            await this.repository.replaceAll(Collection.NOTES, this.notes);
         } catch (error) {
             console.error('Error saving notes:', error);
         }
     }
 
     /**
-     * Save categories to storage
+     * Save categories to the repository
      * @private
      */
     async _saveCategories() {
         try {
-            await this.storage.save('noteCategories', this.categories, { useLocalStorage: true });
+            await this.repository.setDocument(DocumentName.NOTE_CATEGORIES, this.categories);
         } catch (error) {
             console.error('Error saving note categories:', error);
         }
@@ -122,8 +134,8 @@ class Notes {
             archived: false
         };
         
-        // Add to notes array
-        this.notes.push(note);
+        // Add to notes
+        this.store.dispatch(actions.addNote(note));
         
         // Update tags list
         this._updateTagsList();
@@ -134,7 +146,7 @@ class Notes {
         // Set as current note
         this.currentNoteId = noteId;
         
-        return note;
+        return this.getNote(noteId);
     }
 
     /**
@@ -161,11 +173,10 @@ class Notes {
         }
         
         // Update note
-        this.notes[index] = {
-            ...this.notes[index],
+        this.store.dispatch(actions.updateNote(noteId, {
             ...updates,
             modified: Date.now()
-        };
+        }));
         
         // Update tags list
         this._updateTagsList();
@@ -173,7 +184,7 @@ class Notes {
         // Save notes
         await this._saveNotes();
         
-        return this.notes[index];
+        return this.getNote(noteId);
     }
 
     /**
@@ -190,7 +201,7 @@ class Notes {
         }
         
         // Remove note
-        this.notes.splice(index, 1);
+        this.store.dispatch(actions.deleteNote(noteId));
         
         // Update current note if deleted
         if (this.currentNoteId === noteId) {
@@ -420,17 +431,11 @@ class Notes {
             return null;
         }
         
-        // Initialize tags array if it doesn't exist
-        if (!note.tags) {
-            note.tags = [];
-        }
-        
         // Add tag if it doesn't already exist
-        if (!note.tags.includes(tag)) {
-            note.tags.push(tag);
-            
+        const tags = note.tags || [];
+        if (!tags.includes(tag)) {
             // Update note
-            return await this.updateNote(noteId, { tags: note.tags });
+            return await this.updateNote(noteId, { tags: [...tags, tag] });
         }
         
         return note;
@@ -452,10 +457,8 @@ class Notes {
         
         // Remove tag
         if (note.tags) {
-            note.tags = note.tags.filter(t => t !== tag);
-            
             // Update note
-            return await this.updateNote(noteId, { tags: note.tags });
+            return await this.updateNote(noteId, { tags: note.tags.filter(t => t !== tag) });
         }
         
         return note;
@@ -583,9 +586,9 @@ class Notes {
                     archived: note.archived || false
                 };
                 
-                // Add to notes array
-                this.notes.push(newNote);
-                importedNotes.push(newNote);
+                // Add to notes
+                this.store.dispatch(actions.addNote(newNote));
+                importedNotes.push(this.getNote(noteId));
             }
             
             // Update tags list
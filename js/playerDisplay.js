@@ -0,0 +1,638 @@
+/**
+ * Jesster's Combat Tracker
+ * Player Display Module
+ * Version 2.3.1
+ *
+ * This module drives the player-facing display: a second window (usually on
+ * a TV) that mirrors the initiative order, the current turn, HP descriptors,
+ * public conditions and the tactical map. The DM's window builds a filtered
+ * view of the combat and broadcasts it over a BroadcastChannel, falling back
+ * to postMessage where channels are unavailable. Hidden combatants, hidden
+ * tokens and anything the DM has not chosen to reveal never leave the DM's
+ * window.
+ */
+
+import Utils from './utils.js';
+import { createTacticalCombatManager } from './tactical.js';
+import { store as appStore } from './store.js';
+
+/**
+ * Name of the channel the DM and player windows share
+ */
+export const PLAYER_DISPLAY_CHANNEL = 'jct-player-display';
+
+/**
+ * Messages exchanged between the DM and player windows
+ */
+export const PlayerDisplayMessage = {
+  STATE: 'player-display:state',
+  REQUEST_STATE: 'player-display:request-state',
+  CLOSED: 'player-display:closed'
+};
+
+/**
+ * What the player display reveals by default
+ */
+export const DEFAULT_PLAYER_DISPLAY_OPTIONS = {
+  showExactHp: false,       // Exact HP for monsters and NPCs (players always show exact HP)
+  showMonsterNames: false,  // Real names for monsters and NPCs
+  showUpcomingTurns: true,  // Whole initiative order rather than just the current turn
+  showMap: true,            // Tactical map
+  playerVisionOnly: false   // Fog the map outside what player tokens can see
+};
+
+const utils = new Utils();
+
+/**
+ * Get the name players see for a combatant
+ * @param {Object} combatant - Combatant
+ * @param {number} number - Position of the combatant among non-player combatants
+ * @param {Object} options - Display options
+ * @returns {string} Public name
+ * @private
+ */
+function getPublicName(combatant, number, options) {
+  if (combatant.type === 'pc' || options.showMonsterNames) {
+    return combatant.name;
+  }
+
+  return combatant.publicName || `Creature ${number}`;
+}
+
+/**
+ * Get the names of the conditions players may see
+ * @param {Array} conditions - Conditions
+ * @returns {Array<string>} Condition names
+ * @private
+ */
+function getPublicConditions(conditions = []) {
+  return conditions
+    .filter(condition => condition && !condition.hidden && !condition.secret)
+    .map(condition => (typeof condition === 'string' ? condition : condition.name || condition.type));
+}
+
+/**
+ * Build the map as players see it
+ * @param {Object} tactical - Tactical combat manager
+ * @param {Map} combatantsById - Public combatant data keyed by combatant ID
+ * @param {Object} options - Display options
+ * @param {number} firstNumber - Number for the first creature token without a combatant
+ * @returns {Object|null} Map data
+ * @private
+ */
+function buildPlayerMap(tactical, combatantsById, options, firstNumber) {
+  const data = tactical.saveToData();
+  const fogged = options.playerVisionOnly;
+  let nextNumber = firstNumber;
+
+  // Under fog only tokens the players can see are sent at all
+  const tokens = data.tokens
+    .filter(token => !token.hidden)
+    .filter(token => !token.combatantId || combatantsById.has(token.combatantId))
+    .filter(token => !fogged || token.isPlayer || tactical.isVisibleToPlayers(token.x, token.y))
+    .map(token => {
+      const linked = token.combatantId ? combatantsById.get(token.combatantId) : null;
+      const showHp = linked && (linked.isPlayer || options.showExactHp);
+
+      // Tokens without a combatant are named like any other creature
+      const name = linked
+        ? linked.name
+        : getPublicName({ ...token, type: token.isPlayer ? 'pc' : 'monster' }, token.isPlayer ? null : nextNumber++, options);
+
+      return {
+        id: token.id,
+        x: token.x,
+        y: token.y,
+        size: token.size,
+        color: token.color,
+        name,
+        hp: showHp ? token.hp : { current: 0, max: 0 },
+        conditions: (token.conditions || []).filter(condition => !condition.hidden && !condition.secret),
+        isPlayer: !!token.isPlayer,
+        visionRange: token.visionRange,
+        isCurrent: !!(linked && linked.isCurrent)
+      };
+    });
+
+  return {
+    width: data.width,
+    height: data.height,
+    grid: {
+      gridType: tactical.options.gridType,
+      gridSize: tactical.options.gridSize,
+      gridColor: tactical.options.gridColor,
+      showGrid: tactical.options.showGrid,
+      feetPerSquare: tactical.options.feetPerSquare
+    },
+    tokens,
+    walls: data.walls.filter(wall => !wall.hidden),
+    doors: data.doors.filter(door => !door.hidden),
+    objects: data.objects
+      .filter(object => !object.hidden)
+      .filter(object => !fogged || tactical.isExploredByPlayers(object.x, object.y)),
+    templates: (data.templates || []).filter(template => !template.hidden),
+    background: data.background,
+    fog: fogged ? data.fog : null
+  };
+}
+
+/**
+ * Build the view of combat that players are allowed to see
+ * @param {Object} combat - Combat slice of the store state
+ * @param {Object} options - Display options (see DEFAULT_PLAYER_DISPLAY_OPTIONS)
+ * @param {Object} tactical - Tactical combat manager (optional)
+ * @returns {Object} Player view
+ */
+export function buildPlayerView(combat, options = {}, tactical = null) {
+  const settings = { ...DEFAULT_PLAYER_DISPLAY_OPTIONS, ...options };
+  const { combatants = [], initiativeOrder = [] } = combat;
+
+  // Number non-player combatants in the order they joined so their public
+  // names stay stable as initiative changes
+  const numbers = new Map();
+  combatants
+    .filter(combatant => combatant.type !== 'pc')
+    .forEach((combatant, index) => numbers.set(combatant.id, index + 1));
+
+  const ordered = initiativeOrder
+    .map(id => combatants.find(c => c.id === id))
+    .filter(Boolean);
+  const current = ordered[combat.turnIndex] || null;
+
+  const visible = ordered
+    .filter(combatant => !combatant.hidden)
+    .map(combatant => {
+      const isPlayer = combatant.type === 'pc';
+      const hpMode = isPlayer || settings.showExactHp ? 'exact' : 'descriptive';
+
+      return {
+        id: combatant.id,
+        name: getPublicName(combatant, numbers.get(combatant.id), settings),
+        isPlayer,
+        isCurrent: !!current && combatant.id === current.id,
+        hp: utils.formatHpForPlayerView(combatant.hp, combatant.maxHp, hpMode),
+        defeated: combatant.hp <= 0,
+        conditions: getPublicConditions(combatant.conditions)
+      };
+    });
+
+  // Without upcoming turns players only see whose turn it is
+  const shown = settings.showUpcomingTurns
+    ? visible
+    : visible.filter(combatant => combatant.isCurrent);
+
+  const combatantsById = new Map(visible.map(combatant => [combatant.id, combatant]));
+
+  return {
+    active: !!combat.active,
+    round: combat.round,
+    // A hidden combatant's turn shows as nobody's turn
+    currentId: current && !current.hidden ? current.id : null,
+    combatants: shown,
+    map: settings.showMap && tactical ? buildPlayerMap(tactical, combatantsById, settings, numbers.size + 1) : null,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Class that sends the player view from the DM's window
+ */
+export class PlayerDisplayBroadcaster {
+  /**
+   * Create a player display broadcaster
+   * @param {Object} options - Configuration options
+   * @param {Object} options.store - Store holding the combat state
+   * @param {Object} options.tactical - Tactical combat manager (optional)
+   * @param {Object} options.display - Display options (see DEFAULT_PLAYER_DISPLAY_OPTIONS)
+   * @param {string} options.channelName - Channel name
+   * @param {string} options.url - Address of the player display page
+   */
+  constructor(options = {}) {
+    this.store = options.store || appStore;
+    this.tactical = null;
+    this.options = { ...DEFAULT_PLAYER_DISPLAY_OPTIONS, ...(options.display || {}) };
+    this.channelName = options.channelName || PLAYER_DISPLAY_CHANNEL;
+    this.url = options.url || 'player.html';
+    this.channel = null;
+    this.window = null;
+    this.lastCombat = null;
+    this.broadcastTimer = null;
+    this.cleanup = [];
+
+    this._handleMessage = this._handleMessage.bind(this);
+    this._handleWindowMessage = this._handleWindowMessage.bind(this);
+
+    this._init();
+
+    if (options.tactical) {
+      this.attachTacticalMap(options.tactical);
+    }
+  }
+
+  /**
+   * Open the channel and start following the store
+   * @private
+   */
+  _init() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.addEventListener('message', this._handleMessage);
+    }
+
+    window.addEventListener('message', this._handleWindowMessage);
+    this.cleanup.push(() => window.removeEventListener('message', this._handleWindowMessage));
+
+    this.lastCombat = this.store.getState().combat;
+    this.cleanup.push(this.store.subscribe(state => {
+      if (state.combat !== this.lastCombat) {
+        this.lastCombat = state.combat;
+        this.scheduleBroadcast();
+      }
+    }));
+  }
+
+  /**
+   * Mirror a tactical map on the player display
+   * @param {Object} tactical - Tactical combat manager
+   */
+  attachTacticalMap(tactical) {
+    this.tactical = tactical;
+
+    this.cleanup.push(tactical.addListener(() => this.scheduleBroadcast()));
+
+    this.scheduleBroadcast();
+  }
+
+  /**
+   * Handle a message from a player display over the channel
+   * @param {MessageEvent} event - Message event
+   * @private
+   */
+  _handleMessage(event) {
+    if (event.data && event.data.type === PlayerDisplayMessage.REQUEST_STATE) {
+      this.broadcast();
+    }
+  }
+
+  /**
+   * Handle a message posted by the player display window
+   * @param {MessageEvent} event - Message event
+   * @private
+   */
+  _handleWindowMessage(event) {
+    if (event.origin !== window.location.origin || (this.window && event.source !== this.window)) {
+      return;
+    }
+
+    this._handleMessage(event);
+  }
+
+  /**
+   * Open the player display in a new window
+   * @returns {Window|null} The player display window
+   */
+  openWindow() {
+    if (this.window && !this.window.closed) {
+      this.window.focus();
+      return this.window;
+    }
+
+    this.window = window.open(this.url, 'jct-player-display');
+    if (!this.window) {
+      console.warn('The player display window was blocked');
+    }
+
+    return this.window;
+  }
+
+  /**
+   * Change what the player display reveals
+   * @param {Object} updates - Display options to change
+   * @returns {Object} The display options
+   */
+  setOptions(updates) {
+    this.options = { ...this.options, ...updates };
+    this.broadcast();
+    return this.options;
+  }
+
+  /**
+   * Build the current player view
+   * @returns {Object} Player view
+   */
+  getView() {
+    return buildPlayerView(this.store.getState().combat, this.options, this.tactical);
+  }
+
+  /**
+   * Broadcast the player view once the current burst of changes is over
+   * (dragging a token reports every mouse move)
+   */
+  scheduleBroadcast() {
+    if (this.broadcastTimer) {
+      return;
+    }
+
+    this.broadcastTimer = setTimeout(() => {
+      this.broadcastTimer = null;
+      this.broadcast();
+    }, 50);
+  }
+
+  /**
+   * Send the player view to every open player display
+   */
+  broadcast() {
+    this._send({ type: PlayerDisplayMessage.STATE, view: this.getView() });
+  }
+
+  /**
+   * Send a message over the channel, or straight to the display window
+   * @param {Object} message - Message to send
+   * @private
+   */
+  _send(message) {
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else if (this.window && !this.window.closed) {
+        this.window.postMessage(message, window.location.origin);
+      }
+    } catch (error) {
+      console.error('Error sending player display update:', error);
+    }
+  }
+
+  /**
+   * Tell player displays the DM has gone and stop broadcasting
+   */
+  destroy() {
+    this._send({ type: PlayerDisplayMessage.CLOSED });
+
+    clearTimeout(this.broadcastTimer);
+    this.broadcastTimer = null;
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+  }
+}
+
+/**
+ * Class that renders the player view in the player display window
+ */
+export class PlayerDisplayView {
+  /**
+   * Create a player display view
+   * @param {Object} options - Configuration options
+   * @param {string} options.containerId - ID of the container element
+   * @param {string} options.channelName - Channel name
+   */
+  constructor(options = {}) {
+    this.options = {
+      containerId: 'jct-player-screen',
+      channelName: PLAYER_DISPLAY_CHANNEL,
+      ...options
+    };
+
+    this.container = null;
+    this.ui = {};
+    this.channel = null;
+    this.tactical = null;
+    this.view = null;
+
+    this._handleMessage = this._handleMessage.bind(this);
+    this._handleWindowMessage = this._handleWindowMessage.bind(this);
+    this._handleResize = this._handleResize.bind(this);
+  }
+
+  /**
+   * Build the display and ask the DM's window for the current state
+   */
+  initialize() {
+    this.container = document.getElementById(this.options.containerId);
+    if (!this.container) {
+      console.error(`Container element with ID "${this.options.containerId}" not found`);
+      return;
+    }
+
+    this.container.innerHTML = `
+      <header class="jct-player-header">
+        <h1>Round <span class="jct-player-round">-</span></h1>
+        <div class="jct-player-turn"></div>
+      </header>
+      <main class="jct-player-main">
+        <ol class="jct-player-initiative"></ol>
+        <div class="jct-player-map"><canvas></canvas></div>
+      </main>
+      <div class="jct-player-waiting">Waiting for the DM...</div>
+    `;
+
+    this.ui.round = this.container.querySelector('.jct-player-round');
+    this.ui.turn = this.container.querySelector('.jct-player-turn');
+    this.ui.initiative = this.container.querySelector('.jct-player-initiative');
+    this.ui.map = this.container.querySelector('.jct-player-map');
+    this.ui.canvas = this.ui.map.querySelector('canvas');
+    this.ui.waiting = this.container.querySelector('.jct-player-waiting');
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.options.channelName);
+      this.channel.addEventListener('message', this._handleMessage);
+    }
+
+    window.addEventListener('message', this._handleWindowMessage);
+    window.addEventListener('resize', this._handleResize);
+
+    this._showWaiting(true);
+    this._requestState();
+  }
+
+  /**
+   * Ask the DM's window to send the current view
+   * @private
+   */
+  _requestState() {
+    const message = { type: PlayerDisplayMessage.REQUEST_STATE };
+
+    if (this.channel) {
+      this.channel.postMessage(message);
+    } else if (window.opener) {
+      window.opener.postMessage(message, window.location.origin);
+    }
+  }
+
+  /**
+   * Handle a message from the DM's window over the channel
+   * @param {MessageEvent} event - Message event
+   * @private
+   */
+  _handleMessage(event) {
+    const message = event.data;
+    if (!message) return;
+
+    if (message.type === PlayerDisplayMessage.STATE) {
+      this.render(message.view);
+    } else if (message.type === PlayerDisplayMessage.CLOSED) {
+      this._showWaiting(true);
+    }
+  }
+
+  /**
+   * Handle a message posted by the DM's window
+   * @param {MessageEvent} event - Message event
+   * @private
+   */
+  _handleWindowMessage(event) {
+    if (event.origin !== window.location.origin || event.source !== window.opener) {
+      return;
+    }
+
+    this._handleMessage(event);
+  }
+
+  /**
+   * Resize the map to fit its container
+   * @private
+   */
+  _handleResize() {
+    if (this.view) {
+      this._renderMap(this.view.map);
+    }
+  }
+
+  /**
+   * Show or hide the waiting message
+   * @param {boolean} waiting - Whether the display is waiting for the DM
+   * @private
+   */
+  _showWaiting(waiting) {
+    this.ui.waiting.style.display = waiting ? 'flex' : 'none';
+  }
+
+  /**
+   * Render a player view
+   * @param {Object} view - Player view from buildPlayerView
+   */
+  render(view) {
+    if (!view) return;
+
+    this.view = view;
+    this._showWaiting(false);
+
+    this.ui.round.textContent = view.active ? view.round : '-';
+
+    const current = view.combatants.find(combatant => combatant.isCurrent);
+    this.ui.turn.textContent = current ? `${current.name}'s turn` : '';
+
+    this._renderInitiative(view.combatants);
+    this._renderMap(view.map);
+  }
+
+  /**
+   * Render the initiative list
+   * @param {Array} combatants - Public combatant data
+   * @private
+   */
+  _renderInitiative(combatants) {
+    this.ui.initiative.innerHTML = '';
+
+    combatants.forEach(combatant => {
+      const item = document.createElement('li');
+      item.className = 'jct-player-combatant';
+      item.classList.toggle('jct-active', combatant.isCurrent);
+      item.classList.toggle('jct-defeated', combatant.defeated);
+      item.classList.toggle('jct-player-character', combatant.isPlayer);
+
+      const name = document.createElement('span');
+      name.className = 'jct-player-combatant-name';
+      name.textContent = combatant.name;
+      item.appendChild(name);
+
+      if (combatant.hp) {
+        const hp = document.createElement('span');
+        hp.className = 'jct-player-combatant-hp';
+        hp.textContent = combatant.hp;
+        item.appendChild(hp);
+      }
+
+      if (combatant.conditions.length > 0) {
+        const conditions = document.createElement('span');
+        conditions.className = 'jct-player-combatant-conditions';
+        conditions.textContent = combatant.conditions.join(', ');
+        item.appendChild(conditions);
+      }
+
+      this.ui.initiative.appendChild(item);
+    });
+  }
+
+  /**
+   * Render the tactical map
+   * @param {Object|null} map - Public map data
+   * @private
+   */
+  _renderMap(map) {
+    this.ui.map.style.display = map ? 'block' : 'none';
+    if (!map) return;
+
+    this.ui.canvas.width = this.ui.map.clientWidth;
+    this.ui.canvas.height = this.ui.map.clientHeight;
+
+    // With fog the map is drawn as the players' tokens see it
+    const settings = { ...map.grid, playerView: !!map.fog };
+    
+    if (!this.tactical) {
+      this.tactical = createTacticalCombatManager({ ...settings, snapToGrid: false });
+      this.tactical.initialize(this.ui.canvas);
+    } else {
+      Object.assign(this.tactical.options, settings);
+    }
+
+    this.tactical.loadFromData(map);
+  }
+
+  /**
+   * Stop listening for updates
+   */
+  destroy() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+
+    window.removeEventListener('message', this._handleWindowMessage);
+    window.removeEventListener('resize', this._handleResize);
+  }
+}
+
+/**
+ * Create a player display broadcaster
+ * @param {Object} options - Configuration options
+ * @returns {PlayerDisplayBroadcaster} A new broadcaster instance
+ */
+export function createPlayerDisplayBroadcaster(options = {}) {
+  return new PlayerDisplayBroadcaster(options);
+}
+
+/**
+ * Create a player display view
+ * @param {Object} options - Configuration options
+ * @returns {PlayerDisplayView} A new view instance
+ */
+export function createPlayerDisplayView(options = {}) {
+  return new PlayerDisplayView(options);
+}
+
+export default {
+  PLAYER_DISPLAY_CHANNEL,
+  PlayerDisplayMessage,
+  DEFAULT_PLAYER_DISPLAY_OPTIONS,
+  buildPlayerView,
+  PlayerDisplayBroadcaster,
+  PlayerDisplayView,
+  createPlayerDisplayBroadcaster,
+  createPlayerDisplayView
+};
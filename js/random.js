@@ -0,0 +1,183 @@
+/**
+ * Jesster's Combat Tracker
+ * Random Module
+ * Version 2.3.1
+ *
+ * This module provides the seedable random sources used for dice rolls,
+ * random target selection and procedural images. A seed fully determines
+ * the sequence of values, so a session can be reproduced from its seed.
+ */
+
+/**
+ * Hash a seed of any type into a 32-bit unsigned integer
+ * @param {number|string} seed - The seed
+ * @returns {number} 32-bit unsigned integer
+ */
+export function hashSeed(seed) {
+  if (typeof seed === 'number' && Number.isInteger(seed)) {
+    return seed >>> 0;
+  }
+
+  // FNV-1a over the string form of the seed
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed - The seed for the random number generator
+ * @returns {Function} A function that returns a random number between 0 and 1
+ */
+export function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+
+  return function() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a fresh seed
+ * @returns {string} A new seed
+ */
+export function generateSeed() {
+  let value;
+  if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+    value = crypto.getRandomValues(new Uint32Array(1))[0];
+  } else {
+    value = Math.floor(Math.random() * 4294967296);
+  }
+  return value.toString(36).padStart(7, '0');
+}
+
+/**
+ * Class representing a seeded random source
+ */
+export class RandomSource {
+  /**
+   * Create a random source
+   * @param {number|string} seed - The seed (a new one is generated if omitted)
+   */
+  constructor(seed = generateSeed()) {
+    this.reseed(seed);
+  }
+
+  /**
+   * Restart the sequence from a seed
+   * @param {number|string} seed - The seed
+   */
+  reseed(seed) {
+    this.seed = seed;
+    this.draws = 0;
+    this.generator = createSeededRandom(seed);
+  }
+
+  /**
+   * Get the next value
+   * @returns {number} A number between 0 (inclusive) and 1 (exclusive)
+   */
+  next() {
+    this.draws++;
+    return this.generator();
+  }
+
+  /**
+   * Get a random integer between min and max (inclusive)
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @returns {number} Random integer
+   */
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Shuffle a copy of an array (Fisher-Yates)
+   * @param {Array} items - Items to shuffle
+   * @returns {Array} Shuffled copy
+   */
+  shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = this.int(0, i);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  /**
+   * Get the state of the source
+   * @returns {Object} Seed and number of values drawn
+   */
+  getState() {
+    return { seed: this.seed, draws: this.draws };
+  }
+
+  /**
+   * Restore a state captured with getState
+   * @param {Object} state - Seed and number of values drawn
+   */
+  setState(state) {
+    this.reseed(state.seed);
+    for (let i = 0; i < (state.draws || 0); i++) {
+      this.next();
+    }
+  }
+}
+
+/**
+ * Class representing a source that replays recorded values
+ */
+export class ReplayRandomSource {
+  /**
+   * Create a replay source
+   * @param {number[]} values - Recorded values, in draw order
+   * @param {Object} fallback - Source used once the recorded values run out
+   */
+  constructor(values, fallback) {
+    this.values = values || [];
+    this.index = 0;
+    this.fallback = fallback;
+    this.exhausted = false;
+  }
+
+  /**
+   * Get the next value
+   * @returns {number} A number between 0 (inclusive) and 1 (exclusive)
+   */
+  next() {
+    if (this.index < this.values.length) {
+      return this.values[this.index++];
+    }
+
+    this.exhausted = true;
+    return this.fallback.next();
+  }
+}
+
+/**
+ * Create a new random source
+ * @param {number|string} seed - The seed
+ * @returns {RandomSource} A new random source instance
+ */
+export function createRandomSource(seed) {
+  return new RandomSource(seed);
+}
+
+export default {
+  hashSeed,
+  createSeededRandom,
+  generateSeed,
+  RandomSource,
+  ReplayRandomSource,
+  createRandomSource
+};
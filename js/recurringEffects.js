@@ -0,0 +1,134 @@
+/**
+ * Jesster's Combat Tracker
+ * Recurring Effects Module
+ * Version 2.3.1
+ *
+ * This module describes effects that deal damage or restore hit points on a
+ * combatant every turn, such as "5 (2d4) acid damage at the start of each of
+ * its turns", a troll's Regeneration or Heat Metal. Effects are stored on the
+ * combatant (combatant.recurringEffects) and tick at a turn anchor from
+ * conditions.js; the combat module rolls them through the damage module.
+ */
+
+import { DurationAnchor } from './conditions.js';
+
+/**
+ * What a recurring effect does when it ticks
+ */
+export const RecurringEffectType = {
+  DAMAGE: 'damage',
+  HEALING: 'healing'
+};
+
+/**
+ * Create a recurring effect
+ * @param {Object} data - Effect data
+ * @returns {Object} Recurring effect
+ */
+export function createRecurringEffect(data = {}) {
+  return {
+    id: data.id || `recurring_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+    name: data.name || 'Recurring Effect',
+    type: data.type || RecurringEffectType.DAMAGE,
+    formula: data.formula !== undefined ? String(data.formula) : '0',
+    damageType: data.damageType || null,
+    anchor: data.anchor || DurationAnchor.TARGET_TURN_START,
+    sourceId: data.sourceId || null,
+    sourceInitiative: data.sourceInitiative ?? null,
+    duration: data.duration ?? null,          // Ticks left, null until removed
+    suppressedBy: data.suppressedBy || [],    // Damage types that stop the next tick
+    saveDC: data.saveDC || null,
+    saveAbility: data.saveAbility || null,
+    saveTiming: data.saveTiming || DurationAnchor.TARGET_TURN_END,
+    concentrationOf: data.concentrationOf || null,
+    damageTakenSinceTick: data.damageTakenSinceTick || []
+  };
+}
+
+/**
+ * Create a Regeneration trait, e.g. a troll's 10 hit points unless it took
+ * acid or fire damage since its last turn
+ * @param {number|string} amount - Hit points regained each turn
+ * @param {Array<string>} suppressedBy - Damage types that stop it for a turn
+ * @returns {Object} Recurring effect
+ */
+export function createRegeneration(amount, suppressedBy = []) {
+  return createRecurringEffect({
+    name: 'Regeneration',
+    type: RecurringEffectType.HEALING,
+    formula: amount,
+    anchor: DurationAnchor.TARGET_TURN_START,
+    suppressedBy
+  });
+}
+
+/**
+ * Note damage a combatant took on each of its effects, for suppression
+ * @param {Array} effects - Recurring effects
+ * @param {string} damageType - Damage type ID
+ * @returns {Array} Updated effects
+ */
+export function recordDamageTaken(effects, damageType) {
+  if (!damageType) return effects;
+
+  return effects.map(effect => {
+    if (!effect.suppressedBy.includes(damageType) || effect.damageTakenSinceTick.includes(damageType)) {
+      return effect;
+    }
+
+    return { ...effect, damageTakenSinceTick: [...effect.damageTakenSinceTick, damageType] };
+  });
+}
+
+/**
+ * Get the damage types that stop an effect's next tick
+ * @param {Object} effect - Recurring effect
+ * @returns {Array<string>} Damage types taken since the last tick that suppress it
+ */
+export function getSuppressingDamage(effect) {
+  return effect.damageTakenSinceTick.filter(type => effect.suppressedBy.includes(type));
+}
+
+/**
+ * Get an effect after one tick: suppression cleared and duration counted down
+ * @param {Object} effect - Recurring effect
+ * @returns {Object|null} Updated effect or null if it has run out
+ */
+export function advanceRecurringEffect(effect) {
+  const duration = effect.duration === null ? null : effect.duration - 1;
+
+  if (duration !== null && duration <= 0) {
+    return null;
+  }
+
+  return { ...effect, duration, damageTakenSinceTick: [] };
+}
+
+/**
+ * Describe an effect for display, e.g. "2d4 acid at the start of each turn"
+ * @param {Object} effect - Recurring effect
+ * @returns {string} Description
+ */
+export function describeRecurringEffect(effect) {
+  const what = effect.type === RecurringEffectType.HEALING
+    ? `regains ${effect.formula} HP`
+    : `${effect.formula}${effect.damageType ? ` ${effect.damageType}` : ''} damage`;
+  const when = {
+    [DurationAnchor.SOURCE_TURN_START]: 'at the start of the source\'s turn',
+    [DurationAnchor.SOURCE_TURN_END]: 'at the end of the source\'s turn',
+    [DurationAnchor.TARGET_TURN_START]: 'at the start of each turn',
+    [DurationAnchor.TARGET_TURN_END]: 'at the end of each turn'
+  }[effect.anchor];
+
+  return `${what} ${when}`;
+}
+
+export default {
+  RecurringEffectType,
+  createRecurringEffect,
+  createRegeneration,
+  recordDamageTaken,
+  getSuppressingDamage,
+  advanceRecurringEffect,
+  describeRecurringEffect
+};
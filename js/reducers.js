@@ -0,0 +1,669 @@
+/**
+ * Jesster's Combat Tracker
+ * Reducers
+ * Version 2.3.1
+ *
+ * This file contains the reducers for each slice of the application state:
+ * combat, encounters, notes, settings, environment, dice and UI. A reducer
+ * takes the current slice state and an action from actions.js and returns the
+ * next slice state. Reducers never modify the state they are given, so every
+ * state change is a plain, serialisable action.
+ */
+
+import { ActionTypes } from './actions.js';
+
+/**
+ * Seconds in each unit of game time
+ */
+export const TimeUnitSeconds = {
+  round: 6,
+  minute: 60,
+  hour: 3600,
+  day: 86400
+};
+
+// Initial State
+export const initialCombatState = {
+  active: false,
+  round: 0,
+  turnIndex: -1,
+  combatants: [],
+  initiativeOrder: [],
+  spellEffects: []
+};
+
+export const initialEncountersState = {
+  saved: [],
+  current: null
+};
+
+export const initialNotesState = {
+  items: []
+};
+
+export const initialSettingsState = {};
+
+export const initialEnvironmentState = {
+  environmentId: null,
+  effects: [],
+  terrain: {},
+  weather: null,
+  timeOfDay: 'day',
+  visibility: 'normal',
+  time: { seconds: 0 }
+};
+
+export const initialDiceState = {
+  history: [],
+  maxHistory: 50
+};
+
+export const initialUIState = {
+  initialized: false,
+  loading: false,
+  loadingMessage: '',
+  view: 'combat',
+  sidebarOpen: true,
+  compactMode: false,
+  modal: null,
+  error: null
+};
+
+// Helpers
+/**
+ * Compare two combatants for initiative order: highest initiative first,
+ * then highest Dexterity, then by name
+ * @param {Object} a - First combatant
+ * @param {Object} b - Second combatant
+ * @returns {number} Sort order
+ */
+export function compareInitiative(a, b) {
+  if (b.initiative !== a.initiative) {
+    return b.initiative - a.initiative;
+  }
+
+  if (a.abilities && b.abilities && a.abilities.dex !== b.abilities.dex) {
+    return b.abilities.dex - a.abilities.dex;
+  }
+
+  return (a.name || '').localeCompare(b.name || '');
+}
+
+/**
+ * Get the data for a slice from a LOAD_DATA or IMPORT_DATA action
+ * @param {Object} action - The action
+ * @param {string} key - The slice key
+ * @returns {*} The slice data, or undefined if the action carries none
+ * @private
+ */
+function getLoadedData(action, key) {
+  if (action.type !== ActionTypes.LOAD_DATA && action.type !== ActionTypes.IMPORT_DATA) {
+    return undefined;
+  }
+
+  const data = action.payload && action.payload.data;
+  return data ? data[key] : undefined;
+}
+
+/**
+ * Replace the item with a matching ID
+ * @param {Array} items - Items with an id property
+ * @param {string} id - The ID to match
+ * @param {Function} update - Function returning the replacement item
+ * @returns {Array} New items array
+ * @private
+ */
+function updateById(items, id, update) {
+  return items.map(item => (item.id === id ? update(item) : item));
+}
+
+/**
+ * Keep the turn with the combatant whose turn it was after the initiative
+ * order changes
+ * @param {Object} state - Combat state before the change
+ * @param {Array<string>} order - New initiative order
+ * @returns {number} New turn index
+ * @private
+ */
+function followCurrentTurn(state, order) {
+  const currentId = state.initiativeOrder[state.turnIndex];
+  const index = currentId !== undefined ? order.indexOf(currentId) : -1;
+
+  if (index !== -1) {
+    return index;
+  }
+
+  if (state.turnIndex >= order.length) {
+    return order.length > 0 ? 0 : -1;
+  }
+
+  return state.turnIndex;
+}
+
+/**
+ * Build a unique combatant ID from a base name
+ * @param {Array} combatants - Existing combatants
+ * @param {string} base - Base for the ID
+ * @returns {string} Unused ID
+ * @private
+ */
+function uniqueCombatantId(combatants, base) {
+  let count = combatants.length + 1;
+  let id = `${base}-${count}`;
+
+  while (combatants.some(combatant => combatant.id === id)) {
+    count++;
+    id = `${base}-${count}`;
+  }
+
+  return id;
+}
+
+// Slice Reducers
+/**
+ * Combat reducer: combatants, initiative order, turns and rounds
+ * @param {Object} state - Current combat state
+ * @param {Object} action - Action
+ * @returns {Object} Next combat state
+ */
+export function combatReducer(state = initialCombatState, action) {
+  const { payload = {} } = action;
+
+  const loaded = getLoadedData(action, 'combat');
+  if (loaded) {
+    return {
+      ...initialCombatState,
+      ...loaded,
+      // Older saves keep whole combatants in the initiative order
+      initiativeOrder: (loaded.initiativeOrder || []).map(entry =>
+        (entry && typeof entry === 'object' ? entry.id : entry))
+    };
+  }
+
+  switch (action.type) {
+    case ActionTypes.ADD_COMBATANT: {
+      const { combatant } = payload;
+      if (state.combatants.some(c => c.id === combatant.id)) {
+        return state;
+      }
+
+      return { ...state, combatants: [...state.combatants, combatant] };
+    }
+
+    case ActionTypes.ADD_MONSTER: {
+      const { monster, quantity = 1 } = payload;
+      const combatants = [...state.combatants];
+      const base = monster.id || (monster.name || 'monster').toLowerCase().replace(/\s+/g, '-');
+
+      for (let i = 1; i <= quantity; i++) {
+        combatants.push({
+          initiative: 0,
+          hp: monster.maxHp || monster.hp || 0,
+          tempHp: 0,
+          conditions: [],
+          ...monster,
+          id: uniqueCombatantId(combatants, base),
+          name: quantity > 1 ? `${monster.name} ${i}` : monster.name,
+          type: 'monster'
+        });
+      }
+
+      return { ...state, combatants };
+    }
+
+    case ActionTypes.REMOVE_COMBATANT: {
+      const { id } = payload;
+      const orderIndex = state.initiativeOrder.indexOf(id);
+      const initiativeOrder = state.initiativeOrder.filter(entry => entry !== id);
+
+      let turnIndex = state.turnIndex;
+      if (orderIndex !== -1 && orderIndex < turnIndex) {
+        turnIndex--;
+      }
+      if (turnIndex >= initiativeOrder.length) {
+        turnIndex = initiativeOrder.length > 0 ? 0 : -1;
+      }
+
+      return {
+        ...state,
+        combatants: state.combatants.filter(c => c.id !== id),
+        initiativeOrder,
+        turnIndex
+      };
+    }
+
+    case ActionTypes.UPDATE_COMBATANT:
+      return {
+        ...state,
+        combatants: updateById(state.combatants, payload.id, c => ({ ...c, ...payload.updates }))
+      };
+
+    case ActionTypes.SET_ACTIVE_COMBATANT: {
+      const turnIndex = state.initiativeOrder.indexOf(payload.id);
+      return turnIndex === -1 ? state : { ...state, turnIndex };
+    }
+
+    case ActionTypes.NEXT_TURN: {
+      if (state.initiativeOrder.length === 0) {
+        return state;
+      }
+
+      const turnIndex = state.turnIndex + 1;
+      if (turnIndex >= state.initiativeOrder.length) {
+        return { ...state, turnIndex: 0, round: state.round + 1 };
+      }
+
+      return { ...state, turnIndex };
+    }
+
+    case ActionTypes.PREVIOUS_TURN: {
+      if (state.initiativeOrder.length === 0) {
+        return state;
+      }
+
+      const turnIndex = state.turnIndex - 1;
+      if (turnIndex < 0) {
+        // The first turn of the first round has nothing before it
+        return state.round > 1
+          ? { ...state, turnIndex: state.initiativeOrder.length - 1, round: state.round - 1 }
+          : { ...state, turnIndex: 0 };
+      }
+
+      return { ...state, turnIndex };
+    }
+
+    case ActionTypes.SORT_INITIATIVE: {
+      const order = state.combatants
+        .filter(c => !c.defeated && !c.delayedTurn)
+        .sort(compareInitiative)
+        .map(c => c.id);
+
+      return { ...state, initiativeOrder: order, turnIndex: followCurrentTurn(state, order) };
+    }
+
+    case ActionTypes.SET_INITIATIVE_ORDER: {
+      const order = payload.order.filter(id => state.combatants.some(c => c.id === id));
+      return { ...state, initiativeOrder: order, turnIndex: followCurrentTurn(state, order) };
+    }
+
+    case ActionTypes.CLEAR_COMBAT:
+      return initialCombatState;
+
+    case ActionTypes.RESTORE_COMBAT:
+      return payload.combat || initialCombatState;
+
+    case ActionTypes.START_COMBAT:
+      return { ...state, active: true, round: 1, turnIndex: -1 };
+
+    case ActionTypes.END_COMBAT:
+      return { ...state, active: false, round: 0, turnIndex: -1 };
+
+    case ActionTypes.SET_ROUND:
+      return { ...state, round: Math.max(0, payload.round) };
+
+    case ActionTypes.APPLY_DAMAGE:
+      return {
+        ...state,
+        combatants: updateById(state.combatants, payload.id, c => {
+          // Temporary hit points absorb damage first
+          const absorbed = Math.min(c.tempHp || 0, payload.tempHpAbsorbed ?? payload.amount);
+          return {
+            ...c,
+            tempHp: (c.tempHp || 0) - absorbed,
+            hp: Math.max(0, (c.hp || 0) - (payload.amount - absorbed))
+          };
+        })
+      };
+
+    case ActionTypes.APPLY_HEALING:
+      return {
+        ...state,
+        combatants: updateById(state.combatants, payload.id, c => ({
+          ...c,
+          hp: Math.min(c.maxHp || 0, (c.hp || 0) + payload.amount)
+        }))
+      };
+
+    case ActionTypes.SET_TEMPORARY_HP:
+      return {
+        ...state,
+        combatants: updateById(state.combatants, payload.id, c => ({
+          ...c,
+          tempHp: Math.max(0, payload.amount)
+        }))
+      };
+
+    case ActionTypes.SET_MAX_HP:
+      return {
+        ...state,
+        combatants: updateById(state.combatants, payload.id, c => ({
+          ...c,
+          maxHp: payload.maxHp,
+          hp: Math.min(c.hp || 0, payload.maxHp)
+        }))
+      };
+
+    case ActionTypes.ADD_CONDITION:
+      return {
+        ...state,
+        combatants: updateById(state.combatants, payload.combatantId, c => ({
+          ...c,
+          conditions: [
+            ...(c.conditions || []).filter(condition => condition.id !== payload.condition.id),
+            payload.condition
+          ]
+        }))
+      };
+
+    case ActionTypes.REMOVE_CONDITION:
+      return {
+        ...state,
+        combatants: updateById(state.combatants, payload.combatantId, c => ({
+          ...c,
+          conditions: (c.conditions || []).filter(condition => condition.id !== payload.conditionId)
+        }))
+      };
+
+    case ActionTypes.UPDATE_CONDITION:
+      return {
+        ...state,
+        combatants: updateById(state.combatants, payload.combatantId, c => ({
+          ...c,
+          conditions: updateById(c.conditions || [], payload.conditionId, condition => ({
+            ...condition,
+            ...payload.updates
+          }))
+        }))
+      };
+
+    case ActionTypes.CAST_SPELL:
+      return {
+        ...state,
+        spellEffects: [...state.spellEffects, {
+          id: payload.effectId,
+          spellId: payload.spellId,
+          casterId: payload.casterId,
+          level: payload.level,
+          targets: payload.targets,
+          round: state.round
+        }]
+      };
+
+    case ActionTypes.END_SPELL_EFFECT:
+      return {
+        ...state,
+        spellEffects: state.spellEffects.filter(effect => effect.id !== payload.effectId)
+      };
+
+    default:
+      return state;
+  }
+}
+
+/**
+ * Encounters reducer: saved encounters and the encounter being edited
+ * @param {Object} state - Current encounters state
+ * @param {Object} action - Action
+ * @returns {Object} Next encounters state
+ */
+export function encountersReducer(state = initialEncountersState, action) {
+  const { payload = {} } = action;
+
+  const loaded = getLoadedData(action, 'encounters');
+  if (Array.isArray(loaded)) {
+    return { ...state, saved: loaded };
+  }
+
+  switch (action.type) {
+    case ActionTypes.LOAD_ENCOUNTER:
+      return { ...state, current: payload.encounter ? { ...payload.encounter } : null };
+
+    case ActionTypes.SAVE_ENCOUNTER: {
+      if (!state.current) {
+        return state;
+      }
+
+      const encounter = {
+        ...state.current,
+        name: payload.name || state.current.name,
+        description: payload.description || state.current.description || ''
+      };
+      const exists = state.saved.some(e => e.id === encounter.id);
+
+      return {
+        ...state,
+        current: encounter,
+        saved: exists
+          ? updateById(state.saved, encounter.id, () => encounter)
+          : [...state.saved, encounter]
+      };
+    }
+
+    case ActionTypes.DELETE_ENCOUNTER:
+      return {
+        ...state,
+        saved: state.saved.filter(e => e.id !== payload.id),
+        current: state.current && state.current.id === payload.id ? null : state.current
+      };
+
+    case ActionTypes.UPDATE_ENCOUNTER:
+      return {
+        ...state,
+        saved: updateById(state.saved, payload.id, e => ({ ...e, ...payload.updates })),
+        current: state.current && state.current.id === payload.id
+          ? { ...state.current, ...payload.updates }
+          : state.current
+      };
+
+    default:
+      return state;
+  }
+}
+
+/**
+ * Notes reducer
+ * @param {Object} state - Current notes state
+ * @param {Object} action - Action
+ * @returns {Object} Next notes state
+ */
+export function notesReducer(state = initialNotesState, action) {
+  const { payload = {} } = action;
+
+  const loaded = getLoadedData(action, 'notes');
+  if (Array.isArray(loaded)) {
+    return { ...state, items: loaded };
+  }
+
+  switch (action.type) {
+    case ActionTypes.ADD_NOTE:
+      return { ...state, items: [...state.items, payload.note] };
+
+    case ActionTypes.UPDATE_NOTE:
+      return {
+        ...state,
+        items: updateById(state.items, payload.id, note => ({ ...note, ...payload.updates }))
+      };
+
+    case ActionTypes.DELETE_NOTE:
+      return { ...state, items: state.items.filter(note => note.id !== payload.id) };
+
+    default:
+      return state;
+  }
+}
+
+/**
+ * Settings reducer
+ * @param {Object} state - Current settings
+ * @param {Object} action - Action
+ * @returns {Object} Next settings
+ */
+export function settingsReducer(state = initialSettingsState, action) {
+  const { payload = {} } = action;
+
+  const loaded = getLoadedData(action, 'settings');
+  if (loaded) {
+    return { ...state, ...loaded };
+  }
+
+  switch (action.type) {
+    case ActionTypes.UPDATE_SETTINGS:
+      return { ...state, ...payload.settings };
+
+    case ActionTypes.RESET_SETTINGS:
+      return payload.defaults ? { ...payload.defaults } : initialSettingsState;
+
+    case ActionTypes.SET_THEME:
+      return { ...state, theme: payload.theme };
+
+    default:
+      return state;
+  }
+}
+
+/**
+ * Environment reducer: effects, terrain, conditions and game time
+ * @param {Object} state - Current environment state
+ * @param {Object} action - Action
+ * @returns {Object} Next environment state
+ */
+export function environmentReducer(state = initialEnvironmentState, action) {
+  const { payload = {} } = action;
+
+  const loaded = getLoadedData(action, 'environment');
+  if (loaded) {
+    return { ...initialEnvironmentState, ...loaded };
+  }
+
+  switch (action.type) {
+    case ActionTypes.SET_ENVIRONMENT:
+      return { ...state, environmentId: payload.environmentId };
+
+    case ActionTypes.ADD_ENVIRONMENT_EFFECT:
+      return { ...state, effects: [...state.effects, payload.effect] };
+
+    case ActionTypes.REMOVE_ENVIRONMENT_EFFECT:
+      return { ...state, effects: state.effects.filter(effect => effect.id !== payload.effectId) };
+
+    case ActionTypes.UPDATE_ENVIRONMENT_EFFECT:
+      return {
+        ...state,
+        effects: updateById(state.effects, payload.effectId, effect => ({ ...effect, ...payload.updates }))
+      };
+
+    case ActionTypes.UPDATE_ENVIRONMENT:
+      return { ...state, ...payload.updates };
+
+    case ActionTypes.SET_TERRAIN:
+      return { ...state, terrain: { ...state.terrain, [payload.terrain.id]: payload.terrain } };
+
+    case ActionTypes.REMOVE_TERRAIN: {
+      const { [payload.terrainId]: removed, ...terrain } = state.terrain;
+      return { ...state, terrain };
+    }
+
+    case ActionTypes.ADVANCE_TIME: {
+      const seconds = (TimeUnitSeconds[payload.unit] || 0) * payload.amount;
+      return { ...state, time: { ...state.time, seconds: state.time.seconds + seconds } };
+    }
+
+    case ActionTypes.SET_TIME:
+      return { ...state, time: { ...payload.time } };
+
+    default:
+      return state;
+  }
+}
+
+/**
+ * Dice reducer: recorded roll history
+ * @param {Object} state - Current dice state
+ * @param {Object} action - Action
+ * @returns {Object} Next dice state
+ */
+export function diceReducer(state = initialDiceState, action) {
+  const { payload = {} } = action;
+
+  switch (action.type) {
+    case ActionTypes.ROLL_DICE:
+      if (!payload.result) {
+        return state;
+      }
+
+      return { ...state, history: [payload.result, ...state.history].slice(0, state.maxHistory) };
+
+    case ActionTypes.CLEAR_DICE_HISTORY:
+      return { ...state, history: [] };
+
+    case ActionTypes.UPDATE_SETTINGS:
+    case ActionTypes.RESET_SETTINGS: {
+      const settings = payload.settings || payload.defaults;
+      if (!settings || !settings.maxDiceHistory) {
+        return state;
+      }
+
+      const maxHistory = settings.maxDiceHistory;
+      return { ...state, maxHistory, history: state.history.slice(0, maxHistory) };
+    }
+
+    default:
+      return state;
+  }
+}
+
+/**
+ * UI reducer: view, panels, modals, loading and errors
+ * @param {Object} state - Current UI state
+ * @param {Object} action - Action
+ * @returns {Object} Next UI state
+ */
+export function uiReducer(state = initialUIState, action) {
+  const { payload = {} } = action;
+
+  switch (action.type) {
+    case ActionTypes.INITIALIZE_APP:
+      return { ...state, initialized: true };
+
+    case ActionTypes.SET_LOADING:
+      return { ...state, loading: payload.isLoading, loadingMessage: payload.loadingMessage || '' };
+
+    case ActionTypes.SET_VIEW:
+      return { ...state, view: payload.view };
+
+    case ActionTypes.TOGGLE_SIDEBAR:
+      return { ...state, sidebarOpen: !state.sidebarOpen };
+
+    case ActionTypes.TOGGLE_COMPACT_MODE:
+      return { ...state, compactMode: !state.compactMode };
+
+    case ActionTypes.SHOW_MODAL:
+      return { ...state, modal: { type: payload.modalType, props: payload.modalProps } };
+
+    case ActionTypes.HIDE_MODAL:
+      return { ...state, modal: null };
+
+    case ActionTypes.SET_ERROR:
+      return { ...state, error: { message: payload.message, type: payload.type } };
+
+    case ActionTypes.CLEAR_ERROR:
+      return { ...state, error: null };
+
+    default:
+      return state;
+  }
+}
+
+/**
+ * Reducers for every slice of the application state
+ */
+export const sliceReducers = {
+  combat: combatReducer,
+  encounters: encountersReducer,
+  notes: notesReducer,
+  settings: settingsReducer,
+  environment: environmentReducer,
+  dice: diceReducer,
+  ui: uiReducer
+};
+
+export default sliceReducers;
@@ -0,0 +1,855 @@
+/**
+ * Jesster's Combat Tracker
+ * Repository Module
+ * Version 2.3.1
+ *
+ * This module is the one place the app's data is kept. Records live in
+ * typed collections (encounters, players, monsters, templates, notes, maps
+ * and history), one stored value per record, and one-off values such as the
+ * settings live in named documents. Where the values end up is up to a
+ * backend: the Storage module by default, or memory. Any object with the
+ * RepositoryBackend methods will do.
+ *
+ * Data the modules used to save straight to Storage, and the collections in
+ * the data.js app data blob, are moved into the repository the first time
+ * it opens.
+ */
+
+import { SCHEMA_VERSION, getSchemaVersion, migrateAppData, migrateCollection, createMigrationBackup } from './migrations.js';
+
+/**
+ * Record collections
+ */
+export const Collection = {
+  ENCOUNTERS: 'encounters',
+  PLAYERS: 'players',
+  MONSTERS: 'monsters',
+  TEMPLATES: 'templates',
+  NOTES: 'notes',
+  MAPS: 'maps',
+  HISTORY: 'history'
+};
+
+/**
+ * Named documents
+ */
+export const DocumentName = {
+  SETTINGS: 'settings',
+  NOTE_CATEGORIES: 'noteCategories',
+  PARTIES: 'parties',
+  CUSTOM_CONDITIONS: 'customConditions',
+  DICE_PRESETS: 'dicePresets',
+  // The parts of the data.js app data that aren't collections
+  APP_DATA: 'appData'
+};
+
+// Keys the repository keeps its own state under
+const META_KEY = 'repository/meta';
+const LEGACY_BACKUP_KEY = 'repository/legacyBackup';
+const DOCUMENT_PREFIX = 'documents/';
+
+// Schema of data saved before the repository (see migrations.js)
+const LEGACY_SCHEMA_VERSION = 3;
+
+// Storage keys modules used to save whole lists under
+const LEGACY_COLLECTION_KEYS = [
+  { key: 'players', collection: Collection.PLAYERS, useLocalStorage: true },
+  { key: 'monsters', collection: Collection.MONSTERS, useLocalStorage: true },
+  { key: 'monsterTemplates', collection: Collection.TEMPLATES, useLocalStorage: true },
+  { key: 'notes', collection: Collection.NOTES, useLocalStorage: true },
+  // Encounter saved the current encounter over this one key
+  { key: 'encounters', collection: Collection.ENCOUNTERS, useLocalStorage: false }
+];
+
+// Storage keys modules used to save single values under
+const LEGACY_DOCUMENT_KEYS = [
+  { key: 'settings', document: DocumentName.SETTINGS },
+  { key: 'noteCategories', document: DocumentName.NOTE_CATEGORIES },
+  { key: 'parties', document: DocumentName.PARTIES },
+  { key: 'customConditions', document: DocumentName.CUSTOM_CONDITIONS }
+];
+
+/**
+ * Where the repository collections live in the data.js app data
+ */
+export const APP_DATA_COLLECTIONS = {
+  encounters: Collection.ENCOUNTERS,
+  players: Collection.PLAYERS,
+  customMonsters: Collection.MONSTERS,
+  notes: Collection.NOTES,
+  maps: Collection.MAPS,
+  combatHistory: Collection.HISTORY
+};
+
+/**
+ * Base class for repository backends. A backend stores values under string
+ * keys; keys use '/' to group them, so a backend may map them to paths.
+ */
+export class RepositoryBackend {
+  /**
+   * Wait until the backend can be used
+   * @returns {Promise<void>}
+   */
+  async init() {
+    // To be implemented by subclasses
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {Promise<*>} Value or null if there is none
+   */
+  async get(key) {
+    // To be implemented by subclasses
+    return null;
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Key
+   * @param {*} value - Value
+   * @returns {Promise<boolean>} Success status
+   */
+  async set(key, value) {
+    // To be implemented by subclasses
+    return false;
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} Success status
+   */
+  async remove(key) {
+    // To be implemented by subclasses
+    return false;
+  }
+
+  /**
+   * Get the keys starting with a prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<Array>} Keys
+   */
+  async keys(prefix = '') {
+    // To be implemented by subclasses
+    return [];
+  }
+}
+
+/**
+ * Backend that keeps values in the Storage module, so they get its
+ * compression and encryption
+ */
+export class StorageBackend extends RepositoryBackend {
+  /**
+   * Create a Storage backend
+   * @param {Object} storage - Storage module
+   */
+  constructor(storage) {
+    super();
+    this.storage = storage;
+  }
+
+  /**
+   * Wait for Storage to pick its storage type
+   * @returns {Promise<void>}
+   */
+  async init() {
+    await this.storage.ready;
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {Promise<*>} Value or null if there is none
+   */
+  async get(key) {
+    return this.storage.load(key);
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Key
+   * @param {*} value - Value
+   * @returns {Promise<boolean>} Success status
+   */
+  async set(key, value) {
+    return this.storage.save(key, value);
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} Success status
+   */
+  async remove(key) {
+    return this.storage.delete(key);
+  }
+
+  /**
+   * Get the keys starting with a prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<Array>} Keys
+   */
+  async keys(prefix = '') {
+    const keys = await this.storage.getKeys();
+    return keys.filter(key => key.startsWith(prefix));
+  }
+}
+
+/**
+ * Backend that keeps values in memory; nothing persists
+ */
+export class MemoryBackend extends RepositoryBackend {
+  /**
+   * Create a memory backend
+   * @param {Object} values - Values to start with, keyed by key
+   */
+  constructor(values = {}) {
+    super();
+    this.values = new Map(Object.entries(values));
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {Promise<*>} Value or null if there is none
+   */
+  async get(key) {
+    return this.values.has(key) ? clone(this.values.get(key)) : null;
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Key
+   * @param {*} value - Value
+   * @returns {Promise<boolean>} Success status
+   */
+  async set(key, value) {
+    this.values.set(key, clone(value));
+    return true;
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} Success status
+   */
+  async remove(key) {
+    return this.values.delete(key);
+  }
+
+  /**
+   * Get the keys starting with a prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<Array>} Keys
+   */
+  async keys(prefix = '') {
+    return Array.from(this.values.keys()).filter(key => key.startsWith(prefix));
+  }
+}
+
+/**
+ * Copy a value so callers can't change what is stored
+ * @private
+ * @param {*} value - Value
+ * @returns {*} Copy
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Check that a collection exists
+ * @private
+ * @param {string} collection - Collection
+ * @throws {Error} If it doesn't
+ */
+function assertCollection(collection) {
+  if (!Object.values(Collection).includes(collection)) {
+    throw new Error(`Unknown collection: ${collection}`);
+  }
+}
+
+/**
+ * Check that a document exists
+ * @private
+ * @param {string} name - Document name
+ * @throws {Error} If it doesn't
+ */
+function assertDocument(name) {
+  if (!Object.values(DocumentName).includes(name)) {
+    throw new Error(`Unknown document: ${name}`);
+  }
+}
+
+/**
+ * Get the key of a record
+ * @private
+ * @param {string} collection - Collection
+ * @param {string} id - Record ID
+ * @returns {string} Key
+ */
+function recordKey(collection, id) {
+  return `${collection}/${id}`;
+}
+
+/**
+ * Turn a value into JSON with object keys sorted, to compare records
+ * @private
+ * @param {*} value - Value
+ * @returns {string} JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Check whether two copies of a record are the same
+ * @param {Object|null} a - First copy (null if deleted)
+ * @param {Object|null} b - Second copy (null if deleted)
+ * @returns {boolean} True if they hold the same data
+ */
+export function isSameRecord(a, b) {
+  return stableStringify(a || null) === stableStringify(b || null);
+}
+
+/**
+ * Class for reading and writing the app's data
+ */
+export class Repository {
+  /**
+   * Create a repository
+   * @param {RepositoryBackend} backend - Backend to keep values in
+   * @param {Object} options - Repository options
+   * @param {Object} options.legacyStorage - Storage module to move data saved before the repository from
+   * @param {Object} options.legacyLocalStorage - localStorage holding the data.js app data blob
+   */
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.options = {
+      legacyStorage: null,
+      legacyLocalStorage: typeof localStorage !== 'undefined' ? localStorage : null,
+      ...options
+    };
+
+    this.listeners = [];
+
+    // Every read and write waits for the backend and the migrations
+    this.ready = this._init();
+  }
+
+  /**
+   * Open the backend and bring the stored data up to date
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _init() {
+    try {
+      await this.backend.init();
+
+      const meta = (await this.backend.get(META_KEY)) || {};
+      if (!meta.legacyMigratedAt) {
+        meta.legacyMigratedAt = await this._migrateLegacyData();
+      }
+
+      const schemaVersion = meta.schemaVersion || SCHEMA_VERSION;
+      if (schemaVersion < SCHEMA_VERSION) {
+        // A failed write stops here, so the schema version isn't moved on
+        // and the migrations run again next time
+        await this._migrateRecords(schemaVersion);
+      }
+
+      await this._write(META_KEY, { ...meta, schemaVersion: SCHEMA_VERSION });
+    } catch (error) {
+      console.error('Error opening repository:', error);
+    }
+  }
+
+  /**
+   * Move data saved before the repository into it. The old values are kept
+   * in a backup, and the old keys are only removed once every value and the
+   * backup were written.
+   * @private
+   * @returns {Promise<number|null>} Time of the move, or null to try again next time
+   */
+  async _migrateLegacyData() {
+    const storage = this.options.legacyStorage;
+    if (storage && typeof storage.isLocked === 'function' && storage.isLocked()) {
+      // Nothing can be read until storage is unlocked
+      return null;
+    }
+
+    const backup = {};
+    let moved = 0;
+
+    try {
+      if (storage) {
+        for (const { key, collection, useLocalStorage } of LEGACY_COLLECTION_KEYS) {
+          const value = await storage.load(key, { useLocalStorage });
+          if (value === null || value === undefined) continue;
+
+          backup[key] = value;
+          const records = migrateCollection(collection, Array.isArray(value) ? value : [value], LEGACY_SCHEMA_VERSION);
+          moved += await this._mergeRecords(collection, records);
+        }
+
+        for (const { key, document } of LEGACY_DOCUMENT_KEYS) {
+          const value = await storage.load(key, { useLocalStorage: true });
+          if (value === null || value === undefined) continue;
+
+          backup[key] = value;
+          if ((await this.backend.get(DOCUMENT_PREFIX + document)) === null) {
+            await this._write(DOCUMENT_PREFIX + document, await this._prepareLegacyDocument(document, value));
+            moved++;
+          }
+        }
+      }
+
+      // The data.js blob is left in place; data.js reads what isn't in a
+      // collection from it once (see loadAppData)
+      const appData = this._readLegacyAppData();
+      if (appData) {
+        const migrated = migrateAppData(appData);
+        for (const [field, collection] of Object.entries(APP_DATA_COLLECTIONS)) {
+          if (Array.isArray(migrated[field])) {
+            moved += await this._mergeRecords(collection, migrated[field]);
+          }
+        }
+      }
+
+      if (Object.keys(backup).length > 0) {
+        await this._write(LEGACY_BACKUP_KEY, createMigrationBackup({ schemaVersion: LEGACY_SCHEMA_VERSION, data: backup }));
+      }
+    } catch (error) {
+      // Records already moved are skipped next time, so trying again is safe
+      console.error('Error moving saved data into the repository:', error);
+      return null;
+    }
+
+    if (Object.keys(backup).length > 0) {
+      for (const { key, useLocalStorage } of LEGACY_COLLECTION_KEYS) {
+        if (key in backup) await storage.delete(key, { useLocalStorage });
+      }
+      for (const { key } of LEGACY_DOCUMENT_KEYS) {
+        if (key in backup) await storage.delete(key, { useLocalStorage: true });
+      }
+    }
+
+    if (moved > 0) {
+      console.log(`Moved ${moved} saved items into the repository`);
+    }
+
+    return Date.now();
+  }
+
+  /**
+   * Bring old settings up to date, taking the dice presets out into their
+   * own document
+   * @private
+   * @param {string} document - Document name
+   * @param {*} value - Old value
+   * @returns {Promise<*>} Value to store
+   */
+  async _prepareLegacyDocument(document, value) {
+    if (document !== DocumentName.SETTINGS || !value) {
+      return value;
+    }
+    if (!Array.isArray(value.diceCustomPresets)) {
+      return migrateCollection('settings', value, LEGACY_SCHEMA_VERSION);
+    }
+
+    const { diceCustomPresets, ...settings } = value;
+    await this._write(DOCUMENT_PREFIX + DocumentName.DICE_PRESETS, diceCustomPresets);
+    return migrateCollection('settings', settings, LEGACY_SCHEMA_VERSION);
+  }
+
+  /**
+   * Read the data.js app data blob
+   * @private
+   * @returns {Object|null} App data or null if there is none
+   */
+  _readLegacyAppData() {
+    const legacy = this.options.legacyLocalStorage;
+    if (!legacy) {
+      return null;
+    }
+
+    try {
+      const stored = legacy.getItem('jct_appData');
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error('Error reading app data:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Add records that aren't in a collection yet
+   * @private
+   * @param {string} collection - Collection
+   * @param {Array} records - Records
+   * @returns {Promise<number>} Number of records added
+   */
+  async _mergeRecords(collection, records) {
+    let added = 0;
+
+    for (const [index, record] of records.entries()) {
+      if (!record || typeof record !== 'object') continue;
+
+      const id = record.id || `${collection}-${Date.now()}-${index}`;
+      if ((await this.backend.get(recordKey(collection, id))) === null) {
+        await this._write(recordKey(collection, id), { ...record, id });
+        added++;
+      }
+    }
+
+    return added;
+  }
+
+  /**
+   * Run the schema migrations over every stored record
+   * @private
+   * @param {number} from - Schema version the records were saved at
+   * @returns {Promise<void>}
+   */
+  async _migrateRecords(from) {
+    for (const collection of Object.values(Collection)) {
+      for (const key of await this.backend.keys(`${collection}/`)) {
+        const record = await this.backend.get(key);
+        if (record) {
+          await this._write(key, migrateCollection(collection, record, from));
+        }
+      }
+    }
+
+    const settings = await this.backend.get(DOCUMENT_PREFIX + DocumentName.SETTINGS);
+    if (settings) {
+      await this._write(DOCUMENT_PREFIX + DocumentName.SETTINGS, migrateCollection('settings', settings, from));
+    }
+  }
+
+  /**
+   * Write a value during the migrations, which mustn't carry on past a
+   * value that wasn't stored
+   * @private
+   * @param {string} key - Key
+   * @param {*} value - Value
+   * @returns {Promise<void>}
+   * @throws {Error} If the backend couldn't store it
+   */
+  async _write(key, value) {
+    if (!(await this.backend.set(key, value))) {
+      throw new Error(`Could not write ${key}`);
+    }
+  }
+
+  /**
+   * Write a document without waiting for the repository to open
+   * @private
+   * @param {string} name - Document name
+   * @param {*} value - Value
+   * @returns {Promise<boolean>} Success status
+   */
+  _writeDocument(name, value) {
+    return this.backend.set(DOCUMENT_PREFIX + name, value);
+  }
+
+  /**
+   * Get every record in a collection
+   * @param {string} collection - Collection
+   * @returns {Promise<Array>} Records
+   */
+  async list(collection) {
+    assertCollection(collection);
+    await this.ready;
+
+    const records = [];
+    for (const key of await this.backend.keys(`${collection}/`)) {
+      const record = await this.backend.get(key);
+      if (record) {
+        records.push(record);
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Get a record
+   * @param {string} collection - Collection
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async get(collection, id) {
+    assertCollection(collection);
+    await this.ready;
+
+    return this.backend.get(recordKey(collection, id));
+  }
+
+  /**
+   * Save a record, replacing any with the same ID
+   * @param {string} collection - Collection
+   * @param {Object} record - Record with an id
+   * @param {Object} options - Save options
+   * @param {string} options.origin - Who made the change, passed on to listeners (e.g. 'sync')
+   * @returns {Promise<boolean>} Success status
+   */
+  async put(collection, record, options = {}) {
+    assertCollection(collection);
+    if (!record || !record.id) {
+      throw new Error(`A ${collection} record needs an id`);
+    }
+    await this.ready;
+
+    const saved = await this.backend.set(recordKey(collection, record.id), record);
+    if (saved) {
+      this._notifyListeners('put', { collection, id: record.id, record, origin: options.origin || null });
+    }
+
+    return saved;
+  }
+
+  /**
+   * Make a collection hold exactly these records. Records that are already
+   * stored as they are aren't written again, so listeners only hear about
+   * the ones that changed.
+   * @param {string} collection - Collection
+   * @param {Array} records - Records with ids
+   * @param {Object} options - Save options (see put)
+   * @returns {Promise<boolean>} Success status
+   */
+  async replaceAll(collection, records, options = {}) {
+    assertCollection(collection);
+    await this.ready;
+
+    const ids = new Set(records.map(record => record.id));
+    let success = true;
+
+    for (const key of await this.backend.keys(`${collection}/`)) {
+      const id = key.slice(collection.length + 1);
+      if (!ids.has(id)) {
+        success = (await this.remove(collection, id, options)) && success;
+      }
+    }
+
+    for (const record of records) {
+      const stored = await this.backend.get(recordKey(collection, record.id));
+      if (stored && isSameRecord(stored, record)) {
+        continue;
+      }
+      success = (await this.put(collection, record, options)) && success;
+    }
+
+    return success;
+  }
+
+  /**
+   * Remove a record
+   * @param {string} collection - Collection
+   * @param {string} id - Record ID
+   * @param {Object} options - Remove options
+   * @param {string} options.origin - Who made the change, passed on to listeners (e.g. 'sync')
+   * @returns {Promise<boolean>} Success status
+   */
+  async remove(collection, id, options = {}) {
+    assertCollection(collection);
+    await this.ready;
+
+    const removed = await this.backend.remove(recordKey(collection, id));
+    if (removed) {
+      this._notifyListeners('remove', { collection, id, origin: options.origin || null });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get a document
+   * @param {string} name - Document name
+   * @param {*} defaultValue - Value if the document was never saved
+   * @returns {Promise<*>} Document
+   */
+  async getDocument(name, defaultValue = null) {
+    assertDocument(name);
+    await this.ready;
+
+    const value = await this.backend.get(DOCUMENT_PREFIX + name);
+    return value === null ? defaultValue : value;
+  }
+
+  /**
+   * Save a document
+   * @param {string} name - Document name
+   * @param {*} value - Value
+   * @returns {Promise<boolean>} Success status
+   */
+  async setDocument(name, value) {
+    assertDocument(name);
+    await this.ready;
+
+    const saved = await this._writeDocument(name, value);
+    if (saved) {
+      this._notifyListeners('document', { name, value });
+    }
+
+    return saved;
+  }
+
+  /**
+   * Get state another module keeps alongside the data, such as sync
+   * bookkeeping. It isn't exported and doesn't notify listeners.
+   * @param {string} name - Name
+   * @returns {Promise<*>} Value or null if there is none
+   */
+  async getMeta(name) {
+    await this.ready;
+    return this.backend.get(`repository/${name}`);
+  }
+
+  /**
+   * Save state another module keeps alongside the data
+   * @param {string} name - Name
+   * @param {*} value - Value
+   * @returns {Promise<boolean>} Success status
+   */
+  async setMeta(name, value) {
+    await this.ready;
+    return this.backend.set(`repository/${name}`, value);
+  }
+
+  /**
+   * Remove state another module keeps alongside the data
+   * @param {string} name - Name
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeMeta(name) {
+    await this.ready;
+    return this.backend.remove(`repository/${name}`);
+  }
+
+  /**
+   * Get the names of the state kept under a prefix
+   * @param {string} prefix - Name prefix (e.g. 'saves/')
+   * @returns {Promise<Array>} Names
+   */
+  async listMeta(prefix) {
+    await this.ready;
+
+    const keys = await this.backend.keys(`repository/${prefix}`);
+    return keys.map(key => key.slice('repository/'.length));
+  }
+
+  /**
+   * Get everything in the repository
+   * @returns {Promise<Object>} {schemaVersion, collections, documents}
+   */
+  async exportAll() {
+    await this.ready;
+
+    const collections = {};
+    for (const collection of Object.values(Collection)) {
+      collections[collection] = await this.list(collection);
+    }
+
+    const documents = {};
+    for (const name of Object.values(DocumentName)) {
+      const value = await this.backend.get(DOCUMENT_PREFIX + name);
+      if (value !== null) {
+        documents[name] = value;
+      }
+    }
+
+    return { schemaVersion: SCHEMA_VERSION, collections, documents };
+  }
+
+  /**
+   * Add data from exportAll, migrating it first if it is from an older schema
+   * @param {Object} data - Exported data
+   * @returns {Promise<boolean>} Success status
+   */
+  async importAll(data) {
+    if (!data || !data.collections) {
+      return false;
+    }
+    await this.ready;
+
+    const from = getSchemaVersion(data);
+    let success = true;
+
+    for (const [collection, records] of Object.entries(data.collections)) {
+      if (!Object.values(Collection).includes(collection) || !Array.isArray(records)) continue;
+
+      for (const record of migrateCollection(collection, records, from)) {
+        success = (await this.put(collection, record)) && success;
+      }
+    }
+
+    for (const [name, value] of Object.entries(data.documents || {})) {
+      if (!Object.values(DocumentName).includes(name)) continue;
+
+      const migrated = name === DocumentName.SETTINGS ? migrateCollection('settings', value, from) : value;
+      success = (await this.setDocument(name, migrated)) && success;
+    }
+
+    return success;
+  }
+
+  /**
+   * Add a listener for changes ('put', 'remove' and 'document' events)
+   * @param {Function} listener - Called with (event, data)
+   * @returns {Function} Function to remove the listener
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Notify all listeners of a change
+   * @private
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  _notifyListeners(event, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error('Error in repository listener:', error);
+      }
+    });
+  }
+}
+
+/**
+ * Create a repository kept in the Storage module, moving data saved
+ * straight to Storage before into it
+ * @param {Object} storage - Storage module
+ * @returns {Repository} A new repository
+ */
+export function createRepository(storage) {
+  return new Repository(new StorageBackend(storage), { legacyStorage: storage });
+}
+
+export default {
+  Collection,
+  DocumentName,
+  RepositoryBackend,
+  StorageBackend,
+  MemoryBackend,
+  Repository,
+  createRepository,
+  isSameRecord
+};
@@ -2,10 +2,12 @@
  * Roster module for Jesster's Combat Tracker
  * Handles player character and monster roster management
  */
+import { Collection, DocumentName } from './repository.js';
+
 class Roster {
-    constructor(storage, dice) {
+    constructor(repository, dice) {
         // Store references to other modules
-        this.storage = storage;
+        this.repository = repository;
         this.dice = dice;
         
         // Roster data
@@ -21,31 +23,22 @@ class Roster {
     }
 
     /**
-     * Load roster data from storage
+     * Load roster data from the repository
      * @private
      */
     async _loadRoster() {
         try {
             // Load players
-            const players = await this.storage.load('players', { useLocalStorage: true });
-            if (players && Array.isArray(players)) {
-                this.players = players;
-            }
+            this.players = await this.repository.list(Collection.PLAYERS);
             
             // Load monsters
-            const monsters = await this.storage.load('monsters', { useLocalStorage: true });
-            if (monsters && Array.isArray(monsters)) {
-                this.monsters = monsters;
-            }
+            this.monsters = await this.repository.list(Collection.MONSTERS);
             
             // Load monster templates
-            const monsterTemplates = await this.storage.load('monsterTemplates', { useLocalStorage: true });
-            if (monsterTemplates && Array.isArray(monsterTemplates)) {
-                this.monsterTemplates = monsterTemplates;
-            }
+            this.monsterTemplates = await this.repository.list(Collection.TEMPLATES);
             
             // Load parties
-            const parties = await this.storage.load('parties', { useLocalStorage: true });
+            const parties = await this.repository.getDocument(DocumentName.PARTIES);
             if (parties && Array.isArray(parties)) {
                 this.parties = parties;
             }
@@ -55,22 +48,22 @@ class Roster {
     }
 
     /**
-     * Save roster data to storage
+     * Save roster data to the repository
      * @private
      */
     async _saveRoster() {
         try {
             // Save players
-            await this.storage.save('players', this.players, { useLocalStorage: true });
+            await this.repository.replaceAll(Collection.PLAYERS, this.players);
             
             // Save monsters
-            await this.storage.save('monsters', this.monsters, { useLocalStorage: true });
+            await this.repository.replaceAll(Collection.MONSTERS, this.monsters);
             
             // Save monster templates
-            await this.storage.save('monsterTemplates', this.monsterTemplates, { useLocalStorage: true });
+            await this.repository.replaceAll(Collection.TEMPLATES, this.monsterTemplates);
             
             // Save parties
-            await this.storage.save('parties', this.parties, { useLocalStorage: true });
+            await this.repository.setDocument(DocumentName.PARTIES, this.parties);
         } catch (error) {
             console.error('Error saving roster:', error);
         }
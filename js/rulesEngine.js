@@ -0,0 +1,290 @@
+/**
+ * Jesster's Combat Tracker
+ * Rules Engine Module
+ * Version 2.3.1
+ *
+ * This module turns the rules of the conditions on a combatant (standard,
+ * additional and custom conditions alike) into the modifiers of a roll:
+ * advantage and disadvantage, automatic failures, automatic critical hits,
+ * bonuses and penalties, and speed changes. Each modifier comes with the
+ * reason for it, so a roll can explain itself ("Poisoned: disadvantage on
+ * attack rolls"). The dice module consults it whenever a roll is made for
+ * a combatant.
+ */
+
+/**
+ * Kinds of d20 roll the engine knows about
+ */
+export const RollKind = {
+  ATTACK: 'attack',
+  SAVE: 'save',
+  CHECK: 'check',
+  SKILL: 'skill',
+  INITIATIVE: 'initiative',
+  DEATH_SAVE: 'death-save'
+};
+
+/**
+ * Ability used by each skill
+ */
+export const SKILL_ABILITIES = {
+  acrobatics: 'dex',
+  'animal handling': 'wis',
+  arcana: 'int',
+  athletics: 'str',
+  deception: 'cha',
+  history: 'int',
+  insight: 'wis',
+  intimidation: 'cha',
+  investigation: 'int',
+  medicine: 'wis',
+  nature: 'int',
+  perception: 'wis',
+  performance: 'cha',
+  persuasion: 'cha',
+  religion: 'int',
+  'sleight of hand': 'dex',
+  stealth: 'dex',
+  survival: 'wis'
+};
+
+/**
+ * Class that aggregates condition rules into roll modifiers
+ */
+export class RulesEngine {
+  /**
+   * @param {Object} conditions - Conditions module, used to look up each condition's rules
+   */
+  constructor(conditions) {
+    this.conditions = conditions;
+  }
+
+  /**
+   * Get the rules of every condition on a combatant
+   * @param {Object} combatant - Combatant object
+   * @returns {Array} Active rules ({id, name, sourceId, rules})
+   */
+  getActiveRules(combatant) {
+    if (!combatant || !combatant.conditions) return [];
+
+    return combatant.conditions
+      .map(applied => {
+        const condition = this.conditions.getCondition(applied.id);
+        const rules = { ...(condition && condition.rules), ...applied.rules };
+
+        return {
+          id: applied.id,
+          name: (condition && condition.name) || applied.name || applied.id,
+          sourceId: applied.sourceId || null,
+          rules
+        };
+      })
+      .filter(active => Object.keys(active.rules).length > 0);
+  }
+
+  /**
+   * Get the modifiers for a roll
+   * @param {string} kind - RollKind
+   * @param {Object} context - Who is rolling and how
+   * @param {Object} context.combatant - Combatant making the roll
+   * @param {Object} context.target - Target of an attack
+   * @param {string} context.ability - Ability for a save or check
+   * @param {string} context.skill - Skill for a skill check
+   * @param {string} context.attackKind - 'melee' or 'ranged'
+   * @param {number} context.distance - Distance to the target in feet (melee attacks assume 5)
+   * @param {boolean} context.requiresSight - Whether the check relies on sight
+   * @param {boolean} context.requiresHearing - Whether the check relies on hearing
+   * @returns {Object} {advantage, disadvantage, autoFail, autoCrit, bonuses, reasons}
+   */
+  getRollModifiers(kind, context = {}) {
+    const modifiers = {
+      advantage: false,
+      disadvantage: false,
+      autoFail: false,
+      autoCrit: false,
+      bonuses: [],
+      reasons: []
+    };
+    const ability = this._getAbility(kind, context);
+
+    this.getActiveRules(context.combatant).forEach(({ name, sourceId, rules }) => {
+      const add = (effect, text, value) => this._addModifier(modifiers, effect, `${name}: ${text}`, value);
+
+      if (kind === RollKind.ATTACK) {
+        if (rules.attackAdvantage) add('advantage', 'advantage on attack rolls');
+        if (rules.attackDisadvantage) add('disadvantage', 'disadvantage on attack rolls');
+        if (rules.attackDisadvantageExceptSource && context.target && sourceId && context.target.id !== sourceId) {
+          add('disadvantage', 'disadvantage on attacks against anyone else');
+        }
+        if (rules.attackBonus) add('bonus', `+${rules.attackBonus} to attack rolls`, rules.attackBonus);
+        if (rules.attackPenalty) add('penalty', `-${rules.attackPenalty} to attack rolls`, rules.attackPenalty);
+      }
+
+      if (kind === RollKind.SAVE || kind === RollKind.DEATH_SAVE) {
+        if (rules.saveAdvantage) add('advantage', 'advantage on saving throws');
+        if (rules.saveDisadvantage) add('disadvantage', 'disadvantage on saving throws');
+        if (rules.saveBonus) add('bonus', `+${rules.saveBonus} to saving throws`, rules.saveBonus);
+        if (rules.savePenalty) add('penalty', `-${rules.savePenalty} to saving throws`, rules.savePenalty);
+
+        if (ability) {
+          const label = ability.toUpperCase();
+          if (rules[`${ability}SaveAdvantage`]) add('advantage', `advantage on ${label} saves`);
+          if (rules[`${ability}SaveDisadvantage`]) add('disadvantage', `disadvantage on ${label} saves`);
+          if (rules[`${ability}SaveBonus`]) add('bonus', `+${rules[`${ability}SaveBonus`]} to ${label} saves`, rules[`${ability}SaveBonus`]);
+          if (rules[`${ability}SavePenalty`]) add('penalty', `-${rules[`${ability}SavePenalty`]} to ${label} saves`, rules[`${ability}SavePenalty`]);
+          if (rules.autoFailStrDexSaves && (ability === 'str' || ability === 'dex')) {
+            add('autoFail', `automatically fails ${label} saves`);
+          }
+        }
+      }
+
+      if (kind === RollKind.CHECK || kind === RollKind.SKILL || kind === RollKind.INITIATIVE) {
+        if (rules.checkAdvantage) add('advantage', 'advantage on ability checks');
+        if (rules.checkDisadvantage) add('disadvantage', 'disadvantage on ability checks');
+        if (rules.checkBonus) add('bonus', `+${rules.checkBonus} to ability checks`, rules.checkBonus);
+        if (rules.checkPenalty) add('penalty', `-${rules.checkPenalty} to ability checks`, rules.checkPenalty);
+
+        if (kind === RollKind.INITIATIVE) {
+          if (rules.initiativeAdvantage) add('advantage', 'advantage on initiative');
+          if (rules.initiativeDisadvantage) add('disadvantage', 'disadvantage on initiative');
+        }
+
+        if (ability) {
+          const label = ability.toUpperCase();
+          if (rules[`${ability}CheckAdvantage`]) add('advantage', `advantage on ${label} checks`);
+          if (rules[`${ability}CheckDisadvantage`]) add('disadvantage', `disadvantage on ${label} checks`);
+        }
+        if (rules.autoFailSightChecks && context.requiresSight) add('autoFail', 'automatically fails checks that need sight');
+        if (rules.autoFailHearingChecks && context.requiresHearing) add('autoFail', 'automatically fails checks that need hearing');
+      }
+    });
+
+    // Attacks also depend on the target's conditions
+    if (kind === RollKind.ATTACK && context.target) {
+      // Being within 5 feet counts whatever the attack, so a ranged attack
+      // at point-blank range gets the advantage and critical hits of melee
+      const distance = context.distance ?? (context.attackKind === 'ranged' ? Infinity : 5);
+      const close = distance <= 5;
+
+      const attackerId = context.combatant ? context.combatant.id : null;
+
+      this.getActiveRules(context.target).forEach(({ name, sourceId, rules }) => {
+        const add = (effect, text) => this._addModifier(modifiers, effect, `Target ${name}: ${text}`);
+
+        if (rules.incomingAttackAdvantage) add('advantage', 'attacks against it have advantage');
+        if (rules.incomingAttackDisadvantage) add('disadvantage', 'attacks against it have disadvantage');
+        if (rules.incomingMeleeAttackAdvantage && close) add('advantage', 'attacks within 5 feet have advantage');
+        if (rules.incomingRangedAttackDisadvantage && !close) add('disadvantage', 'attacks from farther away have disadvantage');
+        if (rules.incomingMeleeCritical && close) add('autoCrit', 'hits within 5 feet are critical hits');
+        if (rules.incomingAttackAdvantageFromSource && attackerId && sourceId === attackerId) {
+          add('advantage', 'the attacker has advantage against it');
+        }
+      });
+    }
+
+    return modifiers;
+  }
+
+  /**
+   * Get the speed changes from a combatant's conditions
+   * @param {Object} combatant - Combatant object
+   * @returns {Object} {zero, penalty, multiplier, reasons}
+   */
+  getSpeedModifiers(combatant) {
+    const speed = { zero: false, penalty: 0, multiplier: 1, reasons: [] };
+
+    this.getActiveRules(combatant).forEach(({ name, rules }) => {
+      if (rules.speedZero || rules.cannotMove) {
+        speed.zero = true;
+        speed.reasons.push(`${name}: speed 0`);
+      }
+      if (rules.speedPenalty) {
+        speed.penalty += rules.speedPenalty;
+        speed.reasons.push(`${name}: speed reduced by ${rules.speedPenalty} feet`);
+      }
+      if (rules.speedHalved) {
+        speed.multiplier /= 2;
+        speed.reasons.push(`${name}: speed halved`);
+      }
+      if (rules.speedDoubled) {
+        speed.multiplier *= 2;
+        speed.reasons.push(`${name}: speed doubled`);
+      }
+    });
+
+    return speed;
+  }
+
+  /**
+   * Add the modifiers for a roll to its formula and dice options
+   * @param {string} kind - RollKind
+   * @param {string} formula - Dice formula
+   * @param {Object} options - Roll options, with the context fields of getRollModifiers
+   * @returns {Object} {formula, options, modifiers}
+   */
+  applyToRoll(kind, formula, options = {}) {
+    const modifiers = this.getRollModifiers(kind, options);
+
+    const extra = modifiers.bonuses
+      .map(({ value, sign }) => `${sign < 0 ? '-' : '+'}${value}`)
+      .join('');
+
+    return {
+      formula: `${formula}${extra}`,
+      options: {
+        ...options,
+        advantage: !!options.advantage || modifiers.advantage,
+        disadvantage: !!options.disadvantage || modifiers.disadvantage
+      },
+      modifiers
+    };
+  }
+
+  /**
+   * Get the ability a roll uses
+   * @private
+   * @param {string} kind - RollKind
+   * @param {Object} context - Roll context
+   * @returns {string|null} Ability
+   */
+  _getAbility(kind, context) {
+    if (context.ability) return context.ability.toLowerCase();
+    if (kind === RollKind.INITIATIVE) return 'dex';
+    if (kind === RollKind.SKILL && context.skill) return SKILL_ABILITIES[context.skill.toLowerCase()] || null;
+    return null;
+  }
+
+  /**
+   * Record one modifier and the reason for it
+   * @private
+   * @param {Object} modifiers - Modifiers being built
+   * @param {string} effect - advantage, disadvantage, autoFail, autoCrit, bonus or penalty
+   * @param {string} reason - Explanation
+   * @param {number|string} value - Bonus or penalty (a number or dice such as '1d4')
+   */
+  _addModifier(modifiers, effect, reason, value) {
+    if (effect === 'bonus' || effect === 'penalty') {
+      modifiers.bonuses.push({ value, sign: effect === 'bonus' ? 1 : -1, reason });
+    } else {
+      modifiers[effect] = true;
+    }
+
+    modifiers.reasons.push(reason);
+  }
+}
+
+/**
+ * Create a rules engine
+ * @param {Object} conditions - Conditions module
+ * @returns {RulesEngine} A new rules engine
+ */
+export function createRulesEngine(conditions) {
+  return new RulesEngine(conditions);
+}
+
+export default {
+  RollKind,
+  SKILL_ABILITIES,
+  RulesEngine,
+  createRulesEngine
+};
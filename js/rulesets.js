@@ -0,0 +1,234 @@
+/**
+ * Jesster's Combat Tracker
+ * Rulesets Module
+ * Version 2.3.1
+ *
+ * This module describes where the 2014 and 2024 rules differ: condition
+ * definitions (2024 exhaustion is a flat -2 per level to d20 Tests), how
+ * surprise works, and the 2024 weapon mastery properties. The ruleset is a
+ * setting, and an encounter or a fight can carry its own so that groups on
+ * either edition can share the tracker.
+ */
+
+/**
+ * Supported rulesets
+ */
+export const Ruleset = {
+  RULES_2014: '2014',
+  RULES_2024: '2024'
+};
+
+/**
+ * Ruleset used when none is set
+ */
+export const DEFAULT_RULESET = Ruleset.RULES_2014;
+
+/**
+ * Display names of the rulesets
+ */
+export const RULESET_NAMES = {
+  [Ruleset.RULES_2014]: '2014 Rules',
+  [Ruleset.RULES_2024]: '2024 Rules (5.5e)'
+};
+
+/**
+ * How surprise affects a combatant
+ */
+export const SurpriseRule = {
+  LOSE_FIRST_TURN: 'lose-first-turn',
+  INITIATIVE_DISADVANTAGE: 'initiative-disadvantage'
+};
+
+/**
+ * Weapon mastery properties (2024 rules)
+ */
+export const WeaponMastery = {
+  CLEAVE: 'cleave',
+  GRAZE: 'graze',
+  NICK: 'nick',
+  PUSH: 'push',
+  SAP: 'sap',
+  SLOW: 'slow',
+  TOPPLE: 'topple',
+  VEX: 'vex'
+};
+
+/**
+ * What each weapon mastery property does
+ */
+export const WEAPON_MASTERY_DESCRIPTIONS = {
+  [WeaponMastery.CLEAVE]: 'On a melee hit, make one more attack against a creature within 5 feet of the first, dealing no ability modifier damage. Once per turn.',
+  [WeaponMastery.GRAZE]: 'On a miss, the target takes damage equal to the ability modifier used for the attack.',
+  [WeaponMastery.NICK]: 'The extra attack of the Light property is part of the Attack action instead of a Bonus Action. Once per turn.',
+  [WeaponMastery.PUSH]: 'On a hit, push a Large or smaller target up to 10 feet straight away.',
+  [WeaponMastery.SAP]: 'On a hit, the target has disadvantage on its next attack roll before the start of your next turn.',
+  [WeaponMastery.SLOW]: 'On a hit that deals damage, the target\'s speed drops by 10 feet until the start of your next turn.',
+  [WeaponMastery.TOPPLE]: 'On a hit, the target makes a Constitution save (DC 8 + ability modifier + proficiency bonus) or falls prone.',
+  [WeaponMastery.VEX]: 'On a hit that deals damage, you have advantage on your next attack roll against the target before the end of your next turn.'
+};
+
+// Conditions that change under the 2024 rules, as functions of the 2014 definition
+const CONDITION_CHANGES_2024 = {
+  grappled: condition => ({
+    ...condition,
+    description: 'A grappled creature\'s speed is 0. It has disadvantage on attack rolls against any target other than the grappler.',
+    rules: { ...condition.rules, attackDisadvantageExceptSource: true }
+  }),
+  incapacitated: condition => ({
+    ...condition,
+    description: 'An incapacitated creature can\'t take any action, bonus action or reaction, and can\'t concentrate. It has disadvantage on initiative.',
+    rules: { ...condition.rules, initiativeDisadvantage: true }
+  }),
+  invisible: condition => ({
+    ...condition,
+    description: 'An invisible creature has advantage on initiative. Attack rolls against it have disadvantage, and its attack rolls have advantage.',
+    rules: { ...condition.rules, initiativeAdvantage: true }
+  }),
+  surprised: condition => ({
+    ...condition,
+    description: 'A surprised creature has disadvantage on its initiative roll.',
+    rules: { initiativeDisadvantage: true },
+    duration: null
+  })
+};
+
+// Exhaustion levels 1-5 are a flat penalty to d20 Tests and speed; level 6 is death
+for (let level = 1; level <= 6; level++) {
+  CONDITION_CHANGES_2024[`exhaustion-${level}`] = condition => ({
+    ...condition,
+    description: level === 6
+      ? 'Death'
+      : `-${level * 2} to d20 Tests and speed reduced by ${level * 5} feet`,
+    rules: level === 6
+      ? { dead: true }
+      : {
+        attackPenalty: level * 2,
+        savePenalty: level * 2,
+        checkPenalty: level * 2,
+        speedPenalty: level * 5
+      }
+  });
+}
+
+// Conditions that only exist under the 2024 rules, left by weapon masteries
+const CONDITIONS_2024 = [
+  {
+    id: 'sapped',
+    name: 'Sapped',
+    description: 'Disadvantage on the next attack roll before the start of the attacker\'s next turn.',
+    icon: '🔨',
+    color: '#8D6E63',
+    rules: {
+      attackDisadvantage: true,
+      endsOnOwnAttack: true
+    },
+    isCustom: true
+  },
+  {
+    id: 'slowed',
+    name: 'Slowed',
+    description: 'Speed reduced by 10 feet until the start of the attacker\'s next turn.',
+    icon: '🐌',
+    color: '#607D8B',
+    rules: {
+      speedPenalty: 10
+    },
+    isCustom: true
+  },
+  {
+    id: 'vexed',
+    name: 'Vexed',
+    description: 'The attacker has advantage on its next attack roll against this creature before the end of its next turn.',
+    icon: '🎯',
+    color: '#AD1457',
+    rules: {
+      incomingAttackAdvantageFromSource: true,
+      endsOnSourceAttack: true
+    },
+    isCustom: true
+  }
+];
+
+/**
+ * Check whether a value names a supported ruleset
+ * @param {string} value - Value to check
+ * @returns {boolean} True if it is a ruleset
+ */
+export function isRuleset(value) {
+  return Object.values(Ruleset).includes(value);
+}
+
+/**
+ * Work out the ruleset in force
+ * @param {Object} state - Application state (its settings slice holds the ruleset setting)
+ * @param {string} override - Ruleset of the encounter or fight, if it has one
+ * @returns {string} Ruleset
+ */
+export function getRuleset(state, override = null) {
+  if (isRuleset(override)) return override;
+
+  const setting = state && state.settings ? state.settings.ruleset : null;
+  return isRuleset(setting) ? setting : DEFAULT_RULESET;
+}
+
+/**
+ * Get how surprise works under a ruleset
+ * @param {string} ruleset - Ruleset
+ * @returns {string} SurpriseRule
+ */
+export function getSurpriseRule(ruleset) {
+  return ruleset === Ruleset.RULES_2024
+    ? SurpriseRule.INITIATIVE_DISADVANTAGE
+    : SurpriseRule.LOSE_FIRST_TURN;
+}
+
+/**
+ * Get condition definitions for a ruleset
+ * @param {Array} conditions - 2014 condition definitions
+ * @param {string} ruleset - Ruleset
+ * @returns {Array} Condition definitions under the ruleset
+ */
+export function getRulesetConditions(conditions, ruleset) {
+  if (ruleset !== Ruleset.RULES_2024) return conditions;
+
+  return conditions.map(condition => {
+    const change = CONDITION_CHANGES_2024[condition.id];
+    return change ? change(condition) : condition;
+  });
+}
+
+/**
+ * Get the conditions a ruleset adds
+ * @param {string} ruleset - Ruleset
+ * @returns {Array} Extra condition definitions
+ */
+export function getRulesetExtraConditions(ruleset) {
+  return ruleset === Ruleset.RULES_2024 ? CONDITIONS_2024 : [];
+}
+
+/**
+ * Normalize a weapon mastery name
+ * @param {string} mastery - Mastery name, e.g. 'Topple'
+ * @returns {string|null} WeaponMastery or null if unknown
+ */
+export function parseWeaponMastery(mastery) {
+  if (!mastery) return null;
+
+  const value = String(mastery).trim().toLowerCase();
+  return Object.values(WeaponMastery).includes(value) ? value : null;
+}
+
+export default {
+  Ruleset,
+  DEFAULT_RULESET,
+  RULESET_NAMES,
+  SurpriseRule,
+  WeaponMastery,
+  WEAPON_MASTERY_DESCRIPTIONS,
+  isRuleset,
+  getRuleset,
+  getSurpriseRule,
+  getRulesetConditions,
+  getRulesetExtraConditions,
+  parseWeaponMastery
+};
@@ -4,14 +4,16 @@
  * Version 2.3.1
  * 
  * This module handles saving and loading data, including encounters, characters, and settings.
- * It supports multiple storage methods including localStorage, IndexedDB, and file system.
+ * It supports multiple storage methods including the repository, IndexedDB, and file system.
  */
 
+import { SCHEMA_VERSION, getSchemaVersion, needsMigration, migrateSaveData } from './migrations.js';
+
 /**
  * Storage types
  */
 export const StorageType = {
-  LOCAL_STORAGE: 'localStorage',
+  REPOSITORY: 'repository',
   INDEXED_DB: 'indexedDB',
   FILE_SYSTEM: 'fileSystem',
   CLOUD: 'cloud'
@@ -36,10 +38,11 @@ export class SaveManager {
   /**
    * Create a save manager
    * @param {Object} options - Configuration options
+   * @param {Repository} options.repository - Repository to keep saves in
    */
   constructor(options = {}) {
     this.options = {
-      defaultStorageType: options.defaultStorageType || StorageType.LOCAL_STORAGE,
+      defaultStorageType: options.defaultStorageType || StorageType.REPOSITORY,
       autoSave: options.autoSave !== undefined ? options.autoSave : true,
       autoSaveInterval: options.autoSaveInterval || 60000, // 1 minute
       maxAutoSaves: options.maxAutoSaves || 5,
@@ -49,7 +52,7 @@ export class SaveManager {
     };
     
     this.storageHandlers = {
-      [StorageType.LOCAL_STORAGE]: new LocalStorageHandler(),
+      [StorageType.REPOSITORY]: new RepositoryHandler(options.repository),
       [StorageType.INDEXED_DB]: new IndexedDBHandler(),
       [StorageType.FILE_SYSTEM]: new FileSystemHandler(),
       [StorageType.CLOUD]: options.cloudHandler || null
@@ -164,6 +167,7 @@ export class SaveManager {
         settings: await this.getSettings(),
         templates: await this.getAllTemplates(),
         version: '2.3.1',
+        schemaVersion: SCHEMA_VERSION,
         timestamp: new Date().toISOString()
       };
       
@@ -270,7 +274,8 @@ export class SaveManager {
         name,
         date: new Date().toISOString(),
         isAutoSave,
-        version: '2.3.1'
+        version: '2.3.1',
+        schemaVersion: SCHEMA_VERSION
       }
     };
     
@@ -370,7 +375,8 @@ export class SaveManager {
       meta: {
         name,
         date: new Date().toISOString(),
-        version: '2.3.1'
+        version: '2.3.1',
+        schemaVersion: SCHEMA_VERSION
       }
     };
     
@@ -459,7 +465,8 @@ export class SaveManager {
       meta: {
         name,
         date: new Date().toISOString(),
-        version: '2.3.1'
+        version: '2.3.1',
+        schemaVersion: SCHEMA_VERSION
       }
     };
     
@@ -546,7 +553,8 @@ export class SaveManager {
       ...data,
       meta: {
         date: new Date().toISOString(),
-        version: '2.3.1'
+        version: '2.3.1',
+        schemaVersion: SCHEMA_VERSION
       }
     };
     
@@ -599,7 +607,8 @@ export class SaveManager {
       meta: {
         name,
         date: new Date().toISOString(),
-        version: '2.3.1'
+        version: '2.3.1',
+        schemaVersion: SCHEMA_VERSION
       }
     };
     
@@ -689,7 +698,8 @@ export class SaveManager {
       meta: {
         name,
         date: new Date().toISOString(),
-        version: '2.3.1'
+        version: '2.3.1',
+        schemaVersion: SCHEMA_VERSION
       }
     };
     
@@ -867,7 +877,8 @@ export class SaveManager {
   }
 
   /**
-   * Import data from a file
+   * Import data from a file. Files from an older schema are migrated, and
+   * the file as it was is kept as a backup first.
    * @param {File} file - The file to import
    * @returns {Promise<Object>} The imported data
    */
@@ -877,7 +888,7 @@ export class SaveManager {
       const text = await readFileAsText(file);
       
       // Parse the JSON
-      const data = JSON.parse(text);
+      let data = JSON.parse(text);
       
       if (!data || !data.meta) {
         throw new Error('Invalid data format');
@@ -887,6 +898,16 @@ export class SaveManager {
       const type = determineDataType(data);
       const name = data.meta.name || file.name.replace(/\.[^/.]+$/, '');
       
+      // Migrate older files, backing them up as they were
+      if (needsMigration(data)) {
+        const schemaVersion = getSchemaVersion(data);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        await this.saveData(SaveType.BACKUP, `pre-migration-${name}-${timestamp}`, { ...data, schemaVersion });
+        
+        data = migrateSaveData(data, type);
+        this._notifyListeners('dataMigrated', { type, name, from: schemaVersion, to: SCHEMA_VERSION });
+      }
+      
       // Save the data
       await this.saveData(type, name, data);
       
@@ -1192,112 +1213,93 @@ class StorageHandler {
 }
 
 /**
- * Local storage handler
+ * Repository storage handler. Saves are kept as repository meta under
+ * saves/<type>/<name>, so they go wherever the rest of the data does but
+ * aren't exported or synced with it.
  */
-class LocalStorageHandler extends StorageHandler {
+class RepositoryHandler extends StorageHandler {
+  /**
+   * Create a repository storage handler
+   * @param {Repository} repository - Repository to keep saves in
+   */
+  constructor(repository) {
+    super();
+    this.repository = repository || null;
+  }
+
   /**
-   * Initialize the local storage handler
+   * Initialize the repository handler, moving saves older versions kept in
+   * localStorage into the repository
    * @returns {Promise<void>}
    */
   async init() {
-    // Nothing to initialize for localStorage
+    if (this.repository) {
+      await this.repository.ready;
+      await this._moveLocalStorageSaves();
+    }
   }
 
   /**
-   * Check if local storage is available
-   * @returns {Promise<boolean>} True if local storage is available
+   * Check if the repository is available
+   * @returns {Promise<boolean>} True if there is a repository
    */
   async isAvailable() {
-    try {
-      const testKey = '__storage_test__';
-      localStorage.setItem(testKey, testKey);
-      localStorage.removeItem(testKey);
-      return true;
-    } catch (e) {
-      return false;
-    }
+    return this.repository !== null;
   }
 
   /**
-   * Save data to local storage
+   * Save data to the repository
    * @param {string} type - The type of data
    * @param {string} name - The name of the save
    * @param {Object} data - The data to save
    * @returns {Promise<void>}
    */
   async saveData(type, name, data) {
-    try {
-      const key = this._getStorageKey(type, name);
-      localStorage.setItem(key, JSON.stringify(data));
-    } catch (error) {
-      if (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED') {
-        throw new Error('Local storage quota exceeded');
-      }
-      throw error;
+    if (!(await this.repository.setMeta(this._getSaveName(type, name), data))) {
+      throw new Error(`Failed to save ${type}/${name}`);
     }
   }
 
   /**
-   * Load data from local storage
+   * Load data from the repository
    * @param {string} type - The type of data
    * @param {string} name - The name of the save
    * @returns {Promise<Object>} The loaded data
    */
   async loadData(type, name) {
-    const key = this._getStorageKey(type, name);
-    const data = localStorage.getItem(key);
+    const data = await this.repository.getMeta(this._getSaveName(type, name));
     
-    if (!data) {
+    if (data === null) {
       const error = new Error(`Data not found: ${type}/${name}`);
       error.name = 'NotFoundError';
       throw error;
     }
     
-    try {
-      return JSON.parse(data);
-    } catch (error) {
-      throw new Error(`Failed to parse data: ${error.message}`);
-    }
+    return data;
   }
 
   /**
-   * Delete data from local storage
+   * Delete data from the repository
    * @param {string} type - The type of data
    * @param {string} name - The name of the save
    * @returns {Promise<void>}
    */
   async deleteData(type, name) {
-    const key = this._getStorageKey(type, name);
-    localStorage.removeItem(key);
+    await this.repository.removeMeta(this._getSaveName(type, name));
   }
 
   /**
-   * Get all data of a specific type from local storage
+   * Get all data of a specific type from the repository
    * @param {string} type - The type of data
    * @returns {Promise<Array>} Array of data items
    */
   async getAllData(type) {
-    const prefix = `jct_${type}_`;
-    const keys = [];
-    
-    // Find all keys with the prefix
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key.startsWith(prefix)) {
-        keys.push(key);
-      }
-    }
-    
-    // Load all data
     const data = [];
-    for (const key of keys) {
-      try {
-        const item = localStorage.getItem(key);
-        if (item) {
-          data.push(JSON.parse(item));
-        }
-      } catch (error) {
-        console.error(`Failed to parse data for key ${key}:`, error);
+    
+    for (const name of await this.repository.listMeta(`saves/${type}/`)) {
+      const item = await this.repository.getMeta(name);
+      if (item !== null) {
+        data.push(item);
       }
     }
     
@@ -1305,36 +1307,55 @@ class LocalStorageHandler extends StorageHandler {
   }
 
   /**
-   * Clean up local storage
+   * Remove every save from the repository
    * @returns {Promise<void>}
    */
   async cleanup() {
-    const prefix = 'jct_';
-    const keysToRemove = [];
+    if (!this.repository) return;
+    
+    for (const name of await this.repository.listMeta('saves/')) {
+      await this.repository.removeMeta(name);
+    }
+  }
+
+  /**
+   * Move the saves older versions kept in localStorage under
+   * jct_<type>_<name> into the repository. A key is only removed once its
+   * save was stored.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _moveLocalStorageSaves() {
+    if (typeof localStorage === 'undefined') return;
     
-    // Find all keys with the prefix
+    const moves = [];
     for (let i = 0; i < localStorage.length; i++) {
       const key = localStorage.key(i);
-      if (key.startsWith(prefix)) {
-        keysToRemove.push(key);
+      const type = Object.values(SaveType).find(saveType => key.startsWith(`jct_${saveType}_`));
+      if (type) {
+        moves.push({ key, type, name: key.slice(`jct_${type}_`.length) });
       }
     }
     
-    // Remove all keys
-    for (const key of keysToRemove) {
-      localStorage.removeItem(key);
+    for (const { key, type, name } of moves) {
+      try {
+        await this.saveData(type, name, JSON.parse(localStorage.getItem(key)));
+        localStorage.removeItem(key);
+      } catch (error) {
+        console.error(`Failed to move save ${key} into the repository:`, error);
+      }
     }
   }
 
   /**
-   * Get the storage key for a type and name
+   * Get the meta name of a save
    * @param {string} type - The type of data
    * @param {string} name - The name of the save
-   * @returns {string} The storage key
+   * @returns {string} The meta name
    * @private
    */
-  _getStorageKey(type, name) {
-    return `jct_${type}_${name}`;
+  _getSaveName(type, name) {
+    return `saves/${type}/${name}`;
   }
 }
 
@@ -1576,17 +1597,65 @@ class IndexedDBHandler extends StorageHandler {
   }
 }
 
+// IndexedDB database directory handles are remembered in between sessions
+const HANDLE_DB_NAME = 'JessterCombatTrackerHandles';
+const HANDLE_STORE = 'handles';
+
+/**
+ * Open the database directory handles are remembered in
+ * @private
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openHandleDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(HANDLE_DB_NAME, 1);
+    
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(HANDLE_STORE);
+    };
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Read, write or delete a remembered directory handle
+ * @private
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} operation - Called with the object store, returns a request
+ * @returns {Promise<*>} The request result
+ */
+async function withHandleStore(mode, operation) {
+  const db = await openHandleDatabase();
+  
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = operation(db.transaction(HANDLE_STORE, mode).objectStore(HANDLE_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
 /**
  * File system storage handler
  */
-class FileSystemHandler extends StorageHandler {
+export class FileSystemHandler extends StorageHandler {
   /**
    * Create a file system storage handler
+   * @param {Object} options - Handler options
+   * @param {string} options.id - Picker ID, so the picker opens where it was last used, and the name the directory is remembered under
+   * @param {boolean} options.remember - Remember the directory for later sessions
    */
-  constructor() {
+  constructor(options = {}) {
     super();
     this.fileSystem = null;
     this.baseDir = null;
+    this.id = options.id || 'jct-data';
+    this.remember = options.remember || false;
   }
 
   /**
@@ -1619,7 +1688,7 @@ class FileSystemHandler extends StorageHandler {
     try {
       // Show the directory picker
       const dirHandle = await window.showDirectoryPicker({
-        id: 'jct-data',
+        id: this.id,
         mode: 'readwrite',
         startIn: 'documents'
       });
@@ -1627,6 +1696,14 @@ class FileSystemHandler extends StorageHandler {
       // Store the directory handle
       this.baseDir = dirHandle;
       
+      if (this.remember) {
+        try {
+          await withHandleStore('readwrite', store => store.put(dirHandle, this.id));
+        } catch (error) {
+          console.error('Failed to remember directory:', error);
+        }
+      }
+      
       return true;
     } catch (error) {
       console.error('Failed to get directory access:', error);
@@ -1634,6 +1711,188 @@ class FileSystemHandler extends StorageHandler {
     }
   }
 
+  /**
+   * Get back the directory chosen in an earlier session. Browsers ask again
+   * for permission to use it after a reload, and only allow asking in
+   * response to a click.
+   * @param {Object} options - Options
+   * @param {boolean} options.request - Ask for permission if it isn't granted yet
+   * @returns {Promise<boolean>} True if the directory can be used
+   */
+  async restoreDirectoryAccess(options = {}) {
+    const dirHandle = await this.getRememberedDirectory();
+    if (!dirHandle) {
+      return false;
+    }
+    
+    const descriptor = { mode: 'readwrite' };
+    let permission = await dirHandle.queryPermission(descriptor);
+    if (permission === 'prompt' && options.request) {
+      permission = await dirHandle.requestPermission(descriptor);
+    }
+    
+    if (permission !== 'granted') {
+      return false;
+    }
+    
+    this.baseDir = dirHandle;
+    return true;
+  }
+
+  /**
+   * Get the directory chosen in an earlier session
+   * @returns {Promise<FileSystemDirectoryHandle|null>} The directory handle, or null if there is none
+   */
+  async getRememberedDirectory() {
+    if (!this.remember || !window.indexedDB) {
+      return null;
+    }
+    
+    try {
+      return (await withHandleStore('readonly', store => store.get(this.id))) || null;
+    } catch (error) {
+      console.error('Failed to read remembered directory:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stop using the directory and forget it
+   * @returns {Promise<void>}
+   */
+  async forgetDirectory() {
+    this.baseDir = null;
+    
+    if (this.remember && window.indexedDB) {
+      await withHandleStore('readwrite', store => store.delete(this.id));
+    }
+  }
+
+  /**
+   * Get the name of the directory in use
+   * @returns {string|null} Directory name, or null if none is in use
+   */
+  getDirectoryName() {
+    return this.baseDir ? this.baseDir.name : null;
+  }
+
+  /**
+   * Get the handle of a directory below the base directory
+   * @private
+   * @param {Array} names - Directory names from the base directory down
+   * @param {boolean} create - Create missing directories
+   * @returns {Promise<FileSystemDirectoryHandle>} The directory handle
+   */
+  async _getDirectory(names, create) {
+    if (!this.baseDir) {
+      throw new Error('Directory access not granted');
+    }
+    
+    let dir = this.baseDir;
+    for (const name of names) {
+      dir = await dir.getDirectoryHandle(name, { create });
+    }
+    
+    return dir;
+  }
+
+  /**
+   * Write a text file below the base directory
+   * @param {string} path - Path such as "players/aria.json"
+   * @param {string} text - File contents
+   * @returns {Promise<void>}
+   */
+  async writeTextFile(path, text) {
+    const names = path.split('/');
+    const fileName = names.pop();
+    
+    try {
+      const dir = await this._getDirectory(names, true);
+      const fileHandle = await dir.getFileHandle(fileName, { create: true });
+      
+      const writable = await fileHandle.createWritable();
+      await writable.write(text);
+      await writable.close();
+    } catch (error) {
+      throw new Error(`Failed to write ${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read a text file below the base directory
+   * @param {string} path - Path such as "campaign.json"
+   * @returns {Promise<string|null>} File contents, or null if there is no such file
+   */
+  async readTextFile(path) {
+    const names = path.split('/');
+    const fileName = names.pop();
+    
+    try {
+      const dir = await this._getDirectory(names, false);
+      const fileHandle = await dir.getFileHandle(fileName);
+      const file = await fileHandle.getFile();
+      return await file.text();
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        return null;
+      }
+      
+      throw new Error(`Failed to read ${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read every file in a directory below the base directory
+   * @param {string} path - Directory path such as "notes"
+   * @returns {Promise<Array>} Files ({name, text}); empty if there is no such directory
+   */
+  async readTextFiles(path) {
+    let dir;
+    try {
+      dir = await this._getDirectory(path.split('/'), false);
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        return [];
+      }
+      throw error;
+    }
+    
+    const files = [];
+    for await (const entry of dir.values()) {
+      if (entry.kind !== 'file' || entry.name.startsWith('.')) {
+        continue;
+      }
+      
+      try {
+        const file = await entry.getFile();
+        files.push({ name: entry.name, text: await file.text() });
+      } catch (error) {
+        console.error(`Failed to read file ${entry.name}:`, error);
+      }
+    }
+    
+    return files;
+  }
+
+  /**
+   * Delete a file below the base directory
+   * @param {string} path - Path such as "players/aria.json"
+   * @returns {Promise<void>}
+   */
+  async removeFile(path) {
+    const names = path.split('/');
+    const fileName = names.pop();
+    
+    try {
+      const dir = await this._getDirectory(names, false);
+      await dir.removeEntry(fileName);
+    } catch (error) {
+      if (error.name !== 'NotFoundError') {
+        throw new Error(`Failed to delete ${path}: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Save data to the file system
    * @param {string} type - The type of data
@@ -1885,6 +2144,7 @@ export function createSaveManager(options = {}) {
 // Export the main save functions and classes
 export default {
   createSaveManager,
+  FileSystemHandler,
   StorageType,
   SaveType
 };
@@ -2,10 +2,18 @@
  * Settings module for Jesster's Combat Tracker
  * Handles application settings and preferences
  */
+import * as actions from './actions.js';
+import { store as appStore } from './store.js';
+import { DEFAULT_RULESET, RULESET_NAMES, isRuleset } from './rulesets.js';
+import { DocumentName } from './repository.js';
+
 class Settings {
-    constructor(storage) {
-        // Store reference to storage module
-        this.storage = storage;
+    constructor(repository, store = appStore) {
+        // Store reference to the repository
+        this.repository = repository;
+        
+        // Application store; current settings live in its settings slice
+        this.store = store;
         
         // Default settings
         this.defaults = {
@@ -24,6 +32,8 @@ class Settings {
             autoRollMonsterInitiative: true,
             autoRollNPCInitiative: true,
             advantageMode: 'query', // query, advantage, disadvantage, normal
+            concentrationCheckMode: 'auto', // auto, prompt
+            ruleset: DEFAULT_RULESET, // 2014, 2024
             
             // Timer settings
             turnTimerEnabled: false,
@@ -54,6 +64,12 @@ class Settings {
             // API settings
             openAIApiKey: '',
             
+            // Sync settings
+            syncUrl: '',
+            syncUsername: '',
+            syncPassword: '',
+            syncInterval: 5, // minutes, 0 = only when asked
+            
             // Advanced settings
             debugMode: false,
             experimentalFeatures: false,
@@ -69,24 +85,24 @@ class Settings {
         };
         
         // Current settings
-        this.settings = { ...this.defaults };
+        this.store.dispatch(actions.resetSettings(this.defaults));
         
-        // Load settings
-        this._loadSettings();
+        // Load settings; resolves once saved settings are in the store
+        this.ready = this._loadSettings();
         
         console.log("Settings module initialized");
     }
 
     /**
-     * Load settings from storage
+     * Load settings from the repository
      * @private
      */
     async _loadSettings() {
         try {
-            const savedSettings = await this.storage.load('settings', { useLocalStorage: true });
+            const savedSettings = await this.repository.getDocument(DocumentName.SETTINGS);
             if (savedSettings) {
                 // Merge saved settings with defaults
-                this.settings = { ...this.defaults, ...savedSettings };
+                this.store.dispatch(actions.updateSettings(savedSettings));
             }
         } catch (error) {
             console.error('Error loading settings:', error);
@@ -94,12 +110,20 @@ class Settings {
     }
 
     /**
-     * Save settings to storage
+     * Current settings
+     * @returns {Object} Settings
+     */
+    get settings() {
+        return this.store.getState().settings;
+    }
+
+    /**
+     * Save settings to the repository
      * @private
      */
     async _saveSettings() {
         try {
-            await this.storage.save('settings', this.settings, { useLocalStorage: true });
+            await this.repository.setDocument(DocumentName.SETTINGS, this.settings);
         } catch (error) {
             console.error('Error saving settings:', error);
         }
@@ -127,7 +151,7 @@ class Settings {
      */
     async set(key, value) {
         // Update setting
-        this.settings[key] = value;
+        this.store.dispatch(actions.updateSettings({ [key]: value }));
         
         // Save settings
         await this._saveSettings();
@@ -142,7 +166,7 @@ class Settings {
      */
     async reset(key) {
         if (this.defaults[key] !== undefined) {
-            this.settings[key] = this.defaults[key];
+            this.store.dispatch(actions.updateSettings({ [key]: this.defaults[key] }));
             await this._saveSettings();
             return true;
         }
@@ -155,7 +179,7 @@ class Settings {
      * @returns {Promise<boolean>} Success status
      */
     async resetAll() {
-        this.settings = { ...this.defaults };
+        this.store.dispatch(actions.resetSettings(this.defaults));
         await this._saveSettings();
         return true;
     }
@@ -401,6 +425,46 @@ class Settings {
         return false;
     }
 
+    /**
+     * Get concentration check mode
+     * @returns {string} Concentration check mode
+     */
+    getConcentrationCheckMode() {
+        return this.get('concentrationCheckMode');
+    }
+
+    /**
+     * Set concentration check mode
+     * @param {string} mode - 'auto' to roll saves, 'prompt' to ask for them
+     * @returns {Promise<boolean>} Success status
+     */
+    async setConcentrationCheckMode(mode) {
+        if (['auto', 'prompt'].includes(mode)) {
+            return await this.set('concentrationCheckMode', mode);
+        }
+        return false;
+    }
+
+    /**
+     * Get the ruleset
+     * @returns {string} Ruleset ('2014' or '2024')
+     */
+    getRuleset() {
+        return this.get('ruleset');
+    }
+
+    /**
+     * Set the ruleset used for conditions, encounter math and surprise
+     * @param {string} ruleset - Ruleset ('2014' or '2024')
+     * @returns {Promise<boolean>} Success status
+     */
+    async setRuleset(ruleset) {
+        if (isRuleset(ruleset)) {
+            return await this.set('ruleset', ruleset);
+        }
+        return false;
+    }
+
     /**
      * Check if turn timer is enabled
      * @returns {boolean} True if enabled
@@ -792,7 +856,7 @@ class Settings {
      * @returns {Promise<boolean>} Success status
      */
     async addRecentEncounter(encounterId) {
-        const recentEncounters = this.getRecentEncounters();
+        const recentEncounters = [...this.getRecentEncounters()];
         
         // Remove if already exists
         const index = recentEncounters.indexOf(encounterId);
@@ -825,7 +889,7 @@ class Settings {
      * @returns {Promise<boolean>} Success status
      */
     async pinEncounter(encounterId) {
-        const pinnedEncounters = this.getPinnedEncounters();
+        const pinnedEncounters = [...this.getPinnedEncounters()];
         
         // Check if already pinned
         if (pinnedEncounters.includes(encounterId)) {
@@ -844,7 +908,7 @@ class Settings {
      * @returns {Promise<boolean>} Success status
      */
     async unpinEncounter(encounterId) {
-        const pinnedEncounters = this.getPinnedEncounters();
+        const pinnedEncounters = [...this.getPinnedEncounters()];
         
         // Remove from pinned encounters
         const index = pinnedEncounters.indexOf(encounterId);
@@ -947,7 +1011,7 @@ class Settings {
             }
             
             // Merge with current settings
-            this.settings = { ...this.settings, ...importedSettings };
+            this.store.dispatch(actions.importData({ settings: importedSettings }));
             
             // Save settings
             await this._saveSettings();
@@ -1014,7 +1078,7 @@ class Settings {
                 id: 'combat',
                 name: 'Combat',
                 icon: 'swords',
-                settings: ['initiativeSystem', 'groupSimilarMonsters', 'showDefeatedCombatants', 'highlightActiveTurn', 'autoRollMonsterInitiative', 'autoRollNPCInitiative', 'advantageMode']
+                settings: ['initiativeSystem', 'groupSimilarMonsters', 'showDefeatedCombatants', 'highlightActiveTurn', 'autoRollMonsterInitiative', 'autoRollNPCInitiative', 'advantageMode', 'concentrationCheckMode', 'ruleset']
             },
             {
                 id: 'timer',
@@ -1046,6 +1110,24 @@ class Settings {
                 icon: 'cloud',
                 settings: ['openAIApiKey']
             },
+            {
+                id: 'sync',
+                name: 'Sync',
+                icon: 'refresh',
+                settings: ['syncUrl', 'syncUsername', 'syncPassword', 'syncInterval']
+            },
+            {
+                id: 'encryption',
+                name: 'Encryption',
+                icon: 'lock',
+                settings: []
+            },
+            {
+                id: 'campaign',
+                name: 'Campaign Folder',
+                icon: 'folder-open',
+                settings: []
+            },
             {
                 id: 'advanced',
                 name: 'Advanced',
@@ -1153,6 +1235,21 @@ class Settings {
                     { value: 'normal', label: 'Normal Roll' }
                 ]
             },
+            concentrationCheckMode: {
+                type: 'select',
+                label: 'Concentration Checks',
+                description: 'What happens when a concentrating combatant takes damage',
+                options: [
+                    { value: 'auto', label: 'Roll Automatically' },
+                    { value: 'prompt', label: 'Ask for the Result' }
+                ]
+            },
+            ruleset: {
+                type: 'select',
+                label: 'Ruleset',
+                description: 'Edition used for conditions, exhaustion, encounter difficulty and surprise',
+                options: Object.entries(RULESET_NAMES).map(([value, label]) => ({ value, label }))
+            },
             turnTimerEnabled: {
                 type: 'boolean',
                 label: 'Enable Turn Timer',
@@ -1263,6 +1360,29 @@ class Settings {
                 label: 'OpenAI API Key',
                 description: 'API key for OpenAI integration'
             },
+            syncUrl: {
+                type: 'text',
+                label: 'Sync Server',
+                description: 'URL of a CouchDB database (or compatible server) to share data between devices; leave empty to keep data on this device only'
+            },
+            syncUsername: {
+                type: 'text',
+                label: 'Sync Username',
+                description: 'User name for the sync server'
+            },
+            syncPassword: {
+                type: 'password',
+                label: 'Sync Password',
+                description: 'Password for the sync server'
+            },
+            syncInterval: {
+                type: 'number',
+                label: 'Sync Interval',
+                description: 'Time between automatic syncs (in minutes, 0 to sync only when asked)',
+                min: 0,
+                max: 120,
+                step: 1
+            },
             debugMode: {
                 type: 'boolean',
                 label: 'Debug Mode',
@@ -7,6 +7,8 @@
  * providing a comprehensive system for working with spells.
  */
 
+import { getTemplateForArea } from './areaTemplates.js';
+
 /**
  * Spell schools
  */
@@ -266,6 +268,23 @@ export class Spell {
     }
   }
 
+  /**
+   * Get the area-of-effect template matching the spell's area
+   * @returns {Object|null} Template data for the tactical map, or null if the spell has no area
+   */
+  getAreaTemplate() {
+    const template = getTemplateForArea(this.area);
+    if (!template) {
+      return null;
+    }
+    
+    return {
+      ...template,
+      label: this.name,
+      spellId: this.id
+    };
+  }
+
   /**
    * Get the spell damage at a specific level
    * @param {number} level - The spell level
@@ -1230,6 +1249,8 @@ export class SpellcastingManager {
       result.healing = spell.getHealingAtLevel(options.casterLevel || 1);
     }
     
+    this._addAreaEffect(spell, result);
+    
     this._notifyListeners('spellCast', result);
     
     return result;
@@ -1272,11 +1293,35 @@ export class SpellcastingManager {
       result.healing = spell.getHealingAtLevel(level);
     }
     
+    this._addAreaEffect(spell, result);
+    
     this._notifyListeners('spellCast', result);
     
     return result;
   }
 
+  /**
+   * Add the area template and saving throw of an area spell to a cast result
+   * @param {Spell} spell - The spell being cast
+   * @param {Object} result - The cast result
+   * @private
+   */
+  _addAreaEffect(spell, result) {
+    const template = spell.getAreaTemplate();
+    if (!template) {
+      return;
+    }
+    
+    result.template = template;
+    
+    if (spell.saveType && spell.saveType !== SpellSaveType.NONE) {
+      result.save = {
+        ability: spell.saveType,
+        dc: this.spellSaveDC
+      };
+    }
+  }
+
   /**
    * Add a listener for spellcasting events
    * @param {Function} listener - The listener function
@@ -6,14 +6,18 @@
  * This module provides dice rolling and combat statistics functionality.
  */
 
+import { diceService } from './diceService.js';
+
 /**
  * Dice roller class
  */
 class DiceRoller {
   /**
    * Create a dice roller
+   * @param {DiceService} service - Dice service that performs the rolls
    */
-  constructor() {
+  constructor(service = diceService) {
+    this.service = service;
     this.history = [];
     this.maxHistoryLength = 20;
   }
@@ -21,154 +25,26 @@ class DiceRoller {
   /**
    * Roll dice
    * @param {string} expression - Dice expression (e.g., "2d6+3")
+   * @param {Object} options - Roll options (see DiceService#roll)
    * @returns {Object} Roll result
    */
-  roll(expression) {
-    try {
-      const result = this._parseAndRoll(expression);
-      
-      // Add to history
-      this.history.unshift({
-        expression,
-        result: result.total,
-        breakdown: result.breakdown,
-        timestamp: new Date().getTime()
-      });
-      
-      // Trim history if needed
-      if (this.history.length > this.maxHistoryLength) {
-        this.history.pop();
-      }
-      
-      return result;
-    } catch (error) {
-      console.error('Error rolling dice:', error);
-      return {
-        success: false,
-        error: error.message,
-        total: 0,
-        rolls: [],
-        breakdown: ''
-      };
-    }
-  }
-
-  /**
-   * Parse and roll dice expression
-   * @param {string} expression - Dice expression
-   * @returns {Object} Roll result
-   * @private
-   */
-  _parseAndRoll(expression) {
-    // Remove whitespace
-    expression = expression.replace(/\s+/g, '');
+  roll(expression, options = {}) {
+    const result = this.service.roll(expression, options);
     
-    // Validate expression
-    if (!expression.match(/^(\d*d\d+|\d+)([+\-*/](\d*d\d+|\d+))*$/i)) {
-      throw new Error('Invalid dice expression');
-    }
-    
-    // Split into terms
-    const terms = this._splitIntoTerms(expression);
-    
-    // Roll each term and calculate total
-    let total = 0;
-    let breakdown = '';
-    let operator = '+';
-    const rolls = [];
-    
-    for (const term of terms) {
-      if (['+', '-', '*', '/'].includes(term)) {
-        operator = term;
-        breakdown += ` ${operator} `;
-        continue;
-      }
-      
-      // Check if term is a die roll or a number
-      if (term.toLowerCase().includes('d')) {
-        const [count, sides] = term.toLowerCase().split('d');
-        const dieCount = count === '' ? 1 : parseInt(count, 10);
-        const dieSides = parseInt(sides, 10);
-        
-        // Validate die parameters
-        if (dieCount < 1 || dieSides < 1 || dieCount > 100 || dieSides > 1000) {
-          throw new Error('Invalid die parameters');
-        }
-        
-        // Roll the dice
-        const dieRolls = [];
-        for (let i = 0; i < dieCount; i++) {
-          const roll = Math.floor(Math.random() * dieSides) + 1;
-          dieRolls.push(roll);
-        }
-        
-        const dieTotal = dieRolls.reduce((sum, roll) => sum + roll, 0);
-        rolls.push({ die: term, rolls: dieRolls, total: dieTotal });
-        
-        // Add to breakdown
-        breakdown += `[${dieRolls.join(', ')}]`;
-        
-        // Apply operator
-        switch (operator) {
-          case '+': total += dieTotal; break;
-          case '-': total -= dieTotal; break;
-          case '*': total *= dieTotal; break;
-          case '/': total = Math.floor(total / dieTotal); break;
-        }
-      } else {
-        // Term is a number
-        const num = parseInt(term, 10);
-        
-        // Add to breakdown
-        breakdown += num;
-        
-        // Apply operator
-        switch (operator) {
-          case '+': total += num; break;
-          case '-': total -= num; break;
-          case '*': total *= num; break;
-          case '/': total = Math.floor(total / num); break;
-        }
-      }
+    if (result.error) {
+      console.error('Error rolling dice:', result.error);
+      return result;
     }
     
-    return {
-      success: true,
-      total,
-      rolls,
-      breakdown
-    };
-  }
-
-  /**
-   * Split expression into terms
-   * @param {string} expression - Dice expression
-   * @returns {string[]} Array of terms
-   * @private
-   */
-  _splitIntoTerms(expression) {
-    const terms = [];
-    let currentTerm = '';
-    
-    for (let i = 0; i < expression.length; i++) {
-      const char = expression[i];
-      
-      if (['+', '-', '*', '/'].includes(char)) {
-        if (currentTerm) {
-          terms.push(currentTerm);
-          currentTerm = '';
-        }
-        terms.push(char);
-      } else {
-        currentTerm += char;
-      }
-    }
+    // Add to history
+    this.history.unshift(result);
     
-    if (currentTerm) {
-      terms.push(currentTerm);
+    // Trim history if needed
+    if (this.history.length > this.maxHistoryLength) {
+      this.history.pop();
     }
     
-    return terms;
+    return result;
   }
 
   /**
@@ -202,6 +78,10 @@ class StatTracker {
       healingDone: 0,
       conditionsApplied: 0,
       kills: 0,
+      rolls: 0,
+      criticals: 0,
+      fumbles: 0,
+      rollsByType: {},
       combatantStats: {}
     };
   }
@@ -235,7 +115,10 @@ class StatTracker {
           damageDealt: 0,
           damageTaken: 0,
           healing: 0,
-          kills: 0
+          kills: 0,
+          rolls: 0,
+          criticals: 0,
+          fumbles: 0
         };
       }
       
@@ -248,7 +131,10 @@ class StatTracker {
           damageDealt: 0,
           damageTaken: 0,
           healing: 0,
-          kills: 0
+          kills: 0,
+          rolls: 0,
+          criticals: 0,
+          fumbles: 0
         };
       }
       
@@ -275,7 +161,10 @@ class StatTracker {
           damageDealt: 0,
           damageTaken: 0,
           healing: 0,
-          kills: 0
+          kills: 0,
+          rolls: 0,
+          criticals: 0,
+          fumbles: 0
         };
       }
       
@@ -309,7 +198,10 @@ class StatTracker {
           damageDealt: 0,
           damageTaken: 0,
           healing: 0,
-          kills: 0
+          kills: 0,
+          rolls: 0,
+          criticals: 0,
+          fumbles: 0
         };
       }
       
@@ -317,6 +209,52 @@ class StatTracker {
     }
   }
 
+  /**
+   * Track every roll the dice service makes
+   * @param {DiceService} service - Dice service
+   * @returns {Function} Function to stop tracking
+   */
+  attachDiceService(service = diceService) {
+    return service.addListener((event, roll) => {
+      if (event === 'roll') this.trackRoll(roll);
+    });
+  }
+
+  /**
+   * Track a dice roll
+   * @param {Object} roll - Roll result from the dice service
+   */
+  trackRoll(roll) {
+    if (!roll || roll.error) return;
+    
+    // Update roll totals
+    this.stats.rolls++;
+    this.stats.rollsByType[roll.type] = (this.stats.rollsByType[roll.type] || 0) + 1;
+    
+    if (roll.isCritical) this.stats.criticals++;
+    if (roll.isFumble) this.stats.fumbles++;
+    
+    // Update combatant stats
+    if (roll.actorId) {
+      if (!this.stats.combatantStats[roll.actorId]) {
+        this.stats.combatantStats[roll.actorId] = {
+          damageDealt: 0,
+          damageTaken: 0,
+          healing: 0,
+          kills: 0,
+          rolls: 0,
+          criticals: 0,
+          fumbles: 0
+        };
+      }
+      
+      const combatantStats = this.stats.combatantStats[roll.actorId];
+      combatantStats.rolls++;
+      if (roll.isCritical) combatantStats.criticals++;
+      if (roll.isFumble) combatantStats.fumbles++;
+    }
+  }
+
   /**
    * Get all stats
    * @returns {Object} All stats
@@ -336,6 +274,10 @@ class StatTracker {
       healingDone: 0,
       conditionsApplied: 0,
       kills: 0,
+      rolls: 0,
+      criticals: 0,
+      fumbles: 0,
+      rollsByType: {},
       combatantStats: {}
     };
   }
@@ -556,6 +498,41 @@ class CombatAnalyzer {
     this._notifyListeners('actionTracked', data);
   }
 
+  /**
+   * Track every roll the dice service makes, as actions of the current turn
+   * @param {DiceService} service - Dice service
+   * @returns {Function} Function to stop tracking
+   */
+  attachDiceService(service = diceService) {
+    return service.addListener((event, roll) => {
+      if (event === 'roll') this.trackRoll(roll);
+    });
+  }
+
+  /**
+   * Track a dice roll
+   * @param {Object} roll - Roll result from the dice service
+   */
+  trackRoll(roll) {
+    if (!roll || roll.error) return;
+    
+    this.trackAction({
+      type: 'roll',
+      source: roll.actorId,
+      target: null,
+      amount: roll.total,
+      details: {
+        formula: roll.formula,
+        label: roll.label,
+        rollType: roll.type,
+        natural: roll.natural,
+        isCritical: roll.isCritical,
+        isFumble: roll.isFumble,
+        breakdown: roll.breakdown
+      }
+    });
+  }
+
   /**
    * Get combat stats
    * @returns {Object} Combat statistics
@@ -579,6 +556,9 @@ class CombatAnalyzer {
     let totalConditionsApplied = 0;
     let highestDamageInOneRound = 0;
     let highestDamageRound = 0;
+    let totalRolls = 0;
+    let totalCriticals = 0;
+    let totalFumbles = 0;
     
     this.combatData.rounds.forEach(round => {
       totalDamageDealt += round.damageDealt;
@@ -591,6 +571,18 @@ class CombatAnalyzer {
       }
     });
     
+    // Calculate dice statistics
+    this.combatData.rounds.forEach(round => {
+      round.turns.forEach(turn => {
+        turn.actions.forEach(action => {
+          if (action.type !== 'roll') return;
+          totalRolls++;
+          if (action.details && action.details.isCritical) totalCriticals++;
+          if (action.details && action.details.isFumble) totalFumbles++;
+        });
+      });
+    });
+    
     // Calculate average damage per round
     const averageDamagePerRound = totalRounds > 0 ? totalDamageDealt / totalRounds : 0;
     
@@ -629,6 +621,9 @@ class CombatAnalyzer {
                 damageTaken: 0,
                 healing: 0,
                 kills: 0,
+                rolls: 0,
+                criticals: 0,
+                fumbles: 0,
                 turnCount: turnCounts[action.source] || 0
               };
             }
@@ -639,6 +634,10 @@ class CombatAnalyzer {
               combatantData[action.source].healing += action.amount;
             } else if (action.type === 'kill') {
               combatantData[action.source].kills++;
+            } else if (action.type === 'roll') {
+              combatantData[action.source].rolls++;
+              if (action.details && action.details.isCritical) combatantData[action.source].criticals++;
+              if (action.details && action.details.isFumble) combatantData[action.source].fumbles++;
             }
           }
           
@@ -651,6 +650,9 @@ class CombatAnalyzer {
                 damageTaken: 0,
                 healing: 0,
                 kills: 0,
+                rolls: 0,
+                criticals: 0,
+                fumbles: 0,
                 turnCount: turnCounts[action.target] || 0
               };
             }
@@ -743,6 +745,9 @@ class CombatAnalyzer {
       averageTimePerRound,
       highestDamageInOneRound,
       highestDamageRound,
+      totalRolls,
+      totalCriticals,
+      totalFumbles,
       combatantStats,
       damageByType,
       topDamageSources,
@@ -819,10 +824,11 @@ class CombatAnalyzer {
 
 /**
  * Create a dice roller
+ * @param {DiceService} service - Dice service that performs the rolls
  * @returns {DiceRoller} A new dice roller instance
  */
-export function createDiceRoller() {
-  return new DiceRoller();
+export function createDiceRoller(service = diceService) {
+  return new DiceRoller(service);
 }
 
 /**
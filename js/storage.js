@@ -2,14 +2,39 @@
  * Storage module for Jesster's Combat Tracker
  * Handles data persistence
  */
+import {
+    isEncryptedRecord,
+    encryptRecord,
+    decryptRecord,
+    createVault,
+    openVault,
+    decryptLegacyXor
+} from './encryption.js';
+import {
+    SCHEMA_VERSION,
+    getSchemaVersion,
+    migrateStorageExport,
+    createMigrationBackup
+} from './migrations.js';
+
+// Key the encryption vault is stored under (see encryption.js)
+const VAULT_KEY = '__vault';
+
+// Key a key switch in progress is journaled under: the new vault and every
+// record already encrypted with it, stored before any record is rewritten
+const KEY_SWITCH_KEY = '__vaultSwitch';
+
+// Key an import from an older schema is kept under before it is migrated
+const MIGRATION_BACKUP_KEY = 'preMigrationBackup';
+
 class Storage {
     constructor() {
         // Storage options
         this.options = {
             prefix: 'jct_',
             useCompression: true,
-            useEncryption: false,
-            encryptionKey: '',
+            useEncryption: false, // Set while a passphrase vault exists
+            encryptionKey: '', // Key of the old XOR scheme, only used to migrate data written with it
             storageType: 'auto', // auto, localStorage, indexedDB, memory
             maxLocalStorageSize: 5 * 1024 * 1024, // 5MB
             maxIndexedDBSize: 50 * 1024 * 1024 // 50MB
@@ -23,8 +48,14 @@ class Storage {
         this.dbName = 'jessterCombatTracker';
         this.dbVersion = 1;
         
-        // Initialize storage
-        this._initStorage();
+        // Encryption session: the vault is stored, the key unlocked from it
+        // with the passphrase only lives in memory
+        this.vault = null;
+        this.sessionKey = null;
+        
+        // Initialize storage; resolves once the storage type is picked and
+        // the encryption vault is loaded
+        this.ready = this._initStorage();
         
         console.log("Storage module initialized");
     }
@@ -51,6 +82,45 @@ class Storage {
         if (this.options.storageType === 'indexedDB') {
             await this._initIndexedDB();
         }
+        
+        // Encrypted storage starts locked
+        await this._loadVault();
+    }
+
+    /**
+     * Load the encryption vault, if encryption has been enabled, finishing
+     * a key switch that was interrupted
+     * @private
+     */
+    async _loadVault() {
+        try {
+            this.vault = this._parseRaw(await this._readRaw(VAULT_KEY));
+            
+            const journal = this._parseRaw(await this._readRaw(KEY_SWITCH_KEY));
+            if (journal) {
+                await this._finishKeySwitch(journal);
+            }
+        } catch (error) {
+            console.error('Error loading encryption vault:', error);
+            this.vault = null;
+        }
+        
+        this.sessionKey = null;
+        this.options.useEncryption = !!this.vault;
+    }
+
+    /**
+     * Parse a JSON value stored with _writeRaw
+     * @private
+     * @param {*} raw - Stored value
+     * @returns {*} Parsed value or null if there is none
+     */
+    _parseRaw(raw) {
+        if (!raw) {
+            return null;
+        }
+        
+        return typeof raw === 'string' ? JSON.parse(raw) : raw;
     }
 
     /**
@@ -182,83 +252,81 @@ class Storage {
     }
 
     /**
-     * Encrypt data
+     * Read a record written before encryption, or with the old XOR scheme
      * @private
-     * @param {string} data - Data to encrypt
-     * @returns {string} Encrypted data
+     * @param {*} raw - Stored value
+     * @param {string} legacyKey - Key of the old XOR scheme, if it was used
+     * @returns {*} Data or null if it can't be read
      */
-    _encrypt(data) {
-        if (!this.options.useEncryption || !this.options.encryptionKey) {
-            return data;
+    _decodeLegacyRecord(raw, legacyKey) {
+        if (raw === null || raw === undefined) {
+            return null;
         }
         
-        try {
-            // Simple XOR encryption for demonstration
-            // In a real app, use a proper encryption library
-            const key = this.options.encryptionKey;
-            let result = '';
-            
-            for (let i = 0; i < data.length; i++) {
-                const charCode = data.charCodeAt(i) ^ key.charCodeAt(i % key.length);
-                result += String.fromCharCode(charCode);
-            }
-            
-            return btoa(result); // Base64 encode
-        } catch (error) {
-            console.error('Encryption error:', error);
-            return data;
-        }
-    }
-
-    /**
-     * Decrypt data
-     * @private
-     * @param {string} encryptedData - Encrypted data
-     * @returns {string} Decrypted data
-     */
-    _decrypt(encryptedData) {
-        if (!this.options.useEncryption || !this.options.encryptionKey) {
-            return encryptedData;
+        // Memory storage keeps data as it is
+        if (typeof raw !== 'string') {
+            return raw;
         }
         
-        try {
-            // Simple XOR decryption for demonstration
-            const key = this.options.encryptionKey;
-            const data = atob(encryptedData); // Base64 decode
-            let result = '';
-            
-            for (let i = 0; i < data.length; i++) {
-                const charCode = data.charCodeAt(i) ^ key.charCodeAt(i % key.length);
-                result += String.fromCharCode(charCode);
+        if (legacyKey) {
+            try {
+                const data = this._decompress(decryptLegacyXor(raw, legacyKey));
+                if (data !== null) {
+                    return data;
+                }
+            } catch (error) {
+                // Not XOR data: the old scheme fell back to plain text on errors
             }
-            
-            return result;
-        } catch (error) {
-            console.error('Decryption error:', error);
-            return encryptedData;
         }
+        
+        return this._decompress(raw);
     }
 
     /**
      * Process data for storage
      * @private
+     * @param {string} key - Key
      * @param {*} data - Data to process
-     * @returns {string} Processed data
+     * @returns {Promise<string|null>} Processed data or null if storage is locked
      */
-    _processForStorage(data) {
+    async _processForStorage(key, data) {
         const compressed = this._compress(data);
-        return this.options.useEncryption ? this._encrypt(compressed) : compressed;
+        if (!this.options.useEncryption) {
+            return compressed;
+        }
+        
+        // Never fall back to writing plain text
+        if (this.isLocked()) {
+            console.error(`Storage is locked; not saving ${key}`);
+            return null;
+        }
+        
+        return await encryptRecord(this.sessionKey, compressed, key);
     }
 
     /**
      * Process data from storage
      * @private
+     * @param {string} key - Key
      * @param {string} data - Data to process
-     * @returns {*} Processed data
+     * @returns {Promise<*>} Processed data
      */
-    _processFromStorage(data) {
-        const decrypted = this.options.useEncryption ? this._decrypt(data) : data;
-        return this._decompress(decrypted);
+    async _processFromStorage(key, data) {
+        if (!isEncryptedRecord(data)) {
+            return this._decompress(data);
+        }
+        
+        if (this.isLocked()) {
+            console.warn(`Storage is locked; can't load ${key}`);
+            return null;
+        }
+        
+        try {
+            return this._decompress(await decryptRecord(this.sessionKey, data, key));
+        } catch (error) {
+            console.error(`Decryption error (${key}):`, error);
+            return null;
+        }
     }
 
     /**
@@ -271,7 +339,10 @@ class Storage {
     async _saveToLocalStorage(key, data) {
         try {
             const fullKey = this._getFullKey(key);
-            const processedData = this._processForStorage(data);
+            const processedData = await this._processForStorage(key, data);
+            if (processedData === null) {
+                return false;
+            }
             
             // Check size
             if (processedData.length > this.options.maxLocalStorageSize) {
@@ -302,7 +373,7 @@ class Storage {
                 return null;
             }
             
-            return this._processFromStorage(data);
+            return await this._processFromStorage(key, data);
         } catch (error) {
             console.error(`Error loading from localStorage (${key}):`, error);
             return null;
@@ -334,6 +405,35 @@ class Storage {
      * @returns {Promise<boolean>} Success status
      */
     async _saveToIndexedDB(key, data) {
+        let processedData;
+        try {
+            processedData = await this._processForStorage(key, data);
+        } catch (error) {
+            console.error(`Error saving to IndexedDB (${key}):`, error);
+            return false;
+        }
+        
+        if (processedData === null) {
+            return false;
+        }
+        
+        // Check size
+        if (processedData.length > this.options.maxIndexedDBSize) {
+            console.error(`Data for key ${key} exceeds maximum IndexedDB size`);
+            return false;
+        }
+        
+        return this._putIndexedDB(key, processedData);
+    }
+
+    /**
+     * Write a stored value to IndexedDB as it is
+     * @private
+     * @param {string} key - Key
+     * @param {string} value - Value to store
+     * @returns {Promise<boolean>} Success status
+     */
+    async _putIndexedDB(key, value) {
         return new Promise((resolve) => {
             if (!this.db) {
                 console.error('IndexedDB not initialized');
@@ -345,18 +445,9 @@ class Storage {
                 const transaction = this.db.transaction(['data'], 'readwrite');
                 const objectStore = transaction.objectStore('data');
                 
-                const processedData = this._processForStorage(data);
-                
-                // Check size
-                if (processedData.length > this.options.maxIndexedDBSize) {
-                    console.error(`Data for key ${key} exceeds maximum IndexedDB size`);
-                    resolve(false);
-                    return;
-                }
-                
                 const request = objectStore.put({
                     key: key,
-                    value: processedData,
+                    value: value,
                     timestamp: Date.now()
                 });
                 
@@ -382,6 +473,26 @@ class Storage {
      * @returns {Promise<*>} Loaded data
      */
     async _loadFromIndexedDB(key) {
+        const value = await this._getIndexedDB(key);
+        if (value === null) {
+            return null;
+        }
+        
+        try {
+            return await this._processFromStorage(key, value);
+        } catch (error) {
+            console.error(`Error loading from IndexedDB (${key}):`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Read a stored value from IndexedDB as it is
+     * @private
+     * @param {string} key - Key
+     * @returns {Promise<string|null>} Stored value or null if there is none
+     */
+    async _getIndexedDB(key) {
         return new Promise((resolve) => {
             if (!this.db) {
                 console.error('IndexedDB not initialized');
@@ -396,12 +507,7 @@ class Storage {
                 
                 request.onsuccess = (event) => {
                     const result = event.target.result;
-                    if (!result) {
-                        resolve(null);
-                        return;
-                    }
-                    
-                    resolve(this._processFromStorage(result.value));
+                    resolve(result ? result.value : null);
                 };
                 
                 request.onerror = (event) => {
@@ -501,6 +607,51 @@ class Storage {
         }
     }
 
+    /**
+     * Read a stored value as it is, without decrypting or decompressing it
+     * @private
+     * @param {string} key - Key
+     * @returns {Promise<*>} Stored value or null if there is none
+     */
+    async _readRaw(key) {
+        switch (this.options.storageType) {
+            case 'localStorage':
+                return localStorage.getItem(this._getFullKey(key));
+            case 'indexedDB':
+                return await this._getIndexedDB(key);
+            case 'memory':
+                return this.memoryStorage[key] ? this.memoryStorage[key].value : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Write a value as it is, without encrypting or compressing it
+     * @private
+     * @param {string} key - Key
+     * @param {*} value - Value to store
+     * @returns {Promise<boolean>} Success status
+     */
+    async _writeRaw(key, value) {
+        switch (this.options.storageType) {
+            case 'localStorage':
+                try {
+                    localStorage.setItem(this._getFullKey(key), value);
+                    return true;
+                } catch (error) {
+                    console.error(`Error saving to localStorage (${key}):`, error);
+                    return false;
+                }
+            case 'indexedDB':
+                return await this._putIndexedDB(key, value);
+            case 'memory':
+                return await this._saveToMemory(key, value);
+            default:
+                return false;
+        }
+    }
+
     /**
      * Save data
      * @param {string} key - Key
@@ -605,6 +756,18 @@ class Storage {
      * @returns {Promise<Array>} Keys
      */
     async getKeys(options = {}) {
+        const keys = await this._getStoredKeys(options);
+        return keys.filter(key => key !== VAULT_KEY && key !== KEY_SWITCH_KEY);
+    }
+
+    /**
+     * Get every stored key, the encryption vault's included
+     * @private
+     * @param {Object} options - Options
+     * @param {boolean} options.useLocalStorage - Force using localStorage
+     * @returns {Promise<Array>} Keys
+     */
+    async _getStoredKeys(options = {}) {
         // Determine storage type
         let storageType = this.options.storageType;
         if (options.useLocalStorage) {
@@ -687,12 +850,30 @@ class Storage {
     }
 
     /**
-     * Clear all data
+     * Clear all data, the encryption vault included
      * @param {Object} options - Options
      * @param {boolean} options.useLocalStorage - Force using localStorage
      * @returns {Promise<boolean>} Success status
      */
     async clear(options = {}) {
+        const cleared = await this._clearStorage(options);
+        if (cleared) {
+            this.vault = null;
+            this.sessionKey = null;
+            this.options.useEncryption = false;
+        }
+        
+        return cleared;
+    }
+
+    /**
+     * Remove everything from the storage backend
+     * @private
+     * @param {Object} options - Options
+     * @param {boolean} options.useLocalStorage - Force using localStorage
+     * @returns {Promise<boolean>} Success status
+     */
+    async _clearStorage(options = {}) {
         // Determine storage type
         let storageType = this.options.storageType;
         if (options.useLocalStorage) {
@@ -787,6 +968,366 @@ class Storage {
         return this.options.storageType;
     }
 
+    /**
+     * Check whether stored data is encrypted with a passphrase
+     * @returns {boolean} True if encryption is enabled
+     */
+    isEncryptionEnabled() {
+        return !!this.vault;
+    }
+
+    /**
+     * Check whether encrypted storage is waiting for its passphrase. While
+     * locked nothing can be loaded or saved.
+     * @returns {boolean} True if locked
+     */
+    isLocked() {
+        return !!this.vault && !this.sessionKey;
+    }
+
+    /**
+     * Unlock encrypted storage for this session
+     * @param {string} passphrase - Passphrase
+     * @param {Object} options - Unlock options
+     * @param {string} options.legacyKey - Key of the old XOR scheme, to re-encrypt data written with it
+     * @returns {Promise<boolean>} True if the passphrase was right
+     */
+    async unlock(passphrase, options = {}) {
+        if (!this.vault) {
+            console.warn('Encryption is not enabled');
+            return false;
+        }
+        
+        const key = await openVault(this.vault, passphrase);
+        if (!key) {
+            console.warn('Wrong passphrase');
+            return false;
+        }
+        
+        this.sessionKey = key;
+        
+        const legacyKey = options.legacyKey || this.options.encryptionKey;
+        if (legacyKey) {
+            await this.migrateLegacyData(legacyKey);
+        }
+        
+        return true;
+    }
+
+    /**
+     * Lock encrypted storage, forgetting the key until the next unlock
+     */
+    lock() {
+        this.sessionKey = null;
+    }
+
+    /**
+     * Encrypt all stored data with a passphrase. Data written with the old
+     * XOR scheme is re-encrypted along with the rest.
+     * @param {string} passphrase - Passphrase
+     * @param {Object} options - Encryption options
+     * @param {string} options.legacyKey - Key of the old XOR scheme (defaults to options.encryptionKey)
+     * @param {number} options.iterations - PBKDF2 iterations
+     * @returns {Promise<boolean>} Success status
+     */
+    async enableEncryption(passphrase, options = {}) {
+        if (this.vault) {
+            console.warn('Encryption is already enabled; use changePassphrase');
+            return false;
+        }
+        
+        const { records, unreadable } = await this._readAllRecords(options.legacyKey || this.options.encryptionKey);
+        if (unreadable.length > 0) {
+            console.error('Some records could not be read; encryption not enabled:', unreadable);
+            return false;
+        }
+        
+        const { vault, key } = await createVault(passphrase, { iterations: options.iterations });
+        if (!await this._switchKey(vault, key, records)) {
+            return false;
+        }
+        this.options.encryptionKey = '';
+        
+        return true;
+    }
+
+    /**
+     * Change the passphrase, rotating the key: everything is re-encrypted
+     * under a new salt and key ID
+     * @param {string} currentPassphrase - Current passphrase
+     * @param {string} newPassphrase - New passphrase (the same one just rotates the key)
+     * @returns {Promise<boolean>} Success status
+     */
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        if (!this.vault) {
+            console.warn('Encryption is not enabled');
+            return false;
+        }
+        
+        const key = await openVault(this.vault, currentPassphrase);
+        if (!key) {
+            console.warn('Wrong passphrase');
+            return false;
+        }
+        this.sessionKey = key;
+        
+        // Read everything before anything is rewritten
+        const { records, unreadable } = await this._readAllRecords();
+        if (unreadable.length > 0) {
+            console.error('Some records could not be decrypted; key not rotated:', unreadable);
+            return false;
+        }
+        
+        const rotated = await createVault(newPassphrase, { iterations: this.vault.kdf.iterations });
+        return await this._switchKey(rotated.vault, rotated.key, records);
+    }
+
+    /**
+     * Rotate the encryption key without changing the passphrase
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<boolean>} Success status
+     */
+    async rotateKey(passphrase) {
+        return this.changePassphrase(passphrase, passphrase);
+    }
+
+    /**
+     * Decrypt all stored data and stop asking for a passphrase
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<boolean>} Success status
+     */
+    async disableEncryption(passphrase) {
+        if (!this.vault) {
+            return true;
+        }
+        
+        const key = await openVault(this.vault, passphrase);
+        if (!key) {
+            console.warn('Wrong passphrase');
+            return false;
+        }
+        this.sessionKey = key;
+        
+        const { records, unreadable } = await this._readAllRecords();
+        if (unreadable.length > 0) {
+            console.error('Some records could not be decrypted; encryption left on:', unreadable);
+            return false;
+        }
+        
+        return await this._switchKey(null, null, records);
+    }
+
+    /**
+     * Re-encrypt data written with the old XOR scheme (or before encryption
+     * was enabled) under the current key
+     * @param {string} legacyKey - Key of the old XOR scheme
+     * @returns {Promise<number>} Number of records migrated
+     */
+    async migrateLegacyData(legacyKey) {
+        if (this.isLocked()) {
+            console.warn('Unlock storage before migrating data');
+            return 0;
+        }
+        
+        let migrated = 0;
+        for (const key of await this.getKeys()) {
+            const raw = await this._readRaw(key);
+            if (isEncryptedRecord(raw)) {
+                continue;
+            }
+            
+            const data = this._decodeLegacyRecord(raw, legacyKey);
+            if (data !== null && await this.save(key, data)) {
+                migrated++;
+            }
+        }
+        
+        this.options.encryptionKey = '';
+        
+        return migrated;
+    }
+
+    /**
+     * Read every record, whether encrypted, plain or written with the old
+     * XOR scheme
+     * @private
+     * @param {string} legacyKey - Key of the old XOR scheme, if it was used
+     * @returns {Promise<Object>} {records, unreadable} with records keyed by storage key
+     */
+    async _readAllRecords(legacyKey = '') {
+        const records = {};
+        const unreadable = [];
+        
+        for (const key of await this.getKeys()) {
+            const raw = await this._readRaw(key);
+            const data = isEncryptedRecord(raw)
+                ? await this._processFromStorage(key, raw)
+                : this._decodeLegacyRecord(raw, legacyKey);
+            
+            if (data === null) {
+                unreadable.push(key);
+            } else {
+                records[key] = data;
+            }
+        }
+        
+        return { records, unreadable };
+    }
+
+    /**
+     * Start using a new vault (or none) and rewrite every record with it.
+     * The new vault and records are journaled before anything is rewritten:
+     * a failed write rolls the records back, and a switch cut short (say,
+     * by closing the tab) is finished from the journal on the next start.
+     * @private
+     * @param {Object|null} vault - New vault, or null to store plain data
+     * @param {Object|null} key - Key unlocked from the vault
+     * @param {Object} records - Every record, keyed by storage key
+     * @returns {Promise<boolean>} Success status
+     */
+    async _switchKey(vault, key, records) {
+        const previous = { vault: this.vault, key: this.sessionKey };
+        
+        // Encrypt every record with the new key before anything is written
+        const journal = { vault, records: {} };
+        this._useVault(vault, key);
+        try {
+            for (const [recordKey, data] of Object.entries(records)) {
+                const raw = await this._encodeRecord(recordKey, data);
+                if (raw === null) {
+                    throw new Error(`Could not encode ${recordKey}`);
+                }
+                journal.records[recordKey] = raw;
+            }
+        } catch (error) {
+            console.error('Error re-encrypting stored data:', error);
+            return false;
+        } finally {
+            this._useVault(previous.vault, previous.key);
+        }
+        
+        if (!await this._writeRaw(KEY_SWITCH_KEY, JSON.stringify(journal))) {
+            console.error('Could not store the new encryption key; nothing was changed');
+            return false;
+        }
+        
+        // Keep the records as they are to roll back to
+        const originals = {};
+        for (const recordKey of Object.keys(journal.records)) {
+            originals[recordKey] = await this._readRaw(recordKey);
+        }
+        
+        if (!await this._applyKeySwitch(journal)) {
+            console.error('Could not rewrite stored data with the new key; rolling back');
+            await this._rollBackKeySwitch(originals);
+            return false;
+        }
+        
+        this._useVault(vault, key);
+        return true;
+    }
+
+    /**
+     * Use a vault and its key for everything loaded and saved from now on
+     * @private
+     * @param {Object|null} vault - Vault, or null to store plain data
+     * @param {Object|null} key - Key unlocked from the vault
+     */
+    _useVault(vault, key) {
+        this.vault = vault;
+        this.sessionKey = key;
+        this.options.useEncryption = !!vault;
+    }
+
+    /**
+     * Encode a record the way the storage backend keeps it
+     * @private
+     * @param {string} key - Key
+     * @param {*} data - Data
+     * @returns {Promise<*>} Stored value or null if storage is locked
+     */
+    async _encodeRecord(key, data) {
+        // Memory storage keeps data as it is
+        if (this.options.storageType === 'memory') {
+            return data;
+        }
+        
+        return await this._processForStorage(key, data);
+    }
+
+    /**
+     * Write the records and vault of a journaled key switch, then drop the journal
+     * @private
+     * @param {Object} journal - Key switch journal ({vault, records})
+     * @returns {Promise<boolean>} True once the new vault is in place
+     */
+    async _applyKeySwitch({ vault, records }) {
+        for (const [recordKey, raw] of Object.entries(records)) {
+            if (!await this._writeRaw(recordKey, raw)) {
+                return false;
+            }
+        }
+        
+        const switched = vault
+            ? await this._writeRaw(VAULT_KEY, JSON.stringify(vault))
+            : await this.delete(VAULT_KEY);
+        if (!switched) {
+            return false;
+        }
+        
+        // A journal left behind is dropped on the next start, as its vault is already in place
+        if (!await this.delete(KEY_SWITCH_KEY)) {
+            console.warn('Could not remove the key switch journal');
+        }
+        
+        return true;
+    }
+
+    /**
+     * Put back the records a failed key switch rewrote and drop its journal.
+     * If that fails too the journal is kept, and the switch is finished on
+     * the next start instead.
+     * @private
+     * @param {Object} originals - Stored values before the switch, keyed by storage key
+     * @returns {Promise<boolean>} Success status
+     */
+    async _rollBackKeySwitch(originals) {
+        for (const [recordKey, raw] of Object.entries(originals)) {
+            // Records the switch didn't get to are as they were
+            if (await this._readRaw(recordKey) === raw) {
+                continue;
+            }
+            
+            if (!await this._writeRaw(recordKey, raw)) {
+                console.error('Could not roll back the key switch; it will be finished on the next start');
+                return false;
+            }
+        }
+        
+        return await this.delete(KEY_SWITCH_KEY);
+    }
+
+    /**
+     * Finish a key switch found in the journal on start
+     * @private
+     * @param {Object} journal - Key switch journal ({vault, records})
+     */
+    async _finishKeySwitch(journal) {
+        // Once the vault is switched the records are too, and may have changed since
+        const keyId = vault => vault ? vault.keyId : null;
+        if (keyId(this.vault) === keyId(journal.vault)) {
+            await this.delete(KEY_SWITCH_KEY);
+            return;
+        }
+        
+        if (await this._applyKeySwitch(journal)) {
+            this.vault = journal.vault;
+            console.warn('Finished switching the encryption key after it was interrupted');
+        } else {
+            console.error('Could not finish switching the encryption key; trying again on the next start');
+        }
+    }
+
     /**
      * Get storage usage
      * @returns {Promise<Object>} Storage usage
@@ -887,12 +1428,14 @@ class Storage {
         return {
             data,
             timestamp: Date.now(),
-            version: '1.0'
+            version: '1.0',
+            schemaVersion: SCHEMA_VERSION
         };
     }
 
     /**
-     * Import data
+     * Import data. Exports from an older schema are migrated first, and the
+     * import as it was is kept under the preMigrationBackup key.
      * @param {Object} importData - Data to import
      * @returns {Promise<Object>} Import result
      */
@@ -902,6 +1445,12 @@ class Storage {
         }
         
         try {
+            const schemaVersion = getSchemaVersion(importData);
+            if (schemaVersion < SCHEMA_VERSION) {
+                await this.save(MIGRATION_BACKUP_KEY, createMigrationBackup(importData));
+                importData = migrateStorageExport(importData);
+            }
+            
             const keys = Object.keys(importData.data);
             let successCount = 0;
             let failCount = 0;
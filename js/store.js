@@ -0,0 +1,303 @@
+/**
+ * Jesster's Combat Tracker
+ * Store Module
+ * Version 2.3.1
+ *
+ * This module holds the application state. The state only changes when an
+ * action from actions.js is dispatched; the reducers in reducers.js work out
+ * the next state, and subscribers are told once it has been replaced.
+ * Middleware sits between dispatch and the reducers, which is where logging,
+ * asynchronous work and dice rolling hook in.
+ */
+
+import { ActionTypes, updateCombatant, sortInitiative } from './actions.js';
+import { sliceReducers } from './reducers.js';
+import { diceService, RollType } from './diceService.js';
+
+/**
+ * Action dispatched when a store is created, so each reducer returns its
+ * initial state
+ */
+export const INIT_ACTION = '@@jct/INIT';
+
+/**
+ * Create a store
+ * @param {Function} reducer - Root reducer
+ * @param {Object} preloadedState - Initial state (optional)
+ * @param {Function} enhancer - Store enhancer, e.g. from applyMiddleware (optional)
+ * @returns {Object} Store with getState, dispatch, subscribe and replaceReducer
+ */
+export function createStore(reducer, preloadedState = undefined, enhancer = undefined) {
+  if (typeof preloadedState === 'function' && enhancer === undefined) {
+    enhancer = preloadedState;
+    preloadedState = undefined;
+  }
+
+  if (enhancer) {
+    return enhancer(createStore)(reducer, preloadedState);
+  }
+
+  let currentReducer = reducer;
+  let state = preloadedState;
+  let listeners = [];
+  let dispatching = false;
+
+  const getState = () => state;
+
+  const dispatch = (action) => {
+    if (!action || typeof action !== 'object' || typeof action.type !== 'string') {
+      throw new Error('Actions must be plain objects with a string type');
+    }
+
+    if (dispatching) {
+      throw new Error(`Cannot dispatch ${action.type} while a reducer is running`);
+    }
+
+    try {
+      dispatching = true;
+      state = currentReducer(state, action);
+    } finally {
+      dispatching = false;
+    }
+
+    // Copy so listeners can unsubscribe while being notified
+    [...listeners].forEach(listener => {
+      try {
+        listener(state, action);
+      } catch (error) {
+        console.error('Error in store listener:', error);
+      }
+    });
+
+    return action;
+  };
+
+  const subscribe = (listener) => {
+    if (typeof listener !== 'function') {
+      console.error('Listener must be a function');
+      return () => {};
+    }
+
+    listeners.push(listener);
+
+    return () => {
+      listeners = listeners.filter(l => l !== listener);
+    };
+  };
+
+  const replaceReducer = (nextReducer) => {
+    currentReducer = nextReducer;
+    dispatch({ type: INIT_ACTION });
+  };
+
+  dispatch({ type: INIT_ACTION });
+
+  return { getState, dispatch, subscribe, replaceReducer };
+}
+
+/**
+ * Combine slice reducers into a single reducer
+ * @param {Object} reducers - Reducers keyed by slice name
+ * @returns {Function} Root reducer
+ */
+export function combineReducers(reducers) {
+  const keys = Object.keys(reducers);
+
+  return (state = {}, action) => {
+    let changed = false;
+    const nextState = {};
+
+    keys.forEach(key => {
+      const previous = state[key];
+      const next = reducers[key](previous, action);
+
+      if (next === undefined) {
+        throw new Error(`Reducer "${key}" returned undefined for ${action.type}`);
+      }
+
+      nextState[key] = next;
+      changed = changed || next !== previous;
+    });
+
+    return changed ? nextState : state;
+  };
+}
+
+/**
+ * Compose functions from right to left
+ * @param {...Function} funcs - Functions to compose
+ * @returns {Function} Composed function
+ */
+export function compose(...funcs) {
+  if (funcs.length === 0) {
+    return arg => arg;
+  }
+
+  return funcs.reduce((a, b) => (...args) => a(b(...args)));
+}
+
+/**
+ * Create a store enhancer that runs dispatched actions through middleware.
+ * A middleware has the form store => next => action => result.
+ * @param {...Function} middlewares - Middleware, in the order they see actions
+ * @returns {Function} Store enhancer
+ */
+export function applyMiddleware(...middlewares) {
+  return (createStoreFn) => (reducer, preloadedState) => {
+    const store = createStoreFn(reducer, preloadedState);
+
+    let dispatch = () => {
+      throw new Error('Cannot dispatch while middleware is being set up');
+    };
+
+    const middlewareAPI = {
+      getState: store.getState,
+      dispatch: (action, ...args) => dispatch(action, ...args)
+    };
+
+    const chain = middlewares.map(middleware => middleware(middlewareAPI));
+    dispatch = compose(...chain)(store.dispatch);
+
+    return { ...store, dispatch };
+  };
+}
+
+/**
+ * Middleware that lets action creators return functions. The function is
+ * called with dispatch and getState instead of being reduced.
+ * @param {Object} store - Middleware API
+ * @returns {Function} Middleware
+ */
+export const thunkMiddleware = (store) => (next) => (action) => {
+  if (typeof action === 'function') {
+    return action(store.dispatch, store.getState);
+  }
+
+  return next(action);
+};
+
+/**
+ * Create a middleware that logs every action with the state before and after
+ * @param {Object} options - Logger options
+ * @param {Function} options.filter - Only log actions for which this returns true
+ * @param {Object} options.logger - Console-like object to log to
+ * @returns {Function} Middleware
+ */
+export function createLoggerMiddleware(options = {}) {
+  const { filter = () => true, logger = console } = options;
+
+  return (store) => (next) => (action) => {
+    if (!action || typeof action !== 'object' || !filter(action)) {
+      return next(action);
+    }
+
+    const previousState = store.getState();
+    const result = next(action);
+
+    const grouped = typeof logger.groupCollapsed === 'function';
+    if (grouped) {
+      logger.groupCollapsed(`action ${action.type}`);
+    }
+
+    logger.log('prev state', previousState);
+    logger.log('action', action);
+    logger.log('next state', store.getState());
+
+    if (grouped) {
+      logger.groupEnd();
+    }
+
+    return result;
+  };
+}
+
+/**
+ * Create a middleware that performs the dice rolls requested by actions:
+ * ROLL_DICE without a result is rolled before it is recorded, and
+ * ROLL_INITIATIVE rolls for every combatant without an initiative value
+ * @param {Object} service - Dice service used to roll
+ * @returns {Function} Middleware
+ */
+export function createDiceMiddleware(service = diceService) {
+  return (store) => (next) => (action) => {
+    if (!action || typeof action !== 'object') {
+      return next(action);
+    }
+
+    if (action.type === ActionTypes.ROLL_DICE && !action.payload.result) {
+      const { formula, label } = action.payload;
+      const result = service.roll(formula, { label: label || 'Roll' });
+      return next({ ...action, payload: { ...action.payload, result } });
+    }
+
+    if (action.type === ActionTypes.ROLL_INITIATIVE) {
+      const result = next(action);
+
+      store.getState().combat.combatants
+        .filter(combatant => !combatant.initiative)
+        .forEach(combatant => {
+          const modifier = combatant.initiativeModifier || 0;
+          const roll = service.roll(`1d20${modifier >= 0 ? '+' : ''}${modifier}`, {
+            label: `${combatant.name} Initiative`,
+            type: RollType.INITIATIVE,
+            actorId: combatant.id,
+            actorName: combatant.name
+          });
+
+          store.dispatch(updateCombatant(combatant.id, { initiative: roll.total, initiativeRoll: roll }));
+        });
+
+      store.dispatch(sortInitiative());
+      return result;
+    }
+
+    return next(action);
+  };
+}
+
+/**
+ * Root reducer for the application state
+ */
+export const rootReducer = combineReducers(sliceReducers);
+
+/**
+ * Create a store for the application state
+ * @param {Object} options - Store options
+ * @param {Object} options.preloadedState - Initial state
+ * @param {Array<Function>} options.middleware - Extra middleware, run after the built-in ones
+ * @param {boolean} options.logger - Log every action to the console
+ * @param {Object} options.diceService - Dice service used for requested rolls
+ * @returns {Object} Store
+ */
+export function createAppStore(options = {}) {
+  const middleware = [
+    thunkMiddleware,
+    createDiceMiddleware(options.diceService || diceService),
+    ...(options.middleware || [])
+  ];
+
+  if (options.logger) {
+    middleware.push(createLoggerMiddleware());
+  }
+
+  return createStore(rootReducer, options.preloadedState, applyMiddleware(...middleware));
+}
+
+/**
+ * Shared store used across modules
+ */
+export const store = createAppStore();
+
+export default {
+  INIT_ACTION,
+  createStore,
+  combineReducers,
+  compose,
+  applyMiddleware,
+  thunkMiddleware,
+  createLoggerMiddleware,
+  createDiceMiddleware,
+  rootReducer,
+  createAppStore,
+  store
+};
@@ -0,0 +1,100 @@
+/**
+ * Jesster's Combat Tracker
+ * Surprise Module
+ * Version 2.3.1
+ *
+ * This module works out who is surprised when combat starts. Everyone trying
+ * to hide rolls Stealth, and each creature on the other side compares those
+ * rolls with its passive Perception: a creature that notices none of the
+ * hidden threats is surprised. What surprise then does depends on the
+ * ruleset (see getSurpriseRule in rulesets.js).
+ */
+
+import { createMonster } from './monsters.js';
+import { createPlayer } from './player.js';
+
+/**
+ * Get a combatant's passive Perception, preferring the stat block's own
+ * value over one worked out from its abilities and skills
+ * @param {Object} combatant - Combatant object
+ * @returns {number} Passive Perception
+ */
+export function getPassivePerception(combatant) {
+  if (combatant.senses && typeof combatant.senses.passivePerception === 'number') {
+    return combatant.senses.passivePerception;
+  }
+  if (typeof combatant.passivePerception === 'number') {
+    return combatant.passivePerception;
+  }
+
+  return combatant.type === 'monster'
+    ? createMonster(combatant).getPassivePerception()
+    : createPlayer(combatant).getPassivePerception();
+}
+
+/**
+ * Get a combatant's Stealth modifier
+ * @param {Object} combatant - Combatant object
+ * @returns {number} Stealth modifier
+ */
+export function getStealthModifier(combatant) {
+  if (combatant.type !== 'monster') {
+    return createPlayer(combatant).getSkillModifier('stealth');
+  }
+
+  // Monster stat blocks list the full skill bonus
+  const skills = combatant.skills || {};
+  return typeof skills.stealth === 'number'
+    ? skills.stealth
+    : createMonster(combatant).getAbilityModifier('dex');
+}
+
+/**
+ * Check whether two combatants are on opposing sides: by faction if both
+ * have one, otherwise monsters against everyone else
+ * @param {Object} a - First combatant
+ * @param {Object} b - Second combatant
+ * @returns {boolean} True if they are enemies
+ */
+export function isOpposingSide(a, b) {
+  if (a.faction && b.faction) {
+    return a.faction !== b.faction;
+  }
+
+  return (a.type === 'monster') !== (b.type === 'monster');
+}
+
+/**
+ * Work out who is surprised
+ * @param {Array} combatants - Everyone in the fight
+ * @param {Object} stealth - Stealth totals of the combatants hiding, keyed by ID
+ * @returns {Object} {surprised, passivePerception} with the IDs of the
+ *   surprised and the passive Perception of everyone who had to notice
+ */
+export function determineSurprise(combatants, stealth = {}) {
+  const hiding = combatants.filter(c => typeof stealth[c.id] === 'number');
+  const surprised = [];
+  const passivePerception = {};
+
+  combatants.forEach(combatant => {
+    const threats = hiding.filter(hider => isOpposingSide(hider, combatant));
+    if (threats.length === 0) return;
+
+    // Noticing any one threat is enough to not be surprised
+    const passive = getPassivePerception(combatant);
+    passivePerception[combatant.id] = passive;
+
+    if (threats.every(hider => stealth[hider.id] >= passive)) {
+      surprised.push(combatant.id);
+    }
+  });
+
+  return { surprised, passivePerception };
+}
+
+export default {
+  getPassivePerception,
+  getStealthModifier,
+  isOpposingSide,
+  determineSurprise
+};
@@ -0,0 +1,923 @@
+/**
+ * Jesster's Combat Tracker
+ * Sync Module
+ * Version 2.3.1
+ *
+ * This module keeps the repository in step with a server, so a DM's laptop
+ * and tablet share the same encounters, players and the rest. Every record
+ * carries a revision. Each sync pulls only what changed on the server since
+ * the last pull and pushes only what changed here. When both devices changed
+ * the same record, neither copy is overwritten. The pair is kept as a
+ * conflict until someone picks which one to keep.
+ *
+ * Servers are reached through adapters. RestSyncAdapter speaks the CouchDB
+ * HTTP API (a _changes feed and one PUT per document with its _rev), so it
+ * works with CouchDB itself or any small server with the same endpoints.
+ * FirebaseSyncAdapter keeps the records in Firestore.
+ */
+
+import { Collection, isSameRecord } from './repository.js';
+
+/**
+ * Ways to settle a conflict
+ */
+export const ConflictChoice = {
+  LOCAL: 'local',
+  REMOTE: 'remote',
+  MERGED: 'merged'
+};
+
+// Repository meta entry the sync bookkeeping is kept under
+const SYNC_STATE = 'syncState';
+
+// Origin of repository changes made by syncing, which aren't pushed back
+const SYNC_ORIGIN = 'sync';
+
+// Firestore documents are stamped with the device clock, so pulls look back
+// this far to allow for clocks that are slightly off
+const FIRESTORE_CLOCK_SKEW = 5 * 60 * 1000;
+
+/**
+ * Get the key a record is tracked under
+ * @private
+ * @param {string} collection - Collection
+ * @param {string} id - Record ID
+ * @returns {string} Key
+ */
+function trackingKey(collection, id) {
+  return `${collection}/${id}`;
+}
+
+/**
+ * List the fields two copies of a record disagree on
+ * @param {Object|null} local - This device's copy (null if deleted)
+ * @param {Object|null} remote - The server's copy (null if deleted)
+ * @returns {Array} Differences ({field, local, remote})
+ */
+export function getConflictFields(local, remote) {
+  const fields = new Set([...Object.keys(local || {}), ...Object.keys(remote || {})]);
+
+  return Array.from(fields)
+    .filter(field => !isSameRecord((local || {})[field], (remote || {})[field]))
+    .map(field => ({
+      field,
+      local: local ? local[field] : undefined,
+      remote: remote ? remote[field] : undefined
+    }));
+}
+
+/**
+ * Make the revision that follows another, CouchDB style ("<generation>-<hash>")
+ * @private
+ * @param {string|null} rev - Current revision
+ * @returns {string} Next revision
+ */
+function nextRevision(rev) {
+  const generation = rev ? parseInt(rev, 10) || 0 : 0;
+  return `${generation + 1}-${Math.random().toString(36).substring(2, 12)}`;
+}
+
+/**
+ * Base class for sync adapters.
+ *
+ * A change is {collection, id, rev, deleted, record, updatedAt}. A change
+ * with a null rev comes from a layout without revisions. It is only taken
+ * if this device doesn't have the record.
+ */
+export class SyncAdapter {
+  /**
+   * Get the changes made on the server since a cursor
+   * @param {*} cursor - Cursor from the last pull, or null for everything
+   * @returns {Promise<Object>} {changes, cursor}
+   */
+  async pull(cursor) {
+    // To be implemented by subclasses
+    return { changes: [], cursor };
+  }
+
+  /**
+   * Send changes made on this device. Each change names the revision it was
+   * based on (baseRev); the server refuses it if its copy has moved on.
+   * @param {Array} changes - Changes ({collection, id, baseRev, deleted, record, updatedAt})
+   * @returns {Promise<Array>} Results: {collection, id, ok, rev} or {collection, id, conflict, remote}
+   */
+  async push(changes) {
+    // To be implemented by subclasses
+    return [];
+  }
+}
+
+/**
+ * Adapter for a CouchDB database, or a self-hosted server with the same
+ * endpoints: GET {url}/_changes?since=&include_docs=true, and GET/PUT
+ * {url}/{docId} with _rev checks answered by 409 Conflict
+ */
+export class RestSyncAdapter extends SyncAdapter {
+  /**
+   * Create a REST sync adapter
+   * @param {Object} options - Adapter options
+   * @param {string} options.url - Database URL
+   * @param {string} options.username - User name for basic authentication
+   * @param {string} options.password - Password for basic authentication
+   * @param {Object} options.headers - Extra request headers
+   * @param {Function} options.fetch - fetch implementation (defaults to the global one)
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.url) {
+      throw new Error('A sync server URL is required');
+    }
+
+    this.url = options.url.replace(/\/+$/, '');
+    this.fetch = options.fetch || globalThis.fetch.bind(globalThis);
+    this.headers = {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      ...(options.username ? { Authorization: `Basic ${btoa(`${options.username}:${options.password || ''}`)}` } : {}),
+      ...(options.headers || {})
+    };
+  }
+
+  /**
+   * Get the document ID of a record
+   * @private
+   * @param {string} collection - Collection
+   * @param {string} id - Record ID
+   * @returns {string} Document ID
+   */
+  _docId(collection, id) {
+    return `${collection}:${id}`;
+  }
+
+  /**
+   * Send a request to the server
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the database URL
+   * @param {Object} body - JSON body
+   * @returns {Promise<Object>} {status, data}
+   */
+  async _request(method, path, body = undefined) {
+    const response = await this.fetch(`${this.url}/${path}`, {
+      method,
+      headers: this.headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    let data = null;
+    try {
+      data = await response.json();
+    } catch (error) {
+      // Some servers answer without a body
+    }
+
+    return { status: response.status, data };
+  }
+
+  /**
+   * Turn a stored document into a change
+   * @private
+   * @param {string} docId - Document ID
+   * @param {Object} doc - Document (null if gone)
+   * @param {string} rev - Document revision
+   * @param {boolean} deleted - True if the document was deleted
+   * @returns {Object} Change
+   */
+  _toChange(docId, doc, rev, deleted) {
+    const separator = docId.indexOf(':');
+    return {
+      collection: (doc && doc.collection) || docId.slice(0, separator),
+      id: (doc && doc.recordId) || docId.slice(separator + 1),
+      rev,
+      deleted: !!deleted,
+      record: deleted || !doc ? null : doc.record,
+      updatedAt: (doc && doc.updatedAt) || null
+    };
+  }
+
+  /**
+   * Get the changes made on the server since a cursor
+   * @param {*} cursor - Last sequence seen, or null for everything
+   * @returns {Promise<Object>} {changes, cursor}
+   */
+  async pull(cursor) {
+    const since = cursor === null || cursor === undefined ? 0 : cursor;
+    const { status, data } = await this._request('GET', `_changes?include_docs=true&since=${encodeURIComponent(since)}`);
+
+    if (status !== 200 || !data) {
+      throw new Error(`Sync server answered ${status} to a pull`);
+    }
+
+    const changes = (data.results || [])
+      .filter(result => result.id && !result.id.startsWith('_design/') && result.id.includes(':'))
+      .map(result => this._toChange(
+        result.id,
+        result.doc || null,
+        result.doc ? result.doc._rev : result.changes[0].rev,
+        result.deleted
+      ));
+
+    return { changes, cursor: data.last_seq };
+  }
+
+  /**
+   * Send changes made on this device, one document at a time so that each
+   * one can be refused on its own
+   * @param {Array} changes - Changes
+   * @returns {Promise<Array>} Results
+   */
+  async push(changes) {
+    const results = [];
+
+    for (const change of changes) {
+      const docId = this._docId(change.collection, change.id);
+      const doc = {
+        _id: docId,
+        collection: change.collection,
+        recordId: change.id,
+        record: change.deleted ? null : change.record,
+        updatedAt: change.updatedAt
+      };
+      if (change.baseRev) doc._rev = change.baseRev;
+      if (change.deleted) doc._deleted = true;
+
+      const { status, data } = await this._request('PUT', encodeURIComponent(docId), doc);
+
+      if (status === 200 || status === 201 || status === 202) {
+        results.push({ collection: change.collection, id: change.id, ok: true, rev: data.rev });
+      } else if (status === 409) {
+        results.push({ collection: change.collection, id: change.id, conflict: true, remote: await this._getRemote(docId) });
+      } else {
+        throw new Error(`Sync server answered ${status} to a push of ${docId}`);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the server's copy of a record after a push was refused
+   * @private
+   * @param {string} docId - Document ID
+   * @returns {Promise<Object>} Change
+   */
+  async _getRemote(docId) {
+    const { status, data } = await this._request('GET', encodeURIComponent(docId));
+
+    if (status === 404) {
+      // Deleted on the server; a deleted document can be written again without a revision
+      return this._toChange(docId, null, null, true);
+    }
+    if (status !== 200) {
+      throw new Error(`Sync server answered ${status} when reading ${docId}`);
+    }
+
+    return this._toChange(docId, data, data._rev, false);
+  }
+}
+
+/**
+ * Adapter that keeps records in Firestore under
+ * users/{userId}/records/{collection}:{id}
+ */
+export class FirebaseSyncAdapter extends SyncAdapter {
+  /**
+   * Create a Firebase sync adapter
+   * @param {Object} options - Adapter options
+   * @param {Object} options.db - Firestore database (namespaced API)
+   * @param {string} options.userId - Signed-in user ID
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.db || !options.userId) {
+      throw new Error('Firebase not initialized or user not authenticated');
+    }
+
+    this.db = options.db;
+    this.userId = options.userId;
+  }
+
+  /**
+   * Get the records collection of the user
+   * @private
+   * @returns {Object} Collection reference
+   */
+  _records() {
+    return this.db.collection('users').doc(this.userId).collection('records');
+  }
+
+  /**
+   * Turn a Firestore document into a change
+   * @private
+   * @param {Object} data - Document data
+   * @returns {Object} Change
+   */
+  _toChange(data) {
+    return {
+      collection: data.collection,
+      id: data.id,
+      rev: data.rev,
+      deleted: !!data.deleted,
+      record: data.deleted ? null : data.record,
+      updatedAt: data.updatedAt
+    };
+  }
+
+  /**
+   * Get the changes made since a cursor. The first pull also reads the
+   * whole-list documents older versions saved under users/{userId}/data.
+   * @param {number|null} cursor - Time of the newest change seen, or null for everything
+   * @returns {Promise<Object>} {changes, cursor}
+   */
+  async pull(cursor) {
+    const since = cursor ? cursor - FIRESTORE_CLOCK_SKEW : 0;
+    const snapshot = await this._records().where('updatedAt', '>', since).orderBy('updatedAt').get();
+
+    const changes = snapshot.docs.map(doc => this._toChange(doc.data()));
+    const newest = changes.reduce((latest, change) => Math.max(latest, change.updatedAt || 0), cursor || 0);
+
+    if (cursor === null || cursor === undefined) {
+      changes.push(...await this._pullLegacyDocuments());
+    }
+
+    return { changes, cursor: newest };
+  }
+
+  /**
+   * Read the whole-list documents older versions saved
+   * @private
+   * @returns {Promise<Array>} Changes without revisions
+   */
+  async _pullLegacyDocuments() {
+    const legacy = [
+      { doc: 'heroes', collection: Collection.PLAYERS },
+      { doc: 'monsters', collection: Collection.MONSTERS },
+      { doc: 'encounters', collection: Collection.ENCOUNTERS }
+    ];
+    const changes = [];
+
+    for (const { doc, collection } of legacy) {
+      const snapshot = await this.db.collection('users').doc(this.userId).collection('data').doc(doc).get();
+      if (!snapshot.exists) continue;
+
+      (snapshot.data()[doc] || [])
+        .filter(record => record && record.id)
+        .forEach(record => changes.push({ collection, id: record.id, rev: null, deleted: false, record, updatedAt: null }));
+    }
+
+    return changes;
+  }
+
+  /**
+   * Send changes made on this device, each in a transaction that refuses it
+   * if the stored revision isn't the one it was based on
+   * @param {Array} changes - Changes
+   * @returns {Promise<Array>} Results
+   */
+  async push(changes) {
+    const results = [];
+
+    for (const change of changes) {
+      const ref = this._records().doc(`${change.collection}:${change.id}`);
+
+      const result = await this.db.runTransaction(async transaction => {
+        const snapshot = await transaction.get(ref);
+        const remote = snapshot.exists ? snapshot.data() : null;
+        const remoteRev = remote ? remote.rev : null;
+
+        if (remoteRev !== (change.baseRev || null) && !(remote && remote.deleted && !change.baseRev)) {
+          const current = remote
+            ? this._toChange(remote)
+            : { collection: change.collection, id: change.id, rev: null, deleted: true, record: null, updatedAt: null };
+          return { collection: change.collection, id: change.id, conflict: true, remote: current };
+        }
+
+        const rev = nextRevision(remoteRev);
+        transaction.set(ref, {
+          collection: change.collection,
+          id: change.id,
+          rev,
+          deleted: !!change.deleted,
+          record: change.deleted ? null : change.record,
+          updatedAt: Date.now()
+        });
+
+        return { collection: change.collection, id: change.id, ok: true, rev };
+      });
+
+      results.push(result);
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Class for syncing the repository with a server
+ */
+export class SyncManager {
+  /**
+   * Create a sync manager
+   * @param {Object} repository - Repository to sync
+   * @param {SyncAdapter} adapter - Adapter for the server (can be set later)
+   * @param {Object} options - Sync options
+   * @param {Array} options.collections - Collections to sync (defaults to all)
+   */
+  constructor(repository, adapter = null, options = {}) {
+    this.repository = repository;
+    this.adapter = adapter;
+    this.options = {
+      collections: Object.values(Collection),
+      ...options
+    };
+
+    // Bookkeeping: last pull cursor, revision of each record, records changed
+    // here since they were last pushed, and unresolved conflicts
+    this.state = null;
+
+    this.listeners = [];
+    this.running = null;
+    this.timer = null;
+
+    // Keys of conflicts found by the sync in progress
+    this.detected = [];
+
+    this.ready = this._init();
+
+    this.repository.addListener((event, data) => this._onRepositoryChange(event, data));
+  }
+
+  /**
+   * Load the bookkeeping. On a device syncing for the first time every
+   * record is waiting to be pushed.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _init() {
+    const state = await this.repository.getMeta(SYNC_STATE);
+    if (state) {
+      this.state = state;
+      return;
+    }
+
+    this.state = { cursor: null, revisions: {}, pending: {}, conflicts: {}, lastSyncAt: null };
+
+    for (const collection of this.options.collections) {
+      for (const record of await this.repository.list(collection)) {
+        this._markPending(collection, record.id, false);
+      }
+    }
+
+    await this._saveState();
+  }
+
+  /**
+   * Save the bookkeeping
+   * @private
+   * @returns {Promise<boolean>} Success status
+   */
+  _saveState() {
+    return this.repository.setMeta(SYNC_STATE, this.state);
+  }
+
+  /**
+   * Note that a record changed here and needs pushing
+   * @private
+   * @param {string} collection - Collection
+   * @param {string} id - Record ID
+   * @param {boolean} deleted - True if it was removed
+   */
+  _markPending(collection, id, deleted) {
+    const key = trackingKey(collection, id);
+    const previous = this.state.pending[key];
+
+    this.state.pending[key] = {
+      collection,
+      id,
+      deleted,
+      changedAt: Date.now(),
+      // Counts edits so a push doesn't clear one made while it was in flight
+      edits: previous ? previous.edits + 1 : 1
+    };
+  }
+
+  /**
+   * Track changes made through the repository
+   * @private
+   * @param {string} event - Repository event
+   * @param {Object} data - Event data
+   */
+  async _onRepositoryChange(event, data) {
+    if ((event !== 'put' && event !== 'remove') || data.origin === SYNC_ORIGIN) {
+      return;
+    }
+    if (!this.options.collections.includes(data.collection)) {
+      return;
+    }
+
+    await this.ready;
+    this._markPending(data.collection, data.id, event === 'remove');
+    await this._saveState();
+  }
+
+  /**
+   * Set the adapter for the server
+   * @param {SyncAdapter|null} adapter - Adapter, or null to stop syncing
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter;
+    if (!adapter) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Check whether a server is set up
+   * @returns {boolean} True if there is an adapter
+   */
+  isConfigured() {
+    return !!this.adapter;
+  }
+
+  /**
+   * Pull changes from the server, then push changes made here. Only one
+   * sync runs at a time; calling again while one runs returns it.
+   * @returns {Promise<Object>} {pulled, pushed, conflicts} with the collections that changed locally, the number of records pushed and the number of unresolved conflicts
+   */
+  sync() {
+    if (!this.adapter) {
+      return Promise.reject(new Error('No sync server set up'));
+    }
+    if (this.running) {
+      return this.running;
+    }
+
+    this._notifyListeners('syncStarted', {});
+    this.detected = [];
+
+    this.running = (async () => {
+      try {
+        const pulled = await this.pull();
+        const pushed = await this.push();
+
+        this.state.lastSyncAt = Date.now();
+        await this._saveState();
+
+        const result = { pulled, pushed, conflicts: this.getConflicts().length };
+        this._notifyListeners('syncCompleted', result);
+
+        // Only announce conflicts once, when they are first found
+        const found = this.getConflicts().filter(conflict => this.detected.includes(trackingKey(conflict.collection, conflict.id)));
+        if (found.length > 0) {
+          this._notifyListeners('conflicts', { conflicts: found });
+        }
+
+        return result;
+      } catch (error) {
+        console.error('Sync failed:', error);
+        this._notifyListeners('syncFailed', { error });
+        throw error;
+      } finally {
+        this.running = null;
+      }
+    })();
+
+    return this.running;
+  }
+
+  /**
+   * Pull the changes made on the server since the last pull
+   * @returns {Promise<Array>} Collections that changed here
+   */
+  async pull() {
+    await this.ready;
+
+    const { changes, cursor } = await this.adapter.pull(this.state.cursor);
+    const changed = new Set();
+
+    for (const change of changes) {
+      if (!this.options.collections.includes(change.collection)) continue;
+
+      if (await this._applyRemoteChange(change)) {
+        changed.add(change.collection);
+      }
+    }
+
+    this.state.cursor = cursor;
+    await this._saveState();
+
+    const pulled = Array.from(changed);
+    if (pulled.length > 0) {
+      this._notifyListeners('changesPulled', { collections: pulled });
+    }
+
+    return pulled;
+  }
+
+  /**
+   * Take a change from the server, or keep it as a conflict if the record
+   * changed here too
+   * @private
+   * @param {Object} change - Change
+   * @returns {Promise<boolean>} True if the record changed here
+   */
+  async _applyRemoteChange(change) {
+    const key = trackingKey(change.collection, change.id);
+    const pending = this.state.pending[key];
+
+    // Already have this revision (our own push coming back, or a repeat)
+    if (change.rev && this.state.revisions[key] === change.rev) {
+      return false;
+    }
+
+    // From a layout without revisions: only fill in what is missing here
+    if (!change.rev) {
+      if (pending || await this.repository.get(change.collection, change.id)) {
+        return false;
+      }
+      await this.repository.put(change.collection, change.record, { origin: SYNC_ORIGIN });
+      this._markPending(change.collection, change.id, false);
+      return true;
+    }
+
+    if (!pending) {
+      await this._writeLocal(change.collection, change.id, change.deleted ? null : change.record);
+      this.state.revisions[key] = change.rev;
+      return true;
+    }
+
+    // Changed on both sides
+    const local = pending.deleted ? null : await this.repository.get(change.collection, change.id);
+    this._settleOrConflict(change.collection, change.id, local, change);
+    return false;
+  }
+
+  /**
+   * Record a clash between this device's copy and the server's. Copies that
+   * ended up the same don't clash: the server's revision is simply taken.
+   * @private
+   * @param {string} collection - Collection
+   * @param {string} id - Record ID
+   * @param {Object|null} local - This device's copy (null if deleted)
+   * @param {Object} remote - The server's change
+   */
+  _settleOrConflict(collection, id, local, remote) {
+    const key = trackingKey(collection, id);
+    const remoteRecord = remote.deleted ? null : remote.record;
+
+    if (isSameRecord(local, remoteRecord)) {
+      if (remote.rev) {
+        this.state.revisions[key] = remote.rev;
+      }
+      delete this.state.pending[key];
+      delete this.state.conflicts[key];
+      return;
+    }
+
+    if (!this.state.conflicts[key]) {
+      this.detected.push(key);
+    }
+
+    this.state.conflicts[key] = {
+      collection,
+      id,
+      local,
+      remote: remoteRecord,
+      remoteRev: remote.rev,
+      baseRev: this.state.revisions[key] || null,
+      detectedAt: Date.now()
+    };
+  }
+
+  /**
+   * Push the records changed here since they were last pushed. Records in
+   * conflict wait until the conflict is resolved.
+   * @returns {Promise<number>} Number of records pushed
+   */
+  async push() {
+    await this.ready;
+
+    const sent = [];
+    for (const [key, pending] of Object.entries(this.state.pending)) {
+      if (this.state.conflicts[key]) continue;
+
+      const record = pending.deleted ? null : await this.repository.get(pending.collection, pending.id);
+      sent.push({
+        key,
+        edits: pending.edits,
+        change: {
+          collection: pending.collection,
+          id: pending.id,
+          baseRev: this.state.revisions[key] || null,
+          deleted: pending.deleted || !record,
+          record,
+          updatedAt: pending.changedAt
+        }
+      });
+    }
+
+    if (sent.length === 0) {
+      return 0;
+    }
+
+    const results = await this.adapter.push(sent.map(({ change }) => change));
+    let pushed = 0;
+
+    results.forEach((result, index) => {
+      const { key, edits, change } = sent[index];
+
+      if (result.ok) {
+        this.state.revisions[key] = result.rev;
+        if (this.state.pending[key] && this.state.pending[key].edits === edits) {
+          delete this.state.pending[key];
+        }
+        pushed++;
+      } else if (result.conflict) {
+        this._settleOrConflict(change.collection, change.id, change.record, result.remote);
+      }
+    });
+
+    await this._saveState();
+
+    return pushed;
+  }
+
+  /**
+   * Get the unresolved conflicts, with the fields each side changed
+   * @returns {Array} Conflicts ({collection, id, local, remote, fields, detectedAt})
+   */
+  getConflicts() {
+    if (!this.state) {
+      return [];
+    }
+
+    return Object.values(this.state.conflicts).map(conflict => ({
+      ...conflict,
+      fields: getConflictFields(conflict.local, conflict.remote)
+    }));
+  }
+
+  /**
+   * Settle a conflict. Keeping this device's copy (or a merged one) pushes
+   * it over the server's on the next sync; keeping the server's copy
+   * replaces the one here.
+   * @param {string} collection - Collection
+   * @param {string} id - Record ID
+   * @param {string} choice - Which copy to keep (see ConflictChoice)
+   * @param {Object} merged - Record to keep when the choice is MERGED
+   * @returns {Promise<boolean>} Success status
+   */
+  async resolveConflict(collection, id, choice, merged = null) {
+    await this.ready;
+
+    const key = trackingKey(collection, id);
+    const conflict = this.state.conflicts[key];
+    if (!conflict) {
+      console.warn(`No conflict for ${key}`);
+      return false;
+    }
+
+    switch (choice) {
+      case ConflictChoice.REMOTE:
+        await this._writeLocal(collection, id, conflict.remote);
+        delete this.state.pending[key];
+        this._notifyListeners('changesPulled', { collections: [collection] });
+        break;
+      case ConflictChoice.MERGED:
+        if (!merged || merged.id !== id) {
+          console.warn('A merged record with the same id is required');
+          return false;
+        }
+        await this._writeLocal(collection, id, merged);
+        this._markPending(collection, id, false);
+        this._notifyListeners('changesPulled', { collections: [collection] });
+        break;
+      case ConflictChoice.LOCAL:
+        this._markPending(collection, id, !conflict.local);
+        break;
+      default:
+        console.warn(`Unknown conflict choice: ${choice}`);
+        return false;
+    }
+
+    // Later pushes build on the server's revision
+    if (conflict.remoteRev) {
+      this.state.revisions[key] = conflict.remoteRev;
+    } else {
+      delete this.state.revisions[key];
+    }
+    delete this.state.conflicts[key];
+    await this._saveState();
+
+    this._notifyListeners('conflictResolved', { collection, id, choice });
+    return true;
+  }
+
+  /**
+   * Write a record here without marking it for pushing
+   * @private
+   * @param {string} collection - Collection
+   * @param {string} id - Record ID
+   * @param {Object|null} record - Record, or null to remove it
+   * @returns {Promise<boolean>} Success status
+   */
+  _writeLocal(collection, id, record) {
+    return record
+      ? this.repository.put(collection, record, { origin: SYNC_ORIGIN })
+      : this.repository.remove(collection, id, { origin: SYNC_ORIGIN });
+  }
+
+  /**
+   * Get how far behind this device is
+   * @returns {Object} {configured, pending, conflicts, lastSyncAt}
+   */
+  getStatus() {
+    return {
+      configured: this.isConfigured(),
+      pending: this.state ? Object.keys(this.state.pending).length : 0,
+      conflicts: this.state ? Object.keys(this.state.conflicts).length : 0,
+      lastSyncAt: this.state ? this.state.lastSyncAt : null
+    };
+  }
+
+  /**
+   * Sync on a timer
+   * @param {number} interval - Interval in milliseconds
+   */
+  start(interval) {
+    this.stop();
+
+    if (!this.adapter || !interval) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.sync().catch(() => {
+        // Already reported through syncFailed
+      });
+    }, interval);
+  }
+
+  /**
+   * Stop syncing on a timer
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Add a listener for sync events (syncStarted, syncCompleted, syncFailed,
+   * changesPulled, conflicts when new ones are found, and conflictResolved)
+   * @param {Function} listener - Called with (event, data)
+   * @returns {Function} Function to remove the listener
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Notify all listeners of an event
+   * @private
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  _notifyListeners(event, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error('Error in sync listener:', error);
+      }
+    });
+  }
+}
+
+/**
+ * Create a sync manager for a repository
+ * @param {Object} repository - Repository to sync
+ * @param {SyncAdapter} adapter - Adapter for the server
+ * @param {Object} options - Sync options
+ * @returns {SyncManager} A new sync manager
+ */
+export function createSyncManager(repository, adapter = null, options = {}) {
+  return new SyncManager(repository, adapter, options);
+}
+
+export default {
+  ConflictChoice,
+  SyncAdapter,
+  RestSyncAdapter,
+  FirebaseSyncAdapter,
+  SyncManager,
+  createSyncManager,
+  getConflictFields
+};
@@ -0,0 +1,227 @@
+/**
+ * Jesster's Combat Tracker
+ * Sync View Module
+ * Version 2.3.1
+ *
+ * This module holds the screens for syncing with a server (see sync.js):
+ * the settings controls for the server and how often to sync, and the
+ * conflict view that lists the records changed on this device and another
+ * one and lets the user pick which copy of each to keep. Both build their
+ * own DOM, so any page can show them.
+ */
+
+import { Modal } from './ui.js';
+import { ConflictChoice } from './sync.js';
+
+// Settings the sync controls edit, with their labels and input types
+const SYNC_FIELDS = [
+  { key: 'syncUrl', label: 'Server URL', type: 'url' },
+  { key: 'syncUsername', label: 'Username', type: 'text' },
+  { key: 'syncPassword', label: 'Password', type: 'password' },
+  { key: 'syncInterval', label: 'Sync every (minutes, 0 = only when asked)', type: 'number' }
+];
+
+/**
+ * Shorten a field value for the conflict table
+ * @param {*} value - Field value
+ * @returns {string} Text to show
+ * @private
+ */
+function formatValue(value) {
+  if (value === undefined) return '(none)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.substring(0, 77)}...` : text;
+}
+
+/**
+ * Show the records changed on both this device and another one, and let
+ * the user pick which copy of each to keep
+ * @param {SyncManager} sync - Sync manager
+ * @param {Object} options - View options
+ * @param {Function} options.onResolved - Called once every conflict is settled, to send the kept copies
+ * @returns {Modal|null} The open dialog, or null if there is nothing to settle
+ */
+export function showSyncConflicts(sync, options = {}) {
+  const conflicts = sync.getConflicts();
+  if (conflicts.length === 0) {
+    return null;
+  }
+
+  const content = document.createElement('div');
+  content.className = 'jct-sync-conflicts';
+
+  const intro = document.createElement('p');
+  intro.textContent = 'These items were changed on this device and on another one since they last synced. Choose which copy of each to keep.';
+  content.appendChild(intro);
+
+  conflicts.forEach(conflict => {
+    const item = document.createElement('div');
+    item.className = 'jct-sync-conflict';
+
+    const record = conflict.local || conflict.remote;
+    const title = document.createElement('h4');
+    title.textContent = `${record.name || conflict.id} (${conflict.collection})`;
+    item.appendChild(title);
+
+    const table = document.createElement('table');
+    table.className = 'jct-sync-conflict-fields';
+    table.innerHTML = '<tr><th>Field</th><th>This Device</th><th>Other Device</th></tr>';
+
+    if (!conflict.local || !conflict.remote) {
+      const row = table.insertRow();
+      row.insertCell().textContent = '';
+      row.insertCell().textContent = conflict.local ? 'Edited' : 'Deleted';
+      row.insertCell().textContent = conflict.remote ? 'Edited' : 'Deleted';
+    } else {
+      conflict.fields
+        .filter(({ field }) => field !== 'lastModified')
+        .forEach(({ field, local, remote }) => {
+          const row = table.insertRow();
+          row.insertCell().textContent = field;
+          row.insertCell().textContent = formatValue(local);
+          row.insertCell().textContent = formatValue(remote);
+        });
+    }
+    item.appendChild(table);
+
+    const actions = document.createElement('div');
+    actions.className = 'jct-sync-conflict-actions';
+
+    [
+      { text: 'Keep This Device', choice: ConflictChoice.LOCAL },
+      { text: 'Keep Other Device', choice: ConflictChoice.REMOTE }
+    ].forEach(({ text, choice }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'jct-button';
+      button.textContent = text;
+      button.addEventListener('click', async () => {
+        if (!await sync.resolveConflict(conflict.collection, conflict.id, choice)) {
+          return;
+        }
+
+        item.remove();
+
+        // Send the kept copies once everything is decided
+        if (sync.getConflicts().length === 0) {
+          intro.textContent = 'All conflicts resolved.';
+          if (options.onResolved) {
+            options.onResolved();
+          }
+        }
+      });
+      actions.appendChild(button);
+    });
+    item.appendChild(actions);
+
+    content.appendChild(item);
+  });
+
+  const close = () => {
+    modal.close();
+    modal.destroy();
+  };
+
+  const modal = new Modal({
+    title: 'Sync Conflicts',
+    closable: false,
+    closeOnBackdropClick: false,
+    closeOnEscape: false,
+    footer: [{ label: 'Close', variant: 'primary', onClick: close }]
+  });
+
+  modal.render(document.body);
+  modal.contentElement.appendChild(content);
+  modal.open();
+
+  return modal;
+}
+
+/**
+ * Render the sync settings: the server, how often to sync, where things
+ * stand, and buttons to sync now or settle conflicts
+ * @param {HTMLElement} container - Container element
+ * @param {SyncManager} sync - Sync manager
+ * @param {Settings} settings - Settings the server is kept in
+ * @param {Object} options - View options
+ * @param {Function} options.onSyncNow - Called to sync now
+ * @param {Function} options.onShowConflicts - Called to show the conflict view
+ * @param {Function} options.onChange - Called after the settings are saved, to render the controls again
+ * @returns {HTMLElement} The rendered controls
+ */
+export function renderSyncControls(container, sync, settings, options = {}) {
+  const controls = document.createElement('form');
+  controls.className = 'jct-sync-controls';
+
+  const status = document.createElement('p');
+  status.className = 'jct-sync-status';
+  const { configured, pending, conflicts, lastSyncAt } = sync.getStatus();
+  if (!configured) {
+    status.textContent = 'Not syncing. Enter a server (CouchDB or one with the same API) to share encounters, players, monsters, templates and notes between devices.';
+  } else {
+    const last = lastSyncAt ? new Date(lastSyncAt).toLocaleString() : 'never';
+    status.textContent = `Last synced: ${last}. ${pending} change(s) waiting to be sent, ${conflicts} conflict(s).`;
+  }
+  controls.appendChild(status);
+
+  const inputs = {};
+  SYNC_FIELDS.forEach(({ key, label, type }) => {
+    const group = document.createElement('div');
+    group.className = 'jct-form-group';
+
+    const labelElement = document.createElement('label');
+    labelElement.htmlFor = `jct-${key}`;
+    labelElement.textContent = label;
+    group.appendChild(labelElement);
+
+    const input = document.createElement('input');
+    input.type = type;
+    input.id = `jct-${key}`;
+    input.value = settings.get(key);
+    if (type === 'number') {
+      input.min = 0;
+    }
+    if (type === 'password') {
+      input.autocomplete = 'current-password';
+    }
+    group.appendChild(input);
+
+    inputs[key] = input;
+    controls.appendChild(group);
+  });
+
+  const addButton = (text, variant, type, onClick) => {
+    const button = document.createElement('button');
+    button.type = type;
+    button.className = `jct-button jct-button-${variant}`;
+    button.textContent = text;
+    if (onClick) {
+      button.addEventListener('click', onClick);
+    }
+    controls.appendChild(button);
+  };
+
+  addButton('Save', 'primary', 'submit');
+  if (configured) {
+    addButton('Sync Now', 'secondary', 'button', () => options.onSyncNow && options.onSyncNow());
+  }
+  if (conflicts > 0) {
+    addButton('Resolve Conflicts', 'warning', 'button', () => options.onShowConflicts && options.onShowConflicts());
+  }
+
+  controls.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    for (const { key, type } of SYNC_FIELDS) {
+      const value = inputs[key].value;
+      await settings.set(key, type === 'number' ? Math.max(0, parseInt(value, 10) || 0) : value);
+    }
+
+    if (options.onChange) {
+      options.onChange();
+    }
+  });
+
+  container.appendChild(controls);
+  return controls;
+}
@@ -6,6 +6,18 @@
  * This module provides tactical map functionality for visualizing combat.
  */
 
+import { getSightSegments, computeVisionPolygon, createFogOfWar, FogMode } from './vision.js';
+import {
+  TemplateShape,
+  createTemplate,
+  getGridScale,
+  getTemplateCells,
+  getGridCells,
+  getTokensInTemplate,
+  getTemplateForArea
+} from './areaTemplates.js';
+import { DiagonalRule, createTerrainCost, measurePath } from './movement.js';
+
 /**
  * Grid types
  */
@@ -30,6 +42,13 @@ class TacticalCombatManager {
       gridColor: 'rgba(0, 0, 0, 0.2)',
       showGrid: true,
       snapToGrid: true,
+      showFog: false,     // Shade what players cannot see (DM view)
+      playerView: false,  // Draw the map as players see it
+      fogColor: '#000000',
+      feetPerSquare: 5,        // Distance one grid cell represents
+      templateAngleStep: 15,   // Degrees templates rotate in when snapping
+      diagonalRule: DiagonalRule.STANDARD,
+      showMovement: true,      // Show the path and feet left while dragging tokens
       ...options
     };
     
@@ -42,7 +61,8 @@ class TacticalCombatManager {
       tokens: [],
       walls: [],
       doors: [],
-      objects: []
+      objects: [],
+      templates: []
     };
     
     this.view = {
@@ -56,6 +76,23 @@ class TacticalCombatManager {
     
     this.listeners = [];
     this.selectedToken = null;
+    this.selectedTemplate = null;
+    
+    // Fog of war: player token vision, explored cells and painted fog
+    this.fog = createFogOfWar({ cellSize: this.options.gridSize });
+    this.visionPolygons = new Map();
+    this.visionDirty = true;
+    this.fogBrush = null;
+    this.isPaintingFog = false;
+    this.fogCanvas = null;
+    
+    // Measuring and movement: ruler, terrain costs and per-token budgets
+    this.rulerMode = false;
+    this.ruler = null;
+    this.terrain = {};
+    this.terrainCost = () => 1;
+    this.terrainCells = [];
+    this.movement = new Map();
   }
 
   /**
@@ -84,10 +121,32 @@ class TacticalCombatManager {
     this.canvas.addEventListener('mousedown', (e) => {
       const pos = this._getMousePosition(e);
       
+      // Paint fog while a fog brush is selected
+      if (this.fogBrush) {
+        this.isPaintingFog = true;
+        this._paintFog(pos);
+        return;
+      }
+      
+      // Start measuring while the ruler is selected
+      if (this.rulerMode) {
+        const start = this._snapPoint(this._screenToWorld(pos.x, pos.y));
+        this.ruler = { start, end: start };
+        this.drawMap();
+        return;
+      }
+      
       // Check if clicking on a token
       const token = this._getTokenAtPosition(pos.x, pos.y);
+      const template = token ? null : this._getTemplateAtPosition(pos.x, pos.y);
       
-      if (token) {
+      if (template) {
+        // Drag a template by its origin, or rotate it while Shift is held
+        this.selectedTemplate = template;
+        template.isDragging = true;
+        template.isRotating = e.shiftKey;
+        this._notifyListeners('templateSelected', { template });
+      } else if (token) {
         // Select token
         this.selectedToken = token;
         this._notifyListeners('tokenSelected', { token });
@@ -98,6 +157,8 @@ class TacticalCombatManager {
           x: pos.x - token.x,
           y: pos.y - token.y
         };
+        token.dragOrigin = { x: token.x, y: token.y };
+        token.dragPath = [{ x: token.x, y: token.y }];
       } else {
         // Start dragging view
         this.view.isDragging = true;
@@ -112,6 +173,25 @@ class TacticalCombatManager {
     this.canvas.addEventListener('mousemove', (e) => {
       const pos = this._getMousePosition(e);
       
+      // Keep painting fog while the button is held
+      if (this.isPaintingFog) {
+        this._paintFog(pos);
+        return;
+      }
+      
+      // Stretch the ruler
+      if (this.ruler) {
+        this.ruler.end = this._snapPoint(this._screenToWorld(pos.x, pos.y));
+        this.drawMap();
+        return;
+      }
+      
+      // Move or rotate the template being dragged
+      if (this.selectedTemplate && this.selectedTemplate.isDragging) {
+        this._dragTemplate(this.selectedTemplate, this._screenToWorld(pos.x, pos.y));
+        return;
+      }
+      
       // Check if dragging a token
       if (this.selectedToken && this.selectedToken.isDragging) {
         const oldPos = {
@@ -128,6 +208,9 @@ class TacticalCombatManager {
           this._snapTokenToGrid(this.selectedToken);
         }
         
+        this._invalidateVision();
+        this._extendDragPath(this.selectedToken);
+        
         // Notify listeners of token movement
         this._notifyListeners('tokenMoved', {
           token: this.selectedToken,
@@ -148,16 +231,17 @@ class TacticalCombatManager {
     
     // Mouse up - stop dragging
     this.canvas.addEventListener('mouseup', () => {
+      // Stop painting fog
+      this.isPaintingFog = false;
+      
+      // Stop measuring
+      this._endRuler();
+      
       // Stop dragging token
-      if (this.selectedToken && this.selectedToken.isDragging) {
-        this.selectedToken.isDragging = false;
-        
-        // Notify listeners of token movement end
-        this._notifyListeners('tokenMoveEnd', {
-          token: this.selectedToken,
-          position: { x: this.selectedToken.x, y: this.selectedToken.y }
-        });
-      }
+      this._endTokenDrag();
+      
+      // Stop dragging template
+      this._endTemplateDrag();
       
       // Stop dragging view
       this.view.isDragging = false;
@@ -165,10 +249,17 @@ class TacticalCombatManager {
     
     // Mouse leave - stop dragging
     this.canvas.addEventListener('mouseleave', () => {
+      // Stop painting fog
+      this.isPaintingFog = false;
+      
+      // Stop measuring
+      this._endRuler();
+      
       // Stop dragging token
-      if (this.selectedToken && this.selectedToken.isDragging) {
-        this.selectedToken.isDragging = false;
-      }
+      this._endTokenDrag();
+      
+      // Stop dragging template
+      this._endTemplateDrag();
       
       // Stop dragging view
       this.view.isDragging = false;
@@ -288,6 +379,192 @@ class TacticalCombatManager {
     return null;
   }
 
+  /**
+   * Finish dragging the selected token and report where it started and ended
+   * @private
+   */
+  _endTokenDrag() {
+    const token = this.selectedToken;
+    if (!token || !token.isDragging) return;
+    
+    token.isDragging = false;
+    
+    const from = token.dragOrigin || { x: token.x, y: token.y };
+    const movement = token.dragPath ? this._getDragMovement(token) : null;
+    delete token.dragOrigin;
+    delete token.dragPath;
+    
+    // Spend the movement the path cost
+    if (movement && movement.distance > 0) {
+      this.addMovementUsed(token.id, movement.distance);
+      movement.remaining = this.getMovement(token.id).remaining;
+    }
+    
+    // Notify listeners of token movement end
+    this._notifyListeners('tokenMoveEnd', {
+      token,
+      from,
+      position: { x: token.x, y: token.y },
+      movement
+    });
+  }
+
+  /**
+   * Add a token's new position to the path it is being dragged along.
+   * Moving back onto an earlier point of the path takes back the steps since.
+   * @param {Object} token - Token being dragged
+   * @private
+   */
+  _extendDragPath(token) {
+    if (!token.dragPath) return;
+    
+    const path = token.dragPath;
+    const last = path[path.length - 1];
+    if (last.x === token.x && last.y === token.y) return;
+    
+    const index = path.findIndex(point => point.x === token.x && point.y === token.y);
+    if (index !== -1) {
+      path.length = index + 1;
+    } else {
+      path.push({ x: token.x, y: token.y });
+    }
+  }
+
+  /**
+   * Measure the path a token has been dragged along
+   * @param {Object} token - Token being dragged
+   * @returns {Object} Movement ({distance, difficult, squares, path, remaining})
+   * @private
+   */
+  _getDragMovement(token) {
+    const path = token.dragPath || [{ x: token.x, y: token.y }];
+    const measurement = this.measurePath(path);
+    const budget = this.getMovement(token.id);
+    
+    return {
+      ...measurement,
+      path: [...path],
+      remaining: budget ? budget.remaining - measurement.distance : null
+    };
+  }
+
+  /**
+   * Get the template whose origin handle is at a position
+   * @param {number} x - Screen X coordinate
+   * @param {number} y - Screen Y coordinate
+   * @returns {Object|null} Template or null if none found
+   * @private
+   */
+  _getTemplateAtPosition(x, y) {
+    const worldPos = this._screenToWorld(x, y);
+    const handleRadius = this.options.gridSize / 3;
+    
+    for (let i = this.battlefield.templates.length - 1; i >= 0; i--) {
+      const template = this.battlefield.templates[i];
+      const distance = Math.sqrt(
+        Math.pow(worldPos.x - template.x, 2) + 
+        Math.pow(worldPos.y - template.y, 2)
+      );
+      
+      if (distance <= handleRadius) {
+        return template;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Move a dragged template to a point, or turn it towards the point
+   * @param {Object} template - Template being dragged
+   * @param {Object} worldPos - World position of the mouse
+   * @private
+   */
+  _dragTemplate(template, worldPos) {
+    if (template.isRotating) {
+      const angle = Math.atan2(worldPos.y - template.y, worldPos.x - template.x) * 180 / Math.PI;
+      template.direction = angle;
+    } else {
+      template.x = worldPos.x;
+      template.y = worldPos.y;
+    }
+    
+    if (this.options.snapToGrid) {
+      this._snapTemplate(template);
+    }
+    
+    this._notifyListeners('templateMoved', { template });
+    
+    this.drawMap();
+  }
+
+  /**
+   * Finish dragging the selected template
+   * @private
+   */
+  _endTemplateDrag() {
+    const template = this.selectedTemplate;
+    if (!template || !template.isDragging) return;
+    
+    template.isDragging = false;
+    template.isRotating = false;
+    
+    this._notifyListeners('templateUpdated', {
+      template,
+      tokens: this.getTokensInTemplate(template.id)
+    });
+  }
+
+  /**
+   * Snap a template's origin to the grid and its direction to the angle step
+   * @param {Object} template - Template to snap
+   * @private
+   */
+  _snapTemplate(template) {
+    // Origins sit on grid intersections (square) or hex centres, like tokens
+    this._snapTokenToGrid(template);
+    
+    const step = this.options.templateAngleStep;
+    if (step > 0) {
+      template.direction = ((Math.round(template.direction / step) * step) % 360 + 360) % 360;
+    }
+  }
+
+  /**
+   * Snap a point to where tokens stand on the grid
+   * @param {Object} point - World position ({x, y})
+   * @returns {Object} Snapped position
+   * @private
+   */
+  _snapPoint(point) {
+    const snapped = { x: point.x, y: point.y };
+    
+    if (this.options.snapToGrid) {
+      this._snapTokenToGrid(snapped);
+    }
+    
+    return snapped;
+  }
+
+  /**
+   * Finish measuring and report the distance
+   * @private
+   */
+  _endRuler() {
+    if (!this.ruler) return;
+    
+    const { start, end } = this.ruler;
+    this.ruler = null;
+    
+    this._notifyListeners('measured', {
+      from: start,
+      to: end,
+      distance: this.measure(start, end)
+    });
+    
+    this.drawMap();
+  }
+
   /**
    * Snap token to grid
    * @param {Object} token - Token to snap
@@ -371,6 +648,9 @@ class TacticalCombatManager {
       this._drawGrid();
     }
     
+    // Draw difficult terrain
+    this._drawTerrain();
+    
     // Draw walls
     this._drawWalls();
     
@@ -380,6 +660,14 @@ class TacticalCombatManager {
     // Draw objects
     this._drawObjects();
     
+    // Draw area templates
+    this._drawTemplates();
+    
+    // Draw fog of war
+    if (this.options.playerView || this.options.showFog) {
+      this._drawFog();
+    }
+    
     // Draw tokens
     this._drawTokens();
     
@@ -387,6 +675,16 @@ class TacticalCombatManager {
     if (this.selectedToken) {
       this._drawSelectionIndicator();
     }
+    
+    // Draw the path of the token being dragged
+    if (this.options.showMovement && this.selectedToken && this.selectedToken.dragPath) {
+      this._drawDragPath(this.selectedToken);
+    }
+    
+    // Draw the ruler
+    if (this.ruler) {
+      this._drawRuler();
+    }
   }
 
   /**
@@ -690,12 +988,314 @@ class TacticalCombatManager {
     this.ctx.fillText(obj.label, pos.x, pos.y + (size / 2 + 5) * this.view.zoom);
   }
 
+  /**
+   * Shade the cells where moving costs extra
+   * @private
+   */
+  _drawTerrain() {
+    if (this.terrainCells.length === 0) return;
+    
+    const size = this.options.gridSize * this.view.zoom;
+    
+    this.ctx.save();
+    this.terrainCells.forEach(cell => {
+      const pos = this._worldToScreen(cell.x, cell.y);
+      this.ctx.fillStyle = cell.cost > 2 ? 'rgba(121, 85, 72, 0.35)' : 'rgba(121, 85, 72, 0.2)';
+      this.ctx.fillRect(pos.x - size / 2, pos.y - size / 2, size, size);
+    });
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw the path of a dragged token with the feet it costs and has left
+   * @param {Object} token - Token being dragged
+   * @private
+   */
+  _drawDragPath(token) {
+    const movement = this._getDragMovement(token);
+    if (movement.path.length < 2) return;
+    
+    const overBudget = movement.remaining !== null && movement.remaining < 0;
+    const color = overBudget ? '#f44336' : '#2196f3';
+    
+    this.ctx.save();
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 3;
+    this.ctx.setLineDash([6, 4]);
+    this.ctx.beginPath();
+    movement.path.forEach((point, index) => {
+      const pos = this._worldToScreen(point.x, point.y);
+      if (index === 0) {
+        this.ctx.moveTo(pos.x, pos.y);
+      } else {
+        this.ctx.lineTo(pos.x, pos.y);
+      }
+    });
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+    
+    let label = `${movement.distance} ft`;
+    if (movement.remaining !== null) {
+      label += overBudget ? ` (${-movement.remaining} ft over)` : ` (${movement.remaining} ft left)`;
+    }
+    
+    const end = this._worldToScreen(token.x, token.y);
+    this._drawMeasureLabel(label, end.x, end.y - (token.size / 2) * this.view.zoom - 12, color);
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw the ruler and the distance it measures
+   * @private
+   */
+  _drawRuler() {
+    const { start, end } = this.ruler;
+    const from = this._worldToScreen(start.x, start.y);
+    const to = this._worldToScreen(end.x, end.y);
+    
+    this.ctx.save();
+    this.ctx.strokeStyle = '#ff9800';
+    this.ctx.lineWidth = 3;
+    this.ctx.beginPath();
+    this.ctx.moveTo(from.x, from.y);
+    this.ctx.lineTo(to.x, to.y);
+    this.ctx.stroke();
+    
+    this._drawMeasureLabel(`${this.measure(start, end)} ft`, to.x, to.y - 14, '#ff9800');
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw a distance label on a dark background
+   * @param {string} text - Label text
+   * @param {number} x - Screen X coordinate of the label centre
+   * @param {number} y - Screen Y coordinate of the label centre
+   * @param {string} color - Text color
+   * @private
+   */
+  _drawMeasureLabel(text, x, y, color) {
+    this.ctx.font = 'bold 13px Arial';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    
+    const width = this.ctx.measureText(text).width + 10;
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    this.ctx.fillRect(x - width / 2, y - 10, width, 20);
+    
+    this.ctx.fillStyle = color;
+    this.ctx.fillText(text, x, y);
+  }
+
+  /**
+   * Draw area templates with the grid cells they cover
+   * @private
+   */
+  _drawTemplates() {
+    const grid = this._getGridSettings();
+    const zoom = this.view.zoom;
+    
+    this.battlefield.templates.forEach(template => {
+      if (this.options.playerView && template.hidden) return;
+      
+      this.ctx.save();
+      this.ctx.fillStyle = template.color;
+      
+      // Shade the cells that count as inside
+      getTemplateCells(template, grid).forEach(cell => {
+        const pos = this._worldToScreen(cell.x, cell.y);
+        const size = grid.gridSize * zoom;
+        
+        if (grid.gridType === GridType.HEX) {
+          this.ctx.beginPath();
+          this.ctx.arc(pos.x, pos.y, size * 0.4, 0, Math.PI * 2);
+          this.ctx.fill();
+        } else {
+          this.ctx.fillRect(pos.x - size / 2, pos.y - size / 2, size, size);
+        }
+      });
+      
+      // Outline the exact shape
+      this._traceTemplate(template);
+      if (grid.gridType === GridType.NONE) {
+        this.ctx.fill();
+      }
+      this.ctx.strokeStyle = template.color.replace(/[\d.]+\)$/, '0.9)');
+      this.ctx.lineWidth = 2;
+      this.ctx.stroke();
+      
+      // Origin handle
+      const origin = this._worldToScreen(template.x, template.y);
+      this.ctx.fillStyle = '#ffffff';
+      this.ctx.strokeStyle = '#333333';
+      this.ctx.lineWidth = 1;
+      this.ctx.beginPath();
+      this.ctx.arc(origin.x, origin.y, 5, 0, Math.PI * 2);
+      this.ctx.fill();
+      this.ctx.stroke();
+      
+      if (template.label) {
+        this.ctx.fillStyle = '#333333';
+        this.ctx.font = `${Math.max(10, 12 * zoom)}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(template.label, origin.x, origin.y - 10);
+      }
+      
+      this.ctx.restore();
+    });
+  }
+
+  /**
+   * Build the canvas path of a template's outline
+   * @param {Object} template - Template
+   * @private
+   */
+  _traceTemplate(template) {
+    const scale = getGridScale(this._getGridSettings());
+    const angle = template.direction * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    
+    // Convert a point given along and across the template's direction
+    const toScreen = (along, across) => this._worldToScreen(
+      template.x + along * cos - across * sin,
+      template.y + along * sin + across * cos
+    );
+    
+    let corners;
+    switch (template.shape) {
+      case TemplateShape.CONE: {
+        const length = template.length * scale;
+        corners = [[0, 0], [length, -length / 2], [length, length / 2]];
+        break;
+      }
+      case TemplateShape.CUBE: {
+        const size = template.size * scale;
+        corners = [[0, -size / 2], [size, -size / 2], [size, size / 2], [0, size / 2]];
+        break;
+      }
+      case TemplateShape.SQUARE: {
+        const half = template.size * scale / 2;
+        corners = [[-half, -half], [half, -half], [half, half], [-half, half]];
+        break;
+      }
+      case TemplateShape.LINE: {
+        const length = template.length * scale;
+        const half = template.width * scale / 2;
+        corners = [[0, -half], [length, -half], [length, half], [0, half]];
+        break;
+      }
+      default: {
+        const center = this._worldToScreen(template.x, template.y);
+        this.ctx.beginPath();
+        this.ctx.arc(center.x, center.y, template.radius * scale * this.view.zoom, 0, Math.PI * 2);
+        return;
+      }
+    }
+    
+    this.ctx.beginPath();
+    corners.forEach(([along, across], index) => {
+      const pos = toScreen(along, across);
+      if (index === 0) {
+        this.ctx.moveTo(pos.x, pos.y);
+      } else {
+        this.ctx.lineTo(pos.x, pos.y);
+      }
+    });
+    this.ctx.closePath();
+  }
+
+  /**
+   * Draw the fog of war: opaque where players have never looked, dimmed
+   * where they have looked before, clear where they can see now
+   * @private
+   */
+  _drawFog() {
+    const fogCanvas = this._getFogCanvas();
+    const fogCtx = fogCanvas.getContext('2d');
+    const zoom = this.view.zoom;
+    
+    const fillCell = (key) => {
+      const rect = this.fog.getCellRect(key);
+      const pos = this._worldToScreen(rect.x, rect.y);
+      fogCtx.fillRect(pos.x, pos.y, rect.size * zoom, rect.size * zoom);
+    };
+    
+    // The DM sees through the fog, players do not
+    fogCtx.globalCompositeOperation = 'source-over';
+    fogCtx.clearRect(0, 0, fogCanvas.width, fogCanvas.height);
+    fogCtx.globalAlpha = this.options.playerView ? 1 : 0.5;
+    fogCtx.fillStyle = this.options.fogColor;
+    fogCtx.fillRect(0, 0, fogCanvas.width, fogCanvas.height);
+    
+    // Cut the fog away: partly over explored cells, fully over what is visible
+    fogCtx.globalCompositeOperation = 'destination-out';
+    fogCtx.fillStyle = '#000000';
+    
+    fogCtx.globalAlpha = 0.4;
+    this.fog.explored.forEach(fillCell);
+    
+    fogCtx.globalAlpha = 1;
+    this.getPlayerVision().forEach(polygon => {
+      if (polygon.length < 3) return;
+      
+      fogCtx.beginPath();
+      polygon.forEach((point, index) => {
+        const pos = this._worldToScreen(point.x, point.y);
+        if (index === 0) {
+          fogCtx.moveTo(pos.x, pos.y);
+        } else {
+          fogCtx.lineTo(pos.x, pos.y);
+        }
+      });
+      fogCtx.closePath();
+      fogCtx.fill();
+    });
+    
+    this.fog.manual.forEach((mode, key) => {
+      if (mode === FogMode.REVEAL) fillCell(key);
+    });
+    
+    // Hidden cells stay fogged whatever tokens can see
+    fogCtx.globalCompositeOperation = 'source-over';
+    fogCtx.globalAlpha = this.options.playerView ? 1 : 0.5;
+    fogCtx.fillStyle = this.options.fogColor;
+    this.fog.manual.forEach((mode, key) => {
+      if (mode === FogMode.HIDE) fillCell(key);
+    });
+    fogCtx.globalAlpha = 1;
+    
+    this.ctx.drawImage(fogCanvas, 0, 0);
+  }
+
+  /**
+   * Get the offscreen canvas the fog is drawn on, sized to the map canvas
+   * @returns {HTMLCanvasElement} Fog canvas
+   * @private
+   */
+  _getFogCanvas() {
+    if (!this.fogCanvas) {
+      this.fogCanvas = document.createElement('canvas');
+    }
+    
+    if (this.fogCanvas.width !== this.canvas.width || this.fogCanvas.height !== this.canvas.height) {
+      this.fogCanvas.width = this.canvas.width;
+      this.fogCanvas.height = this.canvas.height;
+    }
+    
+    return this.fogCanvas;
+  }
+
   /**
    * Draw tokens
    * @private
    */
   _drawTokens() {
     this.battlefield.tokens.forEach(token => {
+      // Players only see their own tokens and what those tokens can see
+      if (this.options.playerView && !token.isPlayer && !this.isVisibleToPlayers(token.x, token.y)) {
+        return;
+      }
+      
       const pos = this._worldToScreen(token.x, token.y);
       const size = token.size * this.view.zoom;
       
@@ -905,6 +1505,10 @@ class TacticalCombatManager {
       image: tokenData.image || null,
       hp: tokenData.hp || { current: 0, max: 0 },
       conditions: tokenData.conditions || [],
+      combatantId: tokenData.combatantId || null,
+      hidden: tokenData.hidden || false,
+      isPlayer: tokenData.isPlayer || false,
+      visionRange: tokenData.visionRange || null,
       isDragging: false,
       dragOffset: { x: 0, y: 0 }
     };
@@ -915,6 +1519,7 @@ class TacticalCombatManager {
     }
     
     this.battlefield.tokens.push(token);
+    this._invalidateVision();
     this.drawMap();
     
     this._notifyListeners('tokenAdded', { token });
@@ -941,6 +1546,7 @@ class TacticalCombatManager {
       this._snapTokenToGrid(token);
     }
     
+    this._invalidateVision();
     this.drawMap();
     
     this._notifyListeners('tokenUpdated', { token });
@@ -960,12 +1566,14 @@ class TacticalCombatManager {
     
     const token = this.battlefield.tokens[index];
     this.battlefield.tokens.splice(index, 1);
+    this.movement.delete(id);
     
     // Clear selection if removed token was selected
     if (this.selectedToken && this.selectedToken.id === id) {
       this.selectedToken = null;
     }
     
+    this._invalidateVision();
     this.drawMap();
     
     this._notifyListeners('tokenRemoved', { token });
@@ -989,6 +1597,7 @@ class TacticalCombatManager {
     };
     
     this.battlefield.walls.push(wall);
+    this._invalidateVision();
     this.drawMap();
     
     this._notifyListeners('wallAdded', { wall });
@@ -1012,6 +1621,7 @@ class TacticalCombatManager {
     };
     
     this.battlefield.doors.push(door);
+    this._invalidateVision();
     this.drawMap();
     
     this._notifyListeners('doorAdded', { door });
@@ -1030,6 +1640,7 @@ class TacticalCombatManager {
     if (!door) return null;
     
     door.open = !door.open;
+    this._invalidateVision();
     this.drawMap();
     
     this._notifyListeners('doorToggled', { door });
@@ -1093,6 +1704,8 @@ class TacticalCombatManager {
     this.battlefield.width = width;
     this.battlefield.height = height;
     
+    this._updateTerrain();
+    this._invalidateVision();
     this.drawMap();
     
     this._notifyListeners('battlefieldResized', {
@@ -1143,15 +1756,432 @@ class TacticalCombatManager {
     this.battlefield.walls = [];
     this.battlefield.doors = [];
     this.battlefield.objects = [];
+    this.battlefield.templates = [];
     this.battlefield.background = null;
     
     this.selectedToken = null;
+    this.selectedTemplate = null;
+    this.movement.clear();
     
+    this.fog.reset();
+    this._invalidateVision();
     this.drawMap();
     
     this._notifyListeners('battlefieldCleared', {});
   }
 
+  /**
+   * Mark token vision as out of date (something that blocks or sees moved)
+   * @private
+   */
+  _invalidateVision() {
+    this.visionDirty = true;
+  }
+
+  /**
+   * Compute the vision polygon of a token
+   * @param {string} id - Token ID
+   * @returns {Array|null} Polygon points or null if the token is not found
+   */
+  getTokenVision(id) {
+    const token = this.battlefield.tokens.find(t => t.id === id);
+    if (!token) return null;
+    
+    return computeVisionPolygon(
+      { x: token.x, y: token.y },
+      getSightSegments(this.battlefield.walls, this.battlefield.doors),
+      {
+        radius: token.visionRange || Infinity,
+        bounds: { width: this.battlefield.width, height: this.battlefield.height }
+      }
+    );
+  }
+
+  /**
+   * Recompute what player tokens see and add it to the explored area
+   */
+  computeVision() {
+    this.visionPolygons = new Map();
+    
+    this.battlefield.tokens
+      .filter(token => token.isPlayer)
+      .forEach(token => this.visionPolygons.set(token.id, this.getTokenVision(token.id)));
+    
+    this.fog.setVision([...this.visionPolygons.values()]);
+    this.visionDirty = false;
+    
+    this._notifyListeners('visionUpdated', { polygons: this.visionPolygons });
+  }
+
+  /**
+   * Get the vision polygons of player tokens
+   * @returns {Array} Polygons
+   */
+  getPlayerVision() {
+    if (this.visionDirty) {
+      this.computeVision();
+    }
+    
+    return [...this.visionPolygons.values()];
+  }
+
+  /**
+   * Check whether players can currently see a point
+   * @param {number} x - World X coordinate
+   * @param {number} y - World Y coordinate
+   * @returns {boolean} True if visible to players
+   */
+  isVisibleToPlayers(x, y) {
+    if (this.visionDirty) {
+      this.computeVision();
+    }
+    
+    return this.fog.isVisible(x, y);
+  }
+
+  /**
+   * Check whether players have ever seen a point
+   * @param {number} x - World X coordinate
+   * @param {number} y - World Y coordinate
+   * @returns {boolean} True if explored
+   */
+  isExploredByPlayers(x, y) {
+    if (this.visionDirty) {
+      this.computeVision();
+    }
+    
+    return this.fog.isExplored(x, y);
+  }
+
+  /**
+   * Select a fog brush; while selected, dragging on the map paints fog
+   * instead of moving tokens
+   * @param {string|null} mode - A FogMode, or null to stop painting
+   * @param {number} radius - Brush radius in map units
+   */
+  setFogBrush(mode, radius = this.options.gridSize) {
+    this.fogBrush = mode ? { mode, radius } : null;
+    this.isPaintingFog = false;
+  }
+
+  /**
+   * Paint fog with the selected brush
+   * @param {Object} pos - Screen position
+   * @private
+   */
+  _paintFog(pos) {
+    const worldPos = this._screenToWorld(pos.x, pos.y);
+    const { mode, radius } = this.fogBrush;
+    
+    if (mode === FogMode.REVEAL) {
+      this.revealFog(worldPos.x, worldPos.y, radius);
+    } else if (mode === FogMode.HIDE) {
+      this.hideFog(worldPos.x, worldPos.y, radius);
+    } else if (mode === FogMode.ERASE) {
+      this.fog.unpaint(worldPos.x, worldPos.y, radius);
+      this._fogChanged();
+    }
+  }
+
+  /**
+   * Reveal an area to players regardless of vision
+   * @param {number} x - World X coordinate
+   * @param {number} y - World Y coordinate
+   * @param {number} radius - Radius in map units
+   */
+  revealFog(x, y, radius) {
+    this.fog.reveal(x, y, radius);
+    this._fogChanged();
+  }
+
+  /**
+   * Hide an area from players regardless of vision
+   * @param {number} x - World X coordinate
+   * @param {number} y - World Y coordinate
+   * @param {number} radius - Radius in map units
+   */
+  hideFog(x, y, radius) {
+    this.fog.hide(x, y, radius);
+    this._fogChanged();
+  }
+
+  /**
+   * Forget explored areas and painted fog
+   */
+  resetFog() {
+    this.fog.reset();
+    this._invalidateVision();
+    this._fogChanged();
+  }
+
+  /**
+   * Redraw and report a fog change
+   * @private
+   */
+  _fogChanged() {
+    this.drawMap();
+    this._notifyListeners('fogChanged', { fog: this.fog });
+  }
+
+  /**
+   * Toggle the fog overlay on the DM's map
+   * @returns {boolean} New overlay state
+   */
+  toggleFog() {
+    this.options.showFog = !this.options.showFog;
+    this.drawMap();
+    
+    return this.options.showFog;
+  }
+
+  /**
+   * Turn the ruler on or off; while on, dragging on the map measures
+   * instead of moving tokens
+   * @param {boolean} enabled - Whether the ruler is on
+   */
+  setRulerMode(enabled) {
+    this.rulerMode = !!enabled;
+    this.ruler = null;
+    this.drawMap();
+  }
+
+  /**
+   * Measure the distance between two points, ignoring terrain
+   * @param {Object} from - Start position ({x, y})
+   * @param {Object} to - End position ({x, y})
+   * @returns {number} Distance in feet
+   */
+  measure(from, to) {
+    return measurePath([from, to], this._getGridSettings(), {
+      diagonalRule: this.options.diagonalRule
+    }).distance;
+  }
+
+  /**
+   * Measure the movement cost of a path, counting difficult terrain
+   * @param {Array} points - Path points ({x, y}), starting with the origin
+   * @returns {Object} Measurement ({distance, squares, difficult}) in feet
+   */
+  measurePath(points) {
+    return measurePath(points, this._getGridSettings(), {
+      diagonalRule: this.options.diagonalRule,
+      costAt: this.terrainCost
+    });
+  }
+
+  /**
+   * Set the terrain that changes movement costs
+   * @param {Object|Array} terrain - Terrain features (see createTerrainCost)
+   */
+  setTerrain(terrain) {
+    this.terrain = terrain || {};
+    this._updateTerrain();
+    this.drawMap();
+  }
+
+  /**
+   * Rebuild the terrain cost lookup and the cells drawn as difficult
+   * @private
+   */
+  _updateTerrain() {
+    const grid = this._getGridSettings();
+    this.terrainCost = createTerrainCost(this.terrain, grid);
+    
+    const bounds = {
+      minX: 0,
+      minY: 0,
+      maxX: this.battlefield.width,
+      maxY: this.battlefield.height
+    };
+    
+    this.terrainCells = getGridCells(bounds, { ...grid, gridType: GridType.SQUARE })
+      .map(cell => ({ ...cell, cost: this.terrainCost(cell.x, cell.y) }))
+      .filter(cell => cell.cost > 1);
+  }
+
+  /**
+   * Set how far a token may move this turn
+   * @param {string} id - Token ID
+   * @param {number} speed - Movement budget in feet
+   * @param {number} used - Feet already moved this turn
+   */
+  setMovementBudget(id, speed, used = 0) {
+    this.movement.set(id, { speed, used });
+    this._notifyListeners('movementChanged', { tokenId: id, movement: this.getMovement(id) });
+  }
+
+  /**
+   * Add to (or, with a negative amount, give back) the movement a token has used
+   * @param {string} id - Token ID
+   * @param {number} feet - Feet moved
+   */
+  addMovementUsed(id, feet) {
+    const budget = this.movement.get(id);
+    if (!budget) return;
+    
+    budget.used = Math.max(0, budget.used + feet);
+    this._notifyListeners('movementChanged', { tokenId: id, movement: this.getMovement(id) });
+  }
+
+  /**
+   * Get a token's movement for this turn
+   * @param {string} id - Token ID
+   * @returns {Object|null} Movement ({speed, used, remaining}) or null if the token has no budget
+   */
+  getMovement(id) {
+    const budget = this.movement.get(id);
+    if (!budget) return null;
+    
+    return {
+      speed: budget.speed,
+      used: budget.used,
+      remaining: budget.speed - budget.used
+    };
+  }
+
+  /**
+   * Get the grid settings used for template geometry
+   * @returns {Object} Grid settings ({gridType, gridSize, feetPerSquare})
+   * @private
+   */
+  _getGridSettings() {
+    return {
+      gridType: this.options.gridType,
+      gridSize: this.options.gridSize,
+      feetPerSquare: this.options.feetPerSquare
+    };
+  }
+
+  /**
+   * Place an area-of-effect template on the battlefield
+   * @param {Object} templateData - Template data (shape, x, y, direction and size in feet)
+   * @returns {Object} The added template
+   */
+  addTemplate(templateData) {
+    const template = createTemplate({
+      x: this.battlefield.width / 2,
+      y: this.battlefield.height / 2,
+      ...templateData
+    });
+    
+    if (this.options.snapToGrid) {
+      this._snapTemplate(template);
+    }
+    
+    this.battlefield.templates.push(template);
+    this.drawMap();
+    
+    this._notifyListeners('templateAdded', {
+      template,
+      tokens: this.getTokensInTemplate(template.id)
+    });
+    
+    return template;
+  }
+
+  /**
+   * Place the template matching a spell's area
+   * @param {Object} spell - Spell with an area ({type, size})
+   * @param {Object} templateData - Extra template data (position, direction)
+   * @returns {Object|null} The added template or null if the spell has no area
+   */
+  addTemplateForSpell(spell, templateData = {}) {
+    const areaTemplate = getTemplateForArea(spell && spell.area);
+    if (!areaTemplate) return null;
+    
+    return this.addTemplate({
+      label: spell.name,
+      spellId: spell.id || null,
+      ...areaTemplate,
+      ...templateData
+    });
+  }
+
+  /**
+   * Update a template
+   * @param {string} id - Template ID
+   * @param {Object} updates - Properties to update
+   * @returns {Object|null} The updated template or null if not found
+   */
+  updateTemplate(id, updates) {
+    const template = this.battlefield.templates.find(t => t.id === id);
+    if (!template) return null;
+    
+    Object.assign(template, updates);
+    
+    if (this.options.snapToGrid && (updates.x !== undefined || updates.y !== undefined || updates.direction !== undefined)) {
+      this._snapTemplate(template);
+    }
+    
+    this.drawMap();
+    
+    this._notifyListeners('templateUpdated', {
+      template,
+      tokens: this.getTokensInTemplate(template.id)
+    });
+    
+    return template;
+  }
+
+  /**
+   * Rotate a template
+   * @param {string} id - Template ID
+   * @param {number} degrees - Degrees to turn clockwise (defaults to one angle step)
+   * @returns {Object|null} The updated template or null if not found
+   */
+  rotateTemplate(id, degrees = this.options.templateAngleStep) {
+    const template = this.battlefield.templates.find(t => t.id === id);
+    if (!template) return null;
+    
+    return this.updateTemplate(id, { direction: (template.direction + degrees) % 360 });
+  }
+
+  /**
+   * Remove a template from the battlefield
+   * @param {string} id - Template ID
+   * @returns {boolean} True if the template was removed
+   */
+  removeTemplate(id) {
+    const index = this.battlefield.templates.findIndex(t => t.id === id);
+    if (index === -1) return false;
+    
+    const template = this.battlefield.templates[index];
+    this.battlefield.templates.splice(index, 1);
+    
+    if (this.selectedTemplate === template) {
+      this.selectedTemplate = null;
+    }
+    
+    this.drawMap();
+    
+    this._notifyListeners('templateRemoved', { template });
+    
+    return true;
+  }
+
+  /**
+   * Get the tokens caught in a template
+   * @param {string} id - Template ID
+   * @returns {Array} Tokens inside the template
+   */
+  getTokensInTemplate(id) {
+    const template = this.battlefield.templates.find(t => t.id === id);
+    if (!template) return [];
+    
+    return getTokensInTemplate(template, this.battlefield.tokens, this._getGridSettings());
+  }
+
+  /**
+   * Get the combatants whose tokens are caught in a template
+   * @param {string} id - Template ID
+   * @returns {Array<string>} Combatant IDs
+   */
+  getCombatantsInTemplate(id) {
+    return this.getTokensInTemplate(id)
+      .map(token => token.combatantId)
+      .filter(Boolean);
+  }
+
   /**
    * Add event listener
    * @param {Function} listener - Event listener function
@@ -1205,11 +2235,17 @@ class TacticalCombatManager {
         ...obj,
         image: null // Don't save image objects
       })),
+      templates: this.battlefield.templates.map(template => ({
+        ...template,
+        isDragging: false,
+        isRotating: false
+      })),
       background: this.battlefield.background ? {
         width: this.battlefield.background.width,
         height: this.battlefield.background.height,
         image: null // Don't save image object
-      } : null
+      } : null,
+      fog: this.fog.toData()
     };
   }
 
@@ -1226,10 +2262,19 @@ class TacticalCombatManager {
     this.battlefield.walls = data.walls || [];
     this.battlefield.doors = data.doors || [];
     this.battlefield.objects = data.objects || [];
+    this.battlefield.templates = (data.templates || []).map(template => createTemplate(template));
     this.battlefield.background = data.background || null;
     
+    // Terrain cells depend on the battlefield size
+    this._updateTerrain();
+    
+    // Restore explored areas and painted fog
+    this.fog.fromData(data.fog);
+    this._invalidateVision();
+    
     // Reset selection
     this.selectedToken = null;
+    this.selectedTemplate = null;
     
     // Redraw map
     this.drawMap();
@@ -1247,5 +2292,8 @@ export function createTacticalCombatManager(options = {}) {
 
 export default {
   createTacticalCombatManager,
-  GridType
+  GridType,
+  FogMode,
+  TemplateShape,
+  DiagonalRule
 };
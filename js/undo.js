@@ -0,0 +1,375 @@
+/**
+ * Jesster's Combat Tracker
+ * Undo Module
+ * Version 2.3.1
+ *
+ * This module keeps the undo/redo stacks for combat. Every undoable action
+ * dispatched to the store is recorded as a command holding the combat state
+ * before and after it, so reversing a command restores that state. Changes
+ * that live outside the store, like tactical token moves, are recorded as
+ * commands with their own undo and redo functions.
+ *
+ * Everything recorded while handling one event (a click, a key press) forms
+ * a single undo step, so an operation that dispatches several actions, such
+ * as advancing the turn, is undone in one go.
+ */
+
+import { ActionTypes, restoreCombat } from './actions.js';
+import { store as appStore } from './store.js';
+
+/**
+ * Actions that can be undone, with the label shown for each
+ */
+export const UndoableActions = {
+  [ActionTypes.ADD_COMBATANT]: 'Add combatant',
+  [ActionTypes.ADD_MONSTER]: 'Add monster',
+  [ActionTypes.REMOVE_COMBATANT]: 'Remove combatant',
+  [ActionTypes.UPDATE_COMBATANT]: 'Edit combatant',
+  [ActionTypes.SET_ACTIVE_COMBATANT]: 'Change turn',
+  [ActionTypes.NEXT_TURN]: 'Next turn',
+  [ActionTypes.PREVIOUS_TURN]: 'Previous turn',
+  [ActionTypes.ROLL_INITIATIVE]: 'Roll initiative',
+  [ActionTypes.SORT_INITIATIVE]: 'Sort initiative',
+  [ActionTypes.SET_INITIATIVE_ORDER]: 'Reorder initiative',
+  [ActionTypes.CLEAR_COMBAT]: 'Clear combat',
+  [ActionTypes.START_COMBAT]: 'Start combat',
+  [ActionTypes.END_COMBAT]: 'End combat',
+  [ActionTypes.SET_ROUND]: 'Set round',
+  [ActionTypes.APPLY_DAMAGE]: 'Damage',
+  [ActionTypes.APPLY_HEALING]: 'Healing',
+  [ActionTypes.SET_TEMPORARY_HP]: 'Temporary HP',
+  [ActionTypes.SET_MAX_HP]: 'Maximum HP',
+  [ActionTypes.ADD_CONDITION]: 'Add condition',
+  [ActionTypes.REMOVE_CONDITION]: 'Remove condition',
+  [ActionTypes.UPDATE_CONDITION]: 'Update condition'
+};
+
+/**
+ * Class representing the undo/redo manager
+ */
+export class UndoManager {
+  /**
+   * Create an undo manager
+   * @param {Object} options - Configuration options
+   * @param {Object} options.store - Store whose combat slice is tracked
+   * @param {number} options.limit - Maximum number of undo steps kept
+   */
+  constructor(options = {}) {
+    this.store = options.store || appStore;
+    this.limit = options.limit || 100;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pendingStep = null;
+    this.applying = false;
+    this.listeners = [];
+    this.lastState = this.store.getState();
+
+    this._handleDispatch = this._handleDispatch.bind(this);
+    this.unsubscribe = this.store.subscribe(this._handleDispatch);
+  }
+
+  /**
+   * Record undoable changes to the combat slice
+   * @param {Object} state - State after the action
+   * @param {Object} action - The dispatched action
+   * @private
+   */
+  _handleDispatch(state, action) {
+    const previous = this.lastState;
+    this.lastState = state;
+
+    if (this.applying || state.combat === previous.combat) {
+      return;
+    }
+
+    // Loading another combat makes the recorded snapshots meaningless
+    if (action.type === ActionTypes.LOAD_DATA || action.type === ActionTypes.IMPORT_DATA) {
+      this.clear();
+      return;
+    }
+
+    const label = UndoableActions[action.type];
+    if (!label) {
+      return;
+    }
+
+    const step = this._getPendingStep(label);
+    const last = step.commands[step.commands.length - 1];
+
+    // Consecutive store changes in one step collapse into one snapshot pair
+    if (last && last.type === 'state') {
+      last.after = state.combat;
+      return;
+    }
+
+    const command = {
+      type: 'state',
+      label,
+      before: previous.combat,
+      after: state.combat,
+      undo: () => this.store.dispatch(restoreCombat(command.before)),
+      redo: () => this.store.dispatch(restoreCombat(command.after))
+    };
+
+    step.commands.push(command);
+  }
+
+  /**
+   * Get the step being recorded, starting a new one if needed. The step is
+   * closed once the current event has been handled.
+   * @param {string} label - Label for a new step
+   * @returns {Object} The pending step
+   * @private
+   */
+  _getPendingStep(label) {
+    if (this.pendingStep) {
+      return this.pendingStep;
+    }
+
+    const step = { label, commands: [], timestamp: Date.now() };
+    this.pendingStep = step;
+
+    this.undoStack.push(step);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+
+    setTimeout(() => {
+      if (this.pendingStep === step) {
+        this.pendingStep = null;
+      }
+    }, 0);
+
+    this._notifyListeners('record', { step });
+
+    return step;
+  }
+
+  /**
+   * Record a command that has already been carried out
+   * @param {Object} command - Command with label, undo() and redo()
+   * @returns {Object} The step the command was added to
+   */
+  record(command) {
+    if (!command || typeof command.undo !== 'function' || typeof command.redo !== 'function') {
+      console.error('Commands must have undo and redo functions');
+      return null;
+    }
+
+    if (this.applying) {
+      return null;
+    }
+
+    const step = this._getPendingStep(command.label || 'Action');
+    step.commands.push(command);
+
+    return step;
+  }
+
+  /**
+   * Carry out a command and record it
+   * @param {Object} command - Command with label, undo() and redo()
+   * @returns {Object} The step the command was added to
+   */
+  execute(command) {
+    if (!command || typeof command.redo !== 'function') {
+      console.error('Commands must have undo and redo functions');
+      return null;
+    }
+
+    command.redo();
+    return this.record(command);
+  }
+
+  /**
+   * Record token moves made on a tactical map
+   * @param {Object} tactical - Tactical combat manager
+   * @returns {Function} Function that stops tracking the map
+   */
+  trackTacticalMap(tactical) {
+    return tactical.addListener((event, data) => {
+      if (event !== 'tokenMoveEnd' || !data.from) {
+        return;
+      }
+
+      const { token, from, position, movement } = data;
+      if (from.x === position.x && from.y === position.y) {
+        return;
+      }
+
+      // Undoing a move also gives back the movement it used
+      const distance = movement ? movement.distance : 0;
+
+      this.record({
+        type: 'token-move',
+        label: `Move ${token.name}`,
+        undo: () => {
+          tactical.updateToken(token.id, { x: from.x, y: from.y });
+          tactical.addMovementUsed(token.id, -distance);
+        },
+        redo: () => {
+          tactical.updateToken(token.id, { x: position.x, y: position.y });
+          tactical.addMovementUsed(token.id, distance);
+        }
+      });
+    });
+  }
+
+  /**
+   * Undo the last step
+   * @returns {Object|null} The undone step or null if there is nothing to undo
+   */
+  undo() {
+    this.pendingStep = null;
+
+    const step = this.undoStack.pop();
+    if (!step) {
+      return null;
+    }
+
+    this._apply(() => {
+      [...step.commands].reverse().forEach(command => command.undo());
+    });
+
+    this.redoStack.push(step);
+    this._notifyListeners('undo', { step });
+
+    return step;
+  }
+
+  /**
+   * Redo the last undone step
+   * @returns {Object|null} The redone step or null if there is nothing to redo
+   */
+  redo() {
+    this.pendingStep = null;
+
+    const step = this.redoStack.pop();
+    if (!step) {
+      return null;
+    }
+
+    this._apply(() => {
+      step.commands.forEach(command => command.redo());
+    });
+
+    this.undoStack.push(step);
+    this._notifyListeners('redo', { step });
+
+    return step;
+  }
+
+  /**
+   * Run commands without recording the changes they make
+   * @param {Function} fn - Function running the commands
+   * @private
+   */
+  _apply(fn) {
+    this.applying = true;
+    try {
+      fn();
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  /**
+   * Check if there is a step to undo
+   * @returns {boolean} True if undo is possible
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check if there is a step to redo
+   * @returns {boolean} True if redo is possible
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Get the label of the step undo would reverse
+   * @returns {string|null} Step label
+   */
+  getUndoLabel() {
+    const step = this.undoStack[this.undoStack.length - 1];
+    return step ? step.label : null;
+  }
+
+  /**
+   * Get the label of the step redo would repeat
+   * @returns {string|null} Step label
+   */
+  getRedoLabel() {
+    const step = this.redoStack[this.redoStack.length - 1];
+    return step ? step.label : null;
+  }
+
+  /**
+   * Forget all recorded steps
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pendingStep = null;
+    this._notifyListeners('clear', {});
+  }
+
+  /**
+   * Add a listener for undo events ('record', 'undo', 'redo', 'clear')
+   * @param {Function} listener - Listener called with the event name and data
+   * @returns {Function} Function to remove the listener
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+
+    return () => {
+      const index = this.listeners.indexOf(listener);
+      if (index !== -1) {
+        this.listeners.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Notify listeners of an event
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @private
+   */
+  _notifyListeners(event, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error('Error in undo manager listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Stop tracking the store
+   */
+  destroy() {
+    this.unsubscribe();
+    this.listeners = [];
+  }
+}
+
+/**
+ * Create a new undo manager
+ * @param {Object} options - Configuration options
+ * @returns {UndoManager} A new undo manager instance
+ */
+export function createUndoManager(options = {}) {
+  return new UndoManager(options);
+}
+
+export default {
+  UndoableActions,
+  UndoManager,
+  createUndoManager
+};
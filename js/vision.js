@@ -0,0 +1,353 @@
+/**
+ * Jesster's Combat Tracker
+ * Vision Module
+ * Version 2.3.1
+ *
+ * This module works out what tokens on the tactical map can see. Walls and
+ * closed doors block sight; a token's vision polygon is found by casting rays
+ * towards every wall end. Fog of war is kept on a grid of cells: cells player
+ * tokens have seen are remembered as explored, and the DM can paint cells
+ * revealed or hidden by hand.
+ */
+
+/**
+ * Manual fog modes (ERASE is a brush that removes painted fog)
+ */
+export const FogMode = {
+  REVEAL: 'reveal',
+  HIDE: 'hide',
+  ERASE: 'erase'
+};
+
+// Angle offset used to look just past wall ends
+const RAY_OFFSET = 0.0001;
+
+// Extra rays used to round off the edge of a limited vision range
+const RANGE_RAYS = 48;
+
+/**
+ * Get the segments that block sight
+ * @param {Array} walls - Walls ({x1, y1, x2, y2})
+ * @param {Array} doors - Doors ({x1, y1, x2, y2, open})
+ * @returns {Array} Blocking segments
+ */
+export function getSightSegments(walls = [], doors = []) {
+  return [
+    ...walls.filter(wall => wall.blocksVision !== false),
+    ...doors.filter(door => !door.open)
+  ].map(({ x1, y1, x2, y2 }) => ({ x1, y1, x2, y2 }));
+}
+
+/**
+ * Find where a ray first crosses a segment
+ * @param {number} ox - Ray origin X
+ * @param {number} oy - Ray origin Y
+ * @param {number} dx - Ray direction X (unit length)
+ * @param {number} dy - Ray direction Y (unit length)
+ * @param {Object} segment - Segment ({x1, y1, x2, y2})
+ * @returns {number|null} Distance along the ray, or null if it misses
+ * @private
+ */
+function castRay(ox, oy, dx, dy, segment) {
+  const sdx = segment.x2 - segment.x1;
+  const sdy = segment.y2 - segment.y1;
+  const denominator = dx * sdy - dy * sdx;
+
+  if (Math.abs(denominator) < 1e-10) {
+    return null;
+  }
+
+  const ex = segment.x1 - ox;
+  const ey = segment.y1 - oy;
+  const t = (ex * sdy - ey * sdx) / denominator;
+  const u = (ex * dy - ey * dx) / denominator;
+
+  return t >= 0 && u >= 0 && u <= 1 ? t : null;
+}
+
+/**
+ * Compute the area visible from a point
+ * @param {Object} origin - Viewer position ({x, y})
+ * @param {Array} segments - Segments that block sight
+ * @param {Object} options - Vision options
+ * @param {number} options.radius - Vision range (unlimited if omitted)
+ * @param {Object} options.bounds - Map bounds ({width, height})
+ * @returns {Array} Polygon points ({x, y}) in angular order
+ */
+export function computeVisionPolygon(origin, segments, options = {}) {
+  const { radius = Infinity, bounds = null } = options;
+  const limit = radius > 0 ? radius : Infinity;
+
+  const occluders = [...segments];
+  if (bounds) {
+    const { width, height } = bounds;
+    occluders.push(
+      { x1: 0, y1: 0, x2: width, y2: 0 },
+      { x1: width, y1: 0, x2: width, y2: height },
+      { x1: width, y1: height, x2: 0, y2: height },
+      { x1: 0, y1: height, x2: 0, y2: 0 }
+    );
+  }
+
+  const angles = [];
+  occluders.forEach(segment => {
+    [[segment.x1, segment.y1], [segment.x2, segment.y2]].forEach(([x, y]) => {
+      const angle = Math.atan2(y - origin.y, x - origin.x);
+      angles.push(angle - RAY_OFFSET, angle, angle + RAY_OFFSET);
+    });
+  });
+
+  if (limit !== Infinity || angles.length === 0) {
+    for (let i = 0; i < RANGE_RAYS; i++) {
+      angles.push(-Math.PI + (i * 2 * Math.PI) / RANGE_RAYS);
+    }
+  }
+
+  // Without bounds or a range an open ray still needs an end point
+  const fallback = limit !== Infinity ? limit : 100000;
+
+  return angles
+    .map(angle => {
+      const dx = Math.cos(angle);
+      const dy = Math.sin(angle);
+      let distance = fallback;
+
+      occluders.forEach(segment => {
+        const hit = castRay(origin.x, origin.y, dx, dy, segment);
+        if (hit !== null && hit < distance) {
+          distance = hit;
+        }
+      });
+
+      return { angle, x: origin.x + dx * distance, y: origin.y + dy * distance };
+    })
+    .sort((a, b) => a.angle - b.angle)
+    .map(({ x, y }) => ({ x, y }));
+}
+
+/**
+ * Check whether a point lies inside a polygon
+ * @param {number} x - Point X
+ * @param {number} y - Point Y
+ * @param {Array} polygon - Polygon points ({x, y})
+ * @returns {boolean} True if the point is inside
+ */
+export function pointInPolygon(x, y, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Class representing the fog of war of one map
+ */
+export class FogOfWar {
+  /**
+   * Create a fog of war
+   * @param {Object} options - Configuration options
+   * @param {number} options.cellSize - Size of a fog cell in map units
+   */
+  constructor(options = {}) {
+    this.cellSize = options.cellSize || 50;
+    this.explored = new Set();
+    this.manual = new Map();
+    this.polygons = [];
+  }
+
+  /**
+   * Get the key of the cell containing a point
+   * @param {number} x - Point X
+   * @param {number} y - Point Y
+   * @returns {string} Cell key
+   */
+  getCellKey(x, y) {
+    return `${Math.floor(x / this.cellSize)},${Math.floor(y / this.cellSize)}`;
+  }
+
+  /**
+   * Get the area covered by a cell
+   * @param {string} key - Cell key
+   * @returns {Object} Cell rectangle ({x, y, size})
+   */
+  getCellRect(key) {
+    const [col, row] = key.split(',').map(Number);
+    return { x: col * this.cellSize, y: row * this.cellSize, size: this.cellSize };
+  }
+
+  /**
+   * Get the keys of the cells whose centres lie within a circle
+   * @param {number} x - Circle centre X
+   * @param {number} y - Circle centre Y
+   * @param {number} radius - Circle radius
+   * @returns {Array<string>} Cell keys
+   * @private
+   */
+  _getCellsInCircle(x, y, radius) {
+    const size = this.cellSize;
+    const keys = [];
+
+    for (let col = Math.floor((x - radius) / size); col <= Math.floor((x + radius) / size); col++) {
+      for (let row = Math.floor((y - radius) / size); row <= Math.floor((y + radius) / size); row++) {
+        const cx = (col + 0.5) * size;
+        const cy = (row + 0.5) * size;
+
+        if (Math.pow(cx - x, 2) + Math.pow(cy - y, 2) <= radius * radius) {
+          keys.push(`${col},${row}`);
+        }
+      }
+    }
+
+    // A brush smaller than a cell still paints the cell under it
+    return keys.length > 0 ? keys : [this.getCellKey(x, y)];
+  }
+
+  /**
+   * Set what player tokens currently see and remember it as explored
+   * @param {Array} polygons - Vision polygons of player tokens
+   */
+  setVision(polygons) {
+    this.polygons = polygons;
+    polygons.forEach(polygon => this._markExplored(polygon));
+  }
+
+  /**
+   * Mark the cells inside a vision polygon as explored
+   * @param {Array} polygon - Vision polygon
+   * @private
+   */
+  _markExplored(polygon) {
+    if (polygon.length < 3) return;
+
+    const size = this.cellSize;
+    const xs = polygon.map(point => point.x);
+    const ys = polygon.map(point => point.y);
+
+    for (let col = Math.floor(Math.min(...xs) / size); col <= Math.floor(Math.max(...xs) / size); col++) {
+      for (let row = Math.floor(Math.min(...ys) / size); row <= Math.floor(Math.max(...ys) / size); row++) {
+        if (pointInPolygon((col + 0.5) * size, (row + 0.5) * size, polygon)) {
+          this.explored.add(`${col},${row}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Reveal cells by hand
+   * @param {number} x - Brush centre X
+   * @param {number} y - Brush centre Y
+   * @param {number} radius - Brush radius
+   */
+  reveal(x, y, radius) {
+    this._getCellsInCircle(x, y, radius).forEach(key => this.manual.set(key, FogMode.REVEAL));
+  }
+
+  /**
+   * Hide cells by hand, even from player tokens that can see them
+   * @param {number} x - Brush centre X
+   * @param {number} y - Brush centre Y
+   * @param {number} radius - Brush radius
+   */
+  hide(x, y, radius) {
+    this._getCellsInCircle(x, y, radius).forEach(key => this.manual.set(key, FogMode.HIDE));
+  }
+
+  /**
+   * Remove hand-painted fog so vision alone decides again
+   * @param {number} x - Brush centre X
+   * @param {number} y - Brush centre Y
+   * @param {number} radius - Brush radius
+   */
+  unpaint(x, y, radius) {
+    this._getCellsInCircle(x, y, radius).forEach(key => this.manual.delete(key));
+  }
+
+  /**
+   * Forget everything explored and painted
+   */
+  reset() {
+    this.explored.clear();
+    this.manual.clear();
+  }
+
+  /**
+   * Check whether players can currently see a point
+   * @param {number} x - Point X
+   * @param {number} y - Point Y
+   * @returns {boolean} True if visible
+   */
+  isVisible(x, y) {
+    const mode = this.manual.get(this.getCellKey(x, y));
+    if (mode) {
+      return mode === FogMode.REVEAL;
+    }
+
+    return this.polygons.some(polygon => pointInPolygon(x, y, polygon));
+  }
+
+  /**
+   * Check whether players have seen a point at some time
+   * @param {number} x - Point X
+   * @param {number} y - Point Y
+   * @returns {boolean} True if explored or visible
+   */
+  isExplored(x, y) {
+    const key = this.getCellKey(x, y);
+    if (this.manual.get(key) === FogMode.HIDE) {
+      return false;
+    }
+
+    return this.explored.has(key) || this.isVisible(x, y);
+  }
+
+  /**
+   * Get the fog state for saving
+   * @returns {Object} Fog data
+   */
+  toData() {
+    return {
+      cellSize: this.cellSize,
+      explored: [...this.explored],
+      manual: [...this.manual.entries()]
+    };
+  }
+
+  /**
+   * Restore fog state saved with toData
+   * @param {Object} data - Fog data
+   */
+  fromData(data) {
+    this.reset();
+    if (!data) return;
+
+    this.cellSize = data.cellSize || this.cellSize;
+    (data.explored || []).forEach(key => this.explored.add(key));
+    (data.manual || []).forEach(([key, mode]) => this.manual.set(key, mode));
+  }
+}
+
+/**
+ * Create a new fog of war
+ * @param {Object} options - Configuration options
+ * @returns {FogOfWar} A new fog of war instance
+ */
+export function createFogOfWar(options = {}) {
+  return new FogOfWar(options);
+}
+
+export default {
+  FogMode,
+  getSightSegments,
+  computeVisionPolygon,
+  pointInPolygon,
+  FogOfWar,
+  createFogOfWar
+};
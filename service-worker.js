@@ -7,23 +7,71 @@
  */
 
 // Cache name with version to enable easy updates
-const CACHE_NAME = 'jct-cache-v2.3.1';
+const CACHE_NAME = 'jct-cache-v2.3.2';
 
-// Resources to cache immediately on service worker installation
+// Resources to cache immediately on service worker installation, including
+// every module the app imports so it starts offline
 const PRECACHE_RESOURCES = [
   './',
   './index.html',
+  './player.html',
   './css/normalize.css',
   './css/main.css',
   './css/components.css',
   './css/tactical.css',
   './css/themes.css',
+  './css/player-display.css',
+  './js/actionEconomy.js',
+  './js/actions.js',
+  './js/api.js',
   './js/app.js',
+  './js/areaTemplates.js',
+  './js/attacks.js',
+  './js/audio.js',
+  './js/campaign.js',
+  './js/campaignView.js',
+  './js/combat.js',
+  './js/conditions.js',
+  './js/damage.js',
+  './js/dice.js',
+  './js/diceExpression.js',
+  './js/diceService.js',
+  './js/encounter.js',
+  './js/encryption.js',
+  './js/encryptionView.js',
+  './js/history.js',
+  './js/keyboard.js',
+  './js/lair.js',
+  './js/main.js',
+  './js/migrations.js',
+  './js/monsters.js',
+  './js/movement.js',
+  './js/notes.js',
+  './js/player.js',
+  './js/playerDisplay.js',
+  './js/random.js',
+  './js/recurringEffects.js',
+  './js/reducers.js',
+  './js/repository.js',
+  './js/roster.js',
+  './js/rulesEngine.js',
+  './js/rulesets.js',
+  './js/saves.js',
+  './js/settings.js',
   './js/stats.js',
+  './js/storage.js',
+  './js/store.js',
+  './js/surprise.js',
+  './js/sync.js',
+  './js/syncView.js',
   './js/tactical.js',
   './js/templates.js',
   './js/theme.js',
+  './js/timer.js',
   './js/ui.js',
+  './js/undo.js',
+  './js/utils.js',
+  './js/vision.js',
   './images/logo.svg',
   './images/favicon.ico',
   './images/icon-192x192.png',
@@ -0,0 +1,122 @@
+/**
+ * Jesster's Combat Tracker
+ * Action economy tests
+ *
+ * Each turn restores a combatant's action, bonus action, reaction and
+ * movement. A reaction spent on someone else's turn stays spent until the
+ * owner's own turn starts, and grants of extra actions count either every
+ * turn from the next one (Haste) or this turn only (Action Surge).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestCombat, makeCombatant, settle, startFight } from './helpers.js';
+import {
+  ActionType,
+  ActionGrantPreset,
+  createActionEconomy,
+  createActionGrant,
+  addActionGrant,
+  removeActionGrant,
+  resetActionEconomy,
+  getRemaining,
+  spendResource
+} from '../js/actionEconomy.js';
+
+/**
+ * Start a fight between Aria and Borin, in that order
+ * @param {Object} t - Test context
+ * @returns {Promise<Object>} Combat module
+ */
+async function startDuel(t) {
+  const { combat } = await createTestCombat();
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria', initiative: 20 }),
+    makeCombatant({ id: 'borin', name: 'Borin', initiative: 10 })
+  ]);
+  return combat;
+}
+
+/**
+ * Pass the turn and wait for the next one to start
+ * @param {Object} combat - Combat module
+ * @returns {Promise<void>}
+ */
+async function passTurn(combat) {
+  combat.nextTurn();
+  await settle();
+}
+
+test('a reaction spent on someone else\'s turn comes back when the owner\'s turn starts', async t => {
+  const combat = await startDuel(t);
+
+  // Borin makes an opportunity attack as Aria walks away
+  assert.equal(combat.useReaction('borin', 'Opportunity Attack').spent, true);
+  assert.equal(getRemaining(combat.getActionEconomy('borin'), ActionType.REACTION), 0);
+
+  const second = combat.useReaction('borin', 'Shield');
+  assert.equal(second.spent, false);
+  assert.equal(second.warning, 'Borin has no reaction left for Shield');
+
+  await passTurn(combat);
+  assert.equal(getRemaining(combat.getActionEconomy('borin'), ActionType.REACTION), 1);
+
+  // Aria's reaction spent on Borin's turn is not back until her own turn
+  combat.useReaction('aria', 'Shield');
+  await passTurn(combat);
+  assert.equal(combat.getCurrentCombatant().id, 'aria');
+  assert.equal(getRemaining(combat.getActionEconomy('aria'), ActionType.REACTION), 1);
+});
+
+test('Haste adds an action from the next turn until it is removed', async t => {
+  const combat = await startDuel(t);
+
+  const haste = combat.addActionGrant('aria', { ...ActionGrantPreset.HASTE, sourceId: 'borin' });
+  assert.equal(getRemaining(combat.getActionEconomy('aria'), ActionType.ACTION), 1, 'not on the turn it is cast');
+
+  await passTurn(combat);
+  await passTurn(combat);
+  assert.equal(getRemaining(combat.getActionEconomy('aria'), ActionType.ACTION), 2);
+  combat.useAction('aria', ActionType.ACTION, 1, { name: 'Attack' });
+  assert.equal(combat.useAction('aria', ActionType.ACTION, 1, { name: 'Dash' }).spent, true);
+
+  // Losing it takes the extra action away at once
+  combat.removeActionGrant('aria', haste.id);
+  const economy = combat.getActionEconomy('aria');
+  assert.equal(economy[ActionType.ACTION].max, 1);
+  assert.deepEqual(economy.grants, []);
+});
+
+test('Action Surge adds an action this turn only', async t => {
+  const combat = await startDuel(t);
+
+  combat.useAction('aria', ActionType.ACTION, 1, { name: 'Attack' });
+  combat.addActionGrant('aria', ActionGrantPreset.ACTION_SURGE);
+  assert.equal(combat.useAction('aria', ActionType.ACTION, 1, { name: 'Attack' }).spent, true);
+  assert.equal(combat.useAction('aria', ActionType.ACTION, 1, { name: 'Attack' }).spent, false);
+
+  await passTurn(combat);
+  await passTurn(combat);
+  const economy = combat.getActionEconomy('aria');
+  assert.equal(getRemaining(economy, ActionType.ACTION), 1);
+  assert.deepEqual(economy.grants, []);
+});
+
+test('grants count up and come off on their own, without changing the economy they are given', () => {
+  const economy = Object.freeze(createActionEconomy(30));
+  const haste = createActionGrant({ ...ActionGrantPreset.HASTE, id: 'haste' });
+  const extraReaction = createActionGrant({ id: 'sentinel', type: ActionType.REACTION, amount: 1, recurring: true });
+
+  const granted = addActionGrant(addActionGrant(economy, haste), extraReaction);
+  assert.equal(getRemaining(granted, ActionType.ACTION), 1);
+  assert.equal(getRemaining(economy, ActionType.ACTION), 1);
+
+  const { economy: spent } = spendResource(granted, ActionType.REACTION);
+  const reset = resetActionEconomy(spent, 25);
+  assert.deepEqual([reset.action.max, reset.reaction.max, reset.reaction.used, reset.movement.max], [2, 2, 0, 25]);
+
+  const removed = removeActionGrant(reset, 'sentinel');
+  assert.deepEqual([removed.action.max, removed.reaction.max], [2, 1]);
+  assert.equal(removeActionGrant(removed, 'missing'), removed);
+});
@@ -0,0 +1,106 @@
+/**
+ * Jesster's Combat Tracker
+ * Area template tests
+ *
+ * A template covers the grid cells whose centres are inside it, on square
+ * and hex grids alike, and catches every token standing in one of those
+ * cells, even a large token only partly inside.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  TemplateShape,
+  createTemplate,
+  getTemplateCells,
+  getTokensInTemplate,
+  getTemplateForArea
+} from '../js/areaTemplates.js';
+
+const SQUARE_GRID = { gridType: 'square', gridSize: 50, feetPerSquare: 5 };
+const HEX_GRID = { gridType: 'hex', gridSize: 50, feetPerSquare: 5 };
+
+// Distance between neighbouring hex centres in a row, and between rows
+const HEX_WIDTH = 50 * Math.sqrt(3) / 2;
+const HEX_ROW = 50 * 0.75;
+
+/**
+ * Get the names of the tokens a template catches
+ * @param {Object} template - Template data
+ * @param {Array} tokens - Tokens
+ * @param {Object} grid - Grid settings
+ * @returns {Array<string>} Token names
+ */
+function caught(template, tokens, grid) {
+  return getTokensInTemplate(createTemplate(template), tokens, grid).map(token => token.name);
+}
+
+test('a sphere on a square grid covers the squares whose centres are within its radius', () => {
+  const fireball = { shape: TemplateShape.SPHERE, radius: 20, x: 500, y: 500 };
+
+  // 13 squares in each quarter around the grid point it is centred on
+  assert.equal(getTemplateCells(createTemplate(fireball), SQUARE_GRID).length, 52);
+
+  assert.deepEqual(caught(fireball, [
+    { name: 'near', x: 525, y: 525, size: 50 },
+    { name: 'edge', x: 675, y: 525, size: 50 },
+    { name: 'beyond', x: 725, y: 525, size: 50 },
+    { name: 'corner', x: 675, y: 675, size: 50 },
+    { name: 'ogre', x: 700, y: 500, size: 100 }
+  ], SQUARE_GRID), ['near', 'edge', 'ogre']);
+});
+
+test('a cone on a square grid widens as it goes and can be turned', () => {
+  const tokens = [
+    { name: 'beside', x: 525, y: 525, size: 50 },
+    { name: 'ahead', x: 575, y: 525, size: 50 },
+    { name: 'far', x: 625, y: 525, size: 50 },
+    { name: 'wide', x: 625, y: 575, size: 50 },
+    { name: 'past', x: 675, y: 525, size: 50 },
+    { name: 'below', x: 525, y: 575, size: 50 }
+  ];
+
+  const east = { shape: TemplateShape.CONE, length: 15, x: 500, y: 500, direction: 0 };
+  assert.deepEqual(caught(east, tokens, SQUARE_GRID), ['ahead', 'far']);
+
+  const south = { ...east, direction: 90 };
+  assert.deepEqual(caught(south, tokens, SQUARE_GRID), ['below']);
+});
+
+test('a sphere on a hex grid covers two rings of hexes around its centre', () => {
+  const x = 10 * HEX_WIDTH;
+  const y = 10 * HEX_ROW;
+  const sphere = { shape: TemplateShape.SPHERE, radius: 10, x, y };
+
+  assert.equal(getTemplateCells(createTemplate(sphere), HEX_GRID).length, 1 + 6 + 12);
+
+  assert.deepEqual(caught(sphere, [
+    { name: 'centre', x, y, size: 50 },
+    { name: 'ring 1', x: x + HEX_WIDTH, y, size: 50 },
+    { name: 'ring 2', x: x + 2 * HEX_WIDTH, y, size: 50 },
+    { name: 'ring 3', x: x + 3 * HEX_WIDTH, y, size: 50 },
+    { name: 'two rows down', x, y: y + 2 * HEX_ROW, size: 50 },
+    { name: 'three rows down', x: x + HEX_WIDTH / 2, y: y + 3 * HEX_ROW, size: 50 }
+  ], HEX_GRID), ['centre', 'ring 1', 'ring 2', 'two rows down']);
+});
+
+test('a cone on a hex grid catches the hexes in front of it only', () => {
+  const x = 10 * HEX_WIDTH;
+  const y = 10 * HEX_ROW;
+  const cone = { shape: TemplateShape.CONE, length: 15, x, y, direction: 0 };
+
+  assert.deepEqual(caught(cone, [
+    { name: 'origin', x, y, size: 50 },
+    { name: 'ahead', x: x + 2 * HEX_WIDTH, y, size: 50 },
+    { name: 'behind', x: x - 2 * HEX_WIDTH, y, size: 50 },
+    { name: 'off to the side', x: x + HEX_WIDTH / 2, y: y + HEX_ROW, size: 50 }
+  ], HEX_GRID), ['origin', 'ahead']);
+});
+
+test('a spell\'s area becomes a template of the same shape', () => {
+  assert.deepEqual(getTemplateForArea({ type: 'cone', size: 15 }), { shape: 'cone', length: 15 });
+  assert.deepEqual(getTemplateForArea({ type: 'sphere', radius: 20 }), { shape: 'sphere', radius: 20 });
+  assert.deepEqual(getTemplateForArea({ type: 'line', length: 100 }), { shape: 'line', length: 100, width: 5 });
+  assert.equal(getTemplateForArea({ type: 'aura' }), null);
+});
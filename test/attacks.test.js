@@ -0,0 +1,131 @@
+/**
+ * Jesster's Combat Tracker
+ * Attack tests
+ *
+ * Attacks rolled with a seeded session hit when they meet the target's AC,
+ * roll twice the damage dice on a critical, and take advantage, disadvantage
+ * and automatic critical hits from the target's conditions.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestCombat, makeCombatant, quietly, startFight } from './helpers.js';
+
+// A d1 always rolls 1, so the damage shows how many dice were rolled
+const COUNTED_DAMAGE = [{ amount: '2d1+3', type: 'bludgeoning' }];
+
+/**
+ * Start a seeded fight between Aria and a target
+ * @param {Object} t - Test context
+ * @param {string} seed - Session seed
+ * @param {Object} target - Target fields
+ * @returns {Promise<Object>} Combat module
+ */
+async function startDuel(t, seed, target = {}) {
+  const { combat } = await createTestCombat();
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria', initiative: 20 }),
+    makeCombatant({ id: 'ogre', name: 'Ogre', type: 'monster', hp: 500, maxHp: 500, initiative: 10, ...target })
+  ], { seed });
+  return combat;
+}
+
+/**
+ * Make one attack against the ogre
+ * @param {Object} combat - Combat module
+ * @param {Object} action - Attack action fields
+ * @param {Object} options - Attack options (see Combat.makeAttack)
+ * @returns {Promise<Object>} Result against the ogre
+ */
+async function attackOgre(combat, action = {}, options = {}) {
+  const { results } = await quietly(() => combat.makeAttack('aria', {
+    name: 'Club',
+    attackBonus: 4,
+    components: COUNTED_DAMAGE,
+    ...action
+  }, ['ogre'], options));
+  return results[0];
+}
+
+test('an attack hits when it meets the target\'s AC', async t => {
+  const combat = await startDuel(t, 'hit or miss', { ac: 15 });
+
+  const outcomes = new Set();
+  let dealt = 0;
+  for (let i = 0; i < 30; i++) {
+    const result = await attackOgre(combat);
+    const { total, isCritical, isFumble } = result.roll;
+
+    assert.equal(result.ac, 15);
+    assert.equal(result.hit, !isFumble && (isCritical || total >= 15), `rolled ${total}`);
+    assert.equal(result.critical, result.hit && isCritical);
+    assert.equal(result.damage === null, !result.hit);
+    outcomes.add(result.hit);
+    dealt += result.hit ? result.damage.finalDamage : 0;
+  }
+
+  assert.deepEqual([...outcomes].sort(), [false, true], 'the seed gives both hits and misses');
+  assert.equal(combat.getCombatant('ogre').hp, 500 - dealt);
+});
+
+test('a critical hit rolls the damage dice twice but adds the modifier once', async t => {
+  const combat = await startDuel(t, 'critical', { ac: 1 });
+
+  const damage = [];
+  for (let i = 0; i < 40; i++) {
+    const result = await attackOgre(combat, { critRange: 19 });
+    if (result.hit) {
+      damage.push([result.critical, result.damage.finalDamage]);
+    }
+  }
+
+  assert.ok(damage.some(([critical]) => critical), 'the seed rolls a critical hit');
+  assert.ok(damage.some(([critical]) => !critical), 'the seed rolls an ordinary hit');
+  damage.forEach(([critical, finalDamage]) => assert.equal(finalDamage, critical ? 4 + 3 : 2 + 3));
+});
+
+test('attacks against a prone target have advantage within 5 feet and disadvantage beyond', async t => {
+  const combat = await startDuel(t, 'prone');
+  combat.applyCondition('ogre', 'prone');
+
+  const close = await attackOgre(combat, {}, { distance: 5 });
+  assert.equal(close.advantage, true);
+  assert.equal(close.disadvantage, false);
+  assert.deepEqual(close.reasons, ['Target Prone: attacks within 5 feet have advantage']);
+  assert.equal(close.roll.advantage, true, 'rolled with advantage');
+
+  const far = await attackOgre(combat, { kind: 'ranged' }, { distance: 60 });
+  assert.equal(far.advantage, false);
+  assert.equal(far.disadvantage, true);
+  assert.deepEqual(far.reasons, ['Target Prone: attacks from farther away have disadvantage']);
+  assert.equal(far.roll.disadvantage, true, 'rolled with disadvantage');
+});
+
+test('attacks against a restrained target have advantage from any distance', async t => {
+  const combat = await startDuel(t, 'restrained');
+  combat.applyCondition('ogre', 'restrained');
+
+  for (const distance of [5, 60]) {
+    const result = await attackOgre(combat, { kind: 'ranged' }, { distance });
+    assert.equal(result.advantage, true);
+    assert.deepEqual(result.reasons, ['Target Restrained: attacks against it have advantage']);
+  }
+});
+
+test('a hit on a paralyzed target within 5 feet is a critical hit', async t => {
+  const combat = await startDuel(t, 'paralyzed', { ac: 1 });
+  combat.applyCondition('ogre', 'paralyzed');
+
+  const close = await attackOgre(combat, {}, { distance: 5 });
+  assert.equal(close.advantage, true);
+  assert.equal(close.hit, true);
+  assert.equal(close.roll.autoCrit, true);
+  assert.equal(close.critical, true);
+  assert.equal(close.damage.finalDamage, 4 + 3);
+
+  const far = await attackOgre(combat, {}, { distance: 10 });
+  assert.equal(far.hit, true);
+  assert.equal(far.roll.autoCrit, false);
+  assert.equal(far.critical, far.roll.isCritical);
+});
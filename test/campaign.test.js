@@ -0,0 +1,113 @@
+/**
+ * Jesster's Combat Tracker
+ * Campaign folder tests
+ *
+ * A campaign folder holds one file per record. A file that can't be read,
+ * say half-way through a hand edit, keeps its record even after a restart,
+ * and a loaded bundle's changes are told apart from edits.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createMemoryRepository, quietly } from './helpers.js';
+import { Collection } from '../js/repository.js';
+import { CampaignFolder } from '../js/campaign.js';
+
+// Campaign folders need the File System Access API
+globalThis.showDirectoryPicker = () => {};
+
+/**
+ * Create a file system handler over an in-memory folder
+ * @returns {Object} Handler, with the folder's files in files
+ */
+function createFolderHandler() {
+  const files = new Map();
+  let remembered = false;
+
+  return {
+    files,
+    getDirectoryName: () => 'Goblin Caves',
+    requestDirectoryAccess: async () => { remembered = true; return true; },
+    restoreDirectoryAccess: async () => remembered,
+    getRememberedDirectory: async () => (remembered ? {} : null),
+    forgetDirectory: async () => { remembered = false; },
+    writeTextFile: async (path, text) => { files.set(path, text); },
+    readTextFile: async path => (files.has(path) ? files.get(path) : null),
+    readTextFiles: async directory => Array.from(files.entries())
+      .filter(([path]) => path.startsWith(`${directory}/`))
+      .map(([path, text]) => ({ name: path.slice(directory.length + 1), text })),
+    removeFile: async path => { files.delete(path); }
+  };
+}
+
+/**
+ * Record the repository changes made from now on
+ * @param {Repository} repository - Repository
+ * @returns {Array} Changes ({event, collection, id, origin})
+ */
+function recordChanges(repository) {
+  const changes = [];
+  repository.addListener((event, data) => {
+    changes.push({ event, collection: data.collection, id: data.id, origin: data.origin });
+  });
+  return changes;
+}
+
+test('a half-edited file keeps its record after a restart', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const repository = createMemoryRepository();
+  const handler = createFolderHandler();
+
+  await repository.put(Collection.PLAYERS, { id: 'aria', name: 'Aria', hp: 10 });
+  await repository.put(Collection.PLAYERS, { id: 'bran', name: 'Bran', hp: 8 });
+  await new CampaignFolder(repository, { handler }).open();
+  assert.ok(handler.files.has('players/aria.json'));
+
+  // The page is reloaded while a file is being edited by hand
+  handler.files.set('players/aria.json', '{ "id": "aria", "name": "Ar');
+  const changes = recordChanges(repository);
+  const folder = new CampaignFolder(repository, { handler });
+  const result = await quietly(() => folder.restore());
+
+  assert.deepEqual(result.errors.map(({ path }) => path), ['players/aria.json']);
+  assert.deepEqual(await repository.get(Collection.PLAYERS, 'aria'), { id: 'aria', name: 'Aria', hp: 10 });
+  assert.deepEqual(changes.filter(change => change.event === 'remove'), []);
+
+  // Once the file is fixed the edit comes through
+  handler.files.set('players/aria.json', JSON.stringify({ id: 'aria', name: 'Aria', hp: 12 }));
+  await quietly(() => folder.reload());
+  assert.equal((await repository.get(Collection.PLAYERS, 'aria')).hp, 12);
+});
+
+test('a file removed by hand removes its record', async () => {
+  const repository = createMemoryRepository();
+  const handler = createFolderHandler();
+
+  await repository.put(Collection.PLAYERS, { id: 'aria', name: 'Aria' });
+  await repository.put(Collection.PLAYERS, { id: 'bran', name: 'Bran' });
+  const folder = new CampaignFolder(repository, { handler });
+  await folder.open();
+
+  handler.files.delete('players/bran.json');
+  const result = await quietly(() => folder.reload());
+
+  assert.deepEqual(result.collections, [Collection.PLAYERS]);
+  assert.equal(await repository.get(Collection.PLAYERS, 'bran'), null);
+});
+
+test('changes loaded from a bundle have the bundle origin', async () => {
+  const source = createMemoryRepository();
+  await source.put(Collection.ENCOUNTERS, { id: 'ambush', name: 'Ambush' });
+  const bundle = await new CampaignFolder(source, { handler: createFolderHandler() }).createBundle('Goblin Caves');
+
+  const repository = createMemoryRepository();
+  await repository.put(Collection.ENCOUNTERS, { id: 'old', name: 'Old Fight' });
+  const changes = recordChanges(repository);
+  await quietly(() => new CampaignFolder(repository, { handler: createFolderHandler() }).loadBundle(bundle));
+
+  assert.deepEqual(
+    changes.map(({ event, id, origin }) => [event, id, origin]),
+    [['remove', 'old', 'bundle'], ['put', 'ambush', 'bundle']]
+  );
+});
@@ -0,0 +1,288 @@
+/**
+ * Jesster's Combat Tracker
+ * Combat tests
+ *
+ * Starting a fight rolls initiative for everyone who came without one, and
+ * surprise plays out as the ruleset in force says. A replayed fight rolls
+ * the same Stealth, initiative and random picks. Under popcorn initiative
+ * each combatant hands the turn to someone who hasn't acted yet. A delayed
+ * turn taken later in the round moves the combatant there for good, saves
+ * included, and a turn still delayed when the round ends is lost.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createLocalStorage, createTestCombat, makeCombatant, quietly, settle, startFight } from './helpers.js';
+import { Ruleset } from '../js/rulesets.js';
+import Storage from '../js/storage.js';
+
+/**
+ * Build the two sides of an ambush: the goblin acts first, unless surprise
+ * takes its turn
+ * @returns {Array} Combatants
+ */
+function ambush() {
+  return [
+    makeCombatant({ id: 'aria', name: 'Aria', type: 'pc' }),
+    makeCombatant({ id: 'goblin', name: 'Goblin', type: 'monster', initiativeModifier: 30 })
+  ];
+}
+
+/**
+ * Check whether a combatant has a condition
+ * @param {Object} combat - Combat module
+ * @param {string} id - Combatant ID
+ * @param {string} conditionId - Condition ID
+ * @returns {boolean} True if it has it
+ */
+function hasCondition(combat, id, conditionId) {
+  return combat.getCombatant(id).conditions.some(condition => condition.id === conditionId);
+}
+
+test('initiative is rolled for combatants who come without one', async t => {
+  const { combat } = await createTestCombat();
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria', type: 'pc', initiativeModifier: 3 }),
+    makeCombatant({ id: 'bran', name: 'Bran', type: 'pc', initiative: 17 })
+  ], { seed: 42 });
+
+  const aria = combat.getCombatant('aria');
+  assert.ok(aria.initiativeRoll, 'initiative rolled');
+  assert.equal(aria.initiative, aria.initiativeRoll.total);
+  assert.ok(aria.initiative >= 4 && aria.initiative <= 23);
+
+  // Initiative rolled at the table is kept
+  const bran = combat.getCombatant('bran');
+  assert.equal(bran.initiative, 17);
+  assert.equal(bran.initiativeRoll, null);
+
+  assert.deepEqual(combat.getInitiativeOrder().map(c => c.id), aria.initiative > 17 ? ['aria', 'bran'] : ['bran', 'aria']);
+});
+
+test('combat started without rolling puts everyone without initiative at 0', async t => {
+  const { combat } = await createTestCombat();
+  await startFight(t, combat, [makeCombatant({ id: 'aria', name: 'Aria', type: 'pc' })], { rollInitiative: false });
+
+  assert.equal(combat.getCombatant('aria').initiative, 0);
+  assert.equal(combat.getCombatant('aria').initiativeRoll, null);
+});
+
+test('a surprised combatant loses its first turn under the 2014 rules', async t => {
+  const { combat } = await createTestCombat();
+  const skipped = [];
+  combat.on('onSurprisedTurnSkipped', ({ combatant }) => skipped.push(combatant.id));
+
+  await startFight(t, combat, ambush(), { ruleset: Ruleset.RULES_2014, surprised: ['goblin'], seed: 7 });
+
+  assert.equal(combat.getInitiativeOrder()[0].id, 'goblin');
+  assert.deepEqual(skipped, ['goblin']);
+  assert.equal(combat.getCurrentCombatant().id, 'aria');
+
+  // The surprise wore off as the lost turn ended; the goblin acts next round
+  assert.equal(hasCondition(combat, 'goblin', 'surprised'), false);
+  combat.nextTurn();
+  assert.equal(combat.getCurrentRound(), 2);
+  assert.equal(combat.getCurrentCombatant().id, 'goblin');
+  assert.deepEqual(skipped, ['goblin']);
+});
+
+test('a surprised combatant rolls initiative with disadvantage under the 2024 rules', async t => {
+  const { combat } = await createTestCombat();
+  const skipped = [];
+  combat.on('onSurprisedTurnSkipped', ({ combatant }) => skipped.push(combatant.id));
+
+  await startFight(t, combat, ambush(), { ruleset: Ruleset.RULES_2024, surprised: ['goblin'], seed: 7 });
+
+  const goblin = combat.getCombatant('goblin');
+  assert.equal(goblin.initiativeRoll.rules.disadvantage, true);
+  assert.equal(combat.getCombatant('aria').initiativeRoll.rules.disadvantage, false);
+
+  // Surprise did its work on the roll and is gone; the goblin still gets its turn
+  assert.equal(hasCondition(combat, 'goblin', 'surprised'), false);
+  assert.deepEqual(skipped, []);
+  assert.equal(combat.getCurrentCombatant().id, 'goblin');
+});
+
+test('a replayed fight repeats the surprise check, initiative and shuffles', async t => {
+  globalThis.localStorage = createLocalStorage();
+  const storage = await quietly(() => new Storage());
+  await storage.ready;
+  const { combat, dice } = await createTestCombat({ storage });
+
+  /**
+   * Play the start of the fight: initiative, an attack and a random pick
+   * @returns {Promise<Object>} What came out
+   */
+  const play = async () => ({
+    initiative: combat.getInitiativeOrder().map(c => [c.id, c.initiative]),
+    surprised: hasCondition(combat, 'aria', 'surprised'),
+    attack: (await dice.roll('1d20+4')).total,
+    picks: dice.service.shuffle(['aria', 'bran', 'cade', 'dara']).join(',')
+  });
+
+  const line = [
+    makeCombatant({ id: 'aria', name: 'Aria', type: 'pc' }),
+    makeCombatant({ id: 'goblin', name: 'Goblin', type: 'monster', skills: { stealth: 6 } })
+  ];
+  const check = await combat.checkSurprise(line, ['goblin'], { seed: 'ambush' });
+  assert.deepEqual(check.surprised, ['aria']);
+  await startFight(t, combat, line, { surprised: check.surprised });
+  const played = await play();
+  assert.equal(dice.getSeed(), 'ambush', 'the surprise check opened the session');
+
+  assert.equal(await combat.save('Ambush'), true);
+  combat.endCombat();
+
+  const saved = await storage.load('combats');
+  assert.equal(await combat.replay(saved.id), true);
+  await settle();
+  assert.deepEqual(await play(), played);
+  assert.equal(dice.isReplaying(), false, 'every recorded roll was used');
+});
+
+test('a player character at 0 HP rolls a death save at the start of its turn', async t => {
+  const { combat } = await createTestCombat();
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria', initiative: 20 }),
+    makeCombatant({ id: 'goblin', name: 'Goblin', type: 'monster', initiative: 10 })
+  ], { seed: 'dying' });
+
+  const hit = await quietly(() => combat.applyDamage('aria', 30));
+  assert.equal(hit.isDead, false, 'damage short of max HP plus current HP only knocks her out');
+  assert.equal(combat.getCombatant('aria').hp, 0);
+
+  combat.nextTurn();
+  await settle();
+  combat.nextTurn();
+  await settle();
+
+  const { deathSaves, hp } = combat.getCombatant('aria');
+  assert.ok(hp === 1 || deathSaves.successes + deathSaves.failures > 0, 'a death save was rolled');
+});
+
+test('massive damage kills a player character outright, and any damage at 0 HP kills a monster', async t => {
+  const { combat } = await createTestCombat();
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria', initiative: 20 }),
+    makeCombatant({ id: 'goblin', name: 'Goblin', type: 'monster', hp: 7, maxHp: 7, initiative: 10 })
+  ]);
+
+  const massive = await quietly(() => combat.applyDamage('aria', 60));
+  assert.equal(massive.isDead, true);
+  assert.equal(combat.getCombatant('aria').defeated, true);
+
+  const slain = await quietly(() => combat.applyDamage('goblin', 7));
+  assert.equal(slain.isDead, true);
+});
+
+test('under popcorn initiative the turn goes to someone who hasn\'t acted, and the last picks who starts the next round', async t => {
+  const { combat } = await createTestCombat({ initiativeSystem: 'popcorn' });
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria', initiative: 20 }),
+    makeCombatant({ id: 'borin', name: 'Borin', initiative: 15 }),
+    makeCombatant({ id: 'cade', name: 'Cade', initiative: 10 })
+  ]);
+  const ids = combatants => combatants.map(combatant => combatant.id);
+  const prompts = [];
+  combat.on('onPopcornPrompt', ({ combatant, choices, roundEnd }) => prompts.push([combatant.id, ids(choices), roundEnd]));
+
+  combat.nextTurn('cade');
+  await settle();
+  let state = combat.getPopcornState();
+  assert.deepEqual([ids(state.acted), state.current.id, ids(state.waiting)], [['aria'], 'cade', ['borin']]);
+
+  // Aria has already acted this round
+  assert.equal(await quietly(() => combat.nextTurn('aria')), null);
+  assert.equal(combat.getCurrentCombatant().id, 'cade');
+
+  combat.nextTurn('borin');
+  await settle();
+  assert.equal(combat.nextTurn(), null);
+  assert.deepEqual(prompts, [['borin', ['aria', 'cade', 'borin'], true]]);
+
+  // The last to act may pick itself to start the next round
+  combat.nextTurn('borin');
+  await settle();
+  state = combat.getPopcornState();
+  assert.equal(combat.round, 2);
+  assert.deepEqual([ids(state.acted), state.current.id, ids(state.waiting)], [[], 'borin', ['aria', 'cade']]);
+});
+
+test('a delayed turn taken after another combatant keeps its new place, saved and loaded', async t => {
+  globalThis.localStorage = createLocalStorage();
+  const storage = await quietly(() => new Storage());
+  await storage.ready;
+  const { combat } = await createTestCombat({ storage });
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria', initiative: 20 }),
+    makeCombatant({ id: 'borin', name: 'Borin', initiative: 10 }),
+    makeCombatant({ id: 'cade', name: 'Cade', initiative: 5 })
+  ]);
+  const order = () => combat.getInitiativeOrder().map(c => [c.id, c.initiative]);
+
+  assert.equal(combat.delayCombatantTurn('aria'), true);
+  await settle();
+  assert.equal(combat.getCurrentCombatant().id, 'borin');
+  assert.deepEqual(combat.getDelayedCombatants().map(c => c.id), ['aria']);
+
+  // Borin has already acted, so Aria can only come in after Cade now
+  combat.nextTurn();
+  await settle();
+  assert.equal(await quietly(() => combat.resumeDelayedTurn('aria', 'borin')), null);
+  combat.resumeDelayedTurn('aria');
+  await settle();
+  assert.equal(combat.getCurrentCombatant().id, 'aria');
+  assert.deepEqual(order(), [['borin', 10], ['cade', 5], ['aria', 4]]);
+
+  combat.nextTurn();
+  await settle();
+  assert.equal(combat.round, 2);
+  assert.deepEqual(order(), [['borin', 10], ['cade', 5], ['aria', 4]]);
+
+  assert.equal(await combat.save('Delay'), true);
+  combat.endCombat();
+  const saved = await storage.load('combats');
+  assert.equal(await quietly(() => combat.load(saved.id)), true);
+  t.after(() => combat.isActive() && combat.endCombat());
+  assert.deepEqual(order(), [['borin', 10], ['cade', 5], ['aria', 4]]);
+  assert.equal(combat.getCurrentCombatant().id, 'borin');
+  assert.equal(combat.getCombatant('aria').delayedTurn, null);
+});
+
+test('a turn still delayed when the round ends is lost, and the combatant goes back to its old place', async t => {
+  const { combat } = await createTestCombat();
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria', initiative: 20 }),
+    makeCombatant({ id: 'borin', name: 'Borin', initiative: 10 }),
+    makeCombatant({ id: 'cade', name: 'Cade', initiative: 5 })
+  ]);
+
+  combat.delayCombatantTurn('aria');
+  await settle();
+  combat.resumeDelayedTurn('aria', 'cade');
+  assert.deepEqual(combat.getInitiativeOrder().map(c => [c.id, c.initiative]), [['borin', 10], ['cade', 5], ['aria', 4]]);
+  assert.equal(combat.getCurrentCombatant().id, 'borin', 'acting after Cade waits for Cade\'s turn');
+
+  // Borin delays and never comes back this round
+  combat.nextTurn();
+  await settle();
+  combat.nextTurn();
+  await settle();
+  assert.equal(combat.getCurrentCombatant().id, 'aria');
+  combat.nextTurn();
+  await settle();
+  assert.equal(combat.round, 2);
+  assert.equal(combat.delayCombatantTurn('borin'), true);
+  await settle();
+  combat.nextTurn();
+  await settle();
+  combat.nextTurn();
+  await settle();
+
+  assert.equal(combat.round, 3);
+  assert.deepEqual(combat.getDelayedCombatants(), []);
+  assert.deepEqual(combat.getInitiativeOrder().map(c => c.id), ['borin', 'cade', 'aria']);
+  assert.equal(combat.getCurrentCombatant().id, 'borin');
+  assert.deepEqual(combat.history.filter(entry => entry.type === 'delayed-turn-lost').map(entry => entry.data.round), [2]);
+});
@@ -0,0 +1,204 @@
+/**
+ * Jesster's Combat Tracker
+ * Combat history tests
+ *
+ * The combat module records attacks, damage, concentration, recurring
+ * effects and turn handoffs in the combat history it is given.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestCombat, makeCombatant, startFight, settle } from './helpers.js';
+import { EventType } from '../js/history.js';
+import { DurationAnchor } from '../js/conditions.js';
+import { createDamagePacket } from '../js/damage.js';
+import { CoverType } from '../js/attacks.js';
+
+test('a concentration check after damage is recorded in the combat history', async (t) => {
+  const { combat, history } = await createTestCombat();
+  await startFight(t, combat, [makeCombatant({ id: 'aria', name: 'Aria' })]);
+
+  combat.startConcentration('aria', 'Bless');
+  const result = await combat.applyDamage('aria', 12);
+
+  const [check] = history.getEventsByType(EventType.CONCENTRATION_CHECK);
+  assert.ok(check, 'concentration check recorded');
+  assert.equal(check.actorId, 'aria');
+  assert.equal(check.dc, 10);
+  assert.equal(check.total, result.concentration.total);
+  assert.equal(check.success, result.concentration.success);
+
+  // A failed save ends concentration, which is recorded too
+  const ended = history.getEventsByType(EventType.CONCENTRATION_ENDED);
+  assert.equal(ended.length, check.success ? 0 : 1);
+});
+
+test('a concentration save rolled at the table is recorded once it is entered', async (t) => {
+  const { combat, history } = await createTestCombat({ concentrationMode: 'prompt' });
+  await startFight(t, combat, [makeCombatant({ id: 'aria', name: 'Aria' })]);
+
+  combat.startConcentration('aria', 'Bless');
+  await combat.applyDamage('aria', 30 - 1);
+  assert.equal(history.getEventsByType(EventType.CONCENTRATION_CHECK).length, 0);
+
+  combat.resolveConcentrationCheck('aria', 3);
+
+  const [check] = history.getEventsByType(EventType.CONCENTRATION_CHECK);
+  assert.equal(check.dc, 14);
+  assert.equal(check.success, false);
+  assert.equal(history.getEventsByType(EventType.CONCENTRATION_ENDED)[0].reason, 'failed-save');
+});
+
+test('a recurring effect ticking at the start of a turn is recorded in the combat history', async (t) => {
+  const { combat, history } = await createTestCombat();
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria' }),
+    makeCombatant({ id: 'borin', name: 'Borin' })
+  ]);
+
+  const target = combat.getNextCombatant();
+  combat.addRecurringEffect(target.id, {
+    name: 'Acid Arrow',
+    formula: 4,
+    damageType: 'acid',
+    anchor: DurationAnchor.TARGET_TURN_START,
+    duration: 1
+  });
+  combat.nextTurn();
+  await settle();
+
+  const [tick] = history.getEventsByType(EventType.RECURRING_EFFECT);
+  assert.ok(tick, 'recurring effect recorded');
+  assert.equal(tick.targetId, target.id);
+  assert.equal(tick.effectName, 'Acid Arrow');
+  assert.equal(tick.damageType, 'acid');
+  assert.equal(tick.amount, 4);
+  assert.equal(combat.getCombatant(target.id).hp, 30 - 4);
+
+  // It only had one tick left
+  assert.equal(tick.expired, true);
+  assert.deepEqual(combat.getRecurringEffects(target.id), []);
+});
+
+test('damage is recorded with its breakdown through the damage pipeline', async (t) => {
+  const { combat, history } = await createTestCombat();
+  await startFight(t, combat, [makeCombatant({
+    id: 'aria',
+    name: 'Aria',
+    tempHp: 5,
+    damageModifiers: { resistances: ['fire'] }
+  })]);
+
+  await combat.applyDamage('aria', createDamagePacket([
+    { amount: 20, type: 'fire' },
+    { amount: 10, type: 'cold' }
+  ]), {
+    source: 'Flame Strike',
+    halve: true,
+    reductions: [{ name: 'Ward', amount: 3, types: ['fire'] }]
+  });
+
+  const [hit] = history.getEventsByType(EventType.DAMAGE);
+  assert.ok(hit, 'damage recorded');
+  assert.equal(hit.targetId, 'aria');
+  assert.equal(hit.actorName, 'Flame Strike');
+  assert.equal(hit.amount, 4 + 5);
+
+  // Flat reduction, then halving, then resistance
+  const [fire, cold] = hit.components;
+  assert.deepEqual(
+    fire.steps.map(step => [step.modifier, step.before, step.after]),
+    [['damage-reduction', 20, 17], ['halving', 17, 8], ['resistance', 8, 4]]
+  );
+  assert.equal(fire.modifier, 'resistant');
+  assert.deepEqual(cold.steps.map(step => [step.modifier, step.after]), [['halving', 5]]);
+
+  // Temporary HP soaks the hit before hit points do
+  const aria = combat.getCombatant('aria');
+  assert.equal(aria.tempHp, 0);
+  assert.equal(aria.hp, 30 - 4);
+});
+
+test('an attack is recorded with its roll and outcome against each target', async (t) => {
+  const { combat, history } = await createTestCombat();
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria' }),
+    makeCombatant({ id: 'goblin', name: 'Goblin', type: 'monster', ac: 15 }),
+    makeCombatant({ id: 'orc', name: 'Orc', type: 'monster' })
+  ]);
+
+  const { results } = await combat.makeAttack('aria', {
+    name: 'Longsword',
+    attackBonus: 5,
+    components: [{ amount: '1d8+3', type: 'slashing' }]
+  }, ['goblin', 'orc'], { cover: { orc: CoverType.TOTAL } });
+
+  const [attack] = history.getEventsByType(EventType.ATTACK);
+  assert.ok(attack, 'attack recorded');
+  assert.equal(attack.actorId, 'aria');
+  assert.equal(attack.attackName, 'Longsword');
+  assert.equal(attack.attackBonus, 5);
+
+  const [goblin, orc] = attack.targets;
+  const [roll] = results;
+  assert.equal(goblin.targetId, 'goblin');
+  assert.equal(goblin.total, roll.roll.total);
+  assert.equal(goblin.ac, 15);
+  assert.equal(goblin.hit, roll.hit);
+  assert.equal(goblin.damage, roll.hit ? roll.damage.finalDamage : 0);
+  assert.deepEqual(goblin.components.map(component => component.type), roll.hit ? ['slashing'] : []);
+
+  // A target behind total cover can't be attacked at all
+  assert.equal(orc.targetId, 'orc');
+  assert.equal(orc.total, null);
+  assert.equal(orc.hit, false);
+
+  // The damage of an attack is part of its record, not logged separately
+  assert.equal(history.getEventsByType(EventType.DAMAGE).length, 0);
+});
+
+test('a popcorn initiative handoff is recorded in the combat history', async (t) => {
+  const { combat, history } = await createTestCombat({ initiativeSystem: 'popcorn' });
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria' }),
+    makeCombatant({ id: 'borin', name: 'Borin' }),
+    makeCombatant({ id: 'cade', name: 'Cade' })
+  ]);
+
+  // Without a pick the table is asked and nothing is handed off yet
+  const current = combat.getCurrentCombatant();
+  assert.equal(combat.nextTurn(), null);
+  assert.equal(history.getEventsByType(EventType.TURN_HANDOFF).length, 0);
+
+  const picked = combat.getPopcornChoices().find(combatant => combatant.id !== current.id);
+  combat.nextTurn(picked.id);
+  await settle();
+  assert.equal(combat.getCurrentCombatant().id, picked.id);
+
+  const [handoff] = history.getEventsByType(EventType.TURN_HANDOFF);
+  assert.ok(handoff, 'handoff recorded');
+  assert.equal(handoff.actorId, current.id);
+  assert.equal(handoff.targetId, picked.id);
+  assert.equal(handoff.roundEnd, false);
+});
+
+test('the dice seed of a fight is recorded so it can be replayed', async (t) => {
+  const { combat, history, dice } = await createTestCombat();
+  const combatants = () => [makeCombatant({ id: 'aria', name: 'Aria' })];
+
+  await startFight(t, combat, combatants(), { encounterId: 'ambush', encounterName: 'Ambush' });
+  const first = await dice.roll('4d6');
+  combat.endCombat();
+
+  const replay = history.getReplayData('ambush');
+  assert.ok(replay, 'replay data recorded');
+  assert.equal(replay.seed, history.getEventsByType(EventType.SESSION_SEED)[0].seed);
+
+  // Starting again from the recorded seed rolls the same dice
+  await startFight(t, combat, combatants(), { seed: replay.seed });
+  const second = await dice.roll('4d6');
+  assert.equal(second.total, first.total);
+  assert.ok(first.draws.length > 0);
+  assert.deepEqual(second.draws, first.draws);
+});
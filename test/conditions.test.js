@@ -0,0 +1,101 @@
+/**
+ * Jesster's Combat Tracker
+ * Condition duration tests
+ *
+ * A condition's duration counts down at the start or end of the source's or
+ * the target's turn. "Until the end of your next turn" skips the turn it was
+ * applied in, and a source that leaves the fight still has its turn counted
+ * where its initiative was.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestCombat, makeCombatant, quietly, settle, startFight } from './helpers.js';
+import { DurationAnchor } from '../js/conditions.js';
+
+/**
+ * Start a fight between Aria, Borin and Cade, in that order, and note the
+ * turn each condition expires in
+ * @param {Object} t - Test context
+ * @returns {Promise<Object>} {combat, expired} with expired holding "condition: round/combatant" strings
+ */
+async function startThreeWayFight(t) {
+  const { combat } = await createTestCombat();
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria', initiative: 20 }),
+    makeCombatant({ id: 'borin', name: 'Borin', initiative: 10 }),
+    makeCombatant({ id: 'cade', name: 'Cade', initiative: 5 })
+  ]);
+
+  const expired = [];
+  combat.on('onConditionExpired', ({ condition }) => {
+    const current = combat.getCurrentCombatant();
+    expired.push(`${condition.id}: ${combat.round}/${current ? current.id : 'between turns'}`);
+  });
+
+  return { combat, expired };
+}
+
+/**
+ * Pass the turn a number of times
+ * @param {Object} combat - Combat module
+ * @param {number} turns - Turns to pass
+ * @returns {Promise<void>}
+ */
+async function passTurns(combat, turns) {
+  for (let i = 0; i < turns; i++) {
+    combat.nextTurn();
+    await settle();
+  }
+}
+
+test('"until the end of your next turn" lasts through the turn it was applied in', async t => {
+  const { combat, expired } = await startThreeWayFight(t);
+
+  // Aria's Vex on her own turn lasts until the end of her next turn
+  combat.applyCondition('borin', 'frightened', {
+    sourceId: 'aria',
+    anchor: DurationAnchor.SOURCE_TURN_END,
+    duration: 1
+  });
+
+  await passTurns(combat, 3);
+  assert.deepEqual(expired, [], 'still there when Aria\'s next turn starts');
+  await passTurns(combat, 1);
+  assert.deepEqual(expired, ['frightened: 2/aria']);
+  assert.equal(combat.getCombatant('borin').conditions.length, 0);
+});
+
+test('durations count down at the start or end of the target\'s own turn', async t => {
+  const { combat, expired } = await startThreeWayFight(t);
+
+  combat.applyCondition('cade', 'poisoned', { anchor: DurationAnchor.TARGET_TURN_START, duration: 2 });
+  combat.applyCondition('cade', 'blinded', { duration: 1 });
+
+  await passTurns(combat, 2);
+  assert.equal(combat.getCombatant('cade').conditions.find(c => c.id === 'poisoned').duration, 1);
+  await passTurns(combat, 1);
+  assert.deepEqual(expired, ['blinded: 1/cade'], 'an unanchored duration ends with the target\'s turn');
+  await passTurns(combat, 2);
+  assert.deepEqual(expired, ['blinded: 1/cade', 'poisoned: 2/cade']);
+});
+
+test('a source that leaves the fight still has its turn counted where its initiative was', async t => {
+  const { combat, expired } = await startThreeWayFight(t);
+
+  combat.applyCondition('borin', 'restrained', {
+    sourceId: 'aria',
+    anchor: DurationAnchor.SOURCE_TURN_START,
+    duration: 1
+  });
+  assert.equal(combat.getCombatant('borin').conditions[0].sourceInitiative, 20);
+
+  // Aria drops out, but her place at the top of the order comes round again
+  await quietly(() => combat.removeCombatant('aria'));
+  await passTurns(combat, 1);
+  assert.deepEqual(expired, []);
+  await passTurns(combat, 2);
+  assert.equal(combat.round, 2);
+  assert.deepEqual(expired, ['restrained: 2/borin']);
+});
@@ -0,0 +1,97 @@
+/**
+ * Jesster's Combat Tracker
+ * Damage tests
+ *
+ * A hit of several damage types loses each type to the target's own
+ * immunities, resistances and vulnerabilities, and the damage pipeline runs
+ * flat reductions before halving and resistance whatever order its
+ * modifiers were added in.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestCombat, makeCombatant, quietly, startFight } from './helpers.js';
+import { DamageStage, createDamagePacket } from '../js/damage.js';
+
+test('each damage type of a hit is changed by the target\'s own traits', async t => {
+  const { combat } = await createTestCombat();
+  await startFight(t, combat, [makeCombatant({
+    id: 'ghoul',
+    name: 'Ghoul',
+    type: 'monster',
+    hp: 40,
+    maxHp: 40,
+    damageModifiers: { immunities: ['poison'], resistances: ['cold'], vulnerabilities: ['fire'] }
+  })]);
+
+  const result = await quietly(() => combat.applyDamage('ghoul', createDamagePacket([
+    { amount: 7, type: 'slashing' },
+    { amount: 5, type: 'fire' },
+    { amount: 9, type: 'poison' },
+    { amount: 7, type: 'cold' }
+  ])));
+
+  assert.deepEqual(
+    result.components.map(component => [component.type, component.modifier, component.amount]),
+    [['slashing', 'normal', 7], ['fire', 'vulnerable', 10], ['poison', 'immune', 0], ['cold', 'resistant', 3]]
+  );
+  assert.equal(result.rawDamage, 28);
+  assert.equal(result.finalDamage, 7 + 10 + 3);
+  assert.equal(combat.getCombatant('ghoul').hp, 40 - 20);
+});
+
+test('magical hits get past nonmagical resistance and Heavy Armor Master', async t => {
+  const { combat } = await createTestCombat();
+  await startFight(t, combat, [
+    makeCombatant({
+      id: 'werewolf',
+      name: 'Werewolf',
+      type: 'monster',
+      damageModifiers: { resistances: [{ type: 'slashing', except: ['magical', 'silvered'] }] }
+    }),
+    makeCombatant({ id: 'borin', name: 'Borin', feats: ['Heavy Armor Master'] })
+  ]);
+
+  const hit = (id, flags) => quietly(() => combat.applyDamage(id, createDamagePacket([
+    { amount: 10, type: 'slashing' },
+    { amount: 4, type: 'fire' }
+  ], flags)));
+
+  assert.equal((await hit('werewolf', {})).finalDamage, 5 + 4);
+  assert.equal((await hit('werewolf', { silvered: true })).finalDamage, 10 + 4);
+  assert.equal((await hit('borin', {})).finalDamage, 7 + 4, 'only the slashing is reduced');
+  assert.equal((await hit('borin', { magical: true })).finalDamage, 10 + 4);
+  assert.equal(combat.getCombatant('borin').hp, 30 - 11 - 14);
+});
+
+test('flat reductions come before halving and vulnerability whenever they were added', async t => {
+  const { combat, damage } = await createTestCombat();
+  await startFight(t, combat, [makeCombatant({
+    id: 'aria',
+    name: 'Aria',
+    damageModifiers: { vulnerabilities: ['fire'] }
+  })]);
+
+  damage.addDamageModifier({
+    id: 'warding-bond',
+    name: 'Warding Bond',
+    stage: DamageStage.FLAT,
+    apply: context => context.components.forEach(component => { component.amount -= 2; })
+  });
+  assert.deepEqual(
+    damage.getDamageModifiers().map(modifier => modifier.id),
+    ['damage-reduction', 'warding-bond', 'halving', 'resistance', 'temporary-hp']
+  );
+
+  // (13 - 2) halved is 5, doubled for the vulnerability is 10
+  const result = await quietly(() => combat.applyDamage('aria', 13, { type: 'fire', halve: true }));
+  assert.deepEqual(
+    result.components[0].steps.map(step => [step.modifier, step.after]),
+    [['warding-bond', 11], ['halving', 5], ['resistance', 10]]
+  );
+  assert.equal(combat.getCombatant('aria').hp, 30 - 10);
+
+  assert.equal(damage.removeDamageModifier('warding-bond'), true);
+  assert.equal((await quietly(() => combat.applyDamage('aria', 3, { type: 'fire' }))).finalDamage, 6);
+});
@@ -0,0 +1,98 @@
+/**
+ * Jesster's Combat Tracker
+ * Dice expression tests
+ *
+ * What the dice module says about a formula (whether it is valid, its
+ * minimum, maximum and average) agrees with what rolling it gives, and the
+ * formatted result shows the roll that was made.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createMemoryRepository, quietly } from './helpers.js';
+import { createDiceService } from '../js/diceService.js';
+import { createAppStore } from '../js/store.js';
+import Dice from '../js/dice.js';
+
+const variables = { str: 3 };
+
+// Formulas with their exact minimum, maximum and average
+const FORMULAS = [
+  { formula: '4d6kh3', minimum: 3, maximum: 18, average: 15869 / 1296 },
+  { formula: '2d20kl1', minimum: 1, maximum: 20, average: 7.175 },
+  { formula: '1d6!', minimum: 1, maximum: Infinity, average: 4.2 },
+  { formula: '2d6r<2', minimum: 4, maximum: 12, average: 8 },
+  { formula: '(1d8+3)*2', minimum: 8, maximum: 22, average: 15 },
+  { formula: '1d20+@str', minimum: 4, maximum: 23, average: 13.5 }
+];
+
+/**
+ * Create a dice module rolling from its own seeded dice service
+ * @param {string} seed - Seed
+ * @returns {Promise<Dice>} Dice module
+ */
+function createDice(seed) {
+  const settings = {
+    get: (key, defaultValue) => defaultValue,
+    isDiceSoundEnabled: () => false,
+    shouldKeepDiceHistory: () => false
+  };
+  const service = createDiceService();
+  service.setSeed(seed);
+
+  return quietly(() => new Dice(settings, null, createMemoryRepository(), service, createAppStore()));
+}
+
+for (const { formula, minimum, maximum, average } of FORMULAS) {
+  test(`${formula} rolls within the bounds and around the average the dice module gives`, async () => {
+    const dice = await createDice(formula);
+
+    assert.equal(dice.validateFormula(formula, variables).valid, true);
+    assert.equal(dice.calculateMinimum(formula, variables), minimum);
+    assert.equal(dice.calculateMaximum(formula, variables), maximum);
+    assert.ok(Math.abs(dice.calculateAverage(formula, variables) - average) < 1e-6,
+      `average ${dice.calculateAverage(formula, variables)}`);
+
+    const rolls = 2000;
+    let sum = 0;
+    for (let i = 0; i < rolls; i++) {
+      const roll = await dice.roll(formula, { name: 'Check', variables, silent: true });
+      assert.ok(roll.total >= minimum && roll.total <= maximum, `${roll.total} out of bounds`);
+      const natural = roll.isCritical ? ' (natural 20)' : roll.isFumble ? ' (natural 1)' : '';
+      assert.equal(dice.formatRollResult(roll), `Check: ${roll.total} = ${roll.breakdown}${natural}`);
+      sum += roll.total;
+    }
+    assert.ok(Math.abs(sum / rolls - average) < 0.3, `rolled ${sum / rolls}, expected about ${average}`);
+  });
+}
+
+test('kept exploding dice are bounded by their largest face', async () => {
+  const dice = await createDice('explode');
+
+  // The dice exploded into join the pool, so only the highest three count
+  assert.equal(dice.calculateMaximum('4d6!kh3'), 18);
+  assert.equal(dice.calculateMaximum('4d6!dl1'), Infinity);
+  assert.equal(dice.calculateMaximum('1d6!!max9'), 9);
+  assert.equal(dice.calculateMaximum('1d6!max4'), Infinity);
+
+  for (const formula of ['4d6!kh3', '4d6!dl1', '2d6!kl3']) {
+    const rolls = 4000;
+    let sum = 0;
+    for (let i = 0; i < rolls; i++) {
+      sum += (await dice.roll(formula, { silent: true })).total;
+    }
+    const average = dice.calculateAverage(formula);
+    assert.ok(Math.abs(sum / rolls - average) < 0.3, `${formula}: rolled ${sum / rolls}, expected about ${average}`);
+  }
+});
+
+test('a formula with an unknown variable or no dice is not valid', async () => {
+  const dice = await createDice('invalid');
+
+  assert.deepEqual(dice.validateFormula('1d20+@str', {}), { valid: false, error: 'Unknown variable: @str' });
+  assert.equal(dice.validateFormula('1d20+@str').valid, true, 'variables are only checked when given');
+  assert.equal(dice.validateFormula('3+4').valid, false);
+  assert.equal(dice.validateFormula('1d6!!!').valid, false);
+  assert.equal(dice.calculateAverage('1d6!!!'), 0);
+});
@@ -0,0 +1,58 @@
+/**
+ * Jesster's Combat Tracker
+ * Dice service tests
+ *
+ * A replayed session feeds back the recorded draws of each roll and keeps
+ * the seeded source in step, so shuffles made between rolls repeat too.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createDiceService } from '../js/diceService.js';
+
+const cards = [1, 2, 3, 4, 5, 6, 7, 8];
+
+/**
+ * Roll and shuffle in turn, as a fight with random target picks does
+ * @param {DiceService} service - Dice service
+ * @returns {Array} Totals and shuffled orders, in the order they were made
+ */
+function play(service) {
+  return [
+    service.roll('1d20+5').total,
+    service.shuffle(cards).join(''),
+    service.roll('4d6kh3').total,
+    service.roll('1d8!').total,
+    service.shuffle(cards).join('')
+  ];
+}
+
+test('a replayed session shuffles the same way', () => {
+  const recorder = createDiceService();
+  recorder.setSeed('tavern');
+  const played = play(recorder);
+  const state = recorder.getSessionState();
+  assert.equal(state.rolls.length, 3, 'shuffles are not recorded as rolls');
+
+  const replayer = createDiceService();
+  assert.equal(replayer.startReplay(state), true);
+  assert.deepEqual(play(replayer), played);
+  assert.equal(replayer.isReplaying(), false);
+});
+
+test('a replay fed altered draws changes the rolls, not the shuffles', () => {
+  const recorder = createDiceService();
+  recorder.setSeed('tavern');
+  const played = play(recorder);
+
+  const state = recorder.getSessionState();
+  state.rolls[0].draws = [0.999];
+
+  const replayer = createDiceService();
+  replayer.startReplay(state);
+  const replayed = play(replayer);
+
+  assert.equal(replayed[0], 25);
+  assert.deepEqual([replayed[1], replayed[4]], [played[1], played[4]]);
+});
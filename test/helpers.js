@@ -0,0 +1,149 @@
+/**
+ * Jesster's Combat Tracker
+ * Test Helpers
+ *
+ * Shared set-up for the tests: the browser globals the modules expect, an
+ * in-memory repository, and a combat module wired to a combat history.
+ */
+
+// Browser globals the modules read
+globalThis.window = globalThis;
+
+/**
+ * Create an in-memory localStorage. Set failWrite to a function of the key
+ * to make writes throw like a full quota.
+ * @returns {Object} localStorage stand-in
+ */
+export function createLocalStorage() {
+  const items = new Map();
+  const storage = {
+    failWrite: null,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      if (storage.failWrite && storage.failWrite(key)) {
+        throw new Error(`QuotaExceededError: ${key}`);
+      }
+      items.set(key, String(value));
+    },
+    removeItem: key => { items.delete(key); },
+    clear: () => { items.clear(); },
+    key: index => Array.from(items.keys())[index] ?? null,
+    get length() { return items.size; }
+  };
+  return storage;
+}
+
+if (!globalThis.localStorage) {
+  globalThis.localStorage = createLocalStorage();
+}
+
+const { default: Combat } = await import('../js/combat.js');
+const { default: Damage } = await import('../js/damage.js');
+const { default: Conditions } = await import('../js/conditions.js');
+const { default: Dice } = await import('../js/dice.js');
+const { Repository, MemoryBackend } = await import('../js/repository.js');
+const { createCombatHistory } = await import('../js/history.js');
+const { createAppStore } = await import('../js/store.js');
+
+/**
+ * Keep module start-up logging out of the test output
+ * @param {Function} fn - Function to run quietly
+ * @returns {*} Its result
+ */
+export async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Create an empty in-memory repository
+ * @returns {Repository} Repository
+ */
+export function createMemoryRepository() {
+  return new Repository(new MemoryBackend(), { legacyLocalStorage: null });
+}
+
+/**
+ * Create a combat module with the modules it needs and a combat history
+ * @param {Object} options - Options
+ * @param {string} options.initiativeSystem - Initiative system setting
+ * @param {string} options.concentrationMode - Concentration check mode setting (auto, prompt)
+ * @param {Storage} options.storage - Storage that saved combats go to
+ * @returns {Promise<Object>} {combat, history, dice, damage, conditions, store}
+ */
+export async function createTestCombat(options = {}) {
+  const { initiativeSystem = 'standard', concentrationMode = 'auto', storage = null } = options;
+
+  const settings = {
+    get: (key, defaultValue) => defaultValue,
+    getTurnTimerDuration: () => 60,
+    getTurnTimerWarning: () => 10,
+    shouldTurnTimerAutoEnd: () => false,
+    isTurnTimerEnabled: () => false,
+    getInitiativeSystem: () => initiativeSystem,
+    getConcentrationCheckMode: () => concentrationMode,
+    isDiceSoundEnabled: () => false,
+    shouldKeepDiceHistory: () => false
+  };
+
+  return quietly(async () => {
+    const store = createAppStore();
+    const repository = createMemoryRepository();
+    const dice = new Dice(settings, null, repository, undefined, store);
+    const conditions = new Conditions(repository);
+    const damage = new Damage(dice, null);
+    const combat = new Combat(storage, dice, null, conditions, damage, settings, store);
+
+    const history = createCombatHistory();
+    combat.setCombatHistory(history);
+
+    return { combat, history, dice, damage, conditions, store };
+  });
+}
+
+/**
+ * Start a fight, ending it when the test is done, and wait for the turn
+ * processing it starts to settle
+ * @param {Object} t - Test context
+ * @param {Object} combat - Combat module
+ * @param {Array} combatants - Combatants
+ * @param {Object} options - Combat options (see Combat.startCombat)
+ * @returns {Promise<void>}
+ */
+export async function startFight(t, combat, combatants, options = {}) {
+  t.after(() => combat.isActive() && combat.endCombat());
+  await combat.startCombat(combatants, options);
+  await settle();
+}
+
+/**
+ * Let the turn processing the combat module starts without awaiting finish
+ * @returns {Promise<void>}
+ */
+export function settle() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Build a combatant
+ * @param {Object} fields - Fields to set
+ * @returns {Object} Combatant
+ */
+export function makeCombatant(fields = {}) {
+  return {
+    type: 'pc',
+    hp: 30,
+    maxHp: 30,
+    tempHp: 0,
+    ac: 12,
+    initiativeModifier: 0,
+    conditions: [],
+    abilities: { str: 10, dex: 10, con: 10, int: 10, wis: 10, cha: 10 },
+    ...fields
+  };
+}
@@ -0,0 +1,39 @@
+/**
+ * Jesster's Combat Tracker
+ * Legendary creature tests
+ *
+ * Random targets and recharge rolls come from the seeded dice, so a
+ * replayed session makes the same picks.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diceService } from '../js/diceService.js';
+import { createLegendaryCreature } from '../js/legendary.js';
+
+const combatants = ['aria', 'borin', 'cade', 'dara', 'elm', 'fen'].map(id => ({ id, name: id }));
+
+/**
+ * Run a legendary creature's random rolls from a seed
+ * @param {string} seed - Dice session seed
+ * @returns {Object} Targets picked and whether each recharge roll succeeded
+ */
+function rollFrom(seed) {
+  diceService.setSeed(seed);
+  const creature = createLegendaryCreature({
+    rechargeAbilities: Array.from({ length: 8 }, (_, i) => ({ actionId: `breath-${i}`, threshold: 5, charged: false }))
+  });
+
+  const targets = creature._getRandomTargets(combatants, 3).map(combatant => combatant.id);
+  creature.attemptRecharge({});
+  const recharged = creature.rechargeAbilities.map(ability => ability.charged);
+
+  return { targets, recharged };
+}
+
+test('random targets and recharge rolls repeat from the same dice seed', () => {
+  const first = rollFrom('lair');
+  assert.equal(new Set(first.targets).size, 3);
+  assert.deepEqual(rollFrom('lair'), first);
+});
@@ -0,0 +1,216 @@
+/**
+ * Jesster's Combat Tracker
+ * Schema migration tests
+ *
+ * Each migration step is checked on its own against a fixture of the app
+ * data as version 2.0.0 (schema 1) stored it, and then through data.js as
+ * the app loads and imports it.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  SCHEMA_VERSION,
+  Collection,
+  getSchemaVersion,
+  migrateAppData,
+  migrateCollection,
+  migrateSaveData,
+  validateAppData
+} from '../js/migrations.js';
+import { DEFAULT_RULESET } from '../js/rulesets.js';
+import { createLocalStorage, quietly } from './helpers.js';
+import { Repository, MemoryBackend, Collection as RepositoryCollection } from '../js/repository.js';
+import { loadAppData, importFromFile } from '../js/data.js';
+
+// App data as version 2.0.0 stored it
+const SCHEMA_1_DATA = {
+  version: '2.0.0',
+  settings: { theme: 'dark' },
+  encounters: [{
+    name: 'Goblin Ambush',
+    created: '2023-01-02T00:00:00.000Z',
+    combatants: [{ name: 'Goblin', conditions: ['prone', 'poisoned'] }]
+  }],
+  players: [{ id: 'player-aria', name: 'Aria' }],
+  customMonsters: [{ name: 'Cave Bear', lastModified: '2023-03-04T00:00:00.000Z' }],
+  notes: []
+};
+
+test('schema 1 data is recognized by its app version', () => {
+  assert.equal(getSchemaVersion(SCHEMA_1_DATA), 1);
+  assert.equal(getSchemaVersion({ version: '2.2.0' }), 2);
+  assert.equal(getSchemaVersion({ version: '2.3.1' }), 3);
+  assert.equal(getSchemaVersion({ schemaVersion: 4 }), 4);
+});
+
+test('1 → 2 stores combatant conditions as objects', () => {
+  const migrated = migrateAppData(SCHEMA_1_DATA, 2);
+
+  assert.equal(migrated.schemaVersion, 2);
+  assert.deepEqual(migrated.encounters[0].combatants[0].conditions, [
+    { id: 'prone', name: 'prone', duration: null },
+    { id: 'poisoned', name: 'poisoned', duration: null }
+  ]);
+
+  // The fixture itself is left alone
+  assert.deepEqual(SCHEMA_1_DATA.encounters[0].combatants[0].conditions, ['prone', 'poisoned']);
+});
+
+test('2 → 3 adds the combat history, map and custom content lists', () => {
+  const migrated = migrateAppData({ ...migrateAppData(SCHEMA_1_DATA, 2), maps: [{ id: 'map-1' }] }, 3);
+
+  assert.equal(migrated.schemaVersion, 3);
+  assert.deepEqual(migrated.combatHistory, []);
+  assert.deepEqual(migrated.customConditions, []);
+  assert.deepEqual(migrated.customSpells, []);
+  assert.deepEqual(migrated.customItems, []);
+
+  // Lists already there are kept
+  assert.deepEqual(migrated.maps, [{ id: 'map-1' }]);
+});
+
+test('3 → 4 adds the ruleset setting without overriding one already chosen', () => {
+  const migrated = migrateAppData(migrateAppData(SCHEMA_1_DATA, 3), 4);
+  assert.equal(migrated.schemaVersion, 4);
+  assert.deepEqual(migrated.settings, { ruleset: DEFAULT_RULESET, theme: 'dark' });
+
+  const chosen = migrateCollection(Collection.SETTINGS, { ruleset: '2024' }, 3, 4);
+  assert.deepEqual(chosen, { ruleset: '2024' });
+});
+
+test('4 → 5 gives every record an ID and timestamps', () => {
+  const migrated = migrateAppData(migrateAppData(SCHEMA_1_DATA, 4), 5);
+  assert.equal(migrated.schemaVersion, 5);
+
+  const [encounter] = migrated.encounters;
+  assert.match(encounter.id, /^encounter-\d+-0$/);
+  assert.equal(encounter.created, '2023-01-02T00:00:00.000Z');
+  assert.equal(encounter.lastModified, '2023-01-02T00:00:00.000Z');
+
+  // IDs already there are kept
+  assert.equal(migrated.players[0].id, 'player-aria');
+  assert.ok(migrated.players[0].created);
+
+  const [monster] = migrated.customMonsters;
+  assert.match(monster.id, /^monster-\d+-0$/);
+  assert.equal(monster.created, '2023-03-04T00:00:00.000Z');
+});
+
+test('1 → 5 runs every step in order and leaves valid data', () => {
+  const migrated = migrateAppData(SCHEMA_1_DATA);
+
+  assert.equal(migrated.schemaVersion, SCHEMA_VERSION);
+  assert.equal(migrated.encounters[0].combatants[0].conditions[0].id, 'prone');
+  assert.deepEqual(migrated.combatHistory, []);
+  assert.equal(migrated.settings.ruleset, DEFAULT_RULESET);
+  assert.ok(migrated.encounters[0].id);
+  assert.deepEqual(validateAppData(migrated), { valid: true, errors: [] });
+});
+
+test('migrating down reverses the steps', () => {
+  const downgraded = migrateAppData(migrateAppData(SCHEMA_1_DATA), 1);
+
+  assert.equal(downgraded.schemaVersion, 1);
+  assert.deepEqual(downgraded.encounters[0].combatants[0].conditions, ['prone', 'poisoned']);
+  assert.equal('ruleset' in downgraded.settings, false);
+  assert.equal('combatHistory' in downgraded, false);
+});
+
+test('a SaveManager file keeps its schema version in its meta', () => {
+  const migrated = migrateSaveData({ name: 'Aria', meta: { version: '2.2.0' } }, 'player');
+
+  assert.deepEqual(migrated.meta, { version: '2.2.0', schemaVersion: SCHEMA_VERSION });
+  assert.ok(migrated.id);
+});
+
+test('data from a newer schema is refused', () => {
+  assert.throws(() => migrateAppData({ schemaVersion: SCHEMA_VERSION + 1 }, 1), /newer schema/);
+});
+
+test('app data without settings is invalid', () => {
+  const { settings, ...withoutSettings } = SCHEMA_1_DATA;
+  const { valid, errors } = validateAppData(migrateAppData(withoutSettings));
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors, ['missing or invalid settings']);
+});
+
+/**
+ * Open a repository over a localStorage holding the schema 1 app data blob
+ * @returns {Promise<Object>} {repository, backend}
+ */
+async function openSchema1Repository() {
+  globalThis.localStorage = createLocalStorage();
+  localStorage.setItem('jct_appData', JSON.stringify(SCHEMA_1_DATA));
+
+  const backend = new MemoryBackend();
+  const repository = new Repository(backend, { legacyLocalStorage: localStorage });
+  await quietly(() => repository.ready);
+  return { repository, backend };
+}
+
+test('loading schema 1 app data runs the chain and backs up the data first', async () => {
+  const { repository } = await openSchema1Repository();
+  const appData = await quietly(() => loadAppData(repository));
+
+  assert.equal(appData.schemaVersion, SCHEMA_VERSION);
+  assert.equal(appData.settings.theme, 'dark');
+  assert.equal(appData.settings.ruleset, DEFAULT_RULESET);
+  assert.deepEqual(appData.encounters.map(encounter => encounter.name), ['Goblin Ambush']);
+  assert.equal(appData.encounters[0].combatants[0].conditions[0].id, 'prone');
+  assert.deepEqual(appData.combatHistory, []);
+
+  const backup = await repository.getMeta('appDataBackup/v1');
+  assert.equal(backup.schemaVersion, 1);
+  assert.deepEqual(backup.data, SCHEMA_1_DATA);
+  assert.equal(localStorage.getItem('jct_appData'), JSON.stringify(SCHEMA_1_DATA));
+  assert.equal((await repository.list(RepositoryCollection.PLAYERS))[0].name, 'Aria');
+});
+
+test('a backup that can\'t be written doesn\'t stop the data loading', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const { repository, backend } = await openSchema1Repository();
+  const set = backend.set.bind(backend);
+  backend.set = async (key, value) => (key.startsWith('repository/appDataBackup/') ? false : set(key, value));
+
+  const appData = await quietly(() => loadAppData(repository));
+
+  assert.equal(appData.schemaVersion, SCHEMA_VERSION);
+  assert.equal(appData.settings.theme, 'dark');
+  assert.equal(await repository.getMeta('appDataBackup/v1'), null);
+  assert.equal(console.warn.mock.calls.length, 1);
+});
+
+/**
+ * Import app data through a file, as the import button does
+ * @param {Object} data - File contents
+ * @returns {Promise<Object>} Imported data
+ */
+function importData(data) {
+  globalThis.FileReader = class {
+    readAsText(file) {
+      file.text().then(text => this.onload({ target: { result: text } }), error => this.onerror(error));
+    }
+  };
+
+  return quietly(() => importFromFile(new Blob([JSON.stringify(data)])));
+}
+
+test('imported schema 1 data is migrated and merged with the defaults', async () => {
+  const imported = await importData(SCHEMA_1_DATA);
+
+  assert.equal(imported.schemaVersion, SCHEMA_VERSION);
+  assert.equal(imported.settings.theme, 'dark');
+  assert.equal(imported.settings.ruleset, DEFAULT_RULESET);
+  assert.equal(imported.settings.autoSave, true);
+  assert.equal(imported.encounters[0].combatants[0].conditions[1].id, 'poisoned');
+});
+
+test('an import without settings is refused before the defaults are merged in', async t => {
+  t.mock.method(console, 'error', () => {});
+  const { settings, ...withoutSettings } = SCHEMA_1_DATA;
+
+  await assert.rejects(importData(withoutSettings), /Invalid data format/);
+});
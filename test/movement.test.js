@@ -0,0 +1,84 @@
+/**
+ * Jesster's Combat Tracker
+ * Movement tests
+ *
+ * Paths cost their length in feet under the chosen diagonal rule, on square
+ * and hex grids, and each step into difficult terrain costs as much more as
+ * the terrain's movement cost says.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DiagonalRule, createTerrainCost, measurePath, getWalkingSpeed } from '../js/movement.js';
+
+const SQUARE_GRID = { gridType: 'square', gridSize: 50, feetPerSquare: 5 };
+const HEX_GRID = { gridType: 'hex', gridSize: 50, feetPerSquare: 5 };
+
+/**
+ * Get the centre of a square
+ * @param {number} col - Column
+ * @param {number} row - Row
+ * @returns {Object} Point ({x, y})
+ */
+function square(col, row) {
+  return { x: col * 50 + 25, y: row * 50 + 25 };
+}
+
+test('diagonals cost what the diagonal rule says', () => {
+  const path = [square(0, 0), square(3, 3)];
+
+  assert.deepEqual(measurePath(path, SQUARE_GRID), { distance: 15, squares: 3, difficult: 0 });
+  assert.equal(measurePath(path, SQUARE_GRID, { diagonalRule: DiagonalRule.ALTERNATING }).distance, 5 + 10 + 5);
+  assert.equal(measurePath(path, SQUARE_GRID, { diagonalRule: DiagonalRule.EUCLIDEAN }).distance, 21.2);
+});
+
+test('each step into difficult terrain costs double', () => {
+  const costAt = createTerrainCost({
+    mud: { id: 'mud', type: 'mud', area: { cells: ['2,0', '3,0'] } },
+    meadow: { id: 'meadow', type: 'normal', area: { cells: ['1,0'] } }
+  }, SQUARE_GRID);
+
+  assert.deepEqual(measurePath([square(0, 0), square(4, 0)], SQUARE_GRID, { costAt }),
+    { distance: 5 + 10 + 10 + 5, squares: 4, difficult: 10 });
+
+  // Leaving difficult terrain costs nothing extra
+  assert.equal(measurePath([square(3, 0), square(3, 2)], SQUARE_GRID, { costAt }).distance, 10);
+
+  // The path is measured step by step, so turning back counts twice
+  assert.equal(measurePath([square(1, 0), square(2, 0), square(1, 0), square(2, 0)], SQUARE_GRID, { costAt }).distance,
+    10 + 5 + 10);
+});
+
+test('the costliest terrain counts where areas overlap, whatever their shape', () => {
+  const costAt = createTerrainCost([
+    { type: 'difficult', area: { type: 'sphere', radius: 10, x: 250, y: 25 } },
+    { type: 'deep_water', area: { cells: ['5,0'] } }
+  ], SQUARE_GRID);
+
+  assert.equal(costAt(25, 25), 1);
+  assert.equal(costAt(175, 25), 2);
+  assert.equal(costAt(275, 25), 3);
+  assert.equal(measurePath([square(2, 0), square(7, 0)], SQUARE_GRID, { costAt }).distance, 10 + 10 + 15 + 10 + 5);
+});
+
+test('hex grids count hexes, and difficult hexes cost double', () => {
+  const hexWidth = 50 * Math.sqrt(3) / 2;
+  const start = { x: 2 * hexWidth, y: 2 * 37.5 };
+  const end = { x: 5 * hexWidth, y: 2 * 37.5 };
+
+  assert.deepEqual(measurePath([start, end], HEX_GRID), { distance: 15, squares: 3, difficult: 0 });
+
+  const costAt = createTerrainCost([
+    { type: 'rubble', area: { type: 'circle', radius: 2, x: 4 * hexWidth, y: 2 * 37.5 } }
+  ], HEX_GRID);
+  assert.deepEqual(measurePath([start, end], HEX_GRID, { costAt }), { distance: 20, squares: 3, difficult: 5 });
+});
+
+test('speed comes from the stat block and shrinks with conditions', () => {
+  assert.equal(getWalkingSpeed({ speed: '40 ft., climb 30 ft.' }), 40);
+  assert.equal(getWalkingSpeed({ speed: { walk: 25, fly: 60 } }), 25);
+  assert.equal(getWalkingSpeed({}), 30);
+  assert.equal(getWalkingSpeed({ speed: 30 }, { speedPenalty: 10, speedHalved: true }), 10);
+  assert.equal(getWalkingSpeed({ speed: 30 }, { speedZero: true }), 0);
+});
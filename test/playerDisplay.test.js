@@ -0,0 +1,100 @@
+/**
+ * Jesster's Combat Tracker
+ * Player display tests
+ *
+ * The player view only carries what the players may see: real names and
+ * exact HP for player characters, public names and HP descriptors for
+ * everyone else, and nothing about hidden combatants or tokens.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { makeCombatant } from './helpers.js';
+import { buildPlayerView } from '../js/playerDisplay.js';
+import { createTacticalCombatManager } from '../js/tactical.js';
+
+/**
+ * Build the combat slice of a fight: Aria, an ogre, a hidden assassin and
+ * a goblin, in that order of initiative
+ * @param {Object} fields - Combat fields to change
+ * @returns {Object} Combat slice
+ */
+function createCombatState(fields = {}) {
+  const combatants = [
+    makeCombatant({ id: 'aria', name: 'Aria', type: 'pc', hp: 22, maxHp: 30 }),
+    makeCombatant({ id: 'ogre', name: 'Ogre', type: 'monster', hp: 20, maxHp: 59 }),
+    makeCombatant({ id: 'assassin', name: 'Assassin', type: 'npc', hidden: true }),
+    makeCombatant({
+      id: 'goblin',
+      name: 'Goblin Boss',
+      type: 'monster',
+      publicName: 'Small Shouting Thing',
+      conditions: [{ id: 'prone', name: 'Prone' }, { id: 'hexed', name: 'Hexed', secret: true }]
+    })
+  ];
+
+  return {
+    active: true,
+    round: 2,
+    turnIndex: 1,
+    combatants,
+    initiativeOrder: ['aria', 'ogre', 'assassin', 'goblin'],
+    ...fields
+  };
+}
+
+test('player characters show their names and exact HP, monsters neither', () => {
+  const view = buildPlayerView(createCombatState());
+
+  assert.deepEqual(view.combatants.map(({ name, hp, isPlayer }) => [name, hp, isPlayer]), [
+    ['Aria', '22/30', true],
+    ['Creature 1', 'Bloodied', false],
+    ['Small Shouting Thing', 'Healthy', false]
+  ]);
+  assert.equal(view.currentId, 'ogre');
+  assert.deepEqual(view.combatants[2].conditions, ['Prone']);
+});
+
+test('the DM can reveal monster names and HP', () => {
+  const view = buildPlayerView(createCombatState(), { showMonsterNames: true, showExactHp: true });
+
+  assert.deepEqual(view.combatants.map(({ name, hp }) => [name, hp]), [
+    ['Aria', '22/30'],
+    ['Ogre', '20/59'],
+    ['Goblin Boss', '30/30']
+  ]);
+});
+
+test('a hidden combatant\'s turn shows as nobody\'s turn', () => {
+  const view = buildPlayerView(createCombatState({ turnIndex: 2 }), { showUpcomingTurns: false });
+
+  assert.equal(view.currentId, null);
+  assert.deepEqual(view.combatants, []);
+});
+
+test('map tokens without a combatant get public names too', () => {
+  const tactical = createTacticalCombatManager();
+  tactical.addToken({ id: 'token-aria', name: 'Aria', combatantId: 'aria', isPlayer: true, x: 100, y: 100 });
+  tactical.addToken({ id: 'token-ogre', name: 'Ogre', combatantId: 'ogre', x: 150, y: 100 });
+  tactical.addToken({ id: 'token-assassin', name: 'Assassin', combatantId: 'assassin', x: 200, y: 100 });
+  tactical.addToken({ id: 'token-mimic', name: 'Mimic', x: 250, y: 100 });
+  tactical.addToken({ id: 'token-familiar', name: 'Pip', isPlayer: true, x: 300, y: 100 });
+  tactical.addToken({ id: 'token-trap', name: 'Trap Spirit', hidden: true, x: 350, y: 100 });
+
+  const names = options => buildPlayerView(createCombatState(), options, tactical).map.tokens
+    .map(token => [token.id, token.name]);
+
+  assert.deepEqual(names(), [
+    ['token-aria', 'Aria'],
+    ['token-ogre', 'Creature 1'],
+    ['token-mimic', 'Creature 4'],
+    ['token-familiar', 'Pip']
+  ]);
+  assert.deepEqual(names({ showMonsterNames: true }), [
+    ['token-aria', 'Aria'],
+    ['token-ogre', 'Ogre'],
+    ['token-mimic', 'Mimic'],
+    ['token-familiar', 'Pip']
+  ]);
+});
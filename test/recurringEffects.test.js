@@ -0,0 +1,127 @@
+/**
+ * Jesster's Combat Tracker
+ * Recurring effect tests
+ *
+ * Recurring effects tick at their turn anchor: damage is dealt, healing
+ * restored up to maximum HP, a troll's Regeneration skips a turn after acid
+ * or fire damage, and a save at the end of the target's turn can end them.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestCombat, makeCombatant, quietly, settle, startFight } from './helpers.js';
+import {
+  RecurringEffectType,
+  createRecurringEffect,
+  createRegeneration,
+  recordDamageTaken,
+  getSuppressingDamage,
+  advanceRecurringEffect
+} from '../js/recurringEffects.js';
+import { DurationAnchor } from '../js/conditions.js';
+
+/**
+ * Pass the turn and let the turn processing finish
+ * @param {Object} combat - Combat module
+ * @returns {Promise<void>}
+ */
+async function nextTurn(combat) {
+  combat.nextTurn();
+  await settle();
+}
+
+test('only the damage types an effect names suppress it, until its next tick', () => {
+  const regeneration = createRegeneration(10, ['acid', 'fire']);
+
+  let [effect] = recordDamageTaken([regeneration], 'slashing');
+  assert.deepEqual(getSuppressingDamage(effect), []);
+
+  [effect] = recordDamageTaken(recordDamageTaken([effect], 'fire'), 'fire');
+  assert.deepEqual(getSuppressingDamage(effect), ['fire'], 'each type is noted once');
+
+  effect = advanceRecurringEffect(effect);
+  assert.deepEqual(getSuppressingDamage(effect), []);
+  assert.equal(effect.duration, null, 'Regeneration never runs out');
+
+  assert.equal(advanceRecurringEffect(createRecurringEffect({ duration: 1 })), null);
+});
+
+test('a troll regenerates at the start of its turn unless it took fire or acid damage', async t => {
+  const { combat } = await createTestCombat();
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria', initiative: 20 }),
+    makeCombatant({ id: 'troll', name: 'Troll', type: 'monster', hp: 50, maxHp: 84, initiative: 10 })
+  ]);
+  combat.addRecurringEffect('troll', createRegeneration(10, ['acid', 'fire']));
+
+  const ticks = [];
+  combat.on('onRecurringEffect', ({ amount, suppressedBy }) => ticks.push({ amount, suppressedBy }));
+
+  // Aria's torch stops the next tick
+  await quietly(() => combat.applyDamage('troll', 5, { type: 'fire' }));
+  await nextTurn(combat);
+  assert.equal(combat.getCombatant('troll').hp, 45);
+
+  // Her sword doesn't
+  await nextTurn(combat);
+  await quietly(() => combat.applyDamage('troll', 5, { type: 'slashing' }));
+  await nextTurn(combat);
+  assert.equal(combat.getCombatant('troll').hp, 50);
+
+  assert.deepEqual(ticks, [
+    { amount: 0, suppressedBy: ['fire'] },
+    { amount: 10, suppressedBy: [] }
+  ]);
+});
+
+test('healing ticks stop at maximum HP', async t => {
+  const { combat } = await createTestCombat();
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria', hp: 27, initiative: 20 }),
+    makeCombatant({ id: 'borin', name: 'Borin', initiative: 10 })
+  ]);
+  combat.addRecurringEffect('aria', {
+    name: 'Healing Spirit',
+    type: RecurringEffectType.HEALING,
+    formula: 2,
+    anchor: DurationAnchor.TARGET_TURN_START,
+    duration: 3
+  });
+
+  await nextTurn(combat);
+  await nextTurn(combat);
+  assert.equal(combat.getCombatant('aria').hp, 29);
+
+  await nextTurn(combat);
+  await nextTurn(combat);
+  assert.equal(combat.getCombatant('aria').hp, 30);
+  assert.equal(combat.getRecurringEffects('aria')[0].duration, 1);
+});
+
+test('a save at the end of the target\'s turn ends the effect', async t => {
+  const { combat } = await createTestCombat();
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria', initiative: 20 }),
+    makeCombatant({ id: 'borin', name: 'Borin', initiative: 10 })
+  ], { seed: 'heat metal' });
+
+  const effect = (name, saveDC) => combat.addRecurringEffect('aria', {
+    name,
+    formula: 1,
+    damageType: 'fire',
+    anchor: DurationAnchor.TARGET_TURN_START,
+    saveDC,
+    saveAbility: 'con',
+    saveTiming: DurationAnchor.TARGET_TURN_END
+  });
+  effect('Smouldering', 1);
+  effect('Searing', 30);
+
+  const saved = [];
+  combat.on('onRecurringEffect', outcome => outcome.saved && saved.push(outcome.effect.name));
+
+  await nextTurn(combat);
+  assert.deepEqual(saved, ['Smouldering']);
+  assert.deepEqual(combat.getRecurringEffects('aria').map(e => e.name), ['Searing']);
+});
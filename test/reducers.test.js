@@ -0,0 +1,210 @@
+/**
+ * Jesster's Combat Tracker
+ * Reducer tests
+ *
+ * Each slice reducer turns the actions from actions.js into the next slice
+ * state without touching the state it was given, and loading saved data
+ * replaces the slices it carries.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as actions from '../js/actions.js';
+import {
+  combatReducer,
+  encountersReducer,
+  notesReducer,
+  settingsReducer,
+  environmentReducer,
+  diceReducer,
+  uiReducer
+} from '../js/reducers.js';
+
+/**
+ * Freeze a state and everything in it, so a reducer changing it throws
+ * @param {Object} state - State
+ * @returns {Object} The frozen state
+ */
+function deepFreeze(state) {
+  Object.values(state).forEach(value => {
+    if (value && typeof value === 'object') {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(state);
+}
+
+/**
+ * Run actions through a reducer, freezing the state before each one
+ * @param {Function} reducer - Slice reducer
+ * @param {Object} state - Starting state (undefined for the initial state)
+ * @param {Array} dispatched - Actions
+ * @returns {Object} Final state
+ */
+function reduce(reducer, state, dispatched) {
+  return dispatched.reduce((current, action) => reducer(deepFreeze(current), action),
+    reducer(state, { type: '@@test/INIT' }));
+}
+
+/**
+ * Build a combat with three combatants sorted into initiative order
+ * @returns {Object} Combat state
+ */
+function threeCombatants() {
+  return reduce(combatReducer, undefined, [
+    actions.addCombatant({ id: 'aria', name: 'Aria', initiative: 12, hp: 20, maxHp: 30, tempHp: 5, abilities: { dex: 10 } }),
+    actions.addCombatant({ id: 'borin', name: 'Borin', initiative: 18, hp: 25, maxHp: 25 }),
+    actions.addCombatant({ id: 'cade', name: 'Cade', initiative: 12, hp: 10, maxHp: 10, abilities: { dex: 16 } }),
+    actions.sortInitiative()
+  ]);
+}
+
+test('combat: initiative order, turns and rounds', () => {
+  let state = threeCombatants();
+  assert.deepEqual(state.initiativeOrder, ['borin', 'cade', 'aria'], 'ties go to the higher Dexterity');
+
+  state = reduce(combatReducer, state, [actions.startCombat(), actions.nextTurn(), actions.nextTurn()]);
+  assert.deepEqual([state.active, state.round, state.turnIndex], [true, 1, 1]);
+
+  // Reordering keeps the turn with Cade; removing someone before Cade does too
+  state = reduce(combatReducer, state, [actions.setInitiativeOrder(['cade', 'aria', 'borin', 'ghost'])]);
+  assert.deepEqual([state.initiativeOrder, state.turnIndex], [['cade', 'aria', 'borin'], 0]);
+  state = reduce(combatReducer, state, [actions.nextTurn(), actions.removeCombatant('cade')]);
+  assert.deepEqual([state.initiativeOrder, state.turnIndex], [['aria', 'borin'], 0]);
+
+  state = reduce(combatReducer, state, [actions.nextTurn(), actions.nextTurn()]);
+  assert.deepEqual([state.round, state.turnIndex], [2, 0]);
+  state = reduce(combatReducer, state, [actions.previousTurn()]);
+  assert.deepEqual([state.round, state.turnIndex], [1, 1]);
+
+  state = reduce(combatReducer, state, [actions.endCombat()]);
+  assert.deepEqual([state.active, state.round, state.turnIndex], [false, 0, -1]);
+});
+
+test('combat: hit points, conditions and spell effects', () => {
+  let state = reduce(combatReducer, threeCombatants(), [
+    actions.applyDamage('aria', 8),
+    actions.applyHealing('borin', 10),
+    actions.setTemporaryHp('cade', 4),
+    actions.setMaxHp('cade', 6),
+    actions.addCondition('aria', { id: 'prone' }),
+    actions.addCondition('aria', { id: 'poisoned', duration: 2 }),
+    actions.updateCondition('aria', 'poisoned', { duration: 1 }),
+    actions.removeCondition('aria', 'prone'),
+    actions.castSpell('bless', 'borin', 1, ['aria'])
+  ]);
+  const byId = id => state.combatants.find(combatant => combatant.id === id);
+
+  assert.deepEqual([byId('aria').tempHp, byId('aria').hp], [0, 17], 'temporary HP soak damage first');
+  assert.equal(byId('borin').hp, 25, 'healing stops at maximum HP');
+  assert.deepEqual([byId('cade').tempHp, byId('cade').maxHp, byId('cade').hp], [4, 6, 6]);
+
+  // Damage that goes around temporary HP leaves them be
+  state = reduce(combatReducer, state, [actions.applyDamage('cade', 3, 'psychic', { tempHpAbsorbed: 0 })]);
+  assert.deepEqual([byId('cade').tempHp, byId('cade').hp], [4, 3]);
+  assert.deepEqual(byId('aria').conditions.map(({ id, duration }) => [id, duration]), [['poisoned', 1]]);
+
+  const [effect] = state.spellEffects;
+  assert.deepEqual([effect.spellId, effect.casterId, effect.targets], ['bless', 'borin', ['aria']]);
+  state = reduce(combatReducer, state, [actions.endSpellEffect(effect.id)]);
+  assert.deepEqual(state.spellEffects, []);
+});
+
+test('combat: monsters get numbered, unique IDs and older saves load', () => {
+  let state = reduce(combatReducer, undefined, [
+    actions.addMonster({ name: 'Goblin', hp: 7 }, 2),
+    actions.addMonster({ name: 'Goblin', hp: 7 })
+  ]);
+  assert.deepEqual(state.combatants.map(c => [c.id, c.name, c.type]),
+    [['goblin-1', 'Goblin 1', 'monster'], ['goblin-2', 'Goblin 2', 'monster'], ['goblin-3', 'Goblin', 'monster']]);
+
+  state = reduce(combatReducer, state, [actions.loadData({
+    combat: { combatants: [{ id: 'aria' }], initiativeOrder: [{ id: 'aria', name: 'Aria' }] }
+  })]);
+  assert.deepEqual(state.initiativeOrder, ['aria']);
+  assert.deepEqual(state.spellEffects, []);
+});
+
+test('encounters: saving, updating and deleting', () => {
+  let state = reduce(encountersReducer, undefined, [
+    actions.loadEncounter({ id: 'ambush', name: 'Ambush' }),
+    actions.saveEncounter('Goblin Ambush', 'On the road'),
+    actions.updateEncounter('ambush', { difficulty: 'hard' })
+  ]);
+  assert.deepEqual(state.saved, [{ id: 'ambush', name: 'Goblin Ambush', description: 'On the road', difficulty: 'hard' }]);
+  assert.deepEqual(state.current, state.saved[0]);
+
+  state = reduce(encountersReducer, state, [actions.deleteEncounter('ambush')]);
+  assert.deepEqual([state.saved, state.current], [[], null]);
+});
+
+test('notes: adding, editing and deleting', () => {
+  let state = reduce(notesReducer, undefined, [
+    actions.addNote({ id: 'n1', title: 'Loot' }),
+    actions.updateNote('n1', { content: '30 gp' })
+  ]);
+  assert.deepEqual([state.items[0].title, state.items[0].content], ['Loot', '30 gp']);
+
+  state = reduce(notesReducer, state, [actions.deleteNote('n1')]);
+  assert.deepEqual(state.items, []);
+});
+
+test('settings: updates, theme and reset', () => {
+  let state = reduce(settingsReducer, undefined, [
+    actions.updateSettings({ diceSound: false }),
+    actions.setTheme('dark')
+  ]);
+  assert.deepEqual(state, { diceSound: false, theme: 'dark' });
+
+  state = reduce(settingsReducer, state, [actions.resetSettings({ theme: 'light' })]);
+  assert.deepEqual(state, { theme: 'light' });
+});
+
+test('environment: effects, terrain and game time', () => {
+  let state = reduce(environmentReducer, undefined, [
+    actions.setEnvironment('swamp'),
+    actions.addEnvironmentEffect({ id: 'fog', name: 'Fog' }),
+    actions.updateEnvironmentEffect('fog', { heavy: true }),
+    actions.setTerrain({ id: 'mud', type: 'difficult' }),
+    actions.advanceTime(10, 'round'),
+    actions.advanceTime(1, 'minute')
+  ]);
+  assert.equal(state.environmentId, 'swamp');
+  assert.equal(state.effects[0].heavy, true);
+  assert.equal(state.terrain.mud.type, 'difficult');
+  assert.equal(state.time.seconds, 120);
+
+  state = reduce(environmentReducer, state, [actions.removeEnvironmentEffect('fog'), actions.removeTerrain('mud')]);
+  assert.deepEqual([state.effects, state.terrain], [[], {}]);
+});
+
+test('dice: history is newest first and capped by the settings', () => {
+  const rolls = [1, 2, 3, 4].map(total => actions.rollDice('1d20', 'Check', { total }));
+
+  let state = reduce(diceReducer, undefined, [...rolls, actions.updateSettings({ maxDiceHistory: 3 })]);
+  assert.deepEqual(state.history.map(roll => roll.total), [4, 3, 2]);
+
+  state = reduce(diceReducer, state, [actions.rollDice('1d20', 'Check', { total: 5 })]);
+  assert.deepEqual(state.history.map(roll => roll.total), [5, 4, 3]);
+
+  state = reduce(diceReducer, state, [actions.clearDiceHistory()]);
+  assert.deepEqual(state.history, []);
+});
+
+test('ui: view, panels, modals and errors', () => {
+  let state = reduce(uiReducer, undefined, [
+    actions.initializeApp(),
+    actions.setView('encounters'),
+    actions.toggleSidebar(),
+    actions.showModal('confirm', { text: 'Sure?' }),
+    actions.setError('Oops')
+  ]);
+  assert.deepEqual(
+    [state.initialized, state.view, state.sidebarOpen, state.modal, state.error],
+    [true, 'encounters', false, { type: 'confirm', props: { text: 'Sure?' } }, { message: 'Oops', type: 'error' }]
+  );
+
+  state = reduce(uiReducer, state, [actions.hideModal(), actions.clearError()]);
+  assert.deepEqual([state.modal, state.error], [null, null]);
+});
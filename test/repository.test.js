@@ -0,0 +1,158 @@
+/**
+ * Jesster's Combat Tracker
+ * Repository tests
+ *
+ * Data saved straight to Storage before the repository is moved into it
+ * when it opens. The old keys are only removed once everything was written.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createLocalStorage, quietly } from './helpers.js';
+import Storage from '../js/storage.js';
+import { Repository, MemoryBackend, Collection, DocumentName } from '../js/repository.js';
+import { loadAppData, saveAppData, DataManager } from '../js/data.js';
+
+/**
+ * Open storage holding what older versions saved
+ * @returns {Promise<Storage>} Storage, ready
+ */
+async function openLegacyStorage() {
+  globalThis.localStorage = createLocalStorage();
+  const storage = await quietly(() => new Storage());
+  await storage.ready;
+
+  await storage.save('players', [{ id: 'aria', name: 'Aria' }], { useLocalStorage: true });
+  await storage.save('monsters', [{ id: 'goblin', name: 'Goblin' }], { useLocalStorage: true });
+  await storage.save('settings', { theme: 'dark' }, { useLocalStorage: true });
+  return storage;
+}
+
+/**
+ * Open a repository over a backend, moving the legacy data in
+ * @param {MemoryBackend} backend - Backend
+ * @param {Storage} storage - Storage holding the legacy data
+ * @returns {Promise<Repository>} Repository, ready
+ */
+async function openRepository(backend, storage) {
+  return quietly(async () => {
+    const repository = new Repository(backend, { legacyStorage: storage, legacyLocalStorage: null });
+    await repository.ready;
+    return repository;
+  });
+}
+
+/**
+ * Make a backend's writes fail for some keys
+ * @param {MemoryBackend} backend - Backend
+ * @param {Function} failWrite - Returns true for the keys that can't be written
+ */
+function failWrites(backend, failWrite) {
+  backend.set = async (key, value) => (failWrite(key) ? false : MemoryBackend.prototype.set.call(backend, key, value));
+}
+
+test('a failed record write keeps the old keys until the move is tried again', async t => {
+  t.mock.method(console, 'error', () => {});
+  const storage = await openLegacyStorage();
+  const backend = new MemoryBackend();
+
+  failWrites(backend, key => key === 'monsters/goblin');
+  await openRepository(backend, storage);
+
+  assert.deepEqual(await storage.load('players', { useLocalStorage: true }), [{ id: 'aria', name: 'Aria' }]);
+  assert.deepEqual(await storage.load('monsters', { useLocalStorage: true }), [{ id: 'goblin', name: 'Goblin' }]);
+  assert.deepEqual(await storage.load('settings', { useLocalStorage: true }), { theme: 'dark' });
+  assert.equal((await backend.get('repository/meta')).legacyMigratedAt, null);
+
+  // Next start the write goes through and the old keys go
+  delete backend.set;
+  const repository = await openRepository(backend, storage);
+
+  assert.deepEqual((await repository.list(Collection.PLAYERS)).map(player => player.id), ['aria']);
+  assert.deepEqual((await repository.list(Collection.MONSTERS)).map(monster => monster.id), ['goblin']);
+  assert.equal((await repository.getDocument(DocumentName.SETTINGS)).theme, 'dark');
+  assert.equal(await storage.load('players', { useLocalStorage: true }), null);
+  assert.equal(await storage.load('monsters', { useLocalStorage: true }), null);
+  assert.equal(await storage.load('settings', { useLocalStorage: true }), null);
+});
+
+test('a failed backup write keeps the old keys', async t => {
+  t.mock.method(console, 'error', () => {});
+  const storage = await openLegacyStorage();
+  const backend = new MemoryBackend();
+
+  failWrites(backend, key => key === 'repository/legacyBackup');
+  await openRepository(backend, storage);
+
+  assert.deepEqual(await storage.load('players', { useLocalStorage: true }), [{ id: 'aria', name: 'Aria' }]);
+  assert.deepEqual(await storage.load('settings', { useLocalStorage: true }), { theme: 'dark' });
+});
+
+test('meta can be listed by prefix and removed', async () => {
+  const repository = await openRepository(new MemoryBackend(), null);
+
+  await repository.setMeta('saves/encounter/goblins', { name: 'Goblins' });
+  await repository.setMeta('saves/encounter/dragon', { name: 'Dragon' });
+  await repository.setMeta('saves/player/aria', { name: 'Aria' });
+
+  assert.deepEqual((await repository.listMeta('saves/encounter/')).sort(), ['saves/encounter/dragon', 'saves/encounter/goblins']);
+  assert.equal(await repository.removeMeta('saves/encounter/dragon'), true);
+  assert.deepEqual(await repository.listMeta('saves/encounter/'), ['saves/encounter/goblins']);
+  assert.equal(await repository.getMeta('saves/encounter/dragon'), null);
+});
+
+test('app data is saved as records and an app data document', async () => {
+  globalThis.localStorage = createLocalStorage();
+  const repository = await openRepository(new MemoryBackend(), null);
+  const appData = await quietly(() => loadAppData(repository));
+
+  appData.players = [{ id: 'aria', name: 'Aria' }];
+  appData.combatHistory = [{ id: 'fight-1', name: 'Goblin Ambush' }];
+  appData.customSpells = [{ id: 'spell-1', name: 'Frost Lance' }];
+  appData.settings = { ...appData.settings, theme: 'dark' };
+  assert.equal(await saveAppData(appData, repository), true);
+
+  assert.deepEqual(await repository.list(Collection.PLAYERS), [{ id: 'aria', name: 'Aria' }]);
+  assert.deepEqual(await repository.list(Collection.HISTORY), [{ id: 'fight-1', name: 'Goblin Ambush' }]);
+  const document = await repository.getDocument(DocumentName.APP_DATA);
+  assert.equal(document.settings.theme, 'dark');
+  assert.deepEqual(document.customSpells, [{ id: 'spell-1', name: 'Frost Lance' }]);
+  assert.equal('players' in document, false);
+  assert.equal(localStorage.getItem('jct_appData'), null);
+
+  // A player removed from the app data is removed from the repository
+  appData.players = [];
+  assert.equal(await saveAppData(appData, repository), true);
+  assert.deepEqual(await repository.list(Collection.PLAYERS), []);
+
+  const reloaded = await quietly(() => loadAppData(repository));
+  assert.equal(reloaded.settings.theme, 'dark');
+  assert.deepEqual(reloaded.combatHistory, [{ id: 'fight-1', name: 'Goblin Ambush' }]);
+});
+
+test('a refused write makes saveAppData report failure', async t => {
+  t.mock.method(console, 'error', () => {});
+  const backend = new MemoryBackend();
+  const repository = await openRepository(backend, null);
+
+  failWrites(backend, key => key === `documents/${DocumentName.APP_DATA}`);
+  assert.equal(await saveAppData({ players: [{ id: 'aria', name: 'Aria' }], settings: {} }, repository), false);
+  assert.deepEqual((await repository.list(Collection.PLAYERS)).map(player => player.id), ['aria']);
+});
+
+test('the data manager moves its localStorage lists into the repository', async () => {
+  globalThis.localStorage = createLocalStorage();
+  localStorage.setItem('jesster_heroes', JSON.stringify([{ id: 'hero-1', name: 'Aria' }]));
+  const repository = await openRepository(new MemoryBackend(), null);
+  const manager = new DataManager({ offlineMode: true }, repository);
+
+  await quietly(() => manager.loadInitialData());
+  assert.deepEqual(manager.heroes, [{ id: 'hero-1', name: 'Aria' }]);
+  assert.equal(localStorage.getItem('jesster_heroes'), null);
+
+  manager.heroes.push({ id: 'hero-2', name: 'Bran' });
+  assert.equal(await quietly(() => manager.saveData()), true);
+  assert.deepEqual((await repository.list(Collection.PLAYERS)).map(player => player.id).sort(), ['hero-1', 'hero-2']);
+  assert.equal(localStorage.getItem('jesster_heroes'), null);
+});
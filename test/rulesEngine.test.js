@@ -0,0 +1,102 @@
+/**
+ * Jesster's Combat Tracker
+ * Rules engine tests
+ *
+ * Conditions on the roller and on the target of an attack give advantage,
+ * disadvantage, automatic failures and critical hits, each with a reason,
+ * and being within 5 feet of the target counts whatever the attack.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createMemoryRepository, makeCombatant, quietly } from './helpers.js';
+import { RollKind, createRulesEngine } from '../js/rulesEngine.js';
+import Conditions from '../js/conditions.js';
+
+const rules = createRulesEngine(await quietly(() => new Conditions(createMemoryRepository())));
+
+/**
+ * Build a combatant with conditions
+ * @param {...string} conditionIds - Condition IDs
+ * @returns {Object} Combatant
+ */
+function withConditions(...conditionIds) {
+  return makeCombatant({ id: conditionIds.join('-') || 'fine', conditions: conditionIds.map(id => ({ id })) });
+}
+
+/**
+ * Get the effects of the modifiers for a roll, leaving out the reasons
+ * @param {string} kind - RollKind
+ * @param {Object} context - Roll context (see RulesEngine.getRollModifiers)
+ * @returns {Array<string>} Effects that apply
+ */
+function effects(kind, context) {
+  const modifiers = rules.getRollModifiers(kind, context);
+  return ['advantage', 'disadvantage', 'autoFail', 'autoCrit'].filter(effect => modifiers[effect]);
+}
+
+test('a poisoned creature has disadvantage on attacks and ability checks but not saves', () => {
+  const combatant = withConditions('poisoned');
+
+  assert.deepEqual(rules.getRollModifiers(RollKind.ATTACK, { combatant, target: withConditions() }).reasons,
+    ['Poisoned: disadvantage on attack rolls']);
+  assert.deepEqual(effects(RollKind.SKILL, { combatant, skill: 'Athletics' }), ['disadvantage']);
+  assert.deepEqual(effects(RollKind.INITIATIVE, { combatant }), ['disadvantage']);
+  assert.deepEqual(effects(RollKind.SAVE, { combatant, ability: 'con' }), []);
+});
+
+test('a paralyzed creature fails Strength and Dexterity saves, and hits within 5 feet are critical', () => {
+  const target = withConditions('paralyzed');
+  assert.deepEqual(effects(RollKind.SAVE, { combatant: target, ability: 'DEX' }), ['autoFail']);
+  assert.deepEqual(effects(RollKind.SAVE, { combatant: target, ability: 'wis' }), []);
+
+  const attacker = withConditions();
+  assert.deepEqual(effects(RollKind.ATTACK, { combatant: attacker, target }), ['advantage', 'autoCrit']);
+  assert.deepEqual(effects(RollKind.ATTACK, { combatant: attacker, target, distance: 10 }), ['advantage']);
+
+  // A crossbow fired from the next square is as close as a sword
+  assert.deepEqual(effects(RollKind.ATTACK, { combatant: attacker, target, attackKind: 'ranged', distance: 5 }),
+    ['advantage', 'autoCrit']);
+  assert.deepEqual(effects(RollKind.ATTACK, { combatant: attacker, target, attackKind: 'ranged' }), ['advantage']);
+});
+
+test('a restrained creature attacks with disadvantage and is attacked with advantage', () => {
+  const restrained = withConditions('restrained');
+  const other = withConditions();
+
+  assert.deepEqual(effects(RollKind.ATTACK, { combatant: restrained, target: other }), ['disadvantage']);
+  assert.deepEqual(effects(RollKind.SAVE, { combatant: restrained, ability: 'dex' }), ['disadvantage']);
+  assert.deepEqual(effects(RollKind.ATTACK, { combatant: other, target: restrained, attackKind: 'ranged', distance: 60 }),
+    ['advantage']);
+
+  // Both at once cancel out, and both reasons are given
+  const modifiers = rules.getRollModifiers(RollKind.ATTACK, { combatant: restrained, target: withConditions('restrained') });
+  assert.deepEqual([modifiers.advantage, modifiers.disadvantage], [true, true]);
+  assert.deepEqual(modifiers.reasons, [
+    'Restrained: disadvantage on attack rolls',
+    'Target Restrained: attacks against it have advantage'
+  ]);
+});
+
+test('attacks on a prone creature depend on distance, not on the weapon', () => {
+  const attacker = withConditions();
+  const target = withConditions('prone');
+
+  assert.deepEqual(effects(RollKind.ATTACK, { combatant: attacker, target }), ['advantage']);
+  assert.deepEqual(effects(RollKind.ATTACK, { combatant: attacker, target, attackKind: 'ranged', distance: 5 }), ['advantage']);
+  assert.deepEqual(effects(RollKind.ATTACK, { combatant: attacker, target, distance: 10 }), ['disadvantage']);
+  assert.deepEqual(effects(RollKind.ATTACK, { combatant: attacker, target, attackKind: 'ranged' }), ['disadvantage']);
+});
+
+test('bonuses from conditions are added to the roll formula', () => {
+  const combatant = makeCombatant({ conditions: [{ id: 'blessed', name: 'Blessed', rules: { attackBonus: '1d4', saveBonus: '1d4' } }] });
+
+  const applied = rules.applyToRoll(RollKind.ATTACK, '1d20+5', { combatant, target: withConditions('prone') });
+  assert.equal(applied.formula, '1d20+5+1d4');
+  assert.equal(applied.options.advantage, true);
+  assert.deepEqual(applied.modifiers.reasons, [
+    'Blessed: +1d4 to attack rolls',
+    'Target Prone: attacks within 5 feet have advantage'
+  ]);
+});
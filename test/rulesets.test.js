@@ -0,0 +1,138 @@
+/**
+ * Jesster's Combat Tracker
+ * Ruleset tests
+ *
+ * The ruleset decides which condition definitions are in force and how an
+ * encounter's difficulty is worked out. Switching rulesets swaps the
+ * definitions both ways.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createMemoryRepository, createTestCombat, makeCombatant, quietly, startFight } from './helpers.js';
+import { Ruleset } from '../js/rulesets.js';
+import { RollKind, createRulesEngine } from '../js/rulesEngine.js';
+import { createAppStore } from '../js/store.js';
+import Conditions from '../js/conditions.js';
+import Encounter from '../js/encounter.js';
+
+/**
+ * Create a conditions module and a rules engine over it
+ * @returns {Promise<Object>} {conditions, rules}
+ */
+async function createRules() {
+  const conditions = await quietly(() => new Conditions(createMemoryRepository()));
+  return { conditions, rules: createRulesEngine(conditions) };
+}
+
+/**
+ * Build a combatant with a level of exhaustion
+ * @param {Conditions} conditions - Conditions module
+ * @param {number} level - Exhaustion level
+ * @returns {Object} Combatant
+ */
+function exhausted(conditions, level) {
+  const combatant = makeCombatant({ id: 'aria', name: 'Aria', type: 'pc' });
+  conditions.setExhaustionLevel(combatant, level);
+  return combatant;
+}
+
+/**
+ * Sum the flat bonuses and penalties of a roll
+ * @param {Object} modifiers - Roll modifiers (see RulesEngine.getRollModifiers)
+ * @returns {number} Net bonus
+ */
+function netBonus(modifiers) {
+  return modifiers.bonuses.reduce((total, { value, sign }) => total + sign * value, 0);
+}
+
+test('2024 exhaustion is -2 per level to d20 Tests and -5 feet of speed', async () => {
+  const { conditions, rules } = await createRules();
+  conditions.setRuleset(Ruleset.RULES_2024);
+
+  for (let level = 1; level <= 5; level++) {
+    const combatant = exhausted(conditions, level);
+    assert.equal(combatant.conditions.length, 1, 'one level of exhaustion at a time');
+
+    [RollKind.ATTACK, RollKind.SAVE, RollKind.CHECK, RollKind.INITIATIVE].forEach(kind => {
+      const modifiers = rules.getRollModifiers(kind, { combatant, ability: 'dex' });
+      assert.equal(netBonus(modifiers), -2 * level, `${kind} at level ${level}`);
+      assert.equal(modifiers.disadvantage, false);
+    });
+    assert.equal(rules.getSpeedModifiers(combatant).penalty, 5 * level);
+  }
+
+  assert.equal(conditions.getCondition('exhaustion-6').rules.dead, true);
+});
+
+test('switching rulesets swaps the condition definitions both ways', async () => {
+  const { conditions, rules } = await createRules();
+  const combatant = exhausted(conditions, 3);
+  const attack = () => rules.getRollModifiers(RollKind.ATTACK, { combatant });
+
+  // 2014: level 3 gives disadvantage on attacks, no flat penalty
+  assert.equal(attack().disadvantage, true);
+  assert.equal(netBonus(attack()), 0);
+  assert.equal(conditions.getCondition('sapped'), null);
+
+  conditions.setRuleset(Ruleset.RULES_2024);
+  assert.equal(conditions.getRuleset(), Ruleset.RULES_2024);
+  assert.equal(attack().disadvantage, false);
+  assert.equal(netBonus(attack()), -6);
+  assert.deepEqual(conditions.getCondition('surprised').rules, { initiativeDisadvantage: true });
+  assert.ok(conditions.getCondition('sapped'), 'weapon mastery conditions are added');
+
+  conditions.setRuleset(Ruleset.RULES_2014);
+  assert.equal(attack().disadvantage, true);
+  assert.equal(netBonus(attack()), 0);
+  assert.equal(conditions.getCondition('surprised').rules.noActions, true);
+  assert.equal(conditions.getCondition('sapped'), null);
+});
+
+test('custom conditions survive a ruleset switch', async () => {
+  const { conditions } = await createRules();
+  await quietly(() => conditions.addCustomCondition({ id: 'hexed', name: 'Hexed', rules: { checkPenalty: 1 } }));
+
+  conditions.setRuleset(Ruleset.RULES_2024);
+  assert.ok(conditions.getCondition('hexed'));
+  conditions.setRuleset(Ruleset.RULES_2014);
+  assert.ok(conditions.getCondition('hexed'));
+});
+
+test('a fight uses its own ruleset and hands the setting back when it ends', async t => {
+  const { combat, conditions, dice } = await createTestCombat();
+  const aria = makeCombatant({ id: 'aria', name: 'Aria', type: 'pc', initiative: 10 });
+  await startFight(t, combat, [aria], { ruleset: Ruleset.RULES_2024, seed: 3 });
+
+  assert.equal(conditions.getRuleset(), Ruleset.RULES_2024);
+  const combatant = exhausted(conditions, 2);
+  const save = await dice.rollSave('con', 0, 'Aria', { combatant });
+  assert.equal(netBonus(save.rules), -4);
+  assert.equal(save.total, save.natural - 4);
+
+  combat.endCombat();
+  assert.equal(conditions.getRuleset(), Ruleset.RULES_2014);
+});
+
+test('2024 encounter difficulty uses the XP budgets without a multiplier', async () => {
+  const encounter = await quietly(() => new Encounter(createMemoryRepository(), null, createAppStore()));
+  const party = Array.from({ length: 4 }, (_, index) => ({ id: `pc-${index}`, level: 5 }));
+  const monsters = [{ name: 'Troll', xp: 1800 }, { name: 'Ogre', xp: 450, count: 3 }];
+
+  const difficulty2024 = encounter.calculateDifficulty(monsters, party, Ruleset.RULES_2024);
+  assert.deepEqual(difficulty2024.thresholds, { low: 2000, moderate: 3000, high: 4400 });
+  assert.equal(difficulty2024.multiplier, 1);
+  assert.equal(difficulty2024.adjustedXP, 3150);
+  assert.equal(difficulty2024.difficulty, 'moderate');
+  assert.equal(difficulty2024.ruleset, Ruleset.RULES_2024);
+
+  // The same fight under the 2014 rules counts four monsters double
+  const difficulty2014 = encounter.calculateDifficulty(monsters, party, Ruleset.RULES_2014);
+  assert.equal(difficulty2014.multiplier, 2);
+  assert.equal(difficulty2014.adjustedXP, 6300);
+  assert.equal(difficulty2014.difficulty, 'deadly');
+
+  // Below the low budget there is nothing to rate
+  assert.equal(encounter.calculateDifficulty([{ xp: 100 }], party, Ruleset.RULES_2024).difficulty, 'trivial');
+});
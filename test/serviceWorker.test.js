@@ -0,0 +1,47 @@
+/**
+ * Jesster's Combat Tracker
+ * Service worker tests
+ *
+ * The app has to start offline, so every module it loads must be precached.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, existsSync } from 'node:fs';
+
+const root = new URL('../', import.meta.url);
+
+// Static and dynamic imports of sibling modules (main.js imports them as ./modules/)
+const IMPORT_PATTERN = /(?:from|import\()\s*['"]\.\/(?:modules\/)?(\w+\.js)['"]/g;
+
+/**
+ * Collect the modules reachable from the entry points
+ * @param {Array<string>} entries - Entry module file names in js/
+ * @returns {Set<string>} Module file names
+ */
+function collectModules(entries) {
+  const modules = new Set();
+  const pending = [...entries];
+
+  while (pending.length > 0) {
+    const name = pending.pop();
+    const url = new URL(`js/${name}`, root);
+    if (modules.has(name) || !existsSync(url)) continue;
+
+    modules.add(name);
+    for (const [, imported] of readFileSync(url, 'utf8').matchAll(IMPORT_PATTERN)) {
+      pending.push(imported);
+    }
+  }
+
+  return modules;
+}
+
+test('the service worker precaches every module the app imports', () => {
+  const worker = readFileSync(new URL('service-worker.js', root), 'utf8');
+  const precached = new Set([...worker.matchAll(/'\.\/js\/(\w+\.js)'/g)].map(([, name]) => name));
+
+  const missing = [...collectModules(['app.js', 'main.js', 'playerDisplay.js'])]
+    .filter(name => !precached.has(name));
+  assert.deepEqual(missing, []);
+});
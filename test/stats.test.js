@@ -0,0 +1,58 @@
+/**
+ * Jesster's Combat Tracker
+ * Statistics tests
+ *
+ * Combat statistics and the combat history follow the dice service, so a
+ * roll made anywhere shows up in both with the same result.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestCombat, makeCombatant, startFight } from './helpers.js';
+import { createStatTracker, createCombatAnalyzer } from '../js/stats.js';
+import { EventType } from '../js/history.js';
+
+test('a roll shows up the same in the statistics and the combat history', async t => {
+  const { combat, history, dice } = await createTestCombat();
+  const stats = createStatTracker();
+  const analyzer = createCombatAnalyzer();
+  t.after(stats.attachDiceService(dice.service));
+  t.after(analyzer.attachDiceService(dice.service));
+
+  await startFight(t, combat, [
+    makeCombatant({ id: 'aria', name: 'Aria', type: 'pc', initiative: 15 }),
+    makeCombatant({ id: 'ogre', name: 'Ogre', type: 'monster', initiative: 8 })
+  ], { seed: 'longsword' });
+  analyzer.startCombat({ combatants: combat.combatants });
+  analyzer.advanceTurn({ round: 1, turn: 1, activeId: 'aria' });
+
+  const roll = await dice.rollAttack('Longsword', 5, { actorId: 'aria', actorName: 'Aria' });
+
+  assert.equal(stats.getStats().rolls, 1);
+  assert.equal(stats.getStats().rollsByType.attack, 1);
+  assert.equal(stats.getStats().combatantStats.aria.rolls, 1);
+  assert.equal(stats.getStats().criticals, roll.isCritical ? 1 : 0);
+
+  const [action] = analyzer.combatData.rounds[0].turns[0].actions;
+  assert.equal(action.source, 'aria');
+  assert.equal(action.amount, roll.total);
+
+  const [event] = history.getEventsByType(EventType.DICE_ROLL);
+  assert.equal(event.actorId, 'aria');
+  assert.equal(event.result, roll.total);
+  assert.deepEqual(event.draws, roll.draws);
+
+  // Both saw the same roll
+  assert.deepEqual(
+    { formula: action.details.formula, breakdown: action.details.breakdown, natural: action.details.natural },
+    { formula: event.formula, breakdown: event.breakdown, natural: event.natural }
+  );
+});
+
+test('the combat history only records rolls during a fight', async () => {
+  const { history, dice } = await createTestCombat();
+
+  await dice.roll('1d20');
+  assert.deepEqual(history.getEventsByType(EventType.DICE_ROLL), []);
+});
@@ -0,0 +1,100 @@
+/**
+ * Jesster's Combat Tracker
+ * Storage encryption tests
+ *
+ * Switching the encryption key rewrites every record. A failed write rolls
+ * the switch back, and a switch cut short is finished on the next start.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createLocalStorage, quietly } from './helpers.js';
+import Storage from '../js/storage.js';
+
+const ITERATIONS = 1000;
+
+/**
+ * Open storage over a fresh (or the given) localStorage
+ * @param {Object} localStorage - localStorage stand-in to keep using
+ * @returns {Promise<Storage>} Storage, ready
+ */
+async function openStorage(localStorage = createLocalStorage()) {
+  globalThis.localStorage = localStorage;
+  const storage = await quietly(() => new Storage());
+  await storage.ready;
+  return storage;
+}
+
+/**
+ * Store a few records
+ * @param {Storage} storage - Storage
+ */
+async function saveRecords(storage) {
+  assert.equal(await storage.save('players', [{ id: 'aria', name: 'Aria' }]), true);
+  assert.equal(await storage.save('monsters', [{ id: 'goblin', name: 'Goblin' }]), true);
+  assert.equal(await storage.save('notes', [{ id: 'n1', title: 'Session 1' }]), true);
+}
+
+test('a failed write while encrypting rolls every record back', async () => {
+  const storage = await openStorage();
+  await saveRecords(storage);
+
+  // The second record can't be rewritten
+  localStorage.failWrite = key => key === 'jct_monsters';
+  const enabled = await quietly(() => storage.enableEncryption('open sesame', { iterations: ITERATIONS }));
+  localStorage.failWrite = null;
+
+  assert.equal(enabled, false);
+  assert.equal(storage.isEncryptionEnabled(), false);
+  assert.deepEqual(await storage.load('players'), [{ id: 'aria', name: 'Aria' }]);
+  assert.deepEqual(await storage.load('notes'), [{ id: 'n1', title: 'Session 1' }]);
+  assert.equal(localStorage.getItem('jct___vault'), null);
+  assert.equal(localStorage.getItem('jct___vaultSwitch'), null);
+
+  // Nothing is left locked behind after a restart either
+  const reopened = await openStorage(localStorage);
+  assert.equal(reopened.isLocked(), false);
+  assert.deepEqual(await reopened.load('monsters'), [{ id: 'goblin', name: 'Goblin' }]);
+});
+
+test('the key is not switched when the new vault cannot be stored', async () => {
+  const storage = await openStorage();
+  await saveRecords(storage);
+  await quietly(() => storage.enableEncryption('open sesame', { iterations: ITERATIONS }));
+  const vault = localStorage.getItem('jct___vault');
+
+  localStorage.failWrite = key => key === 'jct___vault';
+  const changed = await quietly(() => storage.changePassphrase('open sesame', 'swordfish'));
+  localStorage.failWrite = null;
+
+  assert.equal(changed, false);
+  assert.equal(localStorage.getItem('jct___vault'), vault);
+
+  const reopened = await openStorage(localStorage);
+  assert.equal(await quietly(() => reopened.unlock('open sesame')), true);
+  assert.deepEqual(await reopened.load('players'), [{ id: 'aria', name: 'Aria' }]);
+});
+
+test('a key switch cut short is finished on the next start', async () => {
+  const storage = await openStorage();
+  await saveRecords(storage);
+  await quietly(() => storage.enableEncryption('open sesame', { iterations: ITERATIONS }));
+
+  // The tab closes once the journal and the first record are written: no
+  // other write gets through, not even the roll back
+  let writes = 0;
+  localStorage.failWrite = () => ++writes > 2;
+  const changed = await quietly(() => storage.changePassphrase('open sesame', 'swordfish'));
+  localStorage.failWrite = null;
+  assert.equal(changed, false);
+  assert.notEqual(localStorage.getItem('jct___vaultSwitch'), null);
+
+  const reopened = await quietly(() => openStorage(localStorage));
+  assert.equal(localStorage.getItem('jct___vaultSwitch'), null);
+  assert.equal(await quietly(() => reopened.unlock('open sesame')), false);
+  assert.equal(await quietly(() => reopened.unlock('swordfish')), true);
+  assert.deepEqual(await reopened.load('players'), [{ id: 'aria', name: 'Aria' }]);
+  assert.deepEqual(await reopened.load('monsters'), [{ id: 'goblin', name: 'Goblin' }]);
+  assert.deepEqual(await reopened.load('notes'), [{ id: 'n1', title: 'Session 1' }]);
+});
@@ -0,0 +1,216 @@
+/**
+ * Jesster's Combat Tracker
+ * Sync tests
+ *
+ * Two devices sync through a stub server: a CouchDB-style HTTP server for
+ * RestSyncAdapter and an in-memory Firestore for FirebaseSyncAdapter. Edits
+ * and deletes reach the other device, and edits made on both sides are
+ * kept as conflicts instead of overwriting either copy.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { createMemoryRepository } from './helpers.js';
+import { Collection } from '../js/repository.js';
+import { SyncManager, RestSyncAdapter, FirebaseSyncAdapter, ConflictChoice } from '../js/sync.js';
+
+/**
+ * Start a server with the CouchDB endpoints RestSyncAdapter uses
+ * @returns {Promise<Object>} {url, close}
+ */
+async function startCouchServer() {
+  const docs = new Map();
+  const changes = [];
+  let seq = 0;
+
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      const url = new URL(request.url, 'http://localhost');
+      const path = decodeURIComponent(url.pathname.replace(/^\/db\//, ''));
+      const send = (status, data) => {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(data));
+      };
+
+      if (path === '_changes') {
+        const since = Number(url.searchParams.get('since'));
+        const latest = new Map();
+        changes.filter(change => change.seq > since).forEach(change => latest.set(change.id, change));
+
+        return send(200, {
+          results: Array.from(latest.values()).map(({ seq: changeSeq, id }) => {
+            const doc = docs.get(id);
+            return { seq: changeSeq, id, changes: [{ rev: doc._rev }], deleted: doc._deleted, doc: doc._deleted ? undefined : doc };
+          }),
+          last_seq: seq
+        });
+      }
+
+      const current = docs.get(path);
+      const live = current && !current._deleted;
+
+      if (request.method === 'GET') {
+        return live ? send(200, current) : send(404, { error: 'not_found' });
+      }
+
+      if (request.method === 'PUT') {
+        const doc = JSON.parse(body);
+        if (live ? doc._rev !== current._rev : doc._rev && (!current || doc._rev !== current._rev)) {
+          return send(409, { error: 'conflict' });
+        }
+
+        const generation = current ? parseInt(current._rev, 10) + 1 : 1;
+        doc._rev = `${generation}-${seq + 1}`;
+        docs.set(path, doc);
+        changes.push({ seq: ++seq, id: path });
+        return send(201, { ok: true, id: path, rev: doc._rev });
+      }
+
+      return send(405, { error: 'method_not_allowed' });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/db`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Create an in-memory Firestore with the calls FirebaseSyncAdapter makes
+ * @returns {Object} Firestore stand-in
+ */
+function createFirestore() {
+  const data = new Map();
+
+  const doc = path => ({
+    path,
+    collection: name => collection(`${path}/${name}`),
+    get: async () => ({ exists: data.has(path), data: () => structuredClone(data.get(path)) })
+  });
+  const collection = path => ({
+    doc: id => doc(`${path}/${id}`),
+    where: (field, op, value) => ({
+      orderBy: () => ({
+        get: async () => ({
+          docs: Array.from(data.entries())
+            .filter(([key, stored]) => key.startsWith(`${path}/`) && stored[field] > value)
+            .map(([, stored]) => ({ data: () => structuredClone(stored) }))
+        })
+      })
+    })
+  });
+
+  return {
+    data,
+    collection,
+    runTransaction: async fn => fn({
+      get: ref => ref.get(),
+      set: (ref, value) => data.set(ref.path, structuredClone(value))
+    })
+  };
+}
+
+/**
+ * Create two devices syncing through the same server
+ * @param {Function} createAdapter - Creates an adapter for a device
+ * @returns {Promise<Array>} Two {repository, sync} devices
+ */
+async function createDevices(createAdapter) {
+  return Promise.all([1, 2].map(async () => {
+    const repository = createMemoryRepository();
+    const sync = new SyncManager(repository, createAdapter());
+    await sync.ready;
+    return { repository, sync };
+  }));
+}
+
+/**
+ * Run the two-device scenario: an edit, a conflicting edit, a delete
+ * @param {Array} devices - Two {repository, sync} devices
+ */
+async function assertTwoDeviceSync([laptop, tablet]) {
+  await laptop.repository.put(Collection.PLAYERS, { id: 'aria', name: 'Aria', hp: 10 });
+  await laptop.repository.put(Collection.ENCOUNTERS, { id: 'goblins', name: 'Goblins' });
+  await laptop.sync.sync();
+
+  // The tablet gets both records
+  const pulled = await tablet.sync.sync();
+  assert.deepEqual(pulled.pulled.sort(), [Collection.ENCOUNTERS, Collection.PLAYERS]);
+  assert.deepEqual(await tablet.repository.get(Collection.PLAYERS, 'aria'), { id: 'aria', name: 'Aria', hp: 10 });
+
+  // An edit on the tablet reaches the laptop
+  await tablet.repository.put(Collection.PLAYERS, { id: 'aria', name: 'Aria', hp: 7 });
+  await tablet.sync.sync();
+  await laptop.sync.sync();
+  assert.equal((await laptop.repository.get(Collection.PLAYERS, 'aria')).hp, 7);
+
+  // Both devices edit the encounter: the second to sync keeps a conflict
+  await laptop.repository.put(Collection.ENCOUNTERS, { id: 'goblins', name: 'Goblin Ambush' });
+  await tablet.repository.put(Collection.ENCOUNTERS, { id: 'goblins', name: 'Goblins', round: 2 });
+  await laptop.sync.sync();
+
+  const conflicted = await tablet.sync.sync();
+  assert.equal(conflicted.conflicts, 1);
+  assert.deepEqual(tablet.sync.getConflicts()[0].fields.map(field => field.field).sort(), ['name', 'round']);
+  assert.equal((await tablet.repository.get(Collection.ENCOUNTERS, 'goblins')).round, 2);
+
+  // Syncing again doesn't push over the server's copy
+  await tablet.sync.sync();
+  await laptop.sync.sync();
+  assert.equal((await laptop.repository.get(Collection.ENCOUNTERS, 'goblins')).name, 'Goblin Ambush');
+
+  // Keeping the tablet's copy pushes it on the next sync
+  assert.equal(await tablet.sync.resolveConflict(Collection.ENCOUNTERS, 'goblins', ConflictChoice.LOCAL), true);
+  assert.equal((await tablet.sync.sync()).conflicts, 0);
+  await laptop.sync.sync();
+  assert.deepEqual(await laptop.repository.get(Collection.ENCOUNTERS, 'goblins'), { id: 'goblins', name: 'Goblins', round: 2 });
+
+  // A delete on the laptop removes the record from the tablet
+  await laptop.repository.remove(Collection.PLAYERS, 'aria');
+  await laptop.sync.sync();
+  await tablet.sync.sync();
+  assert.equal(await tablet.repository.get(Collection.PLAYERS, 'aria'), null);
+  assert.equal(tablet.sync.getStatus().pending, 0);
+  assert.equal(laptop.sync.getStatus().pending, 0);
+}
+
+test('two devices sync edits, conflicts and deletes through a CouchDB server', async t => {
+  t.mock.method(console, 'log', () => {});
+  const server = await startCouchServer();
+  t.after(() => server.close());
+
+  const devices = await createDevices(() => new RestSyncAdapter({ url: server.url }));
+  await assertTwoDeviceSync(devices);
+});
+
+test('two devices sync edits, conflicts and deletes through Firestore', async t => {
+  t.mock.method(console, 'log', () => {});
+  const db = createFirestore();
+
+  const devices = await createDevices(() => new FirebaseSyncAdapter({ db, userId: 'dm' }));
+  await assertTwoDeviceSync(devices);
+});
+
+test('records in the whole-list Firestore documents only fill gaps', async t => {
+  t.mock.method(console, 'log', () => {});
+  const db = createFirestore();
+  db.data.set('users/dm/data/heroes', { heroes: [{ id: 'aria', name: 'Aria (old)' }, { id: 'bran', name: 'Bran' }] });
+
+  const [device] = await createDevices(() => new FirebaseSyncAdapter({ db, userId: 'dm' }));
+  await device.repository.put(Collection.PLAYERS, { id: 'aria', name: 'Aria' });
+  await device.sync.sync();
+
+  assert.equal((await device.repository.get(Collection.PLAYERS, 'aria')).name, 'Aria');
+  assert.equal((await device.repository.get(Collection.PLAYERS, 'bran')).name, 'Bran');
+  assert.equal(device.sync.getConflicts().length, 0);
+
+  // Both now live as records with revisions
+  assert.equal(db.data.get('users/dm/records/players:bran').record.name, 'Bran');
+});
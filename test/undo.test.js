@@ -0,0 +1,144 @@
+/**
+ * Jesster's Combat Tracker
+ * Undo tests
+ *
+ * Undoing a step puts the combat back as it was before it, token moves on
+ * the tactical map included, and redoing it brings back the state after it.
+ * Everything done while handling one event is a single step, named after
+ * what was done first.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTestCombat, makeCombatant, settle, startFight } from './helpers.js';
+import * as actions from '../js/actions.js';
+import { createAppStore } from '../js/store.js';
+import { createUndoManager } from '../js/undo.js';
+import { createTacticalCombatManager } from '../js/tactical.js';
+
+/**
+ * Start a combat between Aria and Borin, with an undo manager recording it
+ * @param {Object} t - Test context
+ * @returns {Promise<Object>} {store, undo}
+ */
+async function startRecording(t) {
+  const store = createAppStore();
+  store.dispatch(actions.addCombatant({ id: 'aria', name: 'Aria', initiative: 15, hp: 20, maxHp: 20 }));
+  store.dispatch(actions.addCombatant({ id: 'borin', name: 'Borin', initiative: 10, hp: 25, maxHp: 25 }));
+  store.dispatch(actions.sortInitiative());
+  store.dispatch(actions.startCombat());
+  store.dispatch(actions.nextTurn());
+  await settle();
+
+  const undo = createUndoManager({ store });
+  t.after(() => undo.destroy());
+  return { store, undo };
+}
+
+/**
+ * Drag a token along grid points and let go, as the mouse would
+ * @param {Object} tactical - Tactical combat manager
+ * @param {Object} token - Token
+ * @param {Array} points - Points ({x, y}) the token is dragged through
+ */
+function dragToken(tactical, token, points) {
+  token.isDragging = true;
+  token.dragOrigin = { x: token.x, y: token.y };
+  token.dragPath = [{ x: token.x, y: token.y }];
+  tactical.selectedToken = token;
+
+  points.forEach(point => {
+    tactical.updateToken(token.id, point);
+    tactical._extendDragPath(token);
+  });
+  tactical._endTokenDrag();
+}
+
+test('undo and redo step through combat changes one event at a time', async t => {
+  const { store, undo } = await startRecording(t);
+  const start = store.getState().combat;
+
+  store.dispatch(actions.applyDamage('borin', 7));
+  await settle();
+  const damaged = store.getState().combat;
+
+  // Actions dispatched while handling one event are undone together
+  store.dispatch(actions.nextTurn());
+  store.dispatch(actions.setRound(3));
+  await settle();
+  const advanced = store.getState().combat;
+  assert.equal(undo.getUndoLabel(), 'Next turn');
+
+  assert.equal(undo.undo().label, 'Next turn');
+  assert.deepEqual(store.getState().combat, damaged);
+  assert.equal(undo.undo().label, 'Damage');
+  assert.deepEqual(store.getState().combat, start);
+  assert.equal(undo.undo(), null);
+
+  undo.redo();
+  undo.redo();
+  assert.deepEqual(store.getState().combat, advanced);
+  assert.equal(undo.canRedo(), false);
+
+  // A new change after an undo drops what could have been redone
+  undo.undo();
+  store.dispatch(actions.applyHealing('borin', 2));
+  await settle();
+  assert.equal(undo.canRedo(), false);
+  assert.equal(store.getState().combat.combatants.find(c => c.id === 'borin').hp, 20);
+});
+
+test('damage and healing dealt through the combat module are undone under their own names', async t => {
+  const { combat, store } = await createTestCombat();
+  await startFight(t, combat, [makeCombatant({ id: 'borin', name: 'Borin', initiative: 10 })]);
+  const undo = createUndoManager({ store });
+  t.after(() => undo.destroy());
+  const hitPoints = () => [combat.getCombatant('borin').hp, combat.getCombatant('borin').tempHp];
+
+  await combat.applyHealing('borin', 5, { temporary: true });
+  await settle();
+  await combat.applyDamage('borin', 8);
+  await settle();
+  await combat.applyHealing('borin', 2);
+  await settle();
+  assert.deepEqual(hitPoints(), [29, 0]);
+
+  assert.equal(undo.undo().label, 'Healing');
+  assert.equal(undo.undo().label, 'Damage');
+  assert.deepEqual(hitPoints(), [30, 5]);
+  assert.equal(undo.undo().label, 'Temporary HP');
+  assert.deepEqual(hitPoints(), [30, 0]);
+});
+
+test('a token move is undone with the movement it used, together with the turn it was part of', async t => {
+  const { store, undo } = await startRecording(t);
+  const tactical = createTacticalCombatManager({ gridSize: 50 });
+  t.after(undo.trackTacticalMap(tactical));
+
+  const token = tactical.addToken({ id: 'aria-token', name: 'Aria', x: 50, y: 50, combatantId: 'aria' });
+  tactical.setMovementBudget(token.id, 30);
+
+  dragToken(tactical, token, [{ x: 100, y: 50 }, { x: 150, y: 50 }]);
+  await settle();
+  assert.deepEqual([token.x, token.y], [150, 50]);
+  assert.equal(tactical.getMovement(token.id).used, 10);
+  assert.equal(undo.getUndoLabel(), 'Move Aria');
+
+  // Dropping the token and ending the turn in one go is a single step
+  dragToken(tactical, token, [{ x: 150, y: 100 }]);
+  store.dispatch(actions.nextTurn());
+  await settle();
+  assert.equal(undo.undoStack.length, 2);
+
+  undo.undo();
+  assert.deepEqual([token.x, token.y, store.getState().combat.turnIndex], [150, 50, 0]);
+  undo.undo();
+  assert.deepEqual([token.x, token.y], [50, 50]);
+  assert.equal(tactical.getMovement(token.id).used, 0);
+
+  undo.redo();
+  undo.redo();
+  assert.deepEqual([token.x, token.y, store.getState().combat.turnIndex], [150, 100, 1]);
+  assert.equal(tactical.getMovement(token.id).used, 15);
+});
@@ -0,0 +1,86 @@
+/**
+ * Jesster's Combat Tracker
+ * Vision tests
+ *
+ * Walls and closed doors block line of sight, what player tokens have seen
+ * stays explored after they lose sight of it, and fog the DM paints by hand
+ * wins over vision.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getSightSegments, computeVisionPolygon, pointInPolygon, createFogOfWar } from '../js/vision.js';
+
+const BOUNDS = { width: 500, height: 500 };
+
+// Two rooms split by a wall at x = 250, with a door in the middle of it
+const WALLS = [
+  { x1: 250, y1: 0, x2: 250, y2: 200 },
+  { x1: 250, y1: 300, x2: 250, y2: 500 }
+];
+
+/**
+ * Get what a token in the west room sees
+ * @param {boolean} doorOpen - Whether the door is open
+ * @param {Object} options - Vision options (see computeVisionPolygon)
+ * @returns {Array} Vision polygon
+ */
+function westRoomVision(doorOpen, options = {}) {
+  const door = { x1: 250, y1: 200, x2: 250, y2: 300, open: doorOpen };
+  return computeVisionPolygon({ x: 100, y: 250 }, getSightSegments(WALLS, [door]), { bounds: BOUNDS, ...options });
+}
+
+test('a closed door blocks line of sight and an open one doesn\'t', () => {
+  const closed = westRoomVision(false);
+  assert.equal(pointInPolygon(200, 100, closed), true, 'the west room is in sight');
+  assert.equal(pointInPolygon(400, 250, closed), false, 'the east room is behind the door');
+
+  const open = westRoomVision(true);
+  assert.equal(pointInPolygon(400, 250, open), true, 'straight through the doorway');
+  assert.equal(pointInPolygon(400, 50, open), false, 'the wall still hides the corner');
+});
+
+test('walls that don\'t block vision, like windows, are seen through', () => {
+  const windows = WALLS.map(wall => ({ ...wall, blocksVision: false }));
+  assert.deepEqual(getSightSegments(windows, [{ x1: 250, y1: 200, x2: 250, y2: 300, open: false }]),
+    [{ x1: 250, y1: 200, x2: 250, y2: 300 }]);
+});
+
+test('a vision range stops sight short of open space', () => {
+  const vision = westRoomVision(true, { radius: 100 });
+  assert.equal(pointInPolygon(180, 250, vision), true);
+  assert.equal(pointInPolygon(220, 250, vision), false);
+});
+
+test('what players saw stays explored after the door closes', () => {
+  const fog = createFogOfWar({ cellSize: 50 });
+
+  fog.setVision([westRoomVision(true)]);
+  assert.equal(fog.isVisible(400, 250), true);
+
+  fog.setVision([westRoomVision(false)]);
+  assert.equal(fog.isVisible(400, 250), false);
+  assert.equal(fog.isExplored(400, 250), true);
+  assert.equal(fog.isExplored(400, 50), false);
+
+  // The fog state survives a save and load
+  const loaded = createFogOfWar();
+  loaded.fromData(fog.toData());
+  assert.equal(loaded.isExplored(400, 250), true);
+});
+
+test('fog painted by hand wins over vision until it is erased', () => {
+  const fog = createFogOfWar({ cellSize: 50 });
+  fog.setVision([westRoomVision(false)]);
+
+  fog.hide(125, 225, 10);
+  assert.equal(fog.isVisible(125, 225), false);
+  assert.equal(fog.isExplored(125, 225), false);
+
+  fog.reveal(425, 425, 60);
+  assert.deepEqual([fog.isVisible(425, 425), fog.isVisible(375, 425), fog.isVisible(325, 425)], [true, true, false]);
+
+  fog.unpaint(125, 225, 10);
+  assert.equal(fog.isVisible(125, 225), true);
+});